@@ -22,6 +22,10 @@ const FieldConsolidationEngine = require('./lib/FieldConsolidationEngine.js');
 const SafeFieldConsolidator = require('./lib/SafeFieldConsolidator.js');
 const EventDrivenAgentManager = require('./lib/EventDrivenAgentManager.js');
 
+// Shared with the webhook server, which fills the outbox
+const { createAirtableSyncOutbox } = require('../lib/airtableSyncOutbox.js');
+const { createAirtableResourceSync } = require('../lib/airtableResourceSync.js');
+
 class AirtableManagementAgent {
   constructor() {
     this.program = new Command();
@@ -60,6 +64,7 @@ class AirtableManagementAgent {
     this.setupOptimizationCommands();
     this.setupMaintenanceCommands();
     this.setupMonitoringCommands();
+    this.setupSyncCommands();
     this.setupUtilityCommands();
   }
 
@@ -422,7 +427,7 @@ class AirtableManagementAgent {
           
           if (!options.noWebhooks) {
             console.log(chalk.blue(`🌐 Webhook server running on port ${this.eventManager.webhookServer.port}`));
-            console.log(chalk.gray('Example: curl -X POST http://localhost:' + this.eventManager.webhookServer.port + '/trigger/audit'));
+            console.log(chalk.gray('Example: npm run sign-webhook -- --source airtable_agent --url http://localhost:' + this.eventManager.webhookServer.port + '/trigger/audit'));
           }
           
           console.log(chalk.gray('Press Ctrl+C to stop'));
@@ -581,6 +586,128 @@ class AirtableManagementAgent {
       });
   }
 
+  setupSyncCommands() {
+    const syncCmd = this.program
+      .command('sync')
+      .description('Webhook resource sync outbox operations');
+
+    const dlqCmd = syncCmd
+      .command('dlq')
+      .description('Inspect and recover Airtable syncs that exhausted their retries');
+
+    dlqCmd
+      .command('list')
+      .description('List dead-lettered syncs')
+      .option('--dir <path>', 'Outbox directory (defaults to AIRTABLE_OUTBOX_DIR or webhook-data/_airtable_outbox)')
+      .option('--json', 'Print raw job JSON')
+      .action(async (options) => {
+        const outbox = this.createSyncOutbox(options);
+        const jobs = await outbox.listDeadLetters();
+
+        if (options.json) {
+          console.log(JSON.stringify(jobs, null, 2));
+          return;
+        }
+
+        const stats = await outbox.stats();
+        console.log(chalk.bold.blue('\n☠️ Airtable Sync Dead Letters\n'));
+        console.log(chalk.gray(`📁 ${outbox.directory}`));
+        console.log(chalk.gray(`📮 Pending: ${stats.pending} | Dead letters: ${stats.deadLetter}\n`));
+
+        if (jobs.length === 0) {
+          console.log(chalk.green('✅ No dead-lettered syncs'));
+          return;
+        }
+
+        jobs.forEach(job => {
+          const resources = Object.keys(job.payload?.resources || {}).filter(key => job.payload.resources[key]);
+          console.log(chalk.bold(`${job.id}`));
+          console.log(chalk.blue(`   Customer: ${job.customerId}`));
+          console.log(chalk.blue(`   Attempts: ${job.attempts} (dead-lettered ${job.deadLetteredAt})`));
+          console.log(chalk.blue(`   Resources: ${resources.join(', ') || 'none'}`));
+          console.log(chalk.red(`   Last error: ${job.lastError}`));
+          console.log('');
+        });
+      });
+
+    dlqCmd
+      .command('replay [jobId]')
+      .description('Move dead letters back to the pending queue for the webhook server to retry')
+      .option('--all', 'Replay every dead letter')
+      .option('--now', 'Deliver immediately from this CLI instead of waiting for the server')
+      .option('--dir <path>', 'Outbox directory')
+      .action(async (jobId, options) => {
+        await this.executeWithSafety('DLQ Replay', async () => {
+          const outbox = this.createSyncOutbox(options);
+          const jobIds = await this.resolveDeadLetterIds(outbox, jobId, options);
+
+          for (const id of jobIds) {
+            const job = await outbox.replay(id);
+            if (!job) {
+              console.log(chalk.yellow(`⚠️ ${id}: not in the dead-letter queue`));
+              continue;
+            }
+
+            if (!options.now) {
+              console.log(chalk.green(`🔁 ${id}: requeued for delivery`));
+              continue;
+            }
+
+            const result = await outbox.attempt(job);
+            if (result.outcome === 'superseded') {
+              console.log(chalk.yellow(`⚠️ ${id}: a newer payload was queued meanwhile and is left pending`));
+              continue;
+            }
+            console.log(
+              result.outcome === 'delivered'
+                ? chalk.green(`✅ ${id}: delivered to ${result.recordId}`)
+                : chalk.yellow(`⚠️ ${id}: ${result.error} (${result.outcome === 'retry' ? `retrying at ${result.nextAttemptAt}` : 'dead-lettered again'})`)
+            );
+          }
+        });
+      });
+
+    dlqCmd
+      .command('drop [jobId]')
+      .description('Permanently discard dead letters')
+      .option('--all', 'Drop every dead letter')
+      .option('--dir <path>', 'Outbox directory')
+      .action(async (jobId, options) => {
+        await this.executeWithSafety('DLQ Drop', async () => {
+          const outbox = this.createSyncOutbox(options);
+          const jobIds = await this.resolveDeadLetterIds(outbox, jobId, options);
+
+          for (const id of jobIds) {
+            console.log(
+              await outbox.drop(id)
+                ? chalk.green(`🗑️ ${id}: dropped`)
+                : chalk.yellow(`⚠️ ${id}: not in the dead-letter queue`)
+            );
+          }
+        });
+      });
+  }
+
+  createSyncOutbox(options = {}) {
+    return createAirtableSyncOutbox({
+      directory: options.dir ? path.resolve(options.dir) : undefined,
+      resourceSync: createAirtableResourceSync({
+        apiKey: config.airtable.apiKey,
+        baseId: config.airtable.baseId
+      })
+    });
+  }
+
+  async resolveDeadLetterIds(outbox, jobId, options) {
+    if (options.all) {
+      return (await outbox.listDeadLetters()).map(job => job.id);
+    }
+    if (!jobId) {
+      throw new Error('Pass a job ID or --all');
+    }
+    return [jobId];
+  }
+
   setupUtilityCommands() {
     const utilCmd = this.program
       .command('util')
@@ -5,11 +5,18 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const { createSignatureMiddleware, captureRawBody } = require('../../lib/webhookSignature');
 
 class WebhookServer {
     constructor(options = {}) {
         this.port = options.port || 3001;
         this.eventManager = options.eventManager;
+        // Every POST route must be signed with WEBHOOK_SECRET_AIRTABLE_AGENT
+        this.verifySignature = createSignatureMiddleware({
+            source: 'airtable_agent',
+            secret: options.signingSecret,
+            toleranceSeconds: options.signatureToleranceSeconds
+        });
         this.app = express();
         this.server = null;
         this.isRunning = false;
@@ -22,11 +29,11 @@ class WebhookServer {
      * Setup Express middleware
      */
     setupMiddleware() {
-        // Parse JSON bodies
-        this.app.use(bodyParser.json({ limit: '10mb' }));
+        // Parse JSON bodies, keeping the raw bytes for signature verification
+        this.app.use(bodyParser.json({ limit: '10mb', verify: captureRawBody }));
         
         // Parse URL-encoded bodies
-        this.app.use(bodyParser.urlencoded({ extended: true }));
+        this.app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
         
         // Simple logging
         this.app.use((req, res, next) => {
@@ -38,7 +45,7 @@ class WebhookServer {
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Signature, X-Timestamp, X-Nonce');
             
             if (req.method === 'OPTIONS') {
                 res.sendStatus(200);
@@ -63,7 +70,7 @@ class WebhookServer {
         });
 
         // Generic trigger endpoint
-        this.app.post('/trigger/:operation', async (req, res) => {
+        this.app.post('/trigger/:operation', this.verifySignature, async (req, res) => {
             try {
                 const { operation } = req.params;
                 const data = req.body || {};
@@ -103,7 +110,7 @@ class WebhookServer {
         });
 
         // Performance monitoring webhook
-        this.app.post('/monitoring/performance', async (req, res) => {
+        this.app.post('/monitoring/performance', this.verifySignature, async (req, res) => {
             try {
                 const { metrics, severity } = req.body;
                 
@@ -130,7 +137,7 @@ class WebhookServer {
         });
 
         // Database monitoring webhook
-        this.app.post('/monitoring/database', async (req, res) => {
+        this.app.post('/monitoring/database', this.verifySignature, async (req, res) => {
             try {
                 const { changes, tables } = req.body;
                 
@@ -158,7 +165,7 @@ class WebhookServer {
         });
 
         // Backup request webhook
-        this.app.post('/operations/backup', async (req, res) => {
+        this.app.post('/operations/backup', this.verifySignature, async (req, res) => {
             try {
                 const { reason, priority, tables } = req.body;
                 
@@ -188,7 +195,7 @@ class WebhookServer {
         });
 
         // Field consolidation request webhook
-        this.app.post('/operations/consolidate', async (req, res) => {
+        this.app.post('/operations/consolidate', this.verifySignature, async (req, res) => {
             try {
                 const { analysis, opportunities } = req.body;
                 
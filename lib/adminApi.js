@@ -0,0 +1,233 @@
+/**
+ * Admin Session API
+ * Token-protected ops endpoints for debugging generations without shell
+ * access to webhook-data/. Mounted at /api/admin by webhook-server.js; point
+ * SESSION_STORE_BACKEND=supabase at production to inspect live sessions.
+ *
+ *   GET    /sessions                     filter by customerId, status, from, to; cursor paged
+ *   GET    /sessions/:sessionId          metadata only (confidence, quality metrics, size)
+ *   DELETE /sessions/:sessionId          remove a session now
+ *   POST   /sessions/:sessionId/expire   let a session lapse after { ttlSeconds } (default now)
+ *   POST   /sessions/:sessionId/redeliver  re-sync the session's resources to Airtable
+ */
+
+const express = require('express');
+const { createAdminAuthMiddleware } = require('./adminAuth');
+const { toUiResources } = require('./airtableResourceSync');
+const { assertValidId } = require('./sessionStore/SessionStore');
+
+const STATUS_PATTERN = /^[a-z_]{1,64}$/;
+
+class AdminRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new AdminRequestError(`${name} must be an ISO date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Translate query params into session store list() options
+ */
+function parseSessionQuery(query = {}) {
+  const { customerId, status, from, to, cursor, limit } = query;
+
+  if (status !== undefined && (typeof status !== 'string' || !STATUS_PATTERN.test(status))) {
+    throw new AdminRequestError('status must be a lowercase identifier such as completed or completed_with_warnings');
+  }
+  if (limit !== undefined && !/^\d+$/.test(limit)) {
+    throw new AdminRequestError('limit must be a positive integer');
+  }
+
+  const createdFrom = parseDateParam(from, 'from');
+  const createdTo = parseDateParam(to, 'to');
+  if (createdFrom && createdTo && createdFrom > createdTo) {
+    throw new AdminRequestError('from must be before to');
+  }
+
+  return {
+    customerId: customerId || undefined,
+    status: status || undefined,
+    createdFrom,
+    createdTo,
+    cursor: cursor || undefined,
+    limit: limit ? parseInt(limit, 10) : undefined
+  };
+}
+
+/**
+ * Metadata view of a stored session - enough to debug a generation without
+ * shipping the generated content around
+ */
+function describeSession(record) {
+  const data = record.data || {};
+  const resources = data.resources || {};
+
+  const resourceSummaries = {};
+  Object.entries(resources).forEach(([key, resource]) => {
+    resourceSummaries[key] = {
+      title: resource?.title || null,
+      confidence: resource?.confidence_score ?? null,
+      generated: resource?.generated ?? null,
+      qualityGate: resource?.quality_gate?.status ?? null,
+      assumedFields: resource?.structured?.assumedFields ?? null,
+      sizeBytes: Buffer.byteLength(JSON.stringify(resource?.structured ?? resource?.content ?? ''))
+    };
+  });
+
+  const metadata = { ...record };
+  delete metadata.data;
+  return {
+    ...metadata,
+    sizeBytes: record.sizeBytes ?? Buffer.byteLength(JSON.stringify(data)),
+    recordId: data.recordId || null,
+    productName: data.productName || null,
+    confidence: data.qualityMetrics?.overall_confidence ?? data.averageConfidence ?? null,
+    qualityMetrics: data.qualityMetrics || null,
+    validationResults: data.validationResults || null,
+    qualityGate: data.qualityGate || null,
+    resources: resourceSummaries
+  };
+}
+
+/**
+ * @param {Object} options - { sessionStore, resourceSync, token, env }
+ */
+function createAdminRouter(options = {}) {
+  const { sessionStore, resourceSync } = options;
+  const router = express.Router();
+
+  router.use(createAdminAuthMiddleware(options));
+  router.use(express.json({ limit: '100kb' }));
+  router.use((req, res, next) => {
+    console.log(`🛠️ Admin ${req.method} ${req.originalUrl || req.url}`);
+    next();
+  });
+
+  // Malformed IDs can't name a stored session
+  router.param('sessionId', (req, res, next, sessionId) => {
+    try {
+      assertValidId(sessionId);
+      next();
+    } catch (error) {
+      next(new AdminRequestError('Session not found', 404));
+    }
+  });
+
+  const loadRecord = async (req) => {
+    const record = await sessionStore.getRecord(req.params.sessionId);
+    if (!record) {
+      throw new AdminRequestError('Session not found', 404);
+    }
+    return record;
+  };
+
+  router.get('/sessions', async (req, res, next) => {
+    try {
+      const { records, nextCursor } = await sessionStore.query(parseSessionQuery(req.query));
+      res.json({
+        success: true,
+        sessions: records,
+        count: records.length,
+        nextCursor
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/sessions/:sessionId', async (req, res, next) => {
+    try {
+      res.json({ success: true, session: describeSession(await loadRecord(req)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/sessions/:sessionId', async (req, res, next) => {
+    try {
+      if (!await sessionStore.expire(req.params.sessionId)) {
+        throw new AdminRequestError('Session not found', 404);
+      }
+      console.log(`🗑️ Admin deleted session ${req.params.sessionId}`);
+      res.json({ success: true, sessionId: req.params.sessionId, deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/sessions/:sessionId/expire', async (req, res, next) => {
+    try {
+      const ttlSeconds = req.body?.ttlSeconds ?? 0;
+      if (typeof ttlSeconds !== 'number' || !Number.isFinite(ttlSeconds) || ttlSeconds < 0) {
+        throw new AdminRequestError('ttlSeconds must be a non-negative number');
+      }
+
+      const metadata = await sessionStore.setExpiry(req.params.sessionId, new Date(Date.now() + ttlSeconds * 1000));
+      if (!metadata) {
+        throw new AdminRequestError('Session not found', 404);
+      }
+      console.log(`⏳ Admin set session ${req.params.sessionId} to expire at ${metadata.expiresAt}`);
+      res.json({ success: true, session: metadata });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/sessions/:sessionId/redeliver', async (req, res, next) => {
+    try {
+      const record = await loadRecord(req);
+      if (!record.customerId) {
+        throw new AdminRequestError('Session has no customerId to deliver to', 409);
+      }
+      if (!resourceSync) {
+        throw new AdminRequestError('Airtable sync is not configured on this server', 503);
+      }
+
+      const result = await resourceSync.syncGeneratedResourcesToAirtable(record.customerId, toUiResources(record.data));
+      console.log(`📬 Admin redelivery of ${record.sessionId} to ${record.customerId}: ${result.success ? 'ok' : result.error}`);
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        sessionId: record.sessionId,
+        customerId: record.customerId,
+        ...(result.success
+          ? { recordId: result.recordId, updatedFields: result.updatedFields }
+          : { error: result.error })
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Express recognises error handlers by their four arguments
+  router.use((error, req, res, next) => {
+    if (error instanceof AdminRequestError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    if (error.code === 'INVALID_ID' || error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Admin API error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  describeSession,
+  parseSessionQuery,
+  AdminRequestError
+};
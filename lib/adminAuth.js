@@ -0,0 +1,57 @@
+/**
+ * Admin API Authentication
+ * Ops endpoints require the ADMIN_API_TOKEN shared secret, sent as
+ *   Authorization: Bearer <token>   or   X-Admin-Token: <token>
+ * With no token configured the admin API answers 503 rather than running open.
+ */
+
+const crypto = require('crypto');
+
+function extractAdminToken(headers = {}) {
+  const authorization = headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : headers['x-admin-token'] || null;
+}
+
+/**
+ * Constant-time comparison; hashing first keeps the lengths equal
+ */
+function isValidAdminToken(provided, expected) {
+  if (!provided || !expected) return false;
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Express middleware guarding the admin routes
+ * @param {Object} options - { token, env }
+ */
+function createAdminAuthMiddleware(options = {}) {
+  const env = options.env || process.env;
+  const expected = options.token || env.ADMIN_API_TOKEN;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin API is not configured (set ADMIN_API_TOKEN)'
+      });
+    }
+
+    if (!isValidAdminToken(extractAdminToken(req.headers), expected)) {
+      console.warn(`🔒 Admin request rejected: ${req.method} ${req.originalUrl || req.url} from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid admin token'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  extractAdminToken,
+  isValidAdminToken,
+  createAdminAuthMiddleware
+};
@@ -0,0 +1,168 @@
+/**
+ * Airtable Resource Sync
+ * Server-side counterpart of airtableService.syncGeneratedResourcesToAirtable.
+ * It writes a session's generated resources onto the customer's Customer
+ * Assets record with the same field mapping, so the webhook server can
+ * re-deliver them without a browser.
+ *
+ * Reads AIRTABLE_BASE_ID / AIRTABLE_API_KEY, falling back to the REACT_APP_
+ * names the frontend uses.
+ */
+
+const { resourceText } = require('./structuredResources');
+
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+const CUSTOMER_TABLE = 'Customer Assets';
+const REQUEST_TIMEOUT_MS = 30000;
+
+// UI resource key -> Airtable field and the title stored with it
+const RESOURCE_FIELDS = [
+  { key: 'icp_analysis', field: 'Detailed ICP Analysis', title: 'Ideal Customer Profile Analysis' },
+  { key: 'buyer_personas', field: 'Target Buyer Personas', title: 'Target Buyer Personas' },
+  { key: 'empathy_map', field: 'Empathy Map Content', title: 'Customer Empathy Map' },
+  { key: 'product_market_assessment', field: 'Product Assessment Content', title: 'Product Market Assessment' }
+];
+
+/**
+ * Map stored session data onto the UI resource keys. Handles both the Express
+ * webhook server shape (persona, empathyMap, productPotential) and the
+ * Netlify function shape (buyer_personas, empathy_map, product_assessment).
+ */
+function toUiResources(data) {
+  const resources = data?.resources || {};
+  const withText = (resource) => resource && { ...resource, content: resourceText(resource) };
+
+  return {
+    icp_analysis: withText(resources.icp_analysis),
+    buyer_personas: withText(resources.buyer_personas || resources.persona),
+    empathy_map: withText(resources.empathy_map || resources.empathyMap),
+    product_market_assessment: withText(
+      resources.product_market_assessment || resources.product_assessment || resources.productPotential
+    )
+  };
+}
+
+/**
+ * Airtable fields for a sync, or null when there's nothing to write
+ */
+function buildResourceSyncFields(resources, now = new Date()) {
+  const fields = {};
+
+  RESOURCE_FIELDS.forEach(({ key, field, title }) => {
+    const resource = resources?.[key];
+    if (!resource?.content) return;
+
+    fields[field] = JSON.stringify({
+      title,
+      content: resource.content,
+      confidence_score: resource.confidence_score || 85,
+      generation_date: now.toISOString().split('T')[0],
+      word_count: resource.content.length,
+      status: 'generated',
+      generation_method: resource.generation_method || 'template_enhanced_realistic',
+      // Fields filled with generic defaults rather than research
+      ...(resource.structured ? { assumed_fields: resource.structured.assumedFields } : {})
+    });
+  });
+
+  if (Object.keys(fields).length === 0) return null;
+
+  // Mark recent activity
+  fields['Last Accessed'] = now.toISOString();
+  return fields;
+}
+
+/**
+ * @param {Object} options - { apiKey, baseId, fetch, env }
+ */
+function createAirtableResourceSync(options = {}) {
+  const env = options.env || process.env;
+  const apiKey = options.apiKey || env.AIRTABLE_API_KEY || env.REACT_APP_AIRTABLE_API_KEY;
+  const baseId = options.baseId || env.AIRTABLE_BASE_ID || env.REACT_APP_AIRTABLE_BASE_ID;
+  // Looked up per call so building an unconfigured sync never needs a global fetch
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+  async function request(method, query = '', body) {
+    if (!apiKey || !baseId) {
+      throw new Error('AIRTABLE_API_KEY and AIRTABLE_BASE_ID are required for Airtable sync');
+    }
+
+    const response = await fetchImpl(`${AIRTABLE_API_URL}/${baseId}/${encodeURIComponent(CUSTOMER_TABLE)}${query}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = payload?.error?.message || payload?.error?.type || response.statusText;
+      throw new Error(`Airtable ${method} failed (${response.status}): ${message}`);
+    }
+    return payload;
+  }
+
+  const formulaString = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+  async function findRecordIdByCustomerId(customerId) {
+    const params = new URLSearchParams({ filterByFormula: `{Customer ID} = ${formulaString(customerId)}`, maxRecords: '1' });
+    const payload = await request('GET', `?${params}`);
+    return payload.records?.[0]?.id || null;
+  }
+
+  /**
+   * Whether the token is the Access Token on this customer's record - the
+   * same credential the frontend login checks
+   */
+  async function verifyAccessToken(customerId, accessToken) {
+    if (!customerId || !accessToken) return false;
+    const params = new URLSearchParams({
+      filterByFormula: `AND({Customer ID} = ${formulaString(customerId)}, {Access Token} = ${formulaString(accessToken)})`,
+      maxRecords: '1',
+      'fields[]': 'Customer ID'
+    });
+    const payload = await request('GET', `?${params}`);
+    return (payload.records || []).length > 0;
+  }
+
+  /**
+   * Same contract as the frontend sync: never throws, resolves to
+   * { success, recordId, updatedFields } or { success: false, error }
+   */
+  async function syncGeneratedResourcesToAirtable(customerId, generatedResources) {
+    try {
+      const fields = buildResourceSyncFields(generatedResources);
+      if (!fields) {
+        return { success: false, error: 'No generated resources found' };
+      }
+
+      const recordId = await findRecordIdByCustomerId(customerId);
+      if (!recordId) {
+        return { success: false, error: 'Customer record not found' };
+      }
+
+      await request('PATCH', '', { records: [{ id: recordId, fields }] });
+      return { success: true, recordId, updatedFields: Object.keys(fields) };
+    } catch (error) {
+      console.error('❌ Error syncing generated resources to Airtable:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  return {
+    isConfigured: Boolean(apiKey && baseId),
+    findRecordIdByCustomerId,
+    verifyAccessToken,
+    syncGeneratedResourcesToAirtable
+  };
+}
+
+module.exports = {
+  toUiResources,
+  buildResourceSyncFields,
+  createAirtableResourceSync,
+  RESOURCE_FIELDS
+};
@@ -0,0 +1,311 @@
+/**
+ * Airtable Sync Outbox
+ * Persistent queue of pending Airtable writes so a failed sync is retried
+ * instead of lost. Each job is a JSON file holding the resources to write,
+ * its attempt count and the time of the next attempt:
+ *
+ *   <directory>/pending/<sessionId>.json      waiting for (re)delivery
+ *   <directory>/dead_letter/<sessionId>.json  gave up after maxAttempts
+ *
+ * One job per session: re-enqueueing a session replaces its pending job and
+ * clears any dead letter. Every enqueue or replay gets a new revision, and an
+ * attempt only files its job if the pending copy still has that revision, so
+ * a payload queued while an older one is being delivered is kept. Failed
+ * attempts back off exponentially (baseDelayMs * 2^(attempt - 1), capped at
+ * maxDelayMs). Dead letters stay until an operator replays or drops them with
+ *   airtable-agent sync dlq list|replay|drop
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { assertValidId } = require('./sessionStore/SessionStore');
+const { buildResourceSyncFields, createAirtableResourceSync } = require('./airtableResourceSync');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'webhook-data', '_airtable_outbox');
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ERROR_HISTORY = 10;
+
+const QUEUES = {
+  pending: 'pending',
+  deadLetter: 'dead_letter'
+};
+
+const JOB_TYPE = 'airtable_resource_sync';
+
+const newRevision = () => crypto.randomBytes(8).toString('hex');
+
+// updatedAt also covers jobs written before revisions existed
+const sameRevision = (a, b) => a.revision === b.revision && a.updatedAt === b.updatedAt;
+
+function backoffDelay(attempts, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), maxDelayMs);
+}
+
+class AirtableSyncOutbox {
+  /**
+   * @param {Object} options - { directory, deliver, maxAttempts, baseDelayMs, maxDelayMs }
+   *   deliver(job) resolves to { success, error } like syncGeneratedResourcesToAirtable
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_OUTBOX_DIR;
+    this.deliver = options.deliver;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+    this.processing = null;
+    this.timer = null;
+  }
+
+  jobPath(queue, jobId) {
+    return path.join(this.directory, queue, `${assertValidId(jobId, 'jobId')}.json`);
+  }
+
+  async writeJob(queue, job) {
+    const filePath = this.jobPath(queue, job.id);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(job, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+    return job;
+  }
+
+  async readJob(queue, jobId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.jobPath(queue, jobId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async removeJob(queue, jobId) {
+    try {
+      await fs.promises.unlink(this.jobPath(queue, jobId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async listQueue(queue) {
+    let files;
+    try {
+      files = await fs.promises.readdir(path.join(this.directory, queue));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const jobs = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const job = await this.readJob(queue, file.slice(0, -'.json'.length));
+        if (job) jobs.push(job);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable outbox file ${queue}/${file}:`, error.message);
+      }
+    }
+    return jobs;
+  }
+
+  async listPending() {
+    const jobs = await this.listQueue(QUEUES.pending);
+    return jobs.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  }
+
+  async listDeadLetters() {
+    const jobs = await this.listQueue(QUEUES.deadLetter);
+    return jobs.sort((a, b) => b.deadLetteredAt.localeCompare(a.deadLetteredAt));
+  }
+
+  async get(jobId) {
+    return await this.readJob(QUEUES.pending, jobId) || await this.readJob(QUEUES.deadLetter, jobId);
+  }
+
+  /**
+   * Queue a session's resources for Airtable. Returns the job, or null when
+   * the resources have nothing Airtable would store.
+   */
+  async enqueue({ sessionId, customerId, resources }, now = new Date()) {
+    assertValidId(sessionId);
+    assertValidId(customerId, 'customerId');
+    if (!buildResourceSyncFields(resources, now)) return null;
+
+    const timestamp = now.toISOString();
+    const job = {
+      id: sessionId,
+      type: JOB_TYPE,
+      revision: newRevision(),
+      sessionId,
+      customerId,
+      payload: { resources },
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      state: 'pending',
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      nextAttemptAt: timestamp,
+      lastError: null,
+      errors: []
+    };
+
+    await this.writeJob(QUEUES.pending, job);
+    await this.removeJob(QUEUES.deadLetter, job.id);
+    return job;
+  }
+
+  /**
+   * Make one delivery attempt and file the job according to the outcome
+   */
+  async attempt(job, now = new Date()) {
+    let result;
+    try {
+      result = await this.deliver(job);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    // Re-enqueued during delivery: the newer job stays pending for its own attempt
+    const current = await this.readJob(QUEUES.pending, job.id);
+    if (!current || !sameRevision(current, job)) {
+      return { jobId: job.id, outcome: 'superseded', ...(result?.success && { recordId: result.recordId }) };
+    }
+
+    if (result?.success) {
+      await this.removeJob(QUEUES.pending, job.id);
+      return { jobId: job.id, outcome: 'delivered', recordId: result.recordId };
+    }
+
+    const attempts = job.attempts + 1;
+    const error = result?.error || 'Unknown delivery error';
+    const timestamp = now.toISOString();
+    const updated = {
+      ...job,
+      attempts,
+      updatedAt: timestamp,
+      lastError: error,
+      errors: [...(job.errors || []), { at: timestamp, attempt: attempts, error }].slice(-MAX_ERROR_HISTORY)
+    };
+
+    if (attempts >= (job.maxAttempts || this.maxAttempts)) {
+      await this.writeJob(QUEUES.deadLetter, { ...updated, state: 'dead_letter', deadLetteredAt: timestamp });
+      await this.removeJob(QUEUES.pending, job.id);
+      console.error(`☠️ Airtable sync for session ${job.sessionId} dead-lettered after ${attempts} attempts: ${error}`);
+      return { jobId: job.id, outcome: 'dead_letter', error };
+    }
+
+    const nextAttemptAt = new Date(now.getTime() + backoffDelay(attempts, this.baseDelayMs, this.maxDelayMs)).toISOString();
+    await this.writeJob(QUEUES.pending, { ...updated, nextAttemptAt });
+    console.warn(`🔁 Airtable sync for session ${job.sessionId} failed (attempt ${attempts}), retrying at ${nextAttemptAt}: ${error}`);
+    return { jobId: job.id, outcome: 'retry', error, nextAttemptAt };
+  }
+
+  /**
+   * Attempt every pending job that is due. Overlapping calls share one pass.
+   */
+  processDue(now = new Date()) {
+    if (!this.processing) {
+      this.processing = this.runDue(now).finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async runDue(now) {
+    const results = [];
+    for (const job of await this.listPending()) {
+      if (job.nextAttemptAt > now.toISOString()) break;
+      results.push(await this.attempt(job, now));
+    }
+    return results;
+  }
+
+  /**
+   * Move a dead letter back to pending with a fresh attempt budget.
+   * Earlier errors are kept for the record.
+   */
+  async replay(jobId, now = new Date()) {
+    const job = await this.readJob(QUEUES.deadLetter, jobId);
+    if (!job) return null;
+
+    const { deadLetteredAt, ...rest } = job;
+    const replayed = {
+      ...rest,
+      revision: newRevision(),
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      state: 'pending',
+      updatedAt: now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+      replayedAt: now.toISOString(),
+      lastDeadLetteredAt: deadLetteredAt
+    };
+
+    await this.writeJob(QUEUES.pending, replayed);
+    await this.removeJob(QUEUES.deadLetter, jobId);
+    return replayed;
+  }
+
+  async drop(jobId) {
+    return this.removeJob(QUEUES.deadLetter, jobId);
+  }
+
+  async stats() {
+    const [pending, deadLetter] = await Promise.all([
+      this.listQueue(QUEUES.pending),
+      this.listQueue(QUEUES.deadLetter)
+    ]);
+    return { pending: pending.length, deadLetter: deadLetter.length };
+  }
+
+  start(intervalMs = 15 * 1000) {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Airtable outbox processing failed:', error.message));
+    }, intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Outbox delivering through the server-side Airtable sync.
+ * AIRTABLE_OUTBOX_DIR and AIRTABLE_OUTBOX_MAX_ATTEMPTS override the defaults.
+ * @param {Object} options - { directory, resourceSync, env, ...AirtableSyncOutbox options }
+ */
+function createAirtableSyncOutbox(options = {}) {
+  const env = options.env || process.env;
+  const resourceSync = options.resourceSync || createAirtableResourceSync({ env });
+
+  return new AirtableSyncOutbox({
+    ...options,
+    directory: options.directory || env.AIRTABLE_OUTBOX_DIR,
+    maxAttempts: options.maxAttempts || parseInt(env.AIRTABLE_OUTBOX_MAX_ATTEMPTS),
+    deliver: options.deliver || (job => resourceSync.syncGeneratedResourcesToAirtable(job.customerId, job.payload.resources))
+  });
+}
+
+module.exports = {
+  AirtableSyncOutbox,
+  createAirtableSyncOutbox,
+  backoffDelay,
+  QUEUES,
+  DEFAULT_MAX_ATTEMPTS
+};
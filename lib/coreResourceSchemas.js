@@ -0,0 +1,182 @@
+/**
+ * Core Resources JSON Schemas
+ * Declared shapes for the Claude outputs embedded in Make.com payloads
+ * (ICP, buyer persona, empathy map, product assessment) and for the
+ * validation summary the Make.com scenario computes over them.
+ */
+
+const MAX_TEXT_LENGTH = 20000;
+
+const text = { type: 'string', maxLength: MAX_TEXT_LENGTH };
+const textOrNumber = { type: ['string', 'number'], maxLength: MAX_TEXT_LENGTH };
+const score = { type: 'number', minimum: 0, maximum: 10 };
+
+// Fields we don't explicitly declare may still appear, but only as flat values
+const looseField = {
+  type: ['string', 'number', 'boolean', 'array'],
+  maxLength: MAX_TEXT_LENGTH,
+  maxItems: 50,
+  items: { type: ['string', 'number'], maxLength: 2000 }
+};
+
+const ICP_SCHEMA = {
+  $id: 'core-resources/icp',
+  type: 'object',
+  required: ['company_size_range', 'industry_verticals', 'confidence_score'],
+  properties: {
+    generation_date: text,
+    company_size_range: text,
+    industry_verticals: text,
+    annual_revenue_range: text,
+    employee_count: textOrNumber,
+    geographic_markets: text,
+    organizational_structure: text,
+    growth_stage: text,
+    technology_stack: text,
+    budget_range: text,
+    integration_needs: text,
+    compliance_requirements: text,
+    decision_makers: text,
+    buying_process: text,
+    contract_preferences: text,
+    implementation_readiness: text,
+    support_requirements: text,
+    success_indicators: text,
+    market_research: text,
+    data_sources_appendix: text,
+    confidence_score: score,
+    confidence_score_reasoning: text
+  },
+  additionalProperties: looseField
+};
+
+const PERSONA_SCHEMA = {
+  $id: 'core-resources/persona',
+  type: 'object',
+  required: ['persona_name', 'job_title', 'confidence_score'],
+  properties: {
+    generation_date: text,
+    persona_name: text,
+    age_range: text,
+    annual_income: textOrNumber,
+    education_level: text,
+    geographic_location: text,
+    job_title: text,
+    industry: text,
+    company_size: text,
+    technology_comfort_level: text,
+    budget_authority: text,
+    pain_points: text,
+    goals_and_objectives: text,
+    buying_behavior: text,
+    influences_and_decision_factors: text,
+    day_in_life_summary: text,
+    preferred_communication_channels: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', maxLength: 200 }
+    },
+    decision_timeline: text,
+    objections_and_concerns: text,
+    success_metrics: text,
+    market_research: text,
+    data_sources_appendix: text,
+    confidence_score: score,
+    confidence_score_reasoning: text
+  },
+  additionalProperties: looseField
+};
+
+const EMPATHY_SCHEMA = {
+  $id: 'core-resources/empathy',
+  type: 'object',
+  required: ['what_they_think', 'what_they_feel', 'confidence_score'],
+  properties: {
+    generation_date: text,
+    what_they_think: text,
+    what_they_feel: text,
+    what_they_see: text,
+    what_they_say: text,
+    what_they_do: text,
+    what_they_hear: text,
+    pains_and_frustrations: text,
+    gains_and_benefits: text,
+    external_influences: text,
+    internal_motivations: text,
+    social_environment: text,
+    professional_environment: text,
+    personal_goals: text,
+    professional_goals: text,
+    hopes_and_dreams: text,
+    fears_and_anxieties: text,
+    raw_json_data: text,
+    data_sources_appendix: text,
+    confidence_score: score,
+    confidence_score_reasoning: text
+  },
+  additionalProperties: looseField
+};
+
+const ASSESSMENT_SCHEMA = {
+  $id: 'core-resources/assessment',
+  type: 'object',
+  required: ['what_problems_can_my_product_solve_today', 'confidence_score'],
+  properties: {
+    generation_date: text,
+    what_problems_can_my_product_solve_today: text,
+    what_problems_could_my_product_potentially_solve: text,
+    why_solving_them_matters: text,
+    where_is_the_problem_most_prominent_and_why: text,
+    where_should_i_engage_target_buyers: text,
+    how_do_i_turn_them_into_customers: text,
+    what_actions_will_they_show_that_theyre_receiving_real_value: text,
+    how_to_keep_them_coming_back: text,
+    current_product_potential_score: score,
+    gaps_preventing_a_10_10_score: text,
+    data_backed_improvement_strategy: text,
+    conclusion: text,
+    raw_json_data: text,
+    data_sources_appendix: text,
+    confidence_score: score,
+    confidence_score_reasoning: text
+  },
+  additionalProperties: looseField
+};
+
+// Shape returned by the Make.com validation IIFE
+const VALIDATION_RESULT_SCHEMA = {
+  $id: 'core-resources/validation-result',
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['ready_for_upload', 'quality_issues', 'validation_error'] },
+    average_confidence: score,
+    individual_scores: { type: 'array', maxItems: 4, items: score },
+    validations: {
+      type: 'object',
+      additionalProperties: { type: 'boolean' }
+    },
+    timestamp: { type: 'string', maxLength: 64 },
+    recommendations: { type: 'string', maxLength: 2000 },
+    total_modules_valid: { type: 'integer', minimum: 0, maximum: 10 },
+    error: { type: 'string', maxLength: 2000 }
+  },
+  additionalProperties: false
+};
+
+// Keyed by the variable name the Make.com IIFE assigns each Claude output to
+const RESOURCE_SCHEMAS = {
+  icpData: ICP_SCHEMA,
+  personaData: PERSONA_SCHEMA,
+  empathyData: EMPATHY_SCHEMA,
+  assessmentData: ASSESSMENT_SCHEMA
+};
+
+module.exports = {
+  ICP_SCHEMA,
+  PERSONA_SCHEMA,
+  EMPATHY_SCHEMA,
+  ASSESSMENT_SCHEMA,
+  VALIDATION_RESULT_SCHEMA,
+  RESOURCE_SCHEMAS
+};
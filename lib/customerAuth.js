@@ -0,0 +1,70 @@
+/**
+ * Customer API Authentication
+ * Endpoints scoped to one customer take that customer's platform access
+ * token (the one they log in with) as
+ *   X-Customer-Token: <token>
+ * and check it against their Airtable customer record. The ADMIN_API_TOKEN
+ * (see adminAuth.js) is accepted for any customer.
+ */
+
+const crypto = require('crypto');
+const { extractAdminToken, isValidAdminToken } = require('./adminAuth');
+
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function extractCustomerToken(headers = {}) {
+  return headers['x-customer-token'] || null;
+}
+
+/**
+ * @param {Object} options - { verifyCustomer(customerId, token) => Promise<boolean>,
+ *   adminToken, env, cacheTtlMs }. Without verifyCustomer only the admin token is accepted.
+ * @returns {Function} (headers, customerId) => Promise<null | { statusCode, error }>
+ */
+function createCustomerAuthenticator(options = {}) {
+  const env = options.env || process.env;
+  const adminToken = options.adminToken || env.ADMIN_API_TOKEN;
+  const { verifyCustomer } = options;
+  const cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+
+  // Successful checks only, keyed by a hash so tokens aren't held in memory
+  const verified = new Map();
+  const cacheKey = (customerId, token) => crypto.createHash('sha256').update(`${customerId}\n${token}`).digest('hex');
+
+  return async (headers, customerId) => {
+    if (isValidAdminToken(extractAdminToken(headers), adminToken)) return null;
+
+    const token = extractCustomerToken(headers);
+    if (!token) {
+      return { statusCode: 401, error: 'Customer token required' };
+    }
+    if (!verifyCustomer) {
+      return { statusCode: 503, error: 'Customer verification is not configured' };
+    }
+
+    const key = cacheKey(customerId, token);
+    if (verified.get(key) > Date.now()) return null;
+
+    let valid;
+    try {
+      valid = await verifyCustomer(customerId, token);
+    } catch (error) {
+      console.error(`❌ Customer token check failed for ${customerId}:`, error.message);
+      return { statusCode: 503, error: 'Could not verify customer token' };
+    }
+
+    if (!valid) {
+      verified.delete(key);
+      console.warn(`🔒 Customer token rejected for ${customerId}`);
+      return { statusCode: 401, error: 'Invalid customer token' };
+    }
+
+    verified.set(key, Date.now() + cacheTtlMs);
+    return null;
+  };
+}
+
+module.exports = {
+  extractCustomerToken,
+  createCustomerAuthenticator
+};
@@ -0,0 +1,396 @@
+/**
+ * HubSpot Connector
+ * Pushes CRMIntegrationService.generateHubSpotProperties output into a HubSpot
+ * portal through the CRM v3 APIs, then upserts contacts and companies with
+ * their ICP fit scores and persona types.
+ *
+ * Every step reads before it writes, so a push can be re-run safely: the
+ * h_s_revenue_intelligence group and each property are created when missing
+ * and patched only where they differ, records are matched by email (contacts)
+ * or domain (companies) and patched only with changed values. With dryRun the
+ * same reads happen and the report describes what would be written.
+ *
+ * Reads HUBSPOT_ACCESS_TOKEN (a private app token) and HUBSPOT_API_URL, which
+ * points the connector at lib/hubspotMockServer.js for offline runs.
+ */
+
+const HUBSPOT_API_URL = 'https://api.hubapi.com';
+const PROPERTY_GROUP = 'h_s_revenue_intelligence';
+const PROPERTY_GROUP_LABEL = 'H&S Revenue Intelligence';
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 3;
+
+// generateHubSpotProperties key -> CRM object type
+const DEFINITION_OBJECT_TYPES = {
+  contactProperties: 'contacts',
+  companyProperties: 'companies',
+  dealProperties: 'deals'
+};
+
+// Records are upserted on these unique properties
+const RECORD_KEYS = {
+  contacts: 'email',
+  companies: 'domain'
+};
+
+// Property fields the connector owns; anything else on a HubSpot property is left alone
+const PROPERTY_FIELDS = ['label', 'description', 'groupName', 'type', 'fieldType'];
+
+class HubSpotApiError extends Error {
+  constructor(message, statusCode, category) {
+    super(message);
+    this.name = 'HubSpotApiError';
+    this.statusCode = statusCode;
+    this.category = category;
+  }
+}
+
+/**
+ * A generateHubSpotProperties definition in the shape the properties API
+ * accepts. Only enumerations carry options there; min/max/rows are UI hints.
+ */
+function toHubSpotProperty(definition) {
+  const property = {
+    name: definition.name,
+    label: definition.label,
+    description: definition.description || '',
+    groupName: definition.groupName || PROPERTY_GROUP,
+    type: definition.type,
+    fieldType: definition.fieldType
+  };
+
+  if (definition.type === 'enumeration') {
+    property.options = (definition.options || []).map((option, index) => ({
+      label: option.label,
+      value: option.value,
+      description: option.description || '',
+      displayOrder: index,
+      hidden: false
+    }));
+  }
+  return property;
+}
+
+/**
+ * Group the definitions by object type, ready for syncSchema
+ * @returns {Object} { contacts: [...], companies: [...], deals: [...] }
+ */
+function propertiesByObjectType(definitions = {}) {
+  const byType = {};
+  Object.entries(DEFINITION_OBJECT_TYPES).forEach(([key, objectType]) => {
+    if (Array.isArray(definitions[key]) && definitions[key].length > 0) {
+      byType[objectType] = definitions[key].map(toHubSpotProperty);
+    }
+  });
+  return byType;
+}
+
+const optionsKey = (options = []) => JSON.stringify(options.map(({ label, value }) => [label, value]));
+
+/**
+ * Fields that differ between the wanted property and the one in HubSpot
+ * @returns {Object} field -> { from, to }, empty when they match
+ */
+function propertyChanges(desired, current) {
+  const changes = {};
+  PROPERTY_FIELDS.forEach(field => {
+    if ((current[field] ?? '') !== (desired[field] ?? '')) {
+      changes[field] = { from: current[field], to: desired[field] };
+    }
+  });
+  if (desired.options && optionsKey(desired.options) !== optionsKey(current.options)) {
+    changes.options = {
+      from: (current.options || []).map(option => option.value),
+      to: desired.options.map(option => option.value)
+    };
+  }
+  return changes;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// HubSpot returns every property value as a string
+function sameValue(desired, current) {
+  if (isBlank(current)) return false;
+  if (typeof desired === 'number') return Number(current) === desired;
+  return String(desired) === String(current);
+}
+
+/**
+ * Values to write onto a record, checked against the property definitions.
+ * Blank values are dropped so a push never clears data already in HubSpot.
+ * @returns {Object} { key, properties, errors }
+ */
+function prepareRecord(record, objectType, properties = []) {
+  const keyProperty = RECORD_KEYS[objectType];
+  const definitions = new Map(properties.map(property => [property.name, property]));
+  const errors = [];
+  const values = {};
+
+  Object.entries(record || {}).forEach(([name, value]) => {
+    if (isBlank(value)) return;
+    const definition = definitions.get(name);
+
+    if (definition?.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        errors.push(`${name} must be a number`);
+        return;
+      }
+      const { min, max } = definition.range || {};
+      if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+        errors.push(`${name} must be between ${min} and ${max}`);
+        return;
+      }
+      values[name] = number;
+      return;
+    }
+    if (definition?.type === 'enumeration') {
+      const allowed = definition.options.map(option => option.value);
+      if (!allowed.includes(value)) {
+        errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+        return;
+      }
+    }
+    values[name] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  const key = typeof values[keyProperty] === 'string' ? values[keyProperty].toLowerCase() : values[keyProperty];
+  if (isBlank(key)) {
+    errors.unshift(`Missing ${keyProperty}`);
+  } else {
+    values[keyProperty] = key;
+  }
+
+  return { key: key || null, properties: values, errors };
+}
+
+/**
+ * Number ranges stay with the definitions for record validation even
+ * though the properties API has nowhere to store them
+ */
+function validationProperties(definitions = {}, objectType) {
+  const key = Object.keys(DEFINITION_OBJECT_TYPES).find(name => DEFINITION_OBJECT_TYPES[name] === objectType);
+  return (definitions[key] || []).map(definition => ({
+    ...toHubSpotProperty(definition),
+    range: definition.type === 'number' ? { min: definition.options?.min, max: definition.options?.max } : undefined
+  }));
+}
+
+function summarize(results) {
+  const summary = { created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+  results.forEach(({ action }) => {
+    summary[action] += 1;
+  });
+  return summary;
+}
+
+/**
+ * @param {Object} options - { accessToken, baseUrl, fetch, env, sleep, maxRetries }
+ */
+function createHubSpotConnector(options = {}) {
+  const env = options.env || process.env;
+  const accessToken = options.accessToken || env.HUBSPOT_ACCESS_TOKEN;
+  const baseUrl = (options.baseUrl || env.HUBSPOT_API_URL || HUBSPOT_API_URL).replace(/\/+$/, '');
+  const fetchImpl = options.fetch || fetch;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const maxRetries = options.maxRetries ?? MAX_RETRIES;
+
+  /**
+   * @returns {Object|null} the response body, or null for a 404 when allowMissing is set
+   */
+  async function request(method, path, body, { allowMissing = false } = {}) {
+    if (!accessToken) {
+      throw new Error('HUBSPOT_ACCESS_TOKEN is required to push to HubSpot');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      // Private apps get 100 requests per 10 seconds; back off rather than fail the push
+      if (response.status === 429 && attempt < maxRetries) {
+        const retryAfter = Number(response.headers?.get?.('retry-after'));
+        await sleep(Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt);
+        continue;
+      }
+      if (response.status === 404 && allowMissing) {
+        return null;
+      }
+
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new HubSpotApiError(
+          `HubSpot ${method} ${path} failed (${response.status}): ${payload.message || response.statusText}`,
+          response.status,
+          payload.category
+        );
+      }
+      return payload;
+    }
+  }
+
+  async function ensureGroup(objectType, dryRun) {
+    const path = `/crm/v3/properties/${objectType}/groups`;
+    const existing = await request('GET', `${path}/${PROPERTY_GROUP}`, undefined, { allowMissing: true });
+    if (existing) {
+      return { kind: 'group', objectType, name: PROPERTY_GROUP, action: 'unchanged' };
+    }
+
+    if (!dryRun) {
+      await request('POST', path, { name: PROPERTY_GROUP, label: PROPERTY_GROUP_LABEL, displayOrder: -1 });
+    }
+    return { kind: 'group', objectType, name: PROPERTY_GROUP, action: 'created' };
+  }
+
+  async function ensureProperty(objectType, property, dryRun) {
+    const path = `/crm/v3/properties/${objectType}`;
+    const existing = await request('GET', `${path}/${property.name}`, undefined, { allowMissing: true });
+
+    if (!existing) {
+      if (!dryRun) await request('POST', path, property);
+      return { kind: 'property', objectType, name: property.name, action: 'created' };
+    }
+
+    const changes = propertyChanges(property, existing);
+    if (Object.keys(changes).length === 0) {
+      return { kind: 'property', objectType, name: property.name, action: 'unchanged' };
+    }
+
+    if (!dryRun) {
+      const patch = {};
+      Object.keys(changes).forEach(field => { patch[field] = property[field]; });
+      await request('PATCH', `${path}/${property.name}`, patch);
+    }
+    return { kind: 'property', objectType, name: property.name, action: 'updated', changes };
+  }
+
+  /**
+   * Create the property group and properties for every object type the
+   * definitions cover. A failure is reported on its item and the rest carry on.
+   * @returns {Object} { dryRun, results, summary }
+   */
+  async function syncSchema(definitions, { dryRun = false } = {}) {
+    const results = [];
+
+    for (const [objectType, properties] of Object.entries(propertiesByObjectType(definitions))) {
+      try {
+        results.push(await ensureGroup(objectType, dryRun));
+      } catch (error) {
+        results.push({ kind: 'group', objectType, name: PROPERTY_GROUP, action: 'failed', error: error.message });
+      }
+
+      for (const property of properties) {
+        try {
+          results.push(await ensureProperty(objectType, property, dryRun));
+        } catch (error) {
+          results.push({ kind: 'property', objectType, name: property.name, action: 'failed', error: error.message });
+        }
+      }
+    }
+
+    return { dryRun, results, summary: summarize(results) };
+  }
+
+  async function findRecord(objectType, keyProperty, key, propertyNames) {
+    const { results = [] } = await request('POST', `/crm/v3/objects/${objectType}/search`, {
+      filterGroups: [{ filters: [{ propertyName: keyProperty, operator: 'EQ', value: key }] }],
+      properties: propertyNames,
+      limit: 1
+    });
+    return results[0] || null;
+  }
+
+  async function upsertRecord(objectType, record, properties, dryRun) {
+    const { key, properties: values, errors } = prepareRecord(record, objectType, properties);
+    if (errors.length > 0) {
+      return { objectType, key, action: 'skipped', error: errors.join('; ') };
+    }
+
+    const existing = await findRecord(objectType, RECORD_KEYS[objectType], key, Object.keys(values));
+    const current = existing?.properties || {};
+    const changes = {};
+    Object.entries(values).forEach(([name, value]) => {
+      if (!sameValue(value, current[name])) {
+        changes[name] = { from: current[name] ?? null, to: value };
+      }
+    });
+
+    if (!existing) {
+      const created = dryRun ? null : await request('POST', `/crm/v3/objects/${objectType}`, { properties: values });
+      return { objectType, key, action: 'created', id: created?.id || null, changes };
+    }
+    if (Object.keys(changes).length === 0) {
+      return { objectType, key, action: 'unchanged', id: existing.id };
+    }
+
+    if (!dryRun) {
+      const patch = {};
+      Object.keys(changes).forEach(name => { patch[name] = values[name]; });
+      await request('PATCH', `/crm/v3/objects/${objectType}/${existing.id}`, { properties: patch });
+    }
+    return { objectType, key, action: 'updated', id: existing.id, changes };
+  }
+
+  /**
+   * @param {Object} records - { contacts, companies } rows keyed by HubSpot
+   *   property name, e.g. { email, firstname, icp_fit_score, buyer_persona_type }
+   * @param {Object} definitions - generateHubSpotProperties output, used to
+   *   validate scores and persona types before anything is sent
+   * @returns {Object} { dryRun, results, summary } - one result per record
+   */
+  async function upsertRecords(records = {}, definitions = {}, { dryRun = false } = {}) {
+    const results = [];
+
+    for (const objectType of Object.keys(RECORD_KEYS)) {
+      const properties = validationProperties(definitions, objectType);
+      for (const record of records[objectType] || []) {
+        try {
+          results.push(await upsertRecord(objectType, record, properties, dryRun));
+        } catch (error) {
+          results.push({ objectType, key: record?.[RECORD_KEYS[objectType]] || null, action: 'failed', error: error.message });
+        }
+      }
+    }
+
+    return { dryRun, results, summary: summarize(results) };
+  }
+
+  /**
+   * Schema first, then records, so the records' properties exist by the time
+   * they are written
+   * @returns {Object} { dryRun, schema, records }
+   */
+  async function push({ definitions, contacts = [], companies = [], dryRun = false }) {
+    const schema = await syncSchema(definitions, { dryRun });
+    const records = await upsertRecords({ contacts, companies }, definitions, { dryRun });
+    return { dryRun, schema, records };
+  }
+
+  return {
+    isConfigured: Boolean(accessToken),
+    baseUrl,
+    syncSchema,
+    upsertRecords,
+    push
+  };
+}
+
+module.exports = {
+  HUBSPOT_API_URL,
+  PROPERTY_GROUP,
+  RECORD_KEYS,
+  HubSpotApiError,
+  toHubSpotProperty,
+  propertiesByObjectType,
+  propertyChanges,
+  prepareRecord,
+  createHubSpotConnector
+};
@@ -0,0 +1,336 @@
+/**
+ * HubSpot Mock Server
+ * In-memory stand-in for the slice of the HubSpot CRM v3 API the connector
+ * uses, so pushes can be tried and tested without a portal:
+ *
+ *   GET   /crm/v3/properties/:objectType/groups/:groupName
+ *   POST  /crm/v3/properties/:objectType/groups
+ *   GET   /crm/v3/properties/:objectType/:propertyName
+ *   POST  /crm/v3/properties/:objectType
+ *   PATCH /crm/v3/properties/:objectType/:propertyName
+ *   POST  /crm/v3/objects/:objectType/search      EQ filters only
+ *   POST  /crm/v3/objects/:objectType
+ *   PATCH /crm/v3/objects/:objectType/:objectId
+ *
+ * It enforces what trips up real pushes: the bearer token, properties
+ * needing an existing group, records only taking defined properties and
+ * enumeration values, and 429s on demand through rateLimitNext().
+ *
+ * Run standalone with `npm run hubspot-mock [-- --port 3002]`, then point the
+ * connector at it with HUBSPOT_API_URL.
+ */
+
+const http = require('http');
+
+const DEFAULT_ACCESS_TOKEN = 'mock-hubspot-token';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Built-in properties every portal has; enough for the connector's records
+const STANDARD_PROPERTIES = {
+  contacts: ['email', 'firstname', 'lastname', 'company', 'jobtitle', 'phone', 'website'],
+  companies: ['name', 'domain', 'industry', 'numberofemployees', 'annualrevenue', 'city', 'country'],
+  deals: ['dealname', 'amount', 'dealstage', 'pipeline', 'closedate']
+};
+
+const STANDARD_GROUPS = {
+  contacts: 'contactinformation',
+  companies: 'companyinformation',
+  deals: 'dealinformation'
+};
+
+class MockHubSpotError extends Error {
+  constructor(statusCode, category, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.category = category;
+  }
+}
+
+function createState() {
+  const state = { groups: {}, properties: {}, objects: {}, nextId: 1 };
+  Object.entries(STANDARD_PROPERTIES).forEach(([objectType, names]) => {
+    const groupName = STANDARD_GROUPS[objectType];
+    state.groups[objectType] = new Map([[groupName, { name: groupName, label: 'Information', displayOrder: 0 }]]);
+    state.properties[objectType] = new Map(names.map(name => [name, {
+      name,
+      label: name,
+      type: 'string',
+      fieldType: 'text',
+      groupName,
+      hubspotDefined: true
+    }]));
+    state.objects[objectType] = new Map();
+  });
+  return state;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new MockHubSpotError(413, 'VALIDATION_ERROR', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new MockHubSpotError(400, 'VALIDATION_ERROR', 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {Object} options - { accessToken } - the token requests must carry
+ */
+function createHubSpotMockServer(options = {}) {
+  const accessToken = options.accessToken || DEFAULT_ACCESS_TOKEN;
+  let state = createState();
+  let rateLimited = 0;
+  const requests = [];
+
+  const objectStore = (objectType) => {
+    if (!state.objects[objectType]) {
+      throw new MockHubSpotError(400, 'OBJECT_TYPE_NOT_FOUND', `Unable to infer object type from: ${objectType}`);
+    }
+    return state.objects[objectType];
+  };
+
+  const propertyStore = (objectType) => {
+    objectStore(objectType);
+    return state.properties[objectType];
+  };
+
+  const groupStore = (objectType) => {
+    objectStore(objectType);
+    return state.groups[objectType];
+  };
+
+  function validateProperty(objectType, property) {
+    const missing = ['name', 'label', 'type', 'fieldType', 'groupName'].filter(field => !property[field]);
+    if (missing.length > 0) {
+      throw new MockHubSpotError(400, 'VALIDATION_ERROR', `Property is missing ${missing.join(', ')}`);
+    }
+    if (!state.groups[objectType].has(property.groupName)) {
+      throw new MockHubSpotError(400, 'VALIDATION_ERROR', `Property group ${property.groupName} does not exist`);
+    }
+    if (property.type === 'enumeration' && !(property.options || []).length) {
+      throw new MockHubSpotError(400, 'VALIDATION_ERROR', `Enumeration property ${property.name} needs options`);
+    }
+  }
+
+  // Values are stored the way HubSpot returns them: as strings
+  function writeValues(objectType, target, values = {}) {
+    const properties = propertyStore(objectType);
+    Object.entries(values).forEach(([name, value]) => {
+      const property = properties.get(name);
+      if (!property) {
+        throw new MockHubSpotError(400, 'VALIDATION_ERROR', `Property "${name}" does not exist`);
+      }
+      const text = value === null ? '' : String(value);
+      if (property.type === 'number' && text !== '' && !Number.isFinite(Number(text))) {
+        throw new MockHubSpotError(400, 'VALIDATION_ERROR', `${text} was not a valid number for ${name}`);
+      }
+      if (property.type === 'enumeration' && text !== '' && !property.options.some(option => option.value === text)) {
+        throw new MockHubSpotError(400, 'VALIDATION_ERROR', `${text} was not one of the allowed options for ${name}`);
+      }
+      target[name] = text;
+    });
+  }
+
+  function toResponse(record, names) {
+    const properties = {};
+    (names || Object.keys(record.properties)).forEach(name => {
+      properties[name] = record.properties[name] ?? null;
+    });
+    return { id: record.id, properties, createdAt: record.createdAt, updatedAt: record.updatedAt, archived: false };
+  }
+
+  async function route(method, segments, req) {
+    const [crm, version, area, objectType, ...rest] = segments;
+    if (crm !== 'crm' || version !== 'v3' || !objectType) {
+      throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', 'Not found');
+    }
+
+    if (area === 'properties' && rest[0] === 'groups') {
+      const groups = groupStore(objectType);
+      if (method === 'GET' && rest[1]) {
+        const group = groups.get(rest[1]);
+        if (!group) throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', `Property group ${rest[1]} does not exist`);
+        return [200, group];
+      }
+      if (method === 'POST' && !rest[1]) {
+        const body = await readJson(req);
+        if (!body.name || !body.label) throw new MockHubSpotError(400, 'VALIDATION_ERROR', 'Group needs a name and label');
+        if (groups.has(body.name)) throw new MockHubSpotError(409, 'OBJECT_ALREADY_EXISTS', `Property group ${body.name} already exists`);
+        const group = { name: body.name, label: body.label, displayOrder: body.displayOrder ?? -1 };
+        groups.set(group.name, group);
+        return [201, group];
+      }
+    }
+
+    if (area === 'properties' && rest[0] !== 'groups') {
+      const properties = propertyStore(objectType);
+      const [name] = rest;
+      if (method === 'GET' && name) {
+        const property = properties.get(name);
+        if (!property) throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', `Property ${name} does not exist`);
+        return [200, property];
+      }
+      if (method === 'POST' && !name) {
+        const body = await readJson(req);
+        validateProperty(objectType, body);
+        if (properties.has(body.name)) throw new MockHubSpotError(409, 'OBJECT_ALREADY_EXISTS', `Property ${body.name} already exists`);
+        const property = { ...body, hubspotDefined: false };
+        properties.set(property.name, property);
+        return [201, property];
+      }
+      if (method === 'PATCH' && name) {
+        const existing = properties.get(name);
+        if (!existing) throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', `Property ${name} does not exist`);
+        const property = { ...existing, ...(await readJson(req)), name };
+        validateProperty(objectType, property);
+        properties.set(name, property);
+        return [200, property];
+      }
+    }
+
+    if (area === 'objects') {
+      const objects = objectStore(objectType);
+      if (method === 'POST' && rest[0] === 'search') {
+        const body = await readJson(req);
+        const filters = body.filterGroups?.[0]?.filters || [];
+        if (filters.some(filter => filter.operator !== 'EQ')) {
+          throw new MockHubSpotError(400, 'VALIDATION_ERROR', 'The mock server only supports EQ filters');
+        }
+        const matches = [...objects.values()].filter(record => filters.every(({ propertyName, value }) =>
+          String(record.properties[propertyName] ?? '').toLowerCase() === String(value).toLowerCase()
+        ));
+        return [200, { total: matches.length, results: matches.slice(0, body.limit || 10).map(record => toResponse(record, body.properties)) }];
+      }
+      if (method === 'POST' && rest.length === 0) {
+        const body = await readJson(req);
+        const now = new Date().toISOString();
+        const record = { id: String(state.nextId), properties: {}, createdAt: now, updatedAt: now };
+        writeValues(objectType, record.properties, body.properties);
+        state.nextId++;
+        objects.set(record.id, record);
+        return [201, toResponse(record)];
+      }
+      if (method === 'PATCH' && rest.length === 1) {
+        const record = objects.get(rest[0]);
+        if (!record) throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', `Object ${rest[0]} does not exist`);
+        const body = await readJson(req);
+        const properties = { ...record.properties };
+        writeValues(objectType, properties, body.properties);
+        record.properties = properties;
+        record.updatedAt = new Date().toISOString();
+        return [200, toResponse(record)];
+      }
+    }
+
+    throw new MockHubSpotError(404, 'OBJECT_NOT_FOUND', `No route for ${method} /${segments.join('/')}`);
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: pathname });
+
+    let status;
+    let body;
+    try {
+      if (req.headers.authorization !== `Bearer ${accessToken}`) {
+        throw new MockHubSpotError(401, 'INVALID_AUTHENTICATION', 'Authentication credentials not found');
+      }
+      if (rateLimited > 0) {
+        rateLimited--;
+        res.setHeader('Retry-After', '1');
+        throw new MockHubSpotError(429, 'RATE_LIMITS', 'You have reached your secondly limit');
+      }
+      [status, body] = await route(req.method, pathname.split('/').filter(Boolean).map(decodeURIComponent), req);
+    } catch (error) {
+      status = error.statusCode || 500;
+      body = { status: 'error', category: error.category || 'INTERNAL_ERROR', message: error.message };
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res);
+  });
+
+  return {
+    accessToken,
+    requests,
+
+    /**
+     * @returns {Promise<string>} base URL to use as HUBSPOT_API_URL
+     */
+    start(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          resolve(`http://${address.address}:${address.port}`);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    /** Answer the next count requests with 429 and Retry-After: 1 */
+    rateLimitNext(count = 1) {
+      rateLimited = count;
+    },
+
+    reset() {
+      state = createState();
+      rateLimited = 0;
+      requests.length = 0;
+    },
+
+    getGroup(objectType, name) {
+      return state.groups[objectType]?.get(name) || null;
+    },
+
+    getProperty(objectType, name) {
+      return state.properties[objectType]?.get(name) || null;
+    },
+
+    /** Records of one type, properties as HubSpot stores them */
+    listRecords(objectType) {
+      return [...(state.objects[objectType]?.values() || [])].map(record => toResponse(record));
+    }
+  };
+}
+
+if (require.main === module) {
+  const portFlag = process.argv.indexOf('--port');
+  const port = portFlag === -1 ? 3002 : Number(process.argv[portFlag + 1]);
+  const mock = createHubSpotMockServer({ accessToken: process.env.HUBSPOT_ACCESS_TOKEN });
+
+  mock.start(port).then(url => {
+    console.log('🧪 HubSpot mock server started');
+    console.log(`🔗 HUBSPOT_API_URL=${url}`);
+    console.log(`🔑 HUBSPOT_ACCESS_TOKEN=${mock.accessToken}`);
+  });
+}
+
+module.exports = {
+  DEFAULT_ACCESS_TOKEN,
+  STANDARD_PROPERTIES,
+  createHubSpotMockServer
+};
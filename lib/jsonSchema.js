@@ -0,0 +1,91 @@
+/**
+ * Minimal JSON Schema validator
+ * Supports the draft-07 subset used by the webhook pipeline schemas:
+ * type, required, properties, additionalProperties, items, enum,
+ * minimum, maximum, minLength, maxLength, minItems, maxItems
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{path: string, message: string}>} empty when valid
+ */
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path, message: `expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
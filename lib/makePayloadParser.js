@@ -0,0 +1,201 @@
+/**
+ * Make.com Payload Parser
+ * Safely turns the JavaScript-execution payloads Make.com posts to
+ * /api/webhook/core-resources into validated data. The embedded Claude
+ * outputs are pulled out with regexes and parsed as JSON; the validation
+ * IIFE itself only ever runs inside a resource-limited sandbox.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { validateSchema } = require('./jsonSchema');
+const { RESOURCE_SCHEMAS, VALIDATION_RESULT_SCHEMA } = require('./coreResourceSchemas');
+
+const DEFAULT_OPTIONS = {
+  maxPayloadBytes: 512 * 1024,
+  timeoutMs: 1000,
+  maxMemoryMb: 32
+};
+
+const IIFE_MARKER = '(() => {';
+
+class PayloadValidationError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'PayloadValidationError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = 422;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: 'Unprocessable webhook payload',
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Check whether a raw body is a Make.com JavaScript execution result
+ */
+function isMakeScriptPayload(bodyString) {
+  return typeof bodyString === 'string' && bodyString.includes(IIFE_MARKER);
+}
+
+/**
+ * Pull the JSON blobs embedded as `const <name> = JSON.parse(`...`);`
+ * @returns {Object} parsed resources keyed by variable name
+ */
+function extractEmbeddedResources(source) {
+  const resources = {};
+  const details = [];
+
+  Object.keys(RESOURCE_SCHEMAS).forEach(name => {
+    const match = source.match(new RegExp(`const ${name} = JSON\\.parse\\(\`([^\`]+)\`\\);`));
+    if (!match) {
+      details.push({ path: `$.${name}`, message: 'embedded JSON not found' });
+      return;
+    }
+
+    try {
+      resources[name] = JSON.parse(match[1]);
+    } catch (error) {
+      details.push({ path: `$.${name}`, message: `invalid JSON: ${error.message}` });
+    }
+  });
+
+  if (details.length > 0) {
+    throw new PayloadValidationError('EXTRACTION_FAILED', 'Could not extract resource JSON from payload', details);
+  }
+
+  return resources;
+}
+
+/**
+ * Validate each extracted resource against its declared schema
+ */
+function validateCoreResources(resources) {
+  const details = [];
+
+  Object.entries(RESOURCE_SCHEMAS).forEach(([name, schema]) => {
+    if (resources[name] === undefined) return;
+    details.push(...validateSchema(schema, resources[name], `$.${name}`));
+  });
+
+  if (details.length > 0) {
+    throw new PayloadValidationError('SCHEMA_VIOLATION', 'Resource data does not match the Core Resources schema', details);
+  }
+
+  return resources;
+}
+
+/**
+ * Evaluate the validation IIFE in a worker-hosted vm context
+ * @returns {Promise<Object>} the IIFE's return value
+ */
+function runValidationSandbox(source, options = {}) {
+  const { timeoutMs, maxMemoryMb } = { ...DEFAULT_OPTIONS, ...options };
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      worker.terminate();
+      fn(value);
+    };
+
+    const worker = new Worker(path.join(__dirname, 'payloadSandboxWorker.js'), {
+      workerData: { source, timeoutMs },
+      env: {},
+      stdout: true,
+      stderr: true,
+      resourceLimits: {
+        maxOldGenerationSizeMb: maxMemoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.floor(maxMemoryMb / 4)),
+        stackSizeMb: 4
+      }
+    });
+
+    // vm's own timeout only covers synchronous evaluation; this catches the rest
+    const killTimer = setTimeout(() => {
+      settle(reject, new PayloadValidationError('SANDBOX_TIMEOUT', `Validation script exceeded ${timeoutMs}ms`));
+    }, timeoutMs * 2 + 1000);
+
+    worker.on('message', message => {
+      if (!message.ok) {
+        settle(reject, new PayloadValidationError(message.code, 'Validation script failed in sandbox', [
+          { path: '$', message: message.message }
+        ]));
+        return;
+      }
+
+      try {
+        settle(resolve, JSON.parse(message.output));
+      } catch (error) {
+        settle(reject, new PayloadValidationError('SANDBOX_ERROR', 'Validation script did not return a JSON value'));
+      }
+    });
+
+    worker.on('error', error => {
+      const code = error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'SANDBOX_MEMORY_LIMIT' : 'SANDBOX_ERROR';
+      settle(reject, new PayloadValidationError(code, 'Validation script was terminated', [
+        { path: '$', message: error.message }
+      ]));
+    });
+
+    worker.on('exit', () => {
+      settle(reject, new PayloadValidationError('SANDBOX_ERROR', 'Validation sandbox exited without a result'));
+    });
+  });
+}
+
+/**
+ * Parse a Make.com JavaScript execution payload end to end
+ * @returns {Promise<Object>} validation results plus the four resource objects
+ */
+async function parseMakeScriptPayload(bodyString, options = {}) {
+  const { maxPayloadBytes } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (Buffer.byteLength(bodyString, 'utf8') > maxPayloadBytes) {
+    throw new PayloadValidationError('PAYLOAD_TOO_LARGE', `Payload exceeds ${maxPayloadBytes} bytes`);
+  }
+
+  const trimmed = bodyString.trim();
+  if (!trimmed.startsWith(IIFE_MARKER) || !/\}\)\(\)\s*;?$/.test(trimmed)) {
+    throw new PayloadValidationError('NOT_AN_IIFE', 'Payload must be a single immediately-invoked arrow function');
+  }
+
+  const resources = validateCoreResources(extractEmbeddedResources(trimmed));
+  const validationResults = await runValidationSandbox(trimmed.replace(/;\s*$/, ''), options);
+
+  const resultErrors = validateSchema(VALIDATION_RESULT_SCHEMA, validationResults, '$.result');
+  if (resultErrors.length > 0) {
+    throw new PayloadValidationError('INVALID_VALIDATION_RESULT', 'Validation script returned an unexpected shape', resultErrors);
+  }
+
+  return {
+    status: validationResults.status,
+    average_confidence: validationResults.average_confidence,
+    individual_scores: validationResults.individual_scores,
+    validations: validationResults.validations,
+    recommendations: validationResults.recommendations,
+    total_modules_valid: validationResults.total_modules_valid,
+    error: validationResults.error,
+    ...resources
+  };
+}
+
+module.exports = {
+  PayloadValidationError,
+  isMakeScriptPayload,
+  extractEmbeddedResources,
+  validateCoreResources,
+  runValidationSandbox,
+  parseMakeScriptPayload
+};
@@ -0,0 +1,62 @@
+/**
+ * Money
+ * Server-side currency formatting for rendered resources. Amounts the model
+ * produces (persona income, budgets) are in the FX table's base currency and
+ * are converted with the same offline table the frontend uses
+ * (src/data/fxRates.json). FX_RATES_FILE points at a replacement table with
+ * the same { base, asOf, rates } shape.
+ */
+
+const fs = require('fs');
+const DEFAULT_FX_RATES = require('../src/data/fxRates.json');
+
+const DEFAULT_MONEY = { currency: DEFAULT_FX_RATES.base, locale: 'en-US' };
+
+const loadedTables = new Map();
+
+function loadFxRates(env = process.env) {
+  const file = env.FX_RATES_FILE;
+  if (!file) return DEFAULT_FX_RATES;
+  if (!loadedTables.has(file)) {
+    try {
+      loadedTables.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`Invalid FX_RATES_FILE (${file}): ${error.message}`);
+    }
+  }
+  return loadedTables.get(file);
+}
+
+/**
+ * { currency, locale } from request input, falling back to the base currency
+ * for codes the FX table doesn't carry and to en-US for malformed locales
+ */
+function resolveMoney({ currency, locale } = {}, fxRates = loadFxRates()) {
+  const code = typeof currency === 'string' ? currency.toUpperCase() : '';
+  const resolved = { ...DEFAULT_MONEY, currency: fxRates.rates[code] > 0 ? code : fxRates.base };
+  if (locale) {
+    try {
+      resolved.locale = Intl.getCanonicalLocales(locale)[0];
+    } catch (error) {
+      // Malformed tag - keep the default locale
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Base-currency amount converted and formatted, without minor units
+ */
+function formatBaseAmount(amount, money = DEFAULT_MONEY, fxRates = loadFxRates()) {
+  const { currency, locale } = resolveMoney(money, fxRates);
+  const converted = amount * (fxRates.rates[currency] / fxRates.rates[fxRates.base]);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 })
+    .format(Math.round(converted));
+}
+
+module.exports = {
+  DEFAULT_MONEY,
+  loadFxRates,
+  resolveMoney,
+  formatBaseAmount
+};
@@ -0,0 +1,34 @@
+/**
+ * Payload Sandbox Worker
+ * Evaluates a Make.com validation IIFE inside an empty vm context. Runs in a
+ * worker thread so the parent can cap its heap and terminate it outright.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+try {
+  // Fresh context: no require, process, Buffer or host objects, and no eval/Function
+  const context = vm.createContext(Object.create(null), {
+    name: 'make-payload-sandbox',
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  // Serialize inside the sandbox so only a plain string crosses back to the host
+  const script = new vm.Script(`JSON.stringify(${workerData.source})`, {
+    filename: 'make-payload.js'
+  });
+  const output = script.runInContext(context, {
+    timeout: workerData.timeoutMs,
+    breakOnSigint: false
+  });
+
+  parentPort.postMessage({ ok: true, output: typeof output === 'string' ? output : null });
+} catch (error) {
+  parentPort.postMessage({
+    ok: false,
+    code: error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? 'SANDBOX_TIMEOUT' : 'SANDBOX_ERROR',
+    message: String(error && error.message ? error.message : error).slice(0, 500)
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * Generation Progress Stream
+ * In-memory pub/sub of per-session generation events, served to the browser
+ * as Server-Sent Events from GET /api/webhook/core-resources/:sessionId/stream.
+ *
+ * Event types:
+ *   progress        { progress, step, message }
+ *   step_completed  { step, progress, message }  (pdr, persona, icp, empathy_map, ...)
+ *   completed       { generationStatus }
+ *   failed          { error, code }
+ *
+ * Each session keeps a short replay buffer, so a browser that connects late or
+ * reconnects with Last-Event-ID still sees every step it missed.
+ */
+
+const { assertValidId } = require('./sessionStore/SessionStore');
+
+const PROGRESS_EVENT_TYPES = ['progress', 'step_completed', 'completed', 'failed'];
+const TERMINAL_EVENT_TYPES = ['completed', 'failed'];
+
+const STEP_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_MESSAGE_LENGTH = 500;
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+class ProgressEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProgressEventError';
+    this.code = 'INVALID_PROGRESS_EVENT';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Validate a progress report from Make.com or a local generator and keep
+ * only the fields the browser understands
+ */
+function normalizeProgressEvent(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ProgressEventError('Progress event must be a JSON object');
+  }
+
+  const { type, step, progress, message, error, code, generationStatus } = input;
+
+  if (!PROGRESS_EVENT_TYPES.includes(type)) {
+    throw new ProgressEventError(`type must be one of: ${PROGRESS_EVENT_TYPES.join(', ')}`);
+  }
+  if (step !== undefined && (typeof step !== 'string' || !STEP_PATTERN.test(step))) {
+    throw new ProgressEventError('step must be a lowercase snake_case identifier');
+  }
+  if (type === 'step_completed' && step === undefined) {
+    throw new ProgressEventError('step_completed events require a step');
+  }
+  if (progress !== undefined && (typeof progress !== 'number' || !Number.isFinite(progress) || progress < 0 || progress > 100)) {
+    throw new ProgressEventError('progress must be a number between 0 and 100');
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.slice(0, MAX_MESSAGE_LENGTH) : undefined);
+
+  const data = {
+    step,
+    progress: type === 'completed' ? 100 : progress,
+    message: text(message),
+    error: text(error),
+    code: text(code),
+    generationStatus: text(generationStatus)
+  };
+  Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+  return { type, data };
+}
+
+/**
+ * Fans generation events out to every open stream for a session
+ */
+class ProgressHub {
+  constructor(options = {}) {
+    this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.sessions = new Map();
+  }
+
+  session(sessionId) {
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = { lastId: 0, events: [], listeners: new Set(), updatedAt: Date.now() };
+      this.sessions.set(sessionId, session);
+    }
+    return session;
+  }
+
+  /**
+   * Record an event and push it to current subscribers
+   * @returns {Object} the published event { id, type, sessionId, timestamp, ...data }
+   */
+  publish(sessionId, type, data = {}, now = Date.now()) {
+    assertValidId(sessionId);
+    if (!PROGRESS_EVENT_TYPES.includes(type)) {
+      throw new ProgressEventError(`Unknown progress event type: ${type}`);
+    }
+    this.prune(now);
+
+    const session = this.session(sessionId);
+    const event = {
+      ...data,
+      id: ++session.lastId,
+      type,
+      sessionId,
+      timestamp: new Date(now).toISOString()
+    };
+
+    session.events.push(event);
+    if (session.events.length > this.historyLimit) {
+      // Keep the first event of a run so late subscribers still see it started
+      session.events.splice(1, session.events.length - this.historyLimit);
+    }
+    session.updatedAt = now;
+
+    for (const listener of session.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`❌ Progress listener failed for session ${sessionId}:`, error.message);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Events after the given id, oldest first
+   */
+  history(sessionId, afterId = 0) {
+    const session = this.sessions.get(sessionId);
+    return session ? session.events.filter(event => event.id > afterId) : [];
+  }
+
+  isFinished(sessionId) {
+    const session = this.sessions.get(sessionId);
+    const last = session?.events[session.events.length - 1];
+    return !!last && TERMINAL_EVENT_TYPES.includes(last.type);
+  }
+
+  /**
+   * @returns {Function} unsubscribe
+   */
+  subscribe(sessionId, listener) {
+    const session = this.session(assertValidId(sessionId));
+    session.listeners.add(listener);
+    return () => {
+      session.listeners.delete(listener);
+      session.updatedAt = Date.now();
+    };
+  }
+
+  /**
+   * Forget sessions nobody is watching once they've been quiet for retentionMs
+   */
+  prune(now = Date.now()) {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.listeners.size === 0 && now - session.updatedAt > this.retentionMs) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+function writeSseEvent(res, event) {
+  const { id, type, ...payload } = event;
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`);
+}
+
+/**
+ * Serve a session's events over an open HTTP response as text/event-stream.
+ * Replays anything after Last-Event-ID, then stays open until a terminal
+ * event is sent or the client goes away.
+ */
+function streamSessionProgress(req, res, hub, sessionId, options = {}) {
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // Ask the browser to wait a little before reconnecting after a drop
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed) return;
+    writeSseEvent(res, event);
+    if (TERMINAL_EVENT_TYPES.includes(event.type)) close();
+  };
+
+  hub.history(sessionId, lastEventId).forEach(send);
+  if (closed) return close;
+
+  unsubscribe = hub.subscribe(sessionId, send);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+  if (heartbeat.unref) heartbeat.unref();
+  req.on('close', close);
+
+  return close;
+}
+
+module.exports = {
+  ProgressHub,
+  ProgressEventError,
+  normalizeProgressEvent,
+  writeSseEvent,
+  streamSessionProgress,
+  PROGRESS_EVENT_TYPES,
+  TERMINAL_EVENT_TYPES
+};
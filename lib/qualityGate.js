@@ -0,0 +1,267 @@
+/**
+ * Quality Gate
+ * Checks each generated Core Resource against per-resource rules (minimum
+ * confidence, required structured fields, banned placeholder text) and
+ * marks sub-par ones `needs_review`. Failing resources whose content comes
+ * from a single SequentialAIPrompts step can be regenerated on their own.
+ */
+
+const fs = require('fs');
+const { resourceText } = require('./structuredResources');
+
+// Session resource key, UI label, Make.com individual_scores index and the
+// generation step that produces the resource (null when it's a composite)
+const GATED_RESOURCES = {
+  icp: { resourceKey: 'icp_analysis', label: 'ICP Analysis', scoreIndex: 0, step: 'icp' },
+  persona: { resourceKey: 'persona', label: 'Buyer Persona', scoreIndex: 1, step: 'persona' },
+  empathy: { resourceKey: 'empathyMap', label: 'Empathy Map', scoreIndex: 2, step: 'empathy_map' },
+  assessment: { resourceKey: 'productPotential', label: 'Product Assessment', scoreIndex: 3, step: null }
+};
+
+// Banned phrases are the structured-resource defaults and the webhook server's
+// formatter fallbacks: seeing one in the rendered content means the model left
+// that field out
+const DEFAULT_QUALITY_GATE = {
+  icp: {
+    minConfidence: 7,
+    requiredFields: ['company_size_range', 'industry_verticals', 'decision_makers', 'buying_process'],
+    bannedPhrases: [
+      'Enterprise Companies',
+      'Mid-market to Enterprise',
+      'Technology, Manufacturing, Financial Services',
+      '$100M - $1B+',
+      'Cloud-based infrastructure, enterprise systems',
+      '6-18 month evaluation cycle'
+    ]
+  },
+  persona: {
+    minConfidence: 7,
+    requiredFields: ['persona_name', 'job_title', 'pain_points', 'goals_and_objectives'],
+    bannedPhrases: [
+      'Buyer Persona: Decision Maker',
+      'Managing complex processes manually, regulatory compliance pressure',
+      'Professional advancement through successful technology implementation',
+      'Email, Video Calls, In-Person meetings'
+    ]
+  },
+  empathy: {
+    minConfidence: 7,
+    requiredFields: ['what_they_think', 'what_they_feel', 'pains_and_frustrations', 'gains_and_benefits'],
+    bannedPhrases: [
+      'Strategic thoughts about process improvement, technology adoption, and business transformation',
+      'Mix of excitement about potential solutions and anxiety',
+      'Manual processes consuming excessive time, integration challenges'
+    ]
+  },
+  assessment: {
+    minConfidence: 7,
+    requiredFields: ['what_problems_can_my_product_solve_today', 'gaps_preventing_a_10_10_score'],
+    bannedPhrases: [
+      'Addresses immediate operational challenges through automation, integration, and process optimization',
+      'Advanced analytics, predictive capabilities, and expanded integration ecosystem',
+      'Enhanced integrations, expanded market presence, additional features'
+    ]
+  }
+};
+
+/**
+ * Defaults merged with the JSON file at QUALITY_GATE_CONFIG, e.g.
+ * { "icp": { "minConfidence": 8, "bannedPhrases": ["Lorem ipsum"] } }
+ * Each listed key replaces the default for that resource.
+ */
+function loadQualityGateConfig(env = process.env, overrides) {
+  let custom = overrides;
+  if (!custom && env.QUALITY_GATE_CONFIG) {
+    try {
+      custom = JSON.parse(fs.readFileSync(env.QUALITY_GATE_CONFIG, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid QUALITY_GATE_CONFIG (${env.QUALITY_GATE_CONFIG}): ${error.message}`);
+    }
+  }
+
+  const config = {};
+  Object.keys(GATED_RESOURCES).forEach(name => {
+    config[name] = { ...DEFAULT_QUALITY_GATE[name], ...(custom?.[name] || {}) };
+  });
+  return config;
+}
+
+function isBlank(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+}
+
+// Confidence on the 1-10 scale; some producers report percentages
+function normalizeConfidence(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return null;
+  return number > 10 ? number / 10 : number;
+}
+
+/**
+ * Check one resource against its rules
+ * @param {string} name - icp | persona | empathy | assessment
+ * @param {Object} input - { resource, source, score, validations }
+ * @param {Object} rules - { minConfidence, requiredFields, bannedPhrases }
+ * @returns {{ status: 'passed' | 'needs_review', reasons: Array<{code, message, field?, phrase?}> }}
+ */
+function evaluateResource(name, { resource, source, score, validations } = {}, rules = DEFAULT_QUALITY_GATE[name]) {
+  const reasons = [];
+
+  const confidence = normalizeConfidence(source?.confidence_score ?? source?.quality_score ?? score ?? resource?.confidence_score);
+  if (confidence === null) {
+    reasons.push({ code: 'confidence_missing', message: 'No confidence score was reported' });
+  } else if (confidence < rules.minConfidence) {
+    reasons.push({
+      code: 'low_confidence',
+      message: `Confidence ${confidence}/10 is below the ${rules.minConfidence}/10 minimum`
+    });
+  }
+
+  // Content-only payloads carry no structured fields to check
+  if (source && typeof source === 'object') {
+    (rules.requiredFields || []).forEach(field => {
+      if (isBlank(source[field])) {
+        reasons.push({ code: 'missing_field', field, message: `Missing ${field.replace(/_/g, ' ')}` });
+      }
+    });
+  }
+
+  const text = resourceText(resource).toLowerCase();
+  (rules.bannedPhrases || []).forEach(phrase => {
+    if (phrase && text.includes(phrase.toLowerCase())) {
+      reasons.push({ code: 'placeholder_text', phrase, message: `Contains placeholder text "${phrase}"` });
+    }
+  });
+
+  Object.entries(validations || {}).forEach(([check, passed]) => {
+    if (passed === false && check.toLowerCase().includes(name)) {
+      reasons.push({ code: 'validation_failed', field: check, message: `Make.com validation "${check}" failed` });
+    }
+  });
+
+  return { status: reasons.length === 0 ? 'passed' : 'needs_review', reasons };
+}
+
+/**
+ * Gate every resource in a stored session, annotating each with
+ * `quality_gate` and the session with a `qualityGate` summary
+ * @param {Object} data - coreResourcesData as stored in the session store
+ * @param {Object} options - { sources, scores, validations, config, only, now }
+ * @returns {Object} data.qualityGate
+ */
+function applyQualityGate(data, options = {}) {
+  const { sources = {}, scores = [], validations, config = loadQualityGateConfig({}), only, now = new Date() } = options;
+  const resources = data.resources || {};
+
+  Object.entries(GATED_RESOURCES).forEach(([name, { resourceKey, scoreIndex }]) => {
+    const resource = resources[resourceKey];
+    // Placeholders for resources the payload didn't include aren't gated
+    if (!resource || resource.generated === false || (only && !only.includes(name))) return;
+
+    const result = evaluateResource(name, {
+      resource,
+      source: sources[name],
+      score: scores?.[scoreIndex],
+      validations
+    }, config[name]);
+    resource.quality_gate = { ...result, checkedAt: now.toISOString() };
+  });
+
+  const failing = Object.entries(GATED_RESOURCES)
+    .filter(([, { resourceKey }]) => resources[resourceKey]?.quality_gate?.status === 'needs_review')
+    .map(([name]) => name);
+
+  data.qualityGate = {
+    ...data.qualityGate,
+    status: failing.length === 0 ? 'passed' : 'needs_review',
+    failing,
+    checkedAt: now.toISOString()
+  };
+  return data.qualityGate;
+}
+
+/**
+ * Prompt context for regenerating a single step from what the session already has
+ */
+function regenerationContext(data, sources) {
+  const assessment = sources.assessment || {};
+  const pdr = assessment.refined_product_description;
+  const product = data.productName || 'The product';
+
+  return {
+    input: {
+      productDescription: pdr?.value_proposition
+        ? `${product}: ${pdr.value_proposition}`
+        : `${product} (${data.businessType || 'B2B'})`
+    },
+    outputs: {
+      pdr,
+      persona: sources.persona,
+      icp: sources.icp,
+      value_messaging: assessment.value_messaging,
+      moment_in_life: sources.persona?.moment_in_life
+    }
+  };
+}
+
+/**
+ * Regenerate only the failing resources that map to a single generation step,
+ * then re-gate them. Composite resources stay `needs_review`.
+ * @param {Object} options
+ * @param {Object} options.data - session data, updated in place
+ * @param {Object} options.sources - structured outputs per resource, updated in place
+ * @param {Function} options.regenerateStep - (step, input, outputs, feedback) => validated step output
+ * @param {Function} options.buildBody - (name, source) => { structured } or { content } for the resource
+ * @returns {Array} [{ resource, status: 'regenerated' | 'failed' | 'unsupported', error? }]
+ */
+async function regenerateFailingResources({ data, sources, config, regenerateStep, buildBody, now = () => new Date() }) {
+  const results = [];
+  const regenerated = [];
+
+  for (const name of data.qualityGate?.failing || []) {
+    const { resourceKey, step } = GATED_RESOURCES[name];
+    if (!step) {
+      results.push({ resource: name, status: 'unsupported' });
+      continue;
+    }
+
+    const resource = data.resources[resourceKey];
+    const feedback = resource.quality_gate.reasons.map(reason => reason.message);
+    const { input, outputs } = regenerationContext(data, sources);
+
+    try {
+      const output = await regenerateStep(step, input, outputs, feedback);
+      const source = { ...output, confidence_score: output.quality_score ?? output.confidence_score };
+      sources[name] = source;
+      const { content, structured, ...rest } = resource;
+      data.resources[resourceKey] = {
+        ...rest,
+        confidence_score: source.confidence_score,
+        ...buildBody(name, source),
+        regenerated_at: now().toISOString()
+      };
+      regenerated.push(name);
+      results.push({ resource: name, status: 'regenerated' });
+    } catch (error) {
+      console.warn(`⚠️ Regenerating ${name} failed:`, error.message);
+      results.push({ resource: name, status: 'failed', error: error.message });
+    }
+  }
+
+  if (regenerated.length > 0) {
+    applyQualityGate(data, { sources, config, only: regenerated, now: now() });
+  }
+  data.qualityGate.regeneration = { attemptedAt: now().toISOString(), results };
+  return results;
+}
+
+module.exports = {
+  GATED_RESOURCES,
+  DEFAULT_QUALITY_GATE,
+  loadQualityGateConfig,
+  evaluateResource,
+  applyQualityGate,
+  regenerateFailingResources
+};
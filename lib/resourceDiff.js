@@ -0,0 +1,271 @@
+/**
+ * Resource Diff
+ * Section-by-section comparison of two Core Resources versions. Sections
+ * group the structured Claude output fields (see coreResourceSchemas.js);
+ * versions generated before structured fields were kept fall back to a
+ * line diff of the resource's text.
+ */
+
+const MAX_DIFF_CELLS = 250000;
+
+const VERSION_SECTIONS = [
+  {
+    id: 'icp_firmographics',
+    resource: 'icp',
+    label: 'ICP Firmographics',
+    fields: {
+      company_size_range: 'Company Size',
+      industry_verticals: 'Industries',
+      annual_revenue_range: 'Revenue Range',
+      employee_count: 'Employee Count',
+      geographic_markets: 'Geographic Markets',
+      growth_stage: 'Growth Stage',
+      organizational_structure: 'Organizational Structure'
+    }
+  },
+  {
+    id: 'icp_buying_profile',
+    resource: 'icp',
+    label: 'ICP Buying Profile',
+    fields: {
+      technology_stack: 'Technology Stack',
+      budget_range: 'Budget Range',
+      decision_makers: 'Decision Makers',
+      buying_process: 'Buying Process',
+      integration_needs: 'Integration Needs',
+      compliance_requirements: 'Compliance Requirements',
+      implementation_readiness: 'Implementation Readiness'
+    }
+  },
+  {
+    id: 'persona_profile',
+    resource: 'persona',
+    label: 'Persona Profile',
+    fields: {
+      persona_name: 'Persona',
+      job_title: 'Job Title',
+      industry: 'Industry',
+      company_size: 'Company Size',
+      budget_authority: 'Budget Authority',
+      decision_timeline: 'Decision Timeline'
+    }
+  },
+  {
+    id: 'persona_pains',
+    resource: 'persona',
+    label: 'Persona Pains',
+    fields: {
+      pain_points: 'Pain Points',
+      objections_and_concerns: 'Objections & Concerns',
+      goals_and_objectives: 'Goals & Objectives',
+      success_metrics: 'Success Metrics'
+    }
+  },
+  {
+    id: 'empathy_quadrants',
+    resource: 'empathy',
+    label: 'Empathy Quadrants',
+    fields: {
+      what_they_think: 'Think',
+      what_they_feel: 'Feel',
+      what_they_say: 'Say',
+      what_they_do: 'Do',
+      what_they_see: 'See',
+      what_they_hear: 'Hear'
+    }
+  },
+  {
+    id: 'empathy_pains_gains',
+    resource: 'empathy',
+    label: 'Empathy Pains & Gains',
+    fields: {
+      pains_and_frustrations: 'Pains & Frustrations',
+      gains_and_benefits: 'Gains & Benefits',
+      fears_and_anxieties: 'Fears & Anxieties',
+      hopes_and_dreams: 'Hopes & Dreams'
+    }
+  },
+  {
+    id: 'product_assessment',
+    resource: 'assessment',
+    label: 'Product Assessment',
+    fields: {
+      current_product_potential_score: 'Product Potential Score',
+      what_problems_can_my_product_solve_today: 'Problems Solved Today',
+      gaps_preventing_a_10_10_score: 'Gaps to 10/10',
+      data_backed_improvement_strategy: 'Improvement Strategy'
+    }
+  }
+];
+
+const RESOURCE_LABELS = {
+  icp: 'ICP Analysis',
+  persona: 'Buyer Persona',
+  empathy: 'Empathy Map',
+  assessment: 'Product Assessment'
+};
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length ? value.join(', ') : null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim() || null;
+}
+
+/**
+ * Pull the structured section fields out of each resource's source object
+ * @param {Object} sources - { icp, persona, empathy, assessment } raw Claude outputs
+ * @returns {Object} { [sectionId]: { [field]: string } } with empty sections omitted
+ */
+function extractSections(sources = {}) {
+  const sections = {};
+
+  VERSION_SECTIONS.forEach(({ id, resource, fields }) => {
+    const source = sources[resource];
+    if (!source || typeof source !== 'object') return;
+
+    const values = {};
+    Object.keys(fields).forEach(field => {
+      const value = normalizeValue(source[field]);
+      if (value !== null) values[field] = value;
+    });
+    if (Object.keys(values).length > 0) sections[id] = values;
+  });
+
+  return sections;
+}
+
+/**
+ * Line diff via longest common subsequence. Very large inputs degrade to
+ * "everything removed, everything added" rather than an O(n*m) blow-up.
+ * @returns {Array} [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffLines(before = '', after = '') {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
+
+function compareField(field, label, before, after) {
+  let status = 'unchanged';
+  if (before === null && after !== null) status = 'added';
+  else if (before !== null && after === null) status = 'removed';
+  else if (before !== after) status = 'changed';
+
+  return {
+    field,
+    label,
+    status,
+    before,
+    after,
+    lines: status === 'changed' ? diffLines(before, after) : undefined
+  };
+}
+
+function hasStructuredResource(version, resource) {
+  return VERSION_SECTIONS.some(section => section.resource === resource && version.sections?.[section.id]);
+}
+
+/**
+ * Compare two versions section by section
+ * @param {Object} from - older version ({ versionId, sections, texts })
+ * @param {Object} to - newer version
+ */
+function diffVersions(from, to) {
+  const sections = [];
+
+  VERSION_SECTIONS.forEach(({ id, resource, label, fields }) => {
+    if (!hasStructuredResource(from, resource) || !hasStructuredResource(to, resource)) return;
+
+    const before = from.sections?.[id] || {};
+    const after = to.sections?.[id] || {};
+    const fieldDiffs = Object.entries(fields)
+      .filter(([field]) => before[field] !== undefined || after[field] !== undefined)
+      .map(([field, fieldLabel]) => compareField(field, fieldLabel, before[field] ?? null, after[field] ?? null));
+    if (fieldDiffs.length === 0) return;
+
+    sections.push({
+      id,
+      resource,
+      label,
+      changed: fieldDiffs.some(diff => diff.status !== 'unchanged'),
+      fields: fieldDiffs
+    });
+  });
+
+  // Resources missing structured fields on either side compare as text
+  Object.entries(RESOURCE_LABELS).forEach(([resource, label]) => {
+    if (hasStructuredResource(from, resource) && hasStructuredResource(to, resource)) return;
+
+    const before = normalizeValue(from.texts?.[resource]);
+    const after = normalizeValue(to.texts?.[resource]);
+    if (before === null && after === null) return;
+
+    const diff = compareField('content', 'Content', before, after);
+    sections.push({
+      id: `${resource}_content`,
+      resource,
+      label,
+      changed: diff.status !== 'unchanged',
+      fields: [diff]
+    });
+  });
+
+  const changedSections = sections.filter(section => section.changed);
+  return {
+    from: from.versionId,
+    to: to.versionId,
+    sections,
+    summary: {
+      sectionsCompared: sections.length,
+      sectionsChanged: changedSections.length,
+      fieldsChanged: changedSections.reduce(
+        (total, section) => total + section.fields.filter(field => field.status !== 'unchanged').length,
+        0
+      )
+    }
+  };
+}
+
+module.exports = {
+  VERSION_SECTIONS,
+  RESOURCE_LABELS,
+  extractSections,
+  diffLines,
+  diffVersions
+};
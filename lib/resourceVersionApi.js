@@ -0,0 +1,271 @@
+/**
+ * Resource Version API
+ * History of a customer's Core Resources generations, mounted at
+ * /api/resources by webhook-server.js and served by the resource-versions
+ * Netlify function in production:
+ *
+ *   GET  /:customerId/versions                       summaries, newest first
+ *   GET  /:customerId/versions/diff?from=v1&to=v2    section-by-section diff (defaults to latest vs previous)
+ *   GET  /:customerId/versions/:versionId            full version
+ *   POST /:customerId/versions/:versionId/pin        { pinned } - keep a draft marked as a favourite
+ *   POST /:customerId/versions/:versionId/restore    make it current and write it back to Airtable
+ *
+ * Every route needs the customer's X-Customer-Token or the admin token
+ * (see customerAuth.js).
+ */
+
+const express = require('express');
+const { assertValidId } = require('./sessionStore/SessionStore');
+const { toUiResources } = require('./airtableResourceSync');
+const { withRenderedContent } = require('./structuredResources');
+const { assertVersionId } = require('./resourceVersionStore');
+const { diffVersions } = require('./resourceDiff');
+const { createCustomerAuthenticator } = require('./customerAuth');
+
+class VersionRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VersionRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+const ROUTES = [
+  { method: 'GET', pattern: /^\/([^/]+)\/versions\/?$/, action: 'list' },
+  { method: 'GET', pattern: /^\/([^/]+)\/versions\/diff\/?$/, action: 'diff' },
+  { method: 'GET', pattern: /^\/([^/]+)\/versions\/([^/]+)\/?$/, action: 'get' },
+  { method: 'POST', pattern: /^\/([^/]+)\/versions\/([^/]+)\/pin\/?$/, action: 'pin' },
+  { method: 'POST', pattern: /^\/([^/]+)\/versions\/([^/]+)\/restore\/?$/, action: 'restore' }
+];
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Restore hook for the Express server: queue the restored content in the Airtable outbox
+ */
+function queueRestoredSync(outbox) {
+  return async (customerId, version) => {
+    const job = await outbox.enqueue({
+      sessionId: version.sessionId,
+      customerId,
+      resources: toUiResources(version)
+    });
+    if (job) {
+      outbox.processDue().catch(error => console.error('❌ Airtable outbox processing failed:', error.message));
+    }
+    return job ? 'queued' : 'nothing_to_sync';
+  };
+}
+
+/**
+ * Restore hook for Netlify functions, which have no durable outbox: write to Airtable straight away
+ */
+function syncRestoredNow(resourceSync) {
+  return async (customerId, version) => {
+    const result = await resourceSync.syncGeneratedResourcesToAirtable(customerId, toUiResources(version));
+    if (!result.success) {
+      console.error(`❌ Airtable sync of restored ${customerId} ${version.versionId} failed:`, result.error);
+    }
+    return result.success ? 'synced' : 'failed';
+  };
+}
+
+function versionErrorResponse(error) {
+  if (error instanceof VersionRequestError) {
+    return { statusCode: error.statusCode, body: { success: false, error: error.message } };
+  }
+  if (error.code === 'INVALID_ID') {
+    return { statusCode: 400, body: { success: false, error: error.message } };
+  }
+
+  console.error('❌ Resource version API error:', error);
+  return { statusCode: 500, body: { success: false, error: 'Internal server error', message: error.message } };
+}
+
+/**
+ * Framework-neutral version API shared by the Express router and the
+ * resource-versions Netlify function
+ * @param {Object} options - { versionStore, outbox, syncRestored, authenticate } -
+ *   outbox is the Airtable sync outbox and syncRestored any other restore hook,
+ *   both omitted when Airtable isn't configured; authenticate comes from
+ *   createCustomerAuthenticator and defaults to admin-token only
+ * @returns {Function} ({ method, path, query, body, headers }) => Promise<{ statusCode, body }>
+ *   with path relative to the mount point, e.g. /CUST_5/versions
+ */
+function createResourceVersionHandler(options = {}) {
+  const { versionStore, outbox } = options;
+  const syncRestored = options.syncRestored || (outbox ? queueRestoredSync(outbox) : null);
+  const authenticate = options.authenticate || createCustomerAuthenticator();
+
+  const loadVersion = async (customerId, versionId) => {
+    const version = await versionStore.getVersion(customerId, versionId);
+    if (!version) {
+      throw new VersionRequestError(`Version ${versionId} not found`, 404);
+    }
+    return version;
+  };
+
+  const actions = {
+    async list({ customerId }) {
+      const { currentVersionId, pinnedVersionIds, versions } = await versionStore.listVersions(customerId);
+      return {
+        success: true,
+        customerId,
+        currentVersionId,
+        pinnedVersionIds,
+        versions,
+        count: versions.length
+      };
+    },
+
+    async diff({ customerId, query }) {
+      let { from, to } = query;
+
+      if (!from || !to) {
+        const { versions } = await versionStore.listVersions(customerId);
+        const toIndex = to ? versions.findIndex(version => version.versionId === to) : 0;
+        if (!to) to = versions[0]?.versionId;
+        if (!from) from = versions[toIndex + 1]?.versionId;
+      }
+      if (!from || !to) {
+        throw new VersionRequestError('At least two versions are needed to diff');
+      }
+      [from, to].forEach(versionId => {
+        try {
+          assertVersionId(versionId);
+        } catch (error) {
+          throw new VersionRequestError(`Invalid version: ${versionId}`);
+        }
+      });
+
+      const [fromVersion, toVersion] = await Promise.all([
+        loadVersion(customerId, from),
+        loadVersion(customerId, to)
+      ]);
+      return { success: true, diff: diffVersions(fromVersion, toVersion) };
+    },
+
+    async get({ customerId, versionId }) {
+      const version = await loadVersion(customerId, versionId);
+      return { success: true, version: { ...version, resources: withRenderedContent(version.resources) } };
+    },
+
+    async pin({ customerId, versionId, body }) {
+      const pinned = body?.pinned ?? true;
+      if (typeof pinned !== 'boolean') {
+        throw new VersionRequestError('pinned must be a boolean');
+      }
+
+      const version = await versionStore.setPinned(customerId, versionId, pinned);
+      if (!version) {
+        throw new VersionRequestError(`Version ${versionId} not found`, 404);
+      }
+      return { success: true, version };
+    },
+
+    async restore({ customerId, versionId }) {
+      const restored = await versionStore.restore(customerId, versionId);
+      if (!restored) {
+        throw new VersionRequestError(`Version ${versionId} not found`, 404);
+      }
+
+      // Airtable still holds whatever generation ran last, so write the restored content back
+      const airtableSync = syncRestored ? await syncRestored(customerId, restored.version) : 'not_configured';
+
+      console.log(`⏪ Restored ${customerId} resources to ${versionId} (Airtable: ${airtableSync})`);
+      return {
+        success: true,
+        version: restored.summary,
+        resources: withRenderedContent(restored.version.resources),
+        airtableSync
+      };
+    }
+  };
+
+  return async (request) => {
+    try {
+      const path = request.path || '/';
+      const route = ROUTES.find(candidate => candidate.method === request.method && candidate.pattern.test(path));
+      if (!route) {
+        throw new VersionRequestError('Not found', 404);
+      }
+      const [, rawCustomerId, rawVersionId] = path.match(route.pattern);
+
+      const customerId = decodeSegment(rawCustomerId);
+      try {
+        assertValidId(customerId, 'customerId');
+      } catch (error) {
+        throw new VersionRequestError('Customer not found', 404);
+      }
+
+      const rejection = await authenticate(request.headers || {}, customerId);
+      if (rejection) {
+        throw new VersionRequestError(rejection.error, rejection.statusCode);
+      }
+
+      let versionId;
+      if (rawVersionId !== undefined) {
+        versionId = decodeSegment(rawVersionId);
+        try {
+          assertVersionId(versionId);
+        } catch (error) {
+          throw new VersionRequestError('Version not found', 404);
+        }
+      }
+
+      const body = await actions[route.action]({
+        customerId,
+        versionId,
+        query: request.query || {},
+        body: request.body || {}
+      });
+      return { statusCode: 200, body };
+    } catch (error) {
+      return versionErrorResponse(error);
+    }
+  };
+}
+
+/**
+ * Express mount of createResourceVersionHandler; takes the same options
+ */
+function createResourceVersionRouter(options = {}) {
+  const handle = createResourceVersionHandler(options);
+  const router = express.Router();
+
+  router.use(express.json({ limit: '10kb' }));
+
+  router.use(async (req, res) => {
+    const { statusCode, body } = await handle({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      headers: req.headers
+    });
+    res.status(statusCode).json(body);
+  });
+
+  // Malformed or oversized JSON bodies; Express recognises error handlers by their four arguments
+  router.use((error, req, res, next) => {
+    const statusCode = error.status && error.status < 500 ? error.status : 500;
+    if (statusCode === 500) console.error('❌ Resource version API error:', error);
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Internal server error' : error.message });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createResourceVersionRouter,
+  createResourceVersionHandler,
+  queueRestoredSync,
+  syncRestoredNow,
+  VersionRequestError
+};
@@ -0,0 +1,374 @@
+/**
+ * Resource Version Store
+ * Every Core Resources generation is kept as an immutable version per
+ * customer, so a regeneration no longer overwrites drafts worth keeping:
+ *
+ *   <directory>/<customerId>/v<n>.json   one file per version, never rewritten
+ *   <directory>/<customerId>/_state.json current version, pins, restore log
+ *
+ * Versions are claimed with a hard link so two concurrent generations can't
+ * take the same number. Unlike sessions, versions have no TTL.
+ *
+ * SupabaseResourceVersionStore keeps the same history in Postgres for the
+ * Netlify functions, overriding the storage methods below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { assertValidId, SessionStoreError } = require('./sessionStore/SessionStore');
+const { isDeployedFunction } = require('./sessionStore');
+const { toUiResources } = require('./airtableResourceSync');
+const { extractSections } = require('./resourceDiff');
+const { structuredValues } = require('./structuredResources');
+
+const DEFAULT_VERSIONS_DIR = path.join(__dirname, '..', 'webhook-data', '_versions');
+const VERSION_ID_PATTERN = /^v([1-9]\d{0,8})$/;
+const STATE_FILE = '_state.json';
+const MAX_STATE_EVENTS = 50;
+
+// Session resource key (Express or Netlify shape) per version resource
+const RESOURCE_KEYS = {
+  icp: ['icp_analysis'],
+  persona: ['persona', 'buyer_personas'],
+  empathy: ['empathyMap', 'empathy_map'],
+  assessment: ['productPotential', 'product_assessment', 'product_market_assessment']
+};
+
+const UI_TEXT_KEYS = {
+  icp: 'icp_analysis',
+  persona: 'buyer_personas',
+  empathy: 'empathy_map',
+  assessment: 'product_market_assessment'
+};
+
+function assertVersionId(versionId) {
+  if (typeof versionId !== 'string' || !VERSION_ID_PATTERN.test(versionId)) {
+    throw new SessionStoreError(`Invalid versionId: ${JSON.stringify(versionId)}`, 'INVALID_ID');
+  }
+  return versionId;
+}
+
+/**
+ * Structured fields for each resource: the raw Claude output when the caller
+ * still has it, otherwise whatever fields the stored resource carries
+ */
+function resolveSources(resources = {}, sources = {}) {
+  const resolved = {};
+  Object.entries(RESOURCE_KEYS).forEach(([name, keys]) => {
+    if (sources[name]) {
+      resolved[name] = sources[name];
+      return;
+    }
+    const resource = keys.map(key => resources[key]).find(Boolean);
+    if (!resource) return;
+    if (resource.structured) {
+      resolved[name] = { ...resource, ...structuredValues(resource.structured) };
+      return;
+    }
+    resolved[name] = typeof resource.content === 'object' && resource.content !== null
+      ? { ...resource, ...resource.content }
+      : resource;
+  });
+  return resolved;
+}
+
+/**
+ * Immutable snapshot of a stored session's resources
+ * @param {Object} data - coreResourcesData as stored in the session store
+ * @param {Object} options - { sources, model }
+ */
+function buildVersionSnapshot(data, options = {}) {
+  const resources = data.resources || {};
+  const uiResources = toUiResources(data);
+  const quality = data.qualityMetrics || {};
+
+  const texts = {};
+  Object.entries(UI_TEXT_KEYS).forEach(([name, key]) => {
+    if (uiResources[key]?.content) texts[name] = uiResources[key].content;
+  });
+
+  return {
+    sessionId: data.sessionId,
+    productName: data.productName || null,
+    businessType: data.businessType || null,
+    generationStatus: data.generationStatus || null,
+    generatedAt: data.timestamp || null,
+    model: {
+      name: options.model?.name || null,
+      provider: options.model?.provider || null,
+      generationMethod: options.model?.generationMethod ||
+        Object.values(resources).find(resource => resource?.generation_method)?.generation_method || null
+    },
+    quality: {
+      overallConfidence: quality.overall_confidence ?? data.averageConfidence ?? null,
+      icpConfidence: quality.icp_confidence ?? resources.icp_analysis?.confidence_score ?? null,
+      personaConfidence: quality.persona_confidence ?? null,
+      empathyConfidence: quality.empathy_confidence ?? null,
+      assessmentConfidence: quality.assessment_confidence ?? null,
+      validationStatus: quality.validation_status || null
+    },
+    contentHash: crypto.createHash('sha256').update(JSON.stringify(resources)).digest('hex'),
+    resources,
+    sections: extractSections(resolveSources(resources, options.sources)),
+    texts
+  };
+}
+
+class ResourceVersionStore {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_VERSIONS_DIR;
+  }
+
+  customerDir(customerId) {
+    return path.join(this.directory, assertValidId(customerId, 'customerId'));
+  }
+
+  versionPath(customerId, versionId) {
+    return path.join(this.customerDir(customerId), `${assertVersionId(versionId)}.json`);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeTemp(dir, contents) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tempPath = path.join(dir, `.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    await fs.promises.writeFile(tempPath, contents);
+    return tempPath;
+  }
+
+  async versionNumbers(customerId) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.customerDir(customerId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .map(file => file.match(/^v(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => b - a);
+  }
+
+  async getState(customerId) {
+    const state = await this.readJson(path.join(this.customerDir(customerId), STATE_FILE));
+    return {
+      currentVersionId: state?.currentVersionId || null,
+      pinnedVersionIds: state?.pinnedVersionIds || [],
+      events: state?.events || []
+    };
+  }
+
+  async writeState(customerId, state) {
+    const dir = this.customerDir(customerId);
+    const tempPath = await this.writeTemp(dir, JSON.stringify(state, null, 2));
+    try {
+      await fs.promises.rename(tempPath, path.join(dir, STATE_FILE));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async updateState(customerId, update, event) {
+    const state = { ...await this.getState(customerId), ...update };
+    if (event) {
+      state.events = [...state.events, event].slice(-MAX_STATE_EVENTS);
+    }
+
+    await this.writeState(customerId, state);
+    return state;
+  }
+
+  /**
+   * Write a new version unless another generation already took its number
+   * @returns {Promise<boolean>} whether the version was written
+   */
+  async claimVersion(customerId, version) {
+    const tempPath = await this.writeTemp(this.customerDir(customerId), JSON.stringify(version, null, 2));
+    try {
+      // link() fails if the number was taken meanwhile, and the file appears complete
+      await fs.promises.link(tempPath, this.versionPath(customerId, version.versionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Record a generation as the customer's newest version. A retried delivery
+   * of the same session with identical resources returns the existing version.
+   */
+  async createVersion(customerId, snapshot, now = new Date()) {
+    const [latestNumber] = await this.versionNumbers(customerId);
+    if (latestNumber) {
+      const latest = await this.getVersion(customerId, `v${latestNumber}`);
+      if (latest?.sessionId === snapshot.sessionId && latest.contentHash === snapshot.contentHash) {
+        return latest;
+      }
+    }
+
+    let number = (latestNumber || 0) + 1;
+    let version;
+
+    for (;;) {
+      version = { versionId: `v${number}`, version: number, customerId, createdAt: now.toISOString(), ...snapshot };
+      if (await this.claimVersion(customerId, version)) break;
+      number++;
+    }
+
+    await this.updateState(customerId, { currentVersionId: version.versionId }, {
+      action: 'created',
+      versionId: version.versionId,
+      sessionId: version.sessionId,
+      at: version.createdAt
+    });
+    return version;
+  }
+
+  async getVersion(customerId, versionId) {
+    return this.readJson(this.versionPath(customerId, versionId));
+  }
+
+  summarize(version, state) {
+    return {
+      versionId: version.versionId,
+      version: version.version,
+      sessionId: version.sessionId,
+      createdAt: version.createdAt,
+      productName: version.productName,
+      generationStatus: version.generationStatus,
+      model: version.model,
+      quality: version.quality,
+      resources: Object.keys(version.texts || {}),
+      pinned: state.pinnedVersionIds.includes(version.versionId),
+      current: state.currentVersionId === version.versionId
+    };
+  }
+
+  /**
+   * Full versions, newest first
+   */
+  async readVersions(customerId) {
+    const versions = [];
+
+    for (const number of await this.versionNumbers(customerId)) {
+      try {
+        const version = await this.getVersion(customerId, `v${number}`);
+        if (version) versions.push(version);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable version v${number} for ${customerId}:`, error.message);
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * Version summaries, newest first
+   */
+  async listVersions(customerId) {
+    const state = await this.getState(customerId);
+    const versions = await this.readVersions(customerId);
+    return { ...state, versions: versions.map(version => this.summarize(version, state)) };
+  }
+
+  async setPinned(customerId, versionId, pinned = true, now = new Date()) {
+    const version = await this.getVersion(customerId, versionId);
+    if (!version) return null;
+
+    const { pinnedVersionIds } = await this.getState(customerId);
+    const others = pinnedVersionIds.filter(id => id !== versionId);
+    const state = await this.updateState(customerId, {
+      pinnedVersionIds: pinned ? [...others, versionId] : others
+    }, { action: pinned ? 'pinned' : 'unpinned', versionId, at: now.toISOString() });
+
+    return this.summarize(version, state);
+  }
+
+  /**
+   * Make an earlier version current again. The version file itself is untouched.
+   */
+  async restore(customerId, versionId, now = new Date()) {
+    const version = await this.getVersion(customerId, versionId);
+    if (!version) return null;
+
+    const { currentVersionId } = await this.getState(customerId);
+    const state = await this.updateState(customerId, { currentVersionId: versionId }, {
+      action: 'restored',
+      versionId,
+      previousVersionId: currentVersionId,
+      at: now.toISOString()
+    });
+
+    return { version, summary: this.summarize(version, state) };
+  }
+}
+
+const BACKENDS = {
+  filesystem: () => ResourceVersionStore,
+  supabase: () => require('./supabaseResourceVersionStore')
+};
+
+/**
+ * Picks a backend from options.backend or RESOURCE_VERSIONS_BACKEND, falling
+ * back to supabase when the session store uses it and the filesystem otherwise
+ */
+function createResourceVersionStore(options = {}, env = process.env) {
+  const backend = options.backend || env.RESOURCE_VERSIONS_BACKEND ||
+    (env.SESSION_STORE_BACKEND === 'supabase' ? 'supabase' : 'filesystem');
+  const loadBackend = BACKENDS[backend];
+
+  if (!loadBackend) {
+    throw new SessionStoreError(`Unknown resource version backend: ${backend}`, 'UNKNOWN_BACKEND');
+  }
+
+  const StoreClass = loadBackend();
+  return new StoreClass({
+    ...options,
+    directory: options.directory || env.RESOURCE_VERSIONS_DIR
+  });
+}
+
+/**
+ * Version store for Netlify functions; like createFunctionSessionStore it
+ * has to be Supabase once deployed so every instance sees the same history
+ */
+function createFunctionVersionStore(options = {}, env = process.env) {
+  const deployed = isDeployedFunction(env);
+  const backend = options.backend || env.RESOURCE_VERSIONS_BACKEND ||
+    (deployed || env.SESSION_STORE_BACKEND === 'supabase' ? 'supabase' : 'filesystem');
+
+  if (deployed && backend !== 'supabase') {
+    throw new SessionStoreError(
+      `Resource version backend "${backend}" is not shared between Netlify function instances; use supabase`,
+      'UNSHARED_BACKEND'
+    );
+  }
+
+  return createResourceVersionStore({
+    directory: env.RESOURCE_VERSIONS_DIR || '/tmp/resources/_versions',
+    ...options,
+    backend
+  }, env);
+}
+
+module.exports = {
+  ResourceVersionStore,
+  createResourceVersionStore,
+  createFunctionVersionStore,
+  buildVersionSnapshot,
+  resolveSources,
+  assertVersionId
+};
@@ -0,0 +1,180 @@
+/**
+ * File System Session Store
+ * One JSON file per session plus empty marker files under
+ * _customers/<customerId>/ acting as the customerId index. Writes go to a
+ * temp file and are renamed into place so readers never see partial JSON.
+ *
+ * Files written before the store existed (raw coreResourcesData, no
+ * envelope) are still readable; they never expire on their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  SessionStore,
+  assertValidId,
+  compareRecords,
+  matchesListFilters,
+  DEFAULT_LIST_LIMIT
+} = require('./SessionStore');
+
+const CUSTOMER_INDEX_DIR = '_customers';
+const STORE_VERSION = 1;
+
+class FileSystemSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory || path.join(process.cwd(), 'webhook-data');
+  }
+
+  sessionPath(sessionId) {
+    return path.join(this.directory, `${assertValidId(sessionId)}.json`);
+  }
+
+  customerDir(customerId) {
+    return path.join(this.directory, CUSTOMER_INDEX_DIR, assertValidId(customerId, 'customerId'));
+  }
+
+  async ensureDir(dir) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  async writeAtomic(filePath, contents) {
+    await this.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, contents);
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async readRecordFile(sessionId) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.sessionPath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const parsed = JSON.parse(contents);
+    if (parsed && parsed.storeVersion === STORE_VERSION) {
+      const { storeVersion, ...record } = parsed;
+      return record;
+    }
+
+    // Legacy webhook-data file: the whole file is the session data
+    const stats = await fs.promises.stat(this.sessionPath(sessionId));
+    return {
+      sessionId,
+      customerId: parsed?.customerId || null,
+      status: parsed?.generationStatus || parsed?.status || null,
+      sizeBytes: Buffer.byteLength(contents),
+      data: parsed,
+      createdAt: parsed?.timestamp || stats.mtime.toISOString(),
+      updatedAt: stats.mtime.toISOString(),
+      expiresAt: null
+    };
+  }
+
+  async put(sessionId, data, options = {}) {
+    const existing = await this.readRecordFile(sessionId);
+    const record = this.buildRecord(sessionId, data, options, existing);
+
+    await this.writeAtomic(this.sessionPath(sessionId), JSON.stringify({ storeVersion: STORE_VERSION, ...record }, null, 2));
+
+    if (existing?.customerId && existing.customerId !== record.customerId) {
+      await fs.promises.rm(path.join(this.customerDir(existing.customerId), sessionId), { force: true });
+    }
+    if (record.customerId) {
+      const markerPath = path.join(this.customerDir(record.customerId), sessionId);
+      await this.ensureDir(path.dirname(markerPath));
+      await fs.promises.writeFile(markerPath, '');
+    }
+
+    return this.summarize(record);
+  }
+
+  async getRecord(sessionId) {
+    const record = await this.readRecordFile(sessionId);
+    if (!record || this.isExpired(record)) return null;
+    return record;
+  }
+
+  async sessionIds(customerId) {
+    const dir = customerId ? this.customerDir(customerId) : this.directory;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return customerId
+      ? entries
+      : entries.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+  }
+
+  async list(options = {}) {
+    const { customerId, limit = DEFAULT_LIST_LIMIT } = options;
+    if (customerId) assertValidId(customerId, 'customerId');
+    const records = [];
+
+    for (const sessionId of await this.sessionIds(customerId)) {
+      let record;
+      try {
+        record = await this.getRecord(sessionId);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable session file ${sessionId}:`, error.message);
+        continue;
+      }
+      if (record && matchesListFilters(record, options)) {
+        records.push(this.summarize(record));
+      }
+    }
+
+    return records.sort(compareRecords).slice(0, limit);
+  }
+
+  async setExpiry(sessionId, expiresAt) {
+    const record = await this.getRecord(sessionId);
+    if (!record) return null;
+
+    const updated = { ...record, expiresAt: new Date(expiresAt).toISOString() };
+    await this.writeAtomic(this.sessionPath(sessionId), JSON.stringify({ storeVersion: STORE_VERSION, ...updated }, null, 2));
+    return this.summarize(updated);
+  }
+
+  async expire(sessionId) {
+    const record = await this.readRecordFile(sessionId);
+    if (!record) return false;
+
+    await fs.promises.rm(this.sessionPath(sessionId), { force: true });
+    if (record.customerId) {
+      await fs.promises.rm(path.join(this.customerDir(record.customerId), sessionId), { force: true });
+    }
+    return true;
+  }
+
+  async cleanup() {
+    let removed = 0;
+    for (const sessionId of await this.sessionIds()) {
+      try {
+        const record = await this.readRecordFile(sessionId);
+        if (record && this.isExpired(record) && await this.expire(sessionId)) {
+          removed++;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Cleanup skipped session file ${sessionId}:`, error.message);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = FileSystemSessionStore;
@@ -0,0 +1,233 @@
+/**
+ * Session Store - shared contract for generated-resource storage backends
+ *
+ * Every backend stores records shaped as:
+ *   { sessionId, customerId, status, sizeBytes, data, createdAt, updatedAt, expiresAt }
+ * and implements put / get / list / expire / setExpiry / cleanup. Timestamps
+ * are ISO strings; an expired record is never returned even before cleanup runs.
+ *
+ * list() is ordered by updatedAt, newest first (sessionId breaks ties) and
+ * accepts { customerId, status, createdFrom, createdTo, cursor, limit }.
+ * query() wraps it with cursor pagination.
+ */
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+// Session IDs end up in file names and URLs, so keep them boring
+const ID_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,127}$/;
+
+class SessionStoreError extends Error {
+  constructor(message, code = 'SESSION_STORE_ERROR') {
+    super(message);
+    this.name = 'SessionStoreError';
+    this.code = code;
+  }
+}
+
+function assertValidId(value, label = 'sessionId') {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new SessionStoreError(`Invalid ${label}: ${JSON.stringify(value)}`, 'INVALID_ID');
+  }
+  return value;
+}
+
+/**
+ * Opaque keyset cursor pointing just past the given record in list() order
+ */
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([record.updatedAt, record.sessionId])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [updatedAt, sessionId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof updatedAt === 'string' && typeof sessionId === 'string') {
+      return { updatedAt, sessionId };
+    }
+  } catch (error) {
+    // fall through
+  }
+  throw new SessionStoreError('Invalid cursor', 'INVALID_CURSOR');
+}
+
+/**
+ * list() order: updatedAt desc, then sessionId desc
+ */
+function compareRecords(a, b) {
+  return String(b.updatedAt).localeCompare(String(a.updatedAt)) || b.sessionId.localeCompare(a.sessionId);
+}
+
+/**
+ * In-memory version of the list() filters for backends without a query language
+ */
+function matchesListFilters(record, options = {}) {
+  const { customerId, status, createdFrom, createdTo, cursor } = options;
+  if (customerId && record.customerId !== customerId) return false;
+  if (status && record.status !== status) return false;
+  if (createdFrom && String(record.createdAt) < createdFrom) return false;
+  if (createdTo && String(record.createdAt) > createdTo) return false;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (compareRecords({ updatedAt: after.updatedAt, sessionId: after.sessionId }, record) >= 0) return false;
+  }
+  return true;
+}
+
+function resolveListLimit(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+}
+
+class SessionStore {
+  constructor(options = {}) {
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Build the record to persist for a put()
+   */
+  buildRecord(sessionId, data, options = {}, existing = null, now = new Date()) {
+    assertValidId(sessionId);
+    const customerId = options.customerId || data?.customerId || existing?.customerId || null;
+    if (customerId) assertValidId(customerId, 'customerId');
+
+    const ttlSeconds = options.ttlSeconds || this.ttlSeconds;
+    return {
+      sessionId,
+      customerId,
+      status: options.status || data?.generationStatus || data?.status || null,
+      sizeBytes: Buffer.byteLength(JSON.stringify(data ?? null)),
+      data,
+      createdAt: existing?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+    };
+  }
+
+  isExpired(record, now = Date.now()) {
+    return !!record?.expiresAt && new Date(record.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Metadata view of a record, without the (potentially large) data payload
+   */
+  summarize(record) {
+    const { data, ...metadata } = record;
+    return metadata;
+  }
+
+  /**
+   * Store data for a session, replacing anything already there
+   * @returns {Promise<Object>} the stored record's metadata
+   */
+  async put(sessionId, data, options = {}) {
+    throw new SessionStoreError(`${this.constructor.name} does not implement put()`);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the session's data, or null if missing or expired
+   */
+  async get(sessionId) {
+    const record = await this.getRecord(sessionId);
+    return record ? record.data : null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the full record, or null if missing or expired
+   */
+  async getRecord(sessionId) {
+    throw new SessionStoreError(`${this.constructor.name} does not implement getRecord()`);
+  }
+
+  /**
+   * List record metadata, newest first
+   * @param {Object} options - { customerId, status, createdFrom, createdTo, cursor, limit }
+   */
+  async list(options = {}) {
+    throw new SessionStoreError(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * One page of list() results
+   * @returns {Promise<{records: Object[], nextCursor: string|null}>}
+   */
+  async query(options = {}) {
+    const limit = resolveListLimit(options.limit);
+    if (options.cursor) decodeCursor(options.cursor);
+
+    const records = await this.list({ ...options, limit: limit + 1 });
+    const page = records.slice(0, limit);
+    return {
+      records: page,
+      nextCursor: records.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Expire a session immediately
+   * @returns {Promise<boolean>} whether a session was removed
+   */
+  async expire(sessionId) {
+    throw new SessionStoreError(`${this.constructor.name} does not implement expire()`);
+  }
+
+  /**
+   * Change when a session expires without touching its data
+   * @param {string} sessionId
+   * @param {Date|string} expiresAt
+   * @returns {Promise<Object|null>} the updated metadata, or null if missing or already expired
+   */
+  async setExpiry(sessionId, expiresAt) {
+    throw new SessionStoreError(`${this.constructor.name} does not implement setExpiry()`);
+  }
+
+  /**
+   * Remove every expired record
+   * @returns {Promise<number>} how many records were removed
+   */
+  async cleanup() {
+    throw new SessionStoreError(`${this.constructor.name} does not implement cleanup()`);
+  }
+
+  /**
+   * Run cleanup() on an interval; the timer never keeps the process alive
+   */
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    this.stopCleanup();
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup()
+        .then(removed => {
+          if (removed > 0) console.log(`🧹 Session store removed ${removed} expired session(s)`);
+        })
+        .catch(error => console.error('❌ Session store cleanup failed:', error.message));
+    }, intervalMs);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  async close() {
+    this.stopCleanup();
+  }
+}
+
+module.exports = {
+  SessionStore,
+  SessionStoreError,
+  assertValidId,
+  encodeCursor,
+  decodeCursor,
+  compareRecords,
+  matchesListFilters,
+  resolveListLimit,
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_LIST_LIMIT,
+  MAX_LIST_LIMIT
+};
@@ -0,0 +1,186 @@
+/**
+ * SQLite Session Store
+ * Single-table store on better-sqlite3 (an optional dependency). SQLite
+ * transactions give us atomic writes; customer_id and expires_at are indexed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SessionStore,
+  SessionStoreError,
+  assertValidId,
+  decodeCursor,
+  DEFAULT_LIST_LIMIT
+} = require('./SessionStore');
+
+const METADATA_COLUMNS = 'session_id, customer_id, status, size_bytes, created_at, updated_at, expires_at';
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new SessionStoreError(
+      'SQLite session store requires the optional "better-sqlite3" dependency',
+      'DRIVER_MISSING'
+    );
+  }
+}
+
+class SqliteSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    const Database = options.driver || loadDriver();
+    this.filename = options.filename || path.join(process.cwd(), 'webhook-data', 'sessions.sqlite');
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_sessions (
+        session_id TEXT PRIMARY KEY,
+        customer_id TEXT,
+        status TEXT,
+        size_bytes INTEGER,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_sessions_customer_id ON webhook_sessions(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_sessions_expires_at ON webhook_sessions(expires_at);
+    `);
+
+    // Databases created before status/size_bytes existed
+    const columns = this.db.prepare('PRAGMA table_info(webhook_sessions)').all().map(column => column.name);
+    if (!columns.includes('status')) {
+      this.db.exec('ALTER TABLE webhook_sessions ADD COLUMN status TEXT');
+    }
+    if (!columns.includes('size_bytes')) {
+      this.db.exec('ALTER TABLE webhook_sessions ADD COLUMN size_bytes INTEGER');
+    }
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_sessions_status ON webhook_sessions(status);
+      CREATE INDEX IF NOT EXISTS idx_webhook_sessions_updated_at ON webhook_sessions(updated_at DESC, session_id DESC);
+    `);
+  }
+
+  prepareStatements() {
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO webhook_sessions (session_id, customer_id, status, size_bytes, data, created_at, updated_at, expires_at)
+        VALUES (@sessionId, @customerId, @status, @sizeBytes, @data, @createdAt, @updatedAt, @expiresAt)
+        ON CONFLICT(session_id) DO UPDATE SET
+          customer_id = excluded.customer_id,
+          status = excluded.status,
+          size_bytes = excluded.size_bytes,
+          data = excluded.data,
+          updated_at = excluded.updated_at,
+          expires_at = excluded.expires_at
+      `),
+      select: this.db.prepare('SELECT * FROM webhook_sessions WHERE session_id = ?'),
+      setExpiry: this.db.prepare(`
+        UPDATE webhook_sessions SET expires_at = ?
+        WHERE session_id = ? AND (expires_at IS NULL OR expires_at > ?)
+      `),
+      delete: this.db.prepare('DELETE FROM webhook_sessions WHERE session_id = ?'),
+      deleteExpired: this.db.prepare('DELETE FROM webhook_sessions WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    };
+
+    this.putTransaction = this.db.transaction((sessionId, data, options) => {
+      const existing = this.fromRow(this.statements.select.get(sessionId));
+      const record = this.buildRecord(sessionId, data, options, existing);
+      this.statements.upsert.run({ ...record, data: JSON.stringify(record.data) });
+      return record;
+    });
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return {
+      sessionId: row.session_id,
+      customerId: row.customer_id,
+      status: row.status ?? null,
+      sizeBytes: row.size_bytes ?? null,
+      ...(row.data !== undefined && { data: JSON.parse(row.data) }),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  async put(sessionId, data, options = {}) {
+    assertValidId(sessionId);
+    return this.summarize(this.putTransaction(sessionId, data, options));
+  }
+
+  async getRecord(sessionId) {
+    const record = this.fromRow(this.statements.select.get(assertValidId(sessionId)));
+    if (!record || this.isExpired(record)) return null;
+    return record;
+  }
+
+  async list(options = {}) {
+    const { customerId, status, createdFrom, createdTo, cursor, limit = DEFAULT_LIST_LIMIT } = options;
+    const where = ['(expires_at IS NULL OR expires_at > @now)'];
+    const params = { now: new Date().toISOString(), limit };
+
+    if (customerId) {
+      where.push('customer_id = @customerId');
+      params.customerId = assertValidId(customerId, 'customerId');
+    }
+    if (status) {
+      where.push('status = @status');
+      params.status = status;
+    }
+    if (createdFrom) {
+      where.push('created_at >= @createdFrom');
+      params.createdFrom = createdFrom;
+    }
+    if (createdTo) {
+      where.push('created_at <= @createdTo');
+      params.createdTo = createdTo;
+    }
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      where.push('(updated_at < @cursorUpdatedAt OR (updated_at = @cursorUpdatedAt AND session_id < @cursorSessionId))');
+      params.cursorUpdatedAt = after.updatedAt;
+      params.cursorSessionId = after.sessionId;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT ${METADATA_COLUMNS} FROM webhook_sessions
+      WHERE ${where.join(' AND ')}
+      ORDER BY updated_at DESC, session_id DESC LIMIT @limit
+    `).all(params);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async setExpiry(sessionId, expiresAt) {
+    const now = new Date().toISOString();
+    const changes = this.statements.setExpiry.run(new Date(expiresAt).toISOString(), assertValidId(sessionId), now).changes;
+    if (changes === 0) return null;
+    return this.summarize(this.fromRow(this.statements.select.get(sessionId)));
+  }
+
+  async expire(sessionId) {
+    return this.statements.delete.run(assertValidId(sessionId)).changes > 0;
+  }
+
+  async cleanup() {
+    return this.statements.deleteExpired.run(new Date().toISOString()).changes;
+  }
+
+  async close() {
+    await super.close();
+    this.db.close();
+  }
+}
+
+module.exports = SqliteSessionStore;
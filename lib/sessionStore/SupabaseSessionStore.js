@@ -0,0 +1,156 @@
+/**
+ * Supabase Session Store
+ * Shared Postgres-backed store so every Netlify function instance and the
+ * Express server see the same sessions. Uses the webhook_sessions table from
+ * supabase/migrations/002_create_webhook_sessions_table.sql and needs the
+ * service role key (the table is not exposed to anon clients).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const {
+  SessionStore,
+  SessionStoreError,
+  assertValidId,
+  decodeCursor,
+  DEFAULT_LIST_LIMIT
+} = require('./SessionStore');
+
+const TABLE = 'webhook_sessions';
+const METADATA_COLUMNS = 'session_id, customer_id, status, size_bytes, created_at, updated_at, expires_at';
+
+class SupabaseSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    const url = options.url || process.env.SUPABASE_URL;
+    const serviceRoleKey = options.serviceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!options.client && (!url || !serviceRoleKey)) {
+      throw new SessionStoreError(
+        'Supabase session store requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY',
+        'CONFIG_MISSING'
+      );
+    }
+
+    this.client = options.client || createClient(url, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    return {
+      sessionId: row.session_id,
+      customerId: row.customer_id,
+      status: row.status ?? null,
+      sizeBytes: row.size_bytes ?? null,
+      ...(row.data !== undefined && { data: row.data }),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  unwrap({ data, error }, operation) {
+    if (error) {
+      throw new SessionStoreError(`Supabase ${operation} failed: ${error.message}`, 'BACKEND_ERROR');
+    }
+    return data;
+  }
+
+  async put(sessionId, data, options = {}) {
+    const record = this.buildRecord(sessionId, data, options);
+
+    // created_at is left to the column default so an upsert keeps the original value
+    const row = this.unwrap(await this.client
+      .from(TABLE)
+      .upsert({
+        session_id: record.sessionId,
+        customer_id: record.customerId,
+        status: record.status,
+        size_bytes: record.sizeBytes,
+        data: record.data,
+        updated_at: record.updatedAt,
+        expires_at: record.expiresAt
+      }, { onConflict: 'session_id' })
+      .select(METADATA_COLUMNS)
+      .single(), 'put');
+
+    return this.fromRow(row);
+  }
+
+  async getRecord(sessionId) {
+    const row = this.unwrap(await this.client
+      .from(TABLE)
+      .select('*')
+      .eq('session_id', assertValidId(sessionId))
+      .maybeSingle(), 'get');
+
+    const record = this.fromRow(row);
+    if (!record || this.isExpired(record)) return null;
+    return record;
+  }
+
+  async list(options = {}) {
+    const { customerId, status, createdFrom, createdTo, cursor, limit = DEFAULT_LIST_LIMIT } = options;
+
+    let query = this.client
+      .from(TABLE)
+      .select(METADATA_COLUMNS)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('updated_at', { ascending: false })
+      .order('session_id', { ascending: false })
+      .limit(limit);
+
+    if (customerId) {
+      query = query.eq('customer_id', assertValidId(customerId, 'customerId'));
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (createdFrom) {
+      query = query.gte('created_at', createdFrom);
+    }
+    if (createdTo) {
+      query = query.lte('created_at', createdTo);
+    }
+    if (cursor) {
+      // Separate or() filters are ANDed together by PostgREST
+      const after = decodeCursor(cursor);
+      query = query.or(
+        `updated_at.lt."${after.updatedAt}",and(updated_at.eq."${after.updatedAt}",session_id.lt."${assertValidId(after.sessionId)}")`
+      );
+    }
+
+    return this.unwrap(await query, 'list').map(row => this.fromRow(row));
+  }
+
+  async setExpiry(sessionId, expiresAt) {
+    const rows = this.unwrap(await this.client
+      .from(TABLE)
+      .update({ expires_at: new Date(expiresAt).toISOString() })
+      .eq('session_id', assertValidId(sessionId))
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .select(METADATA_COLUMNS), 'setExpiry');
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  async expire(sessionId) {
+    const rows = this.unwrap(await this.client
+      .from(TABLE)
+      .delete()
+      .eq('session_id', assertValidId(sessionId))
+      .select('session_id'), 'expire');
+    return rows.length > 0;
+  }
+
+  async cleanup() {
+    const rows = this.unwrap(await this.client
+      .from(TABLE)
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('session_id'), 'cleanup');
+    return rows.length;
+  }
+}
+
+module.exports = SupabaseSessionStore;
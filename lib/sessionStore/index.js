@@ -0,0 +1,69 @@
+/**
+ * Session Store factory
+ * Picks a backend from options.backend or SESSION_STORE_BACKEND:
+ *   filesystem (default) - SESSION_STORE_DIR, defaults to ./webhook-data
+ *   sqlite               - SESSION_STORE_SQLITE_FILE
+ *   supabase             - SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY
+ * SESSION_TTL_SECONDS overrides the default 7-day retention.
+ *
+ * Netlify functions use createFunctionSessionStore, which defaults to
+ * Supabase once deployed and refuses the local backends there.
+ */
+
+const { SessionStore, SessionStoreError, DEFAULT_TTL_SECONDS } = require('./SessionStore');
+
+const BACKENDS = {
+  filesystem: () => require('./FileSystemSessionStore'),
+  sqlite: () => require('./SqliteSessionStore'),
+  supabase: () => require('./SupabaseSessionStore')
+};
+
+function createSessionStore(options = {}, env = process.env) {
+  const backend = options.backend || env.SESSION_STORE_BACKEND || 'filesystem';
+  const loadBackend = BACKENDS[backend];
+
+  if (!loadBackend) {
+    throw new SessionStoreError(`Unknown session store backend: ${backend}`, 'UNKNOWN_BACKEND');
+  }
+
+  const StoreClass = loadBackend();
+  return new StoreClass({
+    ttlSeconds: parseInt(env.SESSION_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    directory: env.SESSION_STORE_DIR || undefined,
+    filename: env.SESSION_STORE_SQLITE_FILE || undefined,
+    ...options
+  });
+}
+
+// Backends that every function instance shares
+const SHARED_BACKENDS = ['supabase'];
+
+// Deployed functions run on Lambda; `netlify dev` sets NETLIFY_DEV
+const isDeployedFunction = env => Boolean(env.AWS_LAMBDA_FUNCTION_NAME) && env.NETLIFY_DEV !== 'true';
+
+/**
+ * Session store for Netlify functions. Each deployed instance has its own
+ * /tmp, so a filesystem or SQLite store there would lose sessions between
+ * the webhook and the function that reads them.
+ */
+function createFunctionSessionStore(options = {}, env = process.env) {
+  const deployed = isDeployedFunction(env);
+  const backend = options.backend || env.SESSION_STORE_BACKEND || (deployed ? 'supabase' : 'filesystem');
+
+  if (deployed && !SHARED_BACKENDS.includes(backend)) {
+    throw new SessionStoreError(
+      `Session store backend "${backend}" is not shared between Netlify function instances; use supabase`,
+      'UNSHARED_BACKEND'
+    );
+  }
+
+  return createSessionStore({ directory: env.SESSION_STORE_DIR || '/tmp/resources', ...options, backend }, env);
+}
+
+module.exports = {
+  createSessionStore,
+  createFunctionSessionStore,
+  isDeployedFunction,
+  SessionStore,
+  SessionStoreError
+};
@@ -0,0 +1,298 @@
+/**
+ * Structured Resources
+ * Canonical typed ICP and persona objects. The webhook server stores these
+ * instead of pre-rendered markdown; markdown is rendered from them when a
+ * resource is displayed or exported. Fields the model didn't provide fall
+ * back to generic defaults and are flagged `assumed`, so readers can tell
+ * research from filler. Money fields render in the reader's currency
+ * (lib/money.js).
+ */
+
+const { DEFAULT_MONEY, formatBaseAmount } = require('./money');
+
+const SCHEMA_VERSION = 1;
+
+// type: text | number | range (text plus parsed { min, max }) | list
+const STRUCTURED_FIELDS = {
+  icp: {
+    company_size_range: { label: 'Size Range', type: 'range', default: 'Mid-market to Enterprise' },
+    industry_verticals: { label: 'Industries', type: 'text', default: 'Technology, Manufacturing, Financial Services' },
+    annual_revenue_range: { label: 'Revenue Range', type: 'range', default: '$100M - $1B+' },
+    employee_count: { label: 'Employee Count', type: 'range', default: '500-5,000' },
+    geographic_markets: { label: 'Geographic Markets', type: 'text', default: 'North America, Europe' },
+    growth_stage: { label: 'Growth Stage', type: 'text' },
+    organizational_structure: { label: 'Organizational Structure', type: 'text', default: 'Mature organizations with dedicated teams and C-suite leadership' },
+    technology_stack: { label: 'Technology Stack', type: 'text', default: 'Cloud-based infrastructure, enterprise systems' },
+    budget_range: { label: 'Budget Range', type: 'range', default: '$50K - $500K annually' },
+    integration_needs: { label: 'Integration Needs', type: 'text', default: 'Enterprise system integration required' },
+    decision_makers: { label: 'Key Decision Makers', type: 'text', default: 'C-suite executives, department heads' },
+    buying_process: { label: 'Buying Process', type: 'text', default: '6-18 month evaluation cycle' },
+    contract_preferences: { label: 'Contract Preferences', type: 'text', default: 'Multi-year SaaS agreements' },
+    compliance_requirements: { label: 'Compliance', type: 'text', default: 'Industry-specific regulatory requirements' },
+    implementation_readiness: { label: 'Implementation Readiness', type: 'text', default: 'Established frameworks and resources' },
+    support_requirements: { label: 'Support Requirements', type: 'text' },
+    success_indicators: { label: 'Success Indicators', type: 'text', default: 'Measurable efficiency and compliance improvements' },
+    market_research: { label: 'Market Research Insights', type: 'text', default: 'Comprehensive market analysis based on industry trends and competitive landscape' },
+    data_sources_appendix: { label: 'Data Sources', type: 'text', default: 'Industry reports and market analysis' }
+  },
+  persona: {
+    persona_name: { label: 'Persona', type: 'text', default: 'Decision Maker' },
+    age_range: { label: 'Age Range', type: 'range', default: '35-50' },
+    annual_income: { label: 'Annual Income', type: 'number', default: 150000 },
+    education_level: { label: 'Education', type: 'text', default: 'Advanced degree' },
+    geographic_location: { label: 'Location', type: 'text', default: 'Major metropolitan areas' },
+    job_title: { label: 'Job Title', type: 'text', default: 'Senior Executive' },
+    industry: { label: 'Industry', type: 'text', default: 'Technology, Manufacturing, Financial Services' },
+    company_size: { label: 'Company Size', type: 'text', default: 'Enterprise' },
+    technology_comfort_level: { label: 'Technology Comfort', type: 'text' },
+    budget_authority: { label: 'Budget Authority', type: 'text' },
+    goals_and_objectives: { label: 'Goals & Motivations', type: 'text', default: 'Professional advancement through successful technology implementation and measurable business impact' },
+    pain_points: { label: 'Pain Points & Challenges', type: 'text', default: 'Managing complex processes manually, regulatory compliance pressure, integration challenges, and demonstrating ROI on technology investments' },
+    day_in_life_summary: { label: 'Day in the Life', type: 'text', default: 'Strategic planning, cross-functional collaboration, stakeholder management, and staying current with industry trends and regulatory requirements' },
+    decision_timeline: { label: 'Decision Timeline', type: 'text', default: '12-18 months' },
+    buying_behavior: { label: 'Buying Behavior', type: 'text', default: 'Thorough evaluation process with multiple stakeholders' },
+    influences_and_decision_factors: { label: 'Key Influences', type: 'text', default: 'Regulatory requirements, integration capabilities, vendor track record, total cost of ownership' },
+    preferred_communication_channels: { label: 'Preferred Channels', type: 'list', default: ['Email', 'Video Calls', 'In-Person meetings'] },
+    objections_and_concerns: { label: 'Objections & Concerns', type: 'text', default: 'Integration complexity, implementation timeline, total cost of ownership, vendor reliability' },
+    success_metrics: { label: 'Success Metrics', type: 'text', default: 'Operational efficiency improvements, regulatory compliance achievement, cost reduction, and measurable ROI' },
+    market_research: { label: 'Market Research', type: 'text', default: 'Based on industry surveys and buyer behavior analysis' }
+  }
+};
+
+const STRUCTURED_KINDS = Object.keys(STRUCTURED_FIELDS);
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Pull the numeric bounds out of text like "$10M - $50M", "50-200 employees"
+ * or "$1B+". Open-ended ranges get max: null.
+ * @returns {{ min: number, max: number|null } | null}
+ */
+function parseRange(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return { min: value, max: value };
+  if (typeof value !== 'string') return null;
+
+  const numbers = [...value.matchAll(/(\d+(?:,\d{3})*(?:\.\d+)?)\s*([kmb](?![a-z]))?/gi)]
+    .map(([, digits, suffix]) => Number(digits.replace(/,/g, '')) * (suffix ? MULTIPLIERS[suffix.toLowerCase()] : 1));
+  if (numbers.length === 0) return null;
+
+  const openEnded = /\+\s*$|\+\s*\w*$/.test(value.trim());
+  return {
+    min: Math.min(...numbers),
+    max: openEnded ? null : Math.max(...numbers)
+  };
+}
+
+function isBlank(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+}
+
+function typedValue(type, value) {
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return { value };
+      const parsed = Number(String(value).replace(/[$,\s]/g, ''));
+      // Ranges like "$120K-$150K" stay text with parsed bounds
+      return Number.isFinite(parsed) ? { value: parsed } : { value: String(value).trim(), range: parseRange(value) };
+    }
+    case 'range':
+      return { value: typeof value === 'number' ? value : String(value).trim(), range: parseRange(value) };
+    case 'list':
+      return {
+        value: (Array.isArray(value) ? value : String(value).split(','))
+          .map(item => String(item).trim())
+          .filter(Boolean)
+      };
+    default:
+      return { value: Array.isArray(value) ? value.join(', ') : String(value).trim() };
+  }
+}
+
+/**
+ * Canonical typed object for a raw ICP or persona output
+ * @param {string} kind - icp | persona
+ * @param {Object} source - the model's JSON output
+ * @returns {{ kind, schemaVersion, fields: { [key]: { value, assumed, range? } }, assumedFields: string[] }}
+ */
+function toStructuredResource(kind, source = {}) {
+  const spec = STRUCTURED_FIELDS[kind];
+  if (!spec) throw new TypeError(`No structured schema for resource kind: ${kind}`);
+
+  const fields = {};
+  const assumedFields = [];
+
+  Object.entries(spec).forEach(([key, field]) => {
+    const provided = !isBlank(source?.[key]);
+    if (!provided && field.default === undefined) return;
+
+    const typed = typedValue(field.type, provided ? source[key] : field.default);
+    if (typed.range === null) delete typed.range;
+    fields[key] = { ...typed, assumed: !provided };
+    if (!provided) assumedFields.push(key);
+  });
+
+  return { kind, schemaVersion: SCHEMA_VERSION, fields, assumedFields };
+}
+
+/**
+ * Plain { key: value } view of a structured resource
+ */
+function structuredValues(structured) {
+  const values = {};
+  Object.entries(structured?.fields || {}).forEach(([key, field]) => {
+    values[key] = field.value;
+  });
+  return values;
+}
+
+function display(field) {
+  if (!field) return '';
+  const value = Array.isArray(field.value) ? field.value.join(', ') : field.value;
+  return field.assumed ? `${value} _(assumed)_` : `${value}`;
+}
+
+function renderIcpMarkdown({ fields }, confidence) {
+  const line = (key) => `**${STRUCTURED_FIELDS.icp[key].label}**: ${display(fields[key])}`;
+  const optional = (key) => (fields[key] ? [line(key)] : []);
+
+  return [
+    `# Ideal Customer Profile: ${fields.company_size_range.value}`,
+    '',
+    '## Company Profile',
+    line('company_size_range'),
+    line('industry_verticals'),
+    line('annual_revenue_range'),
+    line('employee_count'),
+    line('geographic_markets'),
+    ...optional('growth_stage'),
+    '',
+    '## Organizational Structure',
+    display(fields.organizational_structure),
+    '',
+    '## Technology & Integration',
+    line('technology_stack'),
+    line('budget_range'),
+    line('integration_needs'),
+    '',
+    '## Decision Making',
+    line('decision_makers'),
+    line('buying_process'),
+    line('contract_preferences'),
+    '',
+    '## Requirements & Success',
+    line('compliance_requirements'),
+    line('implementation_readiness'),
+    ...optional('support_requirements'),
+    line('success_indicators'),
+    '',
+    '## Market Research Insights',
+    display(fields.market_research),
+    '',
+    `**Confidence Score**: ${confidence ?? 'n/a'}/10`,
+    line('data_sources_appendix')
+  ].join('\n');
+}
+
+function renderPersonaMarkdown({ fields }, confidence, money) {
+  const line = (key) => `**${STRUCTURED_FIELDS.persona[key].label}**: ${display(fields[key])}`;
+  const optional = (key) => (fields[key] ? [line(key)] : []);
+  const income = fields.annual_income;
+  const incomeText = typeof income.value === 'number' ? formatBaseAmount(income.value, money) : income.value;
+
+  return [
+    `# Primary Buyer Persona: ${fields.persona_name.value}`,
+    '',
+    '## Demographics & Professional Profile',
+    line('age_range'),
+    `**Annual Income**: ${income.assumed ? `${incomeText} _(assumed)_` : incomeText}`,
+    line('education_level'),
+    line('geographic_location'),
+    line('job_title'),
+    line('industry'),
+    line('company_size'),
+    ...optional('technology_comfort_level'),
+    ...optional('budget_authority'),
+    '',
+    '## Goals & Motivations',
+    display(fields.goals_and_objectives),
+    '',
+    '## Pain Points & Challenges',
+    display(fields.pain_points),
+    '',
+    '## Day in the Life',
+    display(fields.day_in_life_summary),
+    '',
+    '## Buying Behavior & Decision Process',
+    line('decision_timeline'),
+    line('buying_behavior'),
+    line('influences_and_decision_factors'),
+    '',
+    '## Communication Preferences',
+    line('preferred_communication_channels'),
+    '',
+    '## Objections & Concerns',
+    display(fields.objections_and_concerns),
+    '',
+    '## Success Metrics',
+    display(fields.success_metrics),
+    '',
+    `**Confidence Score**: ${confidence ?? 'n/a'}/10`,
+    line('market_research')
+  ].join('\n');
+}
+
+const RENDERERS = {
+  icp: renderIcpMarkdown,
+  persona: renderPersonaMarkdown
+};
+
+/**
+ * Markdown for a structured resource; assumed values are marked "(assumed)"
+ * @param {Object} money - { currency, locale } for numeric money fields
+ */
+function renderStructuredMarkdown(structured, confidence, money = DEFAULT_MONEY) {
+  const render = RENDERERS[structured?.kind];
+  if (!render) throw new TypeError(`No renderer for resource kind: ${structured?.kind}`);
+  return render(structured, confidence, money);
+}
+
+/**
+ * Display text for any stored resource: rendered from `structured` when
+ * present, otherwise the stored markdown
+ */
+function resourceText(resource, money = DEFAULT_MONEY) {
+  if (!resource) return '';
+  if (resource.structured) return renderStructuredMarkdown(resource.structured, resource.confidence_score, money);
+
+  const { content } = resource;
+  if (typeof content === 'string') return content;
+  if (content && typeof content.text === 'string') return content.text;
+  return content ? JSON.stringify(content) : '';
+}
+
+/**
+ * Copy of a resources map with markdown content rendered for structured
+ * resources, for API responses to clients that display `content`
+ */
+function withRenderedContent(resources = {}, money = DEFAULT_MONEY) {
+  const rendered = {};
+  Object.entries(resources).forEach(([key, resource]) => {
+    rendered[key] = resource?.structured
+      ? { ...resource, content: { text: resourceText(resource, money), format: 'markdown' } }
+      : resource;
+  });
+  return rendered;
+}
+
+module.exports = {
+  STRUCTURED_FIELDS,
+  STRUCTURED_KINDS,
+  parseRange,
+  toStructuredResource,
+  structuredValues,
+  renderStructuredMarkdown,
+  resourceText,
+  withRenderedContent
+};
@@ -0,0 +1,113 @@
+/**
+ * Supabase Resource Version Store
+ * The version history of resourceVersionStore.js in Postgres, so the Netlify
+ * webhook and the version function share it across instances. Uses the
+ * resource_versions and resource_version_state tables from
+ * supabase/migrations/004_create_resource_versions_tables.sql and, like the
+ * session store, needs the service role key.
+ *
+ * The (customer_id, version) primary key does what the hard link does on
+ * disk: an insert for a number another generation already took fails.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { SessionStoreError, assertValidId } = require('./sessionStore/SessionStore');
+const { ResourceVersionStore, assertVersionId } = require('./resourceVersionStore');
+
+const VERSIONS_TABLE = 'resource_versions';
+const STATE_TABLE = 'resource_version_state';
+const UNIQUE_VIOLATION = '23505';
+
+class SupabaseResourceVersionStore extends ResourceVersionStore {
+  constructor(options = {}) {
+    super(options);
+    const url = options.url || process.env.SUPABASE_URL;
+    const serviceRoleKey = options.serviceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!options.client && (!url || !serviceRoleKey)) {
+      throw new SessionStoreError(
+        'Supabase resource version store requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY',
+        'CONFIG_MISSING'
+      );
+    }
+
+    this.client = options.client || createClient(url, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+
+  unwrap({ data, error }, operation) {
+    if (error) {
+      throw new SessionStoreError(`Supabase ${operation} failed: ${error.message}`, 'BACKEND_ERROR');
+    }
+    return data;
+  }
+
+  versionsOf(customerId, columns) {
+    return this.client
+      .from(VERSIONS_TABLE)
+      .select(columns)
+      .eq('customer_id', assertValidId(customerId, 'customerId'))
+      .order('version', { ascending: false });
+  }
+
+  async versionNumbers(customerId) {
+    const rows = this.unwrap(await this.versionsOf(customerId, 'version'), 'versionNumbers');
+    return rows.map(row => row.version);
+  }
+
+  async readVersions(customerId) {
+    const rows = this.unwrap(await this.versionsOf(customerId, 'data'), 'readVersions');
+    return rows.map(row => row.data);
+  }
+
+  async getVersion(customerId, versionId) {
+    const row = this.unwrap(await this.client
+      .from(VERSIONS_TABLE)
+      .select('data')
+      .eq('customer_id', assertValidId(customerId, 'customerId'))
+      .eq('version', parseInt(assertVersionId(versionId).slice(1), 10))
+      .maybeSingle(), 'getVersion');
+    return row ? row.data : null;
+  }
+
+  async claimVersion(customerId, version) {
+    const { error } = await this.client
+      .from(VERSIONS_TABLE)
+      .insert({
+        customer_id: assertValidId(customerId, 'customerId'),
+        version: version.version,
+        data: version,
+        created_at: version.createdAt
+      });
+
+    if (error?.code === UNIQUE_VIOLATION) return false;
+    this.unwrap({ error }, 'claimVersion');
+    return true;
+  }
+
+  async getState(customerId) {
+    const row = this.unwrap(await this.client
+      .from(STATE_TABLE)
+      .select('state')
+      .eq('customer_id', assertValidId(customerId, 'customerId'))
+      .maybeSingle(), 'getState');
+    return {
+      currentVersionId: row?.state?.currentVersionId || null,
+      pinnedVersionIds: row?.state?.pinnedVersionIds || [],
+      events: row?.state?.events || []
+    };
+  }
+
+  async writeState(customerId, state) {
+    this.unwrap(await this.client
+      .from(STATE_TABLE)
+      .upsert({
+        customer_id: assertValidId(customerId, 'customerId'),
+        state,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'customer_id' }), 'writeState');
+  }
+}
+
+module.exports = SupabaseResourceVersionStore;
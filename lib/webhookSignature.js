@@ -0,0 +1,241 @@
+/**
+ * Webhook Signature Verification
+ * HMAC-SHA256 request signing shared by the Express webhook server, the
+ * Netlify functions and the Airtable agent's webhook server.
+ *
+ * Signed requests carry three headers:
+ *   X-Timestamp  unix seconds when the request was signed
+ *   X-Nonce      random, single-use value
+ *   X-Signature  sha256=<hex HMAC of "<timestamp>.<nonce>.<raw body>">
+ *
+ * Secrets are configured per source as WEBHOOK_SECRET_<SOURCE>, for example
+ * WEBHOOK_SECRET_MAKE or WEBHOOK_SECRET_AIRTABLE_AGENT. A source without a
+ * secret rejects every request unless WEBHOOK_ALLOW_UNSIGNED=true.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-signature';
+const TIMESTAMP_HEADER = 'x-timestamp';
+const NONCE_HEADER = 'x-nonce';
+const SIGNATURE_PREFIX = 'sha256=';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_MAX_NONCES = 10000;
+
+/**
+ * Remembers nonces for the length of the tolerance window so a captured
+ * request can't be replayed while its timestamp is still acceptable
+ */
+class NonceCache {
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlSeconds || DEFAULT_TOLERANCE_SECONDS) * 1000;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_NONCES;
+    this.entries = new Map();
+  }
+
+  /**
+   * Record a nonce
+   * @returns {boolean} false when the nonce was already seen
+   */
+  checkAndStore(nonce, now = Date.now()) {
+    this.prune(now);
+
+    if (this.entries.has(nonce)) {
+      return false;
+    }
+
+    // Map iteration is insertion-ordered, so the first key is the oldest
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(nonce, now + this.ttlMs);
+    return true;
+  }
+
+  prune(now = Date.now()) {
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt > now) break;
+      this.entries.delete(nonce);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+function toEnvName(source) {
+  return `WEBHOOK_SECRET_${String(source).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Look up the signing secret for a webhook source
+ */
+function getSourceSecret(source, env = process.env) {
+  return env[toEnvName(source)] || null;
+}
+
+function computeSignature(secret, timestamp, nonce, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${nonce}.`);
+  hmac.update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || '', 'utf8'));
+  return `${SIGNATURE_PREFIX}${hmac.digest('hex')}`;
+}
+
+/**
+ * Produce the headers for a signed request
+ */
+function signPayload(secret, rawBody, options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const nonce = options.nonce || crypto.randomBytes(16).toString('hex');
+
+  return {
+    'X-Timestamp': String(timestamp),
+    'X-Nonce': nonce,
+    'X-Signature': computeSignature(secret, timestamp, nonce, rawBody)
+  };
+}
+
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a, 'utf8');
+  const bufferB = Buffer.from(b, 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a signed request
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifySignature({ secret, rawBody, headers, nonceCache, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!secret) {
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+
+  const signature = readHeader(headers, SIGNATURE_HEADER);
+  const timestamp = readHeader(headers, TIMESTAMP_HEADER);
+  const nonce = readHeader(headers, NONCE_HEADER);
+
+  if (!signature) return { valid: false, reason: 'missing_signature' };
+  if (!timestamp) return { valid: false, reason: 'missing_timestamp' };
+  if (!nonce) return { valid: false, reason: 'missing_nonce' };
+
+  if (!/^\d+$/.test(timestamp)) {
+    return { valid: false, reason: 'invalid_timestamp' };
+  }
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_outside_tolerance' };
+  }
+
+  const expected = computeSignature(secret, timestamp, nonce, rawBody);
+  if (!safeEqual(signature, expected)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  // Only burn the nonce once the signature is known to be genuine
+  if (nonceCache && !nonceCache.checkAndStore(nonce, now)) {
+    return { valid: false, reason: 'replayed_nonce' };
+  }
+
+  return { valid: true };
+}
+
+function allowUnsigned(env = process.env) {
+  return env.WEBHOOK_ALLOW_UNSIGNED === 'true';
+}
+
+function logRejection(source, reason, context = {}) {
+  console.warn(`🔒 Webhook signature rejected [${source}]: ${reason}`, context);
+}
+
+/**
+ * Build a verifier bound to one source, with its own nonce cache
+ */
+function createVerifier({ source, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, env = process.env } = {}) {
+  const nonceCache = new NonceCache({ ttlSeconds: toleranceSeconds * 2 });
+
+  return ({ rawBody, headers, context = {} }) => {
+    const resolvedSecret = secret || getSourceSecret(source, env);
+
+    if (!resolvedSecret && allowUnsigned(env)) {
+      return { valid: true, unsigned: true };
+    }
+
+    const result = verifySignature({ secret: resolvedSecret, rawBody, headers, nonceCache, toleranceSeconds });
+    if (!result.valid) {
+      logRejection(source, result.reason, context);
+    }
+    return result;
+  };
+}
+
+/**
+ * Express middleware. Needs the raw body: either req.body as a Buffer
+ * (express.raw) or req.rawBody captured by a body-parser `verify` hook.
+ */
+function createSignatureMiddleware(options = {}) {
+  const verify = createVerifier(options);
+
+  return (req, res, next) => {
+    const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+    const result = verify({
+      rawBody,
+      headers: req.headers,
+      context: { method: req.method, path: req.originalUrl || req.path, ip: req.ip }
+    });
+
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature',
+        reason: result.reason
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * body-parser `verify` hook that keeps the exact bytes that were signed
+ */
+function captureRawBody(req, res, buffer) {
+  req.rawBody = Buffer.from(buffer);
+}
+
+/**
+ * Verify a Netlify function event against a verifier
+ */
+function verifyNetlifyEvent(verify, event) {
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64')
+    : Buffer.from(event.body || '', 'utf8');
+
+  return verify({
+    rawBody,
+    headers: event.headers,
+    context: { path: event.path, ip: event.headers && event.headers['x-nf-client-connection-ip'] }
+  });
+}
+
+module.exports = {
+  NonceCache,
+  getSourceSecret,
+  signPayload,
+  verifySignature,
+  createVerifier,
+  createSignatureMiddleware,
+  captureRawBody,
+  verifyNetlifyEvent,
+  DEFAULT_TOLERANCE_SECONDS
+};
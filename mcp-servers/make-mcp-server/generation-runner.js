@@ -0,0 +1,335 @@
+/**
+ * Generation Runner
+ * Walks the SequentialAIPrompts chain against a pluggable LLM provider,
+ * validates each step's JSON, and delivers the result to the webhook server
+ * over the same /api/webhook/core-resources contract Make.com uses - so
+ * resources can be generated in dev and CI without a Make.com account.
+ */
+
+const { validateSchema } = require('../../lib/jsonSchema');
+const { signPayload, getSourceSecret } = require('../../lib/webhookSignature');
+const { GENERATION_STEPS } = require('./generation-steps.js');
+
+const DEFAULT_WEBHOOK_URL = 'http://localhost:3001/api/webhook/core-resources';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_REPORTED_ERRORS = 20;
+
+class GenerationError extends Error {
+  constructor(message, { code, step, attempts, errors } = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.code = code;
+    this.step = step;
+    this.attempts = attempts;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Pull the JSON object out of a model response. Models wrap it in code fences
+ * or add a sentence before and after often enough that strict parsing fails.
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') throw new SyntaxError('Response is not text');
+
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) throw new SyntaxError('Response contains no JSON object');
+
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+/**
+ * Parse and validate one step's response
+ * @returns {{ output: Object|null, errors: Array<{path, message}> }}
+ */
+function parseStepOutput(step, text) {
+  let output;
+  try {
+    output = extractJson(text);
+  } catch (e) {
+    return { output: null, errors: [{ path: '$', message: `invalid JSON: ${e.message}` }] };
+  }
+  return { output, errors: validateSchema(step.schema, output) };
+}
+
+function appendFeedback(prompt, heading, lines, instruction) {
+  const problems = lines
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(line => `- ${line}`)
+    .join('\n');
+
+  return {
+    ...prompt,
+    userPrompt: `${prompt.userPrompt}
+
+${heading}
+${problems}
+
+${instruction}`
+  };
+}
+
+function retryPrompt(prompt, errors) {
+  return appendFeedback(
+    prompt,
+    'Your previous response did not match the required JSON schema:',
+    errors.map(error => `${error.path}: ${error.message}`),
+    'Respond again with only the corrected JSON object, including every required field.'
+  );
+}
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+/**
+ * Map the chain's step outputs onto the legacy webhook payload
+ * (raw_content_data + quality_metrics + validation_results)
+ */
+function buildWebhookPayload(input, outputs, meta = {}) {
+  const { pdr, persona, icp, negative_persona, value_messaging, product_potential, moment_in_life, empathy_map } = outputs;
+  const scores = GENERATION_STEPS.map(step => outputs[step.key].quality_score);
+  const overall = round(scores.reduce((total, score) => total + score, 0) / scores.length);
+  const generatedAt = meta.timestamp || new Date().toISOString();
+  const analysisDate = generatedAt.split('T')[0];
+
+  return {
+    session_id: input.sessionId,
+    customer_id: input.customerId,
+    record_id: input.recordId,
+    product_name: input.productName || pdr.product_name,
+    business_type: input.businessType,
+    generation_status: 'completed',
+    timestamp: generatedAt,
+
+    raw_content_data: {
+      ideal_customer_profile: {
+        title: 'Ideal Customer Profile Analysis',
+        ...icp,
+        confidence_score: icp.quality_score,
+        analysis_date: analysisDate
+      },
+      target_buyer_personas: {
+        title: 'Target Buyer Personas',
+        ...persona,
+        confidence_score: persona.quality_score,
+        personas_count: 1,
+        negative_persona,
+        moment_in_life
+      },
+      empathy_map: {
+        title: 'Customer Empathy Map',
+        ...empathy_map,
+        confidence_score: empathy_map.quality_score,
+        map_completion_date: analysisDate
+      },
+      product_potential_assessment: {
+        title: 'Product Market Fit Assessment',
+        ...product_potential,
+        confidence_score: product_potential.quality_score,
+        current_product_potential_score: round(product_potential.success_probability / 10, 1),
+        what_problems_can_my_product_solve_today: pdr.key_benefits,
+        what_problems_could_my_product_potentially_solve: product_potential.market_opportunities,
+        why_solving_them_matters: value_messaging.primary_value_proposition,
+        where_is_the_problem_most_prominent_and_why: icp.industry_verticals,
+        where_should_i_engage_target_buyers: persona.preferred_communication_channels.join(', '),
+        how_do_i_turn_them_into_customers: value_messaging.call_to_action_variations,
+        what_actions_will_they_show_that_theyre_receiving_real_value: icp.success_indicators,
+        how_to_keep_them_coming_back: value_messaging.risk_mitigation_messages,
+        gaps_preventing_a_10_10_score: product_potential.major_risks,
+        data_backed_improvement_strategy: product_potential.key_success_factors,
+        assessment_date: analysisDate,
+        refined_product_description: pdr,
+        value_messaging
+      }
+    },
+
+    quality_metrics: {
+      overall_confidence: overall,
+      icp_confidence: icp.quality_score,
+      persona_confidence: persona.quality_score,
+      empathy_confidence: empathy_map.quality_score,
+      assessment_confidence: product_potential.quality_score,
+      content_completeness: 1
+    },
+
+    validation_results: {
+      content_quality_check: 'passed',
+      business_logic_validation: 'passed',
+      completeness_score: 100,
+      recommendation: 'approved_for_delivery',
+      notes: `Generated locally by ${meta.model || 'unknown model'}; schema retries: ${meta.retries || 0}`
+    }
+  };
+}
+
+class GenerationRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - { name, model, complete(request) }
+   * @param {number} options.maxAttempts - tries per step before giving up
+   * @param {string} options.webhookUrl - core-resources endpoint on the webhook server
+   * @param {string} options.secret - WEBHOOK_SECRET_MAKE; requests go unsigned when empty
+   * @param {Function} options.fetch - injectable for tests
+   * @param {Function} options.onStep - called after each validated step
+   */
+  constructor(options = {}) {
+    if (!options.provider || typeof options.provider.complete !== 'function') {
+      throw new TypeError('GenerationRunner requires a provider with a complete() method');
+    }
+    this.provider = options.provider;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.webhookUrl = (options.webhookUrl || DEFAULT_WEBHOOK_URL).replace(/\/$/, '');
+    this.secret = options.secret === undefined ? getSourceSecret('make') : options.secret;
+    this.fetch = options.fetch;
+    this.onStep = options.onStep;
+  }
+
+  get modelLabel() {
+    return this.provider.model ? `${this.provider.name}/${this.provider.model}` : this.provider.name;
+  }
+
+  /**
+   * Run one step, feeding validation errors back to the model on retry
+   * @returns {{ output: Object, attempts: number }}
+   */
+  async runStep(step, input, outputs, feedback = []) {
+    const basePrompt = step.prompt(input, outputs);
+    const prompt = feedback.length === 0 ? basePrompt : appendFeedback(
+      basePrompt,
+      'A previous answer to this prompt was rejected by review:',
+      feedback,
+      'Address every point with specific, non-generic content.'
+    );
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const request = attempt === 1 ? prompt : retryPrompt(prompt, errors);
+      const text = await this.provider.complete({ ...request, step: step.key });
+      const result = parseStepOutput(step, text);
+
+      if (result.errors.length === 0) {
+        return { output: result.output, attempts: attempt };
+      }
+      errors = result.errors;
+      console.warn(`⚠️ ${step.key} attempt ${attempt}/${this.maxAttempts} failed validation: ${errors[0].path} ${errors[0].message}`);
+    }
+
+    throw new GenerationError(`${step.label} did not produce valid JSON after ${this.maxAttempts} attempts`, {
+      code: 'SCHEMA_VIOLATION',
+      step: step.key,
+      attempts: this.maxAttempts,
+      errors
+    });
+  }
+
+  /**
+   * Re-run a single step (e.g. one that failed the quality gate) without
+   * delivering anything
+   * @param {string} stepKey - a GENERATION_STEPS key
+   * @param {Object} input - { productDescription }
+   * @param {Object} outputs - earlier step outputs the prompt builds on
+   * @param {Array<string>} feedback - review findings the model must address
+   * @returns {Promise<Object>} the validated step output
+   */
+  async regenerate(stepKey, input, outputs = {}, feedback = []) {
+    const step = GENERATION_STEPS.find(candidate => candidate.key === stepKey);
+    if (!step) throw new TypeError(`Unknown generation step: ${stepKey}`);
+
+    const { output } = await this.runStep(step, input, outputs, feedback);
+    return output;
+  }
+
+  /**
+   * Generate all resources and deliver them to the webhook server
+   * @param {Object} input - { productDescription, sessionId, customerId, recordId, productName, businessType }
+   * @returns {{ payload, steps, response }}
+   */
+  async run(input) {
+    if (!input || !input.productDescription) throw new TypeError('productDescription is required');
+    if (!input.sessionId || !input.customerId) throw new TypeError('sessionId and customerId are required');
+
+    const outputs = {};
+    const steps = [];
+
+    try {
+      for (let index = 0; index < GENERATION_STEPS.length; index++) {
+        const step = GENERATION_STEPS[index];
+        const { output, attempts } = await this.runStep(step, input, outputs);
+        outputs[step.key] = output;
+        steps.push({ step: step.key, attempts, qualityScore: output.quality_score });
+
+        await this.reportProgress(input.sessionId, {
+          type: 'step_completed',
+          step: step.key,
+          progress: Math.round(((index + 1) / GENERATION_STEPS.length) * 90),
+          message: `${step.label} ready`
+        });
+        if (this.onStep) this.onStep({ step: step.key, attempts, output });
+      }
+    } catch (error) {
+      await this.reportProgress(input.sessionId, {
+        type: 'failed',
+        error: error.message,
+        code: error.code || 'GENERATION_FAILED'
+      });
+      throw error;
+    }
+
+    const retries = steps.reduce((total, step) => total + step.attempts - 1, 0);
+    const payload = buildWebhookPayload(input, outputs, { model: this.modelLabel, retries });
+    const response = await this.deliver(payload);
+
+    return { payload, steps, response };
+  }
+
+  async post(url, body) {
+    const rawBody = JSON.stringify(body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Generation-Model': this.modelLabel,
+      ...(this.secret ? signPayload(this.secret, rawBody) : {})
+    };
+    return (this.fetch || fetch)(url, { method: 'POST', headers, body: rawBody });
+  }
+
+  // Progress is best-effort: a missed event must not fail the generation
+  async reportProgress(sessionId, event) {
+    try {
+      const response = await this.post(`${this.webhookUrl}/${encodeURIComponent(sessionId)}/progress`, event);
+      if (!response.ok) {
+        console.warn(`⚠️ Progress event ${event.type} rejected with HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not send progress event ${event.type}:`, error.message);
+    }
+  }
+
+  async deliver(payload) {
+    const response = await this.post(this.webhookUrl, payload);
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      body = { raw: text };
+    }
+
+    if (!response.ok) {
+      throw new GenerationError(`Webhook delivery failed with HTTP ${response.status}`, {
+        code: 'DELIVERY_FAILED',
+        errors: [body]
+      });
+    }
+    return body;
+  }
+}
+
+module.exports = {
+  GenerationRunner,
+  GenerationError,
+  extractJson,
+  parseStepOutput,
+  buildWebhookPayload,
+  DEFAULT_WEBHOOK_URL
+};
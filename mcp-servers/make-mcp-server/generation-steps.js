@@ -0,0 +1,169 @@
+/**
+ * Generation Steps
+ * The SequentialAIPrompts chain as data: which prompt each step uses, which
+ * earlier outputs feed it, and the JSON schema its output must satisfy.
+ * Step keys match the progress stream's GENERATION_STEPS.
+ */
+
+const SequentialAIPrompts = require('./sequential-ai-prompts.js');
+
+const text = { type: 'string', minLength: 1, maxLength: 20000 };
+const number = { type: 'number' };
+const qualityScore = { type: 'number', minimum: 1, maximum: 10 };
+
+function outputSchema(id, properties) {
+  return {
+    $id: `generation/${id}`,
+    type: 'object',
+    required: Object.keys(properties),
+    properties
+  };
+}
+
+function textFields(names) {
+  const properties = {};
+  names.forEach(name => {
+    properties[name] = text;
+  });
+  return properties;
+}
+
+const GENERATION_STEPS = [
+  {
+    key: 'pdr',
+    label: 'Refined product description',
+    prompt: (input) => SequentialAIPrompts.getPDRPrompt(input.productDescription),
+    schema: outputSchema('pdr', {
+      ...textFields([
+        'product_name', 'target_market', 'key_benefits', 'competitive_advantages', 'market_positioning',
+        'value_proposition', 'use_cases', 'technical_specifications', 'implementation_timeline', 'success_metrics'
+      ]),
+      recommended_price_point: number,
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'persona',
+    label: 'Target buyer persona',
+    prompt: (input, outputs) => SequentialAIPrompts.getTargetBuyerPersonaPrompt(input.productDescription, outputs.pdr),
+    schema: outputSchema('persona', {
+      ...textFields([
+        'persona_name', 'age_range', 'job_title', 'industry', 'education_level', 'geographic_location',
+        'pain_points', 'goals_and_objectives', 'buying_behavior', 'influences_and_decision_factors',
+        'day_in_life_summary', 'decision_timeline', 'objections_and_concerns', 'success_metrics'
+      ]),
+      company_size: { type: 'string', enum: ['Startup', 'Small', 'Medium', 'Large', 'Enterprise'] },
+      annual_income: number,
+      preferred_communication_channels: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', maxLength: 200 } },
+      technology_comfort_level: { type: 'string', enum: ['Low', 'Medium', 'High', 'Expert'] },
+      budget_authority: { type: 'string', enum: ['None', 'Limited', 'Moderate', 'Full'] },
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'icp',
+    label: 'Ideal customer profile',
+    prompt: (input, outputs) => SequentialAIPrompts.getICPPrompt(input.productDescription, outputs.pdr, outputs.persona),
+    schema: outputSchema('icp', {
+      ...textFields([
+        'company_size_range', 'industry_verticals', 'annual_revenue_range', 'geographic_markets', 'technology_stack',
+        'budget_range', 'decision_makers', 'organizational_structure', 'buying_process', 'success_indicators',
+        'implementation_readiness', 'support_requirements', 'contract_preferences', 'integration_needs',
+        'compliance_requirements'
+      ]),
+      employee_count: number,
+      growth_stage: { type: 'string', enum: ['Startup', 'Growth', 'Mature', 'Enterprise'] },
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'negative_persona',
+    label: 'Negative buyer persona',
+    prompt: (input, outputs) => SequentialAIPrompts.getNegativeBuyerPersonaPrompt(
+      input.productDescription, outputs.pdr, outputs.persona, outputs.icp
+    ),
+    schema: outputSchema('negative_persona', {
+      ...textFields([
+        'persona_type', 'demographic_red_flags', 'behavioral_indicators', 'company_characteristics',
+        'budget_misalignment', 'expectation_mismatches', 'support_burden_indicators', 'churn_risk_factors',
+        'poor_fit_reasons', 'alternative_solutions_better_suited', 'warning_signs', 'qualification_questions',
+        'disqualification_criteria'
+      ]),
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'value_messaging',
+    label: 'Value messaging',
+    prompt: (input, outputs) => SequentialAIPrompts.getValueMessagingPrompt(
+      input.productDescription, outputs.pdr, outputs.persona, outputs.icp, outputs.negative_persona
+    ),
+    schema: outputSchema('value_messaging', {
+      ...textFields([
+        'primary_value_proposition', 'secondary_value_props', 'executive_level_messaging', 'manager_level_messaging',
+        'end_user_messaging', 'technical_audience_messaging', 'proof_points', 'competitive_differentiators',
+        'roi_statements', 'risk_mitigation_messages', 'urgency_creators', 'social_proof_elements',
+        'objection_responses', 'call_to_action_variations', 'messaging_hierarchy', 'channel_specific_adaptations'
+      ]),
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'product_potential',
+    label: 'Product potential assessment',
+    prompt: (input, outputs) => SequentialAIPrompts.getProductPotentialPrompt(
+      input.productDescription, outputs.pdr, outputs.persona, outputs.icp, outputs.negative_persona, outputs.value_messaging
+    ),
+    schema: outputSchema('product_potential', {
+      total_addressable_market: number,
+      serviceable_addressable_market: number,
+      serviceable_obtainable_market: number,
+      market_growth_rate: number,
+      competitive_density: { type: 'string', enum: ['Low', 'Medium', 'High', 'Saturated'] },
+      success_probability: { type: 'number', minimum: 0, maximum: 100 },
+      ...textFields([
+        'barriers_to_entry', 'key_success_factors', 'major_risks', 'market_opportunities', 'technology_trends_impact',
+        'regulatory_considerations', 'resource_requirements', 'timeline_to_market', 'break_even_analysis',
+        'scaling_potential', 'exit_strategy_options'
+      ]),
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'moment_in_life',
+    label: 'Moment in life',
+    prompt: (input, outputs) => SequentialAIPrompts.getMomentInLifePrompt(
+      input.productDescription, outputs.persona, outputs.icp, outputs.value_messaging
+    ),
+    schema: outputSchema('moment_in_life', {
+      ...textFields([
+        'trigger_event', 'emotional_state', 'context_and_situation', 'alternatives_being_considered',
+        'decision_timeline', 'influencing_factors', 'environmental_pressures', 'support_system_available',
+        'information_seeking_behavior', 'decision_criteria', 'success_definition', 'failure_consequences',
+        'budget_considerations', 'implementation_concerns'
+      ]),
+      urgency_level: { type: 'string', enum: ['Low', 'Medium', 'High', 'Critical'] },
+      quality_score: qualityScore
+    })
+  },
+  {
+    key: 'empathy_map',
+    label: 'Customer empathy map',
+    prompt: (input, outputs) => SequentialAIPrompts.getEmpathyMapPrompt(
+      input.productDescription, outputs.persona, outputs.value_messaging, outputs.moment_in_life
+    ),
+    schema: outputSchema('empathy_map', {
+      ...textFields([
+        'what_they_think', 'what_they_feel', 'what_they_see', 'what_they_say', 'what_they_do', 'what_they_hear',
+        'pains_and_frustrations', 'gains_and_benefits', 'external_influences', 'internal_motivations',
+        'social_environment', 'professional_environment', 'personal_goals', 'professional_goals',
+        'fears_and_anxieties', 'hopes_and_dreams'
+      ]),
+      quality_score: qualityScore
+    })
+  }
+];
+
+module.exports = {
+  GENERATION_STEPS
+};
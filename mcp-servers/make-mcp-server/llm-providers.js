@@ -0,0 +1,188 @@
+/**
+ * LLM Providers
+ * Every provider implements complete({ systemPrompt, userPrompt, temperature, maxTokens, step })
+ * and resolves to the model's raw text. GenerationRunner only talks to this interface.
+ */
+
+const { GENERATION_STEPS } = require('./generation-steps.js');
+
+class ProviderError extends Error {
+  constructor(message, { provider, status, body } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function postJson(fetchImpl, provider, url, headers, body) {
+  const response = await (fetchImpl || fetch)(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new ProviderError(`${provider} request failed with HTTP ${response.status}`, {
+      provider,
+      status: response.status,
+      body: text.substring(0, 500)
+    });
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ProviderError(`${provider} returned a non-JSON response`, { provider, status: response.status });
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor({ apiKey, model = 'claude-sonnet-4-20250514', baseUrl = 'https://api.anthropic.com', fetch: fetchImpl } = {}) {
+    if (!apiKey) throw new ProviderError('ANTHROPIC_API_KEY is required', { provider: 'anthropic' });
+    this.name = 'anthropic';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  async complete({ systemPrompt, userPrompt, temperature, maxTokens }) {
+    const data = await postJson(this.fetch, this.name, `${this.baseUrl}/v1/messages`, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }]
+    });
+
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text) throw new ProviderError('anthropic response had no text content', { provider: this.name });
+    return text;
+  }
+}
+
+/**
+ * Any /chat/completions endpoint (OpenAI, Azure-style proxies, local servers)
+ */
+class OpenAICompatibleProvider {
+  constructor({ apiKey, model = 'gpt-4o-mini', baseUrl = 'https://api.openai.com/v1', fetch: fetchImpl } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  async complete({ systemPrompt, userPrompt, temperature, maxTokens }) {
+    // Local OpenAI-compatible servers often run without a key
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const data = await postJson(this.fetch, this.name, `${this.baseUrl}/chat/completions`, headers, {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ]
+    });
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) throw new ProviderError('openai response had no message content', { provider: this.name });
+    return text;
+  }
+}
+
+// Deterministic placeholder that satisfies a step schema
+function sampleValue(field, schema) {
+  if (schema.enum) return schema.enum[Math.min(1, schema.enum.length - 1)];
+  if (schema.type === 'array') return [`Sample ${field.replace(/_/g, ' ')}`];
+  if (schema.type === 'number') {
+    if (field === 'quality_score') return 8;
+    if (schema.maximum !== undefined) return Math.min(schema.maximum, 75);
+    return 1000;
+  }
+  return `Sample ${field.replace(/_/g, ' ')}`;
+}
+
+function sampleOutput(step) {
+  const output = {};
+  Object.entries(step.schema.properties).forEach(([field, schema]) => {
+    output[field] = sampleValue(field, schema);
+  });
+  return output;
+}
+
+/**
+ * Offline provider for dev and CI. Each step answers with schema-valid sample
+ * JSON unless a fixture is given: an object (merged over the sample), a string
+ * (returned verbatim), or an array of either, consumed one per attempt so
+ * retries can be exercised. The last array entry repeats once exhausted.
+ */
+class FixtureProvider {
+  constructor({ fixtures = {}, model = 'fixture' } = {}) {
+    this.name = 'fixture';
+    this.model = model;
+    this.fixtures = fixtures;
+    this.calls = [];
+  }
+
+  async complete(request) {
+    const { step } = request;
+    const attempt = this.calls.filter(call => call.step === step).length;
+    this.calls.push(request);
+
+    const definition = GENERATION_STEPS.find(candidate => candidate.key === step);
+    if (!definition) throw new ProviderError(`Unknown generation step: ${step}`, { provider: this.name });
+
+    let fixture = this.fixtures[step];
+    if (Array.isArray(fixture)) fixture = fixture[Math.min(attempt, fixture.length - 1)];
+
+    if (typeof fixture === 'string') return fixture;
+    return JSON.stringify({ ...sampleOutput(definition), ...fixture }, null, 2);
+  }
+}
+
+/**
+ * Provider named by GENERATION_PROVIDER (anthropic | openai | fixture)
+ */
+function createProvider(name, env = process.env, options = {}) {
+  const providerName = (name || env.GENERATION_PROVIDER || 'fixture').toLowerCase();
+  const model = options.model || env.GENERATION_MODEL || undefined;
+
+  switch (providerName) {
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model, fetch: options.fetch });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model,
+        fetch: options.fetch
+      });
+    case 'fixture':
+      return new FixtureProvider({ fixtures: options.fixtures, model });
+    default:
+      throw new ProviderError(`Unknown generation provider: ${providerName}`, { provider: providerName });
+  }
+}
+
+module.exports = {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  ProviderError,
+  createProvider,
+  sampleOutput
+};
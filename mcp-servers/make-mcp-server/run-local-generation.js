@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Core Resources locally and deliver them to the webhook server
+ *
+ *   node run-local-generation.js --description "..." [--customer CUST_5] [--session id]
+ *     [--product "Name"] [--business-type B2B] [--provider anthropic|openai|fixture]
+ *     [--model name] [--webhook-url url] [--max-attempts 3]
+ *
+ * Provider settings come from GENERATION_PROVIDER, GENERATION_MODEL,
+ * ANTHROPIC_API_KEY, OPENAI_API_KEY and OPENAI_BASE_URL; requests are signed
+ * with WEBHOOK_SECRET_MAKE.
+ */
+
+const { GenerationRunner } = require('./generation-runner.js');
+const { createProvider } = require('./llm-providers.js');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)$/);
+    if (!match) continue;
+    const next = argv[i + 1];
+    args[match[1]] = next && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.description || args.help) {
+    console.log('Usage: node run-local-generation.js --description "Product description" [--customer CUST_5] [--provider fixture]');
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const provider = createProvider(args.provider, process.env, { model: args.model });
+  const runner = new GenerationRunner({
+    provider,
+    maxAttempts: args['max-attempts'] ? Number(args['max-attempts']) : undefined,
+    webhookUrl: args['webhook-url'] || process.env.CORE_RESOURCES_WEBHOOK_URL,
+    onStep: ({ step, attempts, output }) => {
+      console.log(`✅ ${step} (quality ${output.quality_score}${attempts > 1 ? `, ${attempts} attempts` : ''})`);
+    }
+  });
+
+  const sessionId = args.session || `local_${Date.now()}`;
+  console.log(`🚀 Generating resources for session ${sessionId} with ${runner.modelLabel}`);
+
+  const { payload, response } = await runner.run({
+    productDescription: args.description,
+    sessionId,
+    customerId: args.customer || 'CUST_TEST',
+    recordId: args.record,
+    productName: args.product,
+    businessType: args['business-type'] || 'B2B'
+  });
+
+  console.log(`📦 Delivered to ${runner.webhookUrl} (overall confidence ${payload.quality_metrics.overall_confidence})`);
+  console.log(response);
+}
+
+main().catch(error => {
+  console.error(`❌ Generation failed: ${error.message}`);
+  if (error.errors) console.error(error.errors);
+  process.exit(1);
+});
@@ -3,6 +3,19 @@
  * Receives completed resources from Make.com and stores them for the frontend
  */
 
+const { createVerifier, verifyNetlifyEvent } = require('../../lib/webhookSignature');
+const { createFunctionSessionStore } = require('../../lib/sessionStore');
+const { createFunctionVersionStore, buildVersionSnapshot } = require('../../lib/resourceVersionStore');
+const { toStructuredResource, withRenderedContent } = require('../../lib/structuredResources');
+
+// Make.com must sign its requests with WEBHOOK_SECRET_MAKE
+const verifyMakeSignature = createVerifier({ source: 'make' });
+
+// Supabase once deployed; throws at load rather than silently writing to this instance's /tmp
+const sessionStore = createFunctionSessionStore();
+// Version history lives in the same shared backend; resource-versions serves it
+const versionStore = createFunctionVersionStore();
+
 const allowedOrigins = [
   'https://platform.andru-ai.com',
   'http://localhost:3000',
@@ -13,7 +26,7 @@ exports.handler = async (event, context) => {
   // Handle CORS
   const origin = event.headers.origin;
   const corsHeaders = {
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-session-id, x-customer-id',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-session-id, x-customer-id, x-signature, x-timestamp, x-nonce',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Access-Control-Allow-Origin': allowedOrigins.includes(origin) ? origin : allowedOrigins[0]
   };
@@ -37,6 +50,16 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Reject unsigned or replayed requests before touching the body
+    const verification = verifyNetlifyEvent(verifyMakeSignature, event);
+    if (!verification.valid) {
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Invalid webhook signature', reason: verification.reason })
+      };
+    }
+
     // Parse the incoming data from Make.com with error handling
     let data;
     try {
@@ -185,32 +208,19 @@ exports.handler = async (event, context) => {
 
     // Transform Make.com data into platform format
     const resources = {
+      // Typed ICP and persona objects, as the webhook server stores them; get-resources renders the markdown
       icp_analysis: {
         title: "Ideal Customer Profile Analysis",
         confidence_score: icpData?.confidence_score || 8.0,
         generation_date: icpData?.generation_date || new Date().toISOString(),
-        content: `**Company Size Range:** ${icpData?.company_size_range || 'Not specified'}\n\n**Industry Verticals:** ${icpData?.industry_verticals || 'Not specified'}\n\n**Annual Revenue Range:** ${icpData?.annual_revenue_range || 'Not specified'}\n\n**Geographic Markets:** ${icpData?.geographic_markets || 'Not specified'}\n\n**Technology Stack:** ${icpData?.technology_stack || 'Not specified'}\n\n**Budget Range:** ${icpData?.budget_range || 'Not specified'}\n\n**Decision Makers:** ${icpData?.decision_makers || 'Not specified'}`,
-        company_size_range: icpData?.company_size_range,
-        industry_verticals: icpData?.industry_verticals,
-        annual_revenue_range: icpData?.annual_revenue_range,
-        geographic_markets: icpData?.geographic_markets,
-        technology_stack: icpData?.technology_stack,
-        budget_range: icpData?.budget_range,
-        decision_makers: icpData?.decision_makers,
-        growth_stage: icpData?.growth_stage,
+        structured: toStructuredResource('icp', icpData || {}),
         generated: true
       },
       buyer_personas: {
         title: "Target Buyer Personas",
         confidence_score: personaData?.confidence_score || 9.0,
         generation_date: personaData?.generation_date || new Date().toISOString(),
-        content: `**${personaData?.persona_name || 'Key Decision Maker'}**\n\n**Job Title:** ${personaData?.job_title || 'Not specified'}\n\n**Pain Points:** ${personaData?.pain_points || 'Not specified'}\n\n**Goals & Objectives:** ${personaData?.goals_and_objectives || 'Not specified'}\n\n**Decision Timeline:** ${personaData?.decision_timeline || 'Not specified'}\n\n**Success Metrics:** ${personaData?.success_metrics || 'Not specified'}`,
-        persona_name: personaData?.persona_name,
-        job_title: personaData?.job_title,
-        pain_points: personaData?.pain_points,
-        goals_and_objectives: personaData?.goals_and_objectives,
-        decision_timeline: personaData?.decision_timeline,
-        success_metrics: personaData?.success_metrics,
+        structured: toStructuredResource('persona', personaData || {}),
         generated: true
       },
       empathy_map: {
@@ -260,13 +270,17 @@ exports.handler = async (event, context) => {
       ].reduce((a, b) => a + b, 0) / 4
     };
 
-    // Simple approach: Return resources directly in webhook response
-    // Since Netlify functions are stateless, we'll rely on the webhook response
-    // and have the frontend handle the resources immediately
-    
-    // Also store in global for immediate access within same instance
-    global.completedResources = global.completedResources || {};
-    global.completedResources[sessionId] = storedData;
+    // Persist so get-resources can serve it from any function instance
+    await sessionStore.put(sessionId, storedData, { customerId });
+
+    // Failures propagate so Make.com retries the delivery
+    if (customerId) {
+      const version = await versionStore.createVersion(customerId, buildVersionSnapshot(storedData, {
+        sources: { icp: icpData, persona: personaData, empathy: empathyData, assessment: assessmentData },
+        model: { name: event.headers['x-generation-model'] }
+      }));
+      console.log(`🗂️ Stored as ${customerId} resource version ${version.versionId}`);
+    }
     
     // Also return the storage URL for frontend to fetch
     const resourcesUrl = `/.netlify/functions/get-resources?sessionId=${sessionId}`;
@@ -284,7 +298,7 @@ exports.handler = async (event, context) => {
     const storageScript = `
       <script>
         try {
-          const resources = ${JSON.stringify(resources)};
+          const resources = ${JSON.stringify(withRenderedContent(resources))};
           localStorage.setItem('resources_${sessionId}', JSON.stringify({
             ...resources,
             _timestamp: Date.now(),
@@ -310,15 +324,21 @@ exports.handler = async (event, context) => {
         customer_id: customerId,
         resources_generated: Object.keys(resources).length,
         average_confidence: storedData.averageConfidence,
-        resources: resources, // Include the actual resources in the response
+        resources: withRenderedContent(resources), // Include the actual resources in the response
         resources_url: resourcesUrl, // URL for frontend to fetch resources
         message: 'Resources received and processed successfully',
-        timestamp: new Date().toISOString(),
-        storage_note: 'Resources included in response due to Netlify stateless limitations'
+        timestamp: new Date().toISOString()
       })
     };
 
   } catch (error) {
+    if (error.code === 'INVALID_ID') {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
     console.error('Webhook error:', error);
     
     return {
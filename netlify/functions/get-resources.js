@@ -3,6 +3,13 @@
  * Retrieves completed resources stored by the core-resources-webhook
  */
 
+const { createFunctionSessionStore } = require('../../lib/sessionStore');
+const { withRenderedContent } = require('../../lib/structuredResources');
+const { resolveMoney } = require('../../lib/money');
+
+// Must match the backend core-resources-webhook writes to
+const sessionStore = createFunctionSessionStore();
+
 const allowedOrigins = [
   'https://platform.andru-ai.com',
   'http://localhost:3000',
@@ -48,9 +55,12 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Check global storage (limited to same function instance)
-    global.completedResources = global.completedResources || {};
-    const storedData = global.completedResources[sessionId];
+    let storedData = null;
+    try {
+      storedData = await sessionStore.get(sessionId);
+    } catch (error) {
+      if (error.code !== 'INVALID_ID') throw error;
+    }
 
     if (!storedData) {
       return {
@@ -61,9 +71,7 @@ exports.handler = async (event, context) => {
           sessionId,
           message: 'Resources may not be ready yet or session ID is invalid',
           debug: {
-            globalKeys: Object.keys(global.completedResources || {}),
-            fileExists: require('fs').existsSync(`/tmp/resources/${sessionId}.json`),
-            tmpDir: require('fs').existsSync('/tmp/resources') ? require('fs').readdirSync('/tmp/resources') : 'Not found'
+            store: sessionStore.constructor.name
           }
         })
       };
@@ -79,6 +87,9 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         ...storedData,
+        ...(storedData.resources && {
+          resources: withRenderedContent(storedData.resources, resolveMoney(event.queryStringParameters))
+        }),
         retrieved_at: new Date().toISOString()
       })
     };
@@ -0,0 +1,82 @@
+/**
+ * Netlify Function: Resource Versions
+ * Production home of the version history API (see lib/resourceVersionApi.js),
+ * e.g. /.netlify/functions/resource-versions/CUST_5/versions
+ */
+
+const { createResourceVersionHandler, syncRestoredNow } = require('../../lib/resourceVersionApi');
+const { createFunctionVersionStore } = require('../../lib/resourceVersionStore');
+const { createAirtableResourceSync } = require('../../lib/airtableResourceSync');
+const { createCustomerAuthenticator } = require('../../lib/customerAuth');
+
+const FUNCTION_PATH = /^.*\/resource-versions(?=\/|$)/;
+const MAX_BODY_BYTES = 10 * 1024;
+
+// Must match the backend core-resources-webhook writes versions to
+const versionStore = createFunctionVersionStore();
+const resourceSync = createAirtableResourceSync();
+
+const handleVersionRequest = createResourceVersionHandler({
+  versionStore,
+  syncRestored: resourceSync.isConfigured ? syncRestoredNow(resourceSync) : null,
+  authenticate: createCustomerAuthenticator({
+    verifyCustomer: resourceSync.isConfigured ? resourceSync.verifyAccessToken : null
+  })
+});
+
+const allowedOrigins = [
+  'https://platform.andru-ai.com',
+  'http://localhost:3000',
+  'http://localhost:3001'
+];
+
+exports.handler = async (event, context) => {
+  // Handle CORS
+  const origin = event.headers.origin;
+  const corsHeaders = {
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-customer-token, x-admin-token',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Origin': allowedOrigins.includes(origin) ? origin : allowedOrigins[0]
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  const respond = (statusCode, body) => ({
+    statusCode,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  let body = {};
+  if (event.body) {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    if (Buffer.byteLength(raw) > MAX_BODY_BYTES) {
+      return respond(413, { success: false, error: 'Request body too large' });
+    }
+    try {
+      body = JSON.parse(raw);
+    } catch (parseError) {
+      return respond(400, { success: false, error: 'Invalid JSON format' });
+    }
+  }
+
+  const { statusCode, body: payload } = await handleVersionRequest({
+    method: event.httpMethod,
+    path: (event.path || '').replace(FUNCTION_PATH, '') || '/',
+    query: event.queryStringParameters || {},
+    body,
+    headers: event.headers
+  });
+
+  return respond(statusCode, payload);
+};
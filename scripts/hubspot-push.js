@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Push H&S properties and scored records to HubSpot
+ *
+ * Usage:
+ *   node scripts/hubspot-push.js --properties hubspot-properties.json --records records.json --dry-run
+ *   node scripts/hubspot-push.js --properties hubspot-properties.json --records records.json
+ *   node scripts/hubspot-push.js --properties hubspot-properties.json --records records.json --mock
+ *
+ * Options:
+ *   --properties <path>  the HubSpot Custom Properties export (generateHubSpotProperties output)
+ *   --records <path>     { "contacts": [...], "companies": [...] } rows keyed by HubSpot
+ *                        property name; contacts need email, companies need domain
+ *   --dry-run            read everything and print the diff without writing
+ *   --mock               push to a throwaway bundled mock server instead of HubSpot
+ *   --json               print the full report as JSON
+ *
+ * Reads HUBSPOT_ACCESS_TOKEN and HUBSPOT_API_URL for real pushes.
+ */
+
+const fs = require('fs');
+const { createHubSpotConnector } = require('../lib/hubspotConnector');
+const { createHubSpotMockServer } = require('../lib/hubspotMockServer');
+
+const BOOLEAN_FLAGS = ['dry-run', 'mock', 'json'];
+
+const RECORD_LABELS = { contacts: 'contact', companies: 'company' };
+
+const ACTION_ICONS = {
+  created: '➕',
+  updated: '✏️ ',
+  unchanged: '✅',
+  skipped: '⏭️ ',
+  failed: '❌'
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) continue;
+    const name = flag.slice(2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      args[name] = true;
+      continue;
+    }
+    args[name] = argv[i + 1];
+    i++;
+  }
+  return args;
+}
+
+function readJson(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+function describeChanges(changes = {}) {
+  return Object.entries(changes)
+    .map(([name, { from, to }]) => `${name}: ${JSON.stringify(from ?? null)} → ${JSON.stringify(to)}`)
+    .join(', ');
+}
+
+function printResults(title, { results, summary }) {
+  console.log(`\n${title}`);
+  results.forEach(result => {
+    const subject = result.kind
+      ? `${result.kind} ${result.objectType}.${result.name}`
+      : `${RECORD_LABELS[result.objectType]} ${result.key || '(no key)'}`;
+    const detail = result.error || describeChanges(result.changes);
+    console.log(`  ${ACTION_ICONS[result.action]} ${result.action.padEnd(9)} ${subject}${detail ? ` - ${detail}` : ''}`);
+  });
+  console.log(`  ${Object.entries(summary).map(([action, count]) => `${count} ${action}`).join(', ')}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.properties) {
+    console.error('❌ Pass --properties with the HubSpot Custom Properties export');
+    process.exit(1);
+  }
+
+  const definitions = readJson(args.properties);
+  const { contacts = [], companies = [] } = args.records ? readJson(args.records) : {};
+
+  let mock = null;
+  const options = {};
+  if (args.mock) {
+    mock = createHubSpotMockServer();
+    options.baseUrl = await mock.start();
+    options.accessToken = mock.accessToken;
+  }
+
+  try {
+    const connector = createHubSpotConnector(options);
+    if (!connector.isConfigured) {
+      console.error('❌ Set HUBSPOT_ACCESS_TOKEN or pass --mock');
+      process.exitCode = 1;
+      return;
+    }
+
+    const report = await connector.push({ definitions, contacts, companies, dryRun: Boolean(args['dry-run']) });
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`${report.dryRun ? '🔍 Dry run against' : '🚀 Pushed to'} ${connector.baseUrl}${mock ? ' (mock)' : ''}`);
+      printResults('Properties', report.schema);
+      printResults('Records', report.records);
+    }
+
+    if (report.schema.summary.failed + report.records.summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    if (mock) await mock.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ HubSpot push failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Sign a webhook payload for local testing
+ *
+ * Usage:
+ *   node scripts/sign-webhook.js --source make --file payload.json
+ *   node scripts/sign-webhook.js --source airtable_agent --data '{"reason":"test"}' \
+ *     --url http://localhost:3001/operations/backup
+ *
+ * Options:
+ *   --source <name>   webhook source; the secret is read from WEBHOOK_SECRET_<SOURCE>
+ *   --secret <value>  signing secret (overrides the environment)
+ *   --file <path>     read the body from a file ("-" for stdin)
+ *   --data <string>   use the given string as the body
+ *   --url <url>       print a ready-to-run curl command for this URL
+ */
+
+const fs = require('fs');
+const { signPayload, getSourceSecret } = require('../lib/webhookSignature');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) continue;
+    args[flag.slice(2)] = argv[i + 1];
+    i++;
+  }
+  return args;
+}
+
+function readBody(args) {
+  if (args.data !== undefined) return args.data;
+  if (args.file === '-') return fs.readFileSync(0, 'utf8');
+  if (args.file) return fs.readFileSync(args.file, 'utf8');
+  return '';
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = args.secret || (args.source && getSourceSecret(args.source));
+
+  if (!secret) {
+    console.error('❌ No signing secret: pass --secret or set WEBHOOK_SECRET_<SOURCE> and --source');
+    process.exit(1);
+  }
+
+  const body = readBody(args);
+  const headers = signPayload(secret, body);
+
+  if (!args.url) {
+    console.log(JSON.stringify(headers, null, 2));
+    return;
+  }
+
+  const headerFlags = Object.entries(headers)
+    .map(([name, value]) => `-H ${shellQuote(`${name}: ${value}`)}`)
+    .join(' ');
+  const bodyFlag = args.file && args.file !== '-'
+    ? `--data-binary @${shellQuote(args.file)}`
+    : `--data-binary ${shellQuote(body)}`;
+
+  console.log(`curl -X POST ${shellQuote(args.url)} -H 'Content-Type: application/json' ${headerFlags} ${bodyFlag}`);
+}
+
+main();
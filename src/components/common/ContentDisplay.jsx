@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { safeHtml } from '../../services/SafeContentService';
 
 // Component for displaying rich HTML content with expandable sections
 const ContentDisplay = ({ content, className = '' }) => {
@@ -243,7 +244,7 @@ const ContentDisplay = ({ content, className = '' }) => {
         {parsedContent.content.html && (
           <div 
             className="prose max-w-none prose-invert [&>div]:!bg-gray-800 [&>div]:!border-gray-600 [&_h2]:!text-white [&_p]:!text-gray-300 [&_ul]:!text-gray-300 [&_.bg-white]:!bg-gray-800 [&_.bg-gray-50]:!bg-gray-700 [&_.text-blue-800]:!text-blue-400 [&_.text-blue-700]:!text-blue-300 [&_.text-gray-700]:!text-gray-300 [&_.text-gray-600]:!text-gray-400 [&_.text-gray-800]:!text-white [&_.bg-blue-50]:!bg-blue-900/20 [&_.border-blue-200]:!border-blue-600 [&_.bg-red-50]:!bg-red-900/20 [&_.border-red-200]:!border-red-600 [&_.text-red-500]:!text-red-400"
-            dangerouslySetInnerHTML={{ __html: parsedContent.content.html }}
+            dangerouslySetInnerHTML={safeHtml(parsedContent.content.html)}
           />
         )}
 
@@ -278,7 +279,7 @@ const ContentDisplay = ({ content, className = '' }) => {
                     <div className="px-4 pb-4">
                       <div 
                         className="prose max-w-none prose-sm prose-invert [&_.bg-gray-50]:!bg-gray-700 [&_.text-gray-700]:!text-gray-300 [&_.text-gray-600]:!text-gray-400 [&_.text-gray-800]:!text-white [&_.bg-red-50]:!bg-red-900/20 [&_.border-red-200]:!border-red-600 [&_.text-red-500]:!text-red-400 [&_.w-2]:!bg-blue-500"
-                        dangerouslySetInnerHTML={{ __html: sectionContent }}
+                        dangerouslySetInnerHTML={safeHtml(sectionContent)}
                       />
                     </div>
                   )}
@@ -339,7 +340,7 @@ const ContentDisplay = ({ content, className = '' }) => {
         {parsedContent.html && (
           <div 
             className="prose max-w-none"
-            dangerouslySetInnerHTML={{ __html: parsedContent.html }}
+            dangerouslySetInnerHTML={safeHtml(parsedContent.html)}
           />
         )}
 
@@ -373,7 +374,7 @@ const ContentDisplay = ({ content, className = '' }) => {
                   <div className="px-4 pb-4">
                     <div 
                       className="prose max-w-none prose-sm"
-                      dangerouslySetInnerHTML={{ __html: sectionContent }}
+                      dangerouslySetInnerHTML={safeHtml(sectionContent)}
                     />
                   </div>
                 )}
@@ -389,7 +390,7 @@ const ContentDisplay = ({ content, className = '' }) => {
   return (
     <div 
       className={`prose max-w-none ${className}`}
-      dangerouslySetInnerHTML={{ __html: parsedContent.html || parsedContent }}
+      dangerouslySetInnerHTML={safeHtml(parsedContent.html || parsedContent)}
     />
   );
 };
@@ -408,7 +409,7 @@ export const ListDisplay = ({ items, ordered = false, className = '' }) => {
       {items.map((item, index) => (
         <li key={index} className="leading-relaxed">
           {typeof item === 'string' ? item : (
-            <div dangerouslySetInnerHTML={{ __html: item }} />
+            <div dangerouslySetInnerHTML={safeHtml(item)} />
           )}
         </li>
       ))}
@@ -429,7 +430,7 @@ export const DefinitionList = ({ items, className = '' }) => {
           </dt>
           <dd className="text-gray-700 sm:w-2/3">
             {typeof value === 'string' ? (
-              <span dangerouslySetInnerHTML={{ __html: value }} />
+              <span dangerouslySetInnerHTML={safeHtml(value)} />
             ) : (
               JSON.stringify(value)
             )}
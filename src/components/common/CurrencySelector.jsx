@@ -0,0 +1,25 @@
+import React from 'react';
+import { CURRENCIES } from '../../constants/app';
+import { FX_RATES } from '../../services/financialModel';
+
+/**
+ * Reporting currency picker. Benchmark defaults are converted from USD with
+ * the offline FX table, so the rate date is shown alongside.
+ */
+const CurrencySelector = ({ currency, onChange, className = '' }) => (
+  <label className={`flex items-center gap-2 text-sm text-gray-400 ${className}`}>
+    <span>Currency</span>
+    <select
+      value={currency}
+      onChange={(e) => onChange(e.target.value)}
+      className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+      title={`Benchmarks converted at ${FX_RATES.base} rates as of ${FX_RATES.asOf}`}
+    >
+      {Object.entries(CURRENCIES).map(([code, { label }]) => (
+        <option key={code} value={code}>{code} - {label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+export default CurrencySelector;
@@ -1,157 +1,130 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { 
-  Target, 
-  TrendingUp, 
-  TrendingDown, 
   AlertTriangle, 
   Shield,
   Swords,
   Trophy,
-  Eye,
   Clock,
   ChevronRight,
   AlertCircle,
   CheckCircle,
-  XCircle
+  XCircle,
+  Plus,
+  Search,
+  Edit3,
+  Trash2
 } from 'lucide-react';
+import CompetitorEditor from './CompetitorEditor';
+import CompetitorBattlecard from './CompetitorBattlecard';
+import { airtableService } from '../../services/airtableService';
+import webResearchService from '../../services/webResearchService';
+import {
+  COMPETITORS_TOOL,
+  MIN_RECORDS_FOR_TREND,
+  competitorAlerts,
+  importResearchedCompetitors,
+  threatLevel,
+  validateCompetitor,
+  winLossSummary
+} from '../../services/CompetitorBattlecardService';
+import { PRODUCT_CONFIGURATION_TOOL } from '../../services/FeatureValueMappingService';
 
 /**
  * Competitive Intelligence Tracker - NICE-TO-HAVE PHASE
  * 
- * Real-time competitive positioning with alerts for market changes.
- * Tracks competitor movements, win/loss patterns, and differentiation opportunities.
- * Provides actionable intelligence for maintaining competitive advantage.
+ * Competitors entered by the team or imported from market research, with
+ * win/loss tracking, alerts for competitors we keep losing to, and a
+ * battlecard per competitor. Saved per customer.
  */
 
 const CompetitiveIntelligenceTracker = ({
-  competitorData = {},
-  winLossData = {},
+  customerId,
+  productName,
   marketPosition = {},
   onAlertClick,
   onCompetitorClick
 }) => {
-  const [selectedCompetitor, setSelectedCompetitor] = useState(null);
-  const [alerts, setAlerts] = useState([]);
-  const [showAlertAnimation, setShowAlertAnimation] = useState(false);
+  const [competitors, setCompetitors] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [savedProductName, setSavedProductName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importMessage, setImportMessage] = useState(null);
 
-  // Mock competitor intelligence data
-  const competitors = [
-    {
-      id: 'dataflow',
-      name: 'DataFlow',
-      threat_level: 'high',
-      market_share: 32,
-      win_rate_against: 45,
-      trend: 'increasing',
-      strengths: ['Enterprise features', 'Brand recognition', 'Integration ecosystem'],
-      weaknesses: ['High price point', 'Complex implementation', 'Poor SMB support'],
-      recent_moves: [
-        { type: 'product', description: 'Launched AI-powered analytics', impact: 'high', date: '2 days ago' },
-        { type: 'pricing', description: 'Introduced aggressive discounting', impact: 'medium', date: '1 week ago' },
-        { type: 'partnership', description: 'Partnered with Microsoft', impact: 'high', date: '2 weeks ago' }
-      ],
-      differentiation_opportunities: [
-        'Faster implementation (2 weeks vs 3 months)',
-        'Technical founder focus (they target enterprise)',
-        'Usage-based pricing (vs annual contracts)'
-      ],
-      experience_opportunity: 35
-    },
-    {
-      id: 'techvault',
-      name: 'TechVault',
-      threat_level: 'medium',
-      market_share: 18,
-      win_rate_against: 65,
-      trend: 'stable',
-      strengths: ['Low cost', 'Simple UI', 'Quick setup'],
-      weaknesses: ['Limited features', 'No enterprise support', 'Poor scalability'],
-      recent_moves: [
-        { type: 'acquisition', description: 'Acquired SmallCRM', impact: 'low', date: '3 days ago' },
-        { type: 'product', description: 'Added basic reporting', impact: 'low', date: '1 month ago' }
-      ],
-      differentiation_opportunities: [
-        'Advanced intelligence features',
-        'Series A to B focus (they target seed)',
-        'Professional development framework'
-      ],
-      experience_opportunity: 20
-    },
-    {
-      id: 'revops',
-      name: 'RevOps Pro',
-      threat_level: 'low',
-      market_share: 12,
-      win_rate_against: 78,
-      trend: 'declining',
-      strengths: ['RevOps specific', 'Good documentation'],
-      weaknesses: ['Narrow focus', 'Legacy tech stack', 'Poor UX'],
-      recent_moves: [
-        { type: 'layoffs', description: 'Reduced team by 20%', impact: 'negative', date: '1 week ago' }
-      ],
-      differentiation_opportunities: [
-        'Modern tech stack advantage',
-        'Buyer intelligence focus (vs ops only)',
-        'Stealth gamification engagement'
-      ],
-      experience_opportunity: 15
+  // Competitors this customer has entered or imported
+  useEffect(() => {
+    if (!customerId) return;
+    airtableService.getUserProgress(customerId, COMPETITORS_TOOL).then(saved => {
+      const valid = (saved?.competitors || []).filter(competitor => validateCompetitor(competitor).length === 0);
+      setCompetitors(valid);
+    });
+    // Battlecards name the product from the saved product configuration
+    airtableService.getUserProgress(customerId, PRODUCT_CONFIGURATION_TOOL).then(configuration => {
+      setSavedProductName(configuration?.productData?.productName || '');
+    });
+  }, [customerId]);
+
+  const ourProductName = productName || savedProductName;
+
+  const saveCompetitors = async (nextCompetitors) => {
+    setCompetitors(nextCompetitors);
+    if (!customerId) return;
+    try {
+      await airtableService.saveUserProgress(customerId, COMPETITORS_TOOL, { competitors: nextCompetitors });
+    } catch (error) {
+      console.error('Failed to save competitors:', error);
     }
-  ];
+  };
 
-  // Generate competitive alerts
-  useEffect(() => {
-    const generateAlerts = () => {
-      const newAlerts = [];
-      
-      // Check for high-threat competitor moves
-      competitors.forEach(comp => {
-        if (comp.threat_level === 'high' && comp.recent_moves.length > 0) {
-          const latestMove = comp.recent_moves[0];
-          if (latestMove.impact === 'high') {
-            newAlerts.push({
-              id: `alert_${comp.id}_${Date.now()}`,
-              type: 'competitive_threat',
-              severity: 'high',
-              competitor: comp.name,
-              message: `${comp.name} ${latestMove.description}`,
-              action_required: 'Update competitive positioning',
-              experience_reward: 25
-            });
-          }
-        }
-        
-        // Check for win rate declining
-        if (comp.win_rate_against < 50 && comp.trend === 'increasing') {
-          newAlerts.push({
-            id: `alert_winrate_${comp.id}`,
-            type: 'win_rate_alert',
-            severity: 'medium',
-            competitor: comp.name,
-            message: `Win rate against ${comp.name} below 50%`,
-            action_required: 'Analyze lost deals pattern',
-            experience_reward: 20
-          });
-        }
+  const handleEditorSave = async (competitor) => {
+    const exists = competitors.some(({ id }) => id === competitor.id);
+    await saveCompetitors(exists
+      ? competitors.map(existing => (existing.id === competitor.id ? competitor : existing))
+      : [...competitors, competitor]);
+    setSelectedId(competitor.id);
+    setEditing(null);
+  };
+
+  const handleDelete = async (competitor) => {
+    await saveCompetitors(competitors.filter(({ id }) => id !== competitor.id));
+    setSelectedId(null);
+  };
+
+  const importFromResearch = async () => {
+    setIsImporting(true);
+    setImportMessage(null);
+    try {
+      const research = await webResearchService.executeResearchTask({
+        type: 'competitor_analysis',
+        priority: 'medium',
+        query: `${ourProductName || 'B2B software'} competitors`,
+        sources: ['g2.com', 'capterra.com', 'crunchbase.com']
       });
-      
-      setAlerts(newAlerts);
-      if (newAlerts.length > 0) {
-        setShowAlertAnimation(true);
-        setTimeout(() => setShowAlertAnimation(false), 3000);
-      }
-    };
-    
-    generateAlerts();
-  }, []);
+      if (research.error) throw new Error(research.error);
+
+      const { competitors: merged, added, updated } = importResearchedCompetitors(research, competitors);
+      await saveCompetitors(merged);
+      setImportMessage(added.length || updated.length
+        ? `Imported ${added.length} new, updated ${updated.length} existing competitor${updated.length === 1 ? '' : 's'}`
+        : 'Research found no new competitors');
+    } catch (error) {
+      console.error('Competitor research import failed:', error);
+      setImportMessage(`Import failed: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const alerts = competitorAlerts(competitors);
 
-  // Calculate competitive position score
+  // Average win rate across competitors with enough deals to trust it
   const calculateCompetitiveScore = () => {
-    const avgWinRate = competitors.reduce((sum, c) => sum + c.win_rate_against, 0) / competitors.length;
-    const marketShareRank = 2; // Assuming we're #2
-    const threatLevel = competitors.filter(c => c.threat_level === 'high').length;
-    
-    return Math.round((avgWinRate * 0.5) + ((4 - marketShareRank) * 10) + ((3 - threatLevel) * 10));
+    const rates = competitors
+      .map(competitor => winLossSummary(competitor))
+      .filter(summary => summary.total >= MIN_RECORDS_FOR_TREND)
+      .map(summary => summary.winRate);
+    return rates.length ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null;
   };
 
   const getThreatLevelColor = (level) => {
@@ -172,19 +145,15 @@ const CompetitiveIntelligenceTracker = ({
     return colors[level] || 'bg-gray-900/30 border-gray-500/40';
   };
 
-  const getTrendIcon = (trend) => {
-    if (trend === 'increasing') return TrendingUp;
-    if (trend === 'declining') return TrendingDown;
-    return AlertCircle;
-  };
-
   const handleCompetitorSelect = (competitor) => {
-    setSelectedCompetitor(competitor);
+    setSelectedId(selectedId === competitor.id ? null : competitor.id);
     if (onCompetitorClick) {
       onCompetitorClick(competitor);
     }
   };
 
+  const competitiveScore = calculateCompetitiveScore();
+
   return (
     <div className="space-y-6">
       
@@ -197,14 +166,14 @@ const CompetitiveIntelligenceTracker = ({
             </div>
             <div>
               <h3 className="text-lg font-semibold text-white">Competitive Position</h3>
-              <p className="text-gray-400 text-sm">Real-time market intelligence tracking</p>
+              <p className="text-gray-400 text-sm">Win/loss intelligence and battlecards</p>
             </div>
           </div>
           <div className="text-right">
             <div className="text-2xl font-bold text-white">
-              {calculateCompetitiveScore()}/100
+              {competitiveScore === null ? '-' : `${competitiveScore}%`}
             </div>
-            <div className="text-sm text-gray-400">Position Score</div>
+            <div className="text-sm text-gray-400">Avg. Win Rate</div>
           </div>
         </div>
 
@@ -212,7 +181,7 @@ const CompetitiveIntelligenceTracker = ({
         <div className="grid grid-cols-3 gap-4 text-center">
           <div>
             <div className="text-xl font-bold text-green-400">
-              {competitors.filter(c => c.win_rate_against > 50).length}/{competitors.length}
+              {competitors.filter(c => winLossSummary(c).winRate > 50).length}/{competitors.length}
             </div>
             <div className="text-xs text-gray-400">Winning Against</div>
           </div>
@@ -224,7 +193,7 @@ const CompetitiveIntelligenceTracker = ({
           </div>
           <div>
             <div className="text-xl font-bold text-blue-400">
-              #{marketPosition.rank || 2}
+              {marketPosition.rank ? `#${marketPosition.rank}` : '-'}
             </div>
             <div className="text-xs text-gray-400">Market Position</div>
           </div>
@@ -264,12 +233,7 @@ const CompetitiveIntelligenceTracker = ({
                     </div>
                   </div>
                 </div>
-                <div className="text-right">
-                  <div className="text-green-400 text-sm font-medium">
-                    +{alert.experience_reward} exp
-                  </div>
-                  <ChevronRight className="w-4 h-4 text-gray-400 mt-1" />
-                </div>
+                <ChevronRight className="w-4 h-4 text-gray-400 mt-1" />
               </div>
             </motion.div>
           ))}
@@ -278,123 +242,151 @@ const CompetitiveIntelligenceTracker = ({
 
       {/* Competitor Cards */}
       <div className="space-y-4">
-        <h4 className="text-white font-medium">Competitor Analysis</h4>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h4 className="text-white font-medium">Competitor Analysis</h4>
+          <div className="flex gap-2">
+            <button
+              onClick={importFromResearch}
+              disabled={isImporting}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-800 text-gray-300 hover:text-white disabled:opacity-50"
+            >
+              <Search className="w-4 h-4" />
+              {isImporting ? 'Researching...' : 'Import from Research'}
+            </button>
+            <button
+              onClick={() => setEditing('new')}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700"
+            >
+              <Plus className="w-4 h-4" /> Add Competitor
+            </button>
+          </div>
+        </div>
+
+        {importMessage && <p className="text-sm text-gray-400">{importMessage}</p>}
+
+        {editing && (
+          <CompetitorEditor
+            competitor={editing === 'new' ? null : editing}
+            competitors={competitors}
+            onSave={handleEditorSave}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {competitors.length === 0 && !editing && (
+          <div className="text-center py-8 border border-dashed border-gray-700 rounded-xl">
+            <Swords className="w-8 h-8 text-gray-600 mx-auto mb-2" />
+            <p className="text-gray-400 text-sm">Add the competitors you meet in deals, or import them from market research.</p>
+          </div>
+        )}
         
         {competitors.map((competitor, index) => {
-          const TrendIcon = getTrendIcon(competitor.trend);
+          const summary = winLossSummary(competitor);
+          const threat = threatLevel(competitor);
+          const isSelected = selectedId === competitor.id;
           
           return (
-            <motion.div
-              key={competitor.id}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: index * 0.1 }}
-              className={`${getThreatLevelBg(competitor.threat_level)} border rounded-xl p-5 cursor-pointer hover:scale-[1.01] transition-all`}
-              onClick={() => handleCompetitorSelect(competitor)}
-            >
-              {/* Header */}
-              <div className="flex items-start justify-between mb-4">
-                <div className="flex items-center space-x-3">
-                  <div className="p-2 rounded-lg bg-black/20">
-                    <Swords className={`w-5 h-5 ${getThreatLevelColor(competitor.threat_level)}`} />
-                  </div>
-                  <div>
-                    <h5 className="text-white font-semibold text-lg">{competitor.name}</h5>
-                    <div className="flex items-center space-x-2 mt-1">
-                      <span className={`text-xs font-medium ${getThreatLevelColor(competitor.threat_level)}`}>
-                        {competitor.threat_level.toUpperCase()} THREAT
-                      </span>
-                      <TrendIcon className={`w-3 h-3 ${
-                        competitor.trend === 'increasing' ? 'text-red-400' : 
-                        competitor.trend === 'declining' ? 'text-green-400' : 
-                        'text-yellow-400'
-                      }`} />
+            <div key={competitor.id} className="space-y-3">
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.1 }}
+                className={`${getThreatLevelBg(threat)} border rounded-xl p-5 cursor-pointer hover:scale-[1.01] transition-all`}
+                onClick={() => handleCompetitorSelect(competitor)}
+              >
+                {/* Header */}
+                <div className="flex items-start justify-between mb-4">
+                  <div className="flex items-center space-x-3">
+                    <div className="p-2 rounded-lg bg-black/20">
+                      <Swords className={`w-5 h-5 ${getThreatLevelColor(threat)}`} />
+                    </div>
+                    <div>
+                      <h5 className="text-white font-semibold text-lg">{competitor.name}</h5>
+                      <div className="flex items-center space-x-2 mt-1">
+                        <span className={`text-xs font-medium ${getThreatLevelColor(threat)}`}>
+                          {threat === 'unknown' ? 'NOT ENOUGH DEALS' : `${threat.toUpperCase()} THREAT`}
+                        </span>
+                        {competitor.source === 'research' && (
+                          <span className="text-xs text-gray-500">from research</span>
+                        )}
+                      </div>
                     </div>
                   </div>
-                </div>
-                
-                {/* Win Rate */}
-                <div className="text-right">
-                  <div className={`text-xl font-bold ${
-                    competitor.win_rate_against > 50 ? 'text-green-400' : 'text-red-400'
-                  }`}>
-                    {competitor.win_rate_against}%
+                  
+                  {/* Win Rate */}
+                  <div className="text-right">
+                    <div className={`text-xl font-bold ${
+                      summary.winRate === null ? 'text-gray-400' : summary.winRate > 50 ? 'text-green-400' : 'text-red-400'
+                    }`}>
+                      {summary.winRate === null ? '-' : `${summary.winRate}%`}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      Win Rate ({summary.wins}W / {summary.losses}L)
+                    </div>
                   </div>
-                  <div className="text-xs text-gray-400">Win Rate</div>
                 </div>
-              </div>
 
-              {/* Market Share Bar */}
-              <div className="mb-4">
-                <div className="flex justify-between text-xs mb-1">
-                  <span className="text-gray-400">Market Share</span>
-                  <span className="text-white">{competitor.market_share}%</span>
-                </div>
-                <div className="w-full bg-gray-800 rounded-full h-2">
-                  <motion.div
-                    className={`h-2 rounded-full ${
-                      competitor.threat_level === 'high' ? 'bg-red-500' :
-                      competitor.threat_level === 'medium' ? 'bg-yellow-500' :
-                      'bg-green-500'
-                    }`}
-                    initial={{ width: 0 }}
-                    animate={{ width: `${competitor.market_share}%` }}
-                    transition={{ delay: 0.3, duration: 0.8 }}
-                  />
-                </div>
-              </div>
+                {(competitor.positioning || competitor.pricingNotes) && (
+                  <div className="mb-4 space-y-1 text-sm">
+                    {competitor.positioning && <div className="text-gray-200">{competitor.positioning}</div>}
+                    {competitor.pricingNotes && <div className="text-gray-400">Pricing: {competitor.pricingNotes}</div>}
+                  </div>
+                )}
 
-              {/* Recent Activity */}
-              {competitor.recent_moves.length > 0 && (
-                <div className="mb-4">
-                  <div className="text-xs text-gray-400 mb-2">Latest Move:</div>
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-2">
-                      <Clock className="w-3 h-3 text-gray-400" />
-                      <span className="text-sm text-gray-200">
-                        {competitor.recent_moves[0].description}
+                {/* Latest deal */}
+                {competitor.winLoss.length > 0 && (
+                  <div className="mb-4">
+                    <div className="text-xs text-gray-400 mb-2">Latest Deal:</div>
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        {competitor.winLoss[competitor.winLoss.length - 1].outcome === 'won'
+                          ? <CheckCircle className="w-3 h-3 text-green-400" />
+                          : <XCircle className="w-3 h-3 text-red-400" />}
+                        <span className="text-sm text-gray-200">
+                          {competitor.winLoss[competitor.winLoss.length - 1].dealName || 'Unnamed deal'}
+                        </span>
+                      </div>
+                      <span className="text-xs text-gray-400 flex items-center gap-1">
+                        <Clock className="w-3 h-3" />
+                        {competitor.winLoss[competitor.winLoss.length - 1].date}
                       </span>
                     </div>
-                    <span className="text-xs text-gray-400">
-                      {competitor.recent_moves[0].date}
-                    </span>
                   </div>
-                </div>
-              )}
+                )}
 
-              {/* Differentiation Opportunities */}
-              <div className="bg-black/20 rounded-lg p-3">
-                <div className="text-xs text-gray-400 mb-2">Key Differentiation:</div>
-                <div className="text-sm text-blue-300">
-                  {competitor.differentiation_opportunities[0]}
-                </div>
-              </div>
+                {/* Differentiation Opportunities */}
+                {competitor.weaknesses.length > 0 && (
+                  <div className="bg-black/20 rounded-lg p-3">
+                    <div className="text-xs text-gray-400 mb-2">Their Weak Spot:</div>
+                    <div className="text-sm text-blue-300">
+                      {competitor.weaknesses[0]}
+                    </div>
+                  </div>
+                )}
 
-              {/* Experience Opportunity */}
-              <div className="flex items-center justify-between mt-3 pt-3 border-t border-gray-700">
-                <div className="flex items-center space-x-2">
-                  <Trophy className="w-4 h-4 text-yellow-400" />
-                  <span className="text-sm text-gray-400">Competitive Analysis</span>
+                <div className="flex items-center justify-between mt-3 pt-3 border-t border-gray-700">
+                  <div className="flex items-center space-x-2">
+                    <Trophy className="w-4 h-4 text-yellow-400" />
+                    <span className="text-sm text-gray-400">{isSelected ? 'Hide battlecard' : 'View battlecard'}</span>
+                  </div>
+                  <div className="flex items-center gap-3" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => setEditing(competitor)} className="text-gray-400 hover:text-white" aria-label={`Edit ${competitor.name}`}>
+                      <Edit3 className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => handleDelete(competitor)} className="text-gray-400 hover:text-red-400" aria-label={`Delete ${competitor.name}`}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
                 </div>
-                <span className="text-sm text-green-400 font-medium">
-                  +{competitor.experience_opportunity} exp available
-                </span>
-              </div>
-            </motion.div>
+              </motion.div>
+
+              {isSelected && <CompetitorBattlecard competitor={competitor} productName={ourProductName} />}
+            </div>
           );
         })}
       </div>
-
-      {/* Competitive Intelligence Summary */}
-      <div className="bg-gradient-to-r from-gray-900/50 to-slate-900/50 border border-gray-700 rounded-xl p-4">
-        <div className="text-center">
-          <p className="text-gray-400 text-sm">
-            <span className="text-white font-medium">Competitive Intelligence:</span> Every competitor analysis action provides experience while building systematic understanding of market dynamics and differentiation opportunities.
-          </p>
-        </div>
-      </div>
     </div>
   );
 };
 
-export default CompetitiveIntelligenceTracker;
\ No newline at end of file
+export default CompetitiveIntelligenceTracker;
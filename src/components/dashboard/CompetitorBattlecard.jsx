@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { Trophy, HelpCircle, MessageSquare, FileDown, Copy, Check } from 'lucide-react';
+import { generateBattlecard, battlecardPdfBlob } from '../../services/CompetitorBattlecardService';
+import { AIIntegrationTemplates } from '../../services/AIIntegrationTemplates';
+
+/**
+ * Competitor Battlecard
+ *
+ * Why we win, landmine questions and per-persona objection rebuttals for
+ * one competitor, with PDF export and Claude prompt templates.
+ */
+
+const PROMPTS = [
+  { key: 'competitiveDealPrompt', label: 'Deal strategy' },
+  { key: 'landmineDiscoveryPrompt', label: 'Landmine coaching' },
+  { key: 'objectionRebuttalPrompt', label: 'Objection role-play' }
+];
+
+const CompetitorBattlecard = ({ competitor, productName }) => {
+  const [differentiators, setDifferentiators] = useState('');
+  const [copiedPrompt, setCopiedPrompt] = useState(null);
+
+  const battlecard = useMemo(
+    () => generateBattlecard(competitor, { productName: productName || undefined, differentiators }),
+    [competitor, productName, differentiators]
+  );
+  const prompts = useMemo(() => AIIntegrationTemplates.generateBattlecardPrompts(battlecard), [battlecard]);
+
+  const exportPdf = () => {
+    const url = URL.createObjectURL(battlecardPdfBlob(battlecard));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `battlecard-${competitor.id}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const copyPrompt = async (key) => {
+    try {
+      await navigator.clipboard.writeText(prompts[key]);
+      setCopiedPrompt(key);
+      setTimeout(() => setCopiedPrompt(null), 2000);
+    } catch (error) {
+      console.error('Failed to copy prompt:', error);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900/80 border border-gray-700 rounded-xl p-5 space-y-5">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-white font-semibold">Battlecard: {battlecard.productName} vs {competitor.name}</h4>
+        <button onClick={exportPdf} className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-800 text-gray-300 hover:text-white">
+          <FileDown className="w-4 h-4" /> Export PDF
+        </button>
+      </div>
+
+      <textarea
+        value={differentiators}
+        onChange={(e) => setDifferentiators(e.target.value)}
+        rows={2}
+        placeholder="Our differentiators against them, one per line (optional)"
+        className="w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:border-purple-500 focus:outline-none"
+      />
+
+      <section>
+        <div className="flex items-center gap-2 text-green-400 text-sm font-medium mb-2">
+          <Trophy className="w-4 h-4" /> Why We Win
+        </div>
+        <ul className="list-disc list-inside text-sm text-gray-200 space-y-1">
+          {battlecard.whyWeWin.map(statement => <li key={statement}>{statement}</li>)}
+        </ul>
+      </section>
+
+      <section>
+        <div className="flex items-center gap-2 text-yellow-400 text-sm font-medium mb-2">
+          <HelpCircle className="w-4 h-4" /> Landmine Questions
+        </div>
+        {battlecard.landmines.length > 0 ? (
+          <ul className="text-sm space-y-2">
+            {battlecard.landmines.map(({ question, exposes }) => (
+              <li key={question} className="bg-black/20 rounded-lg px-3 py-2">
+                <div className="text-gray-200">{question}</div>
+                <div className="text-xs text-gray-500 mt-1">Exposes: {exposes}</div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">Add weaknesses or lost deals to generate landmine questions.</p>
+        )}
+      </section>
+
+      <section>
+        <div className="flex items-center gap-2 text-blue-400 text-sm font-medium mb-2">
+          <MessageSquare className="w-4 h-4" /> Objection Rebuttals
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-3">
+          {battlecard.objections.map(({ personaId, persona, role, rebuttals }) => (
+            <div key={personaId} className="bg-black/20 rounded-lg p-3">
+              <div className="text-white text-sm font-medium">{persona}</div>
+              <div className="text-xs text-gray-500 mb-2">{role}</div>
+              {rebuttals.length > 0 ? (
+                <ul className="space-y-2">
+                  {rebuttals.map(({ objection, response }) => (
+                    <li key={objection} className="text-xs">
+                      <div className="text-red-300">"{objection}"</div>
+                      <div className="text-gray-300 mt-1">{response}</div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-gray-400">Add their strengths to prepare rebuttals.</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <div className="text-sm text-gray-300 mb-2">Claude prompt templates</div>
+        <div className="flex flex-wrap gap-2">
+          {PROMPTS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => copyPrompt(key)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-800 text-gray-300 hover:text-white"
+            >
+              {copiedPrompt === key ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+              {label}
+            </button>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default CompetitorBattlecard;
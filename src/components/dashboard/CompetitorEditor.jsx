@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Save, X } from 'lucide-react';
+import { createCompetitor, createRecord, toList, validateCompetitor } from '../../services/CompetitorBattlecardService';
+
+/**
+ * Competitor Editor
+ *
+ * Manual entry for the competitor model: positioning, pricing notes,
+ * strengths, weaknesses and the deals won or lost against them.
+ */
+
+const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:border-purple-500 focus:outline-none';
+
+const EMPTY_RECORD = { outcome: 'won', dealName: '', reason: '' };
+
+const CompetitorEditor = ({ competitor = null, competitors = [], onSave, onCancel }) => {
+  const [fields, setFields] = useState({
+    name: competitor?.name || '',
+    positioning: competitor?.positioning || '',
+    pricingNotes: competitor?.pricingNotes || '',
+    strengths: (competitor?.strengths || []).join('\n'),
+    weaknesses: (competitor?.weaknesses || []).join('\n')
+  });
+  const [winLoss, setWinLoss] = useState(competitor?.winLoss || []);
+  const [record, setRecord] = useState(EMPTY_RECORD);
+  const [errors, setErrors] = useState([]);
+
+  const update = (key) => (e) => setFields({ ...fields, [key]: e.target.value });
+
+  const addRecord = () => {
+    if (!record.dealName.trim() && !record.reason.trim()) return;
+    setWinLoss([...winLoss, createRecord(record)]);
+    setRecord(EMPTY_RECORD);
+  };
+
+  const handleSave = () => {
+    const next = competitor
+      ? {
+          ...competitor,
+          name: fields.name.trim(),
+          positioning: fields.positioning.trim(),
+          pricingNotes: fields.pricingNotes.trim(),
+          strengths: toList(fields.strengths),
+          weaknesses: toList(fields.weaknesses),
+          winLoss,
+          updatedAt: new Date().toISOString()
+        }
+      : createCompetitor({ ...fields, winLoss }, competitors);
+
+    const problems = validateCompetitor(next, competitors);
+    setErrors(problems);
+    if (problems.length === 0) onSave(next);
+  };
+
+  return (
+    <div className="bg-gray-900/80 border border-purple-500/30 rounded-xl p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-white font-medium">{competitor ? `Edit ${competitor.name}` : 'Add Competitor'}</h4>
+        <button onClick={onCancel} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input value={fields.name} onChange={update('name')} placeholder="Competitor name" className={inputClass} />
+        <input value={fields.pricingNotes} onChange={update('pricingNotes')} placeholder="Pricing notes, e.g. $50/user/month, annual only" className={inputClass} />
+      </div>
+      <textarea value={fields.positioning} onChange={update('positioning')} rows={2} placeholder="How they position themselves" className={inputClass} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <textarea value={fields.strengths} onChange={update('strengths')} rows={4} placeholder="Strengths, one per line" className={inputClass} />
+        <textarea value={fields.weaknesses} onChange={update('weaknesses')} rows={4} placeholder="Weaknesses, one per line" className={inputClass} />
+      </div>
+
+      {/* Win/loss records */}
+      <div>
+        <div className="text-sm text-gray-300 mb-2">Deals against them</div>
+        {winLoss.length > 0 && (
+          <ul className="space-y-1 mb-2">
+            {winLoss.map((deal, index) => (
+              <li key={`${deal.date}-${index}`} className="flex items-center justify-between text-sm bg-black/20 rounded px-3 py-1">
+                <span>
+                  <span className={deal.outcome === 'won' ? 'text-green-400' : 'text-red-400'}>{deal.outcome.toUpperCase()}</span>
+                  <span className="text-gray-200"> {deal.dealName || 'Unnamed deal'}</span>
+                  {deal.reason && <span className="text-gray-400"> - {deal.reason}</span>}
+                </span>
+                <button onClick={() => setWinLoss(winLoss.filter((_, i) => i !== index))} className="text-gray-500 hover:text-red-400" aria-label="Remove deal">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <select value={record.outcome} onChange={(e) => setRecord({ ...record, outcome: e.target.value })} className={`${inputClass} w-auto`}>
+            <option value="won">Won</option>
+            <option value="lost">Lost</option>
+          </select>
+          <input value={record.dealName} onChange={(e) => setRecord({ ...record, dealName: e.target.value })} placeholder="Deal" className={`${inputClass} flex-1 min-w-[8rem]`} />
+          <input value={record.reason} onChange={(e) => setRecord({ ...record, reason: e.target.value })} placeholder="Main reason" className={`${inputClass} flex-1 min-w-[8rem]`} />
+          <button onClick={addRecord} className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm bg-gray-800 text-gray-300 hover:text-white">
+            <Plus className="w-4 h-4" /> Add deal
+          </button>
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-400 space-y-1">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white">Cancel</button>
+        <button onClick={handleSave} className="flex items-center gap-1 px-4 py-2 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700">
+          <Save className="w-4 h-4" /> Save Competitor
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CompetitorEditor;
@@ -682,7 +682,7 @@ const RevenueIntelligenceDashboard = ({ customerId, variant = 'premium' }) => {
                     lastUpdated="15 minutes ago"
                     compact={compactMode}
                   >
-                    <CompetitiveIntelligenceTracker />
+                    <CompetitiveIntelligenceTracker customerId={customerId} />
                   </CollapsibleModule>
                 );
               
@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, ArrowRight, Download, Check, X } from 'lucide-react';
+import { airtableService } from '../../services/airtableService';
+import { CRMIntegrationService } from '../../services/CRMIntegrationService';
+import {
+  PIPEDRIVE_MAPPING_TOOL,
+  PIPEDRIVE_ENTITIES,
+  MAPPING_MODES,
+  hsPipedriveFields,
+  defaultMapping,
+  normalizeMapping,
+  validateMapping,
+  recordsFromSource,
+  buildImportFiles
+} from '../../services/PipedriveImportService';
+
+/**
+ * Pipedrive Mapping Wizard
+ *
+ * Map the H&S fields onto existing or new Pipedrive fields, complete the
+ * person, organization and deal, then download one import CSV per entity.
+ * The mapping is saved per customer when the files are generated.
+ */
+
+const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:border-blue-500 focus:outline-none disabled:opacity-50';
+
+const STEPS = ['Map fields', 'Review records', 'Download'];
+
+const RECORD_FIELDS = {
+  person: [
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'organization', label: 'Organization' }
+  ],
+  organization: [
+    { key: 'name', label: 'Name' },
+    { key: 'address', label: 'Address' }
+  ],
+  deal: [
+    { key: 'title', label: 'Title' },
+    { key: 'value', label: 'Value' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'organization', label: 'Organization' },
+    { key: 'person', label: 'Contact person' }
+  ]
+};
+
+const downloadCSV = (csv, filename) => {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const PipedriveMappingWizard = ({ sourceData, customerId, onClose }) => {
+  // Fixed for the life of the wizard; callers may rebuild sourceData every render
+  const [fields] = useState(() => hsPipedriveFields(
+    CRMIntegrationService.generatePipedriveData(sourceData?.icpData, sourceData?.assessmentData, sourceData?.currency)
+  ));
+  const [step, setStep] = useState(0);
+  const [mapping, setMapping] = useState(() => defaultMapping(fields));
+  const [records, setRecords] = useState(() => recordsFromSource(sourceData, fields));
+  const [files, setFiles] = useState(null);
+  const [error, setError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+
+  // Start from the mapping this customer used last time
+  useEffect(() => {
+    if (!customerId) return;
+    airtableService.getUserProgress(customerId, PIPEDRIVE_MAPPING_TOOL).then(saved => {
+      if (saved?.mapping) {
+        setMapping(normalizeMapping(saved.mapping, fields));
+        setSavedAt(saved.savedAt || null);
+      }
+    });
+  }, [customerId, fields]);
+
+  const problems = validateMapping(mapping, fields);
+
+  const updateMapping = (key, changes) => setMapping({ ...mapping, [key]: { ...mapping[key], ...changes } });
+  const updateRecord = (entity, key, value) => setRecords({ ...records, [entity]: { ...records[entity], [key]: value } });
+
+  const generateFiles = async () => {
+    setError(null);
+    try {
+      setFiles(buildImportFiles(records, mapping, fields));
+      setStep(2);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (!customerId) return;
+    const timestamp = new Date().toISOString();
+    try {
+      await airtableService.saveUserProgress(customerId, PIPEDRIVE_MAPPING_TOOL, { mapping, savedAt: timestamp });
+      setSavedAt(timestamp);
+    } catch (err) {
+      console.error('Failed to save Pipedrive mapping:', err);
+    }
+  };
+
+  const fieldInput = (entity, field) => {
+    const value = records[entity][field.key] ?? '';
+    const onChange = (e) => updateRecord(entity, field.key, e.target.value);
+    if (field.options) {
+      return (
+        <select value={value} onChange={onChange} className={inputClass}>
+          <option value="">-</option>
+          {[...new Set([...field.options, value].filter(Boolean))].map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+    return <input value={value} onChange={onChange} inputMode={field.fieldType === 'enum' ? undefined : 'decimal'} className={inputClass} />;
+  };
+
+  return (
+    <div className="border border-blue-500/40 rounded-lg bg-gray-950/60 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-semibold text-white">Pipedrive Import Wizard</h4>
+          <p className="text-xs text-gray-400 mt-1">
+            Step {step + 1} of {STEPS.length}: {STEPS[step]}
+            {savedAt && ` · mapping saved ${new Date(savedAt).toLocaleDateString()}`}
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {step === 0 && (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-400">
+            Pipedrive matches import columns to fields by name. Use the exact name of an existing custom field,
+            or keep a new name and create the field when Pipedrive asks during the import.
+          </p>
+          {fields.map(field => (
+            <div key={field.key} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+              <div>
+                <div className="text-sm text-white">{field.label}</div>
+                <div className="text-xs text-gray-500">
+                  {field.entities.map(entity => PIPEDRIVE_ENTITIES.find(({ id }) => id === entity).label).join(', ')}
+                </div>
+              </div>
+              <select
+                value={mapping[field.key].mode}
+                onChange={(e) => updateMapping(field.key, { mode: e.target.value })}
+                className={inputClass}
+                aria-label={`${field.label} mapping`}
+              >
+                {MAPPING_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+              </select>
+              <input
+                value={mapping[field.key].field}
+                onChange={(e) => updateMapping(field.key, { field: e.target.value })}
+                disabled={mapping[field.key].mode === 'skip'}
+                placeholder={mapping[field.key].mode === 'existing' ? 'Pipedrive field name' : field.label}
+                className={inputClass}
+                aria-label={`${field.label} Pipedrive field`}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {PIPEDRIVE_ENTITIES.map(({ id, label }) => (
+            <div key={id} className="space-y-2">
+              <div className="text-sm font-medium text-white">{label}</div>
+              {RECORD_FIELDS[id].map(field => (
+                <label key={field.key} className="block text-xs text-gray-400">
+                  {field.label}
+                  <input
+                    value={records[id][field.key] ?? ''}
+                    onChange={(e) => updateRecord(id, field.key, e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+              ))}
+              {fields.filter(field => field.entities.includes(id) && mapping[field.key].mode !== 'skip').map(field => (
+                <label key={field.key} className="block text-xs text-blue-300">
+                  {mapping[field.key].field}
+                  <div className="mt-1">{fieldInput(id, field)}</div>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {step === 2 && files && (
+        <div className="space-y-2">
+          {Object.keys(files).length === 0 && (
+            <p className="text-sm text-gray-400">Add a name, organization or deal title to generate import files.</p>
+          )}
+          {PIPEDRIVE_ENTITIES.filter(({ file }) => files[file]).map(({ file, label }) => (
+            <div key={file} className="flex items-center justify-between bg-gray-800 rounded-lg px-3 py-2">
+              <span className="text-sm text-gray-200">{label} <span className="text-gray-500">({file}.csv)</span></span>
+              <button
+                onClick={() => downloadCSV(files[file], `pipedrive-${file}.csv`)}
+                className="inline-flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300"
+              >
+                <Download className="w-4 h-4" /> Download
+              </button>
+            </div>
+          ))}
+          <p className="text-xs text-gray-400">
+            Import organizations first, then people, then deals, so Pipedrive links them by name
+            (Settings &gt; Import data).
+          </p>
+        </div>
+      )}
+
+      {(problems.length > 0 || error) && step < 2 && (
+        <ul className="text-xs text-red-400 space-y-1">
+          {(error ? [error] : problems).map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-between">
+        <button
+          onClick={() => setStep(step - 1)}
+          disabled={step === 0}
+          className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-gray-300 hover:text-white disabled:opacity-40"
+        >
+          <ArrowLeft className="w-4 h-4" /> Back
+        </button>
+        {step === 0 && (
+          <button
+            onClick={() => setStep(1)}
+            disabled={problems.length > 0}
+            className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white"
+          >
+            Next <ArrowRight className="w-4 h-4" />
+          </button>
+        )}
+        {step === 1 && (
+          <button
+            onClick={generateFiles}
+            className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Check className="w-4 h-4" /> Generate Import Files
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PipedriveMappingWizard;
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Trophy, Upload, X } from 'lucide-react';
+import { airtableService } from '../../services/airtableService';
+import { normalizeSequence } from '../../services/SequenceExportService';
+import {
+  EXPERIMENTS_TOOL,
+  EXPERIMENT_METRICS,
+  createExperiment,
+  validateExperiment,
+  evaluateExperiment,
+  importVariantStats
+} from '../../services/SequenceExperimentService';
+
+/**
+ * Sequence Experiments Panel
+ *
+ * Set up A/B variants for a step of the sequence, import per-variant results
+ * from the sales tool's CSV export and see which variant is winning.
+ */
+
+const inputClass = 'w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white text-xs focus:border-blue-500 focus:outline-none';
+
+const percent = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const SequenceExperimentsPanel = ({ data, persona = '', customerId, onClose }) => {
+  const [sequence] = useState(() => normalizeSequence(data));
+  const emailSteps = sequence.steps.filter(step => step.type === 'email');
+  const [experiments, setExperiments] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [importResult, setImportResult] = useState(null);
+
+  useEffect(() => {
+    if (!customerId) return;
+    airtableService.getUserProgress(customerId, EXPERIMENTS_TOOL).then(saved => {
+      if (Array.isArray(saved?.experiments)) setExperiments(saved.experiments);
+    });
+  }, [customerId]);
+
+  const saveExperiments = async (next) => {
+    setExperiments(next);
+    if (!customerId) return;
+    try {
+      await airtableService.saveUserProgress(customerId, EXPERIMENTS_TOOL, { experiments: next, updatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Failed to save sequence experiments:', err);
+    }
+  };
+
+  const startDraft = () => {
+    setProblems([]);
+    setDraft(createExperiment(data, emailSteps[0]?.number, { persona }, experiments));
+  };
+
+  const changeDraftStep = (stepNumber) => {
+    setDraft(createExperiment(data, stepNumber, { persona: draft.persona, metric: draft.metric }, experiments));
+  };
+
+  const updateVariant = (index, changes) => setDraft({
+    ...draft,
+    variants: draft.variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant))
+  });
+
+  const addVariant = () => {
+    const id = String.fromCharCode(65 + draft.variants.length);
+    const { subject, body } = draft.variants[0];
+    setDraft({ ...draft, variants: [...draft.variants, { id, label: `Variant ${id}`, subject, body, stats: { sent: 0, opened: 0, replied: 0, meetings: 0 } }] });
+  };
+
+  const saveDraft = () => {
+    const found = validateExperiment(draft);
+    setProblems(found);
+    if (found.length > 0) return;
+    saveExperiments([...experiments, draft]);
+    setDraft(null);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const result = importVariantStats(experiments, await file.text());
+      setImportResult({ applied: result.applied, skipped: result.skipped });
+      saveExperiments(result.experiments);
+    } catch (err) {
+      setImportResult({ error: err.message });
+    }
+  };
+
+  const sequenceExperiments = experiments.filter(experiment => experiment.sequenceName === sequence.name);
+
+  return (
+    <div className="border border-blue-500/40 rounded-lg bg-gray-950/60 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-semibold text-white">A/B Variants</h4>
+          <p className="text-xs text-gray-400 mt-1">{sequence.name}</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300 cursor-pointer">
+            <Upload className="w-3 h-3" /> Import results CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {importResult && (
+        <div className={`text-xs ${importResult.error ? 'text-red-400' : 'text-gray-300'}`}>
+          {importResult.error || `Updated ${importResult.applied} variant${importResult.applied !== 1 ? 's' : ''}`}
+          {importResult.skipped?.length > 0 && (
+            <ul className="mt-1 text-yellow-400 space-y-0.5">
+              {importResult.skipped.map(({ row, reason }) => <li key={row}>Row {row}: {reason}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {sequenceExperiments.length === 0 && !draft && (
+        <p className="text-xs text-gray-400">No experiments on this sequence yet.</p>
+      )}
+
+      {sequenceExperiments.map(experiment => {
+        const evaluation = evaluateExperiment(experiment);
+        const metric = EXPERIMENT_METRICS.find(candidate => candidate.id === experiment.metric);
+        return (
+          <div key={experiment.id} className="bg-gray-800 rounded-lg p-3">
+            <div className="flex items-center justify-between text-xs mb-2">
+              <span className="text-white font-medium">
+                Step {experiment.stepNumber} · {metric?.label}{experiment.persona && ` · ${experiment.persona}`}
+              </span>
+              <span className={experiment.status === 'completed' ? 'text-green-400' : 'text-gray-400'}>
+                {experiment.status === 'completed' ? 'Winner promoted' : evaluation.summary}
+              </span>
+            </div>
+            <table className="w-full text-xs text-gray-300">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th className="font-normal">Variant</th>
+                  <th className="font-normal text-right">Sent</th>
+                  <th className="font-normal text-right">Rate</th>
+                  <th className="font-normal text-right">Lift</th>
+                  <th className="font-normal text-right">p</th>
+                </tr>
+              </thead>
+              <tbody>
+                {experiment.variants.map(variant => {
+                  const result = evaluation.variants.find(candidate => candidate.id === variant.id);
+                  return (
+                    <tr key={variant.id}>
+                      <td className="py-1 pr-2">
+                        <span className="inline-flex items-center gap-1">
+                          {experiment.winnerId === variant.id && <Trophy className="w-3 h-3 text-yellow-400" />}
+                          {variant.label}
+                        </span>
+                        <div className="text-gray-500 truncate max-w-xs">{variant.subject}</div>
+                      </td>
+                      <td className="text-right">{result.sent}</td>
+                      <td className="text-right">{percent(result.rate)}</td>
+                      <td className="text-right">{percent(result.lift)}</td>
+                      <td className="text-right">{result.pValue === null ? '-' : result.pValue.toFixed(3)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+
+      {draft && (
+        <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <label className="block text-xs text-gray-500">
+              Step
+              <select value={draft.stepNumber} onChange={(e) => changeDraftStep(e.target.value)} className={`${inputClass} mt-1`}>
+                {emailSteps.map(step => <option key={step.number} value={step.number}>Step {step.number} (day {step.day})</option>)}
+              </select>
+            </label>
+            <label className="block text-xs text-gray-500">
+              Measure
+              <select value={draft.metric} onChange={(e) => setDraft({ ...draft, metric: e.target.value })} className={`${inputClass} mt-1`}>
+                {EXPERIMENT_METRICS.map(metric => <option key={metric.id} value={metric.id}>{metric.label}</option>)}
+              </select>
+            </label>
+            <label className="block text-xs text-gray-500">
+              Persona
+              <input value={draft.persona} onChange={(e) => setDraft({ ...draft, persona: e.target.value })} placeholder="All personas" className={`${inputClass} mt-1`} />
+            </label>
+          </div>
+          {draft.variants.map((variant, index) => (
+            <div key={variant.id} className="grid grid-cols-3 gap-2">
+              <input value={variant.label} onChange={(e) => updateVariant(index, { label: e.target.value })} className={inputClass} aria-label="Variant label" />
+              <input value={variant.subject} onChange={(e) => updateVariant(index, { subject: e.target.value })} className={`${inputClass} col-span-2`} aria-label={`${variant.label} subject`} />
+            </div>
+          ))}
+          {problems.length > 0 && (
+            <ul className="text-xs text-red-400 space-y-1">
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+          <div className="flex justify-between">
+            <button onClick={addVariant} disabled={draft.variants.length >= 4} className="inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300 disabled:opacity-40">
+              <Plus className="w-3 h-3" /> Add variant
+            </button>
+            <div className="flex gap-2">
+              <button onClick={() => setDraft(null)} className="px-3 py-1 text-xs text-gray-300 hover:text-white">Cancel</button>
+              <button onClick={saveDraft} className="px-3 py-1 rounded text-xs bg-blue-600 hover:bg-blue-700 text-white">Start experiment</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!draft && emailSteps.length > 0 && (
+        <button onClick={startDraft} className="inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300">
+          <Plus className="w-3 h-3" /> New experiment
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SequenceExperimentsPanel;
@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, Download, X, XCircle } from 'lucide-react';
+import {
+  SEQUENCE_PLATFORMS,
+  MERGE_VARIABLES,
+  SAMPLE_PROSPECT,
+  lintSequence,
+  previewSequence,
+  sequenceExportFile
+} from '../../services/SequenceExportService';
+
+/**
+ * Sequence Export Panel
+ *
+ * Lint results, a per-step preview against an editable sample prospect and
+ * the platform import file for an Outreach sequence or SalesLoft cadence.
+ */
+
+const inputClass = 'w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white text-xs focus:border-blue-500 focus:outline-none';
+
+const downloadFile = ({ content, filename, mimeType }) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const SequenceExportPanel = ({ platform, data, onClose }) => {
+  const [prospect, setProspect] = useState(SAMPLE_PROSPECT);
+  const { isValid, issues } = useMemo(() => lintSequence(data, { platform, prospect }), [data, platform, prospect]);
+  const preview = useMemo(() => previewSequence(data, prospect), [data, prospect]);
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  return (
+    <div className="border border-blue-500/40 rounded-lg bg-gray-950/60 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-semibold text-white">{SEQUENCE_PLATFORMS[platform].label} Export Check</h4>
+          <p className="text-xs text-gray-400 mt-1">
+            {issues.length === 0
+              ? 'No problems found'
+              : `${errorCount} error${errorCount !== 1 ? 's' : ''}, ${issues.length - errorCount} warning${issues.length - errorCount !== 1 ? 's' : ''}`}
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="space-y-1">
+          {issues.map((issue, index) => (
+            <li key={index} className={`flex items-start gap-2 text-xs ${issue.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>
+              {issue.severity === 'error'
+                ? <XCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                : <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />}
+              <span>Step {issue.step}: {issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <div className="text-xs font-medium text-gray-300 mb-2">Sample prospect</div>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {Object.values(MERGE_VARIABLES).map(({ label, column }) => (
+            <label key={column} className="block text-xs text-gray-500">
+              {label}
+              <input
+                value={prospect[column] || ''}
+                onChange={(e) => setProspect({ ...prospect, [column]: e.target.value })}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {preview.map(step => (
+          <div key={step.number} className="bg-gray-800 rounded-lg p-3">
+            <div className="flex items-center justify-between text-xs text-gray-400 mb-2">
+              <span>Step {step.number} · Day {step.day} · {step.type}</span>
+              {step.missing.length > 0 && (
+                <span className="text-red-400">Unfilled: {step.missing.join(', ')}</span>
+              )}
+            </div>
+            {step.type === 'email' && step.subject && (
+              <div className="text-sm text-white font-medium mb-1">{step.subject}</div>
+            )}
+            {step.body
+              ? <p className="text-xs text-gray-300 whitespace-pre-wrap">{step.body}</p>
+              : <p className="text-xs text-gray-500 italic">Uses the platform template for this step</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <span className={`text-xs ${isValid ? 'text-gray-400' : 'text-red-400'}`}>
+          {isValid ? 'Ready to import' : 'Fix the errors before activating the sequence'}
+        </span>
+        <button
+          onClick={() => downloadFile(sequenceExportFile(platform, data))}
+          className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          <Download className="w-4 h-4" /> Download {SEQUENCE_PLATFORMS[platform].filename}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SequenceExportPanel;
@@ -8,12 +8,24 @@ import { CRMIntegrationService } from '../../services/CRMIntegrationService';
 import { SalesAutomationService } from '../../services/SalesAutomationService';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { Callout } from '../common/ContentDisplay';
+import PipedriveMappingWizard from './PipedriveMappingWizard';
+import SequenceExportPanel from './SequenceExportPanel';
+import SequenceExperimentsPanel from './SequenceExperimentsPanel';
+import { airtableService } from '../../services/airtableService';
+import { EXPERIMENTS_TOOL, winnersByPersona } from '../../services/SequenceExperimentService';
+
+// Sales automation formats that can be checked and exported as import files
+const SEQUENCE_EXPORT_PLATFORMS = {
+  outreach_sequences: 'outreach',
+  salesloft_cadences: 'salesloft'
+};
 
 const SmartExportInterface = ({
   sourceData,
   contentType = 'icp-analysis',
   userTools = [],
   onExport = () => {},
+  customerId = null,
   className = ''
 }) => {
   const [recommendations, setRecommendations] = useState([]);
@@ -24,6 +36,9 @@ const SmartExportInterface = ({
   const [error, setError] = useState(null);
   const [previewContent, setPreviewContent] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
+  const [showPipedriveWizard, setShowPipedriveWizard] = useState(false);
+  const [sequencePanel, setSequencePanel] = useState(null);
+  const [experimentsPanel, setExperimentsPanel] = useState(null);
 
   // Get smart recommendations on mount
   useEffect(() => {
@@ -109,35 +124,59 @@ const SmartExportInterface = ({
       case 'hubspot_properties':
         return CRMIntegrationService.generateHubSpotProperties(
           sourceData.icpData,
-          sourceData.assessmentData
+          sourceData.assessmentData,
+          sourceData.currency
         );
       case 'salesforce_fields':
         return CRMIntegrationService.generateSalesforceFields(
           sourceData.icpData,
-          sourceData.costData
+          sourceData.costData,
+          sourceData.currency
         );
       case 'pipedrive_data':
         return CRMIntegrationService.generatePipedriveData(
           sourceData.icpData,
-          sourceData.assessmentData
+          sourceData.assessmentData,
+          sourceData.currency
         );
       default:
         return { content: 'CRM export format not implemented' };
     }
   };
 
+  // A/B test winners saved from the experiments panel, or null when there are none
+  const savedWinners = async () => {
+    const saved = customerId ? await airtableService.getUserProgress(customerId, EXPERIMENTS_TOOL) : null;
+    return saved?.experiments?.length ? winnersByPersona(saved.experiments) : null;
+  };
+
   const generateSalesAutomationExports = async (formatId) => {
     switch (formatId) {
-      case 'outreach_sequences':
-        return SalesAutomationService.generateOutreachSequences(
+      case 'outreach_sequences': {
+        const sequences = SalesAutomationService.generateOutreachSequences(
           sourceData.icpData,
           sourceData.businessCaseData
         );
-      case 'salesloft_cadences':
-        return SalesAutomationService.generateSalesLoftCadences(
+        const winners = await savedWinners();
+        if (!winners) return sequences;
+        return {
+          ...sequences,
+          prospectingSequence: SalesAutomationService.optimizeSequenceForPersona(
+            sequences.prospectingSequence,
+            sourceData.icpData?.buyerPersona,
+            winners
+          )
+        };
+      }
+      case 'salesloft_cadences': {
+        const cadences = SalesAutomationService.generateSalesLoftCadences(
           sourceData.icpData,
           sourceData.costData
         );
+        const winners = await savedWinners();
+        if (!winners) return cadences;
+        return SalesAutomationService.applyCadenceWinners(cadences, sourceData.icpData?.buyerPersona, winners);
+      }
       case 'apollo_lists':
         return SalesAutomationService.generateApolloLists(
           sourceData.icpData,
@@ -312,16 +351,73 @@ const SmartExportInterface = ({
                   </div>
                 </div>
 
-                {selectedFormats.has(format.id) && exportData[format.id] && (
-                  <button
-                    onClick={() => handlePreview(format.id)}
-                    className="text-blue-400 hover:text-blue-300 text-xs"
-                  >
-                    Preview
-                  </button>
-                )}
+                <div className="flex items-center space-x-3">
+                  {format.id === 'pipedrive_data' && selectedFormats.has(format.id) && (
+                    <button
+                      onClick={() => setShowPipedriveWizard(!showPipedriveWizard)}
+                      className="text-blue-400 hover:text-blue-300 text-xs"
+                    >
+                      Map to Pipedrive
+                    </button>
+                  )}
+                  {SEQUENCE_EXPORT_PLATFORMS[format.id] && selectedFormats.has(format.id) && exportData[format.id] && (
+                    <button
+                      onClick={() => setSequencePanel(sequencePanel === format.id ? null : format.id)}
+                      className="text-blue-400 hover:text-blue-300 text-xs"
+                    >
+                      Check &amp; Export
+                    </button>
+                  )}
+                  {SEQUENCE_EXPORT_PLATFORMS[format.id] && selectedFormats.has(format.id) && exportData[format.id] && (
+                    <button
+                      onClick={() => setExperimentsPanel(experimentsPanel === format.id ? null : format.id)}
+                      className="text-blue-400 hover:text-blue-300 text-xs"
+                    >
+                      A/B Variants
+                    </button>
+                  )}
+                  {selectedFormats.has(format.id) && exportData[format.id] && (
+                    <button
+                      onClick={() => handlePreview(format.id)}
+                      className="text-blue-400 hover:text-blue-300 text-xs"
+                    >
+                      Preview
+                    </button>
+                  )}
+                </div>
               </div>
 
+              {format.id === 'pipedrive_data' && showPipedriveWizard && selectedFormats.has(format.id) && (
+                <div className="mt-4">
+                  <PipedriveMappingWizard
+                    sourceData={sourceData}
+                    customerId={customerId}
+                    onClose={() => setShowPipedriveWizard(false)}
+                  />
+                </div>
+              )}
+
+              {sequencePanel === format.id && selectedFormats.has(format.id) && exportData[format.id] && (
+                <div className="mt-4">
+                  <SequenceExportPanel
+                    platform={SEQUENCE_EXPORT_PLATFORMS[format.id]}
+                    data={exportData[format.id]}
+                    onClose={() => setSequencePanel(null)}
+                  />
+                </div>
+              )}
+
+              {experimentsPanel === format.id && selectedFormats.has(format.id) && exportData[format.id] && (
+                <div className="mt-4">
+                  <SequenceExperimentsPanel
+                    data={exportData[format.id]}
+                    persona={sourceData?.icpData?.buyerPersona?.name}
+                    customerId={customerId}
+                    onClose={() => setExperimentsPanel(null)}
+                  />
+                </div>
+              )}
+
               {recommendations.includes(format.id) && (
                 <div className="mt-2">
                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-blue-900 text-blue-200">
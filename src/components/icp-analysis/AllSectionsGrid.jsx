@@ -6,6 +6,7 @@
 
 import React from 'react';
 import { motion } from 'motion/react';
+import { safeHtml } from '../../services/SafeContentService';
 
 const SectionCard = ({ title, htmlContent, index }) => {
   if (!htmlContent) return null;
@@ -41,7 +42,7 @@ const SectionCard = ({ title, htmlContent, index }) => {
               [&_.bg-yellow-50]:!bg-yellow-900/20 [&_.border-yellow-200]:!border-yellow-600/50 
               [&_.border-yellow-400]:!border-yellow-500/50 [&_.text-yellow-500]:!text-yellow-400
               [&_.shadow-md]:!shadow-lg [&_.shadow-md]:!shadow-black/20"
-            dangerouslySetInnerHTML={{ __html: htmlContent }}
+            dangerouslySetInnerHTML={safeHtml(htmlContent)}
           />
         </div>
       </div>
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, GitCompare, Pin, PinOff, RotateCcw, Loader2 } from 'lucide-react';
+import resourceVersionService from '../../services/resourceVersionService';
+
+const formatVersionLabel = (version) => {
+  const date = new Date(version.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  const confidence = version.quality?.overallConfidence != null ? ` · ${version.quality.overallConfidence} confidence` : '';
+  const flags = `${version.pinned ? ' · pinned' : ''}${version.current ? ' · current' : ''}`;
+  return `${version.versionId} · ${date}${confidence}${flags}`;
+};
+
+const STATUS_STYLES = {
+  added: 'bg-green-900/30 text-green-400',
+  removed: 'bg-red-900/30 text-red-400',
+  changed: 'bg-yellow-900/30 text-yellow-400',
+  unchanged: 'bg-gray-800 text-gray-400'
+};
+
+// One side of a changed field: the older side shows removals, the newer side additions
+const DiffLines = ({ lines, side }) => (
+  <pre className="whitespace-pre-wrap text-xs font-sans">
+    {lines
+      .filter(line => line.type === 'same' || line.type === (side === 'before' ? 'removed' : 'added'))
+      .map((line, index) => (
+        <div
+          key={index}
+          className={
+            line.type === 'same' ? 'text-gray-300' :
+            side === 'before' ? 'bg-red-900/30 text-red-300' : 'bg-green-900/30 text-green-300'
+          }
+        >
+          {line.text || ' '}
+        </div>
+      ))}
+  </pre>
+);
+
+const FieldValue = ({ field, side }) => {
+  const value = side === 'before' ? field.before : field.after;
+  if (field.lines) return <DiffLines lines={field.lines} side={side} />;
+  if (value === null) return <p className="text-xs text-gray-600 italic">Not present</p>;
+  return <p className="text-xs text-gray-300 whitespace-pre-wrap">{value}</p>;
+};
+
+const ResourceVersionHistory = ({ customerId, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [compareId, setCompareId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    if (!customerId) return;
+    try {
+      const result = await resourceVersionService.listVersions(customerId);
+      setVersions(result.versions);
+      setSelectedId(current => current || result.currentVersionId || result.versions[0]?.versionId || '');
+    } catch (e) {
+      console.error('Error loading resource versions:', e);
+      setError('Version history is unavailable right now');
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  // Default the comparison to the version generated just before the selected one
+  useEffect(() => {
+    const index = versions.findIndex(version => version.versionId === selectedId);
+    setCompareId(versions[index + 1]?.versionId || '');
+  }, [selectedId, versions]);
+
+  useEffect(() => {
+    if (!selectedId || !compareId) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    resourceVersionService.getDiff(customerId, compareId, selectedId)
+      .then(result => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch(e => {
+        console.error('Error loading version diff:', e);
+        if (!cancelled) setError(e.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customerId, selectedId, compareId]);
+
+  const selected = versions.find(version => version.versionId === selectedId);
+
+  const handlePin = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await resourceVersionService.pinVersion(customerId, selected.versionId, !selected.pinned);
+      await loadVersions();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await resourceVersionService.restoreVersion(customerId, selected.versionId);
+      const airtableNotes = {
+        queued: ' - syncing to Airtable',
+        synced: ' - saved to Airtable',
+        failed: ' - Airtable could not be updated'
+      };
+      setNotice(`Restored ${selected.versionId}${airtableNotes[result.airtableSync] || ''}`);
+      await loadVersions();
+      if (onRestore) onRestore(result);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (versions.length === 0) return null;
+
+  const visibleSections = diff?.sections.filter(section => showUnchanged || section.changed) || [];
+
+  return (
+    <div className="mb-8 bg-gray-900 border border-gray-800 rounded-xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <History className="w-4 h-4 text-purple-400" />
+          <h2 className="text-lg font-semibold text-white">Version History</h2>
+          <span className="text-sm text-gray-400">{versions.length} generation{versions.length > 1 ? 's' : ''}</span>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="bg-gray-800 border border-gray-700 text-white text-sm rounded-lg px-3 py-2"
+            aria-label="Version"
+          >
+            {versions.map(version => (
+              <option key={version.versionId} value={version.versionId}>{formatVersionLabel(version)}</option>
+            ))}
+          </select>
+
+          {selected && (
+            <>
+              <button
+                onClick={handlePin}
+                disabled={busy}
+                className="px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg transition-colors flex items-center gap-2 text-sm disabled:opacity-50"
+              >
+                {selected.pinned ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+                {selected.pinned ? 'Unpin' : 'Pin'}
+              </button>
+              <button
+                onClick={handleRestore}
+                disabled={busy || selected.current}
+                className="px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors flex items-center gap-2 text-sm disabled:opacity-50"
+              >
+                <RotateCcw className="w-3 h-3" />
+                {selected.current ? 'Current' : 'Restore'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+      {notice && <p className="text-sm text-green-400 mb-3">{notice}</p>}
+
+      {versions.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-400">
+          <GitCompare className="w-4 h-4" />
+          <span>Compare with</span>
+          <select
+            value={compareId}
+            onChange={(e) => setCompareId(e.target.value)}
+            className="bg-gray-800 border border-gray-700 text-white text-sm rounded-lg px-3 py-1"
+            aria-label="Compare with version"
+          >
+            <option value="">No comparison</option>
+            {versions.filter(version => version.versionId !== selectedId).map(version => (
+              <option key={version.versionId} value={version.versionId}>{formatVersionLabel(version)}</option>
+            ))}
+          </select>
+          {diff && (
+            <>
+              <span>
+                {diff.summary.sectionsChanged} of {diff.summary.sectionsCompared} sections changed
+              </span>
+              <label className="flex items-center gap-1 ml-auto">
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                Show unchanged
+              </label>
+            </>
+          )}
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex items-center gap-2 text-sm text-gray-400">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Comparing versions...
+        </div>
+      )}
+
+      {!loading && diff && visibleSections.length === 0 && (
+        <p className="text-sm text-gray-400">No differences between {diff.from} and {diff.to}</p>
+      )}
+
+      {!loading && visibleSections.map(section => (
+        <div key={section.id} className="mb-4 border border-gray-800 rounded-lg">
+          <div className="grid grid-cols-2 gap-px bg-gray-800 text-xs text-gray-400">
+            <div className="bg-gray-900 px-3 py-2 font-medium text-white">{section.label} · {diff.from}</div>
+            <div className="bg-gray-900 px-3 py-2 font-medium text-white">{section.label} · {diff.to}</div>
+          </div>
+          {section.fields
+            .filter(field => showUnchanged || field.status !== 'unchanged')
+            .map(field => (
+              <div key={field.field} className="grid grid-cols-2 gap-px bg-gray-800">
+                {['before', 'after'].map(side => (
+                  <div key={side} className="bg-gray-900 px-3 py-2">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="text-xs text-gray-400">{field.label}</span>
+                      {side === 'after' && (
+                        <span className={`px-1 py-0.5 rounded text-xs ${STATUS_STYLES[field.status]}`}>{field.status}</span>
+                      )}
+                    </div>
+                    <FieldValue field={field} side={side} />
+                  </div>
+                ))}
+              </div>
+            ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ResourceVersionHistory;
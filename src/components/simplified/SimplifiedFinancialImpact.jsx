@@ -5,7 +5,6 @@ import {
   FileText,
   Download,
   TrendingUp,
-  DollarSign,
   Users,
   Target,
   BarChart3,
@@ -18,10 +17,13 @@ import {
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { useUserIntelligence } from '../../contexts/simplified/UserIntelligenceContext';
 import FinancialAccessGate from '../common/FinancialAccessGate';
+import useCurrencyPreference from '../../hooks/useCurrencyPreference';
+import { projectRevenueImprovement, localizeBenchmark, REVENUE_IMPROVEMENT_ASSUMPTIONS } from '../../services/financialModel';
 
 const SimplifiedFinancialImpact = ({ customerId }) => {
   const navigate = useNavigate();
   const { assessment, milestone, usage, updateUsage } = useUserIntelligence();
+  const { currency, symbol, formatMoney } = useCurrencyPreference();
   const [activeTab, setActiveTab] = useState('calculate');
   const [isCalculating, setIsCalculating] = useState(false);
   
@@ -77,8 +79,12 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
     };
     
     const tierDefaults = defaults[milestone.tier] || defaults.foundation;
-    setCalculatorInputs(prev => ({ ...prev, ...tierDefaults }));
-  }, [milestone]);
+    setCalculatorInputs(prev => ({
+      ...prev,
+      ...tierDefaults,
+      averageDealSize: localizeBenchmark(Number(tierDefaults.averageDealSize), { currency }).toString()
+    }));
+  }, [milestone, currency]);
 
   // Auto-populate from assessment data
   useEffect(() => {
@@ -98,57 +104,13 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
     
     // Simulate calculation
     setTimeout(() => {
-      const revenue = parseFloat(calculatorInputs.currentRevenue) || 0;
-      const growthRate = parseFloat(calculatorInputs.targetGrowthRate) / 100;
-      const dealSize = parseFloat(calculatorInputs.averageDealSize) || 0;
-      const cycleLength = parseFloat(calculatorInputs.salesCycleLength) || 90;
-      const winRate = parseFloat(calculatorInputs.winRate) / 100;
-      
-      // Calculate improvements
-      const improvedWinRate = Math.min(winRate * 1.4, 0.65); // 40% improvement, max 65%
-      const improvedCycleLength = cycleLength * 0.75; // 25% faster
-      const improvedDealSize = dealSize * 1.25; // 25% larger deals
-      
-      // Calculate impact
-      const currentMonthlyDeals = (revenue / 12) / dealSize;
-      const improvedMonthlyRevenue = currentMonthlyDeals * improvedDealSize * (improvedWinRate / winRate);
-      const annualImpact = improvedMonthlyRevenue * 12 - revenue;
-      
-      // Generate projections for chart
-      const projections = [];
-      for (let month = 0; month <= 12; month++) {
-        projections.push({
-          month: `M${month}`,
-          current: Math.round((revenue / 12) * month),
-          optimized: Math.round((improvedMonthlyRevenue) * month)
-        });
+      const results = projectRevenueImprovement(calculatorInputs, REVENUE_IMPROVEMENT_ASSUMPTIONS, { currency });
+      if (!results) {
+        setCalculations(null);
+        setIsCalculating(false);
+        return;
       }
       
-      const results = {
-        currentState: {
-          annualRevenue: revenue,
-          averageDealSize: dealSize,
-          winRate: winRate * 100,
-          salesCycle: cycleLength,
-          monthlyDeals: currentMonthlyDeals
-        },
-        optimizedState: {
-          annualRevenue: revenue + annualImpact,
-          averageDealSize: improvedDealSize,
-          winRate: improvedWinRate * 100,
-          salesCycle: improvedCycleLength,
-          monthlyDeals: currentMonthlyDeals * (improvedWinRate / winRate)
-        },
-        impact: {
-          revenueIncrease: annualImpact,
-          percentageGrowth: (annualImpact / revenue) * 100,
-          dealSizeIncrease: improvedDealSize - dealSize,
-          cycleReduction: cycleLength - improvedCycleLength,
-          winRateImprovement: (improvedWinRate - winRate) * 100
-        },
-        projections
-      };
-      
       setCalculations(results);
       
       // Auto-populate business case with calculations
@@ -162,13 +124,13 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
       
       setIsCalculating(false);
     }, 1000);
-  }, [calculatorInputs, updateUsage]);
+  }, [calculatorInputs, currency, updateUsage]);
 
   // Generate business case from calculations
   const generateBusinessCase = (results) => {
     const executiveSummary = `
       By implementing systematic revenue intelligence capabilities, we project a ${results.impact.percentageGrowth.toFixed(1)}% 
-      increase in annual revenue ($${(results.impact.revenueIncrease / 1000).toFixed(0)}K additional revenue).
+      increase in annual revenue (${formatMoney(results.impact.revenueIncrease, { compact: true })} additional revenue).
       This will be achieved through ${results.impact.winRateImprovement.toFixed(0)}% improvement in win rates,
       ${((results.impact.cycleReduction / results.currentState.salesCycle) * 100).toFixed(0)}% faster sales cycles,
       and ${((results.impact.dealSizeIncrease / results.currentState.averageDealSize) * 100).toFixed(0)}% larger average deal sizes.
@@ -178,7 +140,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
       Current revenue operations are constrained by:
       • Win rate of only ${results.currentState.winRate.toFixed(0)}% indicating value communication gaps
       • ${results.currentState.salesCycle}-day sales cycles limiting velocity
-      • Average deal size of $${(results.currentState.averageDealSize / 1000).toFixed(0)}K below market potential
+      • Average deal size of ${formatMoney(results.currentState.averageDealSize, { compact: true })} below market potential
       • Lack of systematic buyer intelligence and value articulation frameworks
     `.trim();
     
@@ -203,8 +165,8 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
     const successMetrics = `
       • Win rate improvement to ${results.optimizedState.winRate.toFixed(0)}%
       • Sales cycle reduction to ${results.optimizedState.salesCycle.toFixed(0)} days
-      • Average deal size increase to $${(results.optimizedState.averageDealSize / 1000).toFixed(0)}K
-      • Monthly revenue growth of $${(results.impact.revenueIncrease / 12000).toFixed(0)}K
+      • Average deal size increase to ${formatMoney(results.optimizedState.averageDealSize, { compact: true })}
+      • Monthly revenue growth of ${formatMoney(results.impact.revenueIncrease / 12, { compact: true })}
     `.trim();
     
     setBusinessCase({
@@ -232,7 +194,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
     });
     
     // In production, this would generate a PDF or DOCX
-    console.log('Exporting business case:', businessCase);
+    console.log('Exporting business case:', { ...businessCase, currency });
     alert('Business case exported successfully!');
   };
 
@@ -340,7 +302,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
                     Current Annual Revenue
                   </label>
                   <div className="relative">
-                    <DollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-sm text-gray-400">{symbol}</span>
                     <input
                       type="number"
                       value={calculatorInputs.currentRevenue}
@@ -357,7 +319,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
                     Average Deal Size
                   </label>
                   <div className="relative">
-                    <DollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-sm text-gray-400">{symbol}</span>
                     <input
                       type="number"
                       value={calculatorInputs.averageDealSize}
@@ -440,7 +402,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
                     <div className="flex justify-between">
                       <span className="text-gray-400">Revenue Increase</span>
                       <span className="text-green-400 font-semibold">
-                        +${(calculations.impact.revenueIncrease / 1000).toFixed(0)}K
+                        +{formatMoney(calculations.impact.revenueIncrease, { compact: true })}
                       </span>
                     </div>
                     <div className="flex justify-between">
@@ -458,7 +420,7 @@ const SimplifiedFinancialImpact = ({ customerId }) => {
                     <div className="flex justify-between">
                       <span className="text-gray-400">Deal Size Increase</span>
                       <span className="text-yellow-400 font-semibold">
-                        +${(calculations.impact.dealSizeIncrease / 1000).toFixed(0)}K
+                        +{formatMoney(calculations.impact.dealSizeIncrease, { compact: true })}
                       </span>
                     </div>
                   </div>
@@ -774,6 +774,7 @@ Make it conversational for founder-to-founder discussions.`
             {/* Product Input Section */}
             <ProductInputSection 
               customerId={customerId}
+              resources={customerData.salesSageResources}
               onProductSubmit={(data) => {
                 setProductData(data);
                 
@@ -877,6 +878,7 @@ Make it conversational for founder-to-founder discussions.`
               <SmartExportInterface
                 sourceData={exportData}
                 contentType="icp-analysis"
+                customerId={customerId}
                 userTools={['claude', 'chatgpt', 'hubspot', 'salesforce', 'outreach', 'salesloft']}
                 onExport={(exportResults) => {
                   console.log('Export completed:', exportResults);
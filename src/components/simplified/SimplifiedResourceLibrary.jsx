@@ -17,11 +17,13 @@ import {
   CheckCircle,
   ArrowRight,
   Eye,
-  Copy
+  Copy,
+  AlertTriangle
 } from 'lucide-react';
 import { useUserIntelligence } from '../../contexts/simplified/UserIntelligenceContext';
 import { TaskResourceMatcher } from '../../services/TaskResourceMatcher';
 import { TaskCompletionService } from '../../services/TaskCompletionService';
+import ResourceVersionHistory from './ResourceVersionHistory';
 
 const SimplifiedResourceLibrary = ({ customerId }) => {
   const navigate = useNavigate();
@@ -620,6 +622,8 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
               tags: ['icp', 'ai-generated', 'session'],
               content: parsed.icp_analysis.content || 'Generated ICP analysis content',
               confidence: parsed.icp_analysis.confidence_score || 85,
+              qualityGate: parsed.icp_analysis.quality_gate,
+              assumedFields: parsed.icp_analysis.structured?.assumedFields || [],
               generated: true,
               sessionId: currentSessionId,
               generatedAt: Date.now()
@@ -636,6 +640,8 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
               tags: ['personas', 'ai-generated', 'session'],
               content: parsed.buyer_personas.content || 'Generated buyer personas',
               confidence: parsed.buyer_personas.confidence_score || 88,
+              qualityGate: parsed.buyer_personas.quality_gate,
+              assumedFields: parsed.buyer_personas.structured?.assumedFields || [],
               generated: true,
               sessionId: currentSessionId,
               generatedAt: Date.now()
@@ -652,6 +658,7 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
               tags: ['empathy', 'ai-generated', 'session'],
               content: parsed.empathy_map.content || 'Generated empathy map',
               confidence: parsed.empathy_map.confidence_score || 87,
+              qualityGate: parsed.empathy_map.quality_gate,
               generated: true,
               sessionId: currentSessionId,
               generatedAt: Date.now()
@@ -668,6 +675,7 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
               tags: ['product', 'ai-generated', 'session'],
               content: parsed.product_assessment.content || 'Generated product assessment',
               confidence: parsed.product_assessment.confidence_score || 90,
+              qualityGate: parsed.product_assessment.quality_gate,
               generated: true,
               sessionId: currentSessionId,
               generatedAt: Date.now()
@@ -1215,11 +1223,19 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
                           : 'text-yellow-400'
                       }`} />
                     </div>
-                    {resource.confidence && (
-                      <span className="text-xs bg-green-900/30 text-green-400 px-2 py-1 rounded">
-                        {resource.confidence}%
-                      </span>
-                    )}
+                    <div className="flex items-center gap-1">
+                      {resource.qualityGate?.status === 'needs_review' && (
+                        <span className="text-xs bg-yellow-900/30 text-yellow-400 px-2 py-1 rounded flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          Needs review
+                        </span>
+                      )}
+                      {resource.confidence && (
+                        <span className="text-xs bg-green-900/30 text-green-400 px-2 py-1 rounded">
+                          {resource.confidence}%
+                        </span>
+                      )}
+                    </div>
                   </div>
                   
                   <h3 className={`font-medium mb-2 text-sm ${
@@ -1239,6 +1255,28 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
                       : resource.description
                     }
                   </p>
+
+                  {/* Values filled in with generic defaults rather than researched */}
+                  {resource.assumedFields?.length > 0 && (
+                    <p
+                      className="text-xs text-gray-500 mb-2"
+                      title={resource.assumedFields.map(field => field.replace(/_/g, ' ')).join(', ')}
+                    >
+                      {resource.assumedFields.length} {resource.assumedFields.length === 1 ? 'field' : 'fields'} assumed
+                    </p>
+                  )}
+
+                  {/* Why the server's quality gate held this resource back */}
+                  {resource.qualityGate?.status === 'needs_review' && (
+                    <ul className="text-xs text-yellow-400/90 mb-3 space-y-1">
+                      {resource.qualityGate.reasons.slice(0, 3).map((reason, index) => (
+                        <li key={index}>• {reason.message}</li>
+                      ))}
+                      {resource.qualityGate.reasons.length > 3 && (
+                        <li className="text-gray-500">+{resource.qualityGate.reasons.length - 3} more</li>
+                      )}
+                    </ul>
+                  )}
                   
                   {needsGeneration ? (
                     <button
@@ -1275,6 +1313,12 @@ const SimplifiedResourceLibrary = ({ customerId }) => {
           </div>
         </div>
 
+        {/* Earlier generations: pick, compare side by side, pin or restore */}
+        <ResourceVersionHistory
+          customerId={customerId}
+          onRestore={() => setRefreshTrigger(prev => prev + 1)}
+        />
+
         {/* Advanced Resources Section */}
         <div className="mb-6">
           <h2 className="text-xl font-semibold text-white mb-4">Advanced Resources</h2>
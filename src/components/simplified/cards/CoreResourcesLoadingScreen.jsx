@@ -1,17 +1,41 @@
 import React, { useState, useEffect } from 'react';
 import { Loader2, Sparkles, Brain, Zap, Coffee, Rocket } from 'lucide-react';
-import webhookService from '../../../services/webhookService';
+import webhookService, { GENERATION_STEPS } from '../../../services/webhookService';
 
 /**
  * Loading screen with witty progress updates for Core Resources generation
- * Total duration: 5 minutes with staged messages
+ * Shows real per-step progress when the webhook server streams it; otherwise
+ * falls back to 5 minutes of staged messages while polling for resources
  */
 
+const STEP_ICONS = {
+  pdr: Brain,
+  persona: Coffee,
+  icp: Brain,
+  negative_persona: Coffee,
+  value_messaging: Sparkles,
+  product_potential: Zap,
+  moment_in_life: Sparkles,
+  empathy_map: Brain
+};
+
+// Preview cards, marked done by their streamed step or by the staged timer's progress
+const RESOURCE_CARDS = [
+  { label: 'ICP Analysis', step: 'icp', threshold: 25 },
+  { label: 'Buyer Personas', step: 'persona', threshold: 50 },
+  { label: 'Empathy Map', step: 'empathy_map', threshold: 75 },
+  { label: 'Market Assessment', step: 'product_potential', threshold: 90 }
+];
+
+// How long to wait without any progress before handing over to fallback resources
+const PROGRESS_TIMEOUT_SECONDS = 240;
+
 const CoreResourcesLoadingScreen = ({ sessionId, onComplete }) => {
   const [progress, setProgress] = useState(0);
   const [currentMessage, setCurrentMessage] = useState('');
   const [subMessage, setSubMessage] = useState('');
   const [currentIcon, setCurrentIcon] = useState(null);
+  const [completedSteps, setCompletedSteps] = useState([]);
 
   // Witty progress messages with timing (300 seconds total - 5 minutes)
   const progressStages = [
@@ -118,31 +142,94 @@ const CoreResourcesLoadingScreen = ({ sessionId, onComplete }) => {
   useEffect(() => {
     const startTime = Date.now();
     let completed = false;
+    // connecting -> connected (stream open) -> live (real progress), or polling when there's no stream
+    let streamMode = 'connecting';
+    let lastStreamEventAt = startTime;
+
+    const showCompleted = () => {
+      completed = true;
+      setProgress(100);
+      setCurrentMessage("Core Resources generated successfully!");
+      setSubMessage("Your competitive advantage awaits ✅");
+      setCurrentIcon(Sparkles);
+
+      if (onComplete) {
+        setTimeout(() => {
+          onComplete();
+        }, 1000); // Small delay for visual effect
+      }
+    };
+
+    const unsubscribe = sessionId ? webhookService.subscribeToProgress(sessionId, (event) => {
+      if (completed) return;
+
+      switch (event.type) {
+        case 'connected':
+          streamMode = 'connected';
+          break;
+        case 'unavailable':
+          streamMode = 'polling';
+          break;
+        case 'progress':
+        case 'step_completed': {
+          streamMode = 'live';
+          lastStreamEventAt = Date.now();
+          const stepLabel = GENERATION_STEPS[event.step];
+          setProgress(event.progress);
+          setCurrentMessage(event.type === 'step_completed' && stepLabel ? `${stepLabel} ready` : event.message || 'Generating...');
+          setSubMessage(`${event.completedSteps.length} of ${Object.keys(GENERATION_STEPS).length} steps complete`);
+          setCurrentIcon(STEP_ICONS[event.step] || Sparkles);
+          setCompletedSteps(event.completedSteps);
+          break;
+        }
+        case 'completed':
+          console.log('🎉 Progress stream reported completion');
+          showCompleted();
+          break;
+        case 'failed':
+          completed = true;
+          setCurrentMessage("Generation hit a snag...");
+          setSubMessage("Building your resources from your product details instead 🛠️");
+          setCurrentIcon(Rocket);
+          if (onComplete) {
+            setTimeout(() => {
+              onComplete();
+            }, 500);
+          }
+          break;
+        default:
+          break;
+      }
+    }) : () => {};
     
     const updateProgress = async () => {
-      // Check if resources are ready early
-      if (!completed && sessionId) {
+      if (completed) return false;
+
+      // Poll for resources only when there's no progress stream to listen to
+      if (streamMode === 'polling' && sessionId) {
         try {
           const resources = await webhookService.getResources(sessionId);
           if (resources && Object.keys(resources).length > 0) {
             console.log('🎉 Resources ready early!', resources);
-            completed = true;
-            setProgress(100);
-            setCurrentMessage("Core Resources generated successfully!");
-            setSubMessage("Your competitive advantage awaits ✅");
-            setCurrentIcon(Sparkles);
-            
-            if (onComplete) {
-              setTimeout(() => {
-                onComplete();
-              }, 1000); // Small delay for visual effect
-            }
+            showCompleted();
             return false; // Stop the interval
           }
         } catch (error) {
           console.log('Checking for resources...', error.message);
         }
       }
+
+      // Real progress drives the screen; just guard against a stream that goes quiet
+      if (streamMode === 'live') {
+        if ((Date.now() - lastStreamEventAt) / 1000 >= PROGRESS_TIMEOUT_SECONDS) {
+          console.log('⏰ Progress stream went quiet for 4 minutes - using fallback resources');
+          if (onComplete) {
+            onComplete();
+          }
+          return false;
+        }
+        return true;
+      }
       
       const elapsed = (Date.now() - startTime) / 1000; // Convert to seconds
       
@@ -172,7 +259,7 @@ const CoreResourcesLoadingScreen = ({ sessionId, onComplete }) => {
       setCurrentIcon(currentStage.icon);
       
       // Complete after 4 minutes (allowing for Make.com 3-minute processing + buffer)
-      if (elapsed >= 240) {
+      if (elapsed >= PROGRESS_TIMEOUT_SECONDS) {
         console.log('⏰ Loading screen timeout after 4 minutes - using fallback resources');
         if (onComplete) {
           setTimeout(() => {
@@ -196,9 +283,17 @@ const CoreResourcesLoadingScreen = ({ sessionId, onComplete }) => {
       }
     }, 6000); // Reduced polling frequency to 6 seconds to be less aggressive on webhook endpoints
     
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
   }, [sessionId, onComplete]);
 
+  const isCardDone = (card) => {
+    if (progress >= 100) return true;
+    return completedSteps.length > 0 ? completedSteps.includes(card.step) : progress >= card.threshold;
+  };
+
   const IconComponent = currentIcon || Loader2;
 
   return (
@@ -237,53 +332,22 @@ const CoreResourcesLoadingScreen = ({ sessionId, onComplete }) => {
 
         {/* Resource Preview Cards */}
         <div className="grid grid-cols-2 gap-3">
-          <div className={`bg-gray-800 rounded-lg p-3 border transition-all duration-300 ${
-            progress >= 25 ? 'border-green-500/50 opacity-100' : 'border-gray-700 opacity-50'
-          }`}>
-            <div className="flex items-center gap-2 mb-1">
-              <div className={`w-2 h-2 rounded-full ${progress >= 25 ? 'bg-green-400' : 'bg-gray-600'}`} />
-              <span className="text-sm font-medium text-gray-300">ICP Analysis</span>
-            </div>
-            <p className="text-xs text-gray-500">
-              {progress >= 25 ? 'Generated ✓' : 'Pending...'}
-            </p>
-          </div>
-
-          <div className={`bg-gray-800 rounded-lg p-3 border transition-all duration-300 ${
-            progress >= 50 ? 'border-green-500/50 opacity-100' : 'border-gray-700 opacity-50'
-          }`}>
-            <div className="flex items-center gap-2 mb-1">
-              <div className={`w-2 h-2 rounded-full ${progress >= 50 ? 'bg-green-400' : 'bg-gray-600'}`} />
-              <span className="text-sm font-medium text-gray-300">Buyer Personas</span>
-            </div>
-            <p className="text-xs text-gray-500">
-              {progress >= 50 ? 'Generated ✓' : 'Pending...'}
-            </p>
-          </div>
-
-          <div className={`bg-gray-800 rounded-lg p-3 border transition-all duration-300 ${
-            progress >= 75 ? 'border-green-500/50 opacity-100' : 'border-gray-700 opacity-50'
-          }`}>
-            <div className="flex items-center gap-2 mb-1">
-              <div className={`w-2 h-2 rounded-full ${progress >= 75 ? 'bg-green-400' : 'bg-gray-600'}`} />
-              <span className="text-sm font-medium text-gray-300">Empathy Map</span>
-            </div>
-            <p className="text-xs text-gray-500">
-              {progress >= 75 ? 'Generated ✓' : 'Pending...'}
-            </p>
-          </div>
-
-          <div className={`bg-gray-800 rounded-lg p-3 border transition-all duration-300 ${
-            progress >= 90 ? 'border-green-500/50 opacity-100' : 'border-gray-700 opacity-50'
-          }`}>
-            <div className="flex items-center gap-2 mb-1">
-              <div className={`w-2 h-2 rounded-full ${progress >= 90 ? 'bg-green-400' : 'bg-gray-600'}`} />
-              <span className="text-sm font-medium text-gray-300">Market Assessment</span>
-            </div>
-            <p className="text-xs text-gray-500">
-              {progress >= 90 ? 'Generated ✓' : 'Pending...'}
-            </p>
-          </div>
+          {RESOURCE_CARDS.map(card => {
+            const done = isCardDone(card);
+            return (
+              <div key={card.step} className={`bg-gray-800 rounded-lg p-3 border transition-all duration-300 ${
+                done ? 'border-green-500/50 opacity-100' : 'border-gray-700 opacity-50'
+              }`}>
+                <div className="flex items-center gap-2 mb-1">
+                  <div className={`w-2 h-2 rounded-full ${done ? 'bg-green-400' : 'bg-gray-600'}`} />
+                  <span className="text-sm font-medium text-gray-300">{card.label}</span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {done ? 'Generated ✓' : 'Pending...'}
+                </p>
+              </div>
+            );
+          })}
         </div>
 
         {/* Fun fact footer */}
@@ -1,7 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { Rocket, Package, Building2, Sparkles } from 'lucide-react';
 import webhookService from '../../../services/webhookService';
+import { airtableService } from '../../../services/airtableService';
+import { mapFeaturesToValue, PRODUCT_CONFIGURATION_TOOL } from '../../../services/FeatureValueMappingService';
 import ProductFeatureParser from '../../tools/ProductFeatureParser';
+import FeatureValueMatrix from '../../tools/FeatureValueMatrix';
 
 /**
  * ProductInputSection - Generate Core Resources based on product information
@@ -9,10 +12,11 @@ import ProductFeatureParser from '../../tools/ProductFeatureParser';
  * - Product data collection interface
  * - Make.com webhook integration for resource generation
  * - Real-time generation status feedback
+ * - Feature → ICP pain/goal value mapping, saved with the product configuration
  * - Professional dark theme styling
  */
 
-const ProductInputSection = ({ customerId, onProductSubmit }) => {
+const ProductInputSection = ({ customerId, onProductSubmit, resources = null }) => {
   const [productData, setProductData] = useState({
     productName: '',
     productDescription: '',
@@ -21,6 +25,66 @@ const ProductInputSection = ({ customerId, onProductSubmit }) => {
   });
   const [isGenerating, setIsGenerating] = useState(false);
   const [featuresAnalysis, setFeaturesAnalysis] = useState(null);
+  const [configurationSavedAt, setConfigurationSavedAt] = useState(null);
+  const [savedValueMapping, setSavedValueMapping] = useState(null);
+  // Remounts the feature parser so it picks up restored features
+  const [parserKey, setParserKey] = useState(0);
+  // Features in the saved configuration; re-parsing them isn't an edit
+  const savedFeaturesRef = useRef(null);
+
+  useEffect(() => {
+    if (!customerId) return;
+    airtableService.getUserProgress(customerId, PRODUCT_CONFIGURATION_TOOL).then(saved => {
+      if (!saved?.productData) return;
+      savedFeaturesRef.current = saved.productData.keyFeatures || '';
+      setProductData(current => ({ ...current, ...saved.productData }));
+      setFeaturesAnalysis(saved.featuresAnalysis || null);
+      setSavedValueMapping(saved.valueMapping || null);
+      setConfigurationSavedAt(saved.savedAt || null);
+      setParserKey(key => key + 1);
+    });
+  }, [customerId]);
+
+  const valueMapping = useMemo(() => {
+    if (!featuresAnalysis?.parsedFeatures?.length) return null;
+    // Until this session's resources arrive, show the mapping that was saved
+    if (!resources && savedValueMapping) return savedValueMapping;
+    return mapFeaturesToValue({
+      parsedFeatures: featuresAnalysis.parsedFeatures,
+      resources: resources || {},
+      customerName: productData.productName
+    });
+  }, [featuresAnalysis, resources, savedValueMapping, productData.productName]);
+
+  const handleFeaturesUpdate = useCallback((analysis) => {
+    setFeaturesAnalysis(analysis);
+    if (analysis.rawFeatures !== savedFeaturesRef.current) {
+      setConfigurationSavedAt(null);
+      setSavedValueMapping(null);
+    }
+    setProductData(current => ({
+      ...current,
+      keyFeatures: analysis.rawFeatures || ''
+    }));
+  }, []);
+
+  // Product configuration: the form, the parsed features and their value mapping
+  const saveConfiguration = async (mapping = valueMapping) => {
+    if (!customerId) return;
+    try {
+      const savedAt = new Date().toISOString();
+      await airtableService.saveUserProgress(customerId, PRODUCT_CONFIGURATION_TOOL, {
+        productData,
+        featuresAnalysis,
+        valueMapping: mapping,
+        savedAt
+      });
+      savedFeaturesRef.current = featuresAnalysis?.rawFeatures ?? productData.keyFeatures;
+      setConfigurationSavedAt(savedAt);
+    } catch (error) {
+      console.error('Error saving product configuration:', error);
+    }
+  };
 
   const handleSubmit = async () => {
     setIsGenerating(true);
@@ -53,6 +117,7 @@ const ProductInputSection = ({ customerId, onProductSubmit }) => {
           business_type: productData.businessType,
           key_features: productData.keyFeatures,
           features_analysis: featuresAnalysis, // Include parsed features analysis
+          value_mapping: valueMapping, // Feature → pain/goal links and coverage gaps
           session_id: sessionId,
           webhook_callback: webhookService.getWebhookUrl(),
           timestamp: new Date().toISOString()
@@ -60,7 +125,9 @@ const ProductInputSection = ({ customerId, onProductSubmit }) => {
       });
       
       if (response.ok) {
-        
+        // Keep the configuration before the form is cleared
+        await saveConfiguration();
+
         // Pass session ID to parent component to trigger loading screen
         onProductSubmit({
           ...productData,
@@ -69,8 +136,9 @@ const ProductInputSection = ({ customerId, onProductSubmit }) => {
           featuresAnalysis: featuresAnalysis // Include intelligent feature analysis
         });
         
-        // Start polling for completion from webhook server (fallback to realistic mock after 1 minute)
-        webhookService.pollForCompletion(sessionId, 30, 2000).then(async (resources) => {
+        // Follow the progress stream until completion (polls instead when streaming is unavailable,
+        // falling back to realistic mock data after 1 minute)
+        webhookService.waitForCompletion(sessionId, 30, 2000).then(async (resources) => {
           // If we got mock resources due to timeout, use product-specific realistic data instead
           if (!resources.icp_analysis?.content?.includes(productData.productName)) {
             console.log('🔄 Make.com webhook timed out, using realistic fallback data with Airtable sync');
@@ -169,18 +237,23 @@ const ProductInputSection = ({ customerId, onProductSubmit }) => {
       {/* Product Feature Parser Integration */}
       <div className="mb-6">
         <ProductFeatureParser
+          key={parserKey}
           initialFeatures={productData.keyFeatures}
           productName={productData.productName}
           businessType={productData.businessType}
-          onFeaturesUpdate={(analysis) => {
-            setFeaturesAnalysis(analysis);
-            setProductData({
-              ...productData, 
-              keyFeatures: analysis.rawFeatures || ''
-            });
-          }}
+          onFeaturesUpdate={handleFeaturesUpdate}
         />
       </div>
+
+      {valueMapping && (
+        <div className="mb-6">
+          <FeatureValueMatrix
+            mapping={valueMapping}
+            onSave={customerId ? saveConfiguration : undefined}
+            savedAt={configurationSavedAt}
+          />
+        </div>
+      )}
       
       <button
         onClick={handleSubmit}
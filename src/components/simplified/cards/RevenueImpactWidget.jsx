@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { TrendingUp, TrendingDown, DollarSign, Target, Calculator } from 'lucide-react';
+import { TrendingUp, TrendingDown, Banknote, Target, Calculator } from 'lucide-react';
 import { AreaChart, Area, ResponsiveContainer, Tooltip } from 'recharts';
+import { BUSINESS } from '../../../constants/app';
+import { formatMoney } from '../../../services/financialModel';
 
 /**
  * RevenueImpactWidget - Premium revenue opportunity tracking
@@ -9,6 +11,7 @@ import { AreaChart, Area, ResponsiveContainer, Tooltip } from 'recharts';
  * - Growth projections and target tracking
  * - Mini area chart for revenue trend visualization
  * - Interactive elements for deeper insights
+ * - Amounts in the customer's currency and locale
  */
 
 const RevenueImpactWidget = ({
@@ -17,6 +20,8 @@ const RevenueImpactWidget = ({
   growthRate = 0.15,
   targetRevenue = 200000,
   timeframe = 12,
+  currency = BUSINESS.defaultCurrency,
+  locale = BUSINESS.defaultLocale,
   className = ''
 }) => {
   const [animatedOpportunity, setAnimatedOpportunity] = useState(0);
@@ -58,12 +63,7 @@ const RevenueImpactWidget = ({
   const isOnTrack = projectedRevenue >= targetRevenue * 0.9;
   
   // Format currency
-  const formatCurrency = (amount) => {
-    if (amount >= 1000000) {
-      return `$${(amount / 1000000).toFixed(1)}M`;
-    }
-    return `$${(amount / 1000).toFixed(0)}K`;
-  };
+  const formatCurrency = (amount) => formatMoney(amount, { currency, locale, compact: true });
 
   // Custom tooltip
   const CustomTooltip = ({ active, payload, label }) => {
@@ -87,7 +87,7 @@ const RevenueImpactWidget = ({
       <div className="flex items-start justify-between">
         <div>
           <div className="flex items-center space-x-2 mb-1">
-            <DollarSign className="w-5 h-5 text-green-400" />
+            <Banknote className="w-5 h-5 text-green-400" />
             <span className="text-2xl font-bold text-white">
               {formatCurrency(animatedOpportunity)}
             </span>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Target, User, Brain, TrendingUp, Eye, X, Star, Copy, Check } from 'lucide-react';
+import { safeHtml } from '../../../services/SafeContentService';
 
 /**
  * CoreResourcesSection - Display AI-generated Core Resources
@@ -157,11 +158,10 @@ const ResourceModal = ({ resource, onClose }) => {
             
             {/* Main Content */}
             {resource.content.text && (
-              <div className="prose prose-invert max-w-none">
-                <div className="whitespace-pre-wrap text-gray-300 leading-relaxed">
-                  {resource.content.text}
-                </div>
-              </div>
+              <div
+                className="prose prose-invert max-w-none text-gray-300 leading-relaxed"
+                dangerouslySetInnerHTML={safeHtml(resource.content.text)}
+              />
             )}
             
             {/* Structured Data */}
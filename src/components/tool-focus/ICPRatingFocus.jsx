@@ -8,6 +8,70 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { airtableService } from '../../services/airtableService';
+import { scoreCompanyFit, buildICPTarget, DEFAULT_FRAMEWORK } from '../../services/ICPFitScoringService';
+
+// ICP the demo companies are scored against: scaling, well-funded tech buyers
+const DEMO_ICP = buildICPTarget({
+  companySize: { min: 1000, max: 200000 },
+  revenueRange: { min: 100000000, max: null },
+  technographics: ['Salesforce', 'Snowflake', 'AWS'],
+  fundingStages: ['growth', 'public']
+});
+
+const DEMO_COMPANIES = [
+  {
+    id: 'tesla',
+    name: 'Tesla',
+    logo: '🚗',
+    industry: 'Electric Vehicles',
+    size: 'Large Enterprise',
+    profile: {
+      employeeCount: 127000,
+      annualRevenue: 96800000000,
+      techStack: ['AWS', 'Snowflake', 'Salesforce', 'SAP', 'Kubernetes', 'Databricks', 'Workday', 'Jira'],
+      fundingStage: 'public',
+      signals: ['hiring_surge', 'tech_migration', 'expansion']
+    },
+    probabilities: { close: 85, avgDeal: 50000, timeline: '3 months' }
+  },
+  {
+    id: 'stripe',
+    name: 'Stripe',
+    logo: '💳',
+    industry: 'FinTech',
+    size: 'Growth Stage',
+    profile: {
+      employeeCount: 8000,
+      annualRevenue: 14000000000,
+      techStack: ['AWS', 'Snowflake', 'Looker', 'Kafka'],
+      fundingStage: 'growth',
+      signals: ['expansion']
+    },
+    probabilities: { close: 68, avgDeal: 35000, timeline: '4 months' }
+  },
+  {
+    id: 'localcorp',
+    name: 'Local Corp',
+    logo: '🏢',
+    industry: 'Traditional Services',
+    size: 'Mid-Market',
+    profile: {
+      employeeCount: 180,
+      annualRevenue: 22000000,
+      techStack: ['QuickBooks', 'Microsoft 365'],
+      fundingStage: 'bootstrapped',
+      signals: ['budget_freeze']
+    },
+    probabilities: { close: 23, avgDeal: 12000, timeline: '8+ months' }
+  }
+];
+
+// Rating-card tiers on the 1-10 scale
+const tierFor = (score) => {
+  if (score >= 8) return 'Champion';
+  if (score >= 6) return 'Strong';
+  return 'Weak';
+};
 
 const ICPRatingFocus = ({ customerId, onProgressionComplete, onInteraction }) => {
   const [ratingState, setRatingState] = useState({
@@ -22,47 +86,28 @@ const ICPRatingFocus = ({ customerId, onProgressionComplete, onInteraction }) =>
 
   useEffect(() => {
     const initializeRatingSystem = () => {
-      const demoCompanies = [
-        { 
-          id: 'tesla',
-          name: 'Tesla', 
-          logo: '🚗',
-          industry: 'Electric Vehicles',
-          size: 'Large Enterprise',
-          suggestedScore: 8.5,
-          tier: 'Champion',
-          insights: {
-            strengths: ['High innovation budget', 'Tech-forward culture', 'Rapid scaling needs'],
-            probabilities: { close: 85, avgDeal: 50000, timeline: '3 months' }
-          }
-        },
-        { 
-          id: 'stripe',
-          name: 'Stripe', 
-          logo: '💳',
-          industry: 'FinTech',
-          size: 'Growth Stage',
-          suggestedScore: 7.2,
-          tier: 'Strong',
-          insights: {
-            strengths: ['Developer-first', 'API-focused', 'Global expansion'],
-            probabilities: { close: 68, avgDeal: 35000, timeline: '4 months' }
-          }
-        },
-        { 
-          id: 'localcorp',
-          name: 'Local Corp', 
-          logo: '🏢',
-          industry: 'Traditional Services',
-          size: 'Mid-Market',
-          suggestedScore: 4.1,
-          tier: 'Weak',
-          insights: {
-            strengths: ['Stable revenue', 'Local presence'],
-            probabilities: { close: 23, avgDeal: 12000, timeline: '8+ months' }
-          }
-        }
-      ];
+      // Suggested scores and tiers come from the same engine as the full ICP tool
+      const demoCompanies = DEMO_COMPANIES.map(company => {
+        const fit = scoreCompanyFit(
+          { ...company.profile, name: company.name, industry: company.industry },
+          DEFAULT_FRAMEWORK,
+          DEMO_ICP
+        );
+        const suggestedScore = Number((fit.overallScore / 10).toFixed(1));
+        const strengths = fit.criteria
+          .filter(criterion => criterion.score !== null)
+          .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+          .slice(0, 3)
+          .map(criterion => criterion.evidence[0]);
+
+        return {
+          ...company,
+          suggestedScore,
+          tier: tierFor(suggestedScore),
+          fit,
+          insights: { strengths, probabilities: company.probabilities }
+        };
+      });
       
       setRatingState(prev => ({
         ...prev,
@@ -239,6 +284,14 @@ const ICPRatingFocus = ({ customerId, onProgressionComplete, onInteraction }) =>
                         <p className="text-sm text-gray-300">
                           Avg deal: ${company.insights.probabilities.avgDeal.toLocaleString()} • Timeline: {company.insights.probabilities.timeline}
                         </p>
+                        <p className="text-xs text-gray-400 mt-2">
+                          Suggested {company.suggestedScore}/10 ({Math.round(company.fit.confidence * 100)}% confidence):
+                        </p>
+                        <ul className="mt-1 space-y-0.5">
+                          {company.insights.strengths.map((strength, strengthIndex) => (
+                            <li key={strengthIndex} className="text-xs text-gray-400">• {strength}</li>
+                          ))}
+                        </ul>
                       </div>
                     </motion.div>
                   )}
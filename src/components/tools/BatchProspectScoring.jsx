@@ -0,0 +1,368 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Upload, Download, ChevronDown, ChevronUp, AlertCircle } from 'lucide-react';
+import {
+  PROFILE_FIELDS,
+  BATCH_TIERS,
+  MAX_BATCH_ROWS,
+  parseCSV,
+  suggestColumnMapping,
+  scoreProspects,
+  summarizeTiers,
+  resultsToCSV,
+  toHubSpotCompanyRows,
+  hubSpotRowsToCSV
+} from '../../services/ProspectBatchScoringService';
+import { buildSalesforcePackage, salesforcePackageZip } from '../../services/SalesforcePackageService';
+
+const TIER_STYLES = {
+  A: 'bg-green-900/40 text-green-300 border-green-600',
+  B: 'bg-blue-900/40 text-blue-300 border-blue-600',
+  C: 'bg-yellow-900/40 text-yellow-300 border-yellow-600',
+  D: 'bg-red-900/40 text-red-300 border-red-600'
+};
+
+const PAGE_SIZE = 50;
+
+// Scoring runs in a Web Worker where the browser supports it
+const createScoringWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../../workers/prospectScoring.worker.js', import.meta.url));
+  } catch (error) {
+    console.warn('Prospect scoring worker unavailable, scoring on the main thread:', error.message);
+    return null;
+  }
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const downloadCSV = (csv, filename) => downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), filename);
+
+/**
+ * Batch mode of the ICP rating tab: upload an Apollo/HubSpot account export,
+ * map its columns, score every row and work the ranked list
+ */
+const BatchProspectScoring = ({ framework, target }) => {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [tierFilter, setTierFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ key: 'rank', direction: 'asc' });
+  const [visibleRows, setVisibleRows] = useState(PAGE_SIZE);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    setResults(null);
+    try {
+      const { headers, rows } = parseCSV(await file.text());
+      if (headers.length === 0 || rows.length === 0) {
+        throw new Error('The file has no data rows');
+      }
+      if (rows.length > MAX_BATCH_ROWS) {
+        throw new Error(`Batch scoring handles up to ${MAX_BATCH_ROWS.toLocaleString()} rows; this file has ${rows.length.toLocaleString()}`);
+      }
+      setFileName(file.name);
+      setParsed({ headers, rows });
+      setMapping(suggestColumnMapping(headers));
+    } catch (err) {
+      setParsed(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleScore = async () => {
+    setError(null);
+    setResults(null);
+    setVisibleRows(PAGE_SIZE);
+    setProgress({ processed: 0, total: parsed.rows.length });
+
+    const job = { rows: parsed.rows, mapping, framework, target };
+    workerRef.current?.terminate();
+    const worker = createScoringWorker();
+    workerRef.current = worker;
+
+    if (!worker) {
+      try {
+        setResults(await scoreProspects(job.rows, {
+          ...job,
+          onProgress: (processed, total) => setProgress({ processed, total }),
+          yieldControl: () => new Promise(resolve => setTimeout(resolve, 0))
+        }));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setProgress(null);
+      }
+      return;
+    }
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress({ processed: data.processed, total: data.total });
+        return;
+      }
+      if (data.type === 'done') setResults(data.results);
+      if (data.type === 'error') setError(data.message);
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.onerror = (event) => {
+      setError(`Scoring failed: ${event.message}`);
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.postMessage(job);
+  };
+
+  const tierCounts = useMemo(() => (results ? summarizeTiers(results) : null), [results]);
+
+  const visibleResults = useMemo(() => {
+    if (!results) return [];
+    const query = search.trim().toLowerCase();
+    const filtered = results.filter(result =>
+      (tierFilter === 'all' || result.tier === tierFilter) &&
+      (!query || result.name.toLowerCase().includes(query) || result.domain.toLowerCase().includes(query))
+    );
+
+    const value = (result) => {
+      if (sort.key.startsWith('criterion:')) {
+        return result.criteria.find(criterion => criterion.name === sort.key.slice(10))?.score ?? -1;
+      }
+      return result[sort.key];
+    };
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+      return order * direction || a.rank - b.rank;
+    });
+  }, [results, tierFilter, search, sort]);
+
+  // A new column sorts best-first; clicking it again flips the order
+  const toggleSort = (key) => {
+    setSort(current => {
+      if (current.key === key) {
+        return { key, direction: current.direction === 'asc' ? 'desc' : 'asc' };
+      }
+      return { key, direction: ['rank', 'name', 'tier'].includes(key) ? 'asc' : 'desc' };
+    });
+  };
+
+  const exportBase = fileName.replace(/\.csv$/i, '') || 'prospects';
+
+  // Custom fields, permission set, layout snippets and an Account upsert file in one zip
+  const downloadSalesforcePackage = async () => {
+    try {
+      const salesforcePackage = buildSalesforcePackage(undefined, { accounts: results });
+      downloadBlob(await salesforcePackageZip(salesforcePackage), `${exportBase}-salesforce-package.zip`);
+    } catch (err) {
+      setError(`Could not build the Salesforce package: ${err.message}`);
+    }
+  };
+
+  const SortHeader = ({ sortKey, children, className = '' }) => (
+    <th className={`px-3 py-2 font-medium text-gray-300 ${className}`}>
+      <button onClick={() => toggleSort(sortKey)} className="flex items-center gap-1 hover:text-white">
+        {children}
+        {sort.key === sortKey && (sort.direction === 'asc' ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />)}
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg p-4">
+        <h3 className="text-white font-semibold mb-1">Score an Account List</h3>
+        <p className="text-xs text-gray-400 mb-3">
+          Upload a CSV export from Apollo or HubSpot (up to {MAX_BATCH_ROWS.toLocaleString()} rows). Every account is scored against your ICP framework.
+        </p>
+        <label className="inline-flex items-center gap-2 px-4 py-2 bg-gray-800 border border-gray-600 rounded-md text-sm text-gray-200 cursor-pointer hover:border-blue-500">
+          <Upload className="w-4 h-4" />
+          {fileName || 'Choose CSV file'}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="sr-only" disabled={!!progress} />
+        </label>
+        {parsed && (
+          <span className="ml-3 text-xs text-gray-400">{parsed.rows.length.toLocaleString()} accounts</span>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-400">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {parsed && (
+        <div className="bg-gray-900 border border-gray-700 rounded-lg p-4">
+          <h3 className="text-white font-semibold mb-3">Map Columns</h3>
+          <div className="grid sm:grid-cols-2 gap-3">
+            {PROFILE_FIELDS.map(field => (
+              <label key={field.key} className="flex items-center justify-between gap-3 text-sm">
+                <span className="text-gray-300">{field.label}</span>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => setMapping(current => ({ ...current, [field.key]: e.target.value || undefined }))}
+                  disabled={!!progress}
+                  className="w-1/2 px-2 py-1 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+                >
+                  <option value="">Not mapped</option>
+                  {parsed.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Criteria whose columns aren't mapped are reported as not scored and lower each account's confidence.
+          </p>
+          <button
+            onClick={handleScore}
+            disabled={!!progress || !mapping.name}
+            className="mt-4 w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded-md font-medium transition-colors"
+          >
+            {progress ? 'Scoring...' : `Score ${parsed.rows.length.toLocaleString()} Accounts`}
+          </button>
+          {progress && (
+            <div className="mt-3">
+              <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all"
+                  style={{ width: `${progress.total ? (progress.processed / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                {progress.processed.toLocaleString()} of {progress.total.toLocaleString()} scored
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {results && (
+        <div className="space-y-4">
+          {/* Tier buckets double as filters */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {BATCH_TIERS.map(({ tier, label, min }) => (
+              <button
+                key={tier}
+                onClick={() => setTierFilter(current => (current === tier ? 'all' : tier))}
+                className={`border rounded-lg p-3 text-left transition-colors ${TIER_STYLES[tier]} ${tierFilter === tier ? 'ring-2 ring-white/40' : ''}`}
+              >
+                <div className="text-2xl font-bold">{tierCounts[tier]}</div>
+                <div className="text-xs">Tier {tier} • {label}</div>
+                <div className="text-xs opacity-70">{min}+ fit score</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setVisibleRows(PAGE_SIZE);
+              }}
+              placeholder="Filter by company or domain"
+              className="flex-1 min-w-[200px] px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm placeholder-gray-400"
+            />
+            <button
+              onClick={() => downloadCSV(resultsToCSV(results), `${exportBase}-icp-scores.csv`)}
+              className="inline-flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-md"
+            >
+              <Download className="w-4 h-4" />
+              Ranked CSV
+            </button>
+            <button
+              onClick={() => downloadCSV(hubSpotRowsToCSV(toHubSpotCompanyRows(results)), `${exportBase}-hubspot-companies.csv`)}
+              className="inline-flex items-center gap-2 px-3 py-2 bg-orange-600 hover:bg-orange-700 text-white text-sm rounded-md"
+            >
+              <Download className="w-4 h-4" />
+              HubSpot Import
+            </button>
+            <button
+              onClick={downloadSalesforcePackage}
+              className="inline-flex items-center gap-2 px-3 py-2 bg-sky-600 hover:bg-sky-700 text-white text-sm rounded-md"
+            >
+              <Download className="w-4 h-4" />
+              Salesforce Package
+            </button>
+          </div>
+
+          <div className="overflow-x-auto border border-gray-700 rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-900 text-left">
+                <tr>
+                  <SortHeader sortKey="rank">#</SortHeader>
+                  <SortHeader sortKey="name">Company</SortHeader>
+                  <SortHeader sortKey="overallScore">Fit</SortHeader>
+                  <SortHeader sortKey="tier">Tier</SortHeader>
+                  <SortHeader sortKey="confidence">Confidence</SortHeader>
+                  {results[0]?.criteria.map(criterion => (
+                    <SortHeader key={criterion.name} sortKey={`criterion:${criterion.name}`}>{criterion.name}</SortHeader>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-800">
+                {visibleResults.slice(0, visibleRows).map(result => (
+                  <tr key={result.rowIndex} className="hover:bg-gray-800/60">
+                    <td className="px-3 py-2 text-gray-500">{result.rank}</td>
+                    <td className="px-3 py-2">
+                      <div className="text-white">{result.name}</div>
+                      {result.domain && <div className="text-xs text-gray-500">{result.domain}</div>}
+                    </td>
+                    <td className="px-3 py-2 font-semibold text-white">{result.overallScore}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 border rounded text-xs ${TIER_STYLES[result.tier]}`}>{result.tier}</span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-400">{Math.round(result.confidence * 100)}%</td>
+                    {result.criteria.map(criterion => (
+                      <td key={criterion.name} className="px-3 py-2 text-gray-300" title={criterion.evidence.join('\n')}>
+                        {criterion.score ?? '—'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {visibleResults.length > visibleRows && (
+            <button
+              onClick={() => setVisibleRows(count => count + PAGE_SIZE)}
+              className="w-full py-2 text-sm text-gray-300 bg-gray-800 hover:bg-gray-700 rounded-md"
+            >
+              Show more ({(visibleResults.length - visibleRows).toLocaleString()} remaining)
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchProspectScoring;
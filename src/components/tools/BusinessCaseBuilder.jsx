@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useOutletContext } from 'react-router-dom';
 import ContentDisplay, { Callout } from '../common/ContentDisplay';
 import LoadingSpinner, { CardSkeleton } from '../common/LoadingSpinner';
+import CurrencySelector from '../common/CurrencySelector';
+import BusinessCaseTemplateManager from './BusinessCaseTemplateManager';
 import AsyncErrorBoundary, { useAsyncError } from '../common/AsyncErrorBoundary';
 import DashboardLayout from '../layout/DashboardLayout';
 import SidebarSection from '../layout/SidebarSection';
@@ -11,15 +13,36 @@ import ExportStrategyGuide from '../guidance/ExportStrategyGuide';
 import NavigationControls from '../navigation/NavigationControls';
 import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
 import useNavigation from '../../hooks/useNavigation';
+import useCurrencyPreference from '../../hooks/useCurrencyPreference';
 import { airtableService } from '../../services/airtableService';
 import { authService } from '../../services/authService';
+import { estimateBusinessCaseInputs, businessCaseReturns, parseMoneyAmount, localizeBenchmark, FX_RATES } from '../../services/financialModel';
+import {
+  costAnalysisFromProgress,
+  buildBusinessCaseDocument,
+  businessCaseHtml,
+  businessCaseDocxBlob,
+  businessCasePdfBlob
+} from '../../services/BusinessCaseDocumentService';
+import {
+  templateField,
+  autoPopulateSources,
+  shouldAutoPopulate,
+  missingRequiredFields,
+  mergeTemplates,
+  findTemplate
+} from '../../services/BusinessCaseTemplateService';
+import { safeHtml } from '../../services/SafeContentService';
 
 const BusinessCaseBuilder = () => {
   const { onBusinessCaseReady } = useOutletContext() || {};
   const { throwError } = useAsyncError();
   const navigation = useNavigation(null, 'business-case');
+  const { currency, locale, symbol, formatMoney, updateCurrency } = useCurrencyPreference();
   const [businessCaseData, setBusinessCaseData] = useState(null);
   const [customerAssets, setCustomerAssets] = useState(null);
+  const [costAnalysis, setCostAnalysis] = useState(null);
+  const [customTemplates, setCustomTemplates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTemplate, setActiveTemplate] = useState('pilot');
@@ -63,6 +86,13 @@ const BusinessCaseBuilder = () => {
 
   const session = authService.getCurrentSession();
 
+  const templates = useMemo(() => mergeTemplates(customTemplates), [customTemplates]);
+  const selectedTemplate = findTemplate(templates, activeTemplate);
+  const missingFields = missingRequiredFields(selectedTemplate, formData);
+  const exportBlockedReason = missingFields.length > 0
+    ? `Complete the required fields: ${missingFields.map(({ label }) => label).join(', ')}`
+    : undefined;
+
   // Sidebar component for contextual guidance
   const BusinessCaseSidebar = ({ usage }) => {
     return (
@@ -140,24 +170,6 @@ const BusinessCaseBuilder = () => {
     }
   };
 
-  const templates = {
-    pilot: {
-      name: 'Pilot Program',
-      description: 'Test implementation with limited scope',
-      duration: '3-6 months'
-    },
-    fullDeployment: {
-      name: 'Full Deployment',
-      description: 'Enterprise-wide implementation',
-      duration: '6-12 months'
-    },
-    expansion: {
-      name: 'Expansion Phase',
-      description: 'Scale existing successful pilot',
-      duration: '4-8 months'
-    }
-  };
-
   useEffect(() => {
     const loadBusinessCaseData = async () => {
       try {
@@ -179,6 +191,20 @@ const BusinessCaseBuilder = () => {
           setFormData({ ...formData, ...savedProgress.formData });
           setActiveTemplate(savedProgress.activeTemplate || 'pilot');
         }
+
+        // Cost calculator results feed the document's financial tables
+        const costProgress = await airtableService.getUserProgress(
+          session.customerId,
+          'cost_calculator'
+        );
+        setCostAnalysis(costAnalysisFromProgress(costProgress));
+
+        // Templates this customer has cloned or imported
+        const savedTemplates = await airtableService.getUserProgress(
+          session.customerId,
+          'business_case_templates'
+        );
+        setCustomTemplates(savedTemplates?.templates || []);
         
         setError(null);
       } catch (err) {
@@ -207,6 +233,22 @@ const BusinessCaseBuilder = () => {
   };
 
   // Auto-populate fields using structured business content sections from Customer Assets
+  // Template investments are benchmarks; the requested amount is already in the customer's currency
+  const financialEstimates = () => {
+    const costData = customerAssets?.costCalculatorContent;
+    const businessData = customerAssets?.businessCaseContent;
+    const templateInvestment = businessData?.templates ? parseMoneyAmount(businessData.templates[0].investment) : null;
+    const estimates = estimateBusinessCaseInputs(costData?.defaultValues, {
+      investment: templateInvestment === null ? undefined : localizeBenchmark(templateInvestment, { currency }),
+      currency
+    });
+    const returns = businessCaseReturns({
+      investment: parseMoneyAmount(formData.requestedAmount) || estimates.solutionCost,
+      annualBenefit: estimates.annualSavings
+    }, { currency });
+    return { estimates, returns };
+  };
+
   const autoPopulateFields = async () => {
     if (!session || !formData.companyName?.trim() || !customerAssets) return;
 
@@ -218,18 +260,32 @@ const BusinessCaseBuilder = () => {
       const newFormData = { ...formData };
       const newAutoPopulated = new Set();
       
-      const icpData = customerAssets.icpDescription || customerAssets.icpContent;
-      const costData = customerAssets.costCalculatorContent;  
-      const businessData = customerAssets.businessCaseContent;
-
-      console.log('📊 ICP Data:', icpData);
-      console.log('💰 Cost Data:', costData);
-      console.log('📋 Business Data:', businessData);
+      const analysis = {
+        icp: customerAssets.icpDescription || customerAssets.icpContent,
+        costCalculator: customerAssets.costCalculatorContent,
+        businessCase: customerAssets.businessCaseContent
+      };
+
+      console.log('📊 ICP Data:', analysis.icp);
+      console.log('💰 Cost Data:', analysis.costCalculator);
+      console.log('📋 Business Data:', analysis.businessCase);
+
+      // Only fill fields the template shows and auto-fills, from the sources it allows
+      const shouldFill = (field) => !formData[field] && shouldAutoPopulate(selectedTemplate, field);
+      const sourcesFor = (field) => {
+        const allowed = autoPopulateSources(selectedTemplate, field);
+        return {
+          icpData: allowed.includes('icp') ? analysis.icp : null,
+          costData: allowed.includes('costCalculator') ? analysis.costCalculator : null,
+          businessData: allowed.includes('businessCase') ? analysis.businessCase : null
+        };
+      };
 
       // === PROBLEM STATEMENT SECTION ===
       
       // Current Challenges: ICP Business Characteristics + Cost Risk Categories + Business Case Challenges
-      if (!formData.currentChallenges) {
+      if (shouldFill('currentChallenges')) {
+        const { icpData, costData, businessData } = sourcesFor('currentChallenges');
         let challenges = `${companyName} faces critical business challenges:\n\n`;
         
         // From ICP Analysis: Business pain points and decision-making challenges
@@ -266,7 +322,8 @@ const BusinessCaseBuilder = () => {
       }
 
       // Business Impact: ICP Demographics + Firmographics + Cost Calculator Operational Impact
-      if (!formData.businessImpact) {
+      if (shouldFill('businessImpact')) {
+        const { icpData, costData } = sourcesFor('businessImpact');
         let impact = `**Business Impact Assessment for ${companyName}:**\n\n`;
         
         // From ICP Analysis: Company size, revenue, growth stage pressures
@@ -282,7 +339,7 @@ const BusinessCaseBuilder = () => {
         // From Cost Calculator: Operational efficiency impact
         if (costData?.defaultValues) {
           impact += `**Financial Impact Scope:**\n`;
-          impact += `• Average deal size impact: $${(costData.defaultValues.averageDealSize || 25000).toLocaleString()}\n`;
+          impact += `• Average deal size impact: ${formatMoney(localizeBenchmark(costData.defaultValues.averageDealSize || 25000, { currency }))}\n`;
           impact += `• Conversion rate effects: ${((costData.defaultValues.conversionRate || 0.15) * 100).toFixed(0)}% efficiency factor\n`;
           impact += `• Operational scale: ${costData.defaultValues.inefficiencyRate ? (costData.defaultValues.inefficiencyRate * 100).toFixed(0) + '% current inefficiency' : 'Significant process optimization potential'}\n\n`;
         }
@@ -294,7 +351,8 @@ const BusinessCaseBuilder = () => {
       }
 
       // Urgency Factors: Cost Calculator Compounding Effects + Business Case "Why Now" + ICP Urgency
-      if (!formData.urgencyFactors) {
+      if (shouldFill('urgencyFactors')) {
+        const { icpData, costData } = sourcesFor('urgencyFactors');
         let urgency = `**Why ${companyName} Must Act Now:**\n\n`;
         
         // From Cost Calculator: Compounding effects timeline
@@ -321,7 +379,8 @@ const BusinessCaseBuilder = () => {
       // === SOLUTION SECTIONS ===
       
       // Solution Overview: Business Case Approach + ICP Strategic Fit
-      if (!formData.solutionOverview) {
+      if (shouldFill('solutionOverview')) {
+        const { icpData, businessData } = sourcesFor('solutionOverview');
         let solution = `**Comprehensive Solution Framework for ${companyName}:**\n\n`;
         
         // From Business Case: Approach & differentiation
@@ -347,7 +406,8 @@ const BusinessCaseBuilder = () => {
       }
 
       // Key Features: Business Case 3-Phase Framework + ICP Competitive Analysis
-      if (!formData.keyFeatures) {
+      if (shouldFill('keyFeatures')) {
+        const { icpData, businessData } = sourcesFor('keyFeatures');
         let features = `**Solution Key Features & Differentiators:**\n\n`;
         
         // From Business Case: Technical advantages and capabilities
@@ -372,7 +432,8 @@ const BusinessCaseBuilder = () => {
       }
 
       // Implementation Approach: Business Case Implementation + ICP Guidelines  
-      if (!formData.implementationApproach) {
+      if (shouldFill('implementationApproach')) {
+        const { businessData } = sourcesFor('implementationApproach');
         let implementation = `**${companyName} Implementation Strategy:**\n\n`;
         
         // From Business Case: Timeline & milestones, resource needs
@@ -398,56 +459,51 @@ const BusinessCaseBuilder = () => {
       }
 
       // === FINANCIAL & SUCCESS SECTIONS ===
+      const { estimates, returns } = financialEstimates();
       
       // Current State Costs: Cost Calculator categories and calculations
-      if (!formData.currentStateCosts) {
+      if (shouldFill('currentStateCosts')) {
+        const { costData } = sourcesFor('currentStateCosts');
         let costs = '';
         if (costData?.defaultValues) {
-          const avgDeal = costData.defaultValues.averageDealSize || 25000;
-          const inefficiency = costData.defaultValues.inefficiencyRate || 0.12;
-          const annualCost = Math.round(avgDeal * 50 * (1 + inefficiency));
-          costs = `$${annualCost.toLocaleString()} annually in operational inefficiencies, missed opportunities, and productivity losses`;
+          costs = `${formatMoney(estimates.currentStateCost)} annually in operational inefficiencies, missed opportunities, and productivity losses`;
         } else {
-          costs = `$1,250,000 annually in operational inefficiencies and missed revenue opportunities`;
+          costs = `${formatMoney(estimates.currentStateCost)} annually in operational inefficiencies and missed revenue opportunities`;
         }
         newFormData.currentStateCosts = costs;
         newAutoPopulated.add('currentStateCosts');
       }
 
       // Expected Savings: Cost Calculator ROI calculations
-      if (!formData.expectedSavings) {
+      if (shouldFill('expectedSavings')) {
+        const { costData } = sourcesFor('expectedSavings');
         let savings = '';
         if (costData?.defaultValues) {
-          const avgDeal = costData.defaultValues.averageDealSize || 25000;
-          const conversion = costData.defaultValues.conversionRate || 0.15;
-          const annualSavings = Math.round(avgDeal * conversion * 60);
-          savings = `$${annualSavings.toLocaleString()} in annual savings through efficiency gains, revenue optimization, and process improvements`;
+          savings = `${formatMoney(estimates.annualSavings)} in annual savings through efficiency gains, revenue optimization, and process improvements`;
         } else {
-          savings = `$875,000 in annual savings through efficiency gains and revenue optimization`;
+          savings = `${formatMoney(estimates.annualSavings)} in annual savings through efficiency gains and revenue optimization`;
         }
         newFormData.expectedSavings = savings;
         newAutoPopulated.add('expectedSavings');
       }
 
       // Solution Costs: Business Case investment framework
-      if (!formData.solutionCosts) {
+      if (shouldFill('solutionCosts')) {
+        const { businessData } = sourcesFor('solutionCosts');
         let solutionCost = '';
-        if (businessData?.templates) {
+        if (businessData?.templates && currency === FX_RATES.base) {
           const template = businessData.templates[0];
           solutionCost = `${template.investment} total implementation investment`;
-        } else if (costData?.defaultValues) {
-          const avgDeal = costData.defaultValues.averageDealSize || 25000;
-          const cost = Math.round(avgDeal * 2);
-          solutionCost = `$${cost.toLocaleString()} total implementation investment`;
         } else {
-          solutionCost = `$75,000 total implementation investment`;
+          solutionCost = `${formatMoney(estimates.solutionCost)} total implementation investment`;
         }
         newFormData.solutionCosts = solutionCost;
         newAutoPopulated.add('solutionCosts');
       }
 
       // Success Metrics: Business Case ROI + Cost Calculator scenarios + ICP validation
-      if (!formData.successMetrics) {
+      if (shouldFill('successMetrics')) {
+        const { businessData } = sourcesFor('successMetrics');
         let metrics = `**${companyName} Success Metrics & KPIs:**\n\n`;
         
         // From Business Case: Impact table with current vs target states
@@ -472,7 +528,8 @@ const BusinessCaseBuilder = () => {
       }
 
       // Timeline: Business Case milestones + Cost Calculator projections
-      if (!formData.timeline) {
+      if (shouldFill('timeline')) {
+        const { businessData } = sourcesFor('timeline');
         let timeline = `**${companyName} Implementation Timeline:**\n\n`;
         
         if (businessData?.templates) {
@@ -489,21 +546,19 @@ const BusinessCaseBuilder = () => {
       }
 
       // Project Title
-      if (!formData.projectTitle) {
+      if (shouldFill('projectTitle')) {
         newFormData.projectTitle = `${companyName} Strategic Transformation Initiative`;
         newAutoPopulated.add('projectTitle');
       }
 
-      // Expected ROI and Payback Period
-      if (!formData.expectedROI) {
-        const roi = costData?.scenarios ? 250 : 200;
-        newFormData.expectedROI = `${roi}% annual ROI based on comprehensive impact analysis`;
+      // Expected ROI and Payback Period from the investment and savings above
+      if (shouldFill('expectedROI') && returns.roi !== null) {
+        newFormData.expectedROI = `${returns.roi}`;
         newAutoPopulated.add('expectedROI');
       }
 
-      if (!formData.paybackPeriod) {
-        const payback = businessData?.frameworks?.find(f => f.benchmark)?.benchmark || '8 months';
-        newFormData.paybackPeriod = payback.includes('month') ? payback : `${payback} estimated payback period`;
+      if (shouldFill('paybackPeriod') && returns.paybackMonths !== null) {
+        newFormData.paybackPeriod = `${returns.paybackMonths}`;
         newAutoPopulated.add('paybackPeriod');
       }
 
@@ -530,6 +585,15 @@ const BusinessCaseBuilder = () => {
     }
   };
 
+  const saveCustomTemplates = async (nextTemplates) => {
+    setCustomTemplates(nextTemplates);
+    await airtableService.saveUserProgress(
+      session.customerId,
+      'business_case_templates',
+      { templates: nextTemplates }
+    );
+  };
+
   // Auto-save every 30 seconds
   useEffect(() => {
     const interval = setInterval(() => {
@@ -561,7 +625,7 @@ const BusinessCaseBuilder = () => {
         </label>
         {isTextarea ? (
           <textarea
-            value={formData[field]}
+            value={formData[field] ?? ''}
             onChange={(e) => handleInputChange(field, e.target.value)}
             className={className}
             placeholder={placeholder}
@@ -570,7 +634,7 @@ const BusinessCaseBuilder = () => {
         ) : (
           <input
             type={type}
-            value={formData[field]}
+            value={formData[field] ?? ''}
             onChange={(e) => handleInputChange(field, e.target.value)}
             className={className}
             placeholder={placeholder}
@@ -580,104 +644,42 @@ const BusinessCaseBuilder = () => {
     );
   };
 
-  const generateBusinessCase = () => {
-    const template = templates[activeTemplate];
-    const currentDate = new Date().toLocaleDateString();
-    
-    return `
-      <div class="business-case-document">
-        <header class="document-header">
-          <h1>Business Case: ${formData.projectTitle || 'Project Implementation'}</h1>
-          <div class="document-meta">
-            <p><strong>Company:</strong> ${formData.companyName}</p>
-            <p><strong>Template:</strong> ${template.name}</p>
-            <p><strong>Date:</strong> ${currentDate}</p>
-            <p><strong>Requested Amount:</strong> $${formData.requestedAmount || '0'}</p>
-          </div>
-        </header>
-
-        <section class="executive-summary">
-          <h2>Executive Summary</h2>
-          <p><strong>Project:</strong> ${formData.projectTitle}</p>
-          <p><strong>Investment Required:</strong> $${formData.requestedAmount}</p>
-          <p><strong>Expected ROI:</strong> ${formData.expectedROI}%</p>
-          <p><strong>Payback Period:</strong> ${formData.paybackPeriod} months</p>
-        </section>
-
-        <section class="problem-statement">
-          <h2>Problem Statement</h2>
-          <h3>Current Challenges</h3>
-          <p>${formData.currentChallenges || 'Current challenges to be defined'}</p>
-          
-          <h3>Business Impact</h3>
-          <p>${formData.businessImpact || 'Business impact to be quantified'}</p>
-          
-          <h3>Urgency Factors</h3>
-          <p>${formData.urgencyFactors || 'Urgency factors to be identified'}</p>
-        </section>
-
-        <section class="proposed-solution">
-          <h2>Proposed Solution</h2>
-          <h3>Solution Overview</h3>
-          <p>${formData.solutionOverview || 'Solution overview to be provided'}</p>
-          
-          <h3>Key Features</h3>
-          <p>${formData.keyFeatures || 'Key features to be listed'}</p>
-          
-          <h3>Implementation Approach</h3>
-          <p>${formData.implementationApproach || 'Implementation approach to be detailed'}</p>
-        </section>
-
-        <section class="financial-analysis">
-          <h2>Financial Analysis</h2>
-          <h3>Current State Costs</h3>
-          <p>${formData.currentStateCosts || 'Current state costs to be calculated'}</p>
-          
-          <h3>Solution Costs</h3>
-          <p>${formData.solutionCosts || 'Solution costs to be itemized'}</p>
-          
-          <h3>Expected Savings</h3>
-          <p>${formData.expectedSavings || 'Expected savings to be projected'}</p>
-        </section>
-
-        <section class="risk-assessment">
-          <h2>Risk Assessment & Mitigation</h2>
-          <h3>Implementation Risks</h3>
-          <p>${formData.implementationRisks || 'Implementation risks to be identified'}</p>
-          
-          <h3>Mitigation Strategies</h3>
-          <p>${formData.mitigationStrategies || 'Mitigation strategies to be developed'}</p>
-        </section>
-
-        <section class="success-metrics">
-          <h2>Success Metrics & Timeline</h2>
-          <h3>Success Metrics</h3>
-          <p>${formData.successMetrics || 'Success metrics to be defined'}</p>
-          
-          <h3>Measurement Plan</h3>
-          <p>${formData.measurementPlan || 'Measurement plan to be established'}</p>
-          
-          <h3>Implementation Timeline</h3>
-          <p>${formData.timeline || template.duration}</p>
-        </section>
-      </div>
-    `;
+  // Currency fields are free text so auto-filled summaries ("$1.2M annually...") stay visible
+  const renderTemplateField = (key) => {
+    const field = templateField(selectedTemplate, key);
+    const required = selectedTemplate.requiredFields.includes(key);
+    const label = `${field.label}${field.type === 'currency' ? ` (${symbol})` : ''}${required ? ' *' : ''}`;
+    return (
+      <React.Fragment key={key}>
+        {renderFormField(key, label, field.placeholder, field.type === 'number' ? 'number' : 'text', field.type === 'textarea')}
+      </React.Fragment>
+    );
   };
 
-  const exportDocument = async (format = 'html') => {
-    const businessCaseHtml = generateBusinessCase();
-    
-    if (format === 'html') {
-      const blob = new Blob([businessCaseHtml], { type: 'text/html' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `business-case-${formData.companyName || 'document'}.html`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }
+  const buildDocument = () => buildBusinessCaseDocument({
+    formData,
+    template: selectedTemplate,
+    returns: financialEstimates().returns,
+    costAnalysis,
+    money: { currency, locale }
+  });
+
+  const generateBusinessCase = () => businessCaseHtml(buildDocument());
+
+  const exportDocument = async (format = 'docx') => {
+    const businessCaseDocument = buildDocument();
+    const blob = format === 'pdf'
+      ? businessCasePdfBlob(businessCaseDocument)
+      : await businessCaseDocxBlob(businessCaseDocument);
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `business-case-${formData.companyName || 'document'}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
     
     // Save export action
     await airtableService.saveUserProgress(
@@ -751,7 +753,8 @@ const BusinessCaseBuilder = () => {
           <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2">Business Case Builder</h1>
           <p className="text-gray-400">Create compelling business cases for pilot programs and full deployments</p>
         </div>
-        <div className="flex space-x-2">
+        <div className="flex items-center space-x-2">
+          <CurrencySelector currency={currency} onChange={updateCurrency} />
           <SecondaryButton
             onClick={() => {
               try {
@@ -763,17 +766,19 @@ const BusinessCaseBuilder = () => {
           >
             {previewMode ? 'Edit Mode' : 'Preview'}
           </SecondaryButton>
+          <SecondaryButton
+            onClick={() => exportDocument('pdf').catch(error => console.error('Export error:', error))}
+            disabled={missingFields.length > 0}
+            title={exportBlockedReason}
+          >
+            Export PDF
+          </SecondaryButton>
           <PrimaryButton
-            onClick={() => {
-              try {
-                exportDocument('html');
-              } catch (error) {
-                console.error('Export error:', error);
-              }
-            }}
-            disabled={!formData.companyName}
+            onClick={() => exportDocument('docx').catch(error => console.error('Export error:', error))}
+            disabled={missingFields.length > 0}
+            title={exportBlockedReason}
           >
-            Export Document
+            Export Word
           </PrimaryButton>
         </div>
       </div>
@@ -782,28 +787,41 @@ const BusinessCaseBuilder = () => {
       <div className="card card-padding">
         <h3 className="text-lg font-medium text-primary mb-4">Template Selection</h3>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          {Object.entries(templates).map(([key, template]) => (
+          {templates.map(template => (
             <button
-              key={key}
+              key={template.id}
               onClick={() => {
                 try {
-                  setActiveTemplate(key);
+                  setActiveTemplate(template.id);
                 } catch (error) {
                   console.error('Template selection error:', error);
                 }
               }}
               className={`p-4 border-2 rounded-lg text-left transition-all duration-300 hover-lift min-h-[44px] touch-manipulation ${
-                activeTemplate === key
+                selectedTemplate.id === template.id
                   ? 'border-brand bg-brand/10 shadow-brand/30'
                   : 'border-glass-border bg-surface/50 hover:border-brand/50'
               }`}
             >
-              <h4 className="font-medium text-primary">{template.name}</h4>
+              <h4 className="font-medium text-primary">
+                {template.name}
+                {!template.builtIn && <span className="ml-2 text-xs text-brand">Custom</span>}
+              </h4>
               <p className="text-sm text-secondary mt-1">{template.description}</p>
               <p className="text-xs text-muted mt-2">Duration: {template.duration}</p>
             </button>
           ))}
         </div>
+        <BusinessCaseTemplateManager
+          templates={templates}
+          customTemplates={customTemplates}
+          selectedTemplate={selectedTemplate}
+          onSelect={setActiveTemplate}
+          onSave={saveCustomTemplates}
+        />
+        {missingFields.length > 0 && formData.companyName && (
+          <p className="text-xs text-muted mt-3">{exportBlockedReason}</p>
+        )}
       </div>
 
       <div className="grid lg:grid-cols-2 gap-6">
@@ -828,7 +846,7 @@ const BusinessCaseBuilder = () => {
               <h2 className="text-lg font-semibold text-primary mb-4">Document Preview</h2>
               <div 
                 className="prose prose-gray max-w-none"
-                dangerouslySetInnerHTML={{ __html: generateBusinessCase() }}
+                dangerouslySetInnerHTML={safeHtml(generateBusinessCase())}
               />
             </div>
           ) : (
@@ -876,7 +894,7 @@ const BusinessCaseBuilder = () => {
                     </div>
                     {renderFormField('projectTitle', 'Project Title', 'Digital Transformation Initiative')}
                     <div>
-                      <label className="form-label">Requested Amount ($)</label>
+                      <label className="form-label">Requested Amount ({symbol})</label>
                       <input
                         type="number"
                         value={formData.requestedAmount}
@@ -889,123 +907,15 @@ const BusinessCaseBuilder = () => {
                   </div>
                 </div>
 
-                {/* Problem Statement */}
-                <div>
-                  <h3 className="text-md font-medium text-primary mb-3">Problem Statement</h3>
-                  <div className="space-y-4">
-                    {renderFormField('currentChallenges', 'Current Challenges', 'Describe the current challenges and pain points...', 'text', true)}
-                    {renderFormField('businessImpact', 'Business Impact', 'Quantify the business impact of these challenges...', 'text', true)}
-                    {renderFormField('urgencyFactors', 'Urgency Factors', 'Why is this urgent? What happens if we don\'t act?', 'text', true)}
-                  </div>
-                </div>
-
-                {/* Proposed Solution */}
-                <div>
-                  <h3 className="text-md font-medium text-primary mb-3">Proposed Solution</h3>
-                  <div className="space-y-4">
-                    <div>
-                      <label className="form-label">Solution Overview</label>
-                      <textarea
-                        value={formData.solutionOverview}
-                        onChange={(e) => handleInputChange('solutionOverview', e.target.value)}
-                        className="form-input h-20"
-                        placeholder="Provide a high-level overview of the proposed solution..."
-                      />
-                    </div>
-                    <div>
-                      <label className="form-label">Key Features</label>
-                      <textarea
-                        value={formData.keyFeatures}
-                        onChange={(e) => handleInputChange('keyFeatures', e.target.value)}
-                        className="form-input h-20"
-                        placeholder="List the key features and capabilities..."
-                      />
-                    </div>
-                    <div>
-                      <label className="form-label">Implementation Approach</label>
-                      <textarea
-                        value={formData.implementationApproach}
-                        onChange={(e) => handleInputChange('implementationApproach', e.target.value)}
-                        className="form-input h-20"
-                        placeholder="Describe how the solution will be implemented..."
-                      />
+                {/* Template Sections */}
+                {selectedTemplate.sections.map(section => (
+                  <div key={section.id}>
+                    <h3 className="text-md font-medium text-primary mb-3">{section.title}</h3>
+                    <div className="space-y-4">
+                      {section.fields.map(renderTemplateField)}
                     </div>
                   </div>
-                </div>
-
-                {/* Financial Analysis */}
-                <div>
-                  <h3 className="text-md font-medium text-primary mb-3">Financial Analysis</h3>
-                  <div className="space-y-4">
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                      <div>
-                        <label className="form-label">Current State Costs ($)</label>
-                        <input
-                          type="number"
-                          value={formData.currentStateCosts}
-                          onChange={(e) => handleInputChange('currentStateCosts', e.target.value)}
-                          className="form-input"
-                          placeholder="500000"
-                        />
-                      </div>
-                      <div>
-                        <label className="form-label">Solution Costs ($)</label>
-                        <input
-                          type="number"
-                          value={formData.solutionCosts}
-                          onChange={(e) => handleInputChange('solutionCosts', e.target.value)}
-                          className="form-input"
-                          placeholder="250000"
-                        />
-                      </div>
-                      <div>
-                        <label className="form-label">Expected Annual Savings ($)</label>
-                        <input
-                          type="number"
-                          value={formData.expectedSavings}
-                          onChange={(e) => handleInputChange('expectedSavings', e.target.value)}
-                          className="form-input"
-                          placeholder="750000"
-                        />
-                      </div>
-                      <div>
-                        <label className="form-label">Payback Period (months)</label>
-                        <input
-                          type="number"
-                          value={formData.paybackPeriod}
-                          onChange={(e) => handleInputChange('paybackPeriod', e.target.value)}
-                          className="form-input"
-                          placeholder="8"
-                        />
-                      </div>
-                    </div>
-                  </div>
-                </div>
-
-                {/* Success Metrics */}
-                <div>
-                  <h3 className="text-md font-medium text-primary mb-3">Success Metrics</h3>
-                  <div className="space-y-4">
-                    <div>
-                      <label className="form-label">Success Metrics</label>
-                      <textarea
-                        value={formData.successMetrics}
-                        onChange={(e) => handleInputChange('successMetrics', e.target.value)}
-                        className="form-input h-16"
-                        placeholder="How will success be measured? List specific KPIs..."
-                      />
-                    </div>
-                    <div>
-                      <label className="form-label">Timeline</label>
-                      <textarea
-                        value={formData.timeline}
-                        onChange={(e) => handleInputChange('timeline', e.target.value)}
-                        className="form-input h-16"
-                        placeholder="Provide implementation timeline and key milestones..."
-                      />
-                    </div>
-                  </div>
-                </div>
+                ))}
               </div>
             </div>
           )}
@@ -11,14 +11,19 @@ import { MobileOptimizedCard } from '../layout/MobileOptimized';
 import NavigationControls from '../navigation/NavigationControls';
 import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
 import SmartExportInterface from '../export/SmartExportInterface';
+import CurrencySelector from '../common/CurrencySelector';
 import useNavigation from '../../hooks/useNavigation';
+import useCurrencyPreference from '../../hooks/useCurrencyPreference';
 import { airtableService } from '../../services/airtableService';
 import { authService } from '../../services/authService';
+import { estimateBusinessCaseInputs, businessCaseReturns, parseMoneyAmount, localizeBenchmark } from '../../services/financialModel';
+import { escapeHtml, safeHtml } from '../../services/SafeContentService';
 
 const BusinessCaseBuilderWithExport = () => {
   const { onBusinessCaseReady } = useOutletContext() || {};
   const { throwError } = useAsyncError();
   const navigation = useNavigation(null, 'business-case');
+  const { currency, symbol, formatMoney, updateCurrency } = useCurrencyPreference();
   const [businessCaseData, setBusinessCaseData] = useState(null);
   const [customerAssets, setCustomerAssets] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -125,17 +130,38 @@ const BusinessCaseBuilderWithExport = () => {
     );
   };
 
+  // Modelled returns on the requested (or template) investment
+  const estimateReturns = useCallback(() => {
+    const businessData = customerAssets?.businessCaseContent;
+    const templateInvestment = businessData?.templates ? parseMoneyAmount(businessData.templates[0].investment) : null;
+    const estimates = estimateBusinessCaseInputs(customerAssets?.costCalculatorContent?.defaultValues, {
+      investment: templateInvestment === null ? undefined : localizeBenchmark(templateInvestment, { currency }),
+      currency
+    });
+    return businessCaseReturns({
+      investment: parseMoneyAmount(formData.requestedAmount) || estimates.solutionCost,
+      annualBenefit: estimates.annualSavings,
+      currency
+    });
+  }, [customerAssets, formData.requestedAmount, currency]);
+
   // Enhanced export source data generation
   const generateExportSourceData = useCallback(() => {
     if (!formData.companyName || !businessCaseData || !customerAssets) return null;
+    const returns = estimateReturns();
+    const expectedROI = parseFloat(formData.expectedROI) || returns.roi || 0;
+    const paybackPeriod = parseFloat(formData.paybackPeriod) || returns.paybackMonths || 0;
+    const benchmarkRevenue = localizeBenchmark(50000000, { currency });
 
     return {
+      currency,
+      companyName: formData.companyName,
       icpData: {
         buyerPersona: {
           name: 'Executive Decision Maker',
           role: 'C-Suite/VP Level',
           painPoints: ['budget optimization', 'competitive pressure', 'operational efficiency'],
-          demographics: 'Enterprise companies, $50M+ revenue',
+          demographics: `Enterprise companies, ${formatMoney(benchmarkRevenue, { compact: true })}+ revenue`,
           decisionMaking: 'committee-based with financial validation',
           language: 'business and financial terminology',
           motivations: ['ROI maximization', 'risk mitigation', 'strategic advantage'],
@@ -145,24 +171,27 @@ const BusinessCaseBuilderWithExport = () => {
         targetIndustries: ['Technology', 'Financial Services', 'Manufacturing'],
         companySize: { min: 500, max: 5000 },
         revenueRange: { 
-          min: parseInt(formData.requestedAmount) * 50 || 50000000, 
-          max: parseInt(formData.requestedAmount) * 200 || 200000000 
+          min: parseInt(formData.requestedAmount) * 50 || benchmarkRevenue, 
+          max: parseInt(formData.requestedAmount) * 200 || benchmarkRevenue * 4 
         }
       },
       costData: {
         impactCalculation: {
           methodology: 'Business case ROI analysis with risk-adjusted projections',
-          results: `${formData.expectedROI || '250'}% ROI with ${formData.paybackPeriod || '8'} month payback`,
+          results: `${expectedROI}% ROI with ${paybackPeriod} month payback`,
           categories: [
             { name: 'Current State Costs', value: formData.currentStateCosts },
             { name: 'Solution Investment', value: formData.solutionCosts },
             { name: 'Expected Savings', value: formData.expectedSavings }
           ],
           timeframe: 12,
+          currency,
           assumptions: {
             investmentAmount: parseInt(formData.requestedAmount) || 0,
-            expectedROI: parseFloat(formData.expectedROI) || 0,
-            paybackPeriod: parseInt(formData.paybackPeriod) || 8,
+            expectedROI,
+            paybackPeriod,
+            npv: returns.npv,
+            irr: returns.irr,
             riskAdjustment: 'Conservative estimates with 15% contingency'
           }
         },
@@ -176,7 +205,7 @@ const BusinessCaseBuilderWithExport = () => {
       businessCaseData: {
         framework: {
           executiveSummary: formData.projectTitle || 'Strategic business transformation initiative',
-          financialJustification: `${formData.expectedROI || '250'}% ROI through ${formData.solutionOverview}`,
+          financialJustification: `${expectedROI}% ROI through ${formData.solutionOverview}`,
           riskAssessment: formData.implementationRisks || 'Comprehensive risk mitigation strategy included',
           valueProposition: formData.keyFeatures || 'Competitive advantage through strategic implementation',
           implementation: {
@@ -196,7 +225,7 @@ const BusinessCaseBuilderWithExport = () => {
         competencyAreas: ['Executive Alignment', 'Financial Planning', 'Implementation Strategy']
       }
     };
-  }, [formData, businessCaseData, customerAssets, activeTemplate]);
+  }, [formData, businessCaseData, customerAssets, activeTemplate, estimateReturns, currency, formatMoney]);
 
   // Export completion handler
   const handleExportComplete = (exportResults) => {
@@ -348,7 +377,6 @@ const BusinessCaseBuilderWithExport = () => {
       const newAutoPopulated = new Set();
       
       const icpData = customerAssets.icpDescription || customerAssets.icpContent;
-      const costData = customerAssets.costCalculatorContent;  
       const businessData = customerAssets.businessCaseContent;
 
       // Auto-populate key fields using customer assets
@@ -396,15 +424,15 @@ const BusinessCaseBuilderWithExport = () => {
         newAutoPopulated.add('solutionOverview');
       }
 
-      if (!formData.expectedROI) {
-        const roi = costData?.scenarios ? 250 : 200;
-        newFormData.expectedROI = `${roi}`;
+      const returns = estimateReturns();
+
+      if (!formData.expectedROI && returns.roi !== null) {
+        newFormData.expectedROI = `${returns.roi}`;
         newAutoPopulated.add('expectedROI');
       }
 
-      if (!formData.paybackPeriod) {
-        const payback = businessData?.frameworks?.find(f => f.benchmark)?.benchmark || '8 months';
-        newFormData.paybackPeriod = payback.includes('month') ? payback.replace(' months', '') : '8';
+      if (!formData.paybackPeriod && returns.paybackMonths !== null) {
+        newFormData.paybackPeriod = `${returns.paybackMonths}`;
         newAutoPopulated.add('paybackPeriod');
       }
 
@@ -425,66 +453,66 @@ const BusinessCaseBuilderWithExport = () => {
     return `
       <div class="business-case-document">
         <header class="document-header">
-          <h1>Business Case: ${formData.projectTitle || 'Project Implementation'}</h1>
+          <h1>Business Case: ${escapeHtml(formData.projectTitle || 'Project Implementation')}</h1>
           <div class="document-meta">
-            <p><strong>Company:</strong> ${formData.companyName}</p>
-            <p><strong>Template:</strong> ${template.name}</p>
+            <p><strong>Company:</strong> ${escapeHtml(formData.companyName)}</p>
+            <p><strong>Template:</strong> ${escapeHtml(template.name)}</p>
             <p><strong>Date:</strong> ${currentDate}</p>
-            <p><strong>Requested Amount:</strong> $${formData.requestedAmount || '0'}</p>
+            <p><strong>Requested Amount:</strong> ${formatMoney(parseMoneyAmount(formData.requestedAmount) || 0)}</p>
           </div>
         </header>
 
         <section class="executive-summary">
           <h2>Executive Summary</h2>
-          <p><strong>Project:</strong> ${formData.projectTitle}</p>
-          <p><strong>Investment Required:</strong> $${formData.requestedAmount}</p>
-          <p><strong>Expected ROI:</strong> ${formData.expectedROI}%</p>
-          <p><strong>Payback Period:</strong> ${formData.paybackPeriod} months</p>
+          <p><strong>Project:</strong> ${escapeHtml(formData.projectTitle)}</p>
+          <p><strong>Investment Required:</strong> ${formatMoney(parseMoneyAmount(formData.requestedAmount) || 0)}</p>
+          <p><strong>Expected ROI:</strong> ${escapeHtml(formData.expectedROI)}%</p>
+          <p><strong>Payback Period:</strong> ${escapeHtml(formData.paybackPeriod)} months</p>
         </section>
 
         <section class="problem-statement">
           <h2>Problem Statement</h2>
           <h3>Current Challenges</h3>
-          <p>${formData.currentChallenges || 'Current challenges to be defined'}</p>
+          <p>${escapeHtml(formData.currentChallenges || 'Current challenges to be defined')}</p>
           
           <h3>Business Impact</h3>
-          <p>${formData.businessImpact || 'Business impact to be quantified'}</p>
+          <p>${escapeHtml(formData.businessImpact || 'Business impact to be quantified')}</p>
           
           <h3>Urgency Factors</h3>
-          <p>${formData.urgencyFactors || 'Urgency factors to be identified'}</p>
+          <p>${escapeHtml(formData.urgencyFactors || 'Urgency factors to be identified')}</p>
         </section>
 
         <section class="proposed-solution">
           <h2>Proposed Solution</h2>
           <h3>Solution Overview</h3>
-          <p>${formData.solutionOverview || 'Solution overview to be provided'}</p>
+          <p>${escapeHtml(formData.solutionOverview || 'Solution overview to be provided')}</p>
           
           <h3>Key Features</h3>
-          <p>${formData.keyFeatures || 'Key features to be listed'}</p>
+          <p>${escapeHtml(formData.keyFeatures || 'Key features to be listed')}</p>
           
           <h3>Implementation Approach</h3>
-          <p>${formData.implementationApproach || 'Implementation approach to be detailed'}</p>
+          <p>${escapeHtml(formData.implementationApproach || 'Implementation approach to be detailed')}</p>
         </section>
 
         <section class="financial-analysis">
           <h2>Financial Analysis</h2>
           <h3>Current State Costs</h3>
-          <p>${formData.currentStateCosts || 'Current state costs to be calculated'}</p>
+          <p>${escapeHtml(formData.currentStateCosts || 'Current state costs to be calculated')}</p>
           
           <h3>Solution Costs</h3>
-          <p>${formData.solutionCosts || 'Solution costs to be itemized'}</p>
+          <p>${escapeHtml(formData.solutionCosts || 'Solution costs to be itemized')}</p>
           
           <h3>Expected Savings</h3>
-          <p>${formData.expectedSavings || 'Expected savings to be projected'}</p>
+          <p>${escapeHtml(formData.expectedSavings || 'Expected savings to be projected')}</p>
         </section>
 
         <section class="success-metrics">
           <h2>Success Metrics & Timeline</h2>
           <h3>Success Metrics</h3>
-          <p>${formData.successMetrics || 'Success metrics to be defined'}</p>
+          <p>${escapeHtml(formData.successMetrics || 'Success metrics to be defined')}</p>
           
           <h3>Implementation Timeline</h3>
-          <p>${formData.timeline || template.duration}</p>
+          <p>${escapeHtml(formData.timeline || template.duration)}</p>
         </section>
       </div>
     `;
@@ -552,6 +580,7 @@ const BusinessCaseBuilderWithExport = () => {
               </span>
             )}
           </h1>
+          <CurrencySelector currency={currency} onChange={updateCurrency} className="mb-6" />
           
           {/* Business Case Summary */}
           {businessCaseData && (
@@ -631,7 +660,7 @@ const BusinessCaseBuilderWithExport = () => {
                       </div>
                       
                       <div>
-                        <label className="block text-sm font-medium text-gray-300 mb-2">Requested Amount ($)</label>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Requested Amount ({symbol})</label>
                         <input
                           type="number"
                           value={formData.requestedAmount}
@@ -721,7 +750,7 @@ const BusinessCaseBuilderWithExport = () => {
               <MobileOptimizedCard title="Document Preview">
                 <div 
                   className="prose prose-gray max-w-none text-gray-300"
-                  dangerouslySetInnerHTML={{ __html: generateBusinessCase() }}
+                  dangerouslySetInnerHTML={safeHtml(generateBusinessCase())}
                 />
               </MobileOptimizedCard>
             ) : (
@@ -793,6 +822,7 @@ const BusinessCaseBuilderWithExport = () => {
                   contentType="business-case"
                   userTools={userTools}
                   onExport={handleExportComplete}
+                  customerId={session?.customerId}
                   className="bg-gray-900 bg-opacity-50"
                 />
               </div>
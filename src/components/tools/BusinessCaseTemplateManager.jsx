@@ -0,0 +1,407 @@
+import React, { useState, useRef } from 'react';
+import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
+import {
+  AUTO_POPULATE_SOURCES,
+  BUSINESS_CASE_FIELDS,
+  CORE_FIELDS,
+  DEFAULT_TEMPLATE_ID,
+  FIELD_TYPES,
+  templateField,
+  templateFieldKeys,
+  validateTemplate,
+  cloneTemplate,
+  addSection,
+  removeSection,
+  moveSection,
+  addField,
+  addCustomField,
+  removeField,
+  toggleRequired,
+  toggleAutoPopulateSource,
+  exportTemplates,
+  importTemplates
+} from '../../services/BusinessCaseTemplateService';
+
+const smallInputClass = 'form-input text-sm';
+
+const downloadJson = (json, filename) => {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const FieldRow = ({ template, fieldKey, onChange }) => {
+  const field = templateField(template, fieldKey);
+  const isCustom = Boolean(template.customFields?.[fieldKey]);
+  const sources = template.autoPopulate?.[fieldKey] || [];
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 py-1 text-sm">
+      <span className="text-primary min-w-[180px]">
+        {field?.label || fieldKey}
+        {isCustom && <span className="ml-1 text-xs text-muted">({field.type})</span>}
+      </span>
+      <label className="flex items-center gap-1 text-secondary">
+        <input
+          type="checkbox"
+          checked={template.requiredFields.includes(fieldKey)}
+          onChange={() => onChange(toggleRequired(template, fieldKey))}
+        />
+        Required
+      </label>
+      {!isCustom && Object.entries(AUTO_POPULATE_SOURCES).map(([source, label]) => (
+        <label key={source} className="flex items-center gap-1 text-secondary" title={`Auto-fill from ${label}`}>
+          <input
+            type="checkbox"
+            checked={sources.includes(source)}
+            onChange={() => onChange(toggleAutoPopulateSource(template, fieldKey, source))}
+          />
+          {label}
+        </label>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange(removeField(template, fieldKey))}
+        className="ml-auto text-muted hover:text-red-400"
+        title={`Remove ${field?.label || fieldKey}`}
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+const SectionEditor = ({ template, section, index, onChange }) => {
+  const [newField, setNewField] = useState('');
+  const [customLabel, setCustomLabel] = useState('');
+  const [customType, setCustomType] = useState('textarea');
+
+  const usedFields = templateFieldKeys(template);
+  const availableFields = Object.keys(BUSINESS_CASE_FIELDS).filter(key => !usedFields.includes(key));
+
+  const renameSection = (title) => onChange({
+    ...template,
+    sections: template.sections.map(candidate => (candidate.id === section.id ? { ...candidate, title } : candidate))
+  });
+
+  return (
+    <div className="border border-glass-border rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={section.title}
+          onChange={(e) => renameSection(e.target.value)}
+          className={`${smallInputClass} flex-1`}
+          aria-label="Section title"
+        />
+        <SecondaryButton onClick={() => onChange(moveSection(template, section.id, -1))} disabled={index === 0} title="Move up">↑</SecondaryButton>
+        <SecondaryButton onClick={() => onChange(moveSection(template, section.id, 1))} disabled={index === template.sections.length - 1} title="Move down">↓</SecondaryButton>
+        <SecondaryButton onClick={() => onChange(removeSection(template, section.id))} title="Remove section">Remove</SecondaryButton>
+      </div>
+
+      {section.fields.map(fieldKey => (
+        <FieldRow key={fieldKey} template={template} fieldKey={fieldKey} onChange={onChange} />
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2 pt-2">
+        <select value={newField} onChange={(e) => setNewField(e.target.value)} className={smallInputClass} aria-label="Standard field">
+          <option value="">Add a standard field...</option>
+          {availableFields.map(key => (
+            <option key={key} value={key}>{BUSINESS_CASE_FIELDS[key].label}</option>
+          ))}
+        </select>
+        <SecondaryButton
+          onClick={() => {
+            onChange(addField(template, section.id, newField));
+            setNewField('');
+          }}
+          disabled={!newField}
+        >
+          Add
+        </SecondaryButton>
+        <input
+          type="text"
+          value={customLabel}
+          onChange={(e) => setCustomLabel(e.target.value)}
+          className={smallInputClass}
+          placeholder="Custom field label"
+        />
+        <select value={customType} onChange={(e) => setCustomType(e.target.value)} className={smallInputClass} aria-label="Custom field type">
+          {FIELD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <SecondaryButton
+          onClick={() => {
+            onChange(addCustomField(template, section.id, { label: customLabel, type: customType }));
+            setCustomLabel('');
+          }}
+          disabled={!customLabel.trim()}
+        >
+          Add Custom
+        </SecondaryButton>
+      </div>
+    </div>
+  );
+};
+
+const PhaseEditor = ({ template, onChange }) => {
+  const updatePhase = (index, changes) => onChange({
+    ...template,
+    phases: template.phases.map((phase, candidate) => (candidate === index ? { ...phase, ...changes } : phase))
+  });
+
+  return (
+    <div className="space-y-2">
+      {template.phases.map((phase, index) => (
+        <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-start">
+          <input type="text" value={phase.name} onChange={(e) => updatePhase(index, { name: e.target.value })} className={smallInputClass} placeholder="Phase" />
+          <input type="text" value={phase.timing} onChange={(e) => updatePhase(index, { timing: e.target.value })} className={smallInputClass} placeholder="Weeks 1-2" />
+          <textarea
+            value={phase.activities.join('\n')}
+            onChange={(e) => updatePhase(index, { activities: e.target.value.split('\n') })}
+            className={smallInputClass}
+            placeholder="One activity per line"
+            rows={2}
+          />
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={phase.milestone || ''}
+              onChange={(e) => updatePhase(index, { milestone: e.target.value })}
+              className={`${smallInputClass} flex-1`}
+              placeholder="Milestone"
+            />
+            <button
+              type="button"
+              onClick={() => onChange({ ...template, phases: template.phases.filter((_, candidate) => candidate !== index) })}
+              className="text-muted hover:text-red-400"
+              title={`Remove ${phase.name || 'phase'}`}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+      <SecondaryButton
+        onClick={() => onChange({ ...template, phases: [...template.phases, { name: '', timing: '', activities: [], milestone: '' }] })}
+      >
+        Add Phase
+      </SecondaryButton>
+    </div>
+  );
+};
+
+const TemplateEditor = ({ draft, onChange, onSave, onCancel, errors }) => {
+  const [newSectionTitle, setNewSectionTitle] = useState('');
+
+  return (
+    <div className="mt-4 space-y-4 border-t border-glass-border pt-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label className="form-label">Template Name</label>
+          <input type="text" value={draft.name} onChange={(e) => onChange({ ...draft, name: e.target.value })} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">Description</label>
+          <input type="text" value={draft.description || ''} onChange={(e) => onChange({ ...draft, description: e.target.value })} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">Default Duration</label>
+          <input type="text" value={draft.duration} onChange={(e) => onChange({ ...draft, duration: e.target.value })} className="form-input" placeholder="3-6 months" />
+        </div>
+      </div>
+
+      <div>
+        <h4 className="font-medium text-primary mb-2">Executive Summary</h4>
+        <div className="flex flex-wrap gap-4 text-sm">
+          {CORE_FIELDS.map(key => (
+            <label key={key} className="flex items-center gap-1 text-secondary">
+              <input type="checkbox" checked={draft.requiredFields.includes(key)} onChange={() => onChange(toggleRequired(draft, key))} />
+              {BUSINESS_CASE_FIELDS[key].label} required
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="font-medium text-primary">Sections</h4>
+        {draft.sections.map((section, index) => (
+          <SectionEditor key={section.id} template={draft} section={section} index={index} onChange={onChange} />
+        ))}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newSectionTitle}
+            onChange={(e) => setNewSectionTitle(e.target.value)}
+            className={smallInputClass}
+            placeholder="New section title"
+          />
+          <SecondaryButton
+            onClick={() => {
+              onChange(addSection(draft, newSectionTitle));
+              setNewSectionTitle('');
+            }}
+            disabled={!newSectionTitle.trim()}
+          >
+            Add Section
+          </SecondaryButton>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="font-medium text-primary mb-2">Implementation Phases</h4>
+        <PhaseEditor template={draft} onChange={onChange} />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-400 space-y-1">
+          {errors.map(error => <li key={error}>• {error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <PrimaryButton onClick={onSave}>Save Template</PrimaryButton>
+        <SecondaryButton onClick={onCancel}>Cancel</SecondaryButton>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Clone, edit, delete, import and export business case templates. Built-in
+ * templates can only be cloned; the customer's own templates are saved
+ * through onSave(customTemplates).
+ */
+const BusinessCaseTemplateManager = ({ templates, customTemplates, selectedTemplate, onSelect, onSave }) => {
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  const persist = async (nextTemplates, message) => {
+    try {
+      await onSave(nextTemplates);
+      setStatus(message);
+      return true;
+    } catch (error) {
+      console.error('Failed to save business case templates:', error);
+      setStatus('Save failed');
+      return false;
+    }
+  };
+
+  const startClone = () => {
+    setDraft(cloneTemplate(selectedTemplate, `${selectedTemplate.name} (Copy)`, customTemplates));
+    setErrors([]);
+  };
+
+  const startEdit = () => {
+    const { builtIn, ...editable } = selectedTemplate;
+    setDraft(JSON.parse(JSON.stringify(editable)));
+    setErrors([]);
+  };
+
+  const saveDraft = async () => {
+    const template = {
+      ...draft,
+      phases: draft.phases.map(phase => ({ ...phase, activities: phase.activities.map(activity => activity.trim()).filter(Boolean) }))
+    };
+    const draftErrors = validateTemplate(template);
+    if (draftErrors.length > 0) {
+      setErrors(draftErrors);
+      return;
+    }
+    const exists = customTemplates.some(candidate => candidate.id === template.id);
+    const nextTemplates = exists
+      ? customTemplates.map(candidate => (candidate.id === template.id ? template : candidate))
+      : [...customTemplates, template];
+    if (await persist(nextTemplates, 'Template saved')) {
+      onSelect(template.id);
+      setDraft(null);
+      setErrors([]);
+    }
+  };
+
+  const deleteSelected = async () => {
+    if (!window.confirm(`Delete the "${selectedTemplate.name}" template?`)) return;
+    if (await persist(customTemplates.filter(template => template.id !== selectedTemplate.id), 'Template deleted')) {
+      onSelect(DEFAULT_TEMPLATE_ID);
+    }
+  };
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { imported, rejected } = importTemplates(await file.text(), templates);
+      setErrors(rejected.flatMap(({ name, errors: templateErrors }) => templateErrors.map(error => `${name}: ${error}`)));
+      if (imported.length > 0) {
+        await persist([...customTemplates, ...imported], `Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`);
+      } else {
+        setStatus('No templates imported');
+      }
+    } catch (error) {
+      setErrors([error.message]);
+      setStatus('');
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <SecondaryButton onClick={startClone}>Clone Template</SecondaryButton>
+        {!selectedTemplate.builtIn && (
+          <>
+            <SecondaryButton onClick={startEdit}>Edit</SecondaryButton>
+            <SecondaryButton onClick={deleteSelected}>Delete</SecondaryButton>
+          </>
+        )}
+        <SecondaryButton
+          onClick={() => downloadJson(exportTemplates([selectedTemplate]), `business-case-template-${selectedTemplate.id}.json`)}
+        >
+          Export JSON
+        </SecondaryButton>
+        {customTemplates.length > 0 && (
+          <SecondaryButton onClick={() => downloadJson(exportTemplates(customTemplates), 'business-case-templates.json')}>
+            Export All Custom
+          </SecondaryButton>
+        )}
+        <SecondaryButton onClick={() => fileInputRef.current?.click()}>Import JSON</SecondaryButton>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importFile}
+          className="hidden"
+        />
+        {status && <span className="text-xs text-muted">{status}</span>}
+      </div>
+
+      {draft ? (
+        <TemplateEditor
+          draft={draft}
+          onChange={setDraft}
+          onSave={saveDraft}
+          onCancel={() => {
+            setDraft(null);
+            setErrors([]);
+          }}
+          errors={errors}
+        />
+      ) : errors.length > 0 && (
+        <ul className="mt-3 text-sm text-red-400 space-y-1">
+          {errors.map(error => <li key={error}>• {error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BusinessCaseTemplateManager;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { MobileOptimizedInput } from '../layout/MobileOptimized';
+import { FUNDING_STAGES, SIGNAL_WEIGHTS } from '../../services/ICPFitScoringService';
+
+export const EMPTY_COMPANY_PROFILE = {
+  employeeCount: '',
+  annualRevenue: '',
+  industry: '',
+  techStack: '',
+  fundingStage: '',
+  signals: []
+};
+
+/**
+ * Structured company profile inputs for ICP fit scoring. Values stay as typed
+ * text; ICPFitScoringService parses numbers and comma-separated lists.
+ */
+const CompanyProfileFields = ({ profile, onChange, disabled = false }) => {
+  const update = (key) => (value) => onChange({ ...profile, [key]: value });
+
+  const toggleSignal = (type) => {
+    const signals = profile.signals.includes(type)
+      ? profile.signals.filter(signal => signal !== type)
+      : [...profile.signals, type];
+    onChange({ ...profile, signals });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <MobileOptimizedInput
+          label="Employees"
+          type="number"
+          min="0"
+          value={profile.employeeCount}
+          onChange={update('employeeCount')}
+          placeholder="e.g. 250"
+          disabled={disabled}
+        />
+        <MobileOptimizedInput
+          label="Annual Revenue"
+          type="number"
+          min="0"
+          prefix="$"
+          value={profile.annualRevenue}
+          onChange={update('annualRevenue')}
+          placeholder="e.g. 40000000"
+          disabled={disabled}
+        />
+      </div>
+
+      <MobileOptimizedInput
+        label="Industry"
+        value={profile.industry}
+        onChange={update('industry')}
+        placeholder="e.g. Logistics"
+        disabled={disabled}
+      />
+
+      <MobileOptimizedInput
+        label="Tech Stack"
+        value={profile.techStack}
+        onChange={update('techStack')}
+        placeholder="Comma-separated, e.g. Salesforce, Snowflake"
+        disabled={disabled}
+      />
+
+      <div className="space-y-2">
+        <label htmlFor="company-funding-stage" className="block text-sm font-medium text-gray-300">
+          Funding Stage
+        </label>
+        <select
+          id="company-funding-stage"
+          value={profile.fundingStage}
+          onChange={(e) => update('fundingStage')(e.target.value)}
+          disabled={disabled}
+          className="w-full min-h-[44px] px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Unknown</option>
+          {FUNDING_STAGES.map(stage => (
+            <option key={stage.key} value={stage.key}>{stage.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-300 mb-2">Buying Signals</legend>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(SIGNAL_WEIGHTS).map(([type, { label }]) => (
+            <label key={type} className="flex items-center gap-2 text-xs text-gray-300">
+              <input
+                type="checkbox"
+                checked={profile.signals.includes(type)}
+                onChange={() => toggleSignal(type)}
+                disabled={disabled}
+                className="rounded border-gray-600 bg-gray-800"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default CompanyProfileFields;
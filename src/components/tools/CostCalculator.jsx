@@ -11,18 +11,32 @@ import { MobileOptimizedInput, MobileOptimizedButton, MobileOptimizedCard } from
 import ImplementationGuidance from '../guidance/ImplementationGuidance';
 import SuccessMetricsPanel from '../guidance/SuccessMetricsPanel';
 import ExportStrategyGuide from '../guidance/ExportStrategyGuide';
+import CostScenarioPanel from './CostScenarioPanel';
+import CurrencySelector from '../common/CurrencySelector';
 import NavigationControls from '../navigation/NavigationControls';
 import { PrimaryButton } from '../ui/ButtonComponents';
 import useNavigation from '../../hooks/useNavigation';
+import useCurrencyPreference from '../../hooks/useCurrencyPreference';
 import { airtableService } from '../../services/airtableService';
 import { authService } from '../../services/authService';
 import { COMPONENT_STYLES, COLORS } from '../../constants/theme';
 import { BUSINESS } from '../../constants/app';
+import {
+  inputsFromForm,
+  computeCostOfInaction,
+  createDefaultScenarios,
+  defaultRanges,
+  tornadoSensitivity,
+  runMonteCarlo,
+  scenarioReportLines
+} from '../../services/CostScenarioService';
+import { costOfDelay, estimateDealSize, estimateSegmentRevenue, parseMoneyAmount } from '../../services/financialModel';
 
 const CostCalculator = () => {
   const { onCostCalculated } = useOutletContext() || {};
   const { throwError } = useAsyncError();
   const navigation = useNavigation(null, 'cost-calculator');
+  const { currency, locale, symbol, formatMoney, updateCurrency } = useCurrencyPreference();
   const [costData, setCostData] = useState(null);
   const [icpData, setIcpData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -31,6 +45,10 @@ const CostCalculator = () => {
   const [autoPopulated, setAutoPopulated] = useState(new Set());
   const [startTime] = useState(Date.now());
   const [isNavigating, setIsNavigating] = useState(false);
+  const [scenarios, setScenarios] = useState([]);
+  const [inputRanges, setInputRanges] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [scenarioSaveStatus, setScenarioSaveStatus] = useState('');
   const [formData, setFormData] = useState({
     currentRevenue: '',
     targetGrowthRate: '20',
@@ -92,7 +110,7 @@ const CostCalculator = () => {
           <LineChart data={data}>
             <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
             <XAxis dataKey="month" stroke="#9CA3AF" />
-            <YAxis stroke="#9CA3AF" />
+            <YAxis stroke="#9CA3AF" tickFormatter={(value) => formatMoney(value, { compact: true })} />
             <Tooltip 
               contentStyle={{ 
                 backgroundColor: '#374151', 
@@ -100,6 +118,7 @@ const CostCalculator = () => {
                 borderRadius: '8px',
                 color: '#fff'
               }}
+              formatter={(value) => formatMoney(value)}
             />
             <Line 
               type="monotone" 
@@ -144,7 +163,7 @@ const CostCalculator = () => {
         <div className={`text-2xl font-bold ${
           highlight ? 'text-blue-400' : 'text-white'
         }`}>
-          ${value}
+          {formatMoney(value)}
         </div>
       </div>
     );
@@ -159,7 +178,7 @@ const CostCalculator = () => {
         {Object.entries(costs).map(([category, amount]) => (
           <div key={category} className="flex justify-between items-center p-3 bg-gray-700/30 rounded-lg">
             <span className="text-gray-300 capitalize">{category.replace('_', ' ')}</span>
-            <span className="text-white font-semibold">${amount.toLocaleString()}</span>
+            <span className="text-white font-semibold">{formatMoney(amount)}</span>
           </div>
         ))}
       </div>
@@ -194,6 +213,19 @@ const CostCalculator = () => {
     }
   }, [session, throwError]);
 
+  // Restore saved scenarios and ranges
+  useEffect(() => {
+    if (!session?.customerId) return;
+
+    airtableService.getUserProgress(session.customerId, 'cost_calculator')
+      .then(saved => {
+        if (saved?.scenarios?.length > 0) setScenarios(saved.scenarios);
+        if (saved?.inputRanges) setInputRanges(saved.inputRanges);
+        if (saved?.simulation) setSimulation(saved.simulation);
+      })
+      .catch(err => console.warn('Could not load saved cost scenarios:', err.message));
+  }, [session?.customerId]);
+
   // Auto-populate fields using ICP Analysis data
   const autoPopulateFromICP = () => {
     if (!icpData) return;
@@ -215,27 +247,15 @@ const CostCalculator = () => {
             c.includes('revenue') || c.includes('$') || c.includes('ARR') || c.includes('MRR')
           );
           if (revenueCriteria) {
-            // Extract numbers and estimate revenue
-            const numbers = revenueCriteria.match(/\$?(\d+(?:,\d+)*(?:\.\d+)?)\s*([MK]?)/gi);
-            if (numbers && numbers.length > 0) {
-              let revenue = parseFloat(numbers[0].replace(/[$,]/g, ''));
-              if (numbers[0].includes('M')) revenue *= 1000000;
-              if (numbers[0].includes('K')) revenue *= 1000;
+            // Amount from the criterion text; a range gives its midpoint
+            const revenue = parseMoneyAmount(revenueCriteria);
+            if (revenue !== null) {
               newFormData.currentRevenue = Math.round(revenue).toString();
               newAutoPopulated.add('currentRevenue');
             }
           } else {
             // Default based on segment characteristics
-            const segmentName = primarySegment.name.toLowerCase();
-            if (segmentName.includes('enterprise')) {
-              newFormData.currentRevenue = '50000000'; // $50M
-            } else if (segmentName.includes('mid-market')) {
-              newFormData.currentRevenue = '10000000'; // $10M
-            } else if (segmentName.includes('smb') || segmentName.includes('small')) {
-              newFormData.currentRevenue = '2000000'; // $2M
-            } else {
-              newFormData.currentRevenue = '5000000'; // $5M default
-            }
+            newFormData.currentRevenue = estimateSegmentRevenue(primarySegment.name, { currency }).toString();
             newAutoPopulated.add('currentRevenue');
           }
         }
@@ -273,14 +293,7 @@ const CostCalculator = () => {
         const revenue = parseFloat(newFormData.currentRevenue || formData.currentRevenue || 0);
         if (revenue > 0) {
           // Estimate deal size as percentage of revenue
-          const primarySegment = icpData.segments?.[0];
-          if (primarySegment?.name.toLowerCase().includes('enterprise')) {
-            newFormData.averageDealSize = Math.round(revenue * 0.02).toString(); // 2% of revenue
-          } else if (primarySegment?.name.toLowerCase().includes('mid-market')) {
-            newFormData.averageDealSize = Math.round(revenue * 0.015).toString(); // 1.5% of revenue
-          } else {
-            newFormData.averageDealSize = Math.round(revenue * 0.01).toString(); // 1% of revenue
-          }
+          newFormData.averageDealSize = estimateDealSize(revenue, icpData.segments?.[0]?.name).toString();
           newAutoPopulated.add('averageDealSize');
         }
       }
@@ -445,94 +458,34 @@ const CostCalculator = () => {
     );
   }, [formData, autoPopulated, handleInputChange]);
 
-  const calculateCostOfInaction = useCallback(() => {
-    const {
-      currentRevenue,
-      targetGrowthRate,
-      averageDealSize,
-      salesCycleLength,
-      conversionRate,
-      churnRate,
-      timeframe
-    } = formData;
-
-    // Convert strings to numbers
-    const revenue = parseFloat(currentRevenue) || 0;
-    const growth = parseFloat(targetGrowthRate) / 100;
-    const dealSize = parseFloat(averageDealSize) || 0;
-    const cycle = parseInt(salesCycleLength) || 90;
-    const conversion = parseFloat(conversionRate) / 100;
-    const churn = parseFloat(churnRate) / 100;
-    const months = parseInt(timeframe) || 12;
-
-    // Calculate baseline metrics
-    const currentMonthlyRevenue = revenue / 12;
-    const targetMonthlyGrowth = currentMonthlyRevenue * growth / 12;
-    
-    // Calculate opportunity costs
-    const missedGrowthRevenue = targetMonthlyGrowth * months * (months + 1) / 2;
-    const inefficiencyLoss = revenue * BUSINESS.defaultInefficiencyRate;
-    const churnImpact = revenue * churn;
-    const extendedSalesCycleCost = (cycle - 60) * dealSize * 0.02; // Cost per day extended
-    
-    const totalCostOfInaction = missedGrowthRevenue + inefficiencyLoss + churnImpact + Math.max(0, extendedSalesCycleCost);
-
-    // Generate month-by-month projections
-    const projections = [];
-    for (let month = 1; month <= 12; month++) {
-      const withAction = currentMonthlyRevenue * (1 + growth) ** (month / 12);
-      const withoutAction = currentMonthlyRevenue * (1 + growth * BUSINESS.defaultGrowthWithoutAction) ** (month / 12);
-      
-      projections.push({
-        month: `Month ${month}`,
-        withAction: Math.round(withAction),
-        withoutAction: Math.round(withoutAction),
-        gap: Math.round(withAction - withoutAction)
-      });
-    }
+  const expectedScenario = scenarios.find(scenario => scenario.id === 'expected');
 
-    // Calculate impact categories
-    const impactCategories = [
-      {
-        category: 'Revenue Growth',
-        currentState: Math.round(revenue * 1.05),
-        withImprovement: Math.round(revenue * (1 + growth)),
-        impact: Math.round(missedGrowthRevenue)
-      },
-      {
-        category: 'Sales Efficiency',
-        currentState: Math.round(revenue * 0.85),
-        withImprovement: Math.round(revenue),
-        impact: Math.round(inefficiencyLoss)
-      },
-      {
-        category: 'Customer Retention',
-        currentState: Math.round(revenue * (1 - churn)),
-        withImprovement: Math.round(revenue * (1 - churn * 0.5)),
-        impact: Math.round(churnImpact * 0.5)
-      }
-    ];
+  const sensitivity = useMemo(() => {
+    if (!expectedScenario || !inputRanges) return null;
+    return tornadoSensitivity(expectedScenario.inputs, inputRanges);
+  }, [expectedScenario, inputRanges]);
 
-    const result = {
-      totalCostOfInaction: Math.round(totalCostOfInaction),
-      monthlyImpact: Math.round(totalCostOfInaction / months),
-      projections,
-      impactCategories,
-      metrics: {
-        missedGrowthRevenue: Math.round(missedGrowthRevenue),
-        inefficiencyLoss: Math.round(inefficiencyLoss),
-        churnImpact: Math.round(churnImpact),
-        salesCycleCost: Math.round(Math.max(0, extendedSalesCycleCost))
-      }
-    };
+  const calculateCostOfInaction = useCallback(() => {
+    // The form drives the Expected case; assumptions edited in the scenario
+    // table carry over. Presets are rebuilt around it, custom scenarios kept.
+    const inputs = inputsFromForm(formData, expectedScenario?.inputs);
+    const result = computeCostOfInaction(inputs, { currency });
+    const nextScenarios = [
+      ...createDefaultScenarios(inputs),
+      ...scenarios.filter(scenario => !['conservative', 'expected', 'aggressive'].includes(scenario.id))
+    ];
+    const nextRanges = inputRanges || defaultRanges(inputs);
 
+    setScenarios(nextScenarios);
+    setInputRanges(nextRanges);
+    setSimulation(null);
     setCalculations(result);
 
     // Save calculations
     airtableService.saveUserProgress(
       session.customerId,
       'cost_calculator',
-      { formData, calculations: result }
+      { formData, calculations: result, scenarios: nextScenarios, inputRanges: nextRanges }
     ).catch(console.error);
 
     // Trigger workflow completion callback
@@ -542,7 +495,27 @@ const CostCalculator = () => {
         timeSpent: Date.now() - startTime
       }).catch(console.error);
     }
-  }, [formData, onCostCalculated, session?.customerId, startTime]);
+  }, [formData, expectedScenario, scenarios, inputRanges, currency, onCostCalculated, session?.customerId, startTime]);
+
+  const handleRunSimulation = () => {
+    if (!expectedScenario || !inputRanges) return;
+    setSimulation(runMonteCarlo(expectedScenario.inputs, inputRanges));
+  };
+
+  const handleSaveScenarios = async () => {
+    setScenarioSaveStatus('Saving...');
+    try {
+      await airtableService.saveUserProgress(
+        session.customerId,
+        'cost_calculator',
+        { formData, calculations, scenarios, inputRanges, simulation }
+      );
+      setScenarioSaveStatus('Saved');
+    } catch (error) {
+      console.error('Failed to save cost scenarios:', error);
+      setScenarioSaveStatus('Save failed');
+    }
+  };
 
   const handleCalculate = (e) => {
     e.preventDefault();
@@ -603,14 +576,16 @@ const CostCalculator = () => {
       const exportData = `Cost of Inaction Analysis
 =============================
 
-Total Cost of Inaction: $${calculations.totalCostOfInaction.toLocaleString()}
-Monthly Impact: $${calculations.monthlyImpact.toLocaleString()}
+Total Cost of Inaction: ${formatMoney(calculations.totalCostOfInaction)}
+Monthly Impact: ${formatMoney(calculations.monthlyImpact)}
 
 Breakdown:
-- Missed Growth Revenue: $${calculations.metrics.missedGrowthRevenue.toLocaleString()}
-- Inefficiency Loss: $${calculations.metrics.inefficiencyLoss.toLocaleString()}
-- Churn Impact: $${calculations.metrics.churnImpact.toLocaleString()}
-- Extended Sales Cycle Cost: $${calculations.metrics.salesCycleCost.toLocaleString()}
+- Missed Growth Revenue: ${formatMoney(calculations.metrics.missedGrowthRevenue)}
+- Inefficiency Loss: ${formatMoney(calculations.metrics.inefficiencyLoss)}
+- Churn Impact: ${formatMoney(calculations.metrics.churnImpact)}
+- Extended Sales Cycle Cost: ${formatMoney(calculations.metrics.salesCycleCost)}
+
+${scenarioReportLines({ scenarios, sensitivity, simulation, money: { currency, locale } }).join('\n')}
 
 Generated on: ${new Date().toLocaleDateString()}
 `;
@@ -666,7 +641,9 @@ Generated on: ${new Date().toLocaleDateString()}
         presentation: "Let's look at the cost of waiting to implement...",
         exports: ["Executive PDF", "Slide deck format", "Email template"],
         urgencyPhrases: [
-          "Every month of delay costs $21K",
+          calculations
+            ? `Every month of delay costs ${formatMoney(costOfDelay({ monthlyValue: calculations.monthlyImpact, delayMonths: 1 }, { currency }), { compact: true })}`
+            : "Every month of delay compounds the cost",
           "Time is money in technical organizations",
           "Opportunity cost compounds daily"
         ]
@@ -692,15 +669,17 @@ Generated on: ${new Date().toLocaleDateString()}
                 Calculate the financial impact of delayed decisions and missed opportunities
               </p>
             </div>
-            {calculations && (
-              <MobileOptimizedButton
-                onClick={exportResults}
-                variant="secondary"
-                className="mt-4 sm:mt-0"
-              >
-                Export Results
-              </MobileOptimizedButton>
-            )}
+            <div className="flex items-center gap-4 mt-4 sm:mt-0">
+              <CurrencySelector currency={currency} onChange={updateCurrency} />
+              {calculations && (
+                <MobileOptimizedButton
+                  onClick={exportResults}
+                  variant="secondary"
+                >
+                  Export Results
+                </MobileOptimizedButton>
+              )}
+            </div>
           </div>
           
           {/* Auto-populate from ICP button */}
@@ -751,7 +730,7 @@ Generated on: ${new Date().toLocaleDateString()}
                   label="Current Revenue"
                   value={formData.currentRevenue}
                   onChange={(value) => handleInputChange('currentRevenue', value)}
-                  prefix="$"
+                  prefix={symbol}
                 />
                 <InputField
                   label="Growth Rate"
@@ -772,7 +751,7 @@ Generated on: ${new Date().toLocaleDateString()}
                   label="Deal Size"
                   value={formData.averageDealSize}
                   onChange={(value) => handleInputChange('averageDealSize', value)}
-                  prefix="$"
+                  prefix={symbol}
                 />
               </div>
               
@@ -810,23 +789,23 @@ Generated on: ${new Date().toLocaleDateString()}
                 <ResultMetric
                   icon="💰"
                   label="TOTAL IMPACT"
-                  value={calculations.totalImpact.toLocaleString()}
+                  value={calculations.totalCostOfInaction}
                   highlight={true}
                 />
                 <ResultMetric
                   icon="⏱️"
                   label="MONTHLY LOSS"
-                  value={calculations.monthlyLoss.toLocaleString()}
+                  value={calculations.monthlyImpact}
                 />
                 <ResultMetric
                   icon="📈"
                   label="OPPORTUNITY COST"
-                  value={calculations.opportunityCost.toLocaleString()}
+                  value={calculations.metrics.missedGrowthRevenue}
                 />
                 <ResultMetric
-                  icon="🚨"
-                  label="URGENCY FACTOR"
-                  value={`${calculations.urgencyMultiplier}x`}
+                  icon="🐢"
+                  label="SALES CYCLE COST"
+                  value={calculations.metrics.salesCycleCost}
                 />
                 
                 <PrimaryButton
@@ -850,6 +829,30 @@ Generated on: ${new Date().toLocaleDateString()}
           </MobileOptimizedCard>
         </div>
 
+        {/* Scenario Modeling */}
+        {scenarios.length > 0 && inputRanges && (
+          <CostScenarioPanel
+            scenarios={scenarios}
+            ranges={inputRanges}
+            sensitivity={sensitivity}
+            simulation={simulation}
+            onScenariosChange={(next) => {
+              setScenarios(next);
+              setSimulation(null);
+              setScenarioSaveStatus('');
+            }}
+            onRangesChange={(next) => {
+              setInputRanges(next);
+              setSimulation(null);
+              setScenarioSaveStatus('');
+            }}
+            onRunSimulation={handleRunSimulation}
+            onSave={handleSaveScenarios}
+            money={{ currency, locale }}
+            saveStatus={scenarioSaveStatus}
+          />
+        )}
+
         {/* Technical Founder Costs - 20% of space */}
         {calculations?.technicalCosts && (
           <MobileOptimizedCard>
@@ -864,8 +867,8 @@ Generated on: ${new Date().toLocaleDateString()}
         <ImplementationGuidance 
           toolType="cost-calculator"
           context={{
-            totalImpact: calculations?.totalImpact || 0,
-            monthlyLoss: calculations?.monthlyLoss || 0,
+            totalImpact: calculations?.totalCostOfInaction || 0,
+            monthlyLoss: calculations?.monthlyImpact || 0,
             customerType: session?.customerId
           }}
           customerData={costData}
@@ -1,6 +1,6 @@
 // CostCalculatorWithExport.jsx - Enhanced Cost Calculator with Smart Export Capabilities
 
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useOutletContext } from 'react-router-dom';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import ContentDisplay, { Callout } from '../common/ContentDisplay';
@@ -15,16 +15,31 @@ import ExportStrategyGuide from '../guidance/ExportStrategyGuide';
 import NavigationControls from '../navigation/NavigationControls';
 import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
 import SmartExportInterface from '../export/SmartExportInterface';
+import CurrencySelector from '../common/CurrencySelector';
+import CostScenarioPanel from './CostScenarioPanel';
 import useNavigation from '../../hooks/useNavigation';
+import useCurrencyPreference from '../../hooks/useCurrencyPreference';
 import { airtableService } from '../../services/airtableService';
 import { authService } from '../../services/authService';
 import { COMPONENT_STYLES, COLORS } from '../../constants/theme';
 import { BUSINESS } from '../../constants/app';
+import { computeRunRateCost, localizeBenchmark } from '../../services/financialModel';
+import {
+  inputsFromForm,
+  createDefaultScenarios,
+  defaultRanges,
+  tornadoSensitivity,
+  runMonteCarlo,
+  scenarioReportLines
+} from '../../services/CostScenarioService';
+
+const PRESET_SCENARIO_IDS = ['conservative', 'expected', 'aggressive'];
 
 const CostCalculatorWithExport = () => {
   const { onCostCalculated } = useOutletContext() || {};
   const { throwError } = useAsyncError();
   const navigation = useNavigation(null, 'cost-calculator');
+  const { currency, locale, symbol, formatMoney, updateCurrency } = useCurrencyPreference();
   const [costData, setCostData] = useState(null);
   const [icpData, setIcpData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -35,6 +50,12 @@ const CostCalculatorWithExport = () => {
   const [isNavigating, setIsNavigating] = useState(false);
   const [showExportInterface, setShowExportInterface] = useState(false);
   const [userTools, setUserTools] = useState(['claude', 'salesforce', 'apollo']);
+  const [scenarios, setScenarios] = useState([]);
+  const [inputRanges, setInputRanges] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [scenarioSaveStatus, setScenarioSaveStatus] = useState('');
+  // Cost calculator progress as last saved, so saving scenarios keeps its calculations
+  const savedProgressRef = useRef(null);
   const [formData, setFormData] = useState({
     currentRevenue: '',
     targetGrowthRate: '20',
@@ -127,7 +148,7 @@ const CostCalculatorWithExport = () => {
             <YAxis 
               stroke="#9CA3AF"
               fontSize={12}
-              tickFormatter={(value) => `$${(value / 1000).toFixed(0)}K`}
+              tickFormatter={(value) => formatMoney(value, { compact: true })}
             />
             <Tooltip 
               contentStyle={{ 
@@ -137,7 +158,7 @@ const CostCalculatorWithExport = () => {
                 color: '#F3F4F6'
               }}
               formatter={(value, name) => [
-                `$${value.toLocaleString()}`, 
+                formatMoney(value), 
                 name === 'cumulativeCost' ? 'Cumulative Cost of Inaction' : name
               ]}
             />
@@ -161,17 +182,74 @@ const CostCalculatorWithExport = () => {
     );
   };
 
+  // Restore the scenarios saved from either cost calculator
+  useEffect(() => {
+    if (!session?.customerId) return;
+
+    airtableService.getUserProgress(session.customerId, 'cost_calculator')
+      .then(saved => {
+        savedProgressRef.current = saved;
+        if (saved?.scenarios?.length > 0) setScenarios(saved.scenarios);
+        if (saved?.inputRanges) setInputRanges(saved.inputRanges);
+        if (saved?.simulation) setSimulation(saved.simulation);
+      })
+      .catch(err => console.warn('Could not load saved cost scenarios:', err.message));
+  }, [session?.customerId]);
+
+  // The form drives the Expected case; assumptions edited in the scenario
+  // table carry over. Presets are rebuilt around it, custom scenarios kept.
+  useEffect(() => {
+    setScenarios(current => {
+      const inputs = inputsFromForm(formData, current.find(scenario => scenario.id === 'expected')?.inputs);
+      return [
+        ...createDefaultScenarios(inputs),
+        ...current.filter(scenario => !PRESET_SCENARIO_IDS.includes(scenario.id))
+      ];
+    });
+    setInputRanges(current => current || defaultRanges(inputsFromForm(formData)));
+    setSimulation(null);
+  }, [formData]);
+
+  const expectedScenario = scenarios.find(scenario => scenario.id === 'expected');
+
+  const sensitivity = useMemo(() => {
+    if (!expectedScenario || !inputRanges) return null;
+    return tornadoSensitivity(expectedScenario.inputs, inputRanges);
+  }, [expectedScenario, inputRanges]);
+
+  const handleRunSimulation = () => {
+    if (!expectedScenario || !inputRanges) return;
+    setSimulation(runMonteCarlo(expectedScenario.inputs, inputRanges));
+  };
+
+  const handleSaveScenarios = async () => {
+    setScenarioSaveStatus('Saving...');
+    try {
+      const progress = { ...savedProgressRef.current, formData, scenarios, inputRanges, simulation };
+      await airtableService.saveUserProgress(session.customerId, 'cost_calculator', progress);
+      savedProgressRef.current = progress;
+      setScenarioSaveStatus('Saved');
+    } catch (error) {
+      console.error('Failed to save cost scenarios:', error);
+      setScenarioSaveStatus('Save failed');
+    }
+  };
+
   // Enhanced export source data generation
   const generateExportSourceData = useCallback(() => {
     if (!calculations || !costData || !icpData) return null;
 
+    const benchmarkRevenue = localizeBenchmark(10000000, { currency });
+    const revenueBand = (amount) => formatMoney(amount, { compact: true });
+
     return {
+      currency,
       icpData: {
         buyerPersona: {
           name: 'Revenue Operations Leader',
           role: 'VP Sales/RevOps',
           painPoints: ['revenue predictability', 'sales inefficiency', 'data silos'],
-          demographics: 'Mid-market companies, $10M-100M revenue',
+          demographics: `Mid-market companies, ${revenueBand(benchmarkRevenue)}-${revenueBand(benchmarkRevenue * 10)} revenue`,
           decisionMaking: 'committee-based with financial validation',
           language: 'business and financial terminology',
           motivations: ['revenue growth', 'operational efficiency', 'competitive advantage'],
@@ -181,16 +259,18 @@ const CostCalculatorWithExport = () => {
         targetIndustries: ['Technology', 'SaaS', 'Professional Services'],
         companySize: { min: 100, max: 1000 },
         revenueRange: { 
-          min: parseInt(formData.currentRevenue) || 10000000, 
-          max: (parseInt(formData.currentRevenue) || 10000000) * 5 
+          min: parseInt(formData.currentRevenue) || benchmarkRevenue, 
+          max: (parseInt(formData.currentRevenue) || benchmarkRevenue) * 5 
         }
       },
       costData: {
         impactCalculation: {
           methodology: 'Revenue opportunity analysis with cost of inaction modeling',
-          results: `$${calculations.totalLossFirstYear.toLocaleString()} annual impact identified`,
+          results: `${formatMoney(calculations.totalLossFirstYear)} annual impact identified`,
+          monthlyCostOfInaction: calculations.totalMonthlyCost,
           categories: calculations.breakdown,
           timeframe: parseInt(formData.timeframe),
+          currency,
           assumptions: {
             averageDealSize: parseInt(formData.averageDealSize),
             conversionRate: parseFloat(formData.conversionRate),
@@ -208,7 +288,7 @@ const CostCalculatorWithExport = () => {
       businessCaseData: {
         framework: {
           executiveSummary: 'Revenue acceleration through systematic process optimization',
-          financialJustification: `${calculations.totalLossFirstYear.toLocaleString()} annual opportunity cost elimination`,
+          financialJustification: `${formatMoney(calculations.totalLossFirstYear)} annual opportunity cost elimination`,
           riskAssessment: 'Low implementation risk with proven methodology',
           valueProposition: 'Accelerated revenue growth through systematic process improvement'
         }
@@ -217,17 +297,23 @@ const CostCalculatorWithExport = () => {
         competencyAreas: ['Revenue Analysis', 'Process Optimization', 'Financial Modeling']
       }
     };
-  }, [calculations, costData, icpData, formData]);
+  }, [calculations, costData, icpData, formData, currency, formatMoney]);
 
   // Export completion handler
   const handleExportComplete = (exportResults) => {
     console.log('Cost calculator export completed:', exportResults);
-    
+
+    // The scenario comparison goes out alongside the selected formats
+    const scenarioLines = scenarioReportLines({ scenarios, sensitivity, simulation, money: { currency, locale } });
+    const files = scenarioLines.length > 0
+      ? [...exportResults, { filename: 'cost-scenario-comparison.txt', text: scenarioLines.join('\n') }]
+      : exportResults;
+
     // Create downloadable files
-    exportResults.forEach(result => {
-      const blob = new Blob([JSON.stringify(result.data, null, 2)], { 
-        type: 'application/json' 
-      });
+    files.forEach(result => {
+      const blob = result.text !== undefined
+        ? new Blob([result.text], { type: 'text/plain' })
+        : new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -243,79 +329,16 @@ const CostCalculatorWithExport = () => {
 
   // Calculation logic
   const calculateCostOfInaction = useCallback(() => {
-    const revenue = parseInt(formData.currentRevenue) || 0;
-    const growthRate = parseFloat(formData.targetGrowthRate) || 0;
-    const dealSize = parseInt(formData.averageDealSize) || 0;
-    const cycleLength = parseInt(formData.salesCycleLength) || 90;
-    const conversionRate = parseFloat(formData.conversionRate) || 0;
-    const churnRate = parseFloat(formData.churnRate) || 0;
-    const timeframeMonths = parseInt(formData.timeframe) || 12;
-
-    if (revenue === 0 || dealSize === 0) {
-      return null;
-    }
-
-    // Current performance calculations
-    const currentDealsPerYear = revenue / dealSize;
-    const targetDealsPerYear = currentDealsPerYear * (1 + growthRate / 100);
-    const gapInDeals = targetDealsPerYear - currentDealsPerYear;
-
-    // Cost categories
-    const monthlyOpportunityLoss = (gapInDeals * dealSize) / 12;
-    const monthlyCycleLoss = (currentDealsPerYear * dealSize * (cycleLength - 60)) / (90 * 12);
-    const monthlyConversionLoss = (currentDealsPerYear * dealSize * (20 - conversionRate)) / (20 * 12);
-    const monthlyChurnLoss = (revenue * churnRate) / (100 * 12);
-
-    const totalMonthlyCost = monthlyOpportunityLoss + monthlyCycleLoss + monthlyConversionLoss + monthlyChurnLoss;
-
-    // Timeline data for chart
-    const timelineData = [];
-    let cumulativeCost = 0;
-    
-    for (let month = 1; month <= Math.min(timeframeMonths, 24); month++) {
-      cumulativeCost += totalMonthlyCost;
-      timelineData.push({
-        month: `Month ${month}`,
-        monthlyCost: totalMonthlyCost,
-        cumulativeCost: cumulativeCost
-      });
-    }
-
-    return {
-      totalMonthlyCost,
-      totalLossFirstYear: totalMonthlyCost * 12,
-      totalLossTimeframe: totalMonthlyCost * timeframeMonths,
-      breakdown: [
-        {
-          category: 'Lost Revenue Opportunities',
-          monthlyCost: monthlyOpportunityLoss,
-          description: 'Revenue not captured due to missed growth targets'
-        },
-        {
-          category: 'Extended Sales Cycles',
-          monthlyCost: monthlyCycleLoss,
-          description: 'Revenue delayed due to longer than optimal sales cycles'
-        },
-        {
-          category: 'Poor Conversion Rates',
-          monthlyCost: monthlyConversionLoss,
-          description: 'Revenue lost due to suboptimal conversion performance'
-        },
-        {
-          category: 'Customer Churn',
-          monthlyCost: monthlyChurnLoss,
-          description: 'Revenue lost due to customer attrition'
-        }
-      ],
-      timelineData,
-      assumptions: {
-        currentDealsPerYear,
-        targetDealsPerYear,
-        gapInDeals,
-        timeframeMonths
-      }
-    };
-  }, [formData]);
+    return computeRunRateCost({
+      currentRevenue: parseInt(formData.currentRevenue) || 0,
+      targetGrowthRate: parseFloat(formData.targetGrowthRate) || 0,
+      averageDealSize: parseInt(formData.averageDealSize) || 0,
+      salesCycleLength: parseInt(formData.salesCycleLength) || 90,
+      conversionRate: parseFloat(formData.conversionRate) || 0,
+      churnRate: parseFloat(formData.churnRate) || 0,
+      timeframe: parseInt(formData.timeframe) || 12
+    }, { currency });
+  }, [formData, currency]);
 
   // Calculate when form data changes
   useEffect(() => {
@@ -497,6 +520,7 @@ const CostCalculatorWithExport = () => {
               </span>
             )}
           </h1>
+          <CurrencySelector currency={currency} onChange={updateCurrency} className="mb-6" />
           
           {/* Cost Calculator Summary */}
           {costData && (
@@ -516,7 +540,7 @@ const CostCalculatorWithExport = () => {
               onChange={(value) => handleInputChange('currentRevenue', value)}
               placeholder="e.g., 10000000"
               type="number"
-              prefix="$"
+              prefix={symbol}
               autoPopulated={autoPopulated.has('currentRevenue')}
             />
             
@@ -535,7 +559,7 @@ const CostCalculatorWithExport = () => {
               onChange={(value) => handleInputChange('averageDealSize', value)}
               placeholder="e.g., 50000"
               type="number"
-              prefix="$"
+              prefix={symbol}
             />
             
             <MobileOptimizedInput
@@ -575,7 +599,7 @@ const CostCalculatorWithExport = () => {
               <MobileOptimizedCard>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-red-400 mb-2">
-                    ${calculations.totalMonthlyCost.toLocaleString()}
+                    {formatMoney(calculations.totalMonthlyCost)}
                   </div>
                   <div className="text-gray-400 text-sm">Monthly Cost of Inaction</div>
                 </div>
@@ -584,7 +608,7 @@ const CostCalculatorWithExport = () => {
               <MobileOptimizedCard>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-orange-400 mb-2">
-                    ${calculations.totalLossFirstYear.toLocaleString()}
+                    {formatMoney(calculations.totalLossFirstYear)}
                   </div>
                   <div className="text-gray-400 text-sm">Annual Impact</div>
                 </div>
@@ -593,7 +617,7 @@ const CostCalculatorWithExport = () => {
               <MobileOptimizedCard>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-yellow-400 mb-2">
-                    ${calculations.totalLossTimeframe.toLocaleString()}
+                    {formatMoney(calculations.totalLossTimeframe)}
                   </div>
                   <div className="text-gray-400 text-sm">{formData.timeframe}-Month Impact</div>
                 </div>
@@ -613,7 +637,7 @@ const CostCalculatorWithExport = () => {
                     <div className="flex justify-between items-start mb-2">
                       <h4 className="font-semibold text-white">{item.category}</h4>
                       <span className="text-red-400 font-bold">
-                        ${item.monthlyCost.toLocaleString()}/month
+                        {formatMoney(item.monthlyCost)}/month
                       </span>
                     </div>
                     <p className="text-gray-400 text-sm">{item.description}</p>
@@ -622,6 +646,30 @@ const CostCalculatorWithExport = () => {
               </div>
             </MobileOptimizedCard>
 
+            {/* Scenario Modeling */}
+            {scenarios.length > 0 && inputRanges && (
+              <CostScenarioPanel
+                scenarios={scenarios}
+                ranges={inputRanges}
+                sensitivity={sensitivity}
+                simulation={simulation}
+                onScenariosChange={(next) => {
+                  setScenarios(next);
+                  setSimulation(null);
+                  setScenarioSaveStatus('');
+                }}
+                onRangesChange={(next) => {
+                  setInputRanges(next);
+                  setSimulation(null);
+                  setScenarioSaveStatus('');
+                }}
+                onRunSimulation={handleRunSimulation}
+                onSave={handleSaveScenarios}
+                money={{ currency, locale }}
+                saveStatus={scenarioSaveStatus}
+              />
+            )}
+
             {/* Export Interface */}
             {exportSourceData && (
               <div className="bg-gradient-to-r from-purple-900 to-blue-900 border border-purple-500 rounded-lg p-6">
@@ -659,6 +707,7 @@ const CostCalculatorWithExport = () => {
                       contentType="financial-impact"
                       userTools={userTools}
                       onExport={handleExportComplete}
+                      customerId={session?.customerId}
                       className="bg-gray-900 bg-opacity-50"
                     />
                   </div>
@@ -676,8 +725,8 @@ const CostCalculatorWithExport = () => {
               <div>
                 <h4 className="font-medium text-white mb-2">In Presentations</h4>
                 <ul className="text-gray-300 text-sm space-y-1">
-                  <li>• Lead with the monthly cost: "${calculations.totalMonthlyCost.toLocaleString()}/month"</li>
-                  <li>• Emphasize urgency: "Every month costs you ${calculations.totalMonthlyCost.toLocaleString()}"</li>
+                  <li>• Lead with the monthly cost: "{formatMoney(calculations.totalMonthlyCost)}/month"</li>
+                  <li>• Emphasize urgency: "Every month costs you {formatMoney(calculations.totalMonthlyCost)}"</li>
                   <li>• Show the timeline chart for visual impact</li>
                 </ul>
               </div>
@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { MobileOptimizedCard } from '../layout/MobileOptimized';
+import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
+import {
+  COST_INPUTS,
+  DEFAULT_ITERATIONS,
+  cloneScenario,
+  compareScenarios,
+  formatInputValue
+} from '../../services/CostScenarioService';
+import { formatMoney, currencySymbol } from '../../services/financialModel';
+
+const PRESET_IDS = ['conservative', 'expected', 'aggressive'];
+
+const cellInputClass = 'w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white text-sm text-right';
+
+const TornadoChart = ({ sensitivity, money }) => {
+  if (!sensitivity || sensitivity.drivers.length === 0) {
+    return <p className="text-gray-400 text-sm">Set a min and max for at least one input to see what drives the total.</p>;
+  }
+
+  const data = sensitivity.drivers.map(driver => ({
+    label: driver.label,
+    range: [driver.lowTotal, driver.highTotal],
+    detail: `${formatInputValue(driver.key, driver.min, money)} to ${formatInputValue(driver.key, driver.max, money)}`
+  }));
+
+  return (
+    <div style={{ height: Math.max(160, data.length * 40 + 40) }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} layout="vertical" margin={{ left: 24, right: 24 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={(value) => formatMoney(value, { ...money, compact: true })} />
+          <YAxis type="category" dataKey="label" stroke="#9CA3AF" width={150} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#374151', border: '1px solid #6B7280', borderRadius: '8px', color: '#fff' }}
+            formatter={(value, name, item) => [`${formatMoney(value[0], money)} - ${formatMoney(value[1], money)}`, item.payload.detail]}
+          />
+          <ReferenceLine x={sensitivity.baseline} stroke="#F59E0B" strokeDasharray="4 4" />
+          <Bar dataKey="range" fill="#EF4444" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+/**
+ * Scenario modeling for the cost calculator: named scenarios side by side,
+ * a tornado chart of the biggest drivers and Monte Carlo P10/P50/P90 ranges.
+ * State lives in CostCalculator so it can be saved and exported; money is
+ * the customer's { currency, locale }.
+ */
+const CostScenarioPanel = ({
+  scenarios,
+  ranges,
+  sensitivity,
+  simulation,
+  onScenariosChange,
+  onRangesChange,
+  onRunSimulation,
+  onSave,
+  saveStatus,
+  money = {}
+}) => {
+  const [newScenarioName, setNewScenarioName] = useState('');
+
+  const compared = useMemo(() => compareScenarios(scenarios), [scenarios]);
+
+  const updateScenarioInput = (scenarioId, key, value) => {
+    onScenariosChange(scenarios.map(scenario => (
+      scenario.id === scenarioId
+        ? { ...scenario, inputs: { ...scenario.inputs, [key]: parseFloat(value) || 0 } }
+        : scenario
+    )));
+  };
+
+  const addScenario = () => {
+    const base = scenarios.find(scenario => scenario.id === 'expected') || scenarios[0];
+    if (!base || !newScenarioName.trim()) return;
+    onScenariosChange([...scenarios, cloneScenario(base, newScenarioName, scenarios)]);
+    setNewScenarioName('');
+  };
+
+  const removeScenario = (scenarioId) => {
+    onScenariosChange(scenarios.filter(scenario => scenario.id !== scenarioId));
+  };
+
+  const updateRange = (key, bound, value) => {
+    onRangesChange({ ...ranges, [key]: { ...ranges[key], [bound]: parseFloat(value) || 0 } });
+  };
+
+  return (
+    <div className="space-y-6">
+      <MobileOptimizedCard>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4 gap-3">
+          <div>
+            <h3 className="text-lg font-semibold text-white">Scenarios</h3>
+            <p className="text-gray-400 text-sm">Edit any assumption to answer "what if" questions side by side</p>
+          </div>
+          <div className="flex items-center gap-3">
+            {saveStatus && <span className="text-xs text-gray-400">{saveStatus}</span>}
+            <SecondaryButton onClick={onSave}>Save Scenarios</SecondaryButton>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="text-left py-2 pr-4 font-medium">Input</th>
+                {scenarios.map(scenario => (
+                  <th key={scenario.id} className="text-right py-2 px-2 font-medium min-w-[120px]">
+                    <span className="text-white">{scenario.name}</span>
+                    {!PRESET_IDS.includes(scenario.id) && (
+                      <button
+                        type="button"
+                        onClick={() => removeScenario(scenario.id)}
+                        className="ml-2 text-gray-500 hover:text-red-400"
+                        title={`Remove ${scenario.name}`}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COST_INPUTS.map(({ key, label, unit }) => (
+                <tr key={key} className="border-b border-gray-800">
+                  <td className="py-2 pr-4 text-gray-300">
+                    {label}
+                    <span className="text-gray-500 text-xs ml-1">
+                      {unit === 'currency' ? `(${currencySymbol(money)})` : unit === 'percent' ? '(%)' : `(${unit})`}
+                    </span>
+                  </td>
+                  {scenarios.map(scenario => (
+                    <td key={scenario.id} className="py-1 px-2">
+                      <input
+                        type="number"
+                        value={scenario.inputs[key]}
+                        onChange={(e) => updateScenarioInput(scenario.id, key, e.target.value)}
+                        className={cellInputClass}
+                        aria-label={`${scenario.name} ${label}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td className="py-3 pr-4 font-semibold text-white">Cost of Inaction</td>
+                {compared.map(({ id, result }) => (
+                  <td key={id} className="py-3 px-2 text-right font-bold text-red-400">
+                    {formatMoney(result.totalCostOfInaction, money)}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3 mt-4">
+          <input
+            type="text"
+            value={newScenarioName}
+            onChange={(e) => setNewScenarioName(e.target.value)}
+            placeholder="New scenario name, e.g. Churn halved"
+            className="flex-1 bg-gray-900 border border-gray-600 rounded px-3 py-2 text-white text-sm"
+          />
+          <SecondaryButton onClick={addScenario} disabled={!newScenarioName.trim()}>
+            Add from Expected
+          </SecondaryButton>
+        </div>
+      </MobileOptimizedCard>
+
+      <MobileOptimizedCard>
+        <h3 className="text-lg font-semibold text-white mb-1">What Drives the Cost</h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Each bar moves one input of the Expected scenario across its min-max range
+          {sensitivity && ` (baseline ${formatMoney(sensitivity.baseline, money)})`}
+        </p>
+        <TornadoChart sensitivity={sensitivity} money={money} />
+      </MobileOptimizedCard>
+
+      <MobileOptimizedCard>
+        <h3 className="text-lg font-semibold text-white mb-1">Likely Range</h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Min and max per input feed both the tornado chart and {DEFAULT_ITERATIONS.toLocaleString(money.locale)} simulated runs
+        </p>
+
+        <div className="grid sm:grid-cols-2 gap-x-6 gap-y-2 mb-4">
+          {COST_INPUTS.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-2 text-sm">
+              <span className="text-gray-300 flex-1">{label}</span>
+              <input
+                type="number"
+                value={ranges[key]?.min ?? ''}
+                onChange={(e) => updateRange(key, 'min', e.target.value)}
+                className={`${cellInputClass} max-w-[110px]`}
+                aria-label={`${label} min`}
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="number"
+                value={ranges[key]?.max ?? ''}
+                onChange={(e) => updateRange(key, 'max', e.target.value)}
+                className={`${cellInputClass} max-w-[110px]`}
+                aria-label={`${label} max`}
+              />
+            </div>
+          ))}
+        </div>
+
+        <PrimaryButton onClick={onRunSimulation}>Run Simulation</PrimaryButton>
+
+        {simulation && (
+          <div className="grid grid-cols-3 gap-4 mt-6">
+            {[['P10', simulation.p10, 'text-green-400'], ['P50', simulation.p50, 'text-yellow-400'], ['P90', simulation.p90, 'text-red-400']].map(([label, value, color]) => (
+              <div key={label} className="p-4 rounded-lg border bg-gray-700/50 border-gray-600/50 text-center">
+                <div className="text-sm text-gray-400 mb-1">{label}</div>
+                <div className={`text-xl font-bold ${color}`}>{formatMoney(value, money)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </MobileOptimizedCard>
+    </div>
+  );
+};
+
+export default CostScenarioPanel;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Grid3x3, ArrowRight, AlertTriangle, Unlink, Save, Check } from 'lucide-react';
+import { VALUE_THEMES } from '../../services/FeatureValueMappingService';
+
+/**
+ * FeatureValueMatrix - Feature to ICP pain/goal coverage for a value mapping
+ *
+ * Features:
+ * - Coverage summary for pains and goals
+ * - Feature × pain/goal matrix with match strength
+ * - Unaddressed pains/goals and orphan features
+ * - Feature → benefit → business outcome chains
+ * - Save to the customer's product configuration
+ */
+
+const cellClass = (score) => {
+  if (score >= 5) return 'bg-green-500/80 text-white';
+  if (score >= 3) return 'bg-green-700/60 text-green-100';
+  if (score > 0) return 'bg-green-900/50 text-green-300';
+  return 'bg-gray-800/60 text-gray-600';
+};
+
+const CoverageStat = ({ label, coverage }) => (
+  <div className="text-center">
+    <div className={`text-2xl font-bold ${coverage.percent >= 80 ? 'text-green-400' : coverage.percent >= 50 ? 'text-yellow-400' : 'text-red-400'}`}>
+      {coverage.percent}%
+    </div>
+    <div className="text-xs text-gray-400">{label} covered ({coverage.covered}/{coverage.total})</div>
+  </div>
+);
+
+const FeatureValueMatrix = ({ mapping, onSave, savedAt = null }) => {
+  const [showChains, setShowChains] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!mapping || mapping.features.length === 0) return null;
+
+  const { features, targets, chains, matrix } = mapping;
+  const targetById = Object.fromEntries(targets.map(target => [target.id, target]));
+  const featureById = Object.fromEntries(features.map(feature => [feature.id, feature]));
+  const columns = matrix.targetIds.map(id => targetById[id]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(mapping);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Grid3x3 className="w-5 h-5 text-blue-400" />
+          <h3 className="text-white font-medium">Feature → ICP Value Mapping</h3>
+        </div>
+        {onSave && (
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-800 text-gray-300 hover:text-white disabled:opacity-50 transition-colors"
+          >
+            {savedAt && !isSaving ? <Check className="w-4 h-4 text-green-400" /> : <Save className="w-4 h-4" />}
+            {isSaving ? 'Saving...' : savedAt ? 'Saved to Product Configuration' : 'Save to Product Configuration'}
+          </button>
+        )}
+      </div>
+
+      {targets.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          Generate core resources to map these features to your ICP pain points and persona goals.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <CoverageStat label="Pain points" coverage={matrix.coverage.pains} />
+            <CoverageStat label="Goals" coverage={matrix.coverage.goals} />
+            <div className="text-center">
+              <div className={`text-2xl font-bold ${matrix.orphanFeatures.length ? 'text-yellow-400' : 'text-green-400'}`}>
+                {matrix.orphanFeatures.length}
+              </div>
+              <div className="text-xs text-gray-400">Orphan features</div>
+            </div>
+          </div>
+
+          {/* Coverage matrix */}
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate border-spacing-1">
+              <thead>
+                <tr>
+                  <th className="text-left text-gray-400 font-medium min-w-[10rem]">Feature</th>
+                  {columns.map(target => (
+                    <th
+                      key={target.id}
+                      title={`${target.text} (${target.sources.join(', ')})`}
+                      className={`font-medium w-8 ${target.type === 'pain' ? 'text-red-300' : 'text-blue-300'}`}
+                    >
+                      {target.type === 'pain' ? 'P' : 'G'}{target.id.split('_')[1]}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.featureIds.map((featureId, row) => (
+                  <tr key={featureId}>
+                    <td className="text-gray-300 pr-2 break-words">{featureById[featureId].text}</td>
+                    {matrix.scores[row].map((score, column) => (
+                      <td
+                        key={columns[column].id}
+                        title={score ? `${featureById[featureId].text} → ${columns[column].text}` : undefined}
+                        className={`text-center rounded ${cellClass(score)}`}
+                      >
+                        {score || '·'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-500">
+              {columns.map(target => (
+                <span key={target.id}>
+                  <span className={target.type === 'pain' ? 'text-red-300' : 'text-blue-300'}>
+                    {target.type === 'pain' ? 'P' : 'G'}{target.id.split('_')[1]}
+                  </span>{' '}
+                  {target.text}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Gaps */}
+          {(matrix.unaddressedPains.length > 0 || matrix.unaddressedGoals.length > 0 || matrix.orphanFeatures.length > 0) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {(matrix.unaddressedPains.length > 0 || matrix.unaddressedGoals.length > 0) && (
+                <div className="bg-red-900/10 border border-red-500/30 rounded-lg p-3">
+                  <div className="flex items-center gap-2 text-red-300 text-sm font-medium mb-2">
+                    <AlertTriangle className="w-4 h-4" />
+                    Unaddressed pains & goals
+                  </div>
+                  <ul className="text-sm text-gray-300 space-y-1">
+                    {[...matrix.unaddressedPains, ...matrix.unaddressedGoals].map(id => (
+                      <li key={id}>
+                        <span className="text-gray-500">{targetById[id].type === 'pain' ? 'Pain' : 'Goal'}:</span> {targetById[id].text}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {matrix.orphanFeatures.length > 0 && (
+                <div className="bg-yellow-900/10 border border-yellow-500/30 rounded-lg p-3">
+                  <div className="flex items-center gap-2 text-yellow-300 text-sm font-medium mb-2">
+                    <Unlink className="w-4 h-4" />
+                    Features no pain or goal asks for
+                  </div>
+                  <ul className="text-sm text-gray-300 space-y-1">
+                    {matrix.orphanFeatures.map(id => <li key={id}>{featureById[id].text}</li>)}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Value chains */}
+      <div>
+        <button
+          onClick={() => setShowChains(!showChains)}
+          className="text-sm text-blue-400 hover:text-blue-300"
+        >
+          {showChains ? 'Hide' : 'Show'} feature → benefit → outcome chains
+        </button>
+        {showChains && (
+          <div className="mt-3 space-y-3">
+            {chains.map(chain => (
+              <div key={chain.featureId} className="bg-gray-800/50 border border-gray-700 rounded-lg p-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-white font-medium">{chain.feature}</span>
+                  <ArrowRight className="w-4 h-4 text-gray-500" />
+                  <span className="text-blue-300">{chain.benefit}</span>
+                  <ArrowRight className="w-4 h-4 text-gray-500" />
+                  <span className="text-green-300">{chain.outcome}</span>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+                  <span>{VALUE_THEMES[chain.theme]?.label} · for the {chain.stakeholder}</span>
+                  <span>{chain.evidence}</span>
+                  {chain.addresses.length > 0 && (
+                    <span>Addresses: {chain.addresses.map(id => targetById[id]?.text).filter(Boolean).join('; ')}</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FeatureValueMatrix;
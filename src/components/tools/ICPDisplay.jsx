@@ -4,6 +4,8 @@ import ContentDisplay, { Callout } from '../common/ContentDisplay';
 import LoadingSpinner, { CardSkeleton } from '../common/LoadingSpinner';
 import AsyncErrorBoundary, { useAsyncError } from '../common/AsyncErrorBoundary';
 import ICPFrameworkDisplay from './ICPFrameworkDisplay';
+import CompanyProfileFields, { EMPTY_COMPANY_PROFILE } from './CompanyProfileFields';
+import BatchProspectScoring from './BatchProspectScoring';
 import BuyerPersonaDetail from '../icp-analysis/BuyerPersonaDetail';
 import AllSectionsGrid from '../icp-analysis/AllSectionsGrid';
 import DashboardLayout from '../layout/DashboardLayout';
@@ -15,7 +17,9 @@ import NavigationControls from '../navigation/NavigationControls';
 import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
 import useNavigation from '../../hooks/useNavigation';
 import { airtableService } from '../../services/airtableService';
+import { scoreCompanyFit, buildICPTarget, DEFAULT_FRAMEWORK } from '../../services/ICPFitScoringService';
 import { authService } from '../../services/authService';
+import { safeHtml } from '../../services/SafeContentService';
 
 const ICPDisplay = () => {
   const { onICPComplete } = useOutletContext() || {};
@@ -25,6 +29,8 @@ const ICPDisplay = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [companyName, setCompanyName] = useState('');
+  const [companyProfile, setCompanyProfile] = useState(EMPTY_COMPANY_PROFILE);
+  const [ratingMode, setRatingMode] = useState('single');
   const [ratingResult, setRatingResult] = useState(null);
   const [isRating, setIsRating] = useState(false);
   const [icpFramework, setIcpFramework] = useState(null);
@@ -104,8 +110,37 @@ const ICPDisplay = () => {
     }
 
     if (activeTab === 'rating') {
+      const modeToggle = (
+        <div className="inline-flex mb-4 bg-gray-800 border border-gray-700 rounded-lg p-1">
+          {[['single', 'Single Company'], ['batch', 'Batch (CSV)']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setRatingMode(mode)}
+              className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                ratingMode === mode ? 'bg-blue-600 text-white' : 'text-gray-300 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      );
+
+      if (ratingMode === 'batch') {
+        return (
+          <div data-guidance="company-rating">
+            {modeToggle}
+            <BatchProspectScoring
+              framework={icpFramework || DEFAULT_FRAMEWORK}
+              target={buildICPTarget(icpData)}
+            />
+          </div>
+        );
+      }
+
       return (
         <div className="max-w-md" data-guidance="company-rating">
+          {modeToggle}
           <div className="flex items-center space-x-2 mb-4">
             <h2 className="text-lg font-semibold text-white">Company Fit Calculator</h2>
             <ContextualHelp 
@@ -123,6 +158,12 @@ const ICPDisplay = () => {
               placeholder="Enter company name to analyze"
               disabled={isRating}
             />
+
+            <CompanyProfileFields
+              profile={companyProfile}
+              onChange={setCompanyProfile}
+              disabled={isRating}
+            />
             
             <MobileOptimizedButton
               type="submit"
@@ -154,7 +195,7 @@ const ICPDisplay = () => {
                       {ratingResult.overallScore}/100
                     </span>
                   </div>
-                  <p className="text-xs text-gray-700 mt-1">{ratingResult.recommendation} Priority Prospect</p>
+                  <p className="text-xs text-gray-700 mt-1">{ratingResult.recommendation} Prospect • {Math.round(ratingResult.confidence * 100)}% confidence</p>
                 </div>
 
                 {/* Criteria Breakdown */}
@@ -166,15 +207,20 @@ const ICPDisplay = () => {
                           {criterion.name} 
                           <span className="text-xs text-secondary ml-1">({criterion.weight}%)</span>
                         </span>
-                        <span className={`font-semibold ${getScoreColor(criterion.score)}`}>
-                          {criterion.score}/100
+                        <span className={`font-semibold ${criterion.score === null ? 'text-gray-500' : getScoreColor(criterion.score)}`}>
+                          {criterion.score === null ? 'Not scored' : `${criterion.score}/100`}
                         </span>
                       </div>
                       <p className="text-xs text-secondary">{criterion.description}</p>
+                      <ul className="mt-1 space-y-0.5">
+                        {criterion.evidence.map((line, lineIndex) => (
+                          <li key={lineIndex} className="text-xs text-gray-400">• {line}</li>
+                        ))}
+                      </ul>
                       <div className="mt-2 h-1 bg-gray-200 rounded-full overflow-hidden">
                         <div 
                           className={`h-full ${criterion.score >= 80 ? 'bg-green-500' : criterion.score >= 60 ? 'bg-yellow-500' : 'bg-red-500'}`}
-                          style={{ width: `${criterion.score}%` }}
+                          style={{ width: `${criterion.score ?? 0}%` }}
                         />
                       </div>
                     </div>
@@ -215,7 +261,7 @@ const ICPDisplay = () => {
     // Individual section content
     if (sections && sections[activeTab]) {
       return (
-        <div dangerouslySetInnerHTML={{ __html: sections[activeTab] }} />
+        <div dangerouslySetInnerHTML={safeHtml(sections[activeTab])} />
       );
     }
 
@@ -337,62 +383,33 @@ const ICPDisplay = () => {
     setIcpFramework(framework);
   };
 
+  // Deterministic scoring against the customer's framework and ICP - see ICPFitScoringService
   const calculateFitScore = async (companyName) => {
     setIsRating(true);
     setRatingResult(null);
 
     try {
-      // Simulate company analysis (in real implementation, this would call an AI service or external API)
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate API delay
-      
-      // Use custom framework if available, otherwise use defaults
-      const frameworkCriteria = icpFramework || [
-        { name: 'Company Size', weight: 25 },
-        { name: 'Technical Maturity', weight: 30 },
-        { name: 'Growth Stage', weight: 20 },
-        { name: 'Pain Point Severity', weight: 25 }
-      ];
-
-      // Calculate scores based on framework weights
-      const criteriaScores = frameworkCriteria.map(criterion => ({
-        name: criterion.name,
-        weight: criterion.weight,
-        score: Math.floor(Math.random() * 30) + 70, // 70-100 range
-        description: criterion.description || `Assessment of ${criterion.name.toLowerCase()}`
-      }));
-
-      // Calculate weighted overall score
-      const overallScore = Math.round(
-        criteriaScores.reduce((sum, c) => sum + (c.score * c.weight / 100), 0)
+      const rating = scoreCompanyFit(
+        { ...companyProfile, name: companyName },
+        icpFramework || DEFAULT_FRAMEWORK,
+        buildICPTarget(icpData)
       );
 
-      const mockRating = {
-        companyName,
-        overallScore,
-        criteria: criteriaScores,
-        recommendation: 'High Priority',
-        nextSteps: [
-          'Schedule discovery call within 2 weeks',
-          'Prepare customized demo focusing on scalability',
-          'Research recent company news and initiatives'
-        ]
-      };
-
-      setRatingResult(mockRating);
+      setRatingResult(rating);
       
       // Save rating to user progress (only if session is available)
       if (session?.customerId) {
         await airtableService.saveUserProgress(
           session.customerId,
           'icp_rating',
-          { companyName, rating: mockRating }
+          { companyName, profile: companyProfile, rating }
         );
       }
 
       // Trigger workflow completion callback
-      if (onICPComplete && mockRating.overallScore >= 60) {
+      if (onICPComplete && rating.overallScore >= 60) {
         await onICPComplete({
-          overallScore: mockRating.overallScore,
+          overallScore: rating.overallScore,
           companyName: companyName,
           timeSpent: Date.now() - startTime // Calculate time spent
         });
@@ -487,6 +504,12 @@ const ICPDisplay = () => {
                   Enter the name of the company you want to analyze against your ideal customer profile
                 </div>
               </div>
+
+              <CompanyProfileFields
+                profile={companyProfile}
+                onChange={setCompanyProfile}
+                disabled={isRating}
+              />
               
               <button
                 type="submit"
@@ -517,7 +540,7 @@ const ICPDisplay = () => {
                     {ratingResult.criteria.map((criterion, index) => (
                       <div key={index} className="flex justify-between text-sm">
                         <span className="text-gray-700">{criterion.name}</span>
-                        <span className="font-medium">{criterion.score}%</span>
+                        <span className="font-medium">{criterion.score === null ? 'n/a' : `${criterion.score}%`}</span>
                       </div>
                     ))}
                   </div>
@@ -6,6 +6,8 @@ import ContentDisplay, { Callout } from '../common/ContentDisplay';
 import LoadingSpinner, { CardSkeleton } from '../common/LoadingSpinner';
 import AsyncErrorBoundary, { useAsyncError } from '../common/AsyncErrorBoundary';
 import ICPFrameworkDisplay from './ICPFrameworkDisplay';
+import CompanyProfileFields, { EMPTY_COMPANY_PROFILE } from './CompanyProfileFields';
+import BatchProspectScoring from './BatchProspectScoring';
 import BuyerPersonaDetail from '../icp-analysis/BuyerPersonaDetail';
 import AllSectionsGrid from '../icp-analysis/AllSectionsGrid';
 import DashboardLayout from '../layout/DashboardLayout';
@@ -18,7 +20,9 @@ import { PrimaryButton, SecondaryButton } from '../ui/ButtonComponents';
 import SmartExportInterface from '../export/SmartExportInterface';
 import useNavigation from '../../hooks/useNavigation';
 import { airtableService } from '../../services/airtableService';
+import { scoreCompanyFit, buildICPTarget, DEFAULT_FRAMEWORK } from '../../services/ICPFitScoringService';
 import { authService } from '../../services/authService';
+import { safeHtml } from '../../services/SafeContentService';
 
 const ICPDisplayWithExport = () => {
   const { onICPComplete } = useOutletContext() || {};
@@ -28,6 +32,8 @@ const ICPDisplayWithExport = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [companyName, setCompanyName] = useState('');
+  const [companyProfile, setCompanyProfile] = useState(EMPTY_COMPANY_PROFILE);
+  const [ratingMode, setRatingMode] = useState('single');
   const [ratingResult, setRatingResult] = useState(null);
   const [isRating, setIsRating] = useState(false);
   const [icpFramework, setIcpFramework] = useState(null);
@@ -188,6 +194,7 @@ const ICPDisplayWithExport = () => {
               contentType="icp-analysis"
               userTools={userTools}
               onExport={handleExportComplete}
+              customerId={session?.customerId}
               className="w-full"
             />
           ) : (
@@ -211,8 +218,37 @@ const ICPDisplayWithExport = () => {
     }
 
     if (activeTab === 'rating') {
+      const modeToggle = (
+        <div className="inline-flex mb-4 bg-gray-800 border border-gray-700 rounded-lg p-1">
+          {[['single', 'Single Company'], ['batch', 'Batch (CSV)']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setRatingMode(mode)}
+              className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                ratingMode === mode ? 'bg-blue-600 text-white' : 'text-gray-300 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      );
+
+      if (ratingMode === 'batch') {
+        return (
+          <div data-guidance="company-rating">
+            {modeToggle}
+            <BatchProspectScoring
+              framework={icpFramework || DEFAULT_FRAMEWORK}
+              target={buildICPTarget(icpData)}
+            />
+          </div>
+        );
+      }
+
       return (
         <div className="max-w-md" data-guidance="company-rating">
+          {modeToggle}
           <div className="flex items-center space-x-2 mb-4">
             <h2 className="text-lg font-semibold text-white">Company Fit Calculator</h2>
             <ContextualHelp 
@@ -230,6 +266,12 @@ const ICPDisplayWithExport = () => {
               placeholder="Enter company name to analyze"
               disabled={isRating}
             />
+
+            <CompanyProfileFields
+              profile={companyProfile}
+              onChange={setCompanyProfile}
+              disabled={isRating}
+            />
             
             <MobileOptimizedButton
               type="submit"
@@ -261,7 +303,7 @@ const ICPDisplayWithExport = () => {
                       {ratingResult.overallScore}/100
                     </span>
                   </div>
-                  <p className="text-xs text-gray-700 mt-1">{ratingResult.recommendation} Priority Prospect</p>
+                  <p className="text-xs text-gray-700 mt-1">{ratingResult.recommendation} Prospect • {Math.round(ratingResult.confidence * 100)}% confidence</p>
                 </div>
 
                 {/* Criteria Breakdown */}
@@ -273,15 +315,20 @@ const ICPDisplayWithExport = () => {
                           {criterion.name} 
                           <span className="text-xs text-secondary ml-1">({criterion.weight}%)</span>
                         </span>
-                        <span className={`font-semibold ${getScoreColor(criterion.score)}`}>
-                          {criterion.score}/100
+                        <span className={`font-semibold ${criterion.score === null ? 'text-gray-500' : getScoreColor(criterion.score)}`}>
+                          {criterion.score === null ? 'Not scored' : `${criterion.score}/100`}
                         </span>
                       </div>
                       <p className="text-xs text-secondary">{criterion.description}</p>
+                      <ul className="mt-1 space-y-0.5">
+                        {criterion.evidence.map((line, lineIndex) => (
+                          <li key={lineIndex} className="text-xs text-gray-400">• {line}</li>
+                        ))}
+                      </ul>
                       <div className="mt-2 h-1 bg-gray-200 rounded-full overflow-hidden">
                         <div 
                           className={`h-full ${criterion.score >= 80 ? 'bg-green-500' : criterion.score >= 60 ? 'bg-yellow-500' : 'bg-red-500'}`}
-                          style={{ width: `${criterion.score}%` }}
+                          style={{ width: `${criterion.score ?? 0}%` }}
                         />
                       </div>
                     </div>
@@ -339,7 +386,7 @@ const ICPDisplayWithExport = () => {
     // Individual section content
     if (sections && sections[activeTab]) {
       return (
-        <div dangerouslySetInnerHTML={{ __html: sections[activeTab] }} />
+        <div dangerouslySetInnerHTML={safeHtml(sections[activeTab])} />
       );
     }
 
@@ -471,59 +518,35 @@ const ICPDisplayWithExport = () => {
     setIcpFramework(framework);
   };
 
-  // Rating calculation (same as original)
+  // Deterministic scoring against the customer's framework and ICP - see ICPFitScoringService
   const calculateFitScore = async (companyName) => {
     setIsRating(true);
     setRatingResult(null);
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const frameworkCriteria = icpFramework || [
-        { name: 'Company Size', weight: 25 },
-        { name: 'Technical Maturity', weight: 30 },
-        { name: 'Growth Stage', weight: 20 },
-        { name: 'Pain Point Severity', weight: 25 }
-      ];
-
-      const criteriaScores = frameworkCriteria.map(criterion => ({
-        name: criterion.name,
-        weight: criterion.weight,
-        score: Math.floor(Math.random() * 30) + 70,
-        description: criterion.description || `Assessment of ${criterion.name.toLowerCase()}`
-      }));
-
-      const overallScore = Math.round(
-        criteriaScores.reduce((sum, c) => sum + (c.score * c.weight / 100), 0)
+      const rating = scoreCompanyFit(
+        { ...companyProfile, name: companyName },
+        icpFramework || DEFAULT_FRAMEWORK,
+        buildICPTarget(icpData)
       );
 
-      const mockRating = {
-        companyName,
-        overallScore,
-        criteria: criteriaScores,
-        recommendation: 'High Priority',
-        nextSteps: [
-          'Schedule discovery call within 2 weeks',
-          'Prepare customized demo focusing on scalability',
-          'Research recent company news and initiatives'
-        ]
-      };
-
-      setRatingResult(mockRating);
+      setRatingResult(rating);
       
+      // Save rating to user progress (only if session is available)
       if (session?.customerId) {
         await airtableService.saveUserProgress(
           session.customerId,
           'icp_rating',
-          { companyName, rating: mockRating }
+          { companyName, profile: companyProfile, rating }
         );
       }
 
-      if (onICPComplete && mockRating.overallScore >= 60) {
+      // Trigger workflow completion callback
+      if (onICPComplete && rating.overallScore >= 60) {
         await onICPComplete({
-          overallScore: mockRating.overallScore,
+          overallScore: rating.overallScore,
           companyName: companyName,
-          timeSpent: Date.now() - startTime
+          timeSpent: Date.now() - startTime // Calculate time spent
         });
       }
 
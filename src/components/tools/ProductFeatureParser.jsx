@@ -102,6 +102,26 @@ const ProductFeatureParser = ({
     return Math.min(score, 100);
   };
 
+  // Generate market positioning insights
+  const generateMarketPositioning = (feature, category) => {
+    const featureLower = feature.toLowerCase();
+    
+    if (featureLower.includes('ai') || featureLower.includes('automation')) {
+      return 'Innovation Leader - AI/Automation advantage';
+    }
+    if (featureLower.includes('security') || featureLower.includes('compliance')) {
+      return 'Trust & Security - Enterprise-grade reliability';
+    }
+    if (featureLower.includes('integration') || featureLower.includes('api')) {
+      return 'Ecosystem Player - Seamless connectivity';
+    }
+    if (featureLower.includes('analytics') || featureLower.includes('insights')) {
+      return 'Data-Driven - Intelligence advantage';
+    }
+    
+    return category === 'business' ? 'Value Creator - ROI focused' : 'Feature Rich - Comprehensive solution';
+  };
+
   // Smart feature parsing and categorization
   const analyzeFeatures = useMemo(() => {
     if (!rawInput.trim()) return [];
@@ -142,26 +162,6 @@ const ProductFeatureParser = ({
     });
   }, [rawInput, businessType]);
 
-  // Generate market positioning insights
-  const generateMarketPositioning = (feature, category) => {
-    const featureLower = feature.toLowerCase();
-    
-    if (featureLower.includes('ai') || featureLower.includes('automation')) {
-      return 'Innovation Leader - AI/Automation advantage';
-    }
-    if (featureLower.includes('security') || featureLower.includes('compliance')) {
-      return 'Trust & Security - Enterprise-grade reliability';
-    }
-    if (featureLower.includes('integration') || featureLower.includes('api')) {
-      return 'Ecosystem Player - Seamless connectivity';
-    }
-    if (featureLower.includes('analytics') || featureLower.includes('insights')) {
-      return 'Data-Driven - Intelligence advantage';
-    }
-    
-    return category === 'business' ? 'Value Creator - ROI focused' : 'Feature Rich - Comprehensive solution';
-  };
-
   // Update parsed features when analysis completes
   useEffect(() => {
     if (rawInput.trim()) {
@@ -137,6 +137,8 @@ export const BUSINESS = {
   defaultInefficiencyRate: 0.15,     // 15%
   defaultChurnImpact: 0.05,          // 5%
   defaultGrowthWithoutAction: 0.3,   // 30% of target growth
+  baselineSalesCycleDays: 60,        // cycle length that costs nothing extra
+  delayCostPerDayRate: 0.02,         // 2% of deal size per day beyond baseline
   
   // Time periods
   quarterMonths: 3,
@@ -145,6 +147,7 @@ export const BUSINESS = {
   
   // Currency formatting
   defaultCurrency: 'USD',
+  defaultLocale: 'en-US',
   decimalPlaces: 0,
   
   // Business case templates
@@ -160,6 +163,21 @@ export const BUSINESS = {
   }
 };
 
+// Currencies customers can report in. Each needs a rate in
+// src/data/fxRates.json; locale is the default number format for it.
+export const CURRENCIES = {
+  USD: { label: 'US Dollar', locale: 'en-US' },
+  EUR: { label: 'Euro', locale: 'de-DE' },
+  GBP: { label: 'British Pound', locale: 'en-GB' },
+  CHF: { label: 'Swiss Franc', locale: 'de-CH' },
+  SEK: { label: 'Swedish Krona', locale: 'sv-SE' },
+  NOK: { label: 'Norwegian Krone', locale: 'nb-NO' },
+  DKK: { label: 'Danish Krone', locale: 'da-DK' },
+  CAD: { label: 'Canadian Dollar', locale: 'en-CA' },
+  AUD: { label: 'Australian Dollar', locale: 'en-AU' },
+  JPY: { label: 'Japanese Yen', locale: 'ja-JP' }
+};
+
 // Error messages
 export const ERRORS = {
   // Network errors
@@ -0,0 +1,73 @@
+/**
+ * useCurrencyPreference Hook
+ *
+ * The signed-in customer's reporting currency and locale, kept in their user
+ * preferences, with a money formatter bound to them. Tools format every
+ * amount (screen and exports) through this so EUR and GBP customers never
+ * see dollar signs.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { airtableService } from '../services/airtableService';
+import { authService } from '../services/authService';
+import webhookService from '../services/webhookService';
+import { CURRENCIES } from '../constants/app';
+import { formatMoney, currencySymbol, moneyPreferences } from '../services/financialModel';
+
+export const useCurrencyPreference = () => {
+  const [preferences, setPreferences] = useState(() => moneyPreferences());
+
+  const session = authService.getCurrentSession();
+  const recordId = session?.recordId;
+
+  useEffect(() => {
+    if (!recordId) return undefined;
+
+    let cancelled = false;
+    airtableService.getCustomerDataByRecordId(recordId)
+      .then(customerData => {
+        if (!cancelled) setPreferences(moneyPreferences(customerData.userPreferences));
+      })
+      .catch(err => console.warn('Could not load currency preference:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recordId]);
+
+  // Switching currency resets the locale to that currency's default
+  const updateCurrency = useCallback(async (currency, locale = CURRENCIES[currency]?.locale) => {
+    const next = moneyPreferences({ currency, locale });
+    setPreferences(next);
+    if (!recordId) return next;
+
+    try {
+      await airtableService.updateUserPreferences(recordId, next);
+    } catch (err) {
+      console.error('Error saving currency preference:', err);
+    }
+    return next;
+  }, [recordId]);
+
+  const format = useCallback(
+    (amount, options) => formatMoney(amount, { ...preferences, ...options }),
+    [preferences]
+  );
+
+  const symbol = useMemo(() => currencySymbol(preferences), [preferences]);
+
+  // Rendered Core Resources (persona income) follow the same preference
+  useEffect(() => {
+    webhookService.setMoneyPreferences(preferences);
+  }, [preferences]);
+
+  return {
+    currency: preferences.currency,
+    locale: preferences.locale,
+    symbol,
+    formatMoney: format,
+    updateCurrency
+  };
+};
+
+export default useCurrencyPreference;
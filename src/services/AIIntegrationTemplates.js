@@ -282,6 +282,73 @@ I'd be happy to show you how we're different, but first - what's most important
     }
   },
 
+  // COMPETITIVE BATTLECARD PROMPTS
+  generateBattlecardPrompts: (battlecard) => {
+    try {
+      const competitor = battlecard.competitor || '[COMPETITOR]';
+      const productName = battlecard.productName || 'our solution';
+      const bullets = (items) => (items && items.length ? items.map(item => `- ${item}`).join('\n') : '- Not yet recorded');
+      const record = battlecard.record?.total
+        ? `${battlecard.record.wins} won / ${battlecard.record.losses} lost (${battlecard.record.winRate}% win rate)`
+        : 'No deals recorded yet';
+
+      const competitorProfile = `COMPETITOR: ${competitor}
+Positioning: ${battlecard.positioning || 'Not recorded'}
+Pricing: ${battlecard.pricingNotes || 'Not recorded'}
+Our record against them: ${record}
+
+Their strengths:
+${bullets(battlecard.strengths)}
+
+Their weaknesses:
+${bullets(battlecard.weaknesses)}`;
+
+      return {
+        competitiveDealPrompt: `You are a competitive deal strategist. We sell ${productName} and are up against ${competitor} at [COMPANY_NAME].
+
+${competitorProfile}
+
+WHY WE WIN:
+${bullets(battlecard.whyWeWin)}
+
+Deal context: [PROSPECT_CONTEXT]
+
+Provide:
+1. The two or three win themes that fit this deal best, and why
+2. Where ${competitor} is likely to attack us and how to get ahead of it
+3. Proof points or references to line up before the next call
+4. A next step that moves the evaluation onto ground where we are strongest`,
+
+        landmineDiscoveryPrompt: `You are a discovery coach. Help a rep plant landmine questions in a deal where [COMPANY_NAME] is also evaluating ${competitor}.
+
+${competitorProfile}
+
+LANDMINE QUESTIONS:
+${bullets((battlecard.landmines || []).map(({ question, exposes }) => `${question} (exposes: ${exposes})`))}
+
+For each question:
+1. When in the conversation to ask it
+2. How to phrase it so it sounds like good discovery, not a competitor attack
+3. What a strong and a weak answer from the buyer would tell us
+4. The follow-up question to ask next`,
+
+        objectionRebuttalPrompt: `You are a sales conversation coach. Role-play ${competitor}'s strongest objections so a rep can practice the rebuttals.
+
+${competitorProfile}
+
+REBUTTALS BY PERSONA:
+${(battlecard.objections || []).map(({ persona, role, rebuttals }) =>
+  `${persona} (${role}):\n${bullets(rebuttals.map(({ objection, response }) => `"${objection}" -> ${response}`))}`).join('\n\n') || '- Not yet recorded'}
+
+Play the persona named in [INSERT_OBJECTION] (or the Economic Buyer if none is named). Raise one objection at a time, react realistically to the rep's answer, and after three rounds score the rep on acknowledgment, reframing and evidence.`
+      };
+
+    } catch (error) {
+      console.error('Error generating battlecard prompts:', error);
+      return AIIntegrationTemplates.getDefaultBattlecardPrompts();
+    }
+  },
+
   // PROMPT OPTIMIZATION HELPERS
   optimizePromptForAI: (basePrompt, aiType = 'claude') => {
     try {
@@ -412,6 +479,21 @@ Context: [INSERT_PROSPECT_CONTEXT]`
     };
   },
 
+  getDefaultBattlecardPrompts: () => {
+    return {
+      competitiveDealPrompt: `You are a competitive deal strategist. For a deal at [COMPANY_NAME] against [COMPETITOR]:
+1. Likely win themes
+2. Where the competitor will attack
+3. Proof points to prepare
+
+Context: [PROSPECT_CONTEXT]`,
+
+      landmineDiscoveryPrompt: 'You are a discovery coach. Suggest discovery questions that expose [COMPETITOR]\'s weaknesses without naming them.',
+
+      objectionRebuttalPrompt: 'You are a sales conversation coach. Role-play [COMPETITOR]\'s strongest objections so a rep can practice rebuttals.'
+    };
+  },
+
   // VALIDATION HELPERS
   validatePromptData: (data) => {
     try {
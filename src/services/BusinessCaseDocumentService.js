@@ -0,0 +1,637 @@
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  HeadingLevel,
+  Packer,
+  PageNumber,
+  Paragraph,
+  SectionType,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { jsPDF } from 'jspdf';
+import { BUSINESS_CASE_DEFAULTS, FX_RATES, formatMoney, fxRate, parseMoneyAmount } from './financialModel';
+import { COST_INPUTS, formatInputValue, inputsFromForm } from './CostScenarioService';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, templateField } from './BusinessCaseTemplateService';
+import { escapeHtml } from './SafeContentService';
+
+/**
+ * Business Case Document Service
+ *
+ * Turns the Business Case Builder form, its returns and the customer's saved
+ * cost calculator results into one document model - cover, executive
+ * summary, the template's sections, financial tables, the template's
+ * implementation timeline and an appendix of assumptions - and
+ * renders that model as escaped HTML (preview), a Word document and a
+ * paginated PDF. The renderers only lay out blocks; anything that should
+ * appear in every format belongs in buildBusinessCaseDocument.
+ *
+ * Blocks are { type: 'subheading' | 'paragraph' | 'bullets' | 'keyValue' | 'table' };
+ * tables may carry relative column widths that both page renderers honour.
+ * Form fields use the builder's light markup ("**Label:**" lines and "•"
+ * bullets), which textBlocks turns into blocks rather than raw text.
+ */
+
+const COST_METRIC_LABELS = {
+  missedGrowthRevenue: 'Missed Growth Revenue',
+  inefficiencyLoss: 'Sales Inefficiency',
+  churnImpact: 'Customer Churn',
+  salesCycleCost: 'Extended Sales Cycle'
+};
+
+const BULLET_PATTERN = /^(?:[•*-])\s+/;
+const LABEL_PATTERN = /^\*\*(.+?)\*\*$/;
+
+const stripMarkup = (text) => text.replace(/\*\*/g, '').trim();
+
+const formatPercent = (value, decimals = 0) => `${(value * 100).toFixed(decimals)}%`;
+
+/**
+ * Blocks from a form field, or a single paragraph with the fallback text
+ */
+export function textBlocks(text, fallback = '') {
+  const source = typeof text === 'string' && text.trim() ? text : fallback;
+  const blocks = [];
+  let paragraph = [];
+  let bullets = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    if (bullets.length > 0) blocks.push({ type: 'bullets', items: bullets });
+    paragraph = [];
+    bullets = [];
+  };
+
+  String(source).split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+    } else if (BULLET_PATTERN.test(line)) {
+      if (paragraph.length > 0) flush();
+      bullets.push(stripMarkup(line.replace(BULLET_PATTERN, '')));
+    } else if (LABEL_PATTERN.test(line)) {
+      flush();
+      blocks.push({ type: 'subheading', text: stripMarkup(line).replace(/:$/, '') });
+    } else {
+      if (bullets.length > 0) flush();
+      paragraph.push(stripMarkup(line));
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Cost calculator results the document can use from the tool's saved
+ * progress ({ formData, calculations, scenarios }), or null before the
+ * customer has run a calculation
+ */
+export function costAnalysisFromProgress(progress) {
+  if (!progress?.calculations?.metrics) return null;
+  const expected = progress.scenarios?.find(scenario => scenario.id === 'expected');
+  return {
+    calculations: progress.calculations,
+    inputs: expected?.inputs || inputsFromForm(progress.formData)
+  };
+}
+
+const subsection = (heading, text, fallback) => [{ type: 'subheading', text: heading }, ...textBlocks(text, fallback)];
+
+const PLAIN_NUMBER = /^\s*\d+(?:\.\d+)?\s*$/;
+
+// A template section's fields as subsections; bare numbers in currency fields are formatted
+function fieldBlocks(template, fields, formData, money) {
+  return fields.flatMap(key => {
+    const field = templateField(template, key);
+    if (!field || field.summaryOnly || key === 'timeline') return [];
+    const value = formData[key];
+    const text = field.type === 'currency' && PLAIN_NUMBER.test(String(value ?? ''))
+      ? formatMoney(parseFloat(value), money)
+      : value;
+    return subsection(field.label, text, field.fallback || `${field.label} to be provided`);
+  });
+}
+
+function financialBlocks(narrative, returns, costAnalysis, money) {
+  const blocks = [...narrative];
+
+  if (returns) {
+    let cumulative = 0;
+    blocks.push({
+      type: 'table',
+      title: `Investment Returns (${returns.cashFlows.length - 1}-Year)`,
+      columns: ['Year', 'Net Cash Flow', 'Cumulative'],
+      rows: returns.cashFlows.map((cashFlow, year) => {
+        cumulative += cashFlow;
+        return [year === 0 ? 'Year 0 (Investment)' : `Year ${year}`, formatMoney(cashFlow, money), formatMoney(cumulative, money)];
+      })
+    });
+    blocks.push({
+      type: 'keyValue',
+      rows: [
+        ['Total Net Benefit', formatMoney(returns.totalBenefit, money)],
+        ['Return on Investment', returns.roi === null ? 'n/a' : `${returns.roi}%`],
+        ['Net Present Value', formatMoney(returns.npv, money)],
+        ['Internal Rate of Return', returns.irr === null ? 'n/a' : formatPercent(returns.irr, 1)],
+        ['Payback Period', returns.paybackMonths === null ? 'Beyond the analysis horizon' : `${returns.paybackMonths} months`]
+      ]
+    });
+  }
+
+  if (costAnalysis) {
+    const { calculations } = costAnalysis;
+    const costMoney = { ...money, currency: calculations.currency || money.currency };
+    blocks.push({
+      type: 'table',
+      title: 'Cost of Inaction (Cost Calculator)',
+      columns: ['Category', 'Cost'],
+      rows: [
+        ...Object.entries(COST_METRIC_LABELS).map(([key, label]) => [label, formatMoney(calculations.metrics[key] || 0, costMoney)]),
+        ['Total Cost of Inaction', formatMoney(calculations.totalCostOfInaction, costMoney)]
+      ],
+      totalRow: true
+    });
+    if (calculations.impactCategories?.length > 0) {
+      blocks.push({
+        type: 'table',
+        title: 'Impact by Category',
+        columns: ['Category', 'Current State', 'With Improvement', 'Impact'],
+        rows: calculations.impactCategories.map(({ category, currentState, withImprovement, impact }) => [
+          category,
+          formatMoney(currentState, costMoney),
+          formatMoney(withImprovement, costMoney),
+          formatMoney(impact, costMoney)
+        ])
+      });
+    }
+  }
+
+  return blocks;
+}
+
+function assumptionBlocks(template, returns, costAnalysis, money) {
+  const rows = [
+    ['Reporting Currency', `${money.currency} (${money.locale})`],
+    ['Template', `${template.name}, ${template.duration}`]
+  ];
+  if (returns) {
+    rows.push(
+      ['Analysis Horizon', `${returns.cashFlows.length - 1} years`],
+      ['Discount Rate', formatPercent(BUSINESS_CASE_DEFAULTS.discountRate)],
+      ['Benefit Profile', 'Even annual benefit from the end of year 1; payback counted monthly']
+    );
+  }
+  if (money.currency !== FX_RATES.base && FX_RATES.rates[money.currency]) {
+    rows.push(['Exchange Rate', `1 ${FX_RATES.base} = ${fxRate(FX_RATES.base, money.currency)} ${money.currency} (offline table as of ${FX_RATES.asOf})`]);
+  }
+
+  const blocks = [{ type: 'keyValue', rows }];
+  if (costAnalysis?.inputs) {
+    const costMoney = { ...money, currency: costAnalysis.calculations.currency || money.currency };
+    blocks.push({
+      type: 'table',
+      title: 'Cost Calculator Inputs',
+      columns: ['Input', 'Value'],
+      rows: COST_INPUTS
+        .filter(({ key }) => costAnalysis.inputs[key] !== undefined)
+        .map(({ key, label }) => [label, formatInputValue(key, costAnalysis.inputs[key], costMoney)])
+    });
+  }
+  blocks.push({
+    type: 'paragraph',
+    text: 'Figures are estimates from the inputs above and the customer\'s own entries; they are not a guarantee of results.'
+  });
+  return blocks;
+}
+
+const sectionDocumentId = (id) => id.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+function timelineSection(template, formData) {
+  return {
+    id: 'implementation-timeline',
+    title: 'Implementation Timeline',
+    blocks: [
+      {
+        type: 'table',
+        title: `${template.name} Plan (${template.duration})`,
+        columns: ['Phase', 'Timing', 'Key Activities', 'Milestone'],
+        widths: [0.22, 0.16, 0.4, 0.22],
+        rows: template.phases.map(({ name, timing, activities, milestone }) => [name, timing, activities.join('; '), milestone || ''])
+      },
+      ...(formData.timeline?.trim() ? subsection('Timeline Notes', formData.timeline) : [])
+    ]
+  };
+}
+
+/**
+ * The business case as a format-neutral document. Sections follow the
+ * template; the financial tables join its financial analysis section (or
+ * get their own) and the timeline follows them.
+ * @param {Object} params - { formData, template (BusinessCaseTemplateService), returns (financialModel.businessCaseReturns),
+ *   costAnalysis (costAnalysisFromProgress), money: { currency, locale }, generatedAt }
+ * @returns {{ title, cover: { title, subtitle, details }, sections: Array<{ id, title, blocks }> }}
+ */
+export function buildBusinessCaseDocument({
+  formData = {},
+  template = BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE_ID],
+  returns = null,
+  costAnalysis = null,
+  money = {},
+  generatedAt = new Date()
+} = {}) {
+  const resolvedMoney = { currency: money.currency || FX_RATES.base, locale: money.locale || 'en-US' };
+  const title = formData.projectTitle?.trim() || 'Project Implementation';
+  const company = formData.companyName?.trim() || 'Your Company';
+  const requestedAmount = formatMoney(parseMoneyAmount(formData.requestedAmount) || 0, resolvedMoney);
+  const expectedROI = formData.expectedROI ? `${formData.expectedROI}%` : (returns?.roi != null ? `${returns.roi}%` : 'To be confirmed');
+  const paybackMonths = formData.paybackPeriod || returns?.paybackMonths;
+
+  const summaryRows = [
+    ['Project', title],
+    ['Investment Required', requestedAmount],
+    ['Expected ROI', expectedROI],
+    ['Payback Period', paybackMonths ? `${paybackMonths} months` : 'To be confirmed']
+  ];
+  if (returns) summaryRows.push([`Net Present Value (${returns.cashFlows.length - 1} years)`, formatMoney(returns.npv, resolvedMoney)]);
+  if (costAnalysis) {
+    summaryRows.push(['Cost of Inaction', formatMoney(costAnalysis.calculations.totalCostOfInaction, {
+      ...resolvedMoney,
+      currency: costAnalysis.calculations.currency || resolvedMoney.currency
+    })]);
+  }
+
+  const sections = [
+    {
+      id: 'executive-summary',
+      title: 'Executive Summary',
+      blocks: [
+        {
+          type: 'paragraph',
+          text: `${company} requests ${requestedAmount} for a ${template.name.toLowerCase()}${template.description ? ` (${template.description.toLowerCase()})` : ''} over ${template.duration}.`
+        },
+        { type: 'keyValue', rows: summaryRows }
+      ]
+    }
+  ];
+
+  let hasFinancials = false;
+  template.sections.forEach(section => {
+    const narrative = fieldBlocks(template, section.fields, formData, resolvedMoney);
+    if (section.id === 'financialAnalysis') {
+      hasFinancials = true;
+      sections.push({ id: 'financial-analysis', title: section.title, blocks: financialBlocks(narrative, returns, costAnalysis, resolvedMoney) });
+      sections.push(timelineSection(template, formData));
+    } else if (narrative.length > 0) {
+      sections.push({ id: sectionDocumentId(section.id), title: section.title, blocks: narrative });
+    }
+  });
+  if (!hasFinancials) {
+    const tables = financialBlocks([], returns, costAnalysis, resolvedMoney);
+    if (tables.length > 0) sections.push({ id: 'financial-analysis', title: 'Financial Analysis', blocks: tables });
+    sections.push(timelineSection(template, formData));
+  }
+  sections.push({
+    id: 'appendix-assumptions',
+    title: 'Appendix: Assumptions',
+    blocks: assumptionBlocks(template, returns, costAnalysis, resolvedMoney)
+  });
+
+  return {
+    title: `Business Case: ${title}`,
+    cover: {
+      title,
+      subtitle: `Business Case - ${template.name}`,
+      details: [
+        ['Prepared for', company],
+        ['Template', `${template.name} (${template.duration})`],
+        ['Requested Investment', requestedAmount],
+        ['Date', generatedAt.toLocaleDateString(resolvedMoney.locale, { year: 'numeric', month: 'long', day: 'numeric' })]
+      ]
+    },
+    sections
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HTML (preview)
+// ---------------------------------------------------------------------------
+
+export { escapeHtml };
+
+function blockHtml(block) {
+  switch (block.type) {
+    case 'subheading':
+      return `<h3>${escapeHtml(block.text)}</h3>`;
+    case 'bullets':
+      return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    case 'keyValue':
+      return `<dl class="key-values">${block.rows.map(([label, value]) =>
+        `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}</dl>`;
+    case 'table':
+      return [
+        block.title ? `<h4>${escapeHtml(block.title)}</h4>` : '',
+        '<table><thead><tr>',
+        block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join(''),
+        '</tr></thead><tbody>',
+        block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join(''),
+        '</tbody></table>'
+      ].join('');
+    default:
+      return `<p>${escapeHtml(block.text)}</p>`;
+  }
+}
+
+/**
+ * Escaped HTML for the in-app preview; safe for dangerouslySetInnerHTML
+ */
+export function businessCaseHtml(model) {
+  return [
+    '<div class="business-case-document">',
+    '<header class="document-header">',
+    `<h1>${escapeHtml(model.title)}</h1>`,
+    `<p>${escapeHtml(model.cover.subtitle)}</p>`,
+    '<div class="document-meta">',
+    model.cover.details.map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join(''),
+    '</div></header>',
+    model.sections.map(section =>
+      `<section class="${escapeHtml(section.id)}"><h2>${escapeHtml(section.title)}</h2>${section.blocks.map(blockHtml).join('')}</section>`
+    ).join(''),
+    '</div>'
+  ].join('');
+}
+
+// ---------------------------------------------------------------------------
+// Word
+// ---------------------------------------------------------------------------
+
+const BRAND_COLOR = '1F3A5F';
+const HEADER_FILL = 'E7EEF7';
+// A4 less 1" margins, in twentieths of a point
+const DOCX_CONTENT_WIDTH = 9026;
+
+const docxCell = (text, { header = false, bold = false } = {}) => new TableCell({
+  children: [new Paragraph({ children: [new TextRun({ text: String(text), bold: header || bold })] })],
+  ...(header ? { shading: { fill: HEADER_FILL, type: ShadingType.CLEAR, color: 'auto' } } : {}),
+  margins: { top: 60, bottom: 60, left: 100, right: 100 }
+});
+
+function docxBlocks(block) {
+  switch (block.type) {
+    case 'subheading':
+      return [new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_2 })];
+    case 'bullets':
+      return block.items.map(item => new Paragraph({ text: item, bullet: { level: 0 } }));
+    case 'keyValue':
+      return [new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: block.rows.map(([label, value]) => new TableRow({ children: [docxCell(label, { header: true }), docxCell(value)] }))
+      })];
+    case 'table':
+      return [
+        ...(block.title ? [new Paragraph({ text: block.title, heading: HeadingLevel.HEADING_3 })] : []),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          ...(block.widths ? { columnWidths: block.widths.map(share => Math.round(share * DOCX_CONTENT_WIDTH)) } : {}),
+          rows: [
+            new TableRow({ tableHeader: true, children: block.columns.map(column => docxCell(column, { header: true })) }),
+            ...block.rows.map((row, index) => new TableRow({
+              children: row.map(cell => docxCell(cell, { bold: block.totalRow && index === block.rows.length - 1 }))
+            }))
+          ]
+        }),
+        new Paragraph({ text: '' })
+      ];
+    default:
+      return [new Paragraph({ text: block.text, spacing: { after: 120 } })];
+  }
+}
+
+/**
+ * docx Document with a cover page, then the sections with page numbers
+ */
+export function businessCaseDocx(model) {
+  const cover = [
+    new Paragraph({ text: '', spacing: { before: 2400 } }),
+    new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun({ text: model.cover.title, color: BRAND_COLOR })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 600 }, children: [new TextRun({ text: model.cover.subtitle, size: 28 })] }),
+    ...model.cover.details.map(([label, value]) => new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+    }))
+  ];
+
+  const body = model.sections.flatMap(section => [
+    new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1, pageBreakBefore: section.id === 'appendix-assumptions' }),
+    ...section.blocks.flatMap(docxBlocks)
+  ]);
+
+  return new Document({
+    title: model.title,
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 22 } } }
+    },
+    sections: [
+      { children: cover },
+      {
+        properties: { type: SectionType.NEXT_PAGE },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({ children: [model.title, ' - Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 18 })]
+            })]
+          })
+        },
+        children: body
+      }
+    ]
+  });
+}
+
+export function businessCaseDocxBlob(model) {
+  return Packer.toBlob(businessCaseDocx(model));
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const PAGE = { margin: 20, lineHeight: 5.5, cellPadding: 2 };
+
+// The built-in PDF fonts are WinAnsi; swap the few characters Intl emits that it lacks
+const pdfText = (text) => String(text).replace(/[\u00a0\u202f]/g, ' ').replace(/\uffe5/g, '\u00a5').replace(/\u2212/g, '-');
+
+function createPdfWriter(pdf) {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE.margin) {
+      pdf.addPage();
+      y = PAGE.margin;
+      return true;
+    }
+    return false;
+  };
+
+  const write = (text, { size = 11, style = 'normal', indent = 0, after = 1.5 } = {}) => {
+    pdf.setFont('helvetica', style);
+    pdf.setFontSize(size);
+    const lines = pdf.splitTextToSize(pdfText(text), contentWidth - indent);
+    const lineHeight = size * 0.5;
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      pdf.text(line, PAGE.margin + indent, y + lineHeight * 0.8);
+      y += lineHeight;
+    });
+    y += after;
+  };
+
+  // columns is null for key/value tables, whose first column is styled as labels instead
+  const table = (rows, { columns = null, totalRow = false, widths } = {}) => {
+    const columnCount = (columns || rows[0] || []).length;
+    const columnWidths = widths || Array.from({ length: columnCount }, () => contentWidth / columnCount);
+    pdf.setFontSize(9.5);
+
+    const rowLayout = (cells, cellStyle) => {
+      const styled = cells.map((cell, index) => {
+        const { bold = false, fill = false } = cellStyle(index);
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        return { lines: pdf.splitTextToSize(pdfText(cell), columnWidths[index] - PAGE.cellPadding * 2), bold, fill };
+      });
+      return { styled, height: Math.max(...styled.map(({ lines }) => lines.length)) * 4.5 + PAGE.cellPadding * 2 };
+    };
+
+    const drawRow = ({ styled, height }) => {
+      let x = PAGE.margin;
+      styled.forEach(({ lines, bold, fill }, index) => {
+        if (fill) pdf.setFillColor(231, 238, 247);
+        pdf.rect(x, y, columnWidths[index], height, fill ? 'FD' : 'S');
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        pdf.text(lines, x + PAGE.cellPadding, y + PAGE.cellPadding + 3.5);
+        x += columnWidths[index];
+      });
+      y += height;
+    };
+
+    const header = columns && rowLayout(columns, () => ({ bold: true, fill: true }));
+    ensureSpace((header?.height || 0) + 12);
+    if (header) drawRow(header);
+    rows.forEach((row, rowIndex) => {
+      const isTotal = totalRow && rowIndex === rows.length - 1;
+      const layout = rowLayout(row, index => (columns ? { bold: isTotal } : { bold: index === 0, fill: index === 0 }));
+      if (ensureSpace(layout.height) && header) drawRow(header);
+      drawRow(layout);
+    });
+    y += 4;
+  };
+
+  return {
+    pdf,
+    contentWidth,
+    write,
+    table,
+    ensureSpace,
+    moveTo: (nextY) => { y = nextY; },
+    newPage: () => { pdf.addPage(); y = PAGE.margin; }
+  };
+}
+
+function writePdfBlock(writer, block) {
+  switch (block.type) {
+    case 'subheading':
+      writer.ensureSpace(14);
+      writer.write(block.text, { size: 12, style: 'bold', after: 1 });
+      break;
+    case 'bullets':
+      block.items.forEach(item => writer.write(`• ${item}`, { indent: 4, after: 0.5 }));
+      writer.write('', { after: 1 });
+      break;
+    case 'keyValue':
+      writer.table(block.rows, { widths: [writer.contentWidth * 0.4, writer.contentWidth * 0.6] });
+      break;
+    case 'table': {
+      if (block.title) {
+        writer.ensureSpace(20);
+        writer.write(block.title, { size: 11, style: 'bold', after: 1 });
+      }
+      writer.table(block.rows, {
+        columns: block.columns,
+        totalRow: block.totalRow,
+        widths: block.widths?.map(share => writer.contentWidth * share)
+      });
+      break;
+    }
+    default:
+      writer.write(block.text);
+  }
+}
+
+/**
+ * Paginated jsPDF document: cover page, sections with headings kept with
+ * their content, tables that repeat their header across pages, and page
+ * numbers on every page after the cover
+ */
+export function businessCasePdf(model) {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = createPdfWriter(pdf);
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const pageWidth = pdf.internal.pageSize.getWidth();
+
+  pdf.setProperties({ title: model.title });
+  writer.moveTo(pageHeight * 0.3);
+  pdf.setTextColor(31, 58, 95);
+  writer.write(model.cover.title, { size: 24, style: 'bold', after: 4 });
+  pdf.setTextColor(0, 0, 0);
+  writer.write(model.cover.subtitle, { size: 14, after: 10 });
+  model.cover.details.forEach(([label, value]) => writer.write(`${label}: ${value}`, { size: 11, after: 1 }));
+
+  model.sections.forEach((section, index) => {
+    if (index === 0 || section.id === 'appendix-assumptions') {
+      writer.newPage();
+    } else {
+      writer.ensureSpace(30);
+    }
+    pdf.setTextColor(31, 58, 95);
+    writer.write(section.title, { size: 16, style: 'bold', after: 3 });
+    pdf.setTextColor(0, 0, 0);
+    section.blocks.forEach(block => writePdfBlock(writer, block));
+    writer.write('', { after: 3 });
+  });
+
+  const pageCount = pdf.getNumberOfPages();
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  for (let page = 2; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.text(pdfText(`${model.title} - Page ${page - 1} of ${pageCount - 1}`), pageWidth / 2, pageHeight - 10, { align: 'center' });
+  }
+
+  return pdf;
+}
+
+export function businessCasePdfBlob(model) {
+  return businessCasePdf(model).output('blob');
+}
+
+export const BusinessCaseDocumentService = {
+  textBlocks,
+  costAnalysisFromProgress,
+  buildBusinessCaseDocument,
+  escapeHtml,
+  businessCaseHtml,
+  businessCaseDocx,
+  businessCaseDocxBlob,
+  businessCasePdf,
+  businessCasePdfBlob
+};
+
+export default BusinessCaseDocumentService;
@@ -0,0 +1,726 @@
+/**
+ * Business Case Template Service
+ *
+ * A template decides what the Business Case Builder asks for and what the
+ * documents contain: its form sections and their fields, the fields that
+ * must be filled before export, which analysis each auto-filled field may
+ * draw on, and the default duration and phase plan for the timeline.
+ *
+ * Built-in templates are read-only. Customers clone them into their own
+ * templates, which are saved per customer and travel between accounts as a
+ * JSON file ({ format, version, templates }). Anything loaded from storage
+ * or a file goes through validateTemplate before the builder uses it.
+ */
+
+export const TEMPLATE_FILE_FORMAT = 'business-case-templates';
+export const TEMPLATE_FILE_VERSION = 1;
+
+// Analysis the builder's auto-fill can draw on
+export const AUTO_POPULATE_SOURCES = {
+  icp: 'ICP Analysis',
+  costCalculator: 'Cost Calculator',
+  businessCase: 'Business Case Framework'
+};
+
+export const FIELD_TYPES = ['text', 'textarea', 'number', 'currency'];
+
+// Executive summary fields the builder always shows; the cover page and
+// summary are built from them
+export const CORE_FIELDS = ['companyName', 'projectTitle', 'requestedAmount', 'expectedROI'];
+
+/**
+ * Standard fields. summaryOnly fields appear in the executive summary rather
+ * than as their own document subsection.
+ */
+export const BUSINESS_CASE_FIELDS = {
+  companyName: { label: 'Company Name', type: 'text', placeholder: 'Acme Corporation' },
+  projectTitle: { label: 'Project Title', type: 'text', placeholder: 'Digital Transformation Initiative' },
+  requestedAmount: { label: 'Requested Amount', type: 'currency', placeholder: '250000' },
+  expectedROI: { label: 'Expected ROI (%)', type: 'number', placeholder: '300', summaryOnly: true },
+  currentChallenges: { label: 'Current Challenges', type: 'textarea', placeholder: 'Describe the current challenges and pain points...', fallback: 'Current challenges to be defined' },
+  businessImpact: { label: 'Business Impact', type: 'textarea', placeholder: 'Quantify the business impact of these challenges...', fallback: 'Business impact to be quantified' },
+  urgencyFactors: { label: 'Urgency Factors', type: 'textarea', placeholder: 'Why is this urgent? What happens if we don\'t act?', fallback: 'Urgency factors to be identified' },
+  solutionOverview: { label: 'Solution Overview', type: 'textarea', placeholder: 'Provide a high-level overview of the proposed solution...', fallback: 'Solution overview to be provided' },
+  keyFeatures: { label: 'Key Features', type: 'textarea', placeholder: 'List the key features and capabilities...', fallback: 'Key features to be listed' },
+  implementationApproach: { label: 'Implementation Approach', type: 'textarea', placeholder: 'Describe how the solution will be implemented...', fallback: 'Implementation approach to be detailed' },
+  currentStateCosts: { label: 'Current State Costs', type: 'currency', placeholder: '500000', fallback: 'Current state costs to be calculated' },
+  solutionCosts: { label: 'Solution Costs', type: 'currency', placeholder: '250000', fallback: 'Solution costs to be itemized' },
+  expectedSavings: { label: 'Expected Annual Savings', type: 'currency', placeholder: '750000', fallback: 'Expected savings to be projected' },
+  paybackPeriod: { label: 'Payback Period (months)', type: 'number', placeholder: '8', summaryOnly: true },
+  implementationRisks: { label: 'Implementation Risks', type: 'textarea', placeholder: 'What could delay or derail the project?', fallback: 'Implementation risks to be identified' },
+  mitigationStrategies: { label: 'Mitigation Strategies', type: 'textarea', placeholder: 'How will each risk be reduced or handled?', fallback: 'Mitigation strategies to be developed' },
+  successMetrics: { label: 'Success Metrics', type: 'textarea', placeholder: 'How will success be measured? List specific KPIs...', fallback: 'Success metrics to be defined' },
+  measurementPlan: { label: 'Measurement Plan', type: 'textarea', placeholder: 'Who measures what, how often, against which baseline?', fallback: 'Measurement plan to be established' },
+  timeline: { label: 'Timeline', type: 'textarea', placeholder: 'Provide implementation timeline and key milestones...' }
+};
+
+const STANDARD_SECTIONS = {
+  problemStatement: { id: 'problemStatement', title: 'Problem Statement', fields: ['currentChallenges', 'businessImpact', 'urgencyFactors'] },
+  proposedSolution: { id: 'proposedSolution', title: 'Proposed Solution', fields: ['solutionOverview', 'keyFeatures', 'implementationApproach'] },
+  financialAnalysis: { id: 'financialAnalysis', title: 'Financial Analysis', fields: ['currentStateCosts', 'solutionCosts', 'expectedSavings', 'paybackPeriod'] },
+  riskAssessment: { id: 'riskAssessment', title: 'Risk Assessment & Mitigation', fields: ['implementationRisks', 'mitigationStrategies'] },
+  successMetrics: { id: 'successMetrics', title: 'Success Metrics', fields: ['successMetrics', 'measurementPlan', 'timeline'] }
+};
+
+const standardSections = (...ids) => ids.map(id => ({ ...STANDARD_SECTIONS[id], fields: [...STANDARD_SECTIONS[id].fields] }));
+
+// What the builder's auto-fill has always drawn on for each field
+const DEFAULT_AUTO_POPULATE = {
+  projectTitle: [],
+  currentChallenges: ['icp', 'costCalculator', 'businessCase'],
+  businessImpact: ['icp', 'costCalculator'],
+  urgencyFactors: ['costCalculator', 'icp'],
+  solutionOverview: ['businessCase', 'icp'],
+  keyFeatures: ['businessCase', 'icp'],
+  implementationApproach: ['businessCase'],
+  currentStateCosts: ['costCalculator'],
+  solutionCosts: ['businessCase'],
+  expectedSavings: ['costCalculator'],
+  successMetrics: ['businessCase'],
+  timeline: ['businessCase'],
+  expectedROI: ['costCalculator'],
+  paybackPeriod: ['costCalculator']
+};
+
+const DEFAULT_REQUIRED_FIELDS = ['companyName', 'projectTitle', 'requestedAmount'];
+
+export const BUILT_IN_TEMPLATES = {
+  pilot: {
+    id: 'pilot',
+    name: 'Pilot Program',
+    description: 'Test implementation with limited scope',
+    duration: '3-6 months',
+    sections: standardSections('problemStatement', 'proposedSolution', 'financialAnalysis', 'riskAssessment', 'successMetrics'),
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'currentChallenges', 'successMetrics'],
+    autoPopulate: DEFAULT_AUTO_POPULATE,
+    phases: [
+      {
+        name: 'Pilot Setup',
+        timing: 'Weeks 1-2',
+        activities: ['Confirm pilot scope and success criteria', 'Select pilot team and executive sponsor', 'Configure and connect core systems'],
+        milestone: 'Pilot charter signed off'
+      },
+      {
+        name: 'Pilot Execution',
+        timing: 'Weeks 3-10',
+        activities: ['Run the solution with the pilot team', 'Weekly check-ins and issue triage', 'Capture baseline and in-flight metrics'],
+        milestone: 'Pilot team fully active'
+      },
+      {
+        name: 'Measurement',
+        timing: 'Months 3-5',
+        activities: ['Compare results against the baseline', 'Collect user and stakeholder feedback', 'Quantify realised savings'],
+        milestone: 'Results report delivered'
+      },
+      {
+        name: 'Go / No-Go Decision',
+        timing: 'Month 6',
+        activities: ['Present results to the buying committee', 'Agree rollout scope and commercial terms'],
+        milestone: 'Contract decision'
+      }
+    ]
+  },
+  fullDeployment: {
+    id: 'fullDeployment',
+    name: 'Full Deployment',
+    description: 'Enterprise-wide implementation',
+    duration: '6-12 months',
+    sections: standardSections('problemStatement', 'proposedSolution', 'financialAnalysis', 'riskAssessment', 'successMetrics'),
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'currentChallenges', 'expectedSavings', 'implementationRisks'],
+    autoPopulate: DEFAULT_AUTO_POPULATE,
+    phases: [
+      {
+        name: 'Planning & Governance',
+        timing: 'Month 1',
+        activities: ['Stand up steering committee and project team', 'Finalise requirements and integration plan', 'Agree KPIs and reporting cadence'],
+        milestone: 'Deployment plan approved'
+      },
+      {
+        name: 'Core Rollout',
+        timing: 'Months 2-4',
+        activities: ['Deploy and integrate core systems', 'Migrate data and configure workflows', 'Train administrators and champions'],
+        milestone: 'Core platform live'
+      },
+      {
+        name: 'Organisation-wide Adoption',
+        timing: 'Months 5-9',
+        activities: ['Roll out by department or region', 'Run end-user training', 'Track adoption and resolve blockers'],
+        milestone: 'All teams onboarded'
+      },
+      {
+        name: 'Optimisation & Handover',
+        timing: 'Months 10-12',
+        activities: ['Tune processes against KPIs', 'Hand over to business-as-usual support', 'Report realised ROI to leadership'],
+        milestone: 'Value realisation review'
+      }
+    ]
+  },
+  expansion: {
+    id: 'expansion',
+    name: 'Expansion Phase',
+    description: 'Scale existing successful pilot',
+    duration: '4-8 months',
+    sections: standardSections('problemStatement', 'proposedSolution', 'financialAnalysis', 'riskAssessment', 'successMetrics'),
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'expectedSavings', 'successMetrics'],
+    autoPopulate: DEFAULT_AUTO_POPULATE,
+    phases: [
+      {
+        name: 'Pilot Review',
+        timing: 'Month 1',
+        activities: ['Consolidate pilot results and lessons learned', 'Identify the next teams and use cases'],
+        milestone: 'Expansion scope agreed'
+      },
+      {
+        name: 'Expansion Planning',
+        timing: 'Month 2',
+        activities: ['Size licences, integrations and support', 'Build the enablement plan for new teams'],
+        milestone: 'Expansion plan approved'
+      },
+      {
+        name: 'Phased Scale-up',
+        timing: 'Months 3-6',
+        activities: ['Onboard new teams in waves', 'Extend integrations to new systems', 'Monitor adoption against pilot benchmarks'],
+        milestone: 'Target teams live'
+      },
+      {
+        name: 'Standardisation',
+        timing: 'Months 7-8',
+        activities: ['Make the new process the default', 'Report expanded ROI to the sponsor'],
+        milestone: 'Expansion review'
+      }
+    ]
+  },
+  securityReview: {
+    id: 'securityReview',
+    name: 'Security & Compliance Review',
+    description: 'Clear security, legal and procurement review',
+    duration: '2-4 months',
+    sections: [
+      ...standardSections('problemStatement', 'proposedSolution'),
+      {
+        id: 'securityCompliance',
+        title: 'Security & Compliance',
+        fields: ['securityRequirements', 'complianceFrameworks', 'dataHandling', 'procurementSteps']
+      },
+      ...standardSections('financialAnalysis', 'riskAssessment')
+    ],
+    customFields: {
+      securityRequirements: { label: 'Security Requirements', type: 'textarea', placeholder: 'SSO, encryption at rest, pen test results, access reviews...' },
+      complianceFrameworks: { label: 'Compliance Frameworks', type: 'textarea', placeholder: 'SOC 2 Type II, ISO 27001, GDPR, HIPAA...' },
+      dataHandling: { label: 'Data Handling & Residency', type: 'textarea', placeholder: 'What data is processed, where it is stored and who can access it' },
+      procurementSteps: { label: 'Procurement Steps', type: 'textarea', placeholder: 'Security questionnaire, DPA, vendor onboarding, approvals...' }
+    },
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'securityRequirements', 'complianceFrameworks', 'dataHandling'],
+    autoPopulate: {
+      projectTitle: [],
+      currentChallenges: ['icp', 'businessCase'],
+      solutionOverview: ['businessCase', 'icp'],
+      keyFeatures: ['businessCase'],
+      implementationApproach: ['businessCase'],
+      currentStateCosts: ['costCalculator'],
+      solutionCosts: ['businessCase'],
+      expectedSavings: ['costCalculator'],
+      expectedROI: ['costCalculator'],
+      paybackPeriod: ['costCalculator']
+    },
+    phases: [
+      {
+        name: 'Security Questionnaire',
+        timing: 'Weeks 1-3',
+        activities: ['Complete the buyer\'s security questionnaire', 'Share SOC 2 report and pen test summary', 'Answer follow-up questions'],
+        milestone: 'Security review passed'
+      },
+      {
+        name: 'Legal & Privacy',
+        timing: 'Weeks 3-6',
+        activities: ['Negotiate the DPA and data residency terms', 'Agree liability and SLA terms'],
+        milestone: 'DPA and MSA redlines closed'
+      },
+      {
+        name: 'Procurement',
+        timing: 'Weeks 6-10',
+        activities: ['Vendor onboarding and risk scoring', 'Budget and purchase order approval'],
+        milestone: 'Purchase order issued'
+      },
+      {
+        name: 'Contract Signature',
+        timing: 'Months 3-4',
+        activities: ['Final approvals and signature', 'Provision the production environment'],
+        milestone: 'Contract signed'
+      }
+    ]
+  },
+  renewalUpsell: {
+    id: 'renewalUpsell',
+    name: 'Renewal & Upsell',
+    description: 'Renew the contract and grow the footprint',
+    duration: '1-3 months',
+    sections: [
+      {
+        id: 'accountReview',
+        title: 'Account Review',
+        fields: ['renewalDate', 'realizedValue', 'adoptionMetrics']
+      },
+      {
+        id: 'expansionProposal',
+        title: 'Expansion Proposal',
+        fields: ['expansionScope', 'keyFeatures', 'urgencyFactors']
+      },
+      ...standardSections('financialAnalysis', 'successMetrics')
+    ],
+    customFields: {
+      renewalDate: { label: 'Renewal Date', type: 'text', placeholder: '2027-03-31' },
+      realizedValue: { label: 'Value Delivered to Date', type: 'textarea', placeholder: 'Outcomes and savings since go-live...' },
+      adoptionMetrics: { label: 'Current Adoption', type: 'textarea', placeholder: 'Active users, usage trends, teams onboarded...' },
+      expansionScope: { label: 'Upsell Scope', type: 'textarea', placeholder: 'New seats, modules, teams or regions...' }
+    },
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'renewalDate', 'realizedValue', 'expansionScope'],
+    autoPopulate: {
+      projectTitle: [],
+      keyFeatures: ['businessCase', 'icp'],
+      urgencyFactors: ['costCalculator', 'icp'],
+      currentStateCosts: ['costCalculator'],
+      solutionCosts: ['businessCase'],
+      expectedSavings: ['costCalculator'],
+      successMetrics: ['businessCase'],
+      expectedROI: ['costCalculator'],
+      paybackPeriod: ['costCalculator']
+    },
+    phases: [
+      {
+        name: 'Value Review',
+        timing: 'Weeks 1-2',
+        activities: ['Review outcomes against the original business case', 'Gather champion and sponsor feedback'],
+        milestone: 'Value review held'
+      },
+      {
+        name: 'Expansion Proposal',
+        timing: 'Weeks 3-4',
+        activities: ['Size the upsell scope', 'Present the proposal to the economic buyer'],
+        milestone: 'Proposal accepted'
+      },
+      {
+        name: 'Commercial Negotiation',
+        timing: 'Weeks 5-8',
+        activities: ['Agree renewal and expansion pricing', 'Align term and payment schedule'],
+        milestone: 'Terms agreed'
+      },
+      {
+        name: 'Renewal Signed',
+        timing: 'Month 3',
+        activities: ['Signature and order processing', 'Kick off onboarding for new teams'],
+        milestone: 'Renewal and upsell booked'
+      }
+    ]
+  },
+  competitiveDisplacement: {
+    id: 'competitiveDisplacement',
+    name: 'Competitive Displacement',
+    description: 'Replace an incumbent vendor',
+    duration: '4-9 months',
+    sections: [
+      {
+        id: 'incumbentAssessment',
+        title: 'Incumbent Assessment',
+        fields: ['currentVendor', 'competitiveGaps', 'switchingCosts']
+      },
+      ...standardSections('problemStatement', 'proposedSolution'),
+      {
+        id: 'migration',
+        title: 'Migration Plan',
+        fields: ['migrationPlan']
+      },
+      ...standardSections('financialAnalysis', 'riskAssessment', 'successMetrics')
+    ],
+    customFields: {
+      currentVendor: { label: 'Incumbent Vendor', type: 'text', placeholder: 'Current solution and contract end date' },
+      competitiveGaps: { label: 'Gaps in the Incumbent Solution', type: 'textarea', placeholder: 'Where the current vendor falls short...' },
+      switchingCosts: { label: 'Switching Costs & Contract Exit', type: 'textarea', placeholder: 'Exit fees, overlap period, retraining...' },
+      migrationPlan: { label: 'Migration Plan', type: 'textarea', placeholder: 'Data migration, parallel run and cut-over...' }
+    },
+    requiredFields: [...DEFAULT_REQUIRED_FIELDS, 'currentVendor', 'competitiveGaps', 'migrationPlan'],
+    autoPopulate: DEFAULT_AUTO_POPULATE,
+    phases: [
+      {
+        name: 'Incumbent Assessment',
+        timing: 'Month 1',
+        activities: ['Document gaps and costs of the current solution', 'Review contract terms and exit dates'],
+        milestone: 'Switch case agreed with the champion'
+      },
+      {
+        name: 'Proof of Value',
+        timing: 'Months 2-3',
+        activities: ['Run side by side with the incumbent', 'Measure against agreed criteria'],
+        milestone: 'Proof of value signed off'
+      },
+      {
+        name: 'Migration',
+        timing: 'Months 4-7',
+        activities: ['Migrate data and integrations', 'Train users and run in parallel', 'Cut over team by team'],
+        milestone: 'All users migrated'
+      },
+      {
+        name: 'Incumbent Decommission',
+        timing: 'Months 8-9',
+        activities: ['Switch off the incumbent', 'Confirm savings against the business case'],
+        milestone: 'Incumbent contract ended'
+      }
+    ]
+  }
+};
+
+export const DEFAULT_TEMPLATE_ID = 'pilot';
+
+// Template keys come from imported JSON, so "constructor" or "toString" must
+// not resolve through Object.prototype
+const hasOwn = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+const ownValue = (object, key) => (hasOwn(object, key) ? object[key] : undefined);
+
+/**
+ * Field definition from the template's custom fields or the standard set
+ */
+export function templateField(template, key) {
+  return ownValue(template?.customFields, key) || ownValue(BUSINESS_CASE_FIELDS, key) || null;
+}
+
+/**
+ * Every field the template asks for: core fields first, then its sections
+ */
+export function templateFieldKeys(template) {
+  const keys = [...CORE_FIELDS];
+  (template?.sections || []).forEach(section => {
+    section.fields.forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+  return keys;
+}
+
+/**
+ * Sources auto-fill may use for a field; empty when the template doesn't
+ * auto-fill it or doesn't show it
+ */
+export function autoPopulateSources(template, key) {
+  if (!templateFieldKeys(template).includes(key)) return [];
+  return ownValue(template?.autoPopulate, key) || [];
+}
+
+export function shouldAutoPopulate(template, key) {
+  return templateFieldKeys(template).includes(key) && Boolean(template?.autoPopulate && key in template.autoPopulate);
+}
+
+/**
+ * Required fields that are still empty, as { key, label }
+ */
+export function missingRequiredFields(template, formData = {}) {
+  return (template?.requiredFields || [])
+    .filter(key => !String(formData[key] ?? '').trim())
+    .map(key => ({ key, label: templateField(template, key)?.label || key }));
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Problems that would stop the builder from using a template; empty when
+ * it is valid
+ * @returns {string[]}
+ */
+export function validateTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return ['Template must be an object'];
+  const errors = [];
+
+  if (!isNonEmptyString(template.id) || !ID_PATTERN.test(template.id)) errors.push('id must start with a letter and use only letters, numbers, - and _');
+  if (!isNonEmptyString(template.name)) errors.push('name is required');
+  if (!isNonEmptyString(template.duration)) errors.push('duration is required');
+  if (template.description !== undefined && typeof template.description !== 'string') errors.push('description must be text');
+
+  const customFields = template.customFields ?? {};
+  if (typeof customFields !== 'object' || Array.isArray(customFields)) {
+    errors.push('customFields must be an object');
+  } else {
+    Object.entries(customFields).forEach(([key, field]) => {
+      if (!ID_PATTERN.test(key)) errors.push(`Custom field "${key}" has an invalid key`);
+      if (hasOwn(BUSINESS_CASE_FIELDS, key)) errors.push(`Custom field "${key}" clashes with a standard field`);
+      if (!isNonEmptyString(field?.label)) errors.push(`Custom field "${key}" needs a label`);
+      if (!FIELD_TYPES.includes(field?.type)) errors.push(`Custom field "${key}" type must be one of ${FIELD_TYPES.join(', ')}`);
+    });
+  }
+  const known = (key) => hasOwn(BUSINESS_CASE_FIELDS, key) || (typeof customFields === 'object' && Boolean(ownValue(customFields, key)));
+
+  if (!Array.isArray(template.sections) || template.sections.length === 0) {
+    errors.push('sections must list at least one section');
+  } else {
+    const sectionIds = new Set();
+    template.sections.forEach((section, index) => {
+      const name = section?.title || `Section ${index + 1}`;
+      if (!isNonEmptyString(section?.id) || !ID_PATTERN.test(section.id)) errors.push(`${name}: id is missing or invalid`);
+      else if (sectionIds.has(section.id)) errors.push(`${name}: duplicate section id "${section.id}"`);
+      else sectionIds.add(section.id);
+      if (!isNonEmptyString(section?.title)) errors.push(`Section ${index + 1}: title is required`);
+      if (!Array.isArray(section?.fields) || section.fields.length === 0) {
+        errors.push(`${name}: fields must list at least one field`);
+      } else {
+        section.fields
+          .filter(key => !known(key))
+          .forEach(key => errors.push(`${name}: unknown field "${key}"`));
+        section.fields
+          .filter(key => CORE_FIELDS.includes(key))
+          .forEach(key => errors.push(`${name}: "${key}" is always in the executive summary`));
+      }
+    });
+  }
+
+  const shownFields = Array.isArray(template.sections) ? templateFieldKeys(template) : CORE_FIELDS;
+  if (!Array.isArray(template.requiredFields)) {
+    errors.push('requiredFields must be a list');
+  } else {
+    template.requiredFields
+      .filter(key => !shownFields.includes(key))
+      .forEach(key => errors.push(`Required field "${key}" is not in any section`));
+  }
+
+  const autoPopulate = template.autoPopulate ?? {};
+  if (typeof autoPopulate !== 'object' || Array.isArray(autoPopulate)) {
+    errors.push('autoPopulate must be an object');
+  } else {
+    Object.entries(autoPopulate).forEach(([key, sources]) => {
+      // Auto-fill only knows how to write the standard fields
+      if (!hasOwn(BUSINESS_CASE_FIELDS, key)) errors.push(`Auto-fill is only available for standard fields, not "${key}"`);
+      if (!Array.isArray(sources) || sources.some(source => !hasOwn(AUTO_POPULATE_SOURCES, source))) {
+        errors.push(`Auto-fill sources for "${key}" must be from ${Object.keys(AUTO_POPULATE_SOURCES).join(', ')}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(template.phases) || template.phases.length === 0) {
+    errors.push('phases must list at least one phase');
+  } else {
+    template.phases.forEach((phase, index) => {
+      if (!isNonEmptyString(phase?.name) || !isNonEmptyString(phase?.timing)) errors.push(`Phase ${index + 1} needs a name and timing`);
+      if (!Array.isArray(phase?.activities) || phase.activities.some(activity => typeof activity !== 'string')) {
+        errors.push(`Phase ${index + 1} activities must be a list of text`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Plain-data copy; templates only hold JSON values
+const copyTemplate = (template) => JSON.parse(JSON.stringify(template));
+
+function uniqueId(name, taken) {
+  const words = String(name).trim().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const base = words.length > 0
+    ? words[0].replace(/^[0-9]+/, '') + words.slice(1).map(word => word[0].toUpperCase() + word.slice(1)).join('')
+    : '';
+  const root = /^[a-z]/.test(base) ? base : `template${base}`;
+  let id = root;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${root}${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Editable copy of a template under a new name and an id no other
+ * template uses
+ */
+export function cloneTemplate(template, name, existing = []) {
+  const taken = new Set([...Object.keys(BUILT_IN_TEMPLATES), ...existing.map(other => other.id)]);
+  const copyName = name?.trim() || `${template.name} (Copy)`;
+  const { builtIn, ...copy } = copyTemplate(template);
+  return { ...copy, id: uniqueId(copyName, taken), name: copyName };
+}
+
+// ---------------------------------------------------------------------------
+// Editing - each returns a new template
+// ---------------------------------------------------------------------------
+
+export function addSection(template, title) {
+  const taken = new Set(template.sections.map(section => section.id));
+  const sectionTitle = title?.trim() || 'New Section';
+  return { ...template, sections: [...template.sections, { id: uniqueId(sectionTitle, taken), title: sectionTitle, fields: [] }] };
+}
+
+/**
+ * Template without the section or anything set up for its fields
+ */
+export function removeSection(template, sectionId) {
+  const section = template.sections.find(candidate => candidate.id === sectionId);
+  const withoutSection = { ...template, sections: template.sections.filter(candidate => candidate.id !== sectionId) };
+  return (section?.fields || []).reduce((current, key) => removeField(current, key), withoutSection);
+}
+
+export function moveSection(template, sectionId, offset) {
+  const sections = [...template.sections];
+  const from = sections.findIndex(section => section.id === sectionId);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= sections.length) return template;
+  [sections[from], sections[to]] = [sections[to], sections[from]];
+  return { ...template, sections };
+}
+
+/**
+ * Standard field added to a section
+ */
+export function addField(template, sectionId, key) {
+  if (!hasOwn(BUSINESS_CASE_FIELDS, key) || CORE_FIELDS.includes(key) || templateFieldKeys(template).includes(key)) return template;
+  return {
+    ...template,
+    sections: template.sections.map(section => (
+      section.id === sectionId ? { ...section, fields: [...section.fields, key] } : section
+    ))
+  };
+}
+
+/**
+ * New custom field, keyed from its label, added to a section
+ */
+export function addCustomField(template, sectionId, { label, type = 'textarea', placeholder = '' }) {
+  const taken = new Set([...Object.keys(BUSINESS_CASE_FIELDS), ...Object.keys(template.customFields || {})]);
+  const key = uniqueId(label, taken);
+  return {
+    ...template,
+    customFields: { ...template.customFields, [key]: { label: label.trim(), type, placeholder } },
+    sections: template.sections.map(section => (
+      section.id === sectionId ? { ...section, fields: [...section.fields, key] } : section
+    ))
+  };
+}
+
+export function removeField(template, key) {
+  const sections = template.sections.map(section => ({ ...section, fields: section.fields.filter(field => field !== key) }));
+  const { [key]: removedSources, ...autoPopulate } = template.autoPopulate || {};
+  const { [key]: removedField, ...customFields } = template.customFields || {};
+  return {
+    ...template,
+    sections,
+    customFields,
+    autoPopulate,
+    requiredFields: (template.requiredFields || []).filter(field => field !== key)
+  };
+}
+
+export function toggleRequired(template, key) {
+  const requiredFields = template.requiredFields || [];
+  return {
+    ...template,
+    requiredFields: requiredFields.includes(key) ? requiredFields.filter(field => field !== key) : [...requiredFields, key]
+  };
+}
+
+/**
+ * Switch one auto-fill source for a field; a field with no sources left is
+ * no longer auto-filled
+ */
+export function toggleAutoPopulateSource(template, key, source) {
+  const current = ownValue(template.autoPopulate, key) || [];
+  const sources = current.includes(source) ? current.filter(candidate => candidate !== source) : [...current, source];
+  const { [key]: previous, ...autoPopulate } = template.autoPopulate || {};
+  return { ...template, autoPopulate: sources.length > 0 ? { ...autoPopulate, [key]: sources } : autoPopulate };
+}
+
+/**
+ * Built-in templates followed by the customer's, with invalid saved
+ * templates left out
+ */
+export function mergeTemplates(customTemplates = []) {
+  const merged = Object.values(BUILT_IN_TEMPLATES).map(template => ({ ...template, builtIn: true }));
+  customTemplates
+    .filter(template => validateTemplate(template).length === 0 && !BUILT_IN_TEMPLATES[template.id])
+    .forEach(template => merged.push({ ...template, builtIn: false }));
+  return merged;
+}
+
+export function findTemplate(templates, id) {
+  return templates.find(template => template.id === id)
+    || templates.find(template => template.id === DEFAULT_TEMPLATE_ID)
+    || BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE_ID];
+}
+
+/**
+ * JSON file for sharing templates between accounts
+ */
+export function exportTemplates(templates, exportedAt = new Date()) {
+  return JSON.stringify({
+    format: TEMPLATE_FILE_FORMAT,
+    version: TEMPLATE_FILE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    templates: templates.map(template => {
+      const { builtIn, ...rest } = copyTemplate(template);
+      return rest;
+    })
+  }, null, 2);
+}
+
+/**
+ * Templates from an exported file (or a single template object). Valid
+ * templates are renamed when their id is already in use; invalid ones are
+ * reported with their errors.
+ * @throws {Error} when the text is not JSON or not a templates file
+ * @returns {{ imported: Object[], rejected: Array<{ name, errors }> }}
+ */
+export function importTemplates(json, existing = []) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Template file is not valid JSON: ${error.message}`);
+  }
+
+  let candidates;
+  if (parsed?.format === TEMPLATE_FILE_FORMAT) {
+    if (parsed.version > TEMPLATE_FILE_VERSION) throw new Error(`Template file version ${parsed.version} is newer than this app supports`);
+    if (!Array.isArray(parsed.templates)) throw new Error('Template file has no templates list');
+    candidates = parsed.templates;
+  } else if (parsed?.sections && parsed?.name) {
+    candidates = [parsed];
+  } else {
+    throw new Error('File is not a business case template export');
+  }
+
+  const taken = new Set([...Object.keys(BUILT_IN_TEMPLATES), ...existing.map(template => template.id)]);
+  const imported = [];
+  const rejected = [];
+  candidates.forEach((candidate, index) => {
+    const errors = validateTemplate(candidate);
+    if (errors.length > 0) {
+      rejected.push({ name: candidate?.name || `Template ${index + 1}`, errors });
+      return;
+    }
+    const { builtIn, ...template } = copyTemplate(candidate);
+    if (taken.has(template.id)) template.id = uniqueId(template.name, taken);
+    taken.add(template.id);
+    imported.push(template);
+  });
+
+  return { imported, rejected };
+}
+
+export const BusinessCaseTemplateService = {
+  BUILT_IN_TEMPLATES,
+  BUSINESS_CASE_FIELDS,
+  templateField,
+  templateFieldKeys,
+  autoPopulateSources,
+  shouldAutoPopulate,
+  missingRequiredFields,
+  validateTemplate,
+  cloneTemplate,
+  addSection,
+  removeSection,
+  moveSection,
+  addField,
+  addCustomField,
+  removeField,
+  toggleRequired,
+  toggleAutoPopulateSource,
+  mergeTemplates,
+  findTemplate,
+  exportTemplates,
+  importTemplates
+};
+
+export default BusinessCaseTemplateService;
@@ -3,7 +3,8 @@
 export const CRMIntegrationService = {
   
   // HUBSPOT CUSTOM PROPERTIES
-  generateHubSpotProperties: (icpData, assessmentData) => {
+  // Money properties are in the customer's reporting currency (ISO code)
+  generateHubSpotProperties: (icpData, assessmentData, currency = 'USD') => {
     try {
       const personaTypes = icpData?.personaTypes || [
         { name: 'Technical Decision Maker', id: 'technical_dm' },
@@ -141,7 +142,7 @@ export const CRMIntegrationService = {
             label: 'Financial Impact Projection',
             type: 'number',
             fieldType: 'number',
-            description: 'Projected financial impact from H&S cost calculator ($)',
+            description: `Projected financial impact from H&S cost calculator (${currency})`,
             options: {
               min: 0,
               step: 1000
@@ -171,7 +172,7 @@ export const CRMIntegrationService = {
             label: 'Cost of Inaction',
             type: 'number',
             fieldType: 'number',
-            description: 'Calculated monthly cost of inaction from H&S analysis ($)',
+            description: `Calculated monthly cost of inaction from H&S analysis (${currency})`,
             options: {
               min: 0,
               step: 1000
@@ -209,7 +210,7 @@ export const CRMIntegrationService = {
   },
 
   // SALESFORCE FIELD MAPPINGS
-  generateSalesforceFields: (icpData, costData) => {
+  generateSalesforceFields: (icpData, costData, currency = 'USD') => {
     try {
       const impactCategories = costData?.categories || [
         'Lost Revenue Opportunities',
@@ -266,7 +267,7 @@ export const CRMIntegrationService = {
             type: 'Currency',
             precision: 10,
             scale: 0,
-            description: 'H&S Revenue Intelligence - Calculated monthly cost of inaction for prospect decision delay',
+            description: `H&S Revenue Intelligence - Calculated monthly cost of inaction for prospect decision delay (${currency})`,
             inlineHelpText: 'Monthly financial impact of not implementing solution based on H&S cost analysis.',
             required: false,
             trackTrending: true
@@ -277,7 +278,7 @@ export const CRMIntegrationService = {
             type: 'Currency',
             precision: 12,
             scale: 0,
-            description: 'H&S Revenue Intelligence - Projected annual financial benefit from solution implementation',
+            description: `H&S Revenue Intelligence - Projected annual financial benefit from solution implementation (${currency})`,
             required: false,
             trackTrending: true
           },
@@ -391,7 +392,7 @@ export const CRMIntegrationService = {
   },
 
   // PIPEDRIVE DATA TEMPLATES
-  generatePipedriveData: (icpData, assessmentData) => {
+  generatePipedriveData: (icpData, assessmentData, currency = 'USD') => {
     try {
       const personaTypes = icpData?.personaTypes || ['Technical DM', 'Business DM', 'Economic Buyer'];
       const competencyAreas = assessmentData?.competencyAreas || ['Customer Analysis', 'Value Communication'];
@@ -434,14 +435,14 @@ export const CRMIntegrationService = {
             key: 'financial_impact',
             field_type: 'monetary',
             description: 'Projected financial impact from H&S cost calculator',
-            currency: 'USD'
+            currency
           },
           {
             name: 'Cost of Inaction',
             key: 'cost_of_inaction',
             field_type: 'monetary',
             description: 'Monthly cost of inaction from H&S analysis',
-            currency: 'USD'
+            currency
           }
         ],
 
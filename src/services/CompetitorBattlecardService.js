@@ -0,0 +1,419 @@
+import { businessCasePdf } from './BusinessCaseDocumentService';
+
+/**
+ * Competitor Battlecard Service
+ *
+ * The competitor model behind CompetitiveIntelligenceTracker and the
+ * battlecards generated from it. A competitor is what the team knows -
+ * positioning, pricing notes, strengths, weaknesses - plus the deals won and
+ * lost against it. Competitors are entered by hand or imported from
+ * webResearchService.researchCompetitors output, and saved per customer.
+ *
+ * A battlecard turns one competitor into "why we win" statements, landmine
+ * questions aimed at its weaknesses and, for each buyer persona, rebuttals
+ * to the objections its strengths raise. Battlecards render through the
+ * business case document model so the PDF export shares its layout.
+ */
+
+export const COMPETITORS_TOOL = 'competitive_intelligence';
+export const OUTCOMES = ['won', 'lost'];
+
+// Records needed before a win rate is trusted for threat levels and alerts
+export const MIN_RECORDS_FOR_TREND = 3;
+
+// Who objections are rebutted for; focus terms pick the weakness that
+// matters most to each persona
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'economicBuyer',
+    name: 'Economic Buyer',
+    role: 'CFO / VP Finance',
+    focus: 'total cost, payback and commercial risk',
+    terms: ['price', 'pric', 'cost', 'expens', 'contract', 'licen', 'roi', 'budget', 'hidden']
+  },
+  {
+    id: 'technicalEvaluator',
+    name: 'Technical Evaluator',
+    role: 'CTO / Head of Engineering',
+    focus: 'implementation effort, integrations, security and scale',
+    terms: ['implement', 'integrat', 'setup', 'complex', 'legacy', 'tech', 'scal', 'secur', 'api', 'performance']
+  },
+  {
+    id: 'champion',
+    name: 'Champion',
+    role: 'Sales or RevOps leader',
+    focus: 'team adoption and day-to-day results',
+    terms: ['ux', 'usab', 'adopt', 'support', 'training', 'onboard', 'feature', 'narrow', 'smb', 'focus']
+  }
+];
+
+// Landmine questions by the kind of weakness they expose
+const LANDMINES = [
+  {
+    terms: ['price', 'pric', 'cost', 'expens', 'contract', 'licen', 'discount'],
+    question: 'What will this cost at the usage you expect in year two, including renewals and add-ons?'
+  },
+  {
+    terms: ['implement', 'setup', 'complex', 'onboard', 'consult'],
+    question: 'How long until your team is live, and who on your side carries the implementation work?'
+  },
+  {
+    terms: ['support', 'service', 'smb', 'response'],
+    question: 'What response times are written into the support terms for a team your size?'
+  },
+  {
+    terms: ['scal', 'performance', 'speed', 'legacy', 'tech', 'reliab'],
+    question: 'What happens to performance when your data volume doubles, and can you test that before signing?'
+  },
+  {
+    terms: ['integrat', 'api', 'ecosystem', 'silo'],
+    question: 'Which of your current systems does it connect to out of the box, and which need custom work?'
+  },
+  {
+    terms: ['feature', 'limited', 'narrow', 'focus', 'roadmap'],
+    question: 'Which of the capabilities on your requirements list are shipping today rather than on the roadmap?'
+  },
+  {
+    terms: ['ux', 'usab', 'adopt', 'interface', 'training'],
+    question: 'How many of the people who will use it every day have tried it on their own workflow?'
+  }
+];
+
+const clean = value => String(value ?? '').trim();
+const lowerFirst = text => (/^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text);
+const matchesTerms = (text, terms) => terms.some(term => text.toLowerCase().includes(term));
+
+/**
+ * Strings from a list or a comma/newline separated field
+ */
+export function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[\n,;]/);
+  return [...new Set(items.map(clean).filter(Boolean))];
+}
+
+const slug = name => clean(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'competitor';
+
+function uniqueId(name, existing) {
+  const ids = new Set(existing.map(({ id }) => id));
+  const base = slug(name);
+  let id = base;
+  for (let suffix = 2; ids.has(id); suffix++) id = `${base}-${suffix}`;
+  return id;
+}
+
+/**
+ * A competitor with every field present, under an id no existing
+ * competitor uses
+ */
+export function createCompetitor(fields = {}, existing = []) {
+  return {
+    id: uniqueId(fields.name, existing),
+    name: clean(fields.name),
+    positioning: clean(fields.positioning),
+    pricingNotes: clean(fields.pricingNotes),
+    strengths: toList(fields.strengths),
+    weaknesses: toList(fields.weaknesses),
+    winLoss: (fields.winLoss || []).map(record => createRecord(record)),
+    source: fields.source || 'manual',
+    updatedAt: fields.updatedAt || new Date().toISOString()
+  };
+}
+
+export function createRecord({ outcome = 'won', dealName = '', reason = '', date = '' } = {}) {
+  return {
+    outcome,
+    dealName: clean(dealName),
+    reason: clean(reason),
+    date: clean(date) || new Date().toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Returns a list of problems; an empty list means the competitor is usable
+ */
+export function validateCompetitor(competitor, existing = []) {
+  if (!competitor || typeof competitor !== 'object') return ['Competitor must be an object'];
+
+  const errors = [];
+  const name = clean(competitor.name);
+  if (!name) errors.push('Competitor name is required');
+  if (name && existing.some(other => other.id !== competitor.id && clean(other.name).toLowerCase() === name.toLowerCase())) {
+    errors.push(`A competitor named "${name}" already exists`);
+  }
+  (competitor.winLoss || []).forEach((record, index) => {
+    if (!OUTCOMES.includes(record.outcome)) errors.push(`Deal ${index + 1}: outcome must be won or lost`);
+  });
+  return errors;
+}
+
+/**
+ * Wins, losses and the reasons given most often for each
+ */
+export function winLossSummary(competitor) {
+  const records = competitor?.winLoss || [];
+  const wins = records.filter(record => record.outcome === 'won');
+  const losses = records.filter(record => record.outcome === 'lost');
+  const topReasons = list => {
+    const counts = new Map();
+    list.filter(record => record.reason).forEach(({ reason }) => {
+      const key = reason.toLowerCase();
+      counts.set(key, { reason: counts.get(key)?.reason || reason, count: (counts.get(key)?.count || 0) + 1 });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+  };
+
+  return {
+    wins: wins.length,
+    losses: losses.length,
+    total: records.length,
+    winRate: records.length ? Math.round((wins.length / records.length) * 100) : null,
+    winReasons: topReasons(wins),
+    lossReasons: topReasons(losses)
+  };
+}
+
+/**
+ * high / medium / low from the win rate, or unknown until there are enough deals
+ */
+export function threatLevel(competitor) {
+  const { winRate, total } = winLossSummary(competitor);
+  if (total < MIN_RECORDS_FOR_TREND) return 'unknown';
+  if (winRate < 40) return 'high';
+  if (winRate < 60) return 'medium';
+  return 'low';
+}
+
+/**
+ * Alerts for competitors we are losing to
+ */
+export function competitorAlerts(competitors) {
+  return competitors.flatMap(competitor => {
+    const summary = winLossSummary(competitor);
+    if (summary.total < MIN_RECORDS_FOR_TREND || summary.winRate >= 50) return [];
+    const topLoss = summary.lossReasons[0];
+    return [{
+      id: `winrate_${competitor.id}`,
+      competitorId: competitor.id,
+      severity: summary.winRate < 40 ? 'high' : 'medium',
+      message: `Win rate against ${competitor.name} is ${summary.winRate}% (${summary.wins}/${summary.total})`,
+      action_required: topLoss ? `Counter the top loss reason: ${topLoss.reason}` : 'Record why these deals were lost'
+    }];
+  });
+}
+
+// researchCompetitors returns { topCompetitors, ... }; executeResearchTask
+// wraps it as { type, data } and conductProductResearch as { data: { competitor_analysis } }
+function competitorResearchData(research) {
+  if (!research) return null;
+  if (research.topCompetitors) return research;
+  if (research.data?.topCompetitors) return research.data;
+  return research.data?.competitor_analysis || null;
+}
+
+/**
+ * Merge researched competitors into the list. New names become competitors;
+ * names already tracked only gain positioning or pricing notes they lack.
+ * @returns {{ competitors, added: string[], updated: string[] }}
+ */
+export function importResearchedCompetitors(research, existing = []) {
+  const data = competitorResearchData(research);
+  if (!data) throw new Error('No competitor research to import');
+
+  const competitors = [...existing];
+  const added = [];
+  const updated = [];
+
+  (data.topCompetitors || []).forEach(entry => {
+    const fields = typeof entry === 'string' ? { name: entry } : entry;
+    const name = clean(fields?.name);
+    if (!name) return;
+
+    const positioning = clean(fields.positioning || data.marketPositioning);
+    const pricingNotes = clean(fields.pricingNotes || data.pricingIndicators);
+    const index = competitors.findIndex(competitor => competitor.name.toLowerCase() === name.toLowerCase());
+
+    if (index === -1) {
+      competitors.push(createCompetitor({
+        ...fields,
+        name,
+        positioning,
+        pricingNotes,
+        source: 'research'
+      }, competitors));
+      added.push(name);
+    } else {
+      const current = competitors[index];
+      if ((!current.positioning && positioning) || (!current.pricingNotes && pricingNotes)) {
+        competitors[index] = {
+          ...current,
+          positioning: current.positioning || positioning,
+          pricingNotes: current.pricingNotes || pricingNotes,
+          updatedAt: new Date().toISOString()
+        };
+        updated.push(current.name);
+      }
+    }
+  });
+
+  return { competitors, added, updated };
+}
+
+function whyWeWin(competitor, productName, summary, differentiators) {
+  const statements = [
+    ...differentiators.map(point => `${productName}: ${point}`),
+    ...summary.winReasons.slice(0, 3).map(({ reason, count }) =>
+      `Deals won against ${competitor.name} cite ${lowerFirst(reason)}${count > 1 ? ` (${count} deals)` : ''}`),
+    ...competitor.weaknesses.map(weakness => `We win when the buyer weighs ${competitor.name}'s ${lowerFirst(weakness)}`)
+  ];
+  return statements.length ? statements : [`Record wins and weaknesses against ${competitor.name} to build win themes`];
+}
+
+function landmines(competitor, summary) {
+  const questions = [];
+  const add = (question, exposes) => {
+    if (!questions.some(existing => existing.question === question)) questions.push({ question, exposes });
+  };
+
+  competitor.weaknesses.forEach(weakness => {
+    const landmine = LANDMINES.find(({ terms }) => matchesTerms(weakness, terms));
+    add(landmine ? landmine.question : `How does each vendor handle ${lowerFirst(weakness)}?`, weakness);
+  });
+  if (competitor.pricingNotes && !questions.some(({ exposes }) => matchesTerms(exposes, LANDMINES[0].terms))) {
+    add(LANDMINES[0].question, competitor.pricingNotes);
+  }
+  // Losses tell us what they sell against; make the buyer weigh it
+  summary.lossReasons.slice(0, 2).forEach(({ reason }) => {
+    add(`How much weight does ${lowerFirst(reason)} carry against the rest of your requirements?`, `Lost on: ${reason}`);
+  });
+
+  return questions;
+}
+
+function objections(competitor, productName, personas, statements) {
+  const strengths = competitor.strengths.length ? competitor.strengths : [competitor.positioning].filter(Boolean);
+
+  return personas.map(persona => {
+    // The weakness this persona cares most about is the proof point against every strength
+    const weakness = competitor.weaknesses.find(candidate => matchesTerms(candidate, persona.terms || []))
+      || competitor.weaknesses[0];
+    const proof = weakness ? `starting with ${competitor.name}'s ${lowerFirst(weakness)}` : lowerFirst(statements[0]);
+
+    return {
+      personaId: persona.id,
+      persona: persona.name,
+      role: persona.role,
+      rebuttals: strengths.map(strength => ({
+        objection: `${competitor.name} has ${lowerFirst(strength)}.`,
+        response: `That's fair - ${lowerFirst(strength)} matters. For ${persona.focus}, compare what it takes to get value, ${proof}. Ask them to show it on your own data before deciding.`
+      }))
+    };
+  });
+}
+
+/**
+ * Battlecard for one competitor
+ * @param {Object} competitor - from createCompetitor
+ * @param {Object} options - { productName, differentiators: string[], personas (DEFAULT_PERSONAS), generatedAt }
+ */
+export function generateBattlecard(competitor, {
+  productName = 'Our solution',
+  differentiators = [],
+  personas = DEFAULT_PERSONAS,
+  generatedAt = new Date()
+} = {}) {
+  const summary = winLossSummary(competitor);
+  const statements = whyWeWin(competitor, productName, summary, toList(differentiators));
+
+  return {
+    competitorId: competitor.id,
+    competitor: competitor.name,
+    productName,
+    generatedAt: generatedAt.toISOString(),
+    positioning: competitor.positioning,
+    pricingNotes: competitor.pricingNotes,
+    strengths: competitor.strengths,
+    weaknesses: competitor.weaknesses,
+    threatLevel: threatLevel(competitor),
+    record: summary,
+    whyWeWin: statements,
+    landmines: landmines(competitor, summary),
+    objections: objections(competitor, productName, personas, statements)
+  };
+}
+
+/**
+ * The battlecard as a business case style document model
+ * ({ title, cover, sections }) for the shared renderers
+ */
+export function battlecardDocument(battlecard) {
+  const { record } = battlecard;
+  const overviewRows = [
+    ['Positioning', battlecard.positioning || 'Not recorded'],
+    ['Pricing', battlecard.pricingNotes || 'Not recorded'],
+    ['Record', record.total ? `${record.wins} won / ${record.losses} lost (${record.winRate}% win rate)` : 'No deals recorded'],
+    ['Threat level', battlecard.threatLevel]
+  ];
+
+  return {
+    title: `Battlecard: ${battlecard.competitor}`,
+    cover: {
+      title: `${battlecard.productName} vs ${battlecard.competitor}`,
+      subtitle: 'Competitive Battlecard',
+      details: [['Generated', battlecard.generatedAt.slice(0, 10)]]
+    },
+    sections: [
+      {
+        id: 'overview',
+        title: 'Overview',
+        blocks: [
+          { type: 'keyValue', rows: overviewRows },
+          { type: 'table', columns: ['Their strengths', 'Their weaknesses'], rows: Array.from(
+            { length: Math.max(battlecard.strengths.length, battlecard.weaknesses.length, 1) },
+            (_, index) => [battlecard.strengths[index] || '', battlecard.weaknesses[index] || '']
+          ) }
+        ]
+      },
+      { id: 'why-we-win', title: 'Why We Win', blocks: [{ type: 'bullets', items: battlecard.whyWeWin }] },
+      {
+        id: 'landmines',
+        title: 'Landmine Questions',
+        blocks: [{
+          type: 'table',
+          columns: ['Ask', 'Exposes'],
+          widths: [0.65, 0.35],
+          rows: battlecard.landmines.map(({ question, exposes }) => [question, exposes])
+        }]
+      },
+      {
+        id: 'objections',
+        title: 'Objection Rebuttals by Persona',
+        blocks: battlecard.objections.flatMap(({ persona, role, rebuttals }) => [
+          { type: 'subheading', text: `${persona} (${role})` },
+          rebuttals.length
+            ? { type: 'table', columns: ['Objection', 'Rebuttal'], widths: [0.35, 0.65], rows: rebuttals.map(({ objection, response }) => [objection, response]) }
+            : { type: 'paragraph', text: 'Record their strengths to prepare rebuttals.' }
+        ])
+      }
+    ]
+  };
+}
+
+export function battlecardPdfBlob(battlecard) {
+  return businessCasePdf(battlecardDocument(battlecard)).output('blob');
+}
+
+export const CompetitorBattlecardService = {
+  toList,
+  createCompetitor,
+  createRecord,
+  validateCompetitor,
+  winLossSummary,
+  threatLevel,
+  competitorAlerts,
+  importResearchedCompetitors,
+  generateBattlecard,
+  battlecardDocument,
+  battlecardPdfBlob
+};
+
+export default CompetitorBattlecardService;
@@ -0,0 +1,275 @@
+import { BUSINESS } from '../constants/app';
+import { computeCostOfInaction, formatMoney } from './financialModel';
+
+export { computeCostOfInaction };
+
+/**
+ * Cost Scenario Service
+ *
+ * Cost of inaction (financialModel.computeCostOfInaction) with every
+ * assumption exposed as an input, so founders can answer "what if churn is
+ * half that?" in the room. Builds named scenarios side by side, a tornado
+ * ranking of which input moves the total most, and Monte Carlo P10/P50/P90
+ * ranges from a min/max per input.
+ *
+ * Inputs are kept in the units the calculator form shows (percentages as
+ * 0-100, cycle in days, timeframe in months). The simulation uses a seeded
+ * generator so the same ranges always give the same percentiles.
+ */
+
+export const COST_INPUTS = [
+  { key: 'currentRevenue', label: 'Current Revenue', unit: 'currency' },
+  { key: 'targetGrowthRate', label: 'Target Growth Rate', unit: 'percent' },
+  { key: 'averageDealSize', label: 'Average Deal Size', unit: 'currency' },
+  { key: 'salesCycleLength', label: 'Sales Cycle', unit: 'days' },
+  { key: 'churnRate', label: 'Churn Rate', unit: 'percent' },
+  { key: 'timeframe', label: 'Delay Period', unit: 'months' },
+  { key: 'inefficiencyRate', label: 'Sales Inefficiency', unit: 'percent' },
+  { key: 'baselineCycleDays', label: 'Baseline Sales Cycle', unit: 'days' },
+  { key: 'delayCostRate', label: 'Delay Cost per Day', unit: 'percent' }
+];
+
+// Assumptions the calculator used to hardcode, now editable per scenario
+export const DEFAULT_ASSUMPTIONS = {
+  inefficiencyRate: BUSINESS.defaultInefficiencyRate * 100,
+  baselineCycleDays: BUSINESS.baselineSalesCycleDays,
+  delayCostRate: BUSINESS.delayCostPerDayRate * 100
+};
+
+// Multipliers applied to the expected inputs; anything unlisted is unchanged
+export const SCENARIO_PRESETS = [
+  {
+    id: 'conservative',
+    name: 'Conservative',
+    adjustments: { targetGrowthRate: 0.5, churnRate: 0.5, inefficiencyRate: 0.5, delayCostRate: 0.5 }
+  },
+  { id: 'expected', name: 'Expected', adjustments: {} },
+  {
+    id: 'aggressive',
+    name: 'Aggressive',
+    adjustments: { targetGrowthRate: 1.5, churnRate: 1.5, inefficiencyRate: 1.5, delayCostRate: 1.5 }
+  }
+];
+
+export const DEFAULT_RANGE_SPREAD = 0.25;
+export const DEFAULT_ITERATIONS = 2000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value, fallback = 0) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Model inputs from the calculator form (string values) plus any saved
+ * assumptions
+ */
+export function inputsFromForm(formData = {}, assumptions = {}) {
+  const merged = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  return {
+    currentRevenue: toNumber(formData.currentRevenue),
+    targetGrowthRate: toNumber(formData.targetGrowthRate),
+    averageDealSize: toNumber(formData.averageDealSize),
+    salesCycleLength: toNumber(formData.salesCycleLength, 90),
+    churnRate: toNumber(formData.churnRate),
+    timeframe: toNumber(formData.timeframe, BUSINESS.standardAnalysisPeriod),
+    inefficiencyRate: toNumber(merged.inefficiencyRate),
+    baselineCycleDays: toNumber(merged.baselineCycleDays),
+    delayCostRate: toNumber(merged.delayCostRate)
+  };
+}
+
+/**
+ * Conservative / expected / aggressive scenarios around the expected inputs
+ * @returns {Array<{ id, name, inputs }>}
+ */
+export function createDefaultScenarios(expectedInputs) {
+  return SCENARIO_PRESETS.map(({ id, name, adjustments }) => ({
+    id,
+    name,
+    inputs: Object.fromEntries(
+      Object.entries(expectedInputs).map(([key, value]) => [key, round2(value * (adjustments[key] ?? 1))])
+    )
+  }));
+}
+
+/**
+ * Copy of an existing scenario under a new name, for user-defined cases
+ */
+export function cloneScenario(scenario, name, existing = []) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+  const taken = new Set(existing.map(other => other.id));
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: name.trim() || 'Scenario', inputs: { ...scenario.inputs } };
+}
+
+export function compareScenarios(scenarios) {
+  return scenarios.map(scenario => ({ ...scenario, result: computeCostOfInaction(scenario.inputs) }));
+}
+
+/**
+ * Default min/max per input: the base value +/- spread
+ */
+export function defaultRanges(inputs, spread = DEFAULT_RANGE_SPREAD) {
+  return Object.fromEntries(
+    COST_INPUTS.map(({ key }) => [key, { min: round2(inputs[key] * (1 - spread)), max: round2(inputs[key] * (1 + spread)) }])
+  );
+}
+
+/**
+ * One-at-a-time sensitivity: move each input to its min and max while holding
+ * the rest at base. Sorted widest swing first, which is the tornado order.
+ * @returns {{ baseline, drivers: Array<{ key, label, min, max, lowTotal, highTotal, swing }> }}
+ */
+export function tornadoSensitivity(inputs, ranges) {
+  const baseline = computeCostOfInaction(inputs).totalCostOfInaction;
+
+  const drivers = COST_INPUTS
+    .filter(({ key }) => ranges[key])
+    .map(({ key, label }) => {
+      const { min, max } = ranges[key];
+      const atMin = computeCostOfInaction({ ...inputs, [key]: min }).totalCostOfInaction;
+      const atMax = computeCostOfInaction({ ...inputs, [key]: max }).totalCostOfInaction;
+      return {
+        key,
+        label,
+        min,
+        max,
+        lowTotal: Math.min(atMin, atMax),
+        highTotal: Math.max(atMin, atMax),
+        swing: Math.abs(atMax - atMin)
+      };
+    })
+    .filter(driver => driver.swing > 0)
+    .sort((a, b) => b.swing - a.swing);
+
+  return { baseline, drivers };
+}
+
+// mulberry32 - small, fast and good enough for sampling input ranges
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Triangular draw peaking at the base value, uniform if base is outside the range
+function sampleRange(random, { min, max }, mode) {
+  if (max <= min) return min;
+  const u = random();
+  if (!(mode > min && mode < max)) return min + u * (max - min);
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+export function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return 0;
+  const position = (sortedValues.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Monte Carlo cost of inaction with every ranged input drawn independently
+ * @param {Object} inputs - base inputs, used as the most likely value
+ * @param {Object} ranges - { inputKey: { min, max } }
+ * @param {Object} options - { iterations, seed }
+ * @returns {{ iterations, p10, p50, p90, mean, min, max }}
+ */
+export function runMonteCarlo(inputs, ranges, { iterations = DEFAULT_ITERATIONS, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const rangedKeys = COST_INPUTS.map(({ key }) => key).filter(key => ranges[key]);
+  const totals = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const sample = { ...inputs };
+    rangedKeys.forEach(key => {
+      sample[key] = sampleRange(random, ranges[key], inputs[key]);
+    });
+    totals.push(computeCostOfInaction(sample).totalCostOfInaction);
+  }
+
+  totals.sort((a, b) => a - b);
+  return {
+    iterations,
+    p10: Math.round(percentile(totals, 0.1)),
+    p50: Math.round(percentile(totals, 0.5)),
+    p90: Math.round(percentile(totals, 0.9)),
+    mean: Math.round(totals.reduce((sum, total) => sum + total, 0) / (totals.length || 1)),
+    min: totals[0] ?? 0,
+    max: totals[totals.length - 1] ?? 0
+  };
+}
+
+/**
+ * @param {Object} money - { currency, locale } for currency inputs
+ */
+export function formatInputValue(key, value, money = {}) {
+  const input = COST_INPUTS.find(candidate => candidate.key === key);
+  switch (input?.unit) {
+    case 'currency': return formatMoney(value, money);
+    case 'percent': return `${value}%`;
+    case 'days': return `${value} days`;
+    case 'months': return `${value} months`;
+    default: return String(value);
+  }
+}
+
+/**
+ * Plain-text section for exports: scenarios side by side, top drivers and
+ * the simulated range, in the customer's { currency, locale }
+ */
+export function scenarioReportLines({ scenarios = [], sensitivity = null, simulation = null, money = {} } = {}) {
+  const lines = [];
+
+  if (scenarios.length > 0) {
+    lines.push('Scenarios:');
+    compareScenarios(scenarios).forEach(({ name, inputs, result }) => {
+      lines.push(`- ${name}: ${formatMoney(result.totalCostOfInaction, money)} (growth ${inputs.targetGrowthRate}%, churn ${inputs.churnRate}%, inefficiency ${inputs.inefficiencyRate}%)`);
+    });
+  }
+
+  if (sensitivity?.drivers.length > 0) {
+    lines.push('', 'Biggest Drivers:');
+    sensitivity.drivers.slice(0, 5).forEach(({ key, label, min, max, lowTotal, highTotal }) => {
+      lines.push(`- ${label} (${formatInputValue(key, min, money)} to ${formatInputValue(key, max, money)}): ${formatMoney(lowTotal, money)} - ${formatMoney(highTotal, money)}`);
+    });
+  }
+
+  if (simulation) {
+    lines.push('', `Monte Carlo Range (${simulation.iterations.toLocaleString(money.locale)} runs):`);
+    lines.push(`- P10: ${formatMoney(simulation.p10, money)}`);
+    lines.push(`- P50: ${formatMoney(simulation.p50, money)}`);
+    lines.push(`- P90: ${formatMoney(simulation.p90, money)}`);
+  }
+
+  return lines;
+}
+
+export const CostScenarioService = {
+  COST_INPUTS,
+  SCENARIO_PRESETS,
+  inputsFromForm,
+  computeCostOfInaction,
+  createDefaultScenarios,
+  cloneScenario,
+  compareScenarios,
+  defaultRanges,
+  tornadoSensitivity,
+  runMonteCarlo,
+  scenarioReportLines
+};
+
+export default CostScenarioService;
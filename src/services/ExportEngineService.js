@@ -156,7 +156,7 @@ export const ExportEngineService = {
           category: 'sales_automation',
           description: 'Multi-touch sequences using buyer intelligence',
           fileType: 'text',
-          implementation: 'Create new sequence in Outreach and copy email templates',
+          implementation: 'Check & Export, then import the sequence JSON into Outreach',
           variables: ['[SEQUENCE_NAME]', '[EMAIL_SUBJECT]', '[PERSONALIZATION]']
         },
         salesloft_cadences: {
@@ -164,7 +164,7 @@ export const ExportEngineService = {
           category: 'sales_automation',
           description: 'Multi-channel cadences with buyer-specific messaging',
           fileType: 'json',
-          implementation: 'Import cadence structure into SalesLoft',
+          implementation: 'Check & Export, then import the cadence CSV into SalesLoft',
           variables: ['[CADENCE_NAME]', '[TOUCH_POINTS]', '[TALK_TRACKS]']
         },
         apollo_lists: {
@@ -0,0 +1,343 @@
+import technicalTranslationService from './TechnicalTranslationService';
+
+/**
+ * Feature Value Mapping Service
+ *
+ * Picks up where ProductFeatureParser stops: links each parsed feature to
+ * the ICP pain points and persona goals it addresses, runs every feature
+ * through TechnicalTranslationService to get a feature → benefit →
+ * business outcome chain, and builds a coverage matrix that shows which
+ * pains and goals no feature answers and which features answer nothing.
+ *
+ * Matching is heuristic. Features and targets are tagged with value themes
+ * (automation, visibility, integration...) by keyword stem, and a feature
+ * links to a target when they share a theme or at least two keywords.
+ */
+
+export const PRODUCT_CONFIGURATION_TOOL = 'product_configuration';
+export const VALUE_MAPPING_VERSION = 1;
+export const LINK_THRESHOLD = 2;
+
+// benefit is the first link of the chain; metric and stakeholder feed
+// translateTechnicalMetric for the outcome. terms match word stems by prefix.
+export const VALUE_THEMES = {
+  automation: {
+    label: 'Manual Work',
+    benefit: 'Takes manual, repetitive work off the team',
+    terms: ['automat', 'manual', 'workflow', 'repetitive', 'task', 'hour', 'bottleneck', 'productiv', 'efficien', 'inefficien'],
+    metric: 'processing_speed',
+    stakeholder: 'COO'
+  },
+  visibility: {
+    label: 'Visibility & Insight',
+    benefit: 'Gives leaders a live view of performance',
+    terms: ['dashboard', 'analytic', 'report', 'visib', 'insight', 'track', 'monitor', 'forecast', 'predict', 'real', 'metric'],
+    metric: 'tracking_accuracy',
+    stakeholder: 'COO'
+  },
+  integration: {
+    label: 'Connected Systems',
+    benefit: 'Connects the systems the team already uses',
+    terms: ['integrat', 'api', 'connector', 'crm', 'salesforce', 'hubspot', 'slack', 'sync', 'silo', 'disconnect', 'fragment', 'legacy', 'webhook'],
+    metric: 'processing_speed',
+    stakeholder: 'COO'
+  },
+  compliance: {
+    label: 'Risk & Compliance',
+    benefit: 'Reduces security and compliance exposure',
+    terms: ['secur', 'complian', 'audit', 'regulat', 'gdpr', 'soc2', 'sso', 'encrypt', 'risk', 'fraud', 'privacy'],
+    metric: 'fraud_detection',
+    stakeholder: 'CFO'
+  },
+  pipeline: {
+    label: 'Pipeline Quality',
+    benefit: 'Focuses reps on the best-fit opportunities',
+    terms: ['lead', 'pipeline', 'prospect', 'qualif', 'scor', 'intent', 'icp'],
+    metric: 'accuracy_improvement',
+    stakeholder: 'CFO'
+  },
+  revenue: {
+    label: 'Revenue Growth',
+    benefit: 'Moves more deals to close, faster',
+    terms: ['revenue', 'sale', 'conversion', 'convert', 'deal', 'win', 'quota', 'growth', 'upsell', 'churn', 'retention', 'velocity', 'cycle'],
+    metric: 'conversion_rate',
+    stakeholder: 'CFO'
+  },
+  cost: {
+    label: 'Cost Control',
+    benefit: 'Lowers the cost of running the process',
+    terms: ['cost', 'budget', 'roi', 'spend', 'saving', 'expens', 'waste', 'overhead'],
+    metric: 'cost_reduction',
+    stakeholder: 'CFO'
+  },
+  scale: {
+    label: 'Scale & Reliability',
+    benefit: 'Handles growth without slowing down or breaking',
+    terms: ['scal', 'reliab', 'uptime', 'performance', 'speed', 'fast', 'latency', 'capacity', 'cloud'],
+    metric: 'processing_speed',
+    stakeholder: 'COO'
+  },
+  dataQuality: {
+    label: 'Data Quality',
+    benefit: 'Keeps customer and pipeline data accurate',
+    terms: ['accura', 'quality', 'error', 'clean', 'enrich', 'duplicat', 'data'],
+    metric: 'accuracy_improvement',
+    stakeholder: 'COO'
+  },
+  adoption: {
+    label: 'Ease of Adoption',
+    benefit: 'Gets the team productive with little training',
+    terms: ['easy', 'intuitive', 'mobile', 'adopt', 'onboard', 'training', 'friendly', 'simple', 'usab'],
+    metric: 'processing_speed',
+    stakeholder: 'COO'
+  }
+};
+
+// Fallback theme for features that match no theme keywords, by parser category
+export const CATEGORY_THEMES = {
+  core: 'automation',
+  technical: 'scale',
+  business: 'revenue',
+  integration: 'integration',
+  user: 'adoption'
+};
+
+// Where pains and goals live in the generated core resources
+export const TARGET_SOURCES = [
+  { resource: 'icp_analysis', field: 'pain_points', type: 'pain', source: 'ICP' },
+  { resource: 'icp_analysis', field: 'goals_objectives', type: 'goal', source: 'ICP' },
+  { resource: 'buyer_personas', field: 'pain_points', type: 'pain', source: 'Persona' },
+  { resource: 'buyer_personas', field: 'goals_and_objectives', type: 'goal', source: 'Persona' },
+  { resource: 'empathy_map', field: 'pains_and_frustrations', type: 'pain', source: 'Empathy Map' }
+];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'our', 'your', 'their', 'from', 'into', 'that', 'this', 'are', 'was',
+  'has', 'have', 'lack', 'poor', 'more', 'less', 'improve', 'increase', 'reduce', 'better', 'enhance',
+  'advanced', 'new', 'all', 'across', 'team', 'teams', 'via', 'based', 'powered', 'high', 'low'
+]);
+
+const INDUSTRY_PATTERNS = [
+  ['healthcare', /health|medical|clinic|hospital|pharma/i],
+  ['logistics', /logistic|supply chain|shipping|freight|warehouse/i],
+  ['fintech', /fintech|financ|bank|payment|insur|lending/i]
+];
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && /(ss|ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercased, stemmed content words
+ */
+export function keywordsOf(text) {
+  const words = String(text ?? '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [...new Set(words.filter(word => word.length > 2 && !STOPWORDS.has(word)).map(stem))];
+}
+
+/**
+ * Each keyword counts towards the theme with its most specific (longest)
+ * matching term, so "salesforce" is integration rather than revenue
+ */
+export function themesOf(keywords) {
+  const matched = new Set();
+  keywords.forEach(keyword => {
+    let best = null;
+    Object.entries(VALUE_THEMES).forEach(([id, theme]) => theme.terms.forEach(term => {
+      if (keyword.startsWith(term) && term.length > (best?.length || 0)) best = { id, length: term.length };
+    }));
+    if (best) matched.add(best.id);
+  });
+  return Object.keys(VALUE_THEMES).filter(id => matched.has(id));
+}
+
+const stripHtml = text => String(text).replace(/<(br|\/p|\/li|\/h\d|\/div)[^>]*>/gi, '\n').replace(/<[^>]+>/g, ' ');
+
+/**
+ * One item per bullet, line, semicolon or comma. Resource fields arrive as
+ * comma lists ("Manual processes, data silos"), markdown bullets, HTML
+ * sections or arrays.
+ */
+export function splitItems(value) {
+  if (Array.isArray(value)) return value.flatMap(splitItems);
+  if (value === null || value === undefined || typeof value === 'object') return [];
+
+  return stripHtml(value)
+    .split(/[\n;,•]|\s-\s|^\s*[-*]\s/m)
+    .map(item => item.replace(/^\s*(?:[-*]|\d+[.)]|and)\s+/i, '').replace(/[\s.]+$/, '').trim())
+    .filter(item => item.length > 2);
+}
+
+/**
+ * ICP pain points and persona goals from the generated core resources,
+ * de-duplicated across sources
+ */
+export function extractTargets(resources = {}) {
+  const targets = [];
+  const byKey = new Map();
+
+  TARGET_SOURCES.forEach(({ resource, field, type, source }) => {
+    const data = resources?.[resource];
+    if (!data) return;
+    const sourceLabel = resource === 'buyer_personas' && data.persona_name ? `${source}: ${data.persona_name}` : source;
+
+    splitItems(data[field] ?? data.sections?.[field]).forEach(text => {
+      const key = `${type}:${text.toLowerCase()}`;
+      if (byKey.has(key)) {
+        const existing = byKey.get(key);
+        if (!existing.sources.includes(sourceLabel)) existing.sources.push(sourceLabel);
+        return;
+      }
+
+      const keywords = keywordsOf(text);
+      const target = {
+        id: `${type}_${targets.filter(candidate => candidate.type === type).length + 1}`,
+        type,
+        text,
+        sources: [sourceLabel],
+        keywords,
+        themes: themesOf(keywords)
+      };
+      byKey.set(key, target);
+      targets.push(target);
+    });
+  });
+
+  return targets;
+}
+
+export function featureThemes(feature) {
+  const themes = themesOf(keywordsOf(feature.text));
+  if (themes.length) return themes;
+  return CATEGORY_THEMES[feature.category] ? [CATEGORY_THEMES[feature.category]] : [];
+}
+
+/**
+ * 2 points per shared theme plus 1 per shared keyword
+ */
+export function matchScore(feature, target) {
+  const keywords = keywordsOf(feature.text);
+  const themes = featureThemes(feature);
+  const sharedThemes = themes.filter(theme => target.themes.includes(theme));
+  const sharedKeywords = keywords.filter(keyword => target.keywords.includes(keyword));
+
+  return { score: sharedThemes.length * 2 + sharedKeywords.length, sharedThemes, sharedKeywords };
+}
+
+export function industryKey(text) {
+  const match = INDUSTRY_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : undefined;
+}
+
+/**
+ * Feature → benefit → business outcome. The feature's main theme (the one
+ * it shares with the most targets) supplies the benefit and the stakeholder;
+ * TechnicalTranslationService phrases the outcome for that stakeholder.
+ */
+export function buildValueChain(feature, links, { customerName, industry } = {}) {
+  const themeCounts = {};
+  links.forEach(link => link.sharedThemes.forEach(theme => {
+    themeCounts[theme] = (themeCounts[theme] || 0) + 1;
+  }));
+  const themeId = Object.entries(themeCounts).sort(([, a], [, b]) => b - a)[0]?.[0]
+    || featureThemes(feature)[0]
+    || 'automation';
+  const theme = VALUE_THEMES[themeId];
+
+  const translation = technicalTranslationService.translateTechnicalMetric({
+    technicalMetric: theme.metric,
+    improvement: feature.text,
+    industry: industryKey(industry),
+    targetStakeholder: theme.stakeholder,
+    customerContext: { name: customerName || undefined, industry: industry || undefined }
+  });
+
+  return {
+    featureId: feature.id,
+    feature: feature.text,
+    theme: themeId,
+    stakeholder: theme.stakeholder,
+    benefit: theme.benefit,
+    outcome: translation.businessTranslation,
+    evidence: translation.stakeholderSpecific.roiCalculation,
+    keyMetrics: translation.stakeholderSpecific.keyMetrics,
+    addresses: links.map(({ targetId }) => targetId)
+  };
+}
+
+/**
+ * Features × targets scores plus the gaps either way
+ */
+export function buildCoverageMatrix(features, targets, links) {
+  const scoreOf = new Map(links.map(link => [`${link.featureId}|${link.targetId}`, link.score]));
+  const linkedFeatures = new Set(links.map(link => link.featureId));
+  const linkedTargets = new Set(links.map(link => link.targetId));
+  const ofType = type => targets.filter(target => target.type === type);
+  const coverage = type => {
+    const total = ofType(type).length;
+    const covered = ofType(type).filter(target => linkedTargets.has(target.id)).length;
+    return { covered, total, percent: total ? Math.round((covered / total) * 100) : 0 };
+  };
+
+  return {
+    featureIds: features.map(feature => feature.id),
+    targetIds: targets.map(target => target.id),
+    scores: features.map(feature => targets.map(target => scoreOf.get(`${feature.id}|${target.id}`) || 0)),
+    unaddressedPains: ofType('pain').filter(target => !linkedTargets.has(target.id)).map(target => target.id),
+    unaddressedGoals: ofType('goal').filter(target => !linkedTargets.has(target.id)).map(target => target.id),
+    orphanFeatures: features.filter(feature => !linkedFeatures.has(feature.id)).map(feature => feature.id),
+    coverage: { pains: coverage('pain'), goals: coverage('goal') }
+  };
+}
+
+/**
+ * The full pipeline: parsed features and core resources in, a serialisable
+ * mapping out (saved with the product configuration)
+ */
+export function mapFeaturesToValue({ parsedFeatures = [], resources = {}, customerName = '', generatedAt = new Date() } = {}) {
+  const features = parsedFeatures.map(({ id, text, category, icpImpact }) => ({ id, text, category, icpImpact }));
+  const targets = extractTargets(resources);
+  const industry = resources?.icp_analysis?.industry_verticals || resources?.buyer_personas?.industry || '';
+
+  const links = [];
+  features.forEach(feature => targets.forEach(target => {
+    const { score, sharedThemes, sharedKeywords } = matchScore(feature, target);
+    if (score >= LINK_THRESHOLD) {
+      links.push({ featureId: feature.id, targetId: target.id, score, sharedThemes, sharedKeywords });
+    }
+  }));
+
+  const chains = features.map(feature =>
+    buildValueChain(feature, links.filter(link => link.featureId === feature.id), { customerName, industry })
+  );
+
+  return {
+    version: VALUE_MAPPING_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    features,
+    targets: targets.map(({ keywords, ...target }) => target),
+    links,
+    chains,
+    matrix: buildCoverageMatrix(features, targets, links)
+  };
+}
+
+export const FeatureValueMappingService = {
+  keywordsOf,
+  themesOf,
+  splitItems,
+  extractTargets,
+  featureThemes,
+  matchScore,
+  industryKey,
+  buildValueChain,
+  buildCoverageMatrix,
+  mapFeaturesToValue
+};
+
+export default FeatureValueMappingService;
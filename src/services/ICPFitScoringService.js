@@ -0,0 +1,407 @@
+/**
+ * ICP Fit Scoring Service
+ *
+ * Deterministic, explainable scoring of a company profile against the
+ * customer's weighted ICP framework. Every criterion is scored 0-100 by a
+ * documented rule, with evidence strings and a 0-1 confidence reflecting how
+ * much of the profile the rule had to work with. Same input, same output -
+ * no network calls, no randomness, no React.
+ *
+ * Company profile:
+ *   { name, employeeCount, annualRevenue, industry, techStack: [], fundingStage,
+ *     signals: [{ type, detail }] | ['hiring', ...] }
+ *
+ * ICP target (see buildICPTarget):
+ *   { employeeRange: { min, max }, revenueRange: { min, max }, industries: [],
+ *     technologies: [], fundingStages: [] }
+ */
+
+export const DEFAULT_FRAMEWORK = [
+  { name: 'Company Size', weight: 25, description: 'Employee count and revenue scale' },
+  { name: 'Technical Maturity', weight: 30, description: 'Current tech stack and capabilities' },
+  { name: 'Growth Stage', weight: 20, description: 'Company phase and trajectory' },
+  { name: 'Pain Point Severity', weight: 25, description: 'Urgency of problems we solve' }
+];
+
+export const DEFAULT_TARGET = {
+  employeeRange: { min: 50, max: 1000 },
+  revenueRange: { min: 5000000, max: 250000000 },
+  industries: [],
+  technologies: [],
+  fundingStages: ['series_a', 'series_b', 'series_c']
+};
+
+// Ordered so that distance between stages means something
+export const FUNDING_STAGES = [
+  { key: 'bootstrapped', label: 'Bootstrapped' },
+  { key: 'pre_seed', label: 'Pre-seed' },
+  { key: 'seed', label: 'Seed' },
+  { key: 'series_a', label: 'Series A' },
+  { key: 'series_b', label: 'Series B' },
+  { key: 'series_c', label: 'Series C' },
+  { key: 'growth', label: 'Series D+ / Growth' },
+  { key: 'public', label: 'Public' }
+];
+
+// Points each buying signal adds to pain severity; negative signals subtract
+export const SIGNAL_WEIGHTS = {
+  funding_round: { label: 'Recent funding round', points: 30 },
+  hiring_surge: { label: 'Hiring in the buying team', points: 25 },
+  leadership_change: { label: 'New leader in the buying team', points: 20 },
+  tech_migration: { label: 'Replacing or migrating systems', points: 25 },
+  expansion: { label: 'Expanding into new markets', points: 15 },
+  compliance_deadline: { label: 'Compliance deadline', points: 20 },
+  competitor_churn: { label: 'Unhappy with a competitor', points: 25 },
+  layoffs: { label: 'Recent layoffs', points: -20 },
+  budget_freeze: { label: 'Budget freeze', points: -30 }
+};
+
+export const TIERS = [
+  { min: 80, tier: 'High', recommendation: 'High Priority' },
+  { min: 60, tier: 'Medium', recommendation: 'Medium Priority' },
+  { min: 0, tier: 'Low', recommendation: 'Low Priority' }
+];
+
+const TECH_STACK_FULL_BREADTH = 8;
+const TECH_OVERLAP_FULL_MATCH = 3;
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+// FUNDING_STAGES key for a key or label ("series_a", "Series A", "pre-seed"); null when unknown
+const fundingStageKey = (value) => {
+  const text = normalize(value);
+  const stage = FUNDING_STAGES.find(candidate => (
+    candidate.key === text.replace(/[\s-]+/g, '_') || candidate.label.toLowerCase() === text
+  ));
+  return stage ? stage.key : null;
+};
+
+// Known stage keys from a target, or the default stages when none are known
+const targetFundingStages = (stages) => {
+  const keys = [...new Set(toList(stages).map(fundingStageKey).filter(Boolean))];
+  return keys.length > 0 ? keys : DEFAULT_TARGET.fundingStages;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const formatNumber = (value) => value.toLocaleString('en-US');
+
+const formatRange = ({ min, max }, format = formatNumber) =>
+  (max === null || max === undefined ? `${format(min)}+` : `${format(min)}-${format(max)}`);
+
+const formatMoney = (value) => {
+  if (value >= 1e9) return `$${Number((value / 1e9).toFixed(1))}B`;
+  if (value >= 1e6) return `$${Number((value / 1e6).toFixed(1))}M`;
+  if (value >= 1e3) return `$${Number((value / 1e3).toFixed(1))}K`;
+  return `$${value}`;
+};
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Numeric bounds from ICP text such as "50-200 employees" or "$10M - $50M+"
+ */
+export function parseNumberRange(value) {
+  if (value && typeof value === 'object' && Number.isFinite(value.min)) {
+    return { min: value.min, max: Number.isFinite(value.max) ? value.max : null };
+  }
+  if (typeof value !== 'string') return null;
+
+  const numbers = [...value.matchAll(/(\d+(?:,\d{3})*(?:\.\d+)?)\s*([kmb](?![a-z]))?/gi)]
+    .map(([, digits, suffix]) => Number(digits.replace(/,/g, '')) * (suffix ? MULTIPLIERS[suffix.toLowerCase()] : 1));
+  if (numbers.length === 0) return null;
+
+  return {
+    min: Math.min(...numbers),
+    max: /\+\s*\w*$/.test(value.trim()) ? null : Math.max(...numbers)
+  };
+}
+
+/**
+ * ICP target from whatever ICP data the customer has: generated ICP fields
+ * (company_size_range, annual_revenue_range, industry_verticals,
+ * technology_stack) or CRM-style data (companySize, revenueRange,
+ * targetIndustries, technographics). Missing parts fall back to DEFAULT_TARGET.
+ */
+export function buildICPTarget(icp) {
+  if (!icp || typeof icp !== 'object') return { ...DEFAULT_TARGET };
+
+  const employeeRange = parseNumberRange(icp.companySize) ||
+    parseNumberRange(icp.employee_count) ||
+    parseNumberRange(icp.company_size_range);
+  const revenueRange = parseNumberRange(icp.revenueRange) || parseNumberRange(icp.annual_revenue_range);
+  const industries = toList(icp.targetIndustries || icp.industries || icp.industry_verticals);
+  const technologies = toList(icp.technographics || icp.technologies || icp.technology_stack);
+
+  return {
+    employeeRange: employeeRange || DEFAULT_TARGET.employeeRange,
+    revenueRange: revenueRange || DEFAULT_TARGET.revenueRange,
+    industries,
+    technologies,
+    fundingStages: targetFundingStages(icp.fundingStages)
+  };
+}
+
+/**
+ * 100 inside the range, losing 30 points per doubling outside it
+ */
+function rangeScore(value, range) {
+  if (value >= range.min && (range.max === null || value <= range.max)) return 100;
+  const ratio = value < range.min ? range.min / Math.max(value, 1) : value / range.max;
+  return clamp(100 - 30 * Math.log2(ratio));
+}
+
+const noData = (evidence) => ({ score: null, confidence: 0, evidence: [evidence] });
+
+/**
+ * Company Size: employee count and annual revenue against the ICP ranges,
+ * each 100 in range and -30 per doubling outside it, averaged.
+ * Confidence 1 with both numbers, 0.7 with one.
+ */
+function scoreCompanySize(profile, target) {
+  const parts = [];
+  const evidence = [];
+
+  const employees = toNumber(profile.employeeCount);
+  if (employees !== null) {
+    const score = rangeScore(employees, target.employeeRange);
+    parts.push(score);
+    evidence.push(`${formatNumber(employees)} employees vs ICP ${formatRange(target.employeeRange)}${score === 100 ? ' (in range)' : ''}`);
+  }
+
+  const revenue = toNumber(profile.annualRevenue);
+  if (revenue !== null) {
+    const score = rangeScore(revenue, target.revenueRange);
+    parts.push(score);
+    evidence.push(`${formatMoney(revenue)} revenue vs ICP ${formatRange(target.revenueRange, formatMoney)}${score === 100 ? ' (in range)' : ''}`);
+  }
+
+  if (parts.length === 0) return noData('No employee count or revenue provided');
+  return {
+    score: clamp(parts.reduce((sum, part) => sum + part, 0) / parts.length),
+    confidence: parts.length === 2 ? 1 : 0.7,
+    evidence
+  };
+}
+
+/**
+ * Industry Fit: 100 when the industry matches an ICP vertical (either name
+ * contains the other), otherwise 20. Without ICP verticals there's nothing to
+ * compare against, so the criterion is unscored.
+ */
+function scoreIndustryFit(profile, target) {
+  const industry = normalize(profile.industry);
+  if (!industry) return noData('No industry provided');
+  if (target.industries.length === 0) return noData('ICP lists no target industries');
+
+  const match = target.industries.find(candidate => {
+    const vertical = normalize(candidate);
+    return vertical.includes(industry) || industry.includes(vertical);
+  });
+  return match
+    ? { score: 100, confidence: 0.9, evidence: [`${profile.industry} matches ICP vertical ${match}`] }
+    : { score: 20, confidence: 0.9, evidence: [`${profile.industry} is outside ICP verticals (${target.industries.join(', ')})`] };
+}
+
+/**
+ * Technical Maturity: stack breadth (full marks at 8 tools) is worth 50
+ * points and overlap with the ICP technologies (full marks at 3) the other 50.
+ * Without ICP technologies breadth alone scales to 100. Confidence 0.8 -
+ * public tech stacks are rarely complete.
+ */
+function scoreTechnicalMaturity(profile, target) {
+  const stack = toList(profile.techStack);
+  if (stack.length === 0) return noData('No tech stack provided');
+
+  const breadth = Math.min(stack.length, TECH_STACK_FULL_BREADTH) / TECH_STACK_FULL_BREADTH;
+  const evidence = [`${stack.length} ${stack.length === 1 ? 'tool' : 'tools'} in the stack`];
+
+  if (target.technologies.length === 0) {
+    return { score: clamp(breadth * 100), confidence: 0.8, evidence };
+  }
+
+  const stackNames = stack.map(normalize);
+  const overlap = target.technologies.filter(tech => stackNames.includes(normalize(tech)));
+  const needed = Math.min(target.technologies.length, TECH_OVERLAP_FULL_MATCH);
+  evidence.unshift(overlap.length > 0
+    ? `Uses ${overlap.join(', ')} (${overlap.length} of ${target.technologies.length} ICP technologies)`
+    : `Uses none of the ICP technologies (${target.technologies.join(', ')})`);
+
+  return {
+    score: clamp(breadth * 50 + (Math.min(overlap.length, needed) / needed) * 50),
+    confidence: 0.8,
+    evidence
+  };
+}
+
+/**
+ * Growth Stage: 100 for an ICP funding stage, then 70 / 40 / 10 one, two
+ * or more stages away from the nearest one.
+ */
+function scoreGrowthStage(profile, target) {
+  const stage = normalize(profile.fundingStage);
+  const index = FUNDING_STAGES.findIndex(candidate => candidate.key === stage);
+  if (index === -1) return noData(stage ? `Unknown funding stage "${profile.fundingStage}"` : 'No funding stage provided');
+
+  const targetIndexes = targetFundingStages(target.fundingStages)
+    .map(key => FUNDING_STAGES.findIndex(candidate => candidate.key === key));
+  const distance = Math.min(...targetIndexes.map(candidate => Math.abs(candidate - index)));
+  const score = [100, 70, 40][distance] ?? 10;
+  const targetLabels = targetIndexes.map(candidate => FUNDING_STAGES[candidate].label).join(', ');
+
+  return {
+    score,
+    confidence: 0.9,
+    evidence: [distance === 0
+      ? `${FUNDING_STAGES[index].label} is an ICP stage`
+      : `${FUNDING_STAGES[index].label} is ${distance} ${distance === 1 ? 'stage' : 'stages'} from ICP stages (${targetLabels})`]
+  };
+}
+
+/**
+ * Pain Point Severity: the sum of SIGNAL_WEIGHTS for each distinct signal,
+ * capped to 0-100. Unknown signal types count 10 points. An empty signal
+ * list scores 0 at low confidence; confidence rises 0.2 per signal from 0.4.
+ */
+function scorePainSeverity(profile) {
+  if (profile.signals === undefined || profile.signals === null) return noData('No buying signals researched');
+
+  const signals = (Array.isArray(profile.signals) ? profile.signals : toList(profile.signals))
+    .map(signal => (typeof signal === 'string' ? { type: signal } : signal))
+    .filter(signal => signal?.type);
+  const distinct = [...new Map(signals.map(signal => [normalize(signal.type), signal])).values()];
+
+  if (distinct.length === 0) {
+    return { score: 0, confidence: 0.3, evidence: ['No buying signals found'] };
+  }
+
+  let total = 0;
+  const evidence = distinct.map(signal => {
+    const known = SIGNAL_WEIGHTS[normalize(signal.type)];
+    const points = known ? known.points : 10;
+    total += points;
+    const label = known ? known.label : signal.type;
+    return `${label}${signal.detail ? `: ${signal.detail}` : ''} (${points > 0 ? '+' : ''}${points})`;
+  });
+
+  return {
+    score: clamp(total),
+    confidence: Math.min(1, 0.4 + 0.2 * distinct.length),
+    evidence
+  };
+}
+
+// Framework criterion names (lowercased) -> scoring rule
+const CRITERION_RULES = {
+  'company size': scoreCompanySize,
+  'company scale': scoreCompanySize,
+  'industry': scoreIndustryFit,
+  'industry fit': scoreIndustryFit,
+  'industry vertical': scoreIndustryFit,
+  'technical maturity': scoreTechnicalMaturity,
+  'tech stack': scoreTechnicalMaturity,
+  'technology fit': scoreTechnicalMaturity,
+  'growth stage': scoreGrowthStage,
+  'funding stage': scoreGrowthStage,
+  'pain point severity': scorePainSeverity,
+  'buying signals': scorePainSeverity
+};
+
+export const SCORABLE_CRITERIA = Object.keys(CRITERION_RULES);
+
+function tierFor(score) {
+  return TIERS.find(tier => score >= tier.min);
+}
+
+function nextStepsFor(tier, criteria) {
+  const steps = {
+    High: ['Schedule a discovery call within 2 weeks', 'Tailor the demo to the strongest fit criteria'],
+    Medium: ['Qualify the weakest criteria in a first call', 'Add to a nurture sequence with relevant case studies'],
+    Low: ['Deprioritise outbound effort', 'Re-score if new buying signals appear']
+  }[tier];
+
+  const unscored = criteria.filter(criterion => criterion.score === null);
+  if (unscored.length > 0) {
+    steps.push(`Research ${unscored.map(criterion => criterion.name.toLowerCase()).join(', ')} to firm up the score`);
+  }
+
+  const weakest = criteria
+    .filter(criterion => criterion.score !== null && criterion.score < 60)
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))[0];
+  if (weakest) steps.push(`Probe ${weakest.name.toLowerCase()}: ${weakest.evidence[0]}`);
+
+  return steps;
+}
+
+/**
+ * Score a company against a weighted framework
+ * @param {Object} profile - structured company profile (see module doc)
+ * @param {Array} framework - [{ name, weight, description }], weights in percent
+ * @param {Object} target - ICP target from buildICPTarget
+ * @returns {{ companyName, overallScore, confidence, tier, recommendation, criteria, nextSteps }}
+ *   Unscored criteria (no rule or no data) are left out of the weighted average
+ *   and pull overall confidence down by their weight.
+ */
+export function scoreCompanyFit(profile = {}, framework = DEFAULT_FRAMEWORK, target = DEFAULT_TARGET) {
+  const criteriaFramework = framework && framework.length > 0 ? framework : DEFAULT_FRAMEWORK;
+  const resolvedTarget = { ...DEFAULT_TARGET, ...target };
+
+  const criteria = criteriaFramework.map(criterion => {
+    const rule = CRITERION_RULES[normalize(criterion.name)];
+    const result = rule
+      ? rule(profile, resolvedTarget)
+      : noData(`No scoring rule for "${criterion.name}"; add evidence manually`);
+
+    return {
+      name: criterion.name,
+      weight: criterion.weight,
+      description: criterion.description || `Assessment of ${criterion.name.toLowerCase()}`,
+      ...result
+    };
+  });
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const scored = criteria.filter(criterion => criterion.score !== null && criterion.weight > 0);
+  const scoredWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+  const overallScore = scoredWeight > 0
+    ? clamp(scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / scoredWeight)
+    : 0;
+  const confidence = totalWeight > 0
+    ? Number((criteria.reduce((sum, criterion) => sum + criterion.confidence * criterion.weight, 0) / totalWeight).toFixed(2))
+    : 0;
+  const { tier, recommendation } = tierFor(overallScore);
+
+  return {
+    companyName: profile.name || '',
+    overallScore,
+    confidence,
+    tier,
+    recommendation,
+    criteria,
+    nextSteps: nextStepsFor(tier, criteria)
+  };
+}
+
+export const ICPFitScoringService = {
+  DEFAULT_FRAMEWORK,
+  FUNDING_STAGES,
+  SIGNAL_WEIGHTS,
+  buildICPTarget,
+  parseNumberRange,
+  scoreCompanyFit
+};
+
+export default ICPFitScoringService;
@@ -0,0 +1,238 @@
+import CRMIntegrationService from './CRMIntegrationService';
+import { crmFitScore, toCSV } from './ProspectBatchScoringService';
+
+/**
+ * Pipedrive Import Service
+ *
+ * Backs the Pipedrive mapping wizard: which Pipedrive field each H&S field
+ * lands in, and the person, organization and deal import spreadsheets built
+ * from that mapping. Pipedrive's importer matches spreadsheet columns to
+ * fields by name, so mapping to an existing custom field means naming the
+ * column after it, and a new field is created from an unmatched column
+ * during the import. Mappings are saved per customer under
+ * PIPEDRIVE_MAPPING_TOOL so the next export starts from them.
+ */
+
+export const PIPEDRIVE_MAPPING_TOOL = 'pipedrive_field_mapping';
+
+export const PIPEDRIVE_ENTITIES = [
+  { id: 'person', label: 'People', file: 'persons' },
+  { id: 'organization', label: 'Organizations', file: 'organizations' },
+  { id: 'deal', label: 'Deals', file: 'deals' }
+];
+
+export const MAPPING_MODES = [
+  { id: 'new', label: 'Create new field' },
+  { id: 'existing', label: 'Use existing field' },
+  { id: 'skip', label: "Don't import" }
+];
+
+// Built-in columns each file always carries, as Pipedrive's importer names them
+export const STANDARD_COLUMNS = {
+  person: ['Name', 'Email', 'Phone', 'Organization'],
+  organization: ['Name', 'Address'],
+  deal: ['Title', 'Value', 'Currency', 'Organization', 'Contact person']
+};
+
+const STANDARD_VALUES = {
+  person: { Name: 'name', Email: 'email', Phone: 'phone', Organization: 'organization' },
+  organization: { Name: 'name', Address: 'address' },
+  deal: { Title: 'title', Value: 'value', Currency: 'currency', Organization: 'organization', 'Contact person': 'person' }
+};
+
+// Same stages as the Salesforce Business_Case_Status__c picklist
+const businessCaseStages = () => CRMIntegrationService.generateSalesforceFields().customFields
+  .find(field => field.fullName === 'Opportunity.Business_Case_Status__c')
+  .valueSet.valueSetDefinition.value.map(value => value.label);
+
+/**
+ * The H&S fields the wizard maps, with options and currency taken from
+ * generatePipedriveData
+ * @returns {Object[]} { key, label, description, fieldType, entities, options }
+ */
+export function hsPipedriveFields(pipedriveData = CRMIntegrationService.generatePipedriveData()) {
+  const customField = (key) => (pipedriveData?.customFields || []).find(field => field.key === key) || {};
+  const persona = customField('buyer_persona');
+  const costOfInaction = customField('cost_of_inaction');
+
+  return [
+    {
+      key: 'icp_fit_score',
+      label: 'ICP Fit Score',
+      description: customField('icp_fit_score').description || 'H&S Revenue Intelligence ICP fit score (1-10)',
+      fieldType: 'double',
+      entities: ['person', 'organization', 'deal']
+    },
+    {
+      key: 'buyer_persona',
+      label: 'Buyer Persona',
+      description: persona.description || 'Primary buyer persona from H&S analysis',
+      fieldType: 'enum',
+      entities: ['person'],
+      options: (persona.options || []).map(option => option.label)
+    },
+    {
+      key: 'cost_of_inaction',
+      label: 'Cost of Inaction',
+      description: costOfInaction.description || 'Monthly cost of inaction from H&S analysis',
+      fieldType: 'monetary',
+      entities: ['deal'],
+      currency: costOfInaction.currency
+    },
+    {
+      key: 'business_case_stage',
+      label: 'Business Case Stage',
+      description: 'Business case development and approval status',
+      fieldType: 'enum',
+      entities: ['deal'],
+      options: businessCaseStages()
+    }
+  ];
+}
+
+/**
+ * Every H&S field as a new Pipedrive field of the same name
+ */
+export function defaultMapping(fields = hsPipedriveFields()) {
+  const mapping = {};
+  fields.forEach(field => {
+    mapping[field.key] = { mode: 'new', field: field.label };
+  });
+  return mapping;
+}
+
+/**
+ * A saved mapping on top of the defaults, ignoring fields that no longer
+ * exist and modes that are not recognised
+ */
+export function normalizeMapping(saved, fields = hsPipedriveFields()) {
+  const mapping = defaultMapping(fields);
+  Object.keys(mapping).forEach(key => {
+    const entry = saved?.[key];
+    if (!entry || !MAPPING_MODES.some(mode => mode.id === entry.mode)) return;
+    mapping[key] = { mode: entry.mode, field: String(entry.field ?? '').trim() || mapping[key].field };
+  });
+  return mapping;
+}
+
+/**
+ * @returns {string[]} problems that would break the import; empty when usable
+ */
+export function validateMapping(mapping, fields = hsPipedriveFields()) {
+  const problems = [];
+  const used = {};
+
+  fields.forEach(field => {
+    const entry = mapping?.[field.key];
+    if (!entry || entry.mode === 'skip') return;
+
+    const name = String(entry.field || '').trim();
+    if (!name) {
+      problems.push(`${field.label}: choose the Pipedrive field to import into`);
+      return;
+    }
+    field.entities.forEach(entity => {
+      const key = `${entity}:${name.toLowerCase()}`;
+      if (STANDARD_COLUMNS[entity].some(column => column.toLowerCase() === name.toLowerCase())) {
+        problems.push(`${field.label}: "${name}" is a built-in ${entity} column`);
+      } else if (used[key]) {
+        problems.push(`${field.label}: "${name}" is already used for ${used[key]}`);
+      } else {
+        used[key] = field.label;
+      }
+    });
+  });
+  return [...new Set(problems)];
+}
+
+const firstNumber = (...values) => values.find(value => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value)));
+
+/**
+ * One person, organization and deal prefilled from a SmartExportInterface
+ * sourceData, for the wizard to let the user complete
+ * @returns {Object} { person, organization, deal }
+ */
+export function recordsFromSource(sourceData = {}, fields = hsPipedriveFields()) {
+  const icpData = sourceData.icpData || {};
+  const impact = sourceData.costData?.impactCalculation || {};
+  const organization = sourceData.companyName || icpData.ratingResult?.companyName || '';
+  const score = firstNumber(icpData.icpScore, icpData.ratingResult?.overallScore);
+  const personaOptions = fields.find(field => field.key === 'buyer_persona')?.options || [];
+  const personaName = icpData.buyerPersona?.name || '';
+  const costOfInaction = firstNumber(impact.monthlyCostOfInaction);
+  const value = firstNumber(impact.assumptions?.investmentAmount);
+
+  const hsValues = {
+    icp_fit_score: score === undefined ? '' : crmFitScore(Number(score)),
+    buyer_persona: personaOptions.find(option => option.toLowerCase() === personaName.toLowerCase()) || personaName,
+    cost_of_inaction: costOfInaction === undefined ? '' : Math.round(Number(costOfInaction)),
+    business_case_stage: ''
+  };
+
+  return {
+    person: { name: '', email: '', phone: '', organization, icp_fit_score: hsValues.icp_fit_score, buyer_persona: hsValues.buyer_persona },
+    organization: { name: organization, address: '', icp_fit_score: hsValues.icp_fit_score },
+    deal: {
+      title: organization ? `${organization} - H&S Revenue Intelligence` : '',
+      value: value === undefined || Number(value) === 0 ? '' : Number(value),
+      currency: sourceData.currency || impact.currency || 'USD',
+      organization,
+      person: '',
+      icp_fit_score: hsValues.icp_fit_score,
+      cost_of_inaction: hsValues.cost_of_inaction,
+      business_case_stage: hsValues.business_case_stage
+    }
+  };
+}
+
+/**
+ * Columns of one import file: the built-in columns, then each mapped H&S
+ * field under its Pipedrive name
+ * @returns {Object[]} { header, source }
+ */
+export function importColumns(entity, mapping, fields = hsPipedriveFields()) {
+  const standard = STANDARD_COLUMNS[entity].map(header => ({ header, source: STANDARD_VALUES[entity][header] }));
+  const mapped = fields
+    .filter(field => field.entities.includes(entity) && mapping?.[field.key] && mapping[field.key].mode !== 'skip')
+    .map(field => ({ header: mapping[field.key].field.trim(), source: field.key }));
+  return [...standard, ...mapped];
+}
+
+/**
+ * Import spreadsheets for each entity. Rows without a name (or deal title)
+ * are left out, and files with no rows are omitted.
+ * @param {Object} records - { person, organization, deal }, each a record or a list
+ * @returns {Object} { persons: csv, organizations: csv, deals: csv }
+ */
+export function buildImportFiles(records, mapping, fields = hsPipedriveFields()) {
+  const problems = validateMapping(mapping, fields);
+  if (problems.length > 0) {
+    throw new Error(`Fix the field mapping first: ${problems.join('; ')}`);
+  }
+
+  const files = {};
+  PIPEDRIVE_ENTITIES.forEach(({ id, file }) => {
+    const rows = [].concat(records?.[id] || []).filter(row => String(row?.[id === 'deal' ? 'title' : 'name'] || '').trim());
+    if (rows.length === 0) return;
+
+    const columns = importColumns(id, mapping, fields);
+    files[file] = toCSV(
+      columns.map(column => column.header),
+      rows.map(row => Object.fromEntries(columns.map(({ header, source }) => [header, row[source]])))
+    );
+  });
+  return files;
+}
+
+export const PipedriveImportService = {
+  PIPEDRIVE_MAPPING_TOOL,
+  hsPipedriveFields,
+  defaultMapping,
+  normalizeMapping,
+  validateMapping,
+  recordsFromSource,
+  importColumns,
+  buildImportFiles
+};
+
+export default PipedriveImportService;
@@ -0,0 +1,327 @@
+import CRMIntegrationService from './CRMIntegrationService';
+import { scoreCompanyFit, DEFAULT_FRAMEWORK, DEFAULT_TARGET, FUNDING_STAGES, SIGNAL_WEIGHTS } from './ICPFitScoringService';
+
+/**
+ * Prospect Batch Scoring Service
+ *
+ * Scores account lists exported from Apollo or HubSpot with the ICP fit
+ * engine: parse the CSV, map its columns onto the company profile, score
+ * every row and rank the results into A-D tiers. Pure functions, so the
+ * same code runs in the scoring Web Worker and in tests.
+ */
+
+// Company profile fields a CSV column can feed, with common export headers
+export const PROFILE_FIELDS = [
+  { key: 'name', label: 'Company Name', aliases: ['company', 'company name', 'account name', 'name', 'organization'] },
+  { key: 'domain', label: 'Domain', aliases: ['website', 'domain', 'company domain name', 'company domain', 'website url'] },
+  { key: 'employeeCount', label: 'Employees', aliases: ['# employees', 'employees', 'number of employees', 'employee count', 'headcount'] },
+  { key: 'annualRevenue', label: 'Annual Revenue', aliases: ['annual revenue', 'revenue', 'estimated annual revenue'] },
+  { key: 'industry', label: 'Industry', aliases: ['industry', 'industry vertical', 'sector'] },
+  { key: 'techStack', label: 'Tech Stack', aliases: ['technologies', 'tech stack', 'technology', 'installed technologies'] },
+  { key: 'fundingStage', label: 'Funding Stage', aliases: ['latest funding', 'funding stage', 'latest funding stage', 'last funding type'] },
+  { key: 'signals', label: 'Buying Signals', aliases: ['signals', 'buying signals', 'intent signals', 'intent topics'] }
+];
+
+export const BATCH_TIERS = [
+  { tier: 'A', min: 80, label: 'Prioritise now' },
+  { tier: 'B', min: 60, label: 'Work this quarter' },
+  { tier: 'C', min: 40, label: 'Nurture' },
+  { tier: 'D', min: 0, label: 'Deprioritise' }
+];
+
+export const MAX_BATCH_ROWS = 5000;
+
+/**
+ * RFC 4180 CSV parsing: quoted fields, doubled quotes, embedded newlines,
+ * CRLF line endings and a UTF-8 BOM
+ * @returns {{ headers: string[], rows: Object[] }} rows keyed by header
+ */
+export function parseCSV(text) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (values[index] ?? '').trim();
+    });
+    return row;
+  });
+  return { headers, rows };
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function csvCell(value, escapeFormulas) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Numbers are data; imported text like "=HYPERLINK(...)" must stay text
+  if (escapeFormulas && typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} options - { escapeFormulas }: prefix formula-like text with '
+ *   for files opened in a spreadsheet. Leave it off for CRM and CLI imports,
+ *   which would keep the apostrophe.
+ */
+export function toCSV(headers, rows, { escapeFormulas = false } = {}) {
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(values => values.map(value => csvCell(value, escapeFormulas)).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Best-guess column for each profile field from the CSV headers
+ * @returns {Object} { profileField: header }
+ */
+export function suggestColumnMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  PROFILE_FIELDS.forEach(({ key, aliases }) => {
+    const header = aliases
+      .map(alias => headers.find(candidate => !used.has(candidate) && candidate.trim().toLowerCase() === alias))
+      .find(Boolean);
+    if (header) {
+      mapping[key] = header;
+      used.add(header);
+    }
+  });
+  return mapping;
+}
+
+const STAGE_PATTERNS = [
+  [/ipo|public/i, 'public'],
+  [/series\s*[d-z]|growth|private equity|late stage/i, 'growth'],
+  [/series\s*c/i, 'series_c'],
+  [/series\s*b/i, 'series_b'],
+  [/series\s*a/i, 'series_a'],
+  [/pre[-\s]?seed|angel/i, 'pre_seed'],
+  [/seed/i, 'seed'],
+  [/bootstrap|self[-\s]?funded/i, 'bootstrapped']
+];
+
+/**
+ * Funding stage key from export values like "Series B" or "IPO"
+ */
+export function normalizeFundingStage(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const key = text.toLowerCase().replace(/[\s-]+/g, '_');
+  if (FUNDING_STAGES.some(stage => stage.key === key)) return key;
+  const match = STAGE_PATTERNS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : text;
+}
+
+// Signal keys from a list of keys or labels ("Recent funding round; hiring_surge")
+function normalizeSignals(value) {
+  return String(value ?? '')
+    .split(/[;,|]/)
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const key = item.toLowerCase().replace(/[\s-]+/g, '_');
+      if (SIGNAL_WEIGHTS[key]) return key;
+      const byLabel = Object.entries(SIGNAL_WEIGHTS).find(([, { label }]) => label.toLowerCase() === item.toLowerCase());
+      return byLabel ? byLabel[0] : item;
+    });
+}
+
+/**
+ * Company profile for one CSV row. Unmapped fields stay undefined so the
+ * engine reports them as missing instead of scoring them as zero.
+ */
+export function rowToProfile(row, mapping) {
+  const value = (key) => (mapping[key] ? row[mapping[key]] : undefined);
+  const present = (key) => value(key) !== undefined && String(value(key)).trim() !== '';
+
+  return {
+    name: value('name') || '',
+    domain: value('domain') || '',
+    employeeCount: present('employeeCount') ? value('employeeCount') : undefined,
+    annualRevenue: present('annualRevenue') ? value('annualRevenue') : undefined,
+    industry: value('industry') || undefined,
+    techStack: present('techStack') ? value('techStack').split(/[;,|]/) : undefined,
+    fundingStage: present('fundingStage') ? normalizeFundingStage(value('fundingStage')) : undefined,
+    signals: present('signals') ? normalizeSignals(value('signals')) : undefined
+  };
+}
+
+export function batchTierFor(score) {
+  return BATCH_TIERS.find(tier => score >= tier.min).tier;
+}
+
+/**
+ * Score one row
+ * @returns {{ rowIndex, name, domain, overallScore, confidence, tier, criteria }}
+ */
+export function scoreProspectRow(row, rowIndex, { mapping, framework = DEFAULT_FRAMEWORK, target = DEFAULT_TARGET }) {
+  const profile = rowToProfile(row, mapping);
+  const fit = scoreCompanyFit(profile, framework, target);
+
+  return {
+    rowIndex,
+    name: profile.name || `Row ${rowIndex + 2}`,
+    domain: profile.domain,
+    overallScore: fit.overallScore,
+    confidence: fit.confidence,
+    tier: batchTierFor(fit.overallScore),
+    criteria: fit.criteria.map(({ name, weight, score, confidence, evidence }) => ({ name, weight, score, confidence, evidence }))
+  };
+}
+
+/**
+ * Highest score first; ties keep file order so reruns rank identically
+ */
+export function rankResults(results) {
+  return [...results]
+    .sort((a, b) => b.overallScore - a.overallScore || a.rowIndex - b.rowIndex)
+    .map((result, index) => ({ ...result, rank: index + 1 }));
+}
+
+/**
+ * Score every row in chunks, reporting progress between chunks
+ * @param {Object[]} rows - parsed CSV rows
+ * @param {Object} options - { mapping, framework, target, chunkSize, onProgress(processed, total), yieldControl }
+ *   yieldControl is awaited between chunks so callers on the main thread can repaint
+ * @returns {Promise<Object[]>} ranked results
+ */
+export async function scoreProspects(rows, options = {}) {
+  const { chunkSize = 100, onProgress, yieldControl } = options;
+  if (rows.length > MAX_BATCH_ROWS) {
+    throw new Error(`Batch scoring handles up to ${MAX_BATCH_ROWS} rows; this file has ${rows.length}`);
+  }
+
+  const results = [];
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    rows.slice(start, start + chunkSize).forEach((row, offset) => {
+      results.push(scoreProspectRow(row, start + offset, options));
+    });
+    if (onProgress) onProgress(results.length, rows.length);
+    if (yieldControl) await yieldControl();
+  }
+  return rankResults(results);
+}
+
+export function summarizeTiers(results) {
+  const summary = {};
+  BATCH_TIERS.forEach(({ tier }) => {
+    summary[tier] = 0;
+  });
+  results.forEach(result => {
+    summary[result.tier] += 1;
+  });
+  return summary;
+}
+
+/**
+ * Ranked results as CSV, one column per framework criterion
+ */
+export function resultsToCSV(results) {
+  const criteriaNames = results[0]?.criteria.map(criterion => criterion.name) || [];
+  const headers = ['Rank', 'Company', 'Domain', 'Fit Score', 'Tier', 'Confidence', ...criteriaNames, 'Top Evidence'];
+
+  const rows = results.map(result => {
+    const row = {
+      Rank: result.rank,
+      Company: result.name,
+      Domain: result.domain,
+      'Fit Score': result.overallScore,
+      Tier: result.tier,
+      Confidence: result.confidence,
+      'Top Evidence': result.criteria
+        .filter(criterion => criterion.score !== null)
+        .map(criterion => `${criterion.name}: ${criterion.evidence[0]}`)
+        .join('; ')
+    };
+    result.criteria.forEach(criterion => {
+      row[criterion.name] = criterion.score ?? '';
+    });
+    return row;
+  });
+
+  // Downloaded for review in a spreadsheet
+  return toCSV(headers, rows, { escapeFormulas: true });
+}
+
+/**
+ * The 0-100 fit score on the 1-10 scale the CRM fit score fields use
+ */
+export function crmFitScore(overallScore, { min = 1, max = 10 } = {}) {
+  return Number(Math.max(min, Math.min(max, overallScore / 10)).toFixed(1));
+}
+
+/**
+ * Company import rows using the properties from
+ * CRMIntegrationService.generateHubSpotProperties. The 0-100 fit score maps
+ * onto icp_company_fit_score's 1-10 scale.
+ */
+export function toHubSpotCompanyRows(results, hubSpotProperties = CRMIntegrationService.generateHubSpotProperties()) {
+  const fitProperty = hubSpotProperties.companyProperties.find(property => property.name === 'icp_company_fit_score');
+
+  return results.map(result => ({
+    name: result.name,
+    domain: result.domain,
+    [fitProperty?.name || 'icp_company_fit_score']: crmFitScore(result.overallScore, fitProperty?.options)
+  }));
+}
+
+export function hubSpotRowsToCSV(rows) {
+  return toCSV(['name', 'domain', 'icp_company_fit_score'], rows);
+}
+
+export const ProspectBatchScoringService = {
+  PROFILE_FIELDS,
+  BATCH_TIERS,
+  parseCSV,
+  toCSV,
+  suggestColumnMapping,
+  rowToProfile,
+  scoreProspects,
+  summarizeTiers,
+  resultsToCSV,
+  crmFitScore,
+  toHubSpotCompanyRows,
+  hubSpotRowsToCSV
+};
+
+export default ProspectBatchScoringService;
@@ -0,0 +1,206 @@
+import DOMPurify from 'dompurify';
+
+/**
+ * Safe Content Service
+ *
+ * The one path from generated or user-entered text to HTML. Webhook
+ * resources arrive as LLM markdown or HTML relayed through Make.com, and
+ * builder forms hold whatever the user typed, so none of it is trusted:
+ * markdown is converted to HTML from escaped text, and everything - converted
+ * markdown and raw HTML alike - then goes through an allowlist sanitizer
+ * before it reaches dangerouslySetInnerHTML or an HTML export.
+ */
+
+export const ALLOWED_TAGS = [
+  'a', 'article', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'div', 'dl', 'dt', 'em',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'li', 'mark', 'ol', 'p',
+  'pre', 's', 'section', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+
+export const ALLOWED_ATTRIBUTES = ['class', 'colspan', 'href', 'rowspan', 'title'];
+
+// Links may only leave the page over http(s), mail or phone, or stay on it
+export const SAFE_URL = /^(?:(?:https?|mailto|tel):|[#/])/i;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const PURIFY_CONFIG = {
+  ALLOWED_TAGS,
+  ALLOWED_ATTR: ALLOWED_ATTRIBUTES,
+  ALLOWED_URI_REGEXP: SAFE_URL,
+  ALLOW_DATA_ATTR: false
+};
+
+// A private instance so the link hook doesn't leak into other DOMPurify users (jsPDF)
+const purifier = DOMPurify();
+if (purifier.isSupported) {
+  purifier.addHook('afterSanitizeAttributes', node => {
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Strip everything outside the tag and attribute allowlists. Without a DOM
+ * (server-side) there is nothing to parse with, so the input is escaped
+ * instead and shows as text.
+ */
+export function sanitizeHtml(html) {
+  const text = String(html ?? '');
+  if (!purifier.isSupported) return escapeHtml(text);
+  return purifier.sanitize(text, PURIFY_CONFIG);
+}
+
+const MARKDOWN_LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+function emphasis(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, stars, underscores) => `<strong>${stars ?? underscores}</strong>`)
+    .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function inlineMarkdown(text) {
+  // Code spans and link targets are split out first so they aren't formatted
+  return text.split(/(`[^`]+`)/).map(part => {
+    if (/^`[^`]+`$/.test(part)) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+
+    let html = '';
+    let last = 0;
+    for (const match of part.matchAll(MARKDOWN_LINK)) {
+      const [source, label, url] = match;
+      html += emphasis(part.slice(last, match.index));
+      html += SAFE_URL.test(url) ? `<a href="${escapeHtml(url)}">${emphasis(label)}</a>` : emphasis(label);
+      last = match.index + source.length;
+    }
+    return html + emphasis(part.slice(last));
+  }).join('');
+}
+
+const tableCells = line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Markdown to HTML for the subset LLM output and the builders use:
+ * headings, paragraphs, bullet (-, *, +, •) and numbered lists, quotes,
+ * fenced code, rules, pipe tables, bold, italics, code spans and links.
+ * Single line breaks inside a paragraph are kept. All text is escaped
+ * before any markup is added.
+ */
+export function markdownToHtml(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flush = () => {
+    if (paragraph.length) html.push(`<p>${paragraph.map(inlineMarkdown).join('<br>')}</p>`);
+    if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${inlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+    if (quote.length) html.push(`<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`);
+    paragraph = [];
+    list = null;
+    quote = [];
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    let match;
+
+    if (/^(```|~~~)/.test(trimmed)) {
+      flush();
+      const fence = trimmed.slice(0, 3);
+      const code = [];
+      while (++index < lines.length && !lines[index].trim().startsWith(fence)) code.push(lines[index]);
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (!trimmed) {
+      flush();
+    } else if ((match = trimmed.match(/^>\s?(.*)$/))) {
+      if (!quote.length) flush();
+      quote.push(match[1]);
+    } else if ((match = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/))) {
+      flush();
+      html.push(`<h${match[1].length}>${inlineMarkdown(match[2])}</h${match[1].length}>`);
+    } else if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flush();
+      html.push('<hr>');
+    } else if (trimmed.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || '')) {
+      flush();
+      const header = tableCells(trimmed);
+      const rows = [];
+      index++;
+      while (index + 1 < lines.length && lines[index + 1].includes('|') && lines[index + 1].trim()) {
+        rows.push(tableCells(lines[++index]));
+      }
+      html.push([
+        '<table><thead><tr>',
+        header.map(cell => `<th>${inlineMarkdown(cell)}</th>`).join(''),
+        '</tr></thead><tbody>',
+        rows.map(row => `<tr>${header.map((_, column) => `<td>${inlineMarkdown(row[column] || '')}</td>`).join('')}</tr>`).join(''),
+        '</tbody></table>'
+      ].join(''));
+    } else if ((match = trimmed.match(/^(?:[-*+•]|(\d+)[.)])\s+(.*)$/))) {
+      const tag = match[1] ? 'ol' : 'ul';
+      if (!list || list.tag !== tag) {
+        flush();
+        list = { tag, items: [] };
+      }
+      list.items.push(match[2]);
+    } else if (list && /^\s+/.test(line)) {
+      // Indented continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${trimmed}`;
+    } else {
+      if (list || quote.length) flush();
+      paragraph.push(trimmed);
+    }
+  }
+  flush();
+
+  return html.join('\n');
+}
+
+export function looksLikeHtml(text) {
+  return /<\/?[a-z][a-z0-9-]*(\s[^>]*)?\/?>/i.test(text);
+}
+
+/**
+ * Safe HTML for any generated or user-entered content: HTML is sanitized
+ * as-is, anything else is treated as markdown first.
+ */
+export function toSafeHtml(content) {
+  if (content === null || content === undefined || content === '') return '';
+  const text = typeof content === 'string' ? content : String(content);
+  return sanitizeHtml(looksLikeHtml(text) ? text : markdownToHtml(text));
+}
+
+/**
+ * Props value for dangerouslySetInnerHTML
+ */
+export function safeHtml(content) {
+  return { __html: toSafeHtml(content) };
+}
+
+export const SafeContentService = {
+  escapeHtml,
+  sanitizeHtml,
+  markdownToHtml,
+  looksLikeHtml,
+  toSafeHtml,
+  safeHtml
+};
+
+export default SafeContentService;
@@ -1,5 +1,20 @@
 // SalesAutomationService.js - Sales automation integration for Outreach, SalesLoft, Apollo, and other platforms
 
+import { personaKey, ALL_PERSONAS } from './SequenceExperimentService';
+
+// A/B winners for each step number of a sequence, this persona's over the general ones
+const stepWinners = (historicalWinners, sequenceName, buyerPersona) => ({
+  ...historicalWinners?.[ALL_PERSONAS]?.[sequenceName],
+  ...historicalWinners?.[personaKey(buyerPersona?.name)]?.[sequenceName]
+});
+
+const experimentWinner = (winner) => ({
+  experimentId: winner.experimentId,
+  variantId: winner.variant.id,
+  metric: winner.metric,
+  lift: winner.lift
+});
+
 export const SalesAutomationService = {
   
   // OUTREACH SEQUENCE TEMPLATES
@@ -115,7 +130,7 @@ Worth a brief conversation to see if there's a fit?
               stepNumber: 4,
               type: 'email',
               delay: 7,
-              subject: 'Final follow-up: {{prospect.company}} + ${primaryPainPoint}',
+              subject: `Final follow-up: {{prospect.company}} + ${primaryPainPoint}`,
               template: `Hi {{prospect.first_name}},
 
 This will be my final email on this topic.
@@ -433,7 +448,8 @@ P.S. If this resonates but you're not the right person to speak with, I'd apprec
   },
 
   // SEQUENCE OPTIMIZATION HELPERS
-  optimizeSequenceForPersona: (baseSequence, buyerPersona) => {
+  // historicalWinners comes from SequenceExperimentService.winnersByPersona
+  optimizeSequenceForPersona: (baseSequence, buyerPersona, historicalWinners = null) => {
     try {
       const optimizedSequence = { ...baseSequence };
       
@@ -461,6 +477,21 @@ P.S. If this resonates but you're not the right person to speak with, I'd apprec
           'prospect.decision_criteria'
         ];
       }
+
+      // Swap in the copy that won A/B tests, preferring this persona's winners
+      const winners = stepWinners(historicalWinners, baseSequence.name, buyerPersona);
+      if (Object.keys(winners).length > 0) {
+        optimizedSequence.steps = optimizedSequence.steps.map(step => {
+          const winner = winners[step.stepNumber];
+          if (!winner) return step;
+          return {
+            ...step,
+            subject: winner.variant.subject,
+            template: winner.variant.body || step.template,
+            experimentWinner: experimentWinner(winner)
+          };
+        });
+      }
       
       return optimizedSequence;
       
@@ -470,6 +501,33 @@ P.S. If this resonates but you're not the right person to speak with, I'd apprec
     }
   },
 
+  // SalesLoft counterpart of the winner swap above. Cadence touches are
+  // numbered from 1 in order, as the experiments panel numbers them.
+  applyCadenceWinners: (cadences, buyerPersona, historicalWinners = null) => {
+    const cadence = cadences?.multiTouchCadence;
+    if (!Array.isArray(cadence?.touches)) return cadences;
+
+    const winners = stepWinners(historicalWinners, cadence.name, buyerPersona);
+    if (Object.keys(winners).length === 0) return cadences;
+
+    return {
+      ...cadences,
+      multiTouchCadence: {
+        ...cadence,
+        touches: cadence.touches.map((touch, index) => {
+          const winner = winners[index + 1];
+          if (!winner) return touch;
+          return {
+            ...touch,
+            subject: winner.variant.subject,
+            ...(winner.variant.body ? { body: winner.variant.body } : {}),
+            experimentWinner: experimentWinner(winner)
+          };
+        })
+      }
+    };
+  },
+
   // A/B TEST VARIATIONS
   generateSequenceVariations: (baseSequence, variationType = 'subject_lines') => {
     try {
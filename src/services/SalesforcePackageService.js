@@ -0,0 +1,385 @@
+import JSZip from 'jszip';
+import CRMIntegrationService from './CRMIntegrationService';
+import { crmFitScore, toCSV } from './ProspectBatchScoringService';
+
+/**
+ * Salesforce Package Service
+ *
+ * Turns CRMIntegrationService.generateSalesforceFields into a zip an admin
+ * can deploy instead of creating each field by hand:
+ *
+ *   hs_revenue_intelligence/            Metadata API (mdapi) deploy root
+ *     package.xml                       CustomField and PermissionSet members
+ *     objects/<Object>.object           CustomObject files holding only our fields
+ *     permissionsets/HS_Revenue_Intelligence.permissionset
+ *   layout-snippets/<Object>.layout-section.xml
+ *   data/accounts.csv                   scored accounts, upserted on HS_Account_Key__c
+ *   README.txt
+ *
+ * Page layouts stay out of the deploy root on purpose: deploying a Layout
+ * replaces the whole layout, so the snippets hold one layoutSections element
+ * to paste into the org's existing layouts.
+ *
+ * Elements are written in Metadata API WSDL sequence order.
+ */
+
+export const METADATA_API_VERSION = '59.0';
+export const METADATA_NAMESPACE = 'http://soap.sforce.com/2006/04/metadata';
+export const PACKAGE_DIRECTORY = 'hs_revenue_intelligence';
+export const PERMISSION_SET_NAME = 'HS_Revenue_Intelligence';
+export const SECTION_LABEL = 'H&S Revenue Intelligence';
+export const ACCOUNT_KEY_FIELD = 'HS_Account_Key__c';
+
+// Objects that get a layout snippet, in the order a deal moves through them
+export const LAYOUT_OBJECTS = ['Lead', 'Account', 'Contact', 'Opportunity'];
+
+// Unconverted leads carry the account-level scores too
+const LEAD_MIRRORED_FIELDS = ['ICP_Fit_Score__c', 'Revenue_Intelligence_Tier__c'];
+
+const ACCOUNT_KEY_DEFINITION = {
+  fullName: `Account.${ACCOUNT_KEY_FIELD}`,
+  label: 'H&S Account Key',
+  type: 'Text',
+  length: 255,
+  externalId: true,
+  unique: true,
+  caseSensitive: false,
+  description: 'H&S Revenue Intelligence - External ID for scored account loads (normalised company domain)',
+  required: false
+};
+
+// CustomField elements we write, in WSDL order; fullName comes from Metadata
+const CUSTOM_FIELD_ELEMENTS = [
+  'fullName', 'caseSensitive', 'defaultValue', 'description', 'externalId', 'inlineHelpText',
+  'label', 'length', 'precision', 'required', 'scale', 'trackTrending', 'type', 'unique',
+  'valueSet', 'visibleLines'
+];
+
+const FIELD_TYPES = {
+  Text: { required: ['length'] },
+  LongTextArea: { required: ['length', 'visibleLines'], defaults: { visibleLines: 10 } },
+  Number: { required: ['precision', 'scale'] },
+  Currency: { required: ['precision', 'scale'] },
+  Percent: { required: ['precision', 'scale'] },
+  Picklist: { required: ['valueSet'] },
+  Checkbox: { required: ['defaultValue'], defaults: { defaultValue: false } },
+  Date: { required: [] }
+};
+
+const FIELD_NAME = /^[A-Za-z](?:[A-Za-z0-9]|_(?!_))*__c$/;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * One element per key, arrays repeat the element, key order is kept
+ */
+function xmlElement(name, value, depth) {
+  const indent = '    '.repeat(depth);
+  if (Array.isArray(value)) {
+    return value.map(item => xmlElement(name, item, depth)).join('\n');
+  }
+  if (value !== null && typeof value === 'object') {
+    const children = Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([key, child]) => xmlElement(key, child, depth + 1))
+      .join('\n');
+    return children ? `${indent}<${name}>\n${children}\n${indent}</${name}>` : `${indent}<${name}/>`;
+  }
+  return `${indent}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function xmlDocument(rootName, content) {
+  const children = Object.entries(content)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => xmlElement(key, value, 1))
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName} xmlns="${METADATA_NAMESPACE}">\n${children}\n</${rootName}>\n`;
+}
+
+const splitFullName = (fullName) => {
+  const [objectName, fieldName] = String(fullName || '').split('.');
+  return { objectName, fieldName };
+};
+
+/**
+ * Problems that would fail a deploy, checked before anything is generated
+ * @returns {string[]} empty when the fields are deployable
+ */
+export function validateSalesforceFields(customFields) {
+  if (!Array.isArray(customFields) || customFields.length === 0) {
+    return ['No custom fields to package'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+  customFields.forEach((field, index) => {
+    const { objectName, fieldName } = splitFullName(field?.fullName);
+    const name = field?.fullName || `Field ${index + 1}`;
+
+    if (!LAYOUT_OBJECTS.includes(objectName) || !fieldName) {
+      problems.push(`${name}: fullName must be <${LAYOUT_OBJECTS.join('|')}>.<Name>__c`);
+      return;
+    }
+    if (!FIELD_NAME.test(fieldName) || fieldName.length > 43) {
+      problems.push(`${name}: field names start with a letter, avoid double underscores and stay within 40 characters before __c`);
+    }
+    if (seen.has(field.fullName.toLowerCase())) {
+      problems.push(`${name}: defined more than once`);
+    }
+    seen.add(field.fullName.toLowerCase());
+
+    if (!field.label || field.label.length > 40) {
+      problems.push(`${name}: label is required and limited to 40 characters`);
+    }
+    const fieldType = FIELD_TYPES[field.type];
+    if (!fieldType) {
+      problems.push(`${name}: unsupported type ${field.type}`);
+      return;
+    }
+    fieldType.required
+      .filter(element => field[element] === undefined && fieldType.defaults?.[element] === undefined)
+      .forEach(element => problems.push(`${name}: ${field.type} fields need ${element}`));
+    if (['Number', 'Currency', 'Percent'].includes(field.type)
+      && !(field.precision >= 1 && field.precision <= 18 && field.scale >= 0 && field.scale <= field.precision)) {
+      problems.push(`${name}: precision must be 1-18 and scale between 0 and the precision`);
+    }
+    if (field.type === 'Picklist' && !(field.valueSet?.valueSetDefinition?.value || []).length) {
+      problems.push(`${name}: picklists need at least one value`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * CustomField metadata for a field inside its object file, where fullName
+ * drops the object prefix
+ */
+export function customFieldMetadata(field) {
+  const { fieldName } = splitFullName(field.fullName);
+  const fieldType = FIELD_TYPES[field.type];
+  const source = { ...fieldType.defaults, ...field, fullName: fieldName };
+
+  if (source.valueSet) {
+    source.valueSet = {
+      restricted: Boolean(source.valueSet.restricted),
+      valueSetDefinition: {
+        sorted: false,
+        value: source.valueSet.valueSetDefinition.value.map(value => ({
+          fullName: value.fullName,
+          default: Boolean(value.default),
+          label: value.label || value.fullName
+        }))
+      }
+    };
+  }
+
+  const metadata = {};
+  CUSTOM_FIELD_ELEMENTS.forEach(element => {
+    if (source[element] !== undefined) metadata[element] = source[element];
+  });
+  return metadata;
+}
+
+/**
+ * The generated fields plus the Lead mirrors and the account external ID,
+ * grouped by object
+ * @returns {Object} { Account: [field, ...], ... } in LAYOUT_OBJECTS order
+ */
+export function packageFieldsByObject(customFields) {
+  const accountFields = customFields.filter(field => splitFullName(field.fullName).objectName === 'Account');
+  const leadMirrors = accountFields
+    .filter(field => LEAD_MIRRORED_FIELDS.includes(splitFullName(field.fullName).fieldName))
+    .filter(field => !customFields.some(other => other.fullName === `Lead.${splitFullName(field.fullName).fieldName}`))
+    // Historical trending isn't available on leads
+    .map(({ trackTrending, ...field }) => ({ ...field, fullName: `Lead.${splitFullName(field.fullName).fieldName}` }));
+  const accountKey = customFields.some(field => field.fullName === ACCOUNT_KEY_DEFINITION.fullName) ? [] : [ACCOUNT_KEY_DEFINITION];
+
+  const byObject = {};
+  [...customFields, ...leadMirrors, ...accountKey].forEach(field => {
+    const { objectName } = splitFullName(field.fullName);
+    byObject[objectName] = [...(byObject[objectName] || []), field];
+  });
+
+  const ordered = {};
+  LAYOUT_OBJECTS.filter(objectName => byObject[objectName]).forEach(objectName => {
+    ordered[objectName] = byObject[objectName];
+  });
+  return ordered;
+}
+
+export function customObjectXml(fields) {
+  return xmlDocument('CustomObject', { fields: fields.map(customFieldMetadata) });
+}
+
+export function permissionSetXml(fullNames) {
+  return xmlDocument('PermissionSet', {
+    description: 'Read and edit access to the H&S Revenue Intelligence fields',
+    fieldPermissions: fullNames.map(field => ({ editable: true, field, readable: true })),
+    hasActivationRequired: false,
+    label: SECTION_LABEL
+  });
+}
+
+/**
+ * One two-column layoutSections element; fields alternate columns so they
+ * read left to right in the order they were generated
+ */
+export function layoutSectionXml(fields) {
+  const columns = [[], []];
+  fields.forEach((field, index) => {
+    const { fieldName } = splitFullName(field.fullName);
+    columns[index % 2].push({ behavior: field.externalId ? 'Readonly' : 'Edit', field: fieldName });
+  });
+
+  return xmlDocument('Layout', {
+    layoutSections: {
+      customLabel: true,
+      detailHeading: true,
+      editHeading: true,
+      label: SECTION_LABEL,
+      layoutColumns: columns.map(layoutItems => ({ layoutItems: layoutItems.length > 0 ? layoutItems : undefined })),
+      style: 'TwoColumnsLeftToRight'
+    }
+  });
+}
+
+export function packageXml(fullNames, apiVersion = METADATA_API_VERSION) {
+  return xmlDocument('Package', {
+    types: [
+      { members: [...fullNames].sort(), name: 'CustomField' },
+      { members: [PERMISSION_SET_NAME], name: 'PermissionSet' }
+    ],
+    version: apiVersion
+  });
+}
+
+/**
+ * Normalised domain used as the account external ID
+ */
+export function accountKey(domain) {
+  return String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#].*$/, '');
+}
+
+/**
+ * Batch scoring results as Account upsert rows. Rows without a domain have
+ * no stable key, and repeats of a key keep the higher-ranked result.
+ * @returns {{ rows: Object[], skipped: Object[] }} skipped rows carry a reason
+ */
+export function accountLoadRows(results = []) {
+  const rows = [];
+  const skipped = [];
+  const keys = new Set();
+
+  results.forEach(result => {
+    const key = accountKey(result.domain);
+    if (!key) {
+      skipped.push({ name: result.name, reason: 'No domain to key the account on' });
+      return;
+    }
+    if (keys.has(key)) {
+      skipped.push({ name: result.name, reason: `Duplicate of a higher-ranked ${key}` });
+      return;
+    }
+    keys.add(key);
+    rows.push({
+      [ACCOUNT_KEY_FIELD]: key,
+      Name: result.name,
+      Website: key,
+      ICP_Fit_Score__c: crmFitScore(result.overallScore)
+    });
+  });
+  return { rows, skipped };
+}
+
+export function accountLoadCSV(rows) {
+  return toCSV([ACCOUNT_KEY_FIELD, 'Name', 'Website', 'ICP_Fit_Score__c'], rows);
+}
+
+function readme(objectNames, accountCount, apiVersion) {
+  return [
+    'H&S Revenue Intelligence - Salesforce package',
+    '',
+    `1. Deploy the fields and permission set (Metadata API ${apiVersion}):`,
+    `   sf project deploy start --metadata-dir ${PACKAGE_DIRECTORY} --target-org <alias>`,
+    '2. Grant access:',
+    `   sf org assign permset --name ${PERMISSION_SET_NAME} --target-org <alias>`,
+    `3. Add the "${SECTION_LABEL}" section to your page layouts. Each file in`,
+    '   layout-snippets/ holds a layoutSections element to paste into that',
+    `   object's layout XML (${objectNames.join(', ')}).`,
+    accountCount > 0
+      ? `4. Load the ${accountCount} scored accounts, matched on ${ACCOUNT_KEY_FIELD}:`
+      : '4. No scored accounts were included; score a batch to generate data/accounts.csv.',
+    accountCount > 0
+      ? `   sf data upsert bulk --sobject Account --file data/accounts.csv --external-id ${ACCOUNT_KEY_FIELD} --target-org <alias>`
+      : undefined,
+    ''
+  ].filter(line => line !== undefined).join('\n');
+}
+
+/**
+ * @param {Object} salesforceFields - generateSalesforceFields output
+ * @param {Object} options - { accounts: batch scoring results, apiVersion }
+ * @returns {{ files: Object, fieldNames: string[], accounts: { rows, skipped } }}
+ *   files maps zip paths to their text
+ */
+export function buildSalesforcePackage(salesforceFields = CRMIntegrationService.generateSalesforceFields(), options = {}) {
+  const { accounts = [], apiVersion = METADATA_API_VERSION } = options;
+  const customFields = salesforceFields?.customFields;
+
+  const problems = validateSalesforceFields(customFields);
+  if (problems.length > 0) {
+    throw new Error(`Cannot package Salesforce fields: ${problems.join('; ')}`);
+  }
+
+  const byObject = packageFieldsByObject(customFields);
+  const fieldNames = Object.values(byObject).flat().map(field => field.fullName);
+  const accountLoad = accountLoadRows(accounts);
+
+  const files = {
+    [`${PACKAGE_DIRECTORY}/package.xml`]: packageXml(fieldNames, apiVersion)
+  };
+  Object.entries(byObject).forEach(([objectName, fields]) => {
+    files[`${PACKAGE_DIRECTORY}/objects/${objectName}.object`] = customObjectXml(fields);
+  });
+  files[`${PACKAGE_DIRECTORY}/permissionsets/${PERMISSION_SET_NAME}.permissionset`] = permissionSetXml(fieldNames);
+  Object.entries(byObject).forEach(([objectName, fields]) => {
+    files[`layout-snippets/${objectName}.layout-section.xml`] = layoutSectionXml(fields);
+  });
+  if (accountLoad.rows.length > 0) {
+    files['data/accounts.csv'] = accountLoadCSV(accountLoad.rows);
+  }
+  files['README.txt'] = readme(Object.keys(byObject), accountLoad.rows.length, apiVersion);
+
+  return { files, fieldNames, accounts: accountLoad };
+}
+
+/**
+ * @param {string} type - any JSZip output type; 'blob' for downloads
+ */
+export function salesforcePackageZip(salesforcePackage, type = 'blob') {
+  const zip = new JSZip();
+  Object.entries(salesforcePackage.files).forEach(([path, content]) => {
+    zip.file(path, content);
+  });
+  return zip.generateAsync({ type, compression: 'DEFLATE' });
+}
+
+export const SalesforcePackageService = {
+  validateSalesforceFields,
+  packageFieldsByObject,
+  accountLoadRows,
+  buildSalesforcePackage,
+  salesforcePackageZip
+};
+
+export default SalesforcePackageService;
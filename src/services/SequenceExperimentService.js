@@ -0,0 +1,339 @@
+import { parseCSV } from './ProspectBatchScoringService';
+import { normalizeSequence } from './SequenceExportService';
+
+/**
+ * Sequence Experiment Service
+ *
+ * A/B tests on individual sequence steps. Each experiment holds the variants
+ * sent for one step, the sent/open/reply/meeting counts imported from the
+ * sales tool's CSV export, and the winner once a two-proportion z-test
+ * shows the leader beating every other variant. Winners are kept per buyer
+ * persona so SalesAutomationService.optimizeSequenceForPersona can reuse
+ * them. Experiments are saved per customer under EXPERIMENTS_TOOL.
+ */
+
+export const EXPERIMENTS_TOOL = 'sequence_experiments';
+
+export const EXPERIMENT_METRICS = [
+  { id: 'open', label: 'Open rate', count: 'opened' },
+  { id: 'reply', label: 'Reply rate', count: 'replied' },
+  { id: 'meeting', label: 'Meeting rate', count: 'meetings' }
+];
+
+export const DEFAULT_ALPHA = 0.05;
+export const MIN_SENT_PER_VARIANT = 100;
+
+// Experiments without a persona apply to every persona
+export const ALL_PERSONAS = 'all';
+
+// Stats export columns, with the headers Outreach and SalesLoft reports use
+export const STAT_COLUMNS = [
+  { key: 'variant', label: 'Variant', aliases: ['variant', 'variant name', 'a/b variant', 'ab test variant', 'template', 'template name', 'subject', 'subject line'] },
+  { key: 'sequence', label: 'Sequence', aliases: ['sequence', 'sequence name', 'cadence', 'cadence name'] },
+  { key: 'step', label: 'Step', aliases: ['step', 'step number', 'step #', 'sequence step', 'cadence step'] },
+  { key: 'sent', label: 'Sent', aliases: ['sent', 'delivered', 'emails sent', 'emails delivered', 'deliveries'] },
+  { key: 'opened', label: 'Opened', aliases: ['opened', 'opens', 'unique opens', 'emails opened'] },
+  { key: 'replied', label: 'Replied', aliases: ['replied', 'replies', 'emails replied', 'reply count'] },
+  { key: 'meetings', label: 'Meetings', aliases: ['meetings', 'meetings booked', 'meetings set', 'booked'] }
+];
+
+const COUNT_KEYS = ['sent', 'opened', 'replied', 'meetings'];
+
+const clean = value => String(value ?? '').trim();
+const matches = (a, b) => clean(a).toLowerCase() === clean(b).toLowerCase();
+const emptyStats = () => ({ sent: 0, opened: 0, replied: 0, meetings: 0 });
+
+export const personaKey = name => clean(name).toLowerCase() || ALL_PERSONAS;
+
+const slug = text => clean(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'experiment';
+
+function uniqueId(base, existing) {
+  const ids = new Set(existing.map(({ id }) => id));
+  let id = slug(base);
+  for (let suffix = 2; ids.has(id); suffix++) id = `${slug(base)}-${suffix}`;
+  return id;
+}
+
+/**
+ * A running experiment on one step of a sequence or cadence. Variants
+ * default to the step's current copy twice, for the user to edit.
+ * @param {Object} options - { persona, metric, variants: [{ label, subject, body }] }
+ */
+export function createExperiment(sequenceData, stepNumber, { persona = '', metric = 'reply', variants } = {}, existing = []) {
+  const sequence = normalizeSequence(sequenceData);
+  const step = sequence.steps.find(candidate => candidate.number === Number(stepNumber)) || {};
+  const copies = variants || [{}, {}];
+
+  return {
+    id: uniqueId(`${sequence.name} step ${stepNumber}`, existing),
+    sequenceName: sequence.name,
+    stepNumber: Number(stepNumber),
+    persona: clean(persona),
+    metric,
+    status: 'running',
+    variants: copies.map((variant, index) => {
+      const id = String.fromCharCode(65 + index);
+      return {
+        id,
+        label: clean(variant.label) || `Variant ${id}`,
+        subject: clean(variant.subject ?? step.subject),
+        body: variant.body ?? step.body ?? '',
+        stats: { ...emptyStats(), ...variant.stats }
+      };
+    }),
+    winnerId: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+}
+
+/**
+ * Returns a list of problems; an empty list means the experiment can run
+ */
+export function validateExperiment(experiment) {
+  if (!experiment || typeof experiment !== 'object') return ['Experiment must be an object'];
+
+  const problems = [];
+  const variants = experiment.variants || [];
+  if (!EXPERIMENT_METRICS.some(metric => metric.id === experiment.metric)) {
+    problems.push(`Unknown metric: ${experiment.metric}`);
+  }
+  if (!(experiment.stepNumber > 0)) {
+    problems.push('Choose the step to test');
+  }
+  if (variants.length < 2) {
+    problems.push('An experiment needs at least two variants');
+  }
+  variants.forEach(variant => {
+    if (!variant.subject) problems.push(`${variant.label} needs a subject line`);
+  });
+  const copies = variants.map(variant => `${variant.subject}\n${variant.body}`.toLowerCase());
+  if (new Set(copies).size < copies.length) {
+    problems.push('Each variant needs different copy');
+  }
+  const labels = variants.map(variant => variant.label.toLowerCase());
+  if (new Set(labels).size < labels.length) {
+    problems.push('Variant labels must be unique');
+  }
+  return problems;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26,
+ * accurate to about 1e-7)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test with a pooled standard error
+ * @returns {Object} { rateA, rateB, z, pValue }
+ */
+export function twoProportionZTest(successesA, trialsA, successesB, trialsB) {
+  const rateA = trialsA > 0 ? successesA / trialsA : 0;
+  const rateB = trialsB > 0 ? successesB / trialsB : 0;
+  if (trialsA === 0 || trialsB === 0) return { rateA, rateB, z: 0, pValue: 1 };
+
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (standardError === 0) return { rateA, rateB, z: 0, pValue: 1 };
+
+  const z = (rateA - rateB) / standardError;
+  return { rateA, rateB, z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Rates, lift over the control (the first variant) and p-values against
+ * the leader. The leader wins when every variant has at least minSent sends
+ * and it beats each other variant at alpha, Bonferroni-corrected for the
+ * number of comparisons.
+ * @returns {Object} { metric, alpha, variants, leaderId, winnerId, summary }
+ */
+export function evaluateExperiment(experiment, { alpha = DEFAULT_ALPHA, minSent = MIN_SENT_PER_VARIANT } = {}) {
+  const metric = EXPERIMENT_METRICS.find(candidate => candidate.id === experiment.metric) || EXPERIMENT_METRICS[1];
+  const variants = experiment.variants || [];
+  const successes = variant => variant.stats?.[metric.count] || 0;
+  const sent = variant => variant.stats?.sent || 0;
+  const rate = variant => (sent(variant) > 0 ? successes(variant) / sent(variant) : 0);
+
+  const control = variants[0];
+  const leader = variants.reduce((best, variant) => (rate(variant) > rate(best) ? variant : best), control);
+  const correctedAlpha = alpha / Math.max(1, variants.length - 1);
+
+  const results = variants.map(variant => {
+    const test = variant === leader
+      ? null
+      : twoProportionZTest(successes(leader), sent(leader), successes(variant), sent(variant));
+    return {
+      id: variant.id,
+      label: variant.label,
+      sent: sent(variant),
+      successes: successes(variant),
+      rate: rate(variant),
+      lift: variant === control || rate(control) === 0 ? null : (rate(variant) - rate(control)) / rate(control),
+      pValue: test ? test.pValue : null
+    };
+  });
+
+  let summary;
+  let winnerId = null;
+  if (!leader) {
+    summary = 'No variants to compare';
+  } else if (variants.some(variant => sent(variant) < minSent)) {
+    summary = `Waiting for ${minSent} sends per variant`;
+  } else if (results.every(result => result.id === leader.id || (result.pValue < correctedAlpha && result.rate < rate(leader)))) {
+    winnerId = leader.id;
+    summary = `${leader.label} wins on ${metric.label.toLowerCase()}`;
+  } else {
+    summary = 'No significant difference yet';
+  }
+
+  return { metric: metric.id, alpha: correctedAlpha, variants: results, leaderId: leader?.id || null, winnerId, summary };
+}
+
+/**
+ * Completes running experiments that have a significant winner
+ */
+export function promoteWinners(experiments, options) {
+  return experiments.map(experiment => {
+    if (experiment.status !== 'running') return experiment;
+    const { winnerId } = evaluateExperiment(experiment, options);
+    return winnerId
+      ? { ...experiment, status: 'completed', winnerId, completedAt: new Date().toISOString() }
+      : experiment;
+  });
+}
+
+/**
+ * Best-guess column for each stats field from the CSV headers
+ * @returns {Object} { statsField: header }
+ */
+export function suggestStatsColumns(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  STAT_COLUMNS.forEach(({ key, aliases }) => {
+    const header = aliases
+      .map(alias => headers.find(candidate => !used.has(candidate) && candidate.trim().toLowerCase() === alias))
+      .find(Boolean);
+    if (header) {
+      mapping[key] = header;
+      used.add(header);
+    }
+  });
+  return mapping;
+}
+
+const toCount = value => {
+  const text = clean(value).replace(/,/g, '');
+  if (text === '') return 0;
+  const number = Number(text);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+/**
+ * Replace variant counts with the totals in a sales tool's CSV export, then
+ * promote any winners. A row applies to the variant whose id, label or
+ * subject matches its variant column, narrowed by the sequence and step
+ * columns when the export has them.
+ * @returns {Object} { experiments, applied, skipped: [{ row, reason }] }
+ */
+export function importVariantStats(experiments, csvText, options) {
+  const { headers, rows } = parseCSV(csvText);
+  const columns = suggestStatsColumns(headers);
+  if (!columns.variant || !columns.sent) {
+    throw new Error('The CSV needs a variant (or template or subject) column and a sent column');
+  }
+
+  const updated = experiments.map(experiment => ({
+    ...experiment,
+    variants: experiment.variants.map(variant => ({ ...variant, stats: { ...variant.stats } }))
+  }));
+  const skipped = [];
+  let applied = 0;
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const name = row[columns.variant];
+    const candidates = [];
+    updated.forEach(experiment => {
+      if (columns.sequence && row[columns.sequence] && !matches(row[columns.sequence], experiment.sequenceName)) return;
+      if (columns.step && row[columns.step] && Number(row[columns.step]) !== experiment.stepNumber) return;
+      experiment.variants
+        .filter(variant => [variant.id, variant.label, variant.subject].some(value => matches(value, name)))
+        .forEach(variant => candidates.push(variant));
+    });
+
+    if (candidates.length === 0) {
+      skipped.push({ row: rowNumber, reason: `No experiment variant matches "${clean(name)}"` });
+      return;
+    }
+    if (candidates.length > 1) {
+      skipped.push({ row: rowNumber, reason: `"${clean(name)}" matches ${candidates.length} variants; add sequence and step columns` });
+      return;
+    }
+
+    const stats = {};
+    COUNT_KEYS.forEach(key => {
+      stats[key] = columns[key] ? toCount(row[columns[key]]) : 0;
+    });
+    if (COUNT_KEYS.some(key => Number.isNaN(stats[key]))) {
+      skipped.push({ row: rowNumber, reason: 'Counts must be whole numbers' });
+      return;
+    }
+    if (COUNT_KEYS.some(key => stats[key] > stats.sent)) {
+      skipped.push({ row: rowNumber, reason: 'Opens, replies and meetings cannot exceed sends' });
+      return;
+    }
+
+    candidates[0].stats = stats;
+    applied++;
+  });
+
+  return { experiments: promoteWinners(updated, options), applied, skipped };
+}
+
+/**
+ * Winning variants from completed experiments, latest first wins
+ * @returns {Object} { persona: { sequenceName: { stepNumber: winner } } }
+ */
+export function winnersByPersona(experiments = []) {
+  const winners = {};
+  experiments
+    .filter(experiment => experiment.status === 'completed' && experiment.winnerId)
+    .sort((a, b) => String(a.completedAt).localeCompare(String(b.completedAt)))
+    .forEach(experiment => {
+      const variant = experiment.variants.find(candidate => candidate.id === experiment.winnerId);
+      if (!variant) return;
+      const evaluation = evaluateExperiment(experiment);
+      const persona = personaKey(experiment.persona);
+      winners[persona] = winners[persona] || {};
+      winners[persona][experiment.sequenceName] = winners[persona][experiment.sequenceName] || {};
+      winners[persona][experiment.sequenceName][experiment.stepNumber] = {
+        experimentId: experiment.id,
+        metric: experiment.metric,
+        variant: { id: variant.id, label: variant.label, subject: variant.subject, body: variant.body },
+        lift: evaluation.variants.find(result => result.id === variant.id)?.lift ?? null
+      };
+    });
+  return winners;
+}
+
+export const SequenceExperimentService = {
+  EXPERIMENTS_TOOL,
+  createExperiment,
+  validateExperiment,
+  twoProportionZTest,
+  evaluateExperiment,
+  promoteWinners,
+  suggestStatsColumns,
+  importVariantStats,
+  winnersByPersona
+};
+
+export default SequenceExperimentService;
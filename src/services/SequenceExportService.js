@@ -0,0 +1,316 @@
+import { toCSV } from './ProspectBatchScoringService';
+import { escapeHtml } from './SafeContentService';
+
+/**
+ * Sequence Export Service
+ *
+ * Turns the SalesAutomationService sequences and cadences into files the
+ * platforms import (Outreach sequence JSON, SalesLoft cadence CSV), lints
+ * them before they go out and previews each step against a prospect row.
+ * Templates are written with H&S merge variables ({{prospect.first_name}});
+ * MERGE_VARIABLES says what each one is called in Outreach and SalesLoft,
+ * and anything not listed there is reported as unknown.
+ */
+
+export const SEQUENCE_PLATFORMS = {
+  outreach: { label: 'Outreach', filename: 'outreach-sequence.json', mimeType: 'application/json' },
+  salesloft: { label: 'SalesLoft', filename: 'salesloft-cadence.csv', mimeType: 'text/csv;charset=utf-8' }
+};
+
+// column is the prospect row key used by previews. Custom fields need to
+// exist in the platform under these names before the import.
+export const MERGE_VARIABLES = {
+  'prospect.first_name': { label: 'First name', column: 'first_name', outreach: 'first_name', salesloft: 'first_name', personal: true },
+  'prospect.last_name': { label: 'Last name', column: 'last_name', outreach: 'last_name', salesloft: 'last_name', personal: true },
+  'prospect.title': { label: 'Title', column: 'title', outreach: 'title', salesloft: 'title', personal: true },
+  'prospect.company': { label: 'Company', column: 'company', outreach: 'account.name', salesloft: 'company', personal: true },
+  'prospect.industry': { label: 'Industry', column: 'industry', outreach: 'custom1', salesloft: 'custom_fields.industry', personal: true },
+  'prospect.primary_pain_point': { label: 'Primary pain point', column: 'primary_pain_point', outreach: 'custom2', salesloft: 'custom_fields.primary_pain_point', personal: true },
+  'prospect.primary_challenge': { label: 'Primary challenge', column: 'primary_challenge', outreach: 'custom3', salesloft: 'custom_fields.primary_challenge', personal: true },
+  'sender.first_name': { label: 'Sender first name', column: 'sender_first_name', outreach: 'sender.first_name', salesloft: 'my.first_name' },
+  'sender.last_name': { label: 'Sender last name', column: 'sender_last_name', outreach: 'sender.last_name', salesloft: 'my.last_name' }
+};
+
+export const SAMPLE_PROSPECT = {
+  first_name: 'Dana',
+  last_name: 'Reyes',
+  title: 'VP Revenue Operations',
+  company: 'RouteCo',
+  industry: 'Logistics',
+  primary_pain_point: 'forecast accuracy',
+  primary_challenge: 'manual pipeline reviews',
+  sender_first_name: 'Sam',
+  sender_last_name: 'Lee'
+};
+
+// Words and phrases that push cold email towards the spam folder
+export const SPAM_TRIGGERS = [
+  '100% free', 'act now', 'buy now', 'cash', 'click here', 'double your', 'earn money', 'free',
+  'guarantee', 'guaranteed', 'limited time', 'no obligation', 'once in a lifetime', 'risk-free',
+  'special promotion', 'urgent', 'winner', '$$$'
+];
+
+export const MAX_SUBJECT_LENGTH = 60;
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const RAW_PLACEHOLDER_PATTERN = /\$\{[^}]*\}/g;
+
+/**
+ * Merge variable names used in a template, in order of first use
+ */
+export function templateVariables(text) {
+  return [...new Set([...String(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Common step shape for either generator's output:
+ * { number, day, type, subject, body, template, personalizations, notes }.
+ * Accepts generateOutreachSequences / generateSalesLoftCadences output or the
+ * sequence or cadence inside it.
+ */
+export function normalizeSequence(data) {
+  const source = data?.prospectingSequence || data?.multiTouchCadence || data || {};
+
+  if (Array.isArray(source.touches)) {
+    return {
+      name: source.name || 'H&S Cadence',
+      description: source.description || '',
+      steps: source.touches.map((touch, index) => ({
+        number: index + 1,
+        day: Number(touch.day) || 1,
+        type: touch.type || 'email',
+        subject: touch.subject || '',
+        body: touch.body || '',
+        template: touch.template || '',
+        personalizations: touch.personalizations || [],
+        notes: [...(touch.objectives || []), ...(touch.talkTracks || [])].join('\n')
+      }))
+    };
+  }
+
+  let day = 1;
+  return {
+    name: source.name || 'H&S Sequence',
+    description: source.description || '',
+    steps: (source.steps || []).map((step, index) => {
+      day += Number(step.delay) || 0;
+      return {
+        number: step.stepNumber || index + 1,
+        day,
+        type: step.type || 'email',
+        subject: step.subject || '',
+        body: step.template || '',
+        template: '',
+        personalizations: step.personalizations || [],
+        notes: ''
+      };
+    })
+  };
+}
+
+/**
+ * Fill a template from a prospect row keyed by MERGE_VARIABLES columns
+ * @returns {Object} { text, missing } - missing lists variables left unfilled
+ */
+export function renderTemplate(text, prospect = SAMPLE_PROSPECT) {
+  const missing = [];
+  const rendered = String(text || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const value = prospect?.[MERGE_VARIABLES[name]?.column];
+    if (value === undefined || value === null || value === '') {
+      missing.push(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text: rendered, missing: [...new Set(missing)] };
+}
+
+/**
+ * Every step rendered against one prospect row
+ * @returns {Object[]} { number, day, type, subject, body, missing }
+ */
+export function previewSequence(data, prospect = SAMPLE_PROSPECT) {
+  return normalizeSequence(data).steps.map(step => {
+    const subject = renderTemplate(step.subject, prospect);
+    const body = renderTemplate(step.body, prospect);
+    return {
+      number: step.number,
+      day: step.day,
+      type: step.type,
+      subject: subject.text,
+      body: body.text,
+      missing: [...new Set([...subject.missing, ...body.missing])]
+    };
+  });
+}
+
+const spamTriggersIn = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const found = SPAM_TRIGGERS.filter(trigger => {
+    const escaped = trigger.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return /^\w/.test(trigger)
+      ? new RegExp(`\\b${escaped}\\b`).test(lower)
+      : lower.includes(trigger);
+  });
+  // "risk-free" already covers "free"
+  return found.filter(trigger => !found.some(other => other !== trigger && other.includes(trigger)));
+};
+
+/**
+ * Problems to fix before importing. Errors would ship broken text to
+ * prospects; warnings hurt deliverability or reply rates.
+ * @returns {Object} { isValid, issues: [{ step, severity, rule, message }] }
+ */
+export function lintSequence(data, { platform = 'outreach', prospect = SAMPLE_PROSPECT } = {}) {
+  const issues = [];
+  const report = (step, severity, rule, message) => issues.push({ step: step.number, severity, rule, message });
+
+  normalizeSequence(data).steps.forEach(step => {
+    const isEmail = step.type === 'email';
+    const texts = isEmail ? [step.subject, step.body] : [step.body];
+
+    texts.forEach(text => {
+      templateVariables(text)
+        .filter(name => !MERGE_VARIABLES[name])
+        .forEach(name => report(step, 'error', 'unknown-variable', `{{${name}}} is not a known ${SEQUENCE_PLATFORMS[platform].label} merge variable`));
+      (String(text).match(RAW_PLACEHOLDER_PATTERN) || [])
+        .forEach(placeholder => report(step, 'error', 'raw-placeholder', `${placeholder} was never filled in`));
+    });
+
+    if (!isEmail) return;
+
+    if (!step.body && (platform === 'outreach' || !step.template)) {
+      report(step, 'error', 'missing-body', 'Email step has no body');
+    }
+
+    const personalized = templateVariables(`${step.subject} ${step.body}`).some(name => MERGE_VARIABLES[name]?.personal);
+    if (!personalized && step.personalizations.length === 0) {
+      report(step, 'warning', 'missing-personalization', 'Email step does not use any prospect variable');
+    }
+
+    spamTriggersIn(`${step.subject} ${step.body}`)
+      .forEach(trigger => report(step, 'warning', 'spam-trigger', `"${trigger}" is a common spam trigger`));
+
+    const subject = renderTemplate(step.subject, prospect).text;
+    if (subject.length > MAX_SUBJECT_LENGTH) {
+      report(step, 'warning', 'subject-length', `Subject is ${subject.length} characters with the sample prospect (max ${MAX_SUBJECT_LENGTH})`);
+    }
+  });
+
+  return { isValid: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
+/**
+ * Rewrite H&S merge variables in a platform's syntax. Unknown variables are
+ * left as they are; lintSequence reports them.
+ */
+export function translateVariables(text, platform) {
+  return String(text || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const target = MERGE_VARIABLES[name]?.[platform];
+    return target ? `{{${target}}}` : match;
+  });
+}
+
+const textToHtml = (text) => String(text || '')
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('');
+
+const OUTREACH_STEP_TYPES = { email: 'auto_email', call: 'call' };
+
+/**
+ * Outreach sequence import document. Intervals are minutes after the
+ * previous step, as the Outreach API expects.
+ */
+export function toOutreachSequence(data) {
+  const sequence = normalizeSequence(data);
+  let linkedinSteps = 0;
+  let previousDay = 1;
+
+  return {
+    sequence: {
+      name: sequence.name,
+      description: sequence.description,
+      sequenceType: 'interval',
+      shareType: 'shared',
+      tags: ['h_s_revenue_intelligence']
+    },
+    steps: sequence.steps.map((step, index) => {
+      let stepType = OUTREACH_STEP_TYPES[step.type] || 'task';
+      if (step.type === 'linkedin') {
+        stepType = linkedinSteps++ === 0 ? 'linkedin_send_connection_request' : 'linkedin_send_message';
+      }
+      const interval = (step.day - previousDay) * 24 * 60;
+      previousDay = step.day;
+
+      return {
+        order: index + 1,
+        stepType,
+        interval,
+        taskNote: step.type === 'email'
+          ? step.notes
+          : [translateVariables(step.body, 'outreach'), step.notes].filter(Boolean).join('\n\n'),
+        template: step.type === 'email'
+          ? {
+            name: `${sequence.name} - Step ${index + 1}`,
+            subject: translateVariables(step.subject, 'outreach'),
+            bodyHtml: textToHtml(translateVariables(step.body, 'outreach'))
+          }
+          : null
+      };
+    })
+  };
+}
+
+const SALESLOFT_STEP_TYPES = { email: 'Email', call: 'Phone', linkedin: 'LinkedIn' };
+
+export const SALESLOFT_COLUMNS = ['Cadence Name', 'Day', 'Step Type', 'Step Name', 'Subject', 'Body', 'Template', 'Instructions'];
+
+/**
+ * SalesLoft cadence import spreadsheet, one row per step
+ */
+export function toSalesLoftCSV(data) {
+  const cadence = normalizeSequence(data);
+  return toCSV(SALESLOFT_COLUMNS, cadence.steps.map(step => ({
+    'Cadence Name': cadence.name,
+    Day: step.day,
+    'Step Type': SALESLOFT_STEP_TYPES[step.type] || 'Other',
+    'Step Name': `Day ${step.day} ${SALESLOFT_STEP_TYPES[step.type] || 'Other'}`,
+    Subject: step.type === 'email' ? translateVariables(step.subject, 'salesloft') : '',
+    Body: translateVariables(step.body, 'salesloft'),
+    Template: step.template,
+    Instructions: [
+      step.personalizations.length > 0 ? `Personalize: ${step.personalizations.join(', ')}` : '',
+      step.notes
+    ].filter(Boolean).join('\n')
+  })));
+}
+
+/**
+ * The import file for a platform
+ * @returns {Object} { filename, mimeType, content }
+ */
+export function sequenceExportFile(platform, data) {
+  const target = SEQUENCE_PLATFORMS[platform];
+  if (!target) {
+    throw new Error(`Unsupported sequence platform: ${platform}`);
+  }
+  const content = platform === 'outreach'
+    ? JSON.stringify(toOutreachSequence(data), null, 2)
+    : toSalesLoftCSV(data);
+  return { filename: target.filename, mimeType: target.mimeType, content };
+}
+
+export const SequenceExportService = {
+  templateVariables,
+  normalizeSequence,
+  renderTemplate,
+  previewSequence,
+  lintSequence,
+  translateVariables,
+  toOutreachSequence,
+  toSalesLoftCSV,
+  sequenceExportFile
+};
+
+export default SequenceExportService;
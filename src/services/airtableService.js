@@ -352,6 +352,18 @@ export const airtableService = {
     }
   },
 
+  // Find the Customer Assets record ID for a customer ID
+  async getRecordIdByCustomerId(customerId) {
+    const sanitizedId = String(customerId).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    const response = await airtableClient.get('/Customer Assets', {
+      params: {
+        filterByFormula: `{Customer ID} = '${sanitizedId}'`,
+        maxRecords: 1
+      }
+    });
+    return response.data.records[0]?.id || null;
+  },
+
   // Sync generated resources from localStorage to Airtable customer record
   async syncGeneratedResourcesToAirtable(customerId, generatedResources) {
     try {
@@ -675,6 +687,8 @@ export const airtableService = {
     return {
       icp_framework_customized: false,
       preferred_export_format: "pdf",
+      currency: "USD",
+      locale: "en-US",
       methodology_transparency: false,
       custom_criteria: [],
       export_history: [],
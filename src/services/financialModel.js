@@ -0,0 +1,614 @@
+import { BUSINESS, CURRENCIES } from '../constants/app';
+import FX_RATES from '../data/fxRates.json';
+
+/**
+ * Financial Model
+ *
+ * The one place the platform's money math lives: NPV, IRR, payback, ROI,
+ * cost of delay, the cumulative-loss curve and the cost-of-inaction, business
+ * case and revenue-improvement models the tools are built on. No React, no
+ * network - components pass plain numbers in and render what comes back.
+ *
+ * Money is rounded explicitly: every model takes { currency, decimals } and
+ * rounds its outputs half away from zero to at most the currency's minor
+ * units (BUSINESS.decimalPlaces by default). Rates are fractions unless the
+ * parameter name says percent.
+ *
+ * Benchmark defaults below are in the FX table's base currency (USD) and are
+ * converted to the customer's currency on the way out; amounts the user
+ * typed are already in their currency and are never converted. The table in
+ * src/data/fxRates.json is static so the tools work offline - edit it to
+ * refresh the rates.
+ */
+
+export { FX_RATES };
+
+export const DEAL_SIZE_RATIOS = {
+  enterprise: 0.02,
+  'mid-market': 0.015,
+  default: 0.01
+};
+
+export const SEGMENT_REVENUE_DEFAULTS = {
+  enterprise: 50000000,
+  'mid-market': 10000000,
+  smb: 2000000,
+  default: 5000000
+};
+
+// Benchmarks the run-rate cost model measures the pipeline against
+export const RUN_RATE_BENCHMARKS = {
+  cycleNormalizerDays: 90,
+  conversionRatePercent: 20,
+  maxTimelineMonths: 24
+};
+
+export const BUSINESS_CASE_DEFAULTS = {
+  years: 3,
+  discountRate: 0.1,
+  fallbackCurrentStateCost: 1250000,
+  fallbackAnnualSavings: 875000,
+  fallbackSolutionCost: 75000
+};
+
+export const REVENUE_IMPROVEMENT_ASSUMPTIONS = {
+  winRateLift: 1.4,
+  maxWinRate: 0.65,
+  cycleReduction: 0.25,
+  dealSizeLift: 1.25
+};
+
+// ---------------------------------------------------------------------------
+// Currency and rounding
+// ---------------------------------------------------------------------------
+
+const minorUnitCache = new Map();
+
+/**
+ * Minor-unit digits for an ISO currency code (USD 2, JPY 0)
+ */
+export function currencyDecimals(currency = BUSINESS.defaultCurrency) {
+  if (!minorUnitCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions();
+    minorUnitCache.set(currency, maximumFractionDigits);
+  }
+  return minorUnitCache.get(currency);
+}
+
+/**
+ * Round half away from zero, ignoring binary noise (1.005 -> 1.01)
+ */
+export function roundTo(value, decimals = 0) {
+  if (!Number.isFinite(value)) return 0;
+  const factor = 10 ** decimals;
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  return (Math.sign(value) * Math.round(scaled)) / factor + 0;
+}
+
+/**
+ * Round a money amount to the requested decimals, never finer than the
+ * currency allows
+ */
+export function roundMoney(amount, { currency = BUSINESS.defaultCurrency, decimals = BUSINESS.decimalPlaces } = {}) {
+  return roundTo(amount, Math.min(decimals, currencyDecimals(currency)));
+}
+
+export function formatMoney(amount, {
+  currency = BUSINESS.defaultCurrency,
+  locale = BUSINESS.defaultLocale,
+  decimals = BUSINESS.decimalPlaces,
+  compact = false
+} = {}) {
+  const digits = Math.min(decimals, currencyDecimals(currency));
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    ...(compact
+      ? { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }
+      : { minimumFractionDigits: digits, maximumFractionDigits: digits })
+  }).format(roundTo(amount, compact ? 1 : digits));
+}
+
+/**
+ * Currency symbol for input prefixes and labels ("$", "€", "CHF")
+ */
+export function currencySymbol({ currency = BUSINESS.defaultCurrency, locale = BUSINESS.defaultLocale } = {}) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .formatToParts(0)
+    .find(part => part.type === 'currency').value;
+}
+
+/**
+ * { currency, locale } to report in from a customer's user preferences.
+ * Unsupported currencies fall back to the default; the locale follows the
+ * currency unless the customer picked a valid one.
+ */
+export function moneyPreferences(userPreferences) {
+  const currency = CURRENCIES[userPreferences?.currency] ? userPreferences.currency : BUSINESS.defaultCurrency;
+  let locale = CURRENCIES[currency].locale;
+  if (userPreferences?.locale) {
+    try {
+      locale = Intl.getCanonicalLocales(userPreferences.locale)[0];
+    } catch (error) {
+      // Malformed tag - keep the currency's default locale
+    }
+  }
+  return { currency, locale };
+}
+
+/**
+ * Units of `to` per unit of `from` from the FX table
+ * @throws {RangeError} when the table has no rate for either currency
+ */
+export function fxRate(from, to, fxRates = FX_RATES) {
+  const fromRate = fxRates.rates[from];
+  const toRate = fxRates.rates[to];
+  if (!(fromRate > 0)) throw new RangeError(`No FX rate for ${from}`);
+  if (!(toRate > 0)) throw new RangeError(`No FX rate for ${to}`);
+  return toRate / fromRate;
+}
+
+/**
+ * Convert between currencies, rounded for the target currency
+ * @param {Object} options - { from, to, decimals, fxRates }
+ */
+export function convertMoney(amount, { from = FX_RATES.base, to = BUSINESS.defaultCurrency, decimals, fxRates = FX_RATES } = {}) {
+  return roundMoney(amount * fxRate(from, to, fxRates), { currency: to, decimals });
+}
+
+/**
+ * A benchmark default (base currency) in the currency the model reports in
+ * @param {Object} options - { currency, decimals, fxRates }
+ */
+export function localizeBenchmark(amount, { currency = BUSINESS.defaultCurrency, decimals, fxRates = FX_RATES } = {}) {
+  return convertMoney(amount, { from: fxRates.base, to: currency, decimals, fxRates });
+}
+
+const MONEY_PATTERN = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*([kmb])?(?![a-z])/gi;
+const SUFFIX_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Amount from free text such as "$75,000", "$1.2M" or a range
+ * ("$25,000-$75,000" gives the midpoint). Null when there is no number.
+ */
+export function parseMoneyAmount(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  const amounts = [...String(text ?? '').matchAll(MONEY_PATTERN)]
+    .slice(0, 2)
+    .map(([, digits, suffix]) => parseFloat(digits.replace(/,/g, '')) * (suffix ? SUFFIX_MULTIPLIERS[suffix.toLowerCase()] : 1));
+  if (amounts.length === 0) return null;
+  return amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+}
+
+// ---------------------------------------------------------------------------
+// Core formulas
+// ---------------------------------------------------------------------------
+
+/**
+ * Net present value; cashFlows[0] is today, cashFlows[t] is t periods out
+ */
+export function npv(rate, cashFlows) {
+  return cashFlows.reduce((total, cashFlow, period) => total + cashFlow / (1 + rate) ** period, 0);
+}
+
+// d(NPV)/d(rate), for Newton's method
+const npvDerivative = (rate, cashFlows) =>
+  cashFlows.reduce((total, cashFlow, period) => total - period * cashFlow / (1 + rate) ** (period + 1), 0);
+
+/**
+ * Internal rate of return per period. Newton's method from `guess`, falling
+ * back to bisection. Null when the flows never change sign.
+ */
+export function irr(cashFlows, { guess = 0.1, tolerance = 1e-7, maxIterations = 100 } = {}) {
+  if (!cashFlows.some(cashFlow => cashFlow > 0) || !cashFlows.some(cashFlow => cashFlow < 0)) return null;
+
+  let rate = guess;
+  for (let i = 0; i < maxIterations; i++) {
+    const value = npv(rate, cashFlows);
+    const derivative = npvDerivative(rate, cashFlows);
+    if (Math.abs(value) < tolerance) return rate;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low, cashFlows) * npv(high, cashFlows) > 0 && high < 1e6) high *= 2;
+  if (npv(low, cashFlows) * npv(high, cashFlows) > 0) return null;
+
+  while (high - low > 2 * tolerance) {
+    const mid = (low + high) / 2;
+    if (npv(low, cashFlows) * npv(mid, cashFlows) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Periods until cumulative cash flow reaches zero, interpolated within the
+ * period it turns. Null if it never pays back.
+ */
+export function paybackPeriod(cashFlows) {
+  let cumulative = 0;
+  for (let period = 0; period < cashFlows.length; period++) {
+    const previous = cumulative;
+    cumulative += cashFlows[period];
+    if (cumulative >= 0) {
+      return period === 0 ? 0 : period - 1 + (-previous / cashFlows[period]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Return on investment as a percentage; null without a positive cost
+ */
+export function roi(totalBenefit, totalCost) {
+  if (!(totalCost > 0)) return null;
+  return ((totalBenefit - totalCost) / totalCost) * 100;
+}
+
+/**
+ * Value lost by waiting `delayMonths`, with the monthly value compounding at
+ * `monthlyGrowthRate`
+ */
+export function costOfDelay({ monthlyValue, delayMonths, monthlyGrowthRate = 0 }, options = {}) {
+  let total = 0;
+  for (let month = 0; month < delayMonths; month++) {
+    total += monthlyValue * (1 + monthlyGrowthRate) ** month;
+  }
+  return roundMoney(total, options);
+}
+
+/**
+ * Month-by-month and running total of a loss
+ * @param {number|number[]} monthlyLosses - one amount per month, or a flat amount
+ * @param {Object} options - { months (flat amount only), currency, decimals }
+ * @returns {Array<{ month, monthlyLoss, cumulativeLoss }>}
+ */
+export function cumulativeLossCurve(monthlyLosses, { months, ...options } = {}) {
+  const losses = Array.isArray(monthlyLosses) ? monthlyLosses : Array.from({ length: months }, () => monthlyLosses);
+  let cumulative = 0;
+  return losses.map((loss, index) => {
+    cumulative += loss;
+    return {
+      month: `Month ${index + 1}`,
+      monthlyLoss: roundMoney(loss, options),
+      cumulativeLoss: roundMoney(cumulative, options)
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// ICP heuristics
+// ---------------------------------------------------------------------------
+
+const segmentKey = (segmentName = '') => {
+  const name = segmentName.toLowerCase();
+  if (name.includes('enterprise')) return 'enterprise';
+  if (name.includes('mid-market')) return 'mid-market';
+  if (name.includes('smb') || name.includes('small')) return 'smb';
+  return 'default';
+};
+
+/**
+ * Typical annual revenue for an ICP segment name
+ */
+export function estimateSegmentRevenue(segmentName, options = {}) {
+  return localizeBenchmark(SEGMENT_REVENUE_DEFAULTS[segmentKey(segmentName)], options);
+}
+
+/**
+ * Deal size as a share of the buyer's revenue, by ICP segment
+ */
+export function estimateDealSize(revenue, segmentName, options = {}) {
+  const ratio = DEAL_SIZE_RATIOS[segmentKey(segmentName)] ?? DEAL_SIZE_RATIOS.default;
+  return roundMoney(revenue * ratio, options);
+}
+
+// ---------------------------------------------------------------------------
+// Cost of inaction
+// ---------------------------------------------------------------------------
+
+/**
+ * Point-estimate cost of inaction (CostCalculator). Percentages are 0-100,
+ * matching the form.
+ * @param {Object} inputs - { currentRevenue, targetGrowthRate, averageDealSize, salesCycleLength,
+ *   churnRate, timeframe, inefficiencyRate, baselineCycleDays, delayCostRate }
+ * @returns {{ currency, totalCostOfInaction, monthlyImpact, metrics, timeline, projections, impactCategories }}
+ */
+export function computeCostOfInaction(inputs, options = {}) {
+  const { currency = BUSINESS.defaultCurrency } = options;
+  const money = (amount) => roundMoney(amount, options);
+
+  const revenue = inputs.currentRevenue;
+  const growth = inputs.targetGrowthRate / 100;
+  const churn = inputs.churnRate / 100;
+  const months = Math.max(1, Math.round(inputs.timeframe)) || BUSINESS.standardAnalysisPeriod;
+
+  const currentMonthlyRevenue = revenue / 12;
+  const targetMonthlyGrowth = currentMonthlyRevenue * growth / 12;
+
+  // Growth forgone compounds each month of delay; the rest accrues evenly
+  const missedGrowthRevenue = targetMonthlyGrowth * months * (months + 1) / 2;
+  const inefficiencyLoss = revenue * inputs.inefficiencyRate / 100;
+  const churnImpact = revenue * churn;
+  const salesCycleCost = Math.max(0, (inputs.salesCycleLength - inputs.baselineCycleDays) * inputs.averageDealSize * inputs.delayCostRate / 100);
+  const flatLoss = inefficiencyLoss + churnImpact + salesCycleCost;
+
+  const totalCostOfInaction = missedGrowthRevenue + flatLoss;
+
+  const timeline = cumulativeLossCurve(
+    Array.from({ length: months }, (_, index) => targetMonthlyGrowth * (index + 1) + flatLoss / months),
+    options
+  );
+
+  const projections = [];
+  for (let month = 1; month <= 12; month++) {
+    const withAction = currentMonthlyRevenue * (1 + growth) ** (month / 12);
+    const withoutAction = currentMonthlyRevenue * (1 + growth * BUSINESS.defaultGrowthWithoutAction) ** (month / 12);
+    projections.push({
+      month: `Month ${month}`,
+      withAction: money(withAction),
+      withoutAction: money(withoutAction),
+      gap: money(withAction - withoutAction)
+    });
+  }
+
+  const impactCategories = [
+    {
+      category: 'Revenue Growth',
+      currentState: money(revenue * 1.05),
+      withImprovement: money(revenue * (1 + growth)),
+      impact: money(missedGrowthRevenue)
+    },
+    {
+      category: 'Sales Efficiency',
+      currentState: money(revenue * (1 - inputs.inefficiencyRate / 100)),
+      withImprovement: money(revenue),
+      impact: money(inefficiencyLoss)
+    },
+    {
+      category: 'Customer Retention',
+      currentState: money(revenue * (1 - churn)),
+      withImprovement: money(revenue * (1 - churn * 0.5)),
+      impact: money(churnImpact * 0.5)
+    }
+  ];
+
+  return {
+    currency,
+    totalCostOfInaction: money(totalCostOfInaction),
+    monthlyImpact: money(totalCostOfInaction / months),
+    timeline,
+    projections,
+    impactCategories,
+    metrics: {
+      missedGrowthRevenue: money(missedGrowthRevenue),
+      inefficiencyLoss: money(inefficiencyLoss),
+      churnImpact: money(churnImpact),
+      salesCycleCost: money(salesCycleCost)
+    }
+  };
+}
+
+/**
+ * Monthly run-rate cost of the pipeline gap (CostCalculatorWithExport).
+ * Percentages are 0-100. Null without revenue and deal size.
+ * @returns {{ currency, totalMonthlyCost, totalLossFirstYear, totalLossTimeframe, breakdown, timelineData, assumptions }}
+ */
+export function computeRunRateCost(inputs, options = {}) {
+  const { currency = BUSINESS.defaultCurrency } = options;
+  const money = (amount) => roundMoney(amount, options);
+  const { currentRevenue: revenue, averageDealSize: dealSize } = inputs;
+  if (!revenue || !dealSize) return null;
+
+  const timeframeMonths = inputs.timeframe || BUSINESS.standardAnalysisPeriod;
+  const currentDealsPerYear = revenue / dealSize;
+  const targetDealsPerYear = currentDealsPerYear * (1 + inputs.targetGrowthRate / 100);
+  const gapInDeals = targetDealsPerYear - currentDealsPerYear;
+  const annualDealValue = currentDealsPerYear * dealSize;
+
+  const monthlyOpportunityLoss = (gapInDeals * dealSize) / 12;
+  const monthlyCycleLoss = (annualDealValue * (inputs.salesCycleLength - BUSINESS.baselineSalesCycleDays)) / (RUN_RATE_BENCHMARKS.cycleNormalizerDays * 12);
+  const monthlyConversionLoss = (annualDealValue * (RUN_RATE_BENCHMARKS.conversionRatePercent - inputs.conversionRate)) / (RUN_RATE_BENCHMARKS.conversionRatePercent * 12);
+  const monthlyChurnLoss = (revenue * inputs.churnRate) / (100 * 12);
+
+  const totalMonthlyCost = monthlyOpportunityLoss + monthlyCycleLoss + monthlyConversionLoss + monthlyChurnLoss;
+
+  const timelineData = cumulativeLossCurve(totalMonthlyCost, {
+    months: Math.min(timeframeMonths, RUN_RATE_BENCHMARKS.maxTimelineMonths),
+    ...options
+  }).map(({ month, monthlyLoss, cumulativeLoss }) => ({ month, monthlyCost: monthlyLoss, cumulativeCost: cumulativeLoss }));
+
+  return {
+    currency,
+    totalMonthlyCost: money(totalMonthlyCost),
+    totalLossFirstYear: money(totalMonthlyCost * 12),
+    totalLossTimeframe: money(totalMonthlyCost * timeframeMonths),
+    breakdown: [
+      {
+        category: 'Lost Revenue Opportunities',
+        monthlyCost: money(monthlyOpportunityLoss),
+        description: 'Revenue not captured due to missed growth targets'
+      },
+      {
+        category: 'Extended Sales Cycles',
+        monthlyCost: money(monthlyCycleLoss),
+        description: 'Revenue delayed due to longer than optimal sales cycles'
+      },
+      {
+        category: 'Poor Conversion Rates',
+        monthlyCost: money(monthlyConversionLoss),
+        description: 'Revenue lost due to suboptimal conversion performance'
+      },
+      {
+        category: 'Customer Churn',
+        monthlyCost: money(monthlyChurnLoss),
+        description: 'Revenue lost due to customer attrition'
+      }
+    ],
+    timelineData,
+    assumptions: {
+      currentDealsPerYear,
+      targetDealsPerYear,
+      gapInDeals,
+      timeframeMonths
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Business case
+// ---------------------------------------------------------------------------
+
+/**
+ * Current-state cost, annual savings and solution cost from the cost
+ * calculator's default values, with fixed fallbacks when there are none.
+ * Default values and fallbacks are benchmarks; the investment is the user's.
+ * @param {Object} defaultValues - { averageDealSize, inefficiencyRate, conversionRate } (rates as fractions)
+ * @param {Object} options - { investment (overrides the derived solution cost), currency, decimals, fxRates }
+ */
+export function estimateBusinessCaseInputs(defaultValues, { investment, ...options } = {}) {
+  if (!defaultValues) {
+    return {
+      currentStateCost: localizeBenchmark(BUSINESS_CASE_DEFAULTS.fallbackCurrentStateCost, options),
+      annualSavings: localizeBenchmark(BUSINESS_CASE_DEFAULTS.fallbackAnnualSavings, options),
+      solutionCost: investment === undefined
+        ? localizeBenchmark(BUSINESS_CASE_DEFAULTS.fallbackSolutionCost, options)
+        : roundMoney(investment, options)
+    };
+  }
+
+  const averageDealSize = localizeBenchmark(defaultValues.averageDealSize || 25000, options);
+  const inefficiencyRate = defaultValues.inefficiencyRate || 0.12;
+  const conversionRate = defaultValues.conversionRate || 0.15;
+  return {
+    currentStateCost: roundMoney(averageDealSize * 50 * (1 + inefficiencyRate), options),
+    annualSavings: roundMoney(averageDealSize * conversionRate * 60, options),
+    solutionCost: roundMoney(investment ?? averageDealSize * 2, options)
+  };
+}
+
+/**
+ * Returns on an up-front investment that yields a steady annual benefit
+ * @param {Object} params - { investment, annualBenefit, annualRunCost, years, discountRate }
+ * @returns {{ currency, cashFlows, totalBenefit, roi, npv, irr, paybackMonths }}
+ *   roi is a percentage over the whole horizon; irr is annual, as a fraction
+ */
+export function businessCaseReturns({
+  investment,
+  annualBenefit,
+  annualRunCost = 0,
+  years = BUSINESS_CASE_DEFAULTS.years,
+  discountRate = BUSINESS_CASE_DEFAULTS.discountRate
+}, options = {}) {
+  const { currency = BUSINESS.defaultCurrency } = options;
+  const annualNet = annualBenefit - annualRunCost;
+  const cashFlows = [-investment, ...Array.from({ length: years }, () => annualNet)];
+  const monthlyPayback = paybackPeriod([-investment, ...Array.from({ length: years * 12 }, () => annualNet / 12)]);
+  const returnOnInvestment = roi(annualNet * years, investment);
+  const rate = irr(cashFlows);
+
+  return {
+    currency,
+    cashFlows: cashFlows.map(cashFlow => roundMoney(cashFlow, options)),
+    totalBenefit: roundMoney(annualNet * years, options),
+    roi: returnOnInvestment === null ? null : roundTo(returnOnInvestment, 0),
+    npv: roundMoney(npv(discountRate, cashFlows), options),
+    irr: rate === null ? null : roundTo(rate, 4),
+    paybackMonths: monthlyPayback === null ? null : roundTo(monthlyPayback, 1)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Revenue improvement
+// ---------------------------------------------------------------------------
+
+/**
+ * Current vs optimised revenue when win rate, cycle and deal size improve
+ * (SimplifiedFinancialImpact). Percentages are 0-100. Null without revenue,
+ * deal size and win rate.
+ */
+export function projectRevenueImprovement(inputs, assumptions = REVENUE_IMPROVEMENT_ASSUMPTIONS, options = {}) {
+  const revenue = parseFloat(inputs.currentRevenue) || 0;
+  const dealSize = parseFloat(inputs.averageDealSize) || 0;
+  const cycleLength = parseFloat(inputs.salesCycleLength) || 90;
+  const winRate = (parseFloat(inputs.winRate) || 0) / 100;
+  if (revenue <= 0 || dealSize <= 0 || winRate <= 0) return null;
+
+  const improvedWinRate = Math.min(winRate * assumptions.winRateLift, assumptions.maxWinRate);
+  const improvedCycleLength = cycleLength * (1 - assumptions.cycleReduction);
+  const improvedDealSize = dealSize * assumptions.dealSizeLift;
+
+  const currentMonthlyDeals = (revenue / 12) / dealSize;
+  const improvedMonthlyRevenue = currentMonthlyDeals * improvedDealSize * (improvedWinRate / winRate);
+  const annualImpact = improvedMonthlyRevenue * 12 - revenue;
+
+  const projections = [];
+  for (let month = 0; month <= 12; month++) {
+    projections.push({
+      month: `M${month}`,
+      current: roundMoney((revenue / 12) * month, options),
+      optimized: roundMoney(improvedMonthlyRevenue * month, options)
+    });
+  }
+
+  return {
+    currency: options.currency || BUSINESS.defaultCurrency,
+    currentState: {
+      annualRevenue: revenue,
+      averageDealSize: dealSize,
+      winRate: winRate * 100,
+      salesCycle: cycleLength,
+      monthlyDeals: currentMonthlyDeals
+    },
+    optimizedState: {
+      annualRevenue: roundMoney(revenue + annualImpact, options),
+      averageDealSize: roundMoney(improvedDealSize, options),
+      winRate: improvedWinRate * 100,
+      salesCycle: improvedCycleLength,
+      monthlyDeals: currentMonthlyDeals * (improvedWinRate / winRate)
+    },
+    impact: {
+      revenueIncrease: roundMoney(annualImpact, options),
+      percentageGrowth: (annualImpact / revenue) * 100,
+      dealSizeIncrease: roundMoney(improvedDealSize - dealSize, options),
+      cycleReduction: cycleLength - improvedCycleLength,
+      winRateImprovement: (improvedWinRate - winRate) * 100
+    },
+    projections
+  };
+}
+
+const financialModel = {
+  currencyDecimals,
+  roundTo,
+  roundMoney,
+  formatMoney,
+  currencySymbol,
+  moneyPreferences,
+  fxRate,
+  convertMoney,
+  localizeBenchmark,
+  parseMoneyAmount,
+  npv,
+  irr,
+  paybackPeriod,
+  roi,
+  costOfDelay,
+  cumulativeLossCurve,
+  estimateSegmentRevenue,
+  estimateDealSize,
+  computeCostOfInaction,
+  computeRunRateCost,
+  estimateBusinessCaseInputs,
+  businessCaseReturns,
+  projectRevenueImprovement
+};
+
+export default financialModel;
@@ -0,0 +1,76 @@
+import webhookService from './webhookService';
+import { authService } from './authService';
+
+/**
+ * Resource Version Service
+ * Client for the version history API: the resource-versions Netlify function
+ * in production, the Express webhook server locally.
+ */
+export const resourceVersionService = {
+  versionsUrl(customerId, suffix = '') {
+    const path = `/${encodeURIComponent(customerId)}/versions${suffix}`;
+    if (window.location.hostname === 'platform.andru-ai.com') {
+      return `https://platform.andru-ai.com/.netlify/functions/resource-versions${path}`;
+    }
+    return `http://localhost:3001/api/resources${path}`;
+  },
+
+  async request(url, options = {}) {
+    // The API only answers for the customer whose access token is sent
+    const accessToken = authService.getCurrentSession()?.accessToken;
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken && { 'X-Customer-Token': accessToken }),
+        ...options.headers
+      }
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.success === false) {
+      throw new Error(payload.error || `Version history responded with ${response.status}`);
+    }
+    return payload;
+  },
+
+  /**
+   * @returns {Object} { currentVersionId, pinnedVersionIds, versions } - newest first
+   */
+  async listVersions(customerId) {
+    return this.request(this.versionsUrl(customerId));
+  },
+
+  async getDiff(customerId, fromVersionId, toVersionId) {
+    const params = new URLSearchParams({ from: fromVersionId, to: toVersionId });
+    const { diff } = await this.request(this.versionsUrl(customerId, `/diff?${params}`));
+    return diff;
+  },
+
+  async pinVersion(customerId, versionId, pinned = true) {
+    const { version } = await this.request(this.versionsUrl(customerId, `/${encodeURIComponent(versionId)}/pin`), {
+      method: 'POST',
+      body: JSON.stringify({ pinned })
+    });
+    return version;
+  },
+
+  /**
+   * Make a version current on the server and show its resources in this browser
+   */
+  async restoreVersion(customerId, versionId) {
+    const payload = await this.request(this.versionsUrl(customerId, `/${encodeURIComponent(versionId)}/restore`), {
+      method: 'POST'
+    });
+
+    const resources = webhookService.normalizeStoredResources({ data: { resources: payload.resources } });
+    if (resources) {
+      const sessionId = payload.version.sessionId;
+      localStorage.setItem(`resources_${sessionId}`, JSON.stringify(resources));
+      localStorage.setItem('current_generation_id', sessionId);
+    }
+
+    return payload;
+  }
+};
+
+export default resourceVersionService;
@@ -1,6 +1,26 @@
 import { airtableService } from './airtableService';
 import webResearchService from './webResearchService';
 
+/**
+ * Generation steps reported on the progress stream, in the order the
+ * sequential prompts run them
+ */
+export const GENERATION_STEPS = {
+  pdr: 'Refined product description',
+  persona: 'Target buyer persona',
+  icp: 'Ideal customer profile',
+  negative_persona: 'Negative buyer persona',
+  value_messaging: 'Value messaging',
+  product_potential: 'Product potential assessment',
+  moment_in_life: 'Moment in life',
+  empathy_map: 'Customer empathy map'
+};
+
+const PROGRESS_EVENT_TYPES = ['progress', 'step_completed', 'completed', 'failed'];
+
+// Give up on a silent stream and fall back to polling after this long
+const PROGRESS_STALL_TIMEOUT_MS = 4 * 60 * 1000;
+
 /**
  * Webhook Service for receiving Make.com completion notifications
  * Manages resource generation status and results storage
@@ -10,6 +30,16 @@ class WebhookService {
   constructor() {
     this.generationStatus = {};
     this.completedResources = {};
+    this.progressStreams = {};
+    this.money = null;
+  }
+
+  /**
+   * Currency and locale the session store renders money fields in
+   * (persona income); set from the customer's user preferences
+   */
+  setMoneyPreferences(money) {
+    this.money = money;
   }
 
   /**
@@ -185,8 +215,17 @@ class WebhookService {
       return this.completedResources[sessionId];
     }
     
-    // Skip Netlify function check (stateless functions can't share data) - rely on localStorage
-    console.log('ℹ️ Skipping Netlify function check (stateless limitation) - using localStorage approach');
+    // Check the shared session store next - it's visible to every server/function instance
+    try {
+      const storedResources = await this.fetchStoredResources(sessionId);
+      if (storedResources) {
+        console.log('🗄️ Found resources in session store');
+        this.completedResources[sessionId] = storedResources;
+        return storedResources;
+      }
+    } catch (error) {
+      console.warn('⚠️ Session store unavailable, falling back to localStorage:', error.message);
+    }
     
     // Check localStorage as fallback (but check if it's stale)
     const stored = localStorage.getItem(`resources_${sessionId}`);
@@ -318,6 +357,189 @@ class WebhookService {
     return 'http://localhost:3001/api/webhook/core-resources';
   }
 
+  /**
+   * Endpoint the frontend reads stored resources from
+   */
+  getResourcesUrl(sessionId) {
+    const encodedId = encodeURIComponent(sessionId);
+    const moneyQuery = this.money ? `currency=${encodeURIComponent(this.money.currency)}&locale=${encodeURIComponent(this.money.locale)}` : '';
+    if (window.location.hostname === 'platform.andru-ai.com') {
+      return `https://platform.andru-ai.com/.netlify/functions/get-resources?sessionId=${encodedId}${moneyQuery && `&${moneyQuery}`}`;
+    }
+    return `http://localhost:3001/api/webhook/core-resources/${encodedId}${moneyQuery && `?${moneyQuery}`}`;
+  }
+
+  /**
+   * Fetch resources from the session store behind the webhook endpoints
+   * @returns {Object|null} resources in UI format, or null if not stored yet
+   */
+  async fetchStoredResources(sessionId) {
+    const response = await fetch(this.getResourcesUrl(sessionId));
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Session store responded with ${response.status}`);
+    }
+    return this.normalizeStoredResources(await response.json());
+  }
+
+  /**
+   * Map either endpoint's response onto the UI resource keys
+   */
+  normalizeStoredResources(payload) {
+    // Netlify get-resources returns { resources }, the Express webhook server { data: { resources } }
+    const resources = payload?.resources || payload?.data?.resources;
+    if (!resources) {
+      return null;
+    }
+
+    // Structured ICP/persona resources arrive rendered as { text, format }
+    const withTextContent = (resource) => resource && {
+      ...resource,
+      content: typeof resource.content === 'string' ? resource.content : resource.content?.text || ''
+    };
+
+    // Netlify functions store the UI keys; the webhook server uses persona, empathyMap, productPotential
+    return {
+      icp_analysis: withTextContent(resources.icp_analysis),
+      buyer_personas: withTextContent(resources.buyer_personas || resources.persona),
+      empathy_map: withTextContent(resources.empathy_map || resources.empathyMap),
+      product_assessment: withTextContent(resources.product_assessment || resources.productPotential)
+    };
+  }
+
+  /**
+   * Server-Sent Events endpoint for live generation progress.
+   * Netlify functions can't hold a stream open, so production returns null
+   * and callers poll instead.
+   */
+  getProgressStreamUrl(sessionId) {
+    if (window.location.hostname === 'platform.andru-ai.com') {
+      return null;
+    }
+    return `http://localhost:3001/api/webhook/core-resources/${encodeURIComponent(sessionId)}/stream`;
+  }
+
+  /**
+   * Subscribe to live progress events for a session. The listener receives
+   * { type, step, progress, message, completedSteps }. Besides the server's
+   * event types it gets 'connected' once the stream is open, and
+   * 'unavailable' when it couldn't be opened and the caller should poll.
+   * Subscribers to the same session share one EventSource.
+   * @returns {Function} unsubscribe
+   */
+  subscribeToProgress(sessionId, listener) {
+    const stream = this.progressStreams[sessionId] || this.openProgressStream(sessionId);
+
+    // Deliver asynchronously so callers can hold on to unsubscribe first
+    if (!stream) {
+      Promise.resolve().then(() => listener({ type: 'unavailable', sessionId, completedSteps: [] }));
+      return () => {};
+    }
+
+    stream.listeners.add(listener);
+    const missed = [...stream.events];
+    Promise.resolve().then(() => missed.forEach(event => stream.listeners.has(listener) && listener(event)));
+
+    return () => {
+      stream.listeners.delete(listener);
+      if (stream.listeners.size === 0) {
+        this.closeProgressStream(sessionId);
+      }
+    };
+  }
+
+  openProgressStream(sessionId) {
+    const url = this.getProgressStreamUrl(sessionId);
+    if (!url || typeof EventSource === 'undefined') {
+      return null;
+    }
+
+    const source = new EventSource(url);
+    const stream = { source, listeners: new Set(), events: [], completedSteps: [], opened: false };
+    this.progressStreams[sessionId] = stream;
+
+    const dispatch = (event) => {
+      stream.events.push(event);
+      this.applyProgressEvent(sessionId, event);
+      stream.listeners.forEach(listener => listener(event));
+    };
+
+    source.onopen = () => {
+      if (!stream.opened) {
+        stream.opened = true;
+        dispatch({ type: 'connected', sessionId, completedSteps: [...stream.completedSteps] });
+      }
+    };
+
+    PROGRESS_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          console.warn('⚠️ Ignoring malformed progress event:', message.data);
+          return;
+        }
+
+        if (type === 'step_completed' && !stream.completedSteps.includes(data.step)) {
+          stream.completedSteps.push(data.step);
+        }
+        const totalSteps = Object.keys(GENERATION_STEPS).length;
+        const derivedProgress = Math.min(99, Math.round((stream.completedSteps.length / totalSteps) * 100));
+
+        dispatch({
+          ...data,
+          type,
+          progress: data.progress ?? derivedProgress,
+          message: data.message || (data.step && GENERATION_STEPS[data.step]) || '',
+          completedSteps: [...stream.completedSteps]
+        });
+
+        if (type === 'completed' || type === 'failed') {
+          this.closeProgressStream(sessionId);
+        }
+      });
+    });
+
+    // EventSource reconnects by itself after a drop; if it never connected,
+    // or the server refused the stream, the endpoint isn't there
+    source.onerror = () => {
+      if (!stream.opened || source.readyState === EventSource.CLOSED) {
+        console.log('📡 Progress stream unavailable, falling back to polling');
+        dispatch({ type: 'unavailable', sessionId, completedSteps: [...stream.completedSteps] });
+        this.closeProgressStream(sessionId);
+      }
+    };
+
+    return stream;
+  }
+
+  closeProgressStream(sessionId) {
+    const stream = this.progressStreams[sessionId];
+    if (stream) {
+      stream.source.close();
+      delete this.progressStreams[sessionId];
+    }
+  }
+
+  /**
+   * Mirror streamed progress into the generation status
+   */
+  applyProgressEvent(sessionId, event) {
+    const status = this.generationStatus[sessionId];
+    if (!status) {
+      return;
+    }
+    if (event.type === 'progress' || event.type === 'step_completed') {
+      this.updateProgress(sessionId, event.progress, event.message);
+      status.completedSteps = event.completedSteps;
+    } else if (event.type === 'failed') {
+      status.streamError = event.error || 'Generation failed';
+    }
+  }
+
   /**
    * Direct webhook receiver for client-side storage
    * This bypasses the stateless Netlify function issue
@@ -600,6 +822,76 @@ class WebhookService {
     }
   }
 
+  /**
+   * Wait for generation to finish: follow the progress stream when the
+   * webhook server offers one, and poll only when it doesn't
+   */
+  async waitForCompletion(sessionId, maxAttempts = 60, interval = 15000) {
+    const outcome = await new Promise((resolve) => {
+      let stallTimer = null;
+      let unsubscribe = () => {};
+
+      const finish = (result) => {
+        clearTimeout(stallTimer);
+        unsubscribe();
+        resolve(result);
+      };
+      const resetStallTimer = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => finish('stalled'), PROGRESS_STALL_TIMEOUT_MS);
+      };
+
+      unsubscribe = this.subscribeToProgress(sessionId, (event) => {
+        if (['completed', 'failed', 'unavailable'].includes(event.type)) {
+          finish(event.type);
+        } else {
+          resetStallTimer();
+        }
+      });
+      resetStallTimer();
+    });
+
+    if (outcome === 'completed') {
+      const resources = await this.getResources(sessionId);
+      if (resources) {
+        await this.completeGeneration(sessionId, resources);
+        return resources;
+      }
+      console.warn('⚠️ Stream reported completion but resources are not readable yet, polling instead');
+    }
+
+    if (outcome === 'failed') {
+      console.log('❌ Generation failed upstream - generating realistic resources based on product input');
+      return this.completeWithFallbackResources(sessionId);
+    }
+
+    if (outcome === 'stalled') {
+      console.log('⏰ Progress stream went quiet, switching to polling');
+    }
+    return this.pollForCompletion(sessionId, maxAttempts, interval);
+  }
+
+  /**
+   * Complete the session with product-specific generated resources
+   */
+  async completeWithFallbackResources(sessionId) {
+    // Try to get product data from localStorage for realistic generation
+    const storedProductData = localStorage.getItem('currentProductData');
+    let productData = {};
+    if (storedProductData) {
+      try {
+        productData = JSON.parse(storedProductData);
+      } catch (e) {
+        console.warn('Could not parse stored product data, using defaults');
+      }
+    }
+
+    console.log('🚀 Using Enhanced Fallback System with web research');
+    const enhancedResources = await this.generateEnhancedRealisticResources(productData);
+    await this.completeGeneration(sessionId, enhancedResources);
+    return enhancedResources;
+  }
+
   /**
    * Poll for completion from webhook server
    * Enhanced with localStorage priority and faster fallback
@@ -626,22 +918,7 @@ class WebhookService {
         // This provides a much better user experience with product-specific content
         if (attempts >= Math.min(maxAttempts, 15)) {
           console.log('⏰ Polling timeout after 225 seconds - generating realistic resources based on product input');
-          
-          // Try to get product data from localStorage for realistic generation
-          const storedProductData = localStorage.getItem('currentProductData');
-          let productData = {};
-          if (storedProductData) {
-            try {
-              productData = JSON.parse(storedProductData);
-            } catch (e) {
-              console.warn('Could not parse stored product data, using defaults');
-            }
-          }
-          
-          console.log('🚀 Using Enhanced Fallback System with web research');
-          const enhancedResources = await this.generateEnhancedRealisticResources(productData);
-          await this.completeGeneration(sessionId, enhancedResources);
-          resolve(enhancedResources);
+          resolve(await this.completeWithFallbackResources(sessionId));
           return;
         }
         
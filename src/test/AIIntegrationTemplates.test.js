@@ -259,6 +259,59 @@ describe('AIIntegrationTemplates', () => {
     });
   });
 
+  describe('generateBattlecardPrompts', () => {
+
+    const mockBattlecard = {
+      competitor: 'DataFlow',
+      productName: 'PipelineIQ',
+      positioning: 'Enterprise analytics suite',
+      pricingNotes: '$100K+ annual contracts',
+      strengths: ['Brand recognition'],
+      weaknesses: ['Complex implementation'],
+      record: { wins: 2, losses: 3, total: 5, winRate: 40 },
+      whyWeWin: ['Live in two weeks'],
+      landmines: [{ question: 'How long until your team is live?', exposes: 'Complex implementation' }],
+      objections: [{
+        persona: 'Economic Buyer',
+        role: 'CFO',
+        rebuttals: [{ objection: 'DataFlow has brand recognition.', response: 'Compare time to value.' }]
+      }]
+    };
+
+    test('should build deal, landmine and objection prompts from the battlecard', () => {
+      const result = AIIntegrationTemplates.generateBattlecardPrompts(mockBattlecard);
+
+      expect(result.competitiveDealPrompt).toContain('We sell PipelineIQ and are up against DataFlow');
+      expect(result.competitiveDealPrompt).toContain('2 won / 3 lost (40% win rate)');
+      expect(result.competitiveDealPrompt).toContain('- Live in two weeks');
+      expect(result.landmineDiscoveryPrompt).toContain('How long until your team is live? (exposes: Complex implementation)');
+      expect(result.objectionRebuttalPrompt).toContain('Economic Buyer (CFO):\n- "DataFlow has brand recognition." -> Compare time to value.');
+    });
+
+    test('should keep placeholders the variable replacement fills in', () => {
+      const result = AIIntegrationTemplates.generateBattlecardPrompts(mockBattlecard);
+      const replaced = AIIntegrationTemplates.replacePromptVariables(result.competitiveDealPrompt, { companyName: 'Acme' });
+
+      expect(replaced).toContain('at Acme');
+      expect(replaced).toContain('[PROSPECT_CONTEXT]');
+    });
+
+    test('should mark missing battlecard data as not recorded', () => {
+      const result = AIIntegrationTemplates.generateBattlecardPrompts({ competitor: 'Quiet Co' });
+
+      expect(result.competitiveDealPrompt).toContain('Positioning: Not recorded');
+      expect(result.competitiveDealPrompt).toContain('No deals recorded yet');
+      expect(result.objectionRebuttalPrompt).toContain('- Not yet recorded');
+    });
+
+    test('should fall back to default prompts for null input', () => {
+      const result = AIIntegrationTemplates.generateBattlecardPrompts(null);
+
+      expect(result).toEqual(AIIntegrationTemplates.getDefaultBattlecardPrompts());
+      expect(result.competitiveDealPrompt).toContain('[COMPETITOR]');
+    });
+  });
+
   describe('optimizePromptForAI', () => {
     
     test('should optimize prompt for Claude', () => {
@@ -0,0 +1,221 @@
+/**
+ * @jest-environment node
+ */
+// BusinessCaseDocumentService.test.js - Business case document model and HTML, Word and PDF renderers
+
+import { Packer } from 'docx';
+import {
+  textBlocks,
+  costAnalysisFromProgress,
+  buildBusinessCaseDocument,
+  escapeHtml,
+  businessCaseHtml,
+  businessCaseDocx,
+  businessCasePdf
+} from '../services/BusinessCaseDocumentService';
+import { businessCaseReturns, computeCostOfInaction } from '../services/financialModel';
+import { inputsFromForm } from '../services/CostScenarioService';
+import { BUILT_IN_TEMPLATES } from '../services/BusinessCaseTemplateService';
+
+describe('BusinessCaseDocumentService', () => {
+
+  const formData = {
+    companyName: 'Acme <Corp>',
+    projectTitle: 'Revenue Ops Pilot',
+    requestedAmount: '75000',
+    expectedROI: '250',
+    paybackPeriod: '4',
+    currentChallenges: 'Acme faces critical challenges:\n\n**Market Positioning Challenges:**\n• Long sales cycles\n• Low win rates',
+    timeline: ''
+  };
+  const returns = businessCaseReturns({ investment: 75000, annualBenefit: 262500 });
+  const costInputs = inputsFromForm({
+    currentRevenue: '1200000',
+    targetGrowthRate: '20',
+    averageDealSize: '50000',
+    salesCycleLength: '90',
+    churnRate: '5',
+    timeframe: '12'
+  });
+  const costAnalysis = costAnalysisFromProgress({
+    calculations: computeCostOfInaction(costInputs),
+    scenarios: [{ id: 'expected', name: 'Expected', inputs: costInputs }]
+  });
+  const generatedAt = new Date(2026, 9, 19);
+
+  const buildModel = (overrides = {}) => buildBusinessCaseDocument({
+    formData,
+    template: BUILT_IN_TEMPLATES.pilot,
+    returns,
+    costAnalysis,
+    money: { currency: 'USD', locale: 'en-US' },
+    generatedAt,
+    ...overrides
+  });
+  const section = (model, id) => model.sections.find(candidate => candidate.id === id);
+
+  describe('textBlocks', () => {
+
+    test('should turn builder markup into paragraphs, labels and bullets', () => {
+      expect(textBlocks(formData.currentChallenges)).toEqual([
+        { type: 'paragraph', text: 'Acme faces critical challenges:' },
+        { type: 'subheading', text: 'Market Positioning Challenges' },
+        { type: 'bullets', items: ['Long sales cycles', 'Low win rates'] }
+      ]);
+    });
+
+    test('should use the fallback for empty fields', () => {
+      expect(textBlocks('  ', 'To be defined')).toEqual([{ type: 'paragraph', text: 'To be defined' }]);
+    });
+  });
+
+  describe('costAnalysisFromProgress', () => {
+
+    test('should be null until the calculator has results', () => {
+      expect(costAnalysisFromProgress(null)).toBeNull();
+      expect(costAnalysisFromProgress({ formData: {} })).toBeNull();
+    });
+
+    test('should fall back to the saved form when there are no scenarios', () => {
+      const analysis = costAnalysisFromProgress({ formData: { currentRevenue: '500000' }, calculations: { metrics: {} } });
+      expect(analysis.inputs).toMatchObject({ currentRevenue: 500000, inefficiencyRate: 15 });
+    });
+  });
+
+  describe('buildBusinessCaseDocument', () => {
+
+    test('should have a cover, the core sections and an appendix in order', () => {
+      const model = buildModel();
+
+      expect(model.title).toBe('Business Case: Revenue Ops Pilot');
+      expect(model.cover.details).toEqual([
+        ['Prepared for', 'Acme <Corp>'],
+        ['Template', 'Pilot Program (3-6 months)'],
+        ['Requested Investment', '$75,000'],
+        ['Date', 'October 19, 2026']
+      ]);
+      expect(model.sections.map(({ id }) => id)).toEqual([
+        'executive-summary',
+        'problem-statement',
+        'proposed-solution',
+        'financial-analysis',
+        'implementation-timeline',
+        'risk-assessment',
+        'success-metrics',
+        'appendix-assumptions'
+      ]);
+    });
+
+    test('should summarise returns and the cost of inaction', () => {
+      const summary = section(buildModel(), 'executive-summary').blocks.find(block => block.type === 'keyValue');
+
+      expect(summary.rows).toContainEqual(['Expected ROI', '250%']);
+      expect(summary.rows).toContainEqual(['Payback Period', '4 months']);
+      expect(summary.rows).toContainEqual(['Cost of Inaction', '$400,000']);
+    });
+
+    test('should include cash flow and cost calculator tables', () => {
+      const tables = section(buildModel(), 'financial-analysis').blocks.filter(block => block.type === 'table');
+
+      expect(tables.map(table => table.title)).toEqual([
+        'Investment Returns (3-Year)',
+        'Cost of Inaction (Cost Calculator)',
+        'Impact by Category'
+      ]);
+      expect(tables[0].rows[0]).toEqual(['Year 0 (Investment)', '-$75,000', '-$75,000']);
+      expect(tables[0].rows[3]).toEqual(['Year 3', '$262,500', '$712,500']);
+      expect(tables[1].rows[tables[1].rows.length - 1]).toEqual(['Total Cost of Inaction', '$400,000']);
+    });
+
+    test('should leave out the financial tables it has no data for', () => {
+      const blocks = section(buildModel({ returns: null, costAnalysis: null }), 'financial-analysis').blocks;
+      expect(blocks.some(block => block.type === 'table')).toBe(false);
+    });
+
+    test('should lay out the timeline for the selected template', () => {
+      Object.values(BUILT_IN_TEMPLATES).forEach(template => {
+        const [timeline] = section(buildModel({ template }), 'implementation-timeline').blocks;
+        expect(timeline.title).toBe(`${template.name} Plan (${template.duration})`);
+        expect(timeline.rows.map(([phase]) => phase)).toEqual(template.phases.map(({ name }) => name));
+      });
+    });
+
+    test('should follow the template sections, including custom fields', () => {
+      const model = buildModel({
+        template: BUILT_IN_TEMPLATES.renewalUpsell,
+        formData: { ...formData, renewalDate: '2027-03-31', solutionCosts: '120000' }
+      });
+
+      expect(model.sections.map(({ id }) => id)).toEqual([
+        'executive-summary',
+        'account-review',
+        'expansion-proposal',
+        'financial-analysis',
+        'implementation-timeline',
+        'success-metrics',
+        'appendix-assumptions'
+      ]);
+      expect(section(model, 'account-review').blocks.slice(0, 2)).toEqual([
+        { type: 'subheading', text: 'Renewal Date' },
+        { type: 'paragraph', text: '2027-03-31' }
+      ]);
+      expect(section(model, 'financial-analysis').blocks).toContainEqual({ type: 'paragraph', text: '$120,000' });
+    });
+
+    test('should still include the financial tables and timeline when the template has no financial section', () => {
+      const template = { ...BUILT_IN_TEMPLATES.pilot, sections: BUILT_IN_TEMPLATES.pilot.sections.slice(0, 1) };
+      const ids = buildModel({ template }).sections.map(({ id }) => id);
+
+      expect(ids).toEqual(['executive-summary', 'problem-statement', 'financial-analysis', 'implementation-timeline', 'appendix-assumptions']);
+    });
+
+    test('should state currency, horizon and cost inputs in the appendix', () => {
+      const [assumptions, inputs] = section(buildModel(), 'appendix-assumptions').blocks;
+
+      expect(assumptions.rows).toContainEqual(['Reporting Currency', 'USD (en-US)']);
+      expect(assumptions.rows).toContainEqual(['Discount Rate', '10%']);
+      expect(assumptions.rows.some(([label]) => label === 'Exchange Rate')).toBe(false);
+      expect(inputs.rows).toContainEqual(['Churn Rate', '5%']);
+    });
+
+    test('should format in the customer currency and note the FX rate', () => {
+      const model = buildModel({ money: { currency: 'EUR', locale: 'de-DE' } });
+      const [assumptions] = section(model, 'appendix-assumptions').blocks;
+
+      expect(model.cover.details).toContainEqual(['Requested Investment', '75.000\u00a0€']);
+      expect(assumptions.rows).toContainEqual(['Exchange Rate', '1 USD = 0.86 EUR (offline table as of 2026-10-01)']);
+    });
+  });
+
+  describe('renderers', () => {
+
+    test('should escape form input in the HTML preview', () => {
+      const html = businessCaseHtml(buildModel({
+        formData: { ...formData, solutionOverview: '<img src=x onerror="alert(1)">' }
+      }));
+
+      expect(html).toContain('Acme &lt;Corp&gt;');
+      expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+      expect(html).not.toContain('<img');
+      expect(html).toContain('<th>Key Activities</th>');
+      expect(escapeHtml("O'Brien & Co")).toBe('O&#39;Brien &amp; Co');
+    });
+
+    test('should package a Word document', async () => {
+      const buffer = await Packer.toBuffer(businessCaseDocx(buildModel()));
+      expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    test('should paginate the PDF with the cover on its own page', () => {
+      const pdf = businessCasePdf(buildModel({
+        formData: { ...formData, keyFeatures: Array.from({ length: 80 }, (_, index) => `• Feature ${index + 1}`).join('\n') }
+      }));
+
+      expect(pdf.getNumberOfPages()).toBeGreaterThan(3);
+      const output = pdf.output();
+      expect(output).toContain('Revenue Ops Pilot');
+      expect(output).toContain('Feature 80');
+      expect(output).toContain(`Page 1 of ${pdf.getNumberOfPages() - 1}`);
+    });
+  });
+});
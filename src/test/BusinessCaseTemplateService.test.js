@@ -0,0 +1,256 @@
+// BusinessCaseTemplateService.test.js - Business case template schema, editing and JSON import/export
+
+import {
+  BUILT_IN_TEMPLATES,
+  TEMPLATE_FILE_FORMAT,
+  templateFieldKeys,
+  autoPopulateSources,
+  shouldAutoPopulate,
+  missingRequiredFields,
+  validateTemplate,
+  cloneTemplate,
+  addSection,
+  removeSection,
+  moveSection,
+  addField,
+  addCustomField,
+  removeField,
+  toggleRequired,
+  toggleAutoPopulateSource,
+  mergeTemplates,
+  findTemplate,
+  exportTemplates,
+  importTemplates
+} from '../services/BusinessCaseTemplateService';
+
+describe('BusinessCaseTemplateService', () => {
+
+  const pilot = BUILT_IN_TEMPLATES.pilot;
+  const security = BUILT_IN_TEMPLATES.securityReview;
+
+  describe('built-in templates', () => {
+
+    test('should all pass validation', () => {
+      Object.values(BUILT_IN_TEMPLATES).forEach(template => {
+        expect(validateTemplate(template)).toEqual([]);
+      });
+    });
+
+    test('should include the procurement-heavy cases', () => {
+      expect(Object.keys(BUILT_IN_TEMPLATES)).toEqual(
+        expect.arrayContaining(['securityReview', 'renewalUpsell', 'competitiveDisplacement'])
+      );
+      expect(templateFieldKeys(security)).toEqual(expect.arrayContaining(['securityRequirements', 'complianceFrameworks']));
+    });
+  });
+
+  describe('fields', () => {
+
+    test('should list core fields first, then section fields in order', () => {
+      expect(templateFieldKeys(pilot).slice(0, 6)).toEqual([
+        'companyName', 'projectTitle', 'requestedAmount', 'expectedROI', 'currentChallenges', 'businessImpact'
+      ]);
+    });
+
+    test('should only auto-fill fields the template shows, from the sources it allows', () => {
+      expect(autoPopulateSources(pilot, 'businessImpact')).toEqual(['icp', 'costCalculator']);
+      expect(autoPopulateSources(security, 'currentChallenges')).toEqual(['icp', 'businessCase']);
+      expect(shouldAutoPopulate(security, 'successMetrics')).toBe(false);
+      expect(shouldAutoPopulate(pilot, 'projectTitle')).toBe(true);
+      expect(autoPopulateSources(pilot, 'securityRequirements')).toEqual([]);
+    });
+
+    test('should report empty required fields by label', () => {
+      const missing = missingRequiredFields(security, {
+        companyName: 'Acme',
+        projectTitle: 'Security review',
+        requestedAmount: '50000',
+        securityRequirements: '  '
+      });
+
+      expect(missing).toEqual([
+        { key: 'securityRequirements', label: 'Security Requirements' },
+        { key: 'complianceFrameworks', label: 'Compliance Frameworks' },
+        { key: 'dataHandling', label: 'Data Handling & Residency' }
+      ]);
+    });
+  });
+
+  describe('validateTemplate', () => {
+
+    test('should reject unknown fields, bad sources and required fields outside the sections', () => {
+      const errors = validateTemplate({
+        ...pilot,
+        sections: [{ id: 'problem', title: 'Problem', fields: ['currentChallenges', 'madeUp'] }],
+        requiredFields: ['companyName', 'successMetrics'],
+        autoPopulate: { currentChallenges: ['crm'] }
+      });
+
+      expect(errors).toEqual([
+        'Problem: unknown field "madeUp"',
+        'Required field "successMetrics" is not in any section',
+        'Auto-fill sources for "currentChallenges" must be from icp, costCalculator, businessCase'
+      ]);
+    });
+
+    test('should reject custom fields that shadow standard ones or have no label', () => {
+      const errors = validateTemplate({
+        ...security,
+        customFields: { ...security.customFields, keyFeatures: { label: 'Features', type: 'textarea' }, notes: { type: 'rich' } },
+        sections: [...security.sections, { id: 'notes', title: 'Notes', fields: ['notes'] }]
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Custom field "keyFeatures" clashes with a standard field',
+        'Custom field "notes" needs a label',
+        'Custom field "notes" type must be one of text, textarea, number, currency'
+      ]));
+    });
+
+    test('should reject auto-fill on custom fields and missing phases', () => {
+      const errors = validateTemplate({ ...security, autoPopulate: { dataHandling: ['icp'] }, phases: [] });
+
+      expect(errors).toEqual([
+        'Auto-fill is only available for standard fields, not "dataHandling"',
+        'phases must list at least one phase'
+      ]);
+    });
+
+    test('should reject non-objects outright', () => {
+      expect(validateTemplate(null)).toEqual(['Template must be an object']);
+      expect(validateTemplate([])).toEqual(['Template must be an object']);
+    });
+  });
+
+  describe('editing', () => {
+
+    test('should clone under a new id without touching the original', () => {
+      const copy = cloneTemplate(pilot, 'EMEA Pilot', []);
+      copy.sections[0].fields.push('measurementPlan');
+
+      expect(copy.id).toBe('emeaPilot');
+      expect(copy.name).toBe('EMEA Pilot');
+      expect(pilot.sections[0].fields).not.toContain('measurementPlan');
+      expect(cloneTemplate(pilot, 'EMEA Pilot', [copy]).id).toBe('emeaPilot2');
+      expect(cloneTemplate(pilot, 'Pilot', []).id).toBe('pilot2');
+    });
+
+    test('should add and remove sections and fields', () => {
+      let template = addSection(cloneTemplate(pilot, 'Custom', []), 'Legal Review');
+      template = addCustomField(template, 'legalReview', { label: 'Contract Terms', type: 'textarea' });
+      template = addField(template, 'legalReview', 'keyFeatures');
+      expect(template.sections[template.sections.length - 1].fields).toEqual(['contractTerms']);
+
+      template = toggleRequired(template, 'contractTerms');
+      expect(validateTemplate(template)).toEqual([]);
+
+      template = removeSection(template, 'legalReview');
+      expect(template.customFields).toEqual({});
+      expect(template.requiredFields).not.toContain('contractTerms');
+    });
+
+    test('should drop required and auto-fill settings with a removed field', () => {
+      const template = removeField(pilot, 'currentChallenges');
+
+      expect(templateFieldKeys(template)).not.toContain('currentChallenges');
+      expect(template.requiredFields).not.toContain('currentChallenges');
+      expect(template.autoPopulate).not.toHaveProperty('currentChallenges');
+    });
+
+    test('should move sections within bounds', () => {
+      const moved = moveSection(pilot, 'proposedSolution', -1);
+      expect(moved.sections.map(({ id }) => id).slice(0, 2)).toEqual(['proposedSolution', 'problemStatement']);
+      expect(moveSection(pilot, 'problemStatement', -1)).toBe(pilot);
+    });
+
+    test('should stop auto-filling a field once its last source is switched off', () => {
+      let template = toggleAutoPopulateSource(pilot, 'implementationApproach', 'icp');
+      expect(template.autoPopulate.implementationApproach).toEqual(['businessCase', 'icp']);
+
+      template = toggleAutoPopulateSource(pilot, 'implementationApproach', 'businessCase');
+      expect(shouldAutoPopulate(template, 'implementationApproach')).toBe(false);
+    });
+  });
+
+  describe('mergeTemplates', () => {
+
+    test('should put built-ins first and skip invalid or clashing custom templates', () => {
+      const custom = cloneTemplate(pilot, 'Partner Pilot', []);
+      const merged = mergeTemplates([custom, { ...custom, id: 'broken', phases: [] }, { ...custom, id: 'pilot' }]);
+
+      expect(merged.filter(template => !template.builtIn).map(({ id }) => id)).toEqual(['partnerPilot']);
+      expect(merged[0]).toMatchObject({ id: 'pilot', builtIn: true });
+      expect(findTemplate(merged, 'partnerPilot').name).toBe('Partner Pilot');
+      expect(findTemplate(merged, 'deleted').id).toBe('pilot');
+    });
+  });
+
+  describe('JSON import/export', () => {
+
+    test('should round-trip templates through an export file', () => {
+      const custom = cloneTemplate(security, 'Bank Security Review', []);
+      const json = exportTemplates([{ ...custom, builtIn: false }], new Date('2026-10-19T00:00:00Z'));
+      const file = JSON.parse(json);
+
+      expect(file).toMatchObject({ format: TEMPLATE_FILE_FORMAT, version: 1, exportedAt: '2026-10-19T00:00:00.000Z' });
+      expect(file.templates[0]).not.toHaveProperty('builtIn');
+
+      const { imported, rejected } = importTemplates(json, []);
+      expect(rejected).toEqual([]);
+      expect(imported).toEqual([custom]);
+    });
+
+    test('should rename templates whose id is taken and report invalid ones', () => {
+      const custom = cloneTemplate(pilot, 'Partner Pilot', []);
+      const json = exportTemplates([custom, { ...custom, id: 'other', name: 'Broken', sections: [] }]);
+      const { imported, rejected } = importTemplates(json, [custom]);
+
+      expect(imported.map(({ id }) => id)).toEqual(['partnerPilot2']);
+      expect(rejected).toEqual([{ name: 'Broken', errors: ['sections must list at least one section', 'Required field "currentChallenges" is not in any section', 'Required field "successMetrics" is not in any section'] }]);
+    });
+
+    test('should not treat Object.prototype names as known fields or sources', () => {
+      const json = JSON.stringify({
+        ...pilot,
+        id: 'prototypeNames',
+        sections: [{ id: 'problem', title: 'Problem', fields: ['currentChallenges', 'constructor', 'toString'] }],
+        requiredFields: ['companyName'],
+        autoPopulate: { currentChallenges: ['constructor'], toString: ['icp'] }
+      });
+      const { imported, rejected } = importTemplates(json, []);
+
+      expect(imported).toEqual([]);
+      expect(rejected[0].errors).toEqual([
+        'Problem: unknown field "constructor"',
+        'Problem: unknown field "toString"',
+        'Auto-fill sources for "currentChallenges" must be from icp, costCalculator, businessCase',
+        'Auto-fill is only available for standard fields, not "toString"'
+      ]);
+    });
+
+    test('should accept custom fields named after Object.prototype members', () => {
+      const json = JSON.stringify({
+        ...pilot,
+        id: 'prototypeCustom',
+        customFields: { constructor: { label: 'Constructor', type: 'text' } },
+        sections: [...pilot.sections, { id: 'build', title: 'Build', fields: ['constructor'] }]
+      });
+      const { imported, rejected } = importTemplates(json, []);
+
+      expect(rejected).toEqual([]);
+      expect(templateFieldKeys(imported[0])).toContain('constructor');
+    });
+
+    test('should accept a single template object', () => {
+      const { imported } = importTemplates(JSON.stringify(BUILT_IN_TEMPLATES.expansion), []);
+      expect(imported[0]).toMatchObject({ id: 'expansionPhase', name: 'Expansion Phase' });
+    });
+
+    test('should throw for files that are not template exports', () => {
+      expect(() => importTemplates('{nope', [])).toThrow('Template file is not valid JSON');
+      expect(() => importTemplates('{"rows": []}', [])).toThrow('File is not a business case template export');
+      expect(() => importTemplates(JSON.stringify({ format: TEMPLATE_FILE_FORMAT, version: 9, templates: [] }), []))
+        .toThrow('Template file version 9 is newer than this app supports');
+    });
+  });
+});
@@ -95,6 +95,14 @@ describe('CRMIntegrationService', () => {
       const financialImpactProperty = result.dealProperties.find(prop => prop.name === 'financial_impact_projection');
       expect(financialImpactProperty).toBeDefined();
       expect(financialImpactProperty.type).toBe('number');
+      expect(financialImpactProperty.description).toContain('(USD)');
+    });
+
+    test('should label money properties with the customer currency', () => {
+      const result = CRMIntegrationService.generateHubSpotProperties(mockICPData, mockAssessmentData, 'GBP');
+
+      const costOfInaction = result.dealProperties.find(prop => prop.name === 'cost_of_inaction');
+      expect(costOfInaction.description).toBe('Calculated monthly cost of inaction from H&S analysis (GBP)');
     });
 
     test('should generate property groups', () => {
@@ -259,6 +267,13 @@ describe('CRMIntegrationService', () => {
       expect(financialField.currency).toBe('USD');
     });
 
+    test('should put monetary fields in the customer currency', () => {
+      const result = CRMIntegrationService.generatePipedriveData(mockICPData, mockAssessmentData, 'EUR');
+
+      const monetaryFields = result.customFields.filter(field => field.field_type === 'monetary');
+      expect(monetaryFields.map(field => field.currency)).toEqual(['EUR', 'EUR']);
+    });
+
     test('should generate activity types', () => {
       const result = CRMIntegrationService.generatePipedriveData(mockICPData, mockAssessmentData);
       
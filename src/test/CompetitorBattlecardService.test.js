@@ -0,0 +1,191 @@
+/**
+ * @jest-environment node
+ */
+// CompetitorBattlecardService.test.js - Competitor model, research import and battlecard generation
+
+import {
+  DEFAULT_PERSONAS,
+  toList,
+  createCompetitor,
+  validateCompetitor,
+  winLossSummary,
+  threatLevel,
+  competitorAlerts,
+  importResearchedCompetitors,
+  generateBattlecard,
+  battlecardDocument
+} from '../services/CompetitorBattlecardService';
+import { businessCasePdf } from '../services/BusinessCaseDocumentService';
+
+describe('CompetitorBattlecardService', () => {
+
+  const record = (outcome, reason, dealName = 'Deal') => ({ outcome, reason, dealName, date: '2026-09-01' });
+
+  const dataFlow = createCompetitor({
+    name: 'DataFlow',
+    positioning: 'Enterprise analytics suite',
+    pricingNotes: '$100K+ annual contracts',
+    strengths: 'Enterprise features, Brand recognition',
+    weaknesses: ['High price point', 'Complex implementation', 'Poor SMB support'],
+    winLoss: [
+      record('won', 'Faster implementation', 'Acme'),
+      record('won', 'faster implementation', 'Globex'),
+      record('lost', 'Brand recognition', 'Initech'),
+      record('lost', 'Existing Microsoft contract', 'Umbrella'),
+      record('lost', 'Brand recognition', 'Hooli')
+    ]
+  }, []);
+
+  describe('competitor model', () => {
+
+    test('should normalise fields and keep ids unique', () => {
+      expect(dataFlow).toMatchObject({
+        id: 'dataflow',
+        strengths: ['Enterprise features', 'Brand recognition'],
+        source: 'manual'
+      });
+      expect(createCompetitor({ name: 'Data Flow!' }, [dataFlow, { id: 'data-flow' }]).id).toBe('data-flow-2');
+      expect(toList(' a, b\nb ;c ')).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should require a unique name and valid outcomes', () => {
+      expect(validateCompetitor(dataFlow, [dataFlow])).toEqual([]);
+      expect(validateCompetitor({ ...createCompetitor({ name: 'dataflow' }, [dataFlow]) }, [dataFlow]))
+        .toEqual(['A competitor named "dataflow" already exists']);
+      expect(validateCompetitor({ name: ' ', winLoss: [{ outcome: 'tie' }] })).toEqual([
+        'Competitor name is required',
+        'Deal 1: outcome must be won or lost'
+      ]);
+      expect(validateCompetitor(null)).toEqual(['Competitor must be an object']);
+    });
+  });
+
+  describe('win/loss', () => {
+
+    test('should summarise the record and group reasons case-insensitively', () => {
+      const summary = winLossSummary(dataFlow);
+
+      expect(summary).toMatchObject({ wins: 2, losses: 3, total: 5, winRate: 40 });
+      expect(summary.winReasons).toEqual([{ reason: 'Faster implementation', count: 2 }]);
+      expect(summary.lossReasons[0]).toEqual({ reason: 'Brand recognition', count: 2 });
+      expect(winLossSummary({}).winRate).toBeNull();
+    });
+
+    test('should only rate threat and alert once there are enough deals', () => {
+      const newcomer = createCompetitor({ name: 'Newcomer', winLoss: [record('lost', 'Price')] });
+
+      expect(threatLevel(dataFlow)).toBe('medium');
+      expect(threatLevel(newcomer)).toBe('unknown');
+      expect(competitorAlerts([dataFlow, newcomer])).toEqual([{
+        id: 'winrate_dataflow',
+        competitorId: 'dataflow',
+        severity: 'medium',
+        message: 'Win rate against DataFlow is 40% (2/5)',
+        action_required: 'Counter the top loss reason: Brand recognition'
+      }]);
+    });
+  });
+
+  describe('importResearchedCompetitors', () => {
+
+    const research = {
+      topCompetitors: ['Market Leader A', 'DataFlow'],
+      marketPositioning: 'Premium market segment with enterprise focus',
+      pricingIndicators: '$10-100 per user per month'
+    };
+
+    test('should add new competitors with the research positioning and pricing', () => {
+      const { competitors, added, updated } = importResearchedCompetitors(research, [dataFlow]);
+
+      expect(added).toEqual(['Market Leader A']);
+      expect(updated).toEqual([]);
+      expect(competitors[1]).toMatchObject({
+        id: 'market-leader-a',
+        positioning: 'Premium market segment with enterprise focus',
+        pricingNotes: '$10-100 per user per month',
+        source: 'research'
+      });
+      expect(competitors[0]).toBe(dataFlow);
+    });
+
+    test('should fill gaps on tracked competitors without overwriting them', () => {
+      const bare = createCompetitor({ name: 'DataFlow', pricingNotes: 'Per seat' });
+      const { competitors, updated } = importResearchedCompetitors({ type: 'competitor_analysis', data: research }, [bare]);
+
+      expect(updated).toEqual(['DataFlow']);
+      expect(competitors[0]).toMatchObject({ positioning: research.marketPositioning, pricingNotes: 'Per seat' });
+    });
+
+    test('should accept orchestrated research and reject anything else', () => {
+      expect(importResearchedCompetitors({ data: { competitor_analysis: research } }).added).toHaveLength(2);
+      expect(() => importResearchedCompetitors({ type: 'competitor_analysis', data: null })).toThrow('No competitor research to import');
+    });
+  });
+
+  describe('generateBattlecard', () => {
+
+    const battlecard = generateBattlecard(dataFlow, {
+      productName: 'PipelineIQ',
+      differentiators: 'Live in two weeks',
+      generatedAt: new Date('2026-10-19T00:00:00Z')
+    });
+
+    test('should lead why-we-win with differentiators, then win reasons and weaknesses', () => {
+      expect(battlecard.whyWeWin).toEqual([
+        'PipelineIQ: Live in two weeks',
+        'Deals won against DataFlow cite faster implementation (2 deals)',
+        'We win when the buyer weighs DataFlow\'s high price point',
+        'We win when the buyer weighs DataFlow\'s complex implementation',
+        'We win when the buyer weighs DataFlow\'s poor SMB support'
+      ]);
+    });
+
+    test('should aim landmine questions at weaknesses and loss reasons', () => {
+      const exposes = battlecard.landmines.map(landmine => landmine.exposes);
+
+      expect(exposes).toEqual([
+        'High price point',
+        'Complex implementation',
+        'Poor SMB support',
+        'Lost on: Brand recognition',
+        'Lost on: Existing Microsoft contract'
+      ]);
+      expect(battlecard.landmines[0].question).toMatch(/cost at the usage you expect/);
+    });
+
+    test('should rebut every strength for every persona with the weakness that persona cares about', () => {
+      expect(battlecard.objections.map(({ personaId }) => personaId)).toEqual(DEFAULT_PERSONAS.map(({ id }) => id));
+
+      const [economic, technical, champion] = battlecard.objections;
+      expect(economic.rebuttals.map(({ objection }) => objection)).toEqual([
+        'DataFlow has enterprise features.',
+        'DataFlow has brand recognition.'
+      ]);
+      expect(economic.rebuttals[0].response).toContain('DataFlow\'s high price point');
+      expect(technical.rebuttals[0].response).toContain('DataFlow\'s complex implementation');
+      expect(champion.rebuttals[0].response).toContain('DataFlow\'s poor SMB support');
+    });
+
+    test('should still produce a usable card for a bare competitor', () => {
+      const bare = generateBattlecard(createCompetitor({ name: 'Quiet Co' }));
+
+      expect(bare.productName).toBe('Our solution');
+      expect(bare.threatLevel).toBe('unknown');
+      expect(bare.whyWeWin).toEqual(['Record wins and weaknesses against Quiet Co to build win themes']);
+      expect(bare.landmines).toEqual([]);
+      expect(bare.objections[0].rebuttals).toEqual([]);
+    });
+
+    test('should render as a document and a PDF', () => {
+      const model = battlecardDocument(battlecard);
+
+      expect(model.title).toBe('Battlecard: DataFlow');
+      expect(model.sections.map(({ id }) => id)).toEqual(['overview', 'why-we-win', 'landmines', 'objections']);
+      expect(model.sections[0].blocks[0].rows).toContainEqual(['Record', '2 won / 3 lost (40% win rate)']);
+
+      const output = businessCasePdf(model).output();
+      expect(output).toContain('PipelineIQ vs DataFlow');
+      expect(output).toContain('Landmine Questions');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// CostScenarioService.test.js - Cost of inaction scenarios, sensitivity and Monte Carlo ranges
+
+import {
+  inputsFromForm,
+  computeCostOfInaction,
+  createDefaultScenarios,
+  cloneScenario,
+  defaultRanges,
+  tornadoSensitivity,
+  runMonteCarlo,
+  percentile,
+  scenarioReportLines
+} from '../services/CostScenarioService';
+
+describe('CostScenarioService', () => {
+
+  const formData = {
+    currentRevenue: '1200000',
+    targetGrowthRate: '20',
+    averageDealSize: '50000',
+    salesCycleLength: '90',
+    conversionRate: '15',
+    churnRate: '5',
+    timeframe: '12'
+  };
+  const inputs = inputsFromForm(formData);
+
+  describe('computeCostOfInaction', () => {
+
+    test('should reproduce the calculator point estimate with default assumptions', () => {
+      expect(inputs).toMatchObject({ inefficiencyRate: 15, baselineCycleDays: 60, delayCostRate: 2 });
+
+      const result = computeCostOfInaction(inputs);
+      expect(result.metrics).toEqual({
+        missedGrowthRevenue: 130000,
+        inefficiencyLoss: 180000,
+        churnImpact: 60000,
+        salesCycleCost: 30000
+      });
+      expect(result.totalCostOfInaction).toBe(400000);
+      expect(result.monthlyImpact).toBe(33333);
+      expect(result.projections).toHaveLength(12);
+    });
+
+    test('should use the assumption inputs instead of fixed factors', () => {
+      const result = computeCostOfInaction({ ...inputs, inefficiencyRate: 5, baselineCycleDays: 90 });
+      expect(result.metrics.inefficiencyLoss).toBe(60000);
+      expect(result.metrics.salesCycleCost).toBe(0);
+    });
+  });
+
+  describe('scenarios', () => {
+
+    test('should build conservative, expected and aggressive cases around the inputs', () => {
+      const scenarios = createDefaultScenarios(inputs);
+
+      expect(scenarios.map(scenario => scenario.id)).toEqual(['conservative', 'expected', 'aggressive']);
+      expect(scenarios[1].inputs).toEqual(inputs);
+      expect(scenarios[0].inputs).toMatchObject({ churnRate: 2.5, targetGrowthRate: 10, currentRevenue: 1200000 });
+      expect(scenarios[2].inputs).toMatchObject({ churnRate: 7.5, delayCostRate: 3 });
+    });
+
+    test('should clone a scenario under a unique id', () => {
+      const scenarios = createDefaultScenarios(inputs);
+      const first = cloneScenario(scenarios[1], 'Churn halved', scenarios);
+      const second = cloneScenario(scenarios[1], 'Churn Halved', [...scenarios, first]);
+
+      expect(first.id).toBe('churn-halved');
+      expect(second.id).toBe('churn-halved-2');
+      first.inputs.churnRate = 2.5;
+      expect(scenarios[1].inputs.churnRate).toBe(5);
+    });
+  });
+
+  describe('tornadoSensitivity', () => {
+
+    test('should rank inputs by how far they swing the total', () => {
+      const { baseline, drivers } = tornadoSensitivity(inputs, defaultRanges(inputs));
+
+      expect(baseline).toBe(400000);
+      expect(drivers[0].key).toBe('currentRevenue');
+      drivers.forEach(driver => {
+        expect(driver.lowTotal).toBeLessThanOrEqual(baseline);
+        expect(driver.highTotal).toBeGreaterThanOrEqual(baseline);
+      });
+      const swings = drivers.map(driver => driver.swing);
+      expect(swings).toEqual([...swings].sort((a, b) => b - a));
+    });
+
+    test('should leave out inputs without a range or without any effect', () => {
+      const { drivers } = tornadoSensitivity(inputs, {
+        churnRate: { min: 2, max: 10 },
+        conversionRate: { min: 5, max: 30 }
+      });
+
+      expect(drivers).toEqual([
+        { key: 'churnRate', label: 'Churn Rate', min: 2, max: 10, lowTotal: 364000, highTotal: 460000, swing: 96000 }
+      ]);
+    });
+  });
+
+  describe('runMonteCarlo', () => {
+
+    test('should give ordered percentiles that are repeatable for a seed', () => {
+      const ranges = defaultRanges(inputs);
+      const first = runMonteCarlo(inputs, ranges, { iterations: 500, seed: 7 });
+      const second = runMonteCarlo(inputs, ranges, { iterations: 500, seed: 7 });
+
+      expect(second).toEqual(first);
+      expect(first.min).toBeLessThanOrEqual(first.p10);
+      expect(first.p10).toBeLessThan(first.p50);
+      expect(first.p50).toBeLessThan(first.p90);
+      expect(first.p90).toBeLessThanOrEqual(first.max);
+    });
+
+    test('should collapse to the point estimate when no input is ranged', () => {
+      expect(runMonteCarlo(inputs, {}, { iterations: 10 })).toMatchObject({ p10: 400000, p50: 400000, p90: 400000 });
+    });
+
+    test('should interpolate between sorted values', () => {
+      expect(percentile([10, 20, 30, 40, 50], 0.5)).toBe(30);
+      expect(percentile([10, 20], 0.1)).toBe(11);
+    });
+  });
+
+  test('should summarise scenarios, drivers and ranges for exports', () => {
+    const scenarios = createDefaultScenarios(inputs);
+    const lines = scenarioReportLines({
+      scenarios,
+      sensitivity: tornadoSensitivity(inputs, { churnRate: { min: 2, max: 10 } }),
+      simulation: { iterations: 2000, p10: 350000, p50: 400000, p90: 470000 }
+    });
+
+    expect(lines).toContain('- Expected: $400,000 (growth 20%, churn 5%, inefficiency 15%)');
+    expect(lines).toContain('- Churn Rate (2% to 10%): $364,000 - $460,000');
+    expect(lines).toContain('- P90: $470,000');
+  });
+});
@@ -0,0 +1,209 @@
+// FeatureValueMappingService.test.js - Parsed features to ICP pains, persona goals, value chains and coverage
+
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import FeatureValueMatrix from '../components/tools/FeatureValueMatrix';
+import {
+  VALUE_MAPPING_VERSION,
+  keywordsOf,
+  themesOf,
+  splitItems,
+  extractTargets,
+  featureThemes,
+  matchScore,
+  industryKey,
+  buildValueChain,
+  mapFeaturesToValue
+} from '../services/FeatureValueMappingService';
+
+const RESOURCES = {
+  icp_analysis: {
+    industry_verticals: 'SaaS, Technology, Financial Services',
+    pain_points: 'Manual lead qualification, poor pipeline visibility, failed compliance audits',
+    goals_objectives: '<ul><li>Increase win rates</li><li>Shorten the sales cycle</li></ul>'
+  },
+  buyer_personas: {
+    persona_name: 'Sarah Chen',
+    pain_points: '- Manual lead qualification\n- Disconnected CRM data',
+    goals_and_objectives: 'Hit quarterly quota; Build a predictable pipeline'
+  },
+  empathy_map: {
+    pains_and_frustrations: 'Hours lost to spreadsheet reporting'
+  }
+};
+
+const FEATURES = [
+  { id: 'feature_0', text: 'AI lead scoring and qualification', category: 'core', icpImpact: 9 },
+  { id: 'feature_1', text: 'Real-time pipeline dashboard', category: 'business', icpImpact: 8 },
+  { id: 'feature_2', text: 'Native Salesforce and HubSpot integration', category: 'integration', icpImpact: 7 },
+  { id: 'feature_3', text: 'Dark mode', category: 'user', icpImpact: 2 }
+];
+
+const markupOf = element => {
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  flushSync(() => root.render(element));
+  const markup = container.innerHTML;
+  root.unmount();
+  return markup;
+};
+
+describe('FeatureValueMappingService', () => {
+
+  describe('text handling', () => {
+
+    test('should split comma lists, bullets, semicolons and HTML lists into items', () => {
+      expect(splitItems('Manual processes, data silos; slow reporting')).toEqual(['Manual processes', 'data silos', 'slow reporting']);
+      expect(splitItems('- Missed quota\n• Churn\n1. Low adoption.')).toEqual(['Missed quota', 'Churn', 'Low adoption']);
+      expect(splitItems('<ul><li>Increase win rates</li><li>Shorten cycles</li></ul>')).toEqual(['Increase win rates', 'Shorten cycles']);
+      expect(splitItems(['Audits', 'No SSO'])).toEqual(['Audits', 'No SSO']);
+      expect(splitItems(null)).toEqual([]);
+    });
+
+    test('should stem keywords and drop stopwords', () => {
+      expect(keywordsOf('Improve the sales dashboards and processes')).toEqual(['sale', 'dashboard', 'process']);
+      expect(keywordsOf('Tracking leads')).toEqual(['track', 'lead']);
+    });
+
+    test('should give each keyword its most specific theme', () => {
+      expect(themesOf(keywordsOf('Salesforce sync'))).toEqual(['integration']);
+      expect(themesOf(keywordsOf('Sales cycle velocity'))).toEqual(['revenue']);
+      expect(themesOf(keywordsOf('SOC2 audit trail'))).toEqual(['compliance']);
+    });
+
+    test('should fall back to the parser category when a feature has no theme words', () => {
+      expect(featureThemes({ text: 'Dark mode', category: 'user' })).toEqual(['adoption']);
+      expect(featureThemes({ text: 'Dark mode', category: 'unknown' })).toEqual([]);
+    });
+
+    test('should recognise industries the translation service has context for', () => {
+      expect(industryKey('SaaS, Technology, Financial Services')).toBe('fintech');
+      expect(industryKey('Hospital networks')).toBe('healthcare');
+      expect(industryKey('Retail')).toBeUndefined();
+    });
+  });
+
+  describe('extractTargets', () => {
+
+    test('should collect pains and goals from the ICP, persona and empathy map', () => {
+      const targets = extractTargets(RESOURCES);
+
+      expect(targets.filter(target => target.type === 'pain').map(target => target.text)).toEqual([
+        'Manual lead qualification',
+        'poor pipeline visibility',
+        'failed compliance audits',
+        'Disconnected CRM data',
+        'Hours lost to spreadsheet reporting'
+      ]);
+      expect(targets.filter(target => target.type === 'goal').map(target => target.id)).toEqual(['goal_1', 'goal_2', 'goal_3', 'goal_4']);
+    });
+
+    test('should merge repeated pains and keep every source', () => {
+      const [first] = extractTargets(RESOURCES);
+
+      expect(first).toMatchObject({ id: 'pain_1', text: 'Manual lead qualification', sources: ['ICP', 'Persona: Sarah Chen'] });
+    });
+
+    test('should read fields nested under sections and ignore missing resources', () => {
+      expect(extractTargets({ icp_analysis: { sections: { pain_points: 'Slow onboarding' } } }).map(({ text }) => text))
+        .toEqual(['Slow onboarding']);
+      expect(extractTargets(null)).toEqual([]);
+    });
+  });
+
+  describe('matchScore', () => {
+
+    test('should score shared themes above shared words', () => {
+      const [target] = extractTargets({ icp_analysis: { pain_points: 'Manual lead qualification' } });
+      const match = matchScore(FEATURES[0], target);
+
+      expect(match.sharedThemes).toEqual(['pipeline']);
+      expect(match.sharedKeywords).toEqual(['lead', 'qualification']);
+      expect(match.score).toBe(4);
+      expect(matchScore(FEATURES[3], target).score).toBe(0);
+    });
+  });
+
+  describe('buildValueChain', () => {
+
+    test('should chain feature to benefit to outcome through the translation service', () => {
+      const chain = buildValueChain(FEATURES[1], [{ targetId: 'pain_2', sharedThemes: ['visibility'] }], {
+        customerName: 'Acme',
+        industry: 'Financial Services'
+      });
+
+      expect(chain).toMatchObject({
+        featureId: 'feature_1',
+        feature: 'Real-time pipeline dashboard',
+        theme: 'visibility',
+        stakeholder: 'COO',
+        benefit: 'Gives leaders a live view of performance',
+        addresses: ['pain_2']
+      });
+      expect(chain.outcome).toEqual(expect.any(String));
+      expect(chain.outcome.length).toBeGreaterThan(0);
+      expect(chain.keyMetrics).toEqual(expect.any(Array));
+    });
+
+    test('should use the feature\'s own theme when it addresses nothing', () => {
+      expect(buildValueChain(FEATURES[2], []).theme).toBe('integration');
+      expect(buildValueChain({ id: 'x', text: 'Widgets', category: 'other' }, []).theme).toBe('automation');
+    });
+  });
+
+  describe('mapFeaturesToValue', () => {
+
+    const mapping = mapFeaturesToValue({
+      parsedFeatures: FEATURES.map(feature => ({ ...feature, isCore: true, marketPositioning: 'x' })),
+      resources: RESOURCES,
+      customerName: 'Acme',
+      generatedAt: new Date('2026-10-19T00:00:00Z')
+    });
+    const targetText = id => mapping.targets.find(target => target.id === id).text;
+
+    test('should produce a serialisable mapping', () => {
+      expect(mapping).toMatchObject({ version: VALUE_MAPPING_VERSION, generatedAt: '2026-10-19T00:00:00.000Z' });
+      expect(mapping.features[0]).toEqual(FEATURES[0]);
+      expect(mapping.targets[0]).not.toHaveProperty('keywords');
+      expect(JSON.parse(JSON.stringify(mapping))).toEqual(mapping);
+    });
+
+    test('should link features to the pains and goals they address', () => {
+      const addressed = featureId => mapping.links.filter(link => link.featureId === featureId).map(link => targetText(link.targetId));
+
+      expect(addressed('feature_0')).toEqual(expect.arrayContaining(['Manual lead qualification']));
+      expect(addressed('feature_1')).toEqual(expect.arrayContaining(['poor pipeline visibility']));
+      expect(addressed('feature_2')).toEqual(expect.arrayContaining(['Disconnected CRM data']));
+      expect(mapping.chains).toHaveLength(FEATURES.length);
+    });
+
+    test('should report unaddressed pains and orphan features', () => {
+      const { matrix } = mapping;
+
+      expect(matrix.scores).toHaveLength(FEATURES.length);
+      expect(matrix.scores[0]).toHaveLength(mapping.targets.length);
+      expect(matrix.orphanFeatures).toEqual(['feature_3']);
+      expect(matrix.unaddressedPains.map(targetText)).toContain('failed compliance audits');
+      expect(matrix.coverage.pains.total).toBe(5);
+      expect(matrix.coverage.pains.covered).toBe(5 - matrix.unaddressedPains.length);
+    });
+
+    test('should treat every feature as an orphan without core resources', () => {
+      const { matrix, targets } = mapFeaturesToValue({ parsedFeatures: FEATURES });
+
+      expect(targets).toEqual([]);
+      expect(matrix.orphanFeatures).toHaveLength(FEATURES.length);
+      expect(matrix.coverage.pains).toEqual({ covered: 0, total: 0, percent: 0 });
+    });
+
+    test('should render the matrix, gaps and chains', () => {
+      const markup = markupOf(<FeatureValueMatrix mapping={mapping} onSave={() => {}} />);
+
+      expect(markup).toContain('Save to Product Configuration');
+      expect(markup).toContain('failed compliance audits');
+      expect(markup).toContain('Features no pain or goal asks for');
+      expect(markup).toContain('Connects the systems the team already uses');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// ICPFitScoringService.test.js - Deterministic, explainable ICP fit scoring
+
+import {
+  DEFAULT_FRAMEWORK,
+  DEFAULT_TARGET,
+  buildICPTarget,
+  parseNumberRange,
+  scoreCompanyFit
+} from '../services/ICPFitScoringService';
+
+describe('ICPFitScoringService', () => {
+
+  const target = buildICPTarget({
+    company_size_range: '100-1,000 employees',
+    annual_revenue_range: '$10M - $100M',
+    industry_verticals: 'Logistics, Supply Chain',
+    technology_stack: 'Salesforce, Snowflake, AWS'
+  });
+
+  const strongProfile = {
+    name: 'RouteCo',
+    employeeCount: 400,
+    annualRevenue: 45000000,
+    industry: 'Logistics',
+    techStack: ['Salesforce', 'Snowflake', 'AWS', 'Looker', 'Jira', 'Slack', 'Okta', 'Segment'],
+    fundingStage: 'series_b',
+    signals: [{ type: 'funding_round', detail: '$40M Series B' }, 'hiring_surge', 'tech_migration']
+  };
+
+  const framework = [
+    ...DEFAULT_FRAMEWORK.map(criterion => ({ ...criterion, weight: criterion.weight - 5 })),
+    { name: 'Industry Fit', weight: 20 }
+  ];
+
+  describe('buildICPTarget', () => {
+
+    test('should parse generated ICP fields into numeric ranges and lists', () => {
+      expect(target).toEqual({
+        employeeRange: { min: 100, max: 1000 },
+        revenueRange: { min: 1e7, max: 1e8 },
+        industries: ['Logistics', 'Supply Chain'],
+        technologies: ['Salesforce', 'Snowflake', 'AWS'],
+        fundingStages: DEFAULT_TARGET.fundingStages
+      });
+    });
+
+    test('should accept CRM-style ICP data and fall back to defaults', () => {
+      expect(buildICPTarget({ companySize: { min: 100, max: 1000 }, targetIndustries: ['SaaS'] })).toMatchObject({
+        employeeRange: { min: 100, max: 1000 },
+        revenueRange: DEFAULT_TARGET.revenueRange,
+        industries: ['SaaS']
+      });
+      expect(buildICPTarget('free-text ICP')).toEqual(DEFAULT_TARGET);
+    });
+
+    test('should map human-readable funding stage labels and drop unknown ones', () => {
+      const labelled = buildICPTarget({ fundingStages: 'Series A, series-b, Pre-seed, Series D+ / Growth, Mezzanine' });
+      expect(labelled.fundingStages).toEqual(['series_a', 'series_b', 'pre_seed', 'growth']);
+      expect(buildICPTarget({ fundingStages: ['Mezzanine'] }).fundingStages).toEqual(DEFAULT_TARGET.fundingStages);
+
+      const { score, evidence } = scoreCompanyFit(
+        { fundingStage: 'seed' },
+        [{ name: 'Growth Stage', weight: 100 }],
+        buildICPTarget({ fundingStages: ['Series B', 'Series C'] })
+      ).criteria[0];
+      expect(score).toBe(40);
+      expect(evidence).toEqual(['Seed is 2 stages from ICP stages (Series B, Series C)']);
+    });
+
+    test('should treat trailing plus signs as open-ended', () => {
+      expect(parseNumberRange('$100M - $1B+')).toEqual({ min: 1e8, max: null });
+    });
+  });
+
+  describe('scoreCompanyFit', () => {
+
+    test('should give the same result for the same input', () => {
+      const first = scoreCompanyFit(strongProfile, framework, target);
+      const second = scoreCompanyFit(JSON.parse(JSON.stringify(strongProfile)), framework, target);
+      expect(second).toEqual(first);
+    });
+
+    test('should score a strong fit as high priority with evidence for every criterion', () => {
+      const result = scoreCompanyFit(strongProfile, framework, target);
+
+      expect(result.companyName).toBe('RouteCo');
+      // Everything maxes out except pain severity: 30 + 25 + 25 = 80 at 20% weight
+      expect(result.overallScore).toBe(96);
+      expect(result.tier).toBe('High');
+      expect(result.recommendation).toBe('High Priority');
+      result.criteria.forEach(criterion => {
+        expect(criterion.evidence.length).toBeGreaterThan(0);
+        expect(criterion.confidence).toBeGreaterThan(0);
+      });
+      expect(result.criteria.find(c => c.name === 'Industry Fit').evidence).toEqual(['Logistics matches ICP vertical Logistics']);
+      expect(result.criteria.find(c => c.name === 'Pain Point Severity').evidence[0]).toBe('Recent funding round: $40M Series B (+30)');
+    });
+
+    test('should lose 30 points per doubling outside the size range', () => {
+      const result = scoreCompanyFit({ employeeCount: 4000 }, [{ name: 'Company Size', weight: 100 }], target);
+      const size = result.criteria[0];
+
+      expect(size.score).toBe(40);
+      expect(size.confidence).toBe(0.7);
+      expect(size.evidence).toEqual(['4,000 employees vs ICP 100-1,000']);
+    });
+
+    test('should score funding stages by distance from the ICP stages', () => {
+      const stageScore = (fundingStage) =>
+        scoreCompanyFit({ fundingStage }, [{ name: 'Growth Stage', weight: 100 }], target).criteria[0].score;
+
+      expect(stageScore('series_a')).toBe(100);
+      expect(stageScore('seed')).toBe(70);
+      expect(stageScore('pre_seed')).toBe(40);
+      expect(stageScore('bootstrapped')).toBe(10);
+    });
+
+    test('should weigh tech stack breadth and ICP technology overlap', () => {
+      const result = scoreCompanyFit(
+        { techStack: 'Salesforce, HubSpot' },
+        [{ name: 'Technical Maturity', weight: 100 }],
+        target
+      );
+
+      // 2/8 breadth * 50 + 1/3 overlap * 50
+      expect(result.criteria[0].score).toBe(29);
+      expect(result.criteria[0].evidence[0]).toBe('Uses Salesforce (1 of 3 ICP technologies)');
+    });
+
+    test('should subtract negative signals and score no signals as zero', () => {
+      const painScore = (signals) =>
+        scoreCompanyFit({ signals }, [{ name: 'Pain Point Severity', weight: 100 }], target).criteria[0];
+
+      expect(painScore(['hiring_surge', 'budget_freeze']).score).toBe(0);
+      expect(painScore(['hiring_surge', 'hiring_surge', 'expansion']).score).toBe(40);
+      expect(painScore([])).toMatchObject({ score: 0, confidence: 0.3, evidence: ['No buying signals found'] });
+    });
+
+    test('should leave unscorable criteria out of the score but count them against confidence', () => {
+      const result = scoreCompanyFit(
+        { name: 'Sparse Inc', employeeCount: 300, annualRevenue: 20000000 },
+        [{ name: 'Company Size', weight: 50 }, { name: 'Board Sentiment', weight: 50 }],
+        target
+      );
+
+      expect(result.overallScore).toBe(100);
+      expect(result.confidence).toBe(0.5);
+      expect(result.criteria[1]).toMatchObject({
+        score: null,
+        confidence: 0,
+        evidence: ['No scoring rule for "Board Sentiment"; add evidence manually']
+      });
+      expect(result.nextSteps).toContain('Research board sentiment to firm up the score');
+    });
+
+    test('should rank a poor fit as low priority and point at the weakest criterion', () => {
+      const result = scoreCompanyFit({
+        name: 'Corner Shop',
+        employeeCount: 6,
+        annualRevenue: 400000,
+        techStack: ['QuickBooks'],
+        fundingStage: 'bootstrapped',
+        signals: ['budget_freeze']
+      }, DEFAULT_FRAMEWORK, target);
+
+      expect(result.tier).toBe('Low');
+      expect(result.overallScore).toBeLessThan(60);
+      expect(result.nextSteps[0]).toBe('Deprioritise outbound effort');
+      expect(result.nextSteps[result.nextSteps.length - 1]).toMatch(/^Probe (company size|pain point severity|growth stage):/);
+    });
+  });
+});
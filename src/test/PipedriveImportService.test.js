@@ -0,0 +1,133 @@
+// PipedriveImportService.test.js - Pipedrive field mapping and import files
+
+import {
+  hsPipedriveFields,
+  defaultMapping,
+  normalizeMapping,
+  validateMapping,
+  recordsFromSource,
+  importColumns,
+  buildImportFiles
+} from '../services/PipedriveImportService';
+import { parseCSV } from '../services/ProspectBatchScoringService';
+import CRMIntegrationService from '../services/CRMIntegrationService';
+
+describe('PipedriveImportService', () => {
+
+  const fields = hsPipedriveFields(CRMIntegrationService.generatePipedriveData());
+
+  const sourceData = {
+    currency: 'EUR',
+    companyName: 'RouteCo',
+    icpData: { icpScore: 87, buyerPersona: { name: 'economic buyer' } },
+    costData: {
+      impactCalculation: {
+        monthlyCostOfInaction: 41666.67,
+        assumptions: { investmentAmount: 120000 }
+      }
+    }
+  };
+
+  describe('fields and mappings', () => {
+
+    test('should describe ICP score, persona, cost of inaction and business case stage', () => {
+      expect(fields.map(field => field.key)).toEqual(['icp_fit_score', 'buyer_persona', 'cost_of_inaction', 'business_case_stage']);
+      expect(fields.find(field => field.key === 'buyer_persona').options).toEqual(['Technical DM', 'Business DM', 'Economic Buyer']);
+      expect(fields.find(field => field.key === 'business_case_stage').options).toContain('Approved');
+    });
+
+    test('should restore a saved mapping over the defaults and drop unknown entries', () => {
+      const mapping = normalizeMapping({
+        icp_fit_score: { mode: 'existing', field: '  Fit score ' },
+        buyer_persona: { mode: 'skip', field: '' },
+        cost_of_inaction: { mode: 'bogus', field: 'COI' },
+        retired_field: { mode: 'new', field: 'Old' }
+      }, fields);
+
+      expect(mapping).toEqual({
+        icp_fit_score: { mode: 'existing', field: 'Fit score' },
+        buyer_persona: { mode: 'skip', field: 'Buyer Persona' },
+        cost_of_inaction: { mode: 'new', field: 'Cost of Inaction' },
+        business_case_stage: { mode: 'new', field: 'Business Case Stage' }
+      });
+    });
+
+    test('should report blank names, built-in columns and duplicates', () => {
+      expect(validateMapping(defaultMapping(fields), fields)).toEqual([]);
+
+      const problems = validateMapping({
+        icp_fit_score: { mode: 'existing', field: 'name' },
+        buyer_persona: { mode: 'new', field: '' },
+        cost_of_inaction: { mode: 'new', field: 'Deal Score' },
+        business_case_stage: { mode: 'existing', field: 'deal score' }
+      }, fields);
+
+      expect(problems).toHaveLength(4);
+      expect(problems[0]).toMatch(/"name" is a built-in person column/);
+      expect(problems[2]).toMatch(/Buyer Persona: choose/);
+      expect(problems[3]).toMatch(/"deal score" is already used for Cost of Inaction/);
+    });
+  });
+
+  describe('import files', () => {
+
+    test('should prefill records from export source data', () => {
+      const records = recordsFromSource(sourceData, fields);
+
+      expect(records.organization).toMatchObject({ name: 'RouteCo', icp_fit_score: 8.7 });
+      expect(records.person).toMatchObject({ organization: 'RouteCo', buyer_persona: 'Economic Buyer' });
+      expect(records.deal).toMatchObject({
+        title: 'RouteCo - H&S Revenue Intelligence',
+        value: 120000,
+        currency: 'EUR',
+        cost_of_inaction: 41667
+      });
+    });
+
+    test('should put mapped fields after the built-in columns under their Pipedrive names', () => {
+      const mapping = { ...defaultMapping(fields), icp_fit_score: { mode: 'existing', field: 'Fit score' } };
+
+      expect(importColumns('deal', mapping, fields).map(column => column.header)).toEqual([
+        'Title', 'Value', 'Currency', 'Organization', 'Contact person', 'Fit score', 'Cost of Inaction', 'Business Case Stage'
+      ]);
+      expect(importColumns('organization', { ...mapping, icp_fit_score: { mode: 'skip', field: 'Fit score' } }, fields)
+        .map(column => column.header)).toEqual(['Name', 'Address']);
+    });
+
+    test('should build one CSV per entity and leave out unnamed rows', () => {
+      const records = recordsFromSource(sourceData, fields);
+      records.person = [{ ...records.person, name: 'Dana Reyes', email: 'dana@routeco.com' }, { name: '  ' }];
+
+      const files = buildImportFiles(records, defaultMapping(fields), fields);
+      expect(Object.keys(files)).toEqual(['persons', 'organizations', 'deals']);
+
+      const persons = parseCSV(files.persons);
+      expect(persons.headers).toEqual(['Name', 'Email', 'Phone', 'Organization', 'ICP Fit Score', 'Buyer Persona']);
+      expect(persons.rows).toEqual([{
+        Name: 'Dana Reyes',
+        Email: 'dana@routeco.com',
+        Phone: '',
+        Organization: 'RouteCo',
+        'ICP Fit Score': '8.7',
+        'Buyer Persona': 'Economic Buyer'
+      }]);
+      expect(parseCSV(files.deals).rows[0]).toMatchObject({ Title: 'RouteCo - H&S Revenue Intelligence', 'Cost of Inaction': '41667' });
+    });
+
+    test('should pass values that start like formulas to Pipedrive unchanged', () => {
+      const records = recordsFromSource(sourceData, fields);
+      records.person = [{ ...records.person, name: '@dana', phone: '+1 415 555 0100' }];
+
+      const files = buildImportFiles(records, defaultMapping(fields), fields);
+      expect(parseCSV(files.persons).rows[0]).toMatchObject({ Name: '@dana', Phone: '+1 415 555 0100' });
+    });
+
+    test('should omit empty files and refuse an invalid mapping', () => {
+      expect(buildImportFiles(recordsFromSource({}, fields), defaultMapping(fields), fields)).toEqual({});
+      expect(() => buildImportFiles(recordsFromSource(sourceData, fields), {
+        ...defaultMapping(fields),
+        cost_of_inaction: { mode: 'new', field: 'Value' }
+      }, fields)).toThrow(/built-in deal column/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// ProductInputSection.test.js - Restoring the saved product configuration
+
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { airtableService } from '../services/airtableService';
+import { PRODUCT_CONFIGURATION_TOOL, mapFeaturesToValue } from '../services/FeatureValueMappingService';
+import ProductInputSection from '../components/simplified/cards/ProductInputSection';
+
+jest.mock('../services/airtableService', () => ({
+  airtableService: { getUserProgress: jest.fn(), saveUserProgress: jest.fn() }
+}));
+jest.mock('../services/webhookService', () => ({
+  __esModule: true,
+  default: { startGeneration: jest.fn(), getWebhookUrl: jest.fn(), waitForCompletion: jest.fn() }
+}));
+
+const FEATURES = [{ id: 'feature_0', text: 'Automated invoice matching', category: 'core', icpImpact: 9 }];
+
+const SAVED_MAPPING = mapFeaturesToValue({
+  parsedFeatures: FEATURES,
+  resources: { icp_analysis: { pain_points: 'Manual invoice matching' } },
+  customerName: 'LedgerFlow'
+});
+
+describe('ProductInputSection', () => {
+
+  let container;
+  let root;
+
+  beforeAll(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    airtableService.getUserProgress.mockResolvedValue({
+      productData: { productName: 'LedgerFlow', productDescription: 'AP automation', businessType: 'B2B', keyFeatures: 'invoice matching' },
+      featuresAnalysis: { rawFeatures: 'invoice matching', parsedFeatures: FEATURES },
+      valueMapping: SAVED_MAPPING,
+      savedAt: '2026-10-18T09:00:00.000Z'
+    });
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  const show = (element) => root.render(element);
+
+  // Mounts, then lets the saved configuration load
+  const mount = async (props) => {
+    await act(async () => {
+      show(<ProductInputSection onProductSubmit={jest.fn()} {...props} />);
+    });
+  };
+
+  const inputValues = () => [...container.querySelectorAll('input, textarea, select')].map(input => input.value);
+
+  test('should load the saved product configuration for the customer', async () => {
+    await mount({ customerId: 'CUST_5' });
+
+    expect(airtableService.getUserProgress).toHaveBeenCalledWith('CUST_5', PRODUCT_CONFIGURATION_TOOL);
+    expect(inputValues()).toEqual(expect.arrayContaining(['LedgerFlow', 'AP automation', 'invoice matching']));
+    expect(container.textContent).toContain('Saved to Product Configuration');
+    expect(container.textContent).toContain('Automated invoice matching');
+  });
+
+  test('should stay saved once the feature parser re-reads the restored features', async () => {
+    jest.useFakeTimers();
+    try {
+      await mount({ customerId: 'CUST_5' });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(container.textContent).toContain('Saved to Product Configuration');
+    expect(container.textContent).toContain('Automated invoice matching');
+  });
+
+  test('should not load anything without a customer', async () => {
+    await mount({});
+
+    expect(airtableService.getUserProgress).not.toHaveBeenCalled();
+    expect(inputValues()).not.toContain('LedgerFlow');
+  });
+});
@@ -0,0 +1,176 @@
+// ProspectBatchScoringService.test.js - CSV batch scoring, tiering and export
+
+import {
+  parseCSV,
+  toCSV,
+  suggestColumnMapping,
+  normalizeFundingStage,
+  rowToProfile,
+  scoreProspects,
+  summarizeTiers,
+  resultsToCSV,
+  toHubSpotCompanyRows,
+  hubSpotRowsToCSV,
+  MAX_BATCH_ROWS
+} from '../services/ProspectBatchScoringService';
+import { buildICPTarget } from '../services/ICPFitScoringService';
+import CRMIntegrationService from '../services/CRMIntegrationService';
+
+describe('ProspectBatchScoringService', () => {
+
+  const APOLLO_CSV = [
+    'Company,Website,# Employees,Annual Revenue,Industry,Technologies,Latest Funding,Signals',
+    'RouteCo,routeco.com,400,45000000,Logistics,"Salesforce, Snowflake, AWS, Looker, Jira, Slack, Okta, Segment",Series B,"funding_round; hiring_surge; tech_migration"',
+    '"Corner Shop, LLC",cornershop.io,6,400000,Retail,QuickBooks,Bootstrapped,Budget freeze',
+    'FleetFlow,fleetflow.ai,250,30000000,Logistics,"AWS, Snowflake",Series A,Hiring in the buying team',
+    'Mystery Co,,,,,,,'
+  ].join('\r\n');
+
+  const target = buildICPTarget({
+    company_size_range: '100-1,000 employees',
+    annual_revenue_range: '$10M - $100M',
+    technology_stack: 'Salesforce, Snowflake, AWS'
+  });
+
+  describe('CSV handling', () => {
+
+    test('should parse quoted fields, escaped quotes and CRLF rows', () => {
+      const { headers, rows } = parseCSV('﻿Name,Notes\r\n"Acme, Inc","Said ""yes""\nthen left"\r\n\r\nBeta,plain\n');
+
+      expect(headers).toEqual(['Name', 'Notes']);
+      expect(rows).toEqual([
+        { Name: 'Acme, Inc', Notes: 'Said "yes"\nthen left' },
+        { Name: 'Beta', Notes: 'plain' }
+      ]);
+    });
+
+    test('should round-trip values that need quoting', () => {
+      const rows = [{ a: 'x, y', b: 'say "hi"' }, { a: 1, b: null }];
+      expect(parseCSV(toCSV(['a', 'b'], rows)).rows).toEqual([
+        { a: 'x, y', b: 'say "hi"' },
+        { a: '1', b: '' }
+      ]);
+    });
+
+    test('should neutralize cells a spreadsheet would run as formulas when asked', () => {
+      const rows = [
+        { a: '=HYPERLINK("http://evil.example","x")', b: '+1' },
+        { a: '-2+3', b: '@SUM(A1)' },
+        { a: -5, b: 'a=b' }
+      ];
+      expect(parseCSV(toCSV(['a', 'b'], rows, { escapeFormulas: true })).rows).toEqual([
+        { a: '\'=HYPERLINK("http://evil.example","x")', b: "'+1" },
+        { a: "'-2+3", b: "'@SUM(A1)" },
+        { a: '-5', b: 'a=b' }
+      ]);
+    });
+
+    test('should leave formula-like values alone in import files', () => {
+      const rows = [{ a: '-12%', b: '@routeco' }, { a: '+1 415 555 0100', b: '=' }];
+      expect(parseCSV(toCSV(['a', 'b'], rows)).rows).toEqual(rows);
+    });
+
+    test('should map Apollo and HubSpot export headers onto the profile', () => {
+      expect(suggestColumnMapping(parseCSV(APOLLO_CSV).headers)).toEqual({
+        name: 'Company',
+        domain: 'Website',
+        employeeCount: '# Employees',
+        annualRevenue: 'Annual Revenue',
+        industry: 'Industry',
+        techStack: 'Technologies',
+        fundingStage: 'Latest Funding',
+        signals: 'Signals'
+      });
+      expect(suggestColumnMapping(['Company name', 'Company Domain Name', 'Number of Employees'])).toEqual({
+        name: 'Company name',
+        domain: 'Company Domain Name',
+        employeeCount: 'Number of Employees'
+      });
+    });
+  });
+
+  describe('row profiles', () => {
+
+    test('should normalise export funding stage labels', () => {
+      expect(normalizeFundingStage('Series B')).toBe('series_b');
+      expect(normalizeFundingStage('Series E')).toBe('growth');
+      expect(normalizeFundingStage('IPO')).toBe('public');
+      expect(normalizeFundingStage('Pre-Seed')).toBe('pre_seed');
+      expect(normalizeFundingStage('')).toBe('');
+    });
+
+    test('should leave unmapped and blank fields undefined', () => {
+      const profile = rowToProfile({ Company: 'Mystery Co', Employees: '' }, { name: 'Company', employeeCount: 'Employees' });
+
+      expect(profile).toMatchObject({ name: 'Mystery Co', domain: '' });
+      expect(profile.employeeCount).toBeUndefined();
+      expect(profile.techStack).toBeUndefined();
+      expect(profile.signals).toBeUndefined();
+    });
+  });
+
+  describe('scoreProspects', () => {
+
+    const scoreFile = (options = {}) => {
+      const { headers, rows } = parseCSV(APOLLO_CSV);
+      return scoreProspects(rows, { mapping: suggestColumnMapping(headers), target, ...options });
+    };
+
+    test('should rank every row into A-D tiers', async () => {
+      const results = await scoreFile();
+
+      expect(results.map(result => [result.rank, result.name, result.tier])).toEqual([
+        [1, 'RouteCo', 'A'],
+        [2, 'FleetFlow', 'B'],
+        [3, 'Corner Shop, LLC', 'D'],
+        [4, 'Mystery Co', 'D']
+      ]);
+      expect(results[3]).toMatchObject({ overallScore: 0, confidence: 0 });
+      expect(summarizeTiers(results)).toEqual({ A: 1, B: 1, C: 0, D: 2 });
+    });
+
+    test('should report progress per chunk and give identical results on rerun', async () => {
+      const progress = [];
+      const first = await scoreFile({ chunkSize: 3, onProgress: (processed, total) => progress.push([processed, total]) });
+      const second = await scoreFile({ chunkSize: 1 });
+
+      expect(progress).toEqual([[3, 4], [4, 4]]);
+      expect(second).toEqual(first);
+    });
+
+    test('should refuse files over the row limit', async () => {
+      const rows = Array.from({ length: MAX_BATCH_ROWS + 1 }, () => ({}));
+      await expect(scoreProspects(rows, { mapping: {} })).rejects.toThrow(/up to 5000 rows/);
+    });
+  });
+
+  describe('exports', () => {
+
+    test('should export ranked results with one column per criterion', async () => {
+      const { headers, rows } = parseCSV(APOLLO_CSV);
+      const results = await scoreProspects(rows, { mapping: suggestColumnMapping(headers), target });
+      const exported = parseCSV(resultsToCSV(results));
+
+      expect(exported.headers).toEqual([
+        'Rank', 'Company', 'Domain', 'Fit Score', 'Tier', 'Confidence',
+        'Company Size', 'Technical Maturity', 'Growth Stage', 'Pain Point Severity', 'Top Evidence'
+      ]);
+      expect(exported.rows[0]).toMatchObject({ Rank: '1', Company: 'RouteCo', Tier: 'A', 'Company Size': '100' });
+      expect(exported.rows[0]['Top Evidence']).toContain('Company Size: 400 employees vs ICP 100-1,000 (in range)');
+      expect(exported.rows[3]['Company Size']).toBe('');
+    });
+
+    test('should build HubSpot company rows from the generated property definitions', async () => {
+      const { headers, rows } = parseCSV(APOLLO_CSV);
+      const results = await scoreProspects(rows, { mapping: suggestColumnMapping(headers), target });
+      const hubSpotRows = toHubSpotCompanyRows(results);
+      const propertyNames = CRMIntegrationService.generateHubSpotProperties().companyProperties.map(property => property.name);
+
+      expect(hubSpotRows[0]).toEqual({ name: 'RouteCo', domain: 'routeco.com', icp_company_fit_score: expect.any(Number) });
+      expect(propertyNames).toContain('icp_company_fit_score');
+      // 0-100 fit maps onto the property's 1-10 range
+      expect(hubSpotRows[3].icp_company_fit_score).toBe(1);
+      expect(hubSpotRowsToCSV(hubSpotRows).split('\r\n')[0]).toBe('name,domain,icp_company_fit_score');
+    });
+  });
+});
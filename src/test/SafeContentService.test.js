@@ -0,0 +1,201 @@
+// SafeContentService.test.js - Markdown rendering and allowlist sanitizing of generated and user-entered content
+
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import ContentDisplay, { DefinitionList, ListDisplay } from '../components/common/ContentDisplay';
+import AllSectionsGrid from '../components/icp-analysis/AllSectionsGrid';
+import {
+  ALLOWED_TAGS,
+  ALLOWED_ATTRIBUTES,
+  escapeHtml,
+  sanitizeHtml,
+  markdownToHtml,
+  toSafeHtml,
+  safeHtml
+} from '../services/SafeContentService';
+import { buildBusinessCaseDocument, businessCaseHtml } from '../services/BusinessCaseDocumentService';
+import { BUILT_IN_TEMPLATES } from '../services/BusinessCaseTemplateService';
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  '<svg onload=alert(1)><circle r="1"/></svg>',
+  '<iframe src="https://evil.example/"></iframe>',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href="  JaVaScRiPt:alert(1)">click</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+  '"><script>alert(1)</script>',
+  '<div style="background:url(javascript:alert(1))" onclick="alert(1)">x</div>',
+  '<form action="https://evil.example/"><input name="password"></form>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+  '<p data-bind="alert(1)" onmouseover=alert(1)>hover</p>',
+  '[click me](javascript:alert(1))',
+  '**bold** <script>alert(document.cookie)</script>'
+];
+
+const markupOf = element => {
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  flushSync(() => root.render(element));
+  const markup = container.innerHTML;
+  root.unmount();
+  return markup;
+};
+
+// Everything left after sanitizing must be on the allowlist, with no script-capable URLs
+const expectSafe = html => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+
+  container.querySelectorAll('*').forEach(element => {
+    expect(ALLOWED_TAGS).toContain(element.tagName.toLowerCase());
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      expect([...ALLOWED_ATTRIBUTES, 'target', 'rel']).toContain(name);
+      expect(value).not.toMatch(/^\s*(javascript|data|vbscript):/i);
+    });
+  });
+};
+
+describe('SafeContentService', () => {
+
+  describe('markdownToHtml', () => {
+
+    test('should render the markdown generated resources use', () => {
+      const html = markdownToHtml([
+        '## Ideal Customer Profile',
+        '',
+        'Companies with **50-500 employees** and *recent* funding.',
+        'Second line',
+        '',
+        '- Series B SaaS',
+        '• Revenue ops team',
+        '',
+        '1. Qualify',
+        '2. Demo',
+        '',
+        '> Focus on `mid-market` first',
+        '',
+        '---',
+        'See [the playbook](https://example.com/playbook?a=1&b=2).'
+      ].join('\n'));
+
+      expect(html).toBe([
+        '<h2>Ideal Customer Profile</h2>',
+        '<p>Companies with <strong>50-500 employees</strong> and <em>recent</em> funding.<br>Second line</p>',
+        '<ul><li>Series B SaaS</li><li>Revenue ops team</li></ul>',
+        '<ol><li>Qualify</li><li>Demo</li></ol>',
+        '<blockquote><p>Focus on <code>mid-market</code> first</p></blockquote>',
+        '<hr>',
+        '<p>See <a href="https://example.com/playbook?a=1&amp;b=2">the playbook</a>.</p>'
+      ].join('\n'));
+    });
+
+    test('should render pipe tables and fenced code', () => {
+      const html = markdownToHtml('| Segment | Fit |\n|---|---:|\n| SaaS | 90% |\n\n```\n<b>raw</b>\n```');
+
+      expect(html).toBe([
+        '<table><thead><tr><th>Segment</th><th>Fit</th></tr></thead><tbody><tr><td>SaaS</td><td>90%</td></tr></tbody></table>',
+        '<pre><code>&lt;b&gt;raw&lt;/b&gt;</code></pre>'
+      ].join('\n'));
+    });
+
+    test('should escape HTML in the source text', () => {
+      expect(markdownToHtml('# <script>alert(1)</script>')).toBe('<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>');
+    });
+
+    test('should drop links with unsafe targets but keep their text', () => {
+      expect(markdownToHtml('[click](javascript:alert(1))')).toBe('<p>click</p>');
+      expect(markdownToHtml('[site](https://example.com/_a_b_)')).toBe('<p><a href="https://example.com/_a_b_">site</a></p>');
+    });
+  });
+
+  describe('sanitizeHtml', () => {
+
+    test.each(PAYLOADS)('should neutralise %s', payload => {
+      expectSafe(toSafeHtml(payload));
+      expectSafe(sanitizeHtml(payload));
+    });
+
+    test('should keep formatting, classes and safe links', () => {
+      expect(sanitizeHtml('<div class="bg-blue-50"><h3>Fit</h3><a href="https://example.com">Source</a></div>'))
+        .toBe('<div class="bg-blue-50"><h3>Fit</h3><a href="https://example.com" target="_blank" rel="noopener noreferrer">Source</a></div>');
+    });
+
+    test('should strip scripts, handlers and inline styles', () => {
+      expect(sanitizeHtml('<p style="color:red" onclick="alert(1)">Hi<script>alert(1)</script></p>')).toBe('<p>Hi</p>');
+      expect(sanitizeHtml('<a href="javascript:alert(1)">click</a>')).toBe('<a>click</a>');
+    });
+  });
+
+  describe('toSafeHtml', () => {
+
+    test('should treat HTML as HTML and anything else as markdown', () => {
+      expect(toSafeHtml('<p>Hello <em>there</em></p>')).toBe('<p>Hello <em>there</em></p>');
+      expect(toSafeHtml('Hello **there**')).toBe('<p>Hello <strong>there</strong></p>');
+      expect(toSafeHtml(null)).toBe('');
+      expect(safeHtml(42)).toEqual({ __html: '<p>42</p>' });
+    });
+
+    test('should render a persona name as text, not markup', () => {
+      const html = toSafeHtml('# Persona: Sarah <img src=x onerror=alert(1)> Chen\n\n- **Role:** VP Sales');
+
+      expectSafe(html);
+      expect(html).not.toContain('<img');
+    });
+  });
+
+  describe('components', () => {
+
+    test('should sanitize ICP fields from webhook content', () => {
+      const markup = markupOf(
+        <AllSectionsGrid sections={{
+          firmographics: '<h2>ICP</h2><p>Target <b>SaaS</b></p><img src=x onerror="alert(1)"><script>alert(1)</script>',
+          pain_points: '<a href="javascript:alert(1)">Manual forecasting</a>'
+        }} />
+      );
+
+      expect(markup).toContain('<h2>ICP</h2><p>Target <b>SaaS</b></p>');
+      expect(markup).toContain('<a>Manual forecasting</a>');
+      expect(markup).not.toMatch(/<script|<img|onerror|javascript:/);
+    });
+
+    test('should render plain generated text as markdown', () => {
+      const markup = markupOf(<ContentDisplay content={'## Buyer Persona\n\n- Owns **pipeline**'} />);
+      expect(markup).toContain('<h2>Buyer Persona</h2>\n<ul><li>Owns <strong>pipeline</strong></li></ul>');
+    });
+
+    test('should sanitize persona names in lists and definitions', () => {
+      const markup = markupOf(
+        <div>
+          <DefinitionList items={{ persona_name: 'Sarah <svg onload=alert(1)>Chen</svg>' }} />
+          <ListDisplay items={[{ toString: () => '<img src=x onerror=alert(1)>Alex' }]} />
+        </div>
+      );
+
+      expect(markup).toContain('<span>Sarah </span>');
+      expect(markup).not.toMatch(/<svg|<img|onload|onerror/);
+    });
+  });
+
+  describe('business case documents', () => {
+
+    test('should escape script payloads in business case titles and fields', () => {
+      const model = buildBusinessCaseDocument({
+        formData: {
+          companyName: '<img src=x onerror=alert(1)>',
+          projectTitle: '</h1><script>alert(document.cookie)</script>',
+          requestedAmount: '50000',
+          currentChallenges: '<a href="javascript:alert(1)">pain</a>'
+        },
+        template: BUILT_IN_TEMPLATES.pilot,
+        generatedAt: new Date(2026, 9, 19)
+      });
+      const html = toSafeHtml(businessCaseHtml(model));
+
+      expectSafe(html);
+      expect(html).toContain('<h1>Business Case: &lt;/h1&gt;&lt;script&gt;alert(document.cookie)&lt;/script&gt;</h1>');
+      expect(escapeHtml(model.cover.details[0][1])).toBe('&lt;img src=x onerror=alert(1)&gt;');
+    });
+  });
+});
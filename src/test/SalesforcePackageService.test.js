@@ -0,0 +1,306 @@
+// SalesforcePackageService.test.js - Salesforce metadata package and account load file
+
+import JSZip from 'jszip';
+import { CRMIntegrationService } from '../services/CRMIntegrationService';
+import {
+  METADATA_NAMESPACE,
+  validateSalesforceFields,
+  accountKey,
+  accountLoadRows,
+  buildSalesforcePackage,
+  salesforcePackageZip
+} from '../services/SalesforcePackageService';
+
+/**
+ * The Metadata API WSDL types the package uses: child elements in sequence
+ * order, required children, and the simple types the values must match
+ */
+const METADATA_SCHEMA = {
+  Package: {
+    sequence: ['fullName', 'apiAccessLevel', 'description', 'namespacePrefix', 'objectPermissions', 'packageType',
+      'postInstallClass', 'setupWeblink', 'types', 'uninstallClass', 'version'],
+    required: ['version'],
+    children: { types: 'PackageTypeMembers' }
+  },
+  PackageTypeMembers: { sequence: ['members', 'name'], required: ['members', 'name'] },
+  CustomObject: {
+    sequence: ['actionOverrides', 'compactLayoutAssignment', 'compactLayouts', 'description', 'enableFeeds',
+      'enableHistory', 'fields', 'label', 'listViews', 'nameField', 'recordTypes', 'searchLayouts',
+      'sharingModel', 'validationRules', 'webLinks'],
+    required: [],
+    children: { fields: 'CustomField' }
+  },
+  CustomField: {
+    sequence: ['fullName', 'businessOwnerGroup', 'businessOwnerUser', 'businessStatus', 'caseSensitive',
+      'complianceGroup', 'customDataType', 'defaultValue', 'deleteConstraint', 'deprecated', 'description',
+      'displayFormat', 'encryptionScheme', 'escapeMarkup', 'externalDeveloperName', 'externalId',
+      'fieldManageability', 'formula', 'formulaTreatBlanksAs', 'inlineHelpText', 'isAIPredictionField',
+      'isConvertLeadDisabled', 'isFilteringDisabled', 'isNameField', 'isSortingDisabled', 'label', 'length',
+      'lookupFilter', 'maskChar', 'maskType', 'metadataRelationshipControllingField', 'populateExistingRows',
+      'precision', 'referenceTargetField', 'referenceTo', 'relationshipLabel', 'relationshipName',
+      'relationshipOrder', 'reparentableMasterDetail', 'required', 'restrictedAdminField', 'scale',
+      'securityClassification', 'startingNumber', 'stripMarkup', 'summarizedField', 'summaryFilterItems',
+      'summaryForeignKey', 'summaryOperation', 'trackFeedHistory', 'trackHistory', 'trackTrending',
+      'translateData', 'type', 'unique', 'valueSet', 'visibleLines', 'writeRequiresMasterRead'],
+    required: ['fullName', 'label', 'type'],
+    requiredByType: {
+      Text: ['length'],
+      LongTextArea: ['length', 'visibleLines'],
+      Number: ['precision', 'scale'],
+      Currency: ['precision', 'scale'],
+      Percent: ['precision', 'scale'],
+      Picklist: ['valueSet'],
+      Checkbox: ['defaultValue']
+    },
+    children: { valueSet: 'ValueSet' }
+  },
+  ValueSet: {
+    sequence: ['controllingField', 'restricted', 'valueSetDefinition', 'valueSetName', 'valueSettings'],
+    required: [],
+    children: { valueSetDefinition: 'ValueSetValuesDefinition' }
+  },
+  ValueSetValuesDefinition: { sequence: ['sorted', 'value'], required: ['sorted'], children: { value: 'CustomValue' } },
+  CustomValue: { sequence: ['fullName', 'color', 'default', 'description', 'isActive', 'label'], required: ['fullName', 'default'] },
+  PermissionSet: {
+    sequence: ['applicationVisibilities', 'classAccesses', 'customMetadataTypeAccesses', 'customPermissions',
+      'customSettingAccesses', 'description', 'externalDataSourceAccesses', 'fieldPermissions', 'flowAccesses',
+      'hasActivationRequired', 'label', 'license', 'objectPermissions', 'pageAccesses', 'recordTypeVisibilities',
+      'tabSettings', 'userPermissions'],
+    required: ['label'],
+    children: { fieldPermissions: 'PermissionSetFieldPermissions' }
+  },
+  PermissionSetFieldPermissions: { sequence: ['editable', 'field', 'readable'], required: ['editable', 'field', 'readable'] },
+  Layout: {
+    sequence: ['customButtons', 'customConsoleComponents', 'emailDefault', 'excludeButtons', 'feedLayout', 'headers',
+      'layoutSections', 'miniLayout', 'multilineLayoutFields', 'platformActionList', 'quickActionList',
+      'relatedContent', 'relatedLists', 'relatedObjects', 'runAssignmentRulesDefault', 'showEmailCheckbox'],
+    required: [],
+    children: { layoutSections: 'LayoutSection' }
+  },
+  LayoutSection: {
+    sequence: ['customLabel', 'detailHeading', 'editHeading', 'label', 'layoutColumns', 'style'],
+    required: ['style'],
+    children: { layoutColumns: 'LayoutColumn' }
+  },
+  LayoutColumn: { sequence: ['layoutItems', 'reserved'], required: [], children: { layoutItems: 'LayoutItem' } },
+  LayoutItem: {
+    sequence: ['analyticsCloudComponent', 'behavior', 'canvas', 'component', 'customLink', 'emptySpace', 'field',
+      'height', 'page', 'reportChartComponent', 'scontrol', 'showLabel', 'showScrollbars', 'width'],
+    required: []
+  }
+};
+
+const BOOLEAN_ELEMENTS = ['caseSensitive', 'customLabel', 'default', 'detailHeading', 'editHeading', 'editable',
+  'externalId', 'hasActivationRequired', 'readable', 'required', 'restricted', 'sorted', 'trackTrending', 'unique'];
+const INTEGER_ELEMENTS = ['length', 'precision', 'scale', 'visibleLines'];
+const ENUMERATIONS = {
+  type: ['AutoNumber', 'Lookup', 'MasterDetail', 'Checkbox', 'Currency', 'Date', 'DateTime', 'Email', 'EncryptedText',
+    'Number', 'Percent', 'Phone', 'Picklist', 'MultiselectPicklist', 'Summary', 'Text', 'TextArea', 'LongTextArea',
+    'Url', 'Html', 'Location', 'Time'],
+  behavior: ['Edit', 'Required', 'Readonly'],
+  style: ['TwoColumnsTopToBottom', 'TwoColumnsLeftToRight', 'OneColumn', 'CustomLinks']
+};
+
+function schemaErrors(element, typeName, path = typeName) {
+  const type = METADATA_SCHEMA[typeName];
+  const errors = [];
+  const children = [...element.children];
+  const names = children.map(child => child.localName);
+
+  let position = -1;
+  children.forEach(child => {
+    const index = type.sequence.indexOf(child.localName);
+    if (index === -1) {
+      errors.push(`${path}: unexpected <${child.localName}>`);
+    } else if (index < position) {
+      errors.push(`${path}: <${child.localName}> is out of sequence`);
+    } else {
+      position = index;
+    }
+  });
+
+  const typeValue = typeName === 'CustomField' ? children.find(child => child.localName === 'type')?.textContent : null;
+  [...type.required, ...(type.requiredByType?.[typeValue] || [])]
+    .filter(name => !names.includes(name))
+    .forEach(name => errors.push(`${path}: missing <${name}>`));
+
+  children.forEach(child => {
+    const childPath = `${path}/${child.localName}`;
+    const childType = type.children?.[child.localName];
+    if (childType) {
+      errors.push(...schemaErrors(child, childType, childPath));
+      return;
+    }
+    if (child.children.length > 0) {
+      errors.push(`${childPath}: simple element has children`);
+    }
+    const value = child.textContent;
+    if (BOOLEAN_ELEMENTS.includes(child.localName) && !['true', 'false'].includes(value)) {
+      errors.push(`${childPath}: ${value} is not a boolean`);
+    }
+    if (INTEGER_ELEMENTS.includes(child.localName) && !/^\d+$/.test(value)) {
+      errors.push(`${childPath}: ${value} is not an integer`);
+    }
+    if (ENUMERATIONS[child.localName] && !ENUMERATIONS[child.localName].includes(value)) {
+      errors.push(`${childPath}: ${value} is not a valid ${child.localName}`);
+    }
+  });
+  return errors;
+}
+
+function validateMetadataXml(xml, typeName) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) return [`not well-formed: ${parseError.textContent}`];
+
+  const root = doc.documentElement;
+  const errors = [];
+  if (root.localName !== typeName) errors.push(`root is <${root.localName}>, expected <${typeName}>`);
+  if (root.namespaceURI !== METADATA_NAMESPACE) errors.push(`namespace is ${root.namespaceURI}`);
+  return [...errors, ...schemaErrors(root, typeName)];
+}
+
+const textOf = (xml, selector) => [...new DOMParser().parseFromString(xml, 'application/xml').querySelectorAll(selector)]
+  .map(node => node.textContent);
+
+describe('SalesforcePackageService', () => {
+
+  const salesforceFields = CRMIntegrationService.generateSalesforceFields();
+  const accounts = [
+    { rank: 1, name: 'Acme', domain: 'https://www.Acme.io/about', overallScore: 87 },
+    { rank: 2, name: 'Acme EU', domain: 'acme.io', overallScore: 71 },
+    { rank: 3, name: 'Row 9', domain: '', overallScore: 64 },
+    { rank: 4, name: 'Globex, Inc', domain: 'globex.com', overallScore: 5 }
+  ];
+  const salesforcePackage = buildSalesforcePackage(salesforceFields, { accounts });
+  const { files } = salesforcePackage;
+
+  describe('metadata schema', () => {
+
+    test('should produce package.xml, object files, a permission set and layout snippets', () => {
+      expect(Object.keys(files)).toEqual([
+        'hs_revenue_intelligence/package.xml',
+        'hs_revenue_intelligence/objects/Lead.object',
+        'hs_revenue_intelligence/objects/Account.object',
+        'hs_revenue_intelligence/objects/Contact.object',
+        'hs_revenue_intelligence/objects/Opportunity.object',
+        'hs_revenue_intelligence/permissionsets/HS_Revenue_Intelligence.permissionset',
+        'layout-snippets/Lead.layout-section.xml',
+        'layout-snippets/Account.layout-section.xml',
+        'layout-snippets/Contact.layout-section.xml',
+        'layout-snippets/Opportunity.layout-section.xml',
+        'data/accounts.csv',
+        'README.txt'
+      ]);
+    });
+
+    test('should validate every XML file against the Metadata API schema', () => {
+      const rootTypes = { xml: 'Package', object: 'CustomObject', permissionset: 'PermissionSet' };
+
+      Object.entries(files).filter(([path]) => /\.(xml|object|permissionset)$/.test(path)).forEach(([path, xml]) => {
+        const typeName = path.startsWith('layout-snippets/') ? 'Layout' : rootTypes[path.split('.').pop()];
+        expect({ path, errors: validateMetadataXml(xml, typeName) }).toEqual({ path, errors: [] });
+      });
+    });
+
+    test('should catch out-of-sequence and missing elements', () => {
+      const xml = `<?xml version="1.0"?><CustomObject xmlns="${METADATA_NAMESPACE}"><fields>
+        <fullName>Score__c</fullName><label>Score</label><description>Late</description><type>Number</type>
+      </fields></CustomObject>`;
+
+      expect(validateMetadataXml(xml, 'CustomObject')).toEqual([
+        'CustomObject/fields: <description> is out of sequence',
+        'CustomObject/fields: missing <precision>',
+        'CustomObject/fields: missing <scale>'
+      ]);
+    });
+  });
+
+  describe('package contents', () => {
+
+    test('should list every packaged field in package.xml and the permission set', () => {
+      const members = textOf(files['hs_revenue_intelligence/package.xml'], 'types:first-of-type members');
+      const permitted = textOf(files['hs_revenue_intelligence/permissionsets/HS_Revenue_Intelligence.permissionset'], 'fieldPermissions field');
+      const objectFields = Object.entries(files)
+        .filter(([path]) => path.endsWith('.object'))
+        .flatMap(([path, xml]) => textOf(xml, 'fields > fullName').map(name => `${path.match(/(\w+)\.object$/)[1]}.${name}`));
+
+      expect(members).toEqual([...objectFields].sort());
+      expect([...permitted].sort()).toEqual(members);
+      expect(members).toEqual(expect.arrayContaining([...salesforceFields.customFields.map(field => field.fullName), 'Lead.ICP_Fit_Score__c']));
+      expect(textOf(files['hs_revenue_intelligence/package.xml'], 'version')).toEqual(['59.0']);
+    });
+
+    test('should mirror account scores onto leads and add the account external ID', () => {
+      const lead = files['hs_revenue_intelligence/objects/Lead.object'];
+      const account = files['hs_revenue_intelligence/objects/Account.object'];
+
+      expect(textOf(lead, 'fields > fullName')).toEqual(['ICP_Fit_Score__c', 'Revenue_Intelligence_Tier__c']);
+      expect(textOf(lead, 'trackTrending')).toEqual([]);
+      expect(account).toContain([
+        '        <fullName>HS_Account_Key__c</fullName>',
+        '        <caseSensitive>false</caseSensitive>',
+        '        <description>H&amp;S Revenue Intelligence - External ID for scored account loads (normalised company domain)</description>',
+        '        <externalId>true</externalId>'
+      ].join('\n'));
+      expect(textOf(files['hs_revenue_intelligence/objects/Contact.object'], 'visibleLines')).toEqual(['10']);
+    });
+
+    test('should lay out fields in two columns with the external ID read-only', () => {
+      const snippet = files['layout-snippets/Account.layout-section.xml'];
+
+      expect(textOf(snippet, 'layoutSections > label')).toEqual(['H&S Revenue Intelligence']);
+      expect(textOf(snippet, 'layoutColumns:first-of-type field')).toEqual(['ICP_Fit_Score__c', 'HS_Account_Key__c']);
+      expect(textOf(snippet, 'layoutColumns:last-of-type field')).toEqual(['Revenue_Intelligence_Tier__c']);
+      expect(textOf(snippet, 'behavior')).toEqual(['Edit', 'Readonly', 'Edit']);
+    });
+
+    test('should refuse fields that would fail a deploy', () => {
+      expect(validateSalesforceFields([
+        { fullName: 'Account.Bad__Name__c', label: 'Bad', type: 'Text' },
+        { fullName: 'Widget.Size__c', label: 'Size', type: 'Number' },
+        { fullName: 'Opportunity.Margin__c', label: 'Margin', type: 'Currency', precision: 4, scale: 6 },
+        { fullName: 'Contact.Stage__c', label: 'Stage', type: 'Picklist', valueSet: { valueSetDefinition: { value: [] } } }
+      ])).toEqual([
+        'Account.Bad__Name__c: field names start with a letter, avoid double underscores and stay within 40 characters before __c',
+        'Account.Bad__Name__c: Text fields need length',
+        'Widget.Size__c: fullName must be <Lead|Account|Contact|Opportunity>.<Name>__c',
+        'Opportunity.Margin__c: precision must be 1-18 and scale between 0 and the precision',
+        'Contact.Stage__c: picklists need at least one value'
+      ]);
+      expect(() => buildSalesforcePackage({ customFields: [] })).toThrow('Cannot package Salesforce fields: No custom fields to package');
+    });
+  });
+
+  describe('account load', () => {
+
+    test('should key accounts on the normalised domain and keep the higher-ranked duplicate', () => {
+      expect(accountKey(' HTTPS://www.Globex.com/contact?ref=1 ')).toBe('globex.com');
+      expect(salesforcePackage.accounts.skipped).toEqual([
+        { name: 'Acme EU', reason: 'Duplicate of a higher-ranked acme.io' },
+        { name: 'Row 9', reason: 'No domain to key the account on' }
+      ]);
+      expect(files['data/accounts.csv']).toBe([
+        'HS_Account_Key__c,Name,Website,ICP_Fit_Score__c',
+        'acme.io,Acme,acme.io,8.7',
+        'globex.com,"Globex, Inc",globex.com,1'
+      ].join('\r\n'));
+      expect(files['README.txt']).toContain('--external-id HS_Account_Key__c');
+    });
+
+    test('should leave out the data file when there are no accounts', () => {
+      const { files: fieldsOnly } = buildSalesforcePackage(salesforceFields);
+
+      expect(fieldsOnly['data/accounts.csv']).toBeUndefined();
+      expect(accountLoadRows().rows).toEqual([]);
+      expect(fieldsOnly['README.txt']).toContain('No scored accounts were included');
+    });
+  });
+
+  test('should zip the files for download', async () => {
+    const zip = await JSZip.loadAsync(await salesforcePackageZip(salesforcePackage, 'uint8array'));
+
+    expect(Object.keys(zip.files).filter(path => !zip.files[path].dir)).toEqual(Object.keys(files));
+    expect(await zip.file('hs_revenue_intelligence/package.xml').async('string')).toBe(files['hs_revenue_intelligence/package.xml']);
+  });
+});
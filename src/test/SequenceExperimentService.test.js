@@ -0,0 +1,235 @@
+// SequenceExperimentService.test.js - A/B variant experiments, significance and winners
+
+import {
+  createExperiment,
+  validateExperiment,
+  normalCdf,
+  twoProportionZTest,
+  evaluateExperiment,
+  promoteWinners,
+  suggestStatsColumns,
+  importVariantStats,
+  winnersByPersona,
+  ALL_PERSONAS
+} from '../services/SequenceExperimentService';
+import { SalesAutomationService } from '../services/SalesAutomationService';
+
+describe('SequenceExperimentService', () => {
+
+  const outreach = SalesAutomationService.generateOutreachSequences({
+    targetIndustry: 'Logistics',
+    buyerPersona: { painPoints: ['forecast accuracy'] }
+  }, {});
+
+  const experiment = (stats, options = {}) => createExperiment(outreach, 1, {
+    metric: 'reply',
+    ...options,
+    variants: stats.map((counts, index) => ({ subject: `Subject ${index + 1}`, stats: counts }))
+  });
+
+  describe('experiments', () => {
+
+    test('should start from the step copy with lettered variants', () => {
+      const created = createExperiment(outreach, 4, { persona: 'Economic Buyer' });
+
+      expect(created).toMatchObject({
+        id: 'h-s-icp-qualified-prospects-step-4',
+        sequenceName: 'H&S ICP-Qualified Prospects',
+        stepNumber: 4,
+        persona: 'Economic Buyer',
+        status: 'running',
+        winnerId: null
+      });
+      expect(created.variants.map(variant => [variant.id, variant.label])).toEqual([['A', 'Variant A'], ['B', 'Variant B']]);
+      expect(created.variants[0].subject).toBe('Final follow-up: {{prospect.company}} + forecast accuracy');
+      expect(created.variants[1].stats).toEqual({ sent: 0, opened: 0, replied: 0, meetings: 0 });
+      expect(createExperiment(outreach, 4, {}, [created]).id).toBe('h-s-icp-qualified-prospects-step-4-2');
+    });
+
+    test('should require distinct variants with subjects', () => {
+      expect(validateExperiment(experiment([{}, {}]))).toEqual([]);
+      expect(validateExperiment(createExperiment(outreach, 1))).toEqual(['Each variant needs different copy']);
+      expect(validateExperiment(createExperiment(outreach, 1, { metric: 'clicks', variants: [{ subject: '' }] }))).toEqual([
+        'Unknown metric: clicks',
+        'An experiment needs at least two variants',
+        'Variant A needs a subject line'
+      ]);
+    });
+  });
+
+  describe('significance', () => {
+
+    test('should approximate the standard normal distribution', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+      expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+      expect(normalCdf(-1)).toBeCloseTo(0.158655, 6);
+    });
+
+    test('should run a two-proportion z-test', () => {
+      const result = twoProportionZTest(80, 1000, 50, 1000);
+
+      expect(result.rateA).toBe(0.08);
+      expect(result.z).toBeCloseTo(2.721, 3);
+      expect(result.pValue).toBeCloseTo(0.0065, 4);
+      expect(twoProportionZTest(0, 0, 5, 100).pValue).toBe(1);
+    });
+
+    test('should wait for enough sends before declaring a winner', () => {
+      const evaluation = evaluateExperiment(experiment([{ sent: 90, replied: 2 }, { sent: 90, replied: 20 }]));
+
+      expect(evaluation.leaderId).toBe('B');
+      expect(evaluation.winnerId).toBeNull();
+      expect(evaluation.summary).toBe('Waiting for 100 sends per variant');
+    });
+
+    test('should declare a winner that beats every variant after correction', () => {
+      const evaluation = evaluateExperiment(experiment([
+        { sent: 1000, replied: 50 },
+        { sent: 1000, replied: 80 }
+      ]));
+
+      expect(evaluation.winnerId).toBe('B');
+      expect(evaluation.summary).toBe('Variant B wins on reply rate');
+      expect(evaluation.variants[1].lift).toBeCloseTo(0.6, 10);
+      expect(evaluation.variants[0].pValue).toBeCloseTo(0.0065, 4);
+
+      // p = 0.0065 clears 0.05 but not 0.05 / 3 against a close third and fourth variant
+      const crowded = evaluateExperiment(experiment([
+        { sent: 1000, replied: 50 },
+        { sent: 1000, replied: 80 },
+        { sent: 1000, replied: 75 },
+        { sent: 1000, replied: 40 }
+      ]));
+      expect(crowded.alpha).toBeCloseTo(0.05 / 3, 10);
+      expect(crowded.winnerId).toBeNull();
+      expect(crowded.summary).toBe('No significant difference yet');
+    });
+
+    test('should promote only running experiments with a winner', () => {
+      const clear = experiment([{ sent: 1000, replied: 50 }, { sent: 1000, replied: 80 }]);
+      const close = experiment([{ sent: 1000, replied: 50 }, { sent: 1000, replied: 55 }]);
+      const [promoted, running] = promoteWinners([clear, close]);
+
+      expect(promoted).toMatchObject({ status: 'completed', winnerId: 'B' });
+      expect(promoted.completedAt).toEqual(expect.any(String));
+      expect(running).toBe(close);
+    });
+  });
+
+  describe('importing results', () => {
+
+    test('should recognise Outreach and SalesLoft report headers', () => {
+      expect(suggestStatsColumns(['Sequence Name', 'Step Number', 'Template Name', 'Delivered', 'Unique Opens', 'Replies', 'Meetings Booked'])).toEqual({
+        sequence: 'Sequence Name',
+        step: 'Step Number',
+        variant: 'Template Name',
+        sent: 'Delivered',
+        opened: 'Unique Opens',
+        replied: 'Replies',
+        meetings: 'Meetings Booked'
+      });
+    });
+
+    test('should apply counts, promote winners and report rows it could not use', () => {
+      const stepOne = experiment([{}, {}]);
+      const stepFour = createExperiment(outreach, 4, { variants: [{ subject: 'Last note' }, { subject: 'Closing the loop' }] }, [stepOne]);
+      const csv = [
+        'Sequence,Step,Variant,Sent,Opened,Replied,Meetings',
+        'H&S ICP-Qualified Prospects,1,Variant A,"1,000",400,50,5',
+        'H&S ICP-Qualified Prospects,1,subject 2,1000,420,80,9',
+        'H&S ICP-Qualified Prospects,4,Closing the loop,300,120,12,1',
+        'H&S ICP-Qualified Prospects,4,Variant C,300,120,12,1',
+        'Other Sequence,1,Variant A,300,120,12,1',
+        'H&S ICP-Qualified Prospects,4,Last note,300,120,400,1',
+        'H&S ICP-Qualified Prospects,4,Variant A,lots,120,12,1'
+      ].join('\n');
+
+      const { experiments, applied, skipped } = importVariantStats([stepOne, stepFour], csv);
+
+      expect(applied).toBe(3);
+      expect(experiments[0]).toMatchObject({ status: 'completed', winnerId: 'B' });
+      expect(experiments[0].variants[0].stats).toEqual({ sent: 1000, opened: 400, replied: 50, meetings: 5 });
+      expect(experiments[1].status).toBe('running');
+      expect(experiments[1].variants[1].stats.sent).toBe(300);
+      expect(stepOne.variants[0].stats.sent).toBe(0);
+      expect(skipped).toEqual([
+        { row: 5, reason: 'No experiment variant matches "Variant C"' },
+        { row: 6, reason: 'No experiment variant matches "Variant A"' },
+        { row: 7, reason: 'Opens, replies and meetings cannot exceed sends' },
+        { row: 8, reason: 'Counts must be whole numbers' }
+      ]);
+    });
+
+    test('should refuse ambiguous rows and CSVs without the required columns', () => {
+      const first = experiment([{}, {}]);
+      const second = createExperiment(outreach, 4, { variants: [{ subject: 'Last note' }, { subject: 'Closing the loop' }] }, [first]);
+
+      expect(importVariantStats([first, second], 'Variant,Sent,Replied\nVariant B,100,5').skipped)
+        .toEqual([{ row: 2, reason: '"Variant B" matches 2 variants; add sequence and step columns' }]);
+      expect(() => importVariantStats([first], 'Name,Replies\nA,5')).toThrow(/variant .* column and a sent column/);
+    });
+  });
+
+  describe('winners by persona', () => {
+
+    const won = (persona, replies, completedAt) => ({
+      ...experiment([{ sent: 1000, replied: 50 }, { sent: 1000, replied: replies }], { persona }),
+      variants: [
+        { id: 'A', label: 'Control', subject: 'Quick question', body: '', stats: { sent: 1000, opened: 0, replied: 50, meetings: 0 } },
+        { id: 'B', label: 'Challenger', subject: `Ideas for {{prospect.company}} (${persona || 'any'})`, body: '', stats: { sent: 1000, opened: 0, replied: replies, meetings: 0 } }
+      ],
+      status: 'completed',
+      winnerId: 'B',
+      completedAt
+    });
+
+    test('should index completed winners by persona, sequence and step', () => {
+      const winners = winnersByPersona([
+        won('Economic Buyer', 80, '2026-01-01T00:00:00.000Z'),
+        won('', 90, '2026-02-01T00:00:00.000Z'),
+        experiment([{}, {}])
+      ]);
+
+      expect(Object.keys(winners)).toEqual(['economic buyer', ALL_PERSONAS]);
+      expect(winners['economic buyer']['H&S ICP-Qualified Prospects'][1]).toMatchObject({
+        metric: 'reply',
+        variant: { id: 'B', subject: 'Ideas for {{prospect.company}} (Economic Buyer)' }
+      });
+      expect(winners[ALL_PERSONAS]['H&S ICP-Qualified Prospects'][1].lift).toBeCloseTo(0.8, 10);
+    });
+
+    test('should let optimizeSequenceForPersona prefer the persona winner over the general one', () => {
+      const winners = winnersByPersona([won('Economic Buyer', 80, '2026-01-01T00:00:00.000Z'), won('', 90, '2026-02-01T00:00:00.000Z')]);
+      const base = outreach.prospectingSequence;
+
+      const forBuyer = SalesAutomationService.optimizeSequenceForPersona(base, { name: 'Economic Buyer' }, winners);
+      expect(forBuyer.steps[0].subject).toBe('Ideas for {{prospect.company}} (Economic Buyer)');
+      expect(forBuyer.steps[0].template).toBe(base.steps[0].template);
+      expect(forBuyer.steps[0].experimentWinner).toMatchObject({ variantId: 'B', metric: 'reply' });
+      expect(forBuyer.steps[1]).toBe(base.steps[1]);
+
+      const forOthers = SalesAutomationService.optimizeSequenceForPersona(base, { name: 'Technical Buyer' }, winners);
+      expect(forOthers.steps[0].subject).toBe('Ideas for {{prospect.company}} (any)');
+    });
+
+    test('should apply winners to the SalesLoft cadence touch they were tested on', () => {
+      const cadences = SalesAutomationService.generateSalesLoftCadences({}, {});
+      const tested = createExperiment(cadences, 4, {
+        persona: 'Economic Buyer',
+        variants: [{ subject: 'Case study', stats: { sent: 1000, replied: 40 } }, { subject: 'How Acme cut costs', body: 'Hi {{prospect.first_name}}', stats: { sent: 1000, replied: 90 } }]
+      });
+      const winners = winnersByPersona([{ ...tested, status: 'completed', winnerId: 'B', completedAt: '2026-03-01T00:00:00.000Z' }]);
+
+      const result = SalesAutomationService.applyCadenceWinners(cadences, { name: 'Economic Buyer' }, winners);
+      const touches = result.multiTouchCadence.touches;
+      expect(touches[3]).toMatchObject({
+        subject: 'How Acme cut costs',
+        body: 'Hi {{prospect.first_name}}',
+        template: 'h_s_case_study_share',
+        experimentWinner: { variantId: 'B', metric: 'reply' }
+      });
+      expect(touches[0]).toBe(cadences.multiTouchCadence.touches[0]);
+      expect(SalesAutomationService.applyCadenceWinners(cadences, { name: 'Technical Buyer' }, winners)).toBe(cadences);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// SequenceExportService.test.js - Outreach/SalesLoft sequence export, linting and preview
+
+import {
+  templateVariables,
+  normalizeSequence,
+  renderTemplate,
+  previewSequence,
+  lintSequence,
+  translateVariables,
+  toOutreachSequence,
+  toSalesLoftCSV,
+  sequenceExportFile,
+  SALESLOFT_COLUMNS,
+  SAMPLE_PROSPECT
+} from '../services/SequenceExportService';
+import { SalesAutomationService } from '../services/SalesAutomationService';
+import { parseCSV } from '../services/ProspectBatchScoringService';
+
+describe('SequenceExportService', () => {
+
+  const icpData = {
+    targetIndustry: 'Logistics',
+    buyerPersona: { painPoints: ['forecast accuracy'] }
+  };
+  const outreach = SalesAutomationService.generateOutreachSequences(icpData, {});
+  const salesloft = SalesAutomationService.generateSalesLoftCadences(icpData, {});
+
+  const sequence = (steps) => ({ name: 'Test', steps });
+  const email = (subject, template, stepNumber = 1) => ({ stepNumber, type: 'email', delay: 0, subject, template });
+
+  describe('normalizing and rendering', () => {
+
+    test('should list merge variables in order of first use', () => {
+      expect(templateVariables('Hi {{ prospect.first_name }}, {{prospect.company}} and {{prospect.first_name}}'))
+        .toEqual(['prospect.first_name', 'prospect.company']);
+    });
+
+    test('should turn Outreach delays into days and keep SalesLoft days', () => {
+      expect(normalizeSequence(outreach).steps.map(step => step.day)).toEqual([1, 4, 9, 16]);
+
+      const cadence = normalizeSequence(salesloft);
+      expect(cadence.steps.map(step => step.day)).toEqual([1, 4, 7, 10, 14, 18, 21]);
+      expect(cadence.steps[0].template).toBe('h_s_initial_outreach');
+      expect(cadence.steps[2].notes).toContain('Budget authority confirmed');
+    });
+
+    test('should render a template against a prospect row and report unfilled variables', () => {
+      const { text, missing } = renderTemplate('Hi {{prospect.first_name}} at {{prospect.company}} - {{timeframe}}', {
+        ...SAMPLE_PROSPECT,
+        company: ''
+      });
+
+      expect(text).toBe('Hi Dana at {{prospect.company}} - {{timeframe}}');
+      expect(missing).toEqual(['prospect.company', 'timeframe']);
+    });
+
+    test('should preview every step with the sample prospect', () => {
+      const preview = previewSequence(outreach);
+
+      expect(preview).toHaveLength(4);
+      expect(preview[0].body).toMatch(/^Hi Dana,/);
+      expect(preview[0].subject).toBe('Quick question about forecast accuracy');
+      expect(preview[3].subject).toBe('Final follow-up: RouteCo + forecast accuracy');
+      expect(preview[1].missing).toContain('improvement_metric_1');
+    });
+  });
+
+  describe('linting', () => {
+
+    test('should flag the unfilled placeholders in the generated Outreach sequence', () => {
+      const { isValid, issues } = lintSequence(outreach);
+      const unknown = issues.filter(issue => issue.rule === 'unknown-variable');
+
+      expect(isValid).toBe(false);
+      expect(unknown.map(issue => issue.step)).toEqual(expect.arrayContaining([2, 4]));
+      expect(unknown.find(issue => issue.step === 2).message).toBe('{{previous.subject}} is not a known Outreach merge variable');
+      expect(issues.some(issue => issue.step === 1)).toBe(false);
+    });
+
+    test('should flag raw placeholders, spam triggers and long subjects', () => {
+      // A JavaScript placeholder the generator left unfilled
+      const rawPlaceholder = ['$', '{painPoint}'].join('');
+      const { issues } = lintSequence(sequence([
+        email('Act now: a risk-free offer for {{prospect.company}} that is far too long to read', `Hi {{prospect.first_name}}, ${rawPlaceholder}. Click here!`)
+      ]));
+
+      expect(issues.map(issue => [issue.rule, issue.severity])).toEqual([
+        ['raw-placeholder', 'error'],
+        ['spam-trigger', 'warning'],
+        ['spam-trigger', 'warning'],
+        ['spam-trigger', 'warning'],
+        ['subject-length', 'warning']
+      ]);
+      expect(issues.filter(issue => issue.rule === 'spam-trigger').map(issue => issue.message))
+        .toEqual(['"act now" is a common spam trigger', '"click here" is a common spam trigger', '"risk-free" is a common spam trigger']);
+    });
+
+    test('should flag email steps without personalization or a body', () => {
+      const { issues } = lintSequence(sequence([email('Checking in', 'Just following up.'), email('Hello', '', 2)]));
+
+      expect(issues.map(issue => `${issue.step}:${issue.rule}`)).toEqual([
+        '1:missing-personalization',
+        '2:missing-body',
+        '2:missing-personalization'
+      ]);
+    });
+
+    test('should accept SalesLoft email steps that use a platform template', () => {
+      const { isValid, issues } = lintSequence(salesloft, { platform: 'salesloft' });
+
+      expect(isValid).toBe(true);
+      expect(issues).toEqual([]);
+      expect(lintSequence(salesloft, { platform: 'outreach' }).issues.filter(issue => issue.rule === 'missing-body')).toHaveLength(3);
+    });
+  });
+
+  describe('platform files', () => {
+
+    test('should translate known merge variables and leave unknown ones alone', () => {
+      const text = '{{prospect.first_name}} at {{prospect.company}} from {{sender.first_name}} {{timeframe}}';
+
+      expect(translateVariables(text, 'outreach')).toBe('{{first_name}} at {{account.name}} from {{sender.first_name}} {{timeframe}}');
+      expect(translateVariables(text, 'salesloft')).toBe('{{first_name}} at {{company}} from {{my.first_name}} {{timeframe}}');
+    });
+
+    test('should build an Outreach sequence with minute intervals and HTML templates', () => {
+      const { sequence: header, steps } = toOutreachSequence(outreach);
+
+      expect(header).toMatchObject({ name: 'H&S ICP-Qualified Prospects', sequenceType: 'interval' });
+      expect(steps.map(step => [step.stepType, step.interval])).toEqual([
+        ['auto_email', 0],
+        ['auto_email', 3 * 24 * 60],
+        ['linkedin_send_connection_request', 5 * 24 * 60],
+        ['auto_email', 7 * 24 * 60]
+      ]);
+      expect(steps[0].template.subject).toBe('Quick question about {{custom2}}');
+      expect(steps[0].template.bodyHtml).toMatch(/^<p>Hi \{\{first_name\}\},<\/p><p>I noticed \{\{account.name\}\}/);
+      expect(steps[2].template).toBeNull();
+      expect(steps[2].taskNote).toContain('{{first_name}}');
+    });
+
+    test('should build a SalesLoft cadence CSV with one row per step', () => {
+      const { headers, rows } = parseCSV(toSalesLoftCSV(salesloft));
+
+      expect(headers).toEqual(SALESLOFT_COLUMNS);
+      expect(rows).toHaveLength(7);
+      expect(rows[0]).toMatchObject({
+        Day: '1',
+        'Step Type': 'Email',
+        Subject: 'Quick question about {{custom_fields.primary_challenge}}',
+        Template: 'h_s_initial_outreach'
+      });
+      expect(rows[0].Instructions).toBe('Personalize: prospect.icp_fit_reasons, prospect.primary_pain_points, prospect.financial_impact_preview');
+      expect(rows[2]).toMatchObject({ 'Step Type': 'Phone', Subject: '' });
+    });
+
+    test('should name the file for each platform and reject unknown platforms', () => {
+      const file = sequenceExportFile('outreach', outreach);
+
+      expect(file.filename).toBe('outreach-sequence.json');
+      expect(JSON.parse(file.content).steps).toHaveLength(4);
+      expect(sequenceExportFile('salesloft', salesloft).mimeType).toMatch(/^text\/csv/);
+      expect(() => sequenceExportFile('hubspot', outreach)).toThrow('Unsupported sequence platform: hubspot');
+    });
+  });
+});
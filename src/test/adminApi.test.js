@@ -0,0 +1,297 @@
+/**
+ * @jest-environment node
+ */
+// adminApi.test.js - Admin session API, admin auth and server-side Airtable sync tests
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { createAdminRouter, describeSession } = require('../../lib/adminApi');
+const { extractAdminToken, isValidAdminToken } = require('../../lib/adminAuth');
+const { createAirtableResourceSync, toUiResources, buildResourceSyncFields } = require('../../lib/airtableResourceSync');
+const { createSessionStore } = require('../../lib/sessionStore');
+
+const TOKEN = 'test-admin-token-0123456789';
+
+function request(server, method, urlPath, { token = TOKEN, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path: urlPath,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) })
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+const storedSession = {
+  sessionId: 'sess_1',
+  customerId: 'CUST_5',
+  recordId: 'rec123',
+  productName: 'Acme Analytics',
+  generationStatus: 'completed_with_warnings',
+  qualityMetrics: { overall_confidence: 7.5 },
+  validationResults: { content_quality_check: 'warning' },
+  resources: {
+    icp_analysis: { title: 'ICP', confidence_score: 8, content: { text: '# ICP' }, generated: true },
+    persona: { title: 'Personas', confidence_score: 7, content: { text: '# Personas' }, generated: true },
+    empathyMap: { title: 'Empathy Map', confidence_score: 7, content: { text: '# Empathy' }, generated: true },
+    productPotential: { title: 'Assessment', confidence_score: 8, content: { text: '# Assessment' }, generated: true }
+  }
+};
+
+describe('admin auth', () => {
+
+  test('should read bearer and X-Admin-Token headers', () => {
+    expect(extractAdminToken({ authorization: 'Bearer abc' })).toBe('abc');
+    expect(extractAdminToken({ 'x-admin-token': 'def' })).toBe('def');
+    expect(extractAdminToken({})).toBeNull();
+  });
+
+  test('should compare tokens exactly', () => {
+    expect(isValidAdminToken(TOKEN, TOKEN)).toBe(true);
+    expect(isValidAdminToken(`${TOKEN}x`, TOKEN)).toBe(false);
+    expect(isValidAdminToken('', TOKEN)).toBe(false);
+    expect(isValidAdminToken(TOKEN, undefined)).toBe(false);
+  });
+});
+
+describe('admin session API', () => {
+
+  let directory;
+  let sessionStore;
+  let resourceSync;
+  let server;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-api-'));
+    sessionStore = createSessionStore({ backend: 'filesystem', directory }, {});
+    resourceSync = {
+      syncGeneratedResourcesToAirtable: jest.fn().mockResolvedValue({
+        success: true,
+        recordId: 'recAirtable',
+        updatedFields: ['Detailed ICP Analysis', 'Last Accessed']
+      })
+    };
+
+    const app = express();
+    app.use('/api/admin', createAdminRouter({ sessionStore, resourceSync, token: TOKEN }));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    await sessionStore.put('sess_1', storedSession, { customerId: 'CUST_5' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await sessionStore.put('sess_2', { generationStatus: 'completed' }, { customerId: 'CUST_6' });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should reject requests without a valid token', async () => {
+    expect((await request(server, 'GET', '/api/admin/sessions', { token: null })).status).toBe(401);
+    expect((await request(server, 'GET', '/api/admin/sessions', { token: 'wrong' })).status).toBe(401);
+  });
+
+  test('should answer 503 when no admin token is configured', async () => {
+    const app = express();
+    app.use('/api/admin', createAdminRouter({ sessionStore, env: {} }));
+    const unconfigured = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const response = await request(unconfigured, 'GET', '/api/admin/sessions');
+    await new Promise(resolve => unconfigured.close(resolve));
+    expect(response.status).toBe(503);
+  });
+
+  test('should list sessions with filters and pagination', async () => {
+    const all = await request(server, 'GET', '/api/admin/sessions?limit=1');
+    expect(all.status).toBe(200);
+    expect(all.body.sessions.map(session => session.sessionId)).toEqual(['sess_2']);
+    expect(all.body.nextCursor).toEqual(expect.any(String));
+
+    const next = await request(server, 'GET', `/api/admin/sessions?limit=1&cursor=${all.body.nextCursor}`);
+    expect(next.body.sessions.map(session => session.sessionId)).toEqual(['sess_1']);
+    expect(next.body.nextCursor).toBeNull();
+
+    const filtered = await request(server, 'GET', '/api/admin/sessions?customerId=CUST_5&status=completed_with_warnings');
+    expect(filtered.body.sessions).toHaveLength(1);
+    expect(filtered.body.sessions[0]).toMatchObject({ sessionId: 'sess_1', status: 'completed_with_warnings' });
+    expect(filtered.body.sessions[0].data).toBeUndefined();
+
+    const future = await request(server, 'GET', `/api/admin/sessions?from=${new Date(Date.now() + 60000).toISOString()}`);
+    expect(future.body.sessions).toEqual([]);
+  });
+
+  test('should reject invalid filters', async () => {
+    expect((await request(server, 'GET', '/api/admin/sessions?from=yesterday')).status).toBe(400);
+    expect((await request(server, 'GET', '/api/admin/sessions?status=DROP%20TABLE')).status).toBe(400);
+    expect((await request(server, 'GET', '/api/admin/sessions?limit=-1')).status).toBe(400);
+    expect((await request(server, 'GET', '/api/admin/sessions?cursor=garbage')).status).toBe(400);
+    expect((await request(server, 'GET', '/api/admin/sessions?customerId=../x')).status).toBe(400);
+  });
+
+  test('should return metadata without generated content', async () => {
+    const response = await request(server, 'GET', '/api/admin/sessions/sess_1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.session).toMatchObject({
+      sessionId: 'sess_1',
+      customerId: 'CUST_5',
+      status: 'completed_with_warnings',
+      confidence: 7.5,
+      qualityMetrics: { overall_confidence: 7.5 },
+      productName: 'Acme Analytics'
+    });
+    expect(response.body.session.resources.persona).toMatchObject({ title: 'Personas', confidence: 7 });
+    expect(JSON.stringify(response.body)).not.toContain('# Personas');
+  });
+
+  test('should 404 for unknown or malformed session IDs', async () => {
+    expect((await request(server, 'GET', '/api/admin/sessions/missing')).status).toBe(404);
+    expect((await request(server, 'GET', '/api/admin/sessions/..%2Fetc')).status).toBe(404);
+    expect((await request(server, 'DELETE', '/api/admin/sessions/missing')).status).toBe(404);
+  });
+
+  test('should delete a session', async () => {
+    const response = await request(server, 'DELETE', '/api/admin/sessions/sess_1');
+
+    expect(response.body).toMatchObject({ success: true, deleted: true });
+    expect(await sessionStore.get('sess_1')).toBeNull();
+  });
+
+  test('should expire a session now or after a grace period', async () => {
+    const later = await request(server, 'POST', '/api/admin/sessions/sess_1/expire', { body: { ttlSeconds: 3600 } });
+    expect(later.status).toBe(200);
+    expect(new Date(later.body.session.expiresAt).getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+
+    await request(server, 'POST', '/api/admin/sessions/sess_1/expire');
+    expect(await sessionStore.get('sess_1')).toBeNull();
+
+    expect((await request(server, 'POST', '/api/admin/sessions/sess_2/expire', { body: { ttlSeconds: -5 } })).status).toBe(400);
+  });
+
+  test('should redeliver resources to Airtable in UI format', async () => {
+    const response = await request(server, 'POST', '/api/admin/sessions/sess_1/redeliver');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, customerId: 'CUST_5', recordId: 'recAirtable' });
+    expect(resourceSync.syncGeneratedResourcesToAirtable).toHaveBeenCalledWith('CUST_5', expect.objectContaining({
+      buyer_personas: expect.objectContaining({ content: '# Personas' }),
+      product_market_assessment: expect.objectContaining({ content: '# Assessment' })
+    }));
+  });
+
+  test('should report a failed redelivery as a bad gateway', async () => {
+    resourceSync.syncGeneratedResourcesToAirtable.mockResolvedValue({ success: false, error: 'Customer record not found' });
+
+    const response = await request(server, 'POST', '/api/admin/sessions/sess_1/redeliver');
+    expect(response.status).toBe(502);
+    expect(response.body).toMatchObject({ success: false, error: 'Customer record not found' });
+  });
+
+  test('should answer 503 for a redelivery when Airtable sync is not configured', async () => {
+    const app = express();
+    app.use('/api/admin', createAdminRouter({ sessionStore, resourceSync: null, token: TOKEN }));
+    const unconfigured = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+      const response = await request(unconfigured, 'POST', '/api/admin/sessions/sess_1/redeliver');
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('Airtable sync is not configured on this server');
+    } finally {
+      await new Promise(resolve => unconfigured.close(resolve));
+    }
+  });
+});
+
+describe('describeSession', () => {
+
+  test('should fall back to the Netlify averageConfidence', () => {
+    const summary = describeSession({ sessionId: 's', data: { averageConfidence: 8.2, resources: {} } });
+    expect(summary.confidence).toBe(8.2);
+    expect(summary.sizeBytes).toBeGreaterThan(0);
+  });
+});
+
+describe('airtableResourceSync', () => {
+
+  test('should map both stored shapes onto UI resource keys', () => {
+    const netlify = toUiResources({ resources: { buyer_personas: { content: 'Personas' }, product_assessment: { content: 'PMF' } } });
+    expect(netlify.buyer_personas.content).toBe('Personas');
+    expect(netlify.product_market_assessment.content).toBe('PMF');
+
+    expect(toUiResources(storedSession).empathy_map.content).toBe('# Empathy');
+  });
+
+  test('should build the same fields as the frontend sync', () => {
+    const now = new Date('2026-03-01T12:00:00.000Z');
+    const fields = buildResourceSyncFields({ icp_analysis: { content: 'abc', confidence_score: 9 } }, now);
+
+    expect(Object.keys(fields)).toEqual(['Detailed ICP Analysis', 'Last Accessed']);
+    expect(JSON.parse(fields['Detailed ICP Analysis'])).toEqual({
+      title: 'Ideal Customer Profile Analysis',
+      content: 'abc',
+      confidence_score: 9,
+      generation_date: '2026-03-01',
+      word_count: 3,
+      status: 'generated',
+      generation_method: 'template_enhanced_realistic'
+    });
+    expect(buildResourceSyncFields({}, now)).toBeNull();
+  });
+
+  test('should look up the customer record and patch it', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ records: [{ id: 'rec42' }] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ records: [{ id: 'rec42' }] }) });
+    const sync = createAirtableResourceSync({ apiKey: 'pat', baseId: 'app', fetch });
+
+    const result = await sync.syncGeneratedResourcesToAirtable('CUST_5', toUiResources(storedSession));
+
+    expect(result).toMatchObject({ success: true, recordId: 'rec42' });
+    expect(new URL(fetch.mock.calls[0][0]).searchParams.get('filterByFormula')).toBe("{Customer ID} = 'CUST_5'");
+    expect(fetch.mock.calls[1][1].method).toBe('PATCH');
+    expect(JSON.parse(fetch.mock.calls[1][1].body).records[0].id).toBe('rec42');
+  });
+
+  test('should resolve with an error instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      json: async () => ({ error: { type: 'AUTHENTICATION_REQUIRED' } })
+    });
+    const sync = createAirtableResourceSync({ apiKey: 'pat', baseId: 'app', fetch });
+
+    const result = await sync.syncGeneratedResourcesToAirtable('CUST_5', toUiResources(storedSession));
+    expect(result).toEqual({ success: false, error: 'Airtable GET failed (401): AUTHENTICATION_REQUIRED' });
+
+    const unconfigured = createAirtableResourceSync({ env: {}, fetch });
+    expect((await unconfigured.syncGeneratedResourcesToAirtable('CUST_5', toUiResources(storedSession))).error)
+      .toContain('AIRTABLE_API_KEY');
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * @jest-environment node
+ */
+// airtableSyncOutbox.test.js - Persistent retry queue and dead letters for Airtable syncs
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AirtableSyncOutbox,
+  createAirtableSyncOutbox,
+  backoffDelay
+} = require('../../lib/airtableSyncOutbox');
+
+const RESOURCES = {
+  icp_analysis: { content: 'ICP analysis text', confidence_score: 9 },
+  buyer_personas: { content: 'Persona text' }
+};
+
+const START = new Date('2026-01-01T00:00:00.000Z');
+const later = (ms) => new Date(START.getTime() + ms);
+
+describe('backoffDelay', () => {
+
+  test('should double the delay per attempt up to the cap', () => {
+    expect(backoffDelay(1, 1000, 10000)).toBe(1000);
+    expect(backoffDelay(2, 1000, 10000)).toBe(2000);
+    expect(backoffDelay(3, 1000, 10000)).toBe(4000);
+    expect(backoffDelay(10, 1000, 10000)).toBe(10000);
+  });
+});
+
+describe('AirtableSyncOutbox', () => {
+
+  let directory;
+  let deliver;
+  let outbox;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airtable-outbox-'));
+    deliver = jest.fn();
+    outbox = new AirtableSyncOutbox({ directory, deliver, maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 60000 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    outbox.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const enqueue = (sessionId = 'session-1') =>
+    outbox.enqueue({ sessionId, customerId: 'CUST_1', resources: RESOURCES }, START);
+
+  test('should persist an enqueued job with its payload', async () => {
+    const job = await enqueue();
+
+    expect(job).toMatchObject({
+      id: 'session-1',
+      customerId: 'CUST_1',
+      attempts: 0,
+      state: 'pending',
+      nextAttemptAt: START.toISOString()
+    });
+
+    const reloaded = new AirtableSyncOutbox({ directory, deliver });
+    const pending = await reloaded.listPending();
+    expect(pending).toHaveLength(1);
+    expect(pending[0].payload.resources).toEqual(RESOURCES);
+  });
+
+  test('should not queue resources with nothing to write', async () => {
+    const job = await outbox.enqueue({ sessionId: 'session-1', customerId: 'CUST_1', resources: { icp_analysis: {} } });
+
+    expect(job).toBeNull();
+    expect(await outbox.listPending()).toEqual([]);
+  });
+
+  test('should reject invalid session and customer IDs', async () => {
+    await expect(outbox.enqueue({ sessionId: '../escape', customerId: 'CUST_1', resources: RESOURCES }))
+      .rejects.toMatchObject({ code: 'INVALID_ID' });
+    await expect(outbox.enqueue({ sessionId: 'session-1', customerId: null, resources: RESOURCES }))
+      .rejects.toMatchObject({ code: 'INVALID_ID' });
+  });
+
+  test('should remove a job once it is delivered', async () => {
+    deliver.mockResolvedValue({ success: true, recordId: 'rec123' });
+    await enqueue();
+
+    const results = await outbox.processDue(START);
+
+    expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ customerId: 'CUST_1' }));
+    expect(results).toEqual([{ jobId: 'session-1', outcome: 'delivered', recordId: 'rec123' }]);
+    expect(await outbox.stats()).toEqual({ pending: 0, deadLetter: 0 });
+  });
+
+  test('should back off exponentially after failures', async () => {
+    deliver.mockResolvedValue({ success: false, error: 'Airtable PATCH failed (503): Service Unavailable' });
+    await enqueue();
+
+    const [first] = await outbox.processDue(START);
+    expect(first).toMatchObject({ outcome: 'retry', nextAttemptAt: later(1000).toISOString() });
+
+    // Not due yet
+    expect(await outbox.processDue(later(999))).toEqual([]);
+
+    const [second] = await outbox.processDue(later(1000));
+    expect(second).toMatchObject({ outcome: 'retry', nextAttemptAt: later(3000).toISOString() });
+
+    const [job] = await outbox.listPending();
+    expect(job.attempts).toBe(2);
+    expect(job.lastError).toContain('503');
+    expect(job.errors).toHaveLength(2);
+  });
+
+  test('should treat a thrown delivery error as a failed attempt', async () => {
+    deliver.mockRejectedValue(new Error('socket hang up'));
+    await enqueue();
+
+    const [result] = await outbox.processDue(START);
+
+    expect(result).toMatchObject({ outcome: 'retry', error: 'socket hang up' });
+  });
+
+  test('should dead-letter a job after maxAttempts failures', async () => {
+    deliver.mockResolvedValue({ success: false, error: 'Customer record not found' });
+    await enqueue();
+
+    await outbox.processDue(START);
+    await outbox.processDue(later(1000));
+    const [result] = await outbox.processDue(later(3000));
+
+    expect(result).toMatchObject({ outcome: 'dead_letter', error: 'Customer record not found' });
+    expect(await outbox.listPending()).toEqual([]);
+
+    const [dead] = await outbox.listDeadLetters();
+    expect(dead).toMatchObject({
+      id: 'session-1',
+      state: 'dead_letter',
+      attempts: 3,
+      deadLetteredAt: later(3000).toISOString()
+    });
+  });
+
+  test('should replay a dead letter with a fresh attempt budget', async () => {
+    deliver.mockResolvedValue({ success: false, error: 'boom' });
+    outbox.maxAttempts = 1;
+    await enqueue();
+    await outbox.processDue(START);
+
+    const replayed = await outbox.replay('session-1', later(5000));
+
+    expect(replayed).toMatchObject({
+      state: 'pending',
+      attempts: 0,
+      nextAttemptAt: later(5000).toISOString(),
+      lastDeadLetteredAt: START.toISOString()
+    });
+    expect(replayed.errors).toHaveLength(1);
+    expect(await outbox.stats()).toEqual({ pending: 1, deadLetter: 0 });
+
+    deliver.mockResolvedValue({ success: true, recordId: 'rec123' });
+    const [result] = await outbox.processDue(later(5000));
+    expect(result.outcome).toBe('delivered');
+  });
+
+  test('should return null when replaying an unknown job', async () => {
+    expect(await outbox.replay('missing')).toBeNull();
+  });
+
+  test('should drop dead letters', async () => {
+    deliver.mockResolvedValue({ success: false, error: 'boom' });
+    outbox.maxAttempts = 1;
+    await enqueue();
+    await outbox.processDue(START);
+
+    expect(await outbox.drop('session-1')).toBe(true);
+    expect(await outbox.drop('session-1')).toBe(false);
+    expect(await outbox.stats()).toEqual({ pending: 0, deadLetter: 0 });
+  });
+
+  test('should replace the pending job and clear the dead letter when a session is re-enqueued', async () => {
+    deliver.mockResolvedValue({ success: false, error: 'boom' });
+    outbox.maxAttempts = 1;
+    await enqueue();
+    await outbox.processDue(START);
+
+    await enqueue();
+
+    expect(await outbox.stats()).toEqual({ pending: 1, deadLetter: 0 });
+    expect((await outbox.get('session-1')).attempts).toBe(0);
+  });
+
+  test('should keep a payload enqueued while an older one is being delivered', async () => {
+    const NEWER = { ...RESOURCES, icp_analysis: { content: 'Restored ICP analysis', confidence_score: 8 } };
+    const requeue = () => outbox.enqueue({ sessionId: 'session-1', customerId: 'CUST_1', resources: NEWER }, later(500));
+
+    deliver.mockImplementationOnce(async () => {
+      await requeue();
+      return { success: true, recordId: 'rec123' };
+    });
+    await enqueue();
+
+    const [delivered] = await outbox.processDue(START);
+    expect(delivered).toEqual({ jobId: 'session-1', outcome: 'superseded', recordId: 'rec123' });
+    const [pending] = await outbox.listPending();
+    expect(pending.payload.resources).toEqual(NEWER);
+    expect(pending.attempts).toBe(0);
+
+    // A failed stale attempt must not overwrite the newer job with its retry copy either
+    deliver.mockImplementationOnce(async () => {
+      await requeue();
+      return { success: false, error: 'boom' };
+    });
+    const [failed] = await outbox.processDue(later(500));
+    expect(failed.outcome).toBe('superseded');
+    const [kept] = await outbox.listPending();
+    expect(kept).toMatchObject({ attempts: 0, lastError: null, nextAttemptAt: later(500).toISOString() });
+    expect(kept.revision).not.toBe(pending.revision);
+    expect(await outbox.stats()).toEqual({ pending: 1, deadLetter: 0 });
+  });
+
+  test('should share one pass between overlapping processDue calls', async () => {
+    let release;
+    deliver.mockReturnValue(new Promise(resolve => { release = resolve; }));
+    await enqueue();
+
+    const first = outbox.processDue(START);
+    const second = outbox.processDue(START);
+    expect(second).toBe(first);
+
+    // Let the pass reach deliver() before releasing it
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+    release({ success: true, recordId: 'rec123' });
+    await first;
+    expect(deliver).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip unreadable job files', async () => {
+    await enqueue();
+    fs.writeFileSync(path.join(directory, 'pending', 'broken.json'), '{not json');
+
+    const pending = await outbox.listPending();
+
+    expect(pending.map(job => job.id)).toEqual(['session-1']);
+  });
+});
+
+describe('createAirtableSyncOutbox', () => {
+
+  test('should deliver through the resource sync and honour env overrides', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airtable-outbox-'));
+    const resourceSync = { syncGeneratedResourcesToAirtable: jest.fn().mockResolvedValue({ success: true, recordId: 'rec1' }) };
+    const outbox = createAirtableSyncOutbox({
+      resourceSync,
+      env: { AIRTABLE_OUTBOX_DIR: directory, AIRTABLE_OUTBOX_MAX_ATTEMPTS: '4' }
+    });
+
+    expect(outbox.directory).toBe(directory);
+    expect(outbox.maxAttempts).toBe(4);
+
+    await outbox.enqueue({ sessionId: 'session-1', customerId: 'CUST_1', resources: RESOURCES });
+    await outbox.processDue();
+
+    expect(resourceSync.syncGeneratedResourcesToAirtable).toHaveBeenCalledWith('CUST_1', RESOURCES);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
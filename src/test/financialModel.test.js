@@ -0,0 +1,357 @@
+// financialModel.test.js - Finance formulas and the models behind the calculators and business case
+
+import financialModel, {
+  currencyDecimals,
+  roundTo,
+  roundMoney,
+  formatMoney,
+  currencySymbol,
+  moneyPreferences,
+  fxRate,
+  convertMoney,
+  localizeBenchmark,
+  parseMoneyAmount,
+  npv,
+  irr,
+  paybackPeriod,
+  roi,
+  costOfDelay,
+  cumulativeLossCurve,
+  estimateSegmentRevenue,
+  estimateDealSize,
+  computeCostOfInaction,
+  computeRunRateCost,
+  estimateBusinessCaseInputs,
+  businessCaseReturns,
+  projectRevenueImprovement
+} from '../services/financialModel';
+
+describe('financialModel', () => {
+
+  describe('currency and rounding', () => {
+
+    test('should look up minor units per currency', () => {
+      expect(currencyDecimals()).toBe(2);
+      expect(currencyDecimals('JPY')).toBe(0);
+      expect(currencyDecimals('JPY')).toBe(0);
+    });
+
+    test('should round half away from zero without float noise', () => {
+      expect(roundTo(1.005, 2)).toBe(1.01);
+      expect(roundTo(2.5)).toBe(3);
+      expect(roundTo(-2.5)).toBe(-3);
+      expect(Object.is(roundTo(-0.001, 2), 0)).toBe(true);
+      expect(roundTo(NaN)).toBe(0);
+      expect(roundTo(Infinity, 2)).toBe(0);
+    });
+
+    test('should round money to whole units by default and never below the currency minor unit', () => {
+      expect(roundMoney(1234.567)).toBe(1235);
+      expect(roundMoney(1234.567, { decimals: 2 })).toBe(1234.57);
+      expect(roundMoney(1234.567, { currency: 'JPY', decimals: 2 })).toBe(1235);
+    });
+
+    test('should format money through Intl', () => {
+      expect(formatMoney(1234567.89)).toBe('$1,234,568');
+      expect(formatMoney(1234.5, { decimals: 2 })).toBe('$1,234.50');
+      expect(formatMoney(1250000, { compact: true })).toBe('$1.3M');
+      expect(formatMoney(85000, { compact: true })).toBe('$85K');
+      expect(formatMoney(1234, { currency: 'EUR', locale: 'de-DE' })).toBe('1.234 €');
+      expect(formatMoney(1234, { currency: 'GBP', locale: 'en-GB' })).toBe('£1,234');
+    });
+
+    test('should give the currency symbol for input labels', () => {
+      expect(currencySymbol()).toBe('$');
+      expect(currencySymbol({ currency: 'EUR', locale: 'de-DE' })).toBe('€');
+      expect(currencySymbol({ currency: 'GBP', locale: 'en-GB' })).toBe('£');
+    });
+
+    test('should parse amounts, suffixes and ranges from free text', () => {
+      expect(parseMoneyAmount(5000)).toBe(5000);
+      expect(parseMoneyAmount(NaN)).toBeNull();
+      expect(parseMoneyAmount('$75,000 total')).toBe(75000);
+      expect(parseMoneyAmount('$1.2M')).toBe(1200000);
+      expect(parseMoneyAmount('$25,000-$75,000')).toBe(50000);
+      expect(parseMoneyAmount('$100K - $500K')).toBe(300000);
+      expect(parseMoneyAmount('to be confirmed')).toBeNull();
+      expect(parseMoneyAmount(undefined)).toBeNull();
+    });
+  });
+
+  describe('core formulas', () => {
+
+    test('should discount cash flows to present value', () => {
+      expect(npv(0.1, [-100, 60, 60])).toBeCloseTo(4.1322, 4);
+      expect(npv(0, [-100, 60, 60])).toBe(20);
+    });
+
+    test('should find the rate where NPV is zero', () => {
+      const rate = irr([-100, 60, 60]);
+      expect(rate).toBeCloseTo(0.1307, 4);
+      expect(npv(rate, [-100, 60, 60])).toBeCloseTo(0, 5);
+    });
+
+    test('should fall back to bisection when Newton does not converge', () => {
+      expect(irr([-100, 60, 60], { maxIterations: 0 })).toBeCloseTo(0.1307, 4);
+      expect(irr([-100, 0, 0, 0, 0, 0, 0, 0, 0, 1000], { guess: -0.99 })).toBeCloseTo(0.2915, 4);
+    });
+
+    test('should return null when there is no rate of return', () => {
+      expect(irr([100, 50])).toBeNull();
+      expect(irr([-100, -50])).toBeNull();
+      // 1 - 3x + 3x^2 has no real root, so NPV never crosses zero
+      expect(irr([1, -3, 3])).toBeNull();
+    });
+
+    test('should interpolate payback within the period it turns positive', () => {
+      expect(paybackPeriod([-100, 40, 40, 40])).toBe(2.5);
+      expect(paybackPeriod([0, 10])).toBe(0);
+      expect(paybackPeriod([-100, 10, 10])).toBeNull();
+    });
+
+    test('should compute ROI as a percentage of cost', () => {
+      expect(roi(300, 100)).toBe(200);
+      expect(roi(50, 100)).toBe(-50);
+      expect(roi(100, 0)).toBeNull();
+    });
+
+    test('should accumulate the cost of delay with optional growth', () => {
+      expect(costOfDelay({ monthlyValue: 1000, delayMonths: 3 })).toBe(3000);
+      expect(costOfDelay({ monthlyValue: 1000, delayMonths: 3, monthlyGrowthRate: 0.1 })).toBe(3310);
+      expect(costOfDelay({ monthlyValue: 1000.555, delayMonths: 1 }, { decimals: 2 })).toBe(1000.56);
+    });
+
+    test('should build the cumulative loss curve from monthly or flat losses', () => {
+      expect(cumulativeLossCurve([100.4, 200.4])).toEqual([
+        { month: 'Month 1', monthlyLoss: 100, cumulativeLoss: 100 },
+        { month: 'Month 2', monthlyLoss: 200, cumulativeLoss: 301 }
+      ]);
+      expect(cumulativeLossCurve(50, { months: 3 }).map(point => point.cumulativeLoss)).toEqual([50, 100, 150]);
+    });
+  });
+
+  describe('currency preferences and FX', () => {
+
+    test('should resolve currency and locale from user preferences', () => {
+      expect(moneyPreferences()).toEqual({ currency: 'USD', locale: 'en-US' });
+      expect(moneyPreferences({ currency: 'EUR' })).toEqual({ currency: 'EUR', locale: 'de-DE' });
+      expect(moneyPreferences({ currency: 'GBP', locale: 'en-ie' })).toEqual({ currency: 'GBP', locale: 'en-IE' });
+    });
+
+    test('should fall back for unsupported currencies and malformed locales', () => {
+      expect(moneyPreferences({ currency: 'XYZ', locale: 'en-US' })).toEqual({ currency: 'USD', locale: 'en-US' });
+      expect(moneyPreferences({ currency: 'GBP', locale: 'not a locale!' })).toEqual({ currency: 'GBP', locale: 'en-GB' });
+    });
+
+    test('should look up cross rates from the FX table', () => {
+      expect(fxRate('USD', 'USD')).toBe(1);
+      expect(fxRate('USD', 'EUR')).toBe(0.86);
+      expect(fxRate('GBP', 'EUR')).toBeCloseTo(0.86 / 0.75, 10);
+      expect(() => fxRate('XYZ', 'EUR')).toThrow(new RangeError('No FX rate for XYZ'));
+      expect(() => fxRate('USD', 'XYZ')).toThrow(RangeError);
+    });
+
+    test('should convert and round for the target currency', () => {
+      expect(convertMoney(100000, { to: 'EUR' })).toBe(86000);
+      expect(convertMoney(1000, { from: 'GBP', to: 'USD', decimals: 2 })).toBe(1333.33);
+      expect(convertMoney(1000.5, { to: 'JPY', decimals: 2 })).toBe(148574);
+      expect(convertMoney(500)).toBe(500);
+    });
+
+    test('should convert benchmark defaults with the bundled or a supplied table', () => {
+      expect(localizeBenchmark(1000000)).toBe(1000000);
+      expect(localizeBenchmark(1000000, { currency: 'GBP' })).toBe(750000);
+      expect(localizeBenchmark(1000000, { currency: 'EUR', fxRates: { base: 'USD', rates: { USD: 1, EUR: 0.9 } } })).toBe(900000);
+    });
+  });
+
+  describe('ICP heuristics', () => {
+
+    test('should default revenue by segment', () => {
+      expect(estimateSegmentRevenue('Enterprise Tech')).toBe(50000000);
+      expect(estimateSegmentRevenue('Mid-Market SaaS')).toBe(10000000);
+      expect(estimateSegmentRevenue('Small Agencies')).toBe(2000000);
+      expect(estimateSegmentRevenue('Startups')).toBe(5000000);
+      expect(estimateSegmentRevenue('Enterprise Tech', { currency: 'EUR' })).toBe(43000000);
+    });
+
+    test('should size deals as a share of revenue by segment', () => {
+      expect(estimateDealSize(10000000, 'Enterprise')).toBe(200000);
+      expect(estimateDealSize(10000000, 'mid-market')).toBe(150000);
+      expect(estimateDealSize(10000000, 'SMB')).toBe(100000);
+      expect(estimateDealSize(10000000)).toBe(100000);
+    });
+  });
+
+  describe('computeCostOfInaction', () => {
+
+    const inputs = {
+      currentRevenue: 1200000,
+      targetGrowthRate: 20,
+      averageDealSize: 50000,
+      salesCycleLength: 90,
+      churnRate: 5,
+      timeframe: 12,
+      inefficiencyRate: 15,
+      baselineCycleDays: 60,
+      delayCostRate: 2
+    };
+
+    test('should total missed growth, inefficiency, churn and cycle cost', () => {
+      const result = computeCostOfInaction(inputs);
+
+      expect(result).toMatchObject({ currency: 'USD', totalCostOfInaction: 400000, monthlyImpact: 33333 });
+      expect(result.metrics).toEqual({ missedGrowthRevenue: 130000, inefficiencyLoss: 180000, churnImpact: 60000, salesCycleCost: 30000 });
+      expect(result.impactCategories.map(category => category.impact)).toEqual([130000, 180000, 30000]);
+      expect(result.projections[11]).toEqual({ month: 'Month 12', withAction: 120000, withoutAction: 106000, gap: 14000 });
+    });
+
+    test('should end the cumulative loss curve at the total', () => {
+      const { timeline, totalCostOfInaction } = computeCostOfInaction(inputs);
+
+      expect(timeline).toHaveLength(12);
+      expect(timeline[0]).toEqual({ month: 'Month 1', monthlyLoss: 24167, cumulativeLoss: 24167 });
+      expect(timeline[11].cumulativeLoss).toBe(totalCostOfInaction);
+    });
+
+    test('should fall back to the standard period and honour currency options', () => {
+      const result = computeCostOfInaction({ ...inputs, timeframe: NaN, salesCycleLength: 30 }, { currency: 'EUR', decimals: 2 });
+
+      expect(result.currency).toBe('EUR');
+      expect(result.timeline).toHaveLength(12);
+      expect(result.metrics.salesCycleCost).toBe(0);
+      expect(result.monthlyImpact).toBe(30833.33);
+    });
+  });
+
+  describe('computeRunRateCost', () => {
+
+    const inputs = {
+      currentRevenue: 1200000,
+      targetGrowthRate: 20,
+      averageDealSize: 50000,
+      salesCycleLength: 90,
+      conversionRate: 15,
+      churnRate: 5,
+      timeframe: 12
+    };
+
+    test('should need revenue and deal size', () => {
+      expect(computeRunRateCost({ ...inputs, currentRevenue: 0 })).toBeNull();
+      expect(computeRunRateCost({ ...inputs, averageDealSize: 0 })).toBeNull();
+    });
+
+    test('should break the monthly cost into pipeline categories', () => {
+      const result = computeRunRateCost(inputs);
+
+      expect(result.breakdown.map(item => item.monthlyCost)).toEqual([20000, 33333, 25000, 5000]);
+      expect(result).toMatchObject({ totalMonthlyCost: 83333, totalLossFirstYear: 1000000, totalLossTimeframe: 1000000 });
+      expect(result.assumptions).toMatchObject({ currentDealsPerYear: 24, timeframeMonths: 12 });
+      expect(result.assumptions.gapInDeals).toBeCloseTo(4.8, 10);
+      expect(result.timelineData[11]).toEqual({ month: 'Month 12', monthlyCost: 83333, cumulativeCost: 1000000 });
+    });
+
+    test('should cap the timeline and default the timeframe', () => {
+      expect(computeRunRateCost({ ...inputs, timeframe: 36 }).timelineData).toHaveLength(24);
+      expect(computeRunRateCost({ ...inputs, timeframe: 0 }).assumptions.timeframeMonths).toBe(12);
+    });
+  });
+
+  describe('business case', () => {
+
+    test('should fall back to fixed estimates without cost calculator defaults', () => {
+      expect(estimateBusinessCaseInputs()).toEqual({ currentStateCost: 1250000, annualSavings: 875000, solutionCost: 75000 });
+      expect(estimateBusinessCaseInputs(null, { investment: 50000 }).solutionCost).toBe(50000);
+    });
+
+    test('should derive estimates from cost calculator defaults', () => {
+      expect(estimateBusinessCaseInputs({ averageDealSize: 20000, inefficiencyRate: 0.1, conversionRate: 0.2 })).toEqual({
+        currentStateCost: 1100000,
+        annualSavings: 240000,
+        solutionCost: 40000
+      });
+      expect(estimateBusinessCaseInputs({}, { investment: 60000 })).toEqual({
+        currentStateCost: 1400000,
+        annualSavings: 225000,
+        solutionCost: 60000
+      });
+    });
+
+    test('should convert benchmark estimates but not the investment', () => {
+      expect(estimateBusinessCaseInputs(null, { currency: 'GBP' })).toEqual({
+        currentStateCost: 937500,
+        annualSavings: 656250,
+        solutionCost: 56250
+      });
+      expect(estimateBusinessCaseInputs(null, { currency: 'GBP', investment: 50000 }).solutionCost).toBe(50000);
+      expect(estimateBusinessCaseInputs({ averageDealSize: 20000, inefficiencyRate: 0.1, conversionRate: 0.2 }, { currency: 'EUR' })).toEqual({
+        currentStateCost: 946000,
+        annualSavings: 206400,
+        solutionCost: 34400
+      });
+    });
+
+    test('should compute ROI, NPV, IRR and payback for an investment', () => {
+      const returns = businessCaseReturns({ investment: 50000, annualBenefit: 225000 });
+
+      expect(returns).toMatchObject({
+        currency: 'USD',
+        cashFlows: [-50000, 225000, 225000, 225000],
+        totalBenefit: 675000,
+        roi: 1250,
+        npv: 509542,
+        paybackMonths: 2.7
+      });
+      expect(returns.irr).toBeCloseTo(4.4725, 4);
+    });
+
+    test('should net running costs and report investments that never pay back', () => {
+      const returns = businessCaseReturns({ investment: 100000, annualBenefit: 30000, annualRunCost: 40000, years: 2, discountRate: 0 });
+
+      expect(returns).toMatchObject({ totalBenefit: -20000, roi: -120, npv: -120000, irr: null, paybackMonths: null });
+      expect(businessCaseReturns({ investment: 0, annualBenefit: 1000 })).toMatchObject({ roi: null, paybackMonths: 0 });
+    });
+  });
+
+  describe('projectRevenueImprovement', () => {
+
+    const inputs = {
+      currentRevenue: '1200000',
+      targetGrowthRate: '20',
+      averageDealSize: '50000',
+      salesCycleLength: '80',
+      winRate: '25'
+    };
+
+    test('should need revenue, deal size and win rate', () => {
+      expect(projectRevenueImprovement({ ...inputs, averageDealSize: '' })).toBeNull();
+      expect(projectRevenueImprovement({ ...inputs, winRate: '0' })).toBeNull();
+      expect(projectRevenueImprovement({ ...inputs, currentRevenue: undefined })).toBeNull();
+    });
+
+    test('should project win rate, cycle and deal size improvements', () => {
+      const result = projectRevenueImprovement(inputs);
+
+      expect(result.impact).toMatchObject({ revenueIncrease: 900000, dealSizeIncrease: 12500, cycleReduction: 20 });
+      expect(result.impact.percentageGrowth).toBeCloseTo(75, 10);
+      expect(result.impact.winRateImprovement).toBeCloseTo(10, 10);
+      expect(result.optimizedState).toMatchObject({ annualRevenue: 2100000, averageDealSize: 62500, salesCycle: 60 });
+      expect(result.projections).toHaveLength(13);
+      expect(result.projections[12]).toEqual({ month: 'M12', current: 1200000, optimized: 2100000 });
+    });
+
+    test('should cap the improved win rate and default the cycle length', () => {
+      const result = projectRevenueImprovement({ ...inputs, winRate: '50', salesCycleLength: '' });
+
+      expect(result.optimizedState.winRate).toBeCloseTo(65, 10);
+      expect(result.currentState.salesCycle).toBe(90);
+    });
+  });
+
+  test('should expose every model on the default export', () => {
+    expect(Object.keys(financialModel)).toEqual(expect.arrayContaining([
+      'npv', 'irr', 'paybackPeriod', 'roi', 'costOfDelay', 'cumulativeLossCurve',
+      'computeCostOfInaction', 'computeRunRateCost', 'businessCaseReturns', 'formatMoney'
+    ]));
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * @jest-environment node
+ */
+// generationRunner.test.js - Local resource generation: providers, schema retries and webhook delivery
+
+const { verifySignature } = require('../../lib/webhookSignature');
+const {
+  GenerationRunner,
+  GenerationError,
+  extractJson,
+  parseStepOutput
+} = require('../../mcp-servers/make-mcp-server/generation-runner');
+const {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  ProviderError,
+  createProvider
+} = require('../../mcp-servers/make-mcp-server/llm-providers');
+const { GENERATION_STEPS } = require('../../mcp-servers/make-mcp-server/generation-steps');
+
+const SECRET = 'test-make-secret';
+const WEBHOOK_URL = 'http://127.0.0.1:3001/api/webhook/core-resources';
+
+const input = {
+  productDescription: 'Predictive deal scoring for B2B sales teams',
+  sessionId: 'session_local_1',
+  customerId: 'CUST_5',
+  recordId: 'rec123',
+  productName: 'DealIQ',
+  businessType: 'B2B'
+};
+
+// Records every request and answers like the webhook server
+function createFetch({ deliveryStatus = 200 } = {}) {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, headers: options.headers, rawBody: options.body, body: JSON.parse(options.body) });
+    const status = url.endsWith('/progress') ? 200 : deliveryStatus;
+    const body = status === 200 ? { success: true, sessionId: input.sessionId } : { error: 'nope' };
+    return { ok: status < 300, status, text: async () => JSON.stringify(body) };
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 300, status, text: async () => JSON.stringify(body) };
+}
+
+const step = (key) => GENERATION_STEPS.find(candidate => candidate.key === key);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('step output parsing', () => {
+
+  test('should extract JSON wrapped in code fences and prose', () => {
+    const text = 'Here is the analysis:\n```json\n{"a": {"b": 1}}\n```\nLet me know if you need more.';
+    expect(extractJson(text)).toEqual({ a: { b: 1 } });
+  });
+
+  test('should report invalid JSON as a schema error instead of throwing', () => {
+    const result = parseStepOutput(step('pdr'), 'I cannot help with that.');
+    expect(result.output).toBeNull();
+    expect(result.errors[0].message).toMatch(/invalid JSON/);
+  });
+
+  test('should flag missing fields, wrong types and out-of-range enums', () => {
+    const result = parseStepOutput(step('persona'), JSON.stringify({
+      persona_name: 'Ops Olivia',
+      annual_income: '120000',
+      company_size: 'Huge',
+      quality_score: 11
+    }));
+
+    const paths = result.errors.map(error => error.path);
+    expect(paths).toEqual(expect.arrayContaining(['$.job_title', '$.annual_income', '$.company_size', '$.quality_score']));
+  });
+});
+
+describe('fixture provider', () => {
+
+  test('should produce schema-valid output for every step', async () => {
+    const provider = new FixtureProvider();
+    for (const definition of GENERATION_STEPS) {
+      const text = await provider.complete({ step: definition.key });
+      expect(parseStepOutput(definition, text).errors).toEqual([]);
+    }
+  });
+
+  test('should consume array fixtures one attempt at a time', async () => {
+    const provider = new FixtureProvider({ fixtures: { pdr: ['not json', { product_name: 'DealIQ' }] } });
+
+    expect(await provider.complete({ step: 'pdr' })).toBe('not json');
+    expect(JSON.parse(await provider.complete({ step: 'pdr' })).product_name).toBe('DealIQ');
+    expect(JSON.parse(await provider.complete({ step: 'pdr' })).product_name).toBe('DealIQ');
+  });
+});
+
+describe('generation runner', () => {
+
+  test('should walk the chain in order, feeding earlier outputs into later prompts', async () => {
+    const provider = new FixtureProvider({ fixtures: { pdr: { product_name: 'DealIQ Pro' } } });
+    const runner = new GenerationRunner({ provider, webhookUrl: WEBHOOK_URL, secret: SECRET, fetch: createFetch() });
+
+    const { steps } = await runner.run(input);
+
+    expect(provider.calls.map(call => call.step)).toEqual(GENERATION_STEPS.map(definition => definition.key));
+    expect(provider.calls[1].userPrompt).toContain('DealIQ Pro');
+    expect(steps.every(result => result.attempts === 1)).toBe(true);
+  });
+
+  test('should retry a step with the validation errors appended to the prompt', async () => {
+    const provider = new FixtureProvider({
+      fixtures: { icp: ['```json\n{"employee_count": "lots"}\n```', {}] }
+    });
+    const runner = new GenerationRunner({ provider, webhookUrl: WEBHOOK_URL, secret: SECRET, fetch: createFetch() });
+
+    const { steps, payload } = await runner.run(input);
+
+    const icpCalls = provider.calls.filter(call => call.step === 'icp');
+    expect(icpCalls).toHaveLength(2);
+    expect(icpCalls[1].userPrompt).toContain('did not match the required JSON schema');
+    expect(icpCalls[1].userPrompt).toContain('$.employee_count: expected number, got string');
+    expect(steps.find(result => result.step === 'icp').attempts).toBe(2);
+    expect(payload.validation_results.notes).toContain('schema retries: 1');
+  });
+
+  test('should fail with SCHEMA_VIOLATION and report it once attempts run out', async () => {
+    const fetchImpl = createFetch();
+    const provider = new FixtureProvider({ fixtures: { persona: '{"persona_name": "Only a name"}' } });
+    const runner = new GenerationRunner({ provider, maxAttempts: 2, webhookUrl: WEBHOOK_URL, secret: SECRET, fetch: fetchImpl });
+
+    const error = await runner.run(input).catch(e => e);
+
+    expect(error).toBeInstanceOf(GenerationError);
+    expect(error.code).toBe('SCHEMA_VIOLATION');
+    expect(error.step).toBe('persona');
+    expect(provider.calls.filter(call => call.step === 'persona')).toHaveLength(2);
+
+    const last = fetchImpl.calls[fetchImpl.calls.length - 1];
+    expect(last.url).toBe(`${WEBHOOK_URL}/session_local_1/progress`);
+    expect(last.body).toMatchObject({ type: 'failed', code: 'SCHEMA_VIOLATION' });
+    expect(fetchImpl.calls.some(call => call.url === WEBHOOK_URL)).toBe(false);
+  });
+
+  test('should post step progress and a signed legacy payload to the webhook', async () => {
+    const fetchImpl = createFetch();
+    const runner = new GenerationRunner({ provider: new FixtureProvider(), webhookUrl: WEBHOOK_URL, secret: SECRET, fetch: fetchImpl });
+
+    const { response } = await runner.run(input);
+
+    const progress = fetchImpl.calls.filter(call => call.url.endsWith('/progress'));
+    expect(progress.map(call => call.body.step)).toEqual(GENERATION_STEPS.map(definition => definition.key));
+    expect(progress.every(call => call.body.type === 'step_completed')).toBe(true);
+
+    const delivery = fetchImpl.calls[fetchImpl.calls.length - 1];
+    expect(delivery.url).toBe(WEBHOOK_URL);
+    expect(delivery.headers['X-Generation-Model']).toBe('fixture/fixture');
+    expect(verifySignature({ secret: SECRET, rawBody: delivery.rawBody, headers: delivery.headers }).valid).toBe(true);
+    expect(response).toEqual({ success: true, sessionId: 'session_local_1' });
+  });
+
+  test('should map step outputs onto the core-resources contract', async () => {
+    const provider = new FixtureProvider({
+      fixtures: {
+        pdr: { key_benefits: 'Faster qualification' },
+        icp: { quality_score: 9 },
+        product_potential: { success_probability: 72, major_risks: 'Data access' }
+      }
+    });
+    const runner = new GenerationRunner({ provider, webhookUrl: WEBHOOK_URL, secret: SECRET, fetch: createFetch() });
+
+    const { payload } = await runner.run(input);
+
+    expect(payload).toMatchObject({
+      session_id: 'session_local_1',
+      customer_id: 'CUST_5',
+      record_id: 'rec123',
+      product_name: 'DealIQ',
+      business_type: 'B2B',
+      generation_status: 'completed'
+    });
+    const { ideal_customer_profile, target_buyer_personas, product_potential_assessment } = payload.raw_content_data;
+    expect(ideal_customer_profile.confidence_score).toBe(9);
+    expect(ideal_customer_profile.content).toBeUndefined();
+    expect(target_buyer_personas.negative_persona.persona_type).toBeDefined();
+    expect(product_potential_assessment).toMatchObject({
+      current_product_potential_score: 7.2,
+      what_problems_can_my_product_solve_today: 'Faster qualification',
+      gaps_preventing_a_10_10_score: 'Data access'
+    });
+    expect(payload.quality_metrics).toMatchObject({ icp_confidence: 9, overall_confidence: 8.13 });
+  });
+
+  test('should keep going when a progress event cannot be delivered', async () => {
+    const deliveries = [];
+    const fetchImpl = async (url, options) => {
+      if (url.endsWith('/progress')) throw new Error('connect ECONNREFUSED');
+      deliveries.push(JSON.parse(options.body));
+      return jsonResponse({ success: true });
+    };
+    const runner = new GenerationRunner({ provider: new FixtureProvider(), webhookUrl: WEBHOOK_URL, secret: '', fetch: fetchImpl });
+
+    await runner.run(input);
+
+    expect(deliveries).toHaveLength(1);
+  });
+
+  test('should fail with DELIVERY_FAILED when the webhook rejects the payload', async () => {
+    const runner = new GenerationRunner({
+      provider: new FixtureProvider(),
+      webhookUrl: WEBHOOK_URL,
+      secret: SECRET,
+      fetch: createFetch({ deliveryStatus: 401 })
+    });
+
+    await expect(runner.run(input)).rejects.toMatchObject({ code: 'DELIVERY_FAILED' });
+  });
+});
+
+describe('http providers', () => {
+
+  const prompt = { systemPrompt: 'system', userPrompt: 'user', temperature: 0.7, maxTokens: 2000, step: 'pdr' };
+
+  test('should call the Anthropic Messages API and join the text blocks', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse({ content: [{ type: 'text', text: '{"a":' }, { type: 'text', text: '1}' }] }));
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant', model: 'claude-test', fetch: fetchImpl });
+
+    expect(await provider.complete(prompt)).toBe('{"a":1}');
+
+    const [url, options] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(options.headers).toMatchObject({ 'x-api-key': 'sk-ant', 'anthropic-version': '2023-06-01' });
+    expect(JSON.parse(options.body)).toEqual({
+      model: 'claude-test',
+      max_tokens: 2000,
+      temperature: 0.7,
+      system: 'system',
+      messages: [{ role: 'user', content: 'user' }]
+    });
+  });
+
+  test('should call an OpenAI-compatible chat completions endpoint', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse({ choices: [{ message: { content: '{"a":1}' } }] }));
+    const provider = new OpenAICompatibleProvider({ apiKey: 'sk-oa', baseUrl: 'http://localhost:11434/v1/', fetch: fetchImpl });
+
+    expect(await provider.complete(prompt)).toBe('{"a":1}');
+
+    const [url, options] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBe('Bearer sk-oa');
+    expect(JSON.parse(options.body).messages[0]).toEqual({ role: 'system', content: 'system' });
+  });
+
+  test('should surface HTTP failures as ProviderError', async () => {
+    const fetchImpl = async () => jsonResponse({ error: { message: 'overloaded' } }, 529);
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant', fetch: fetchImpl });
+
+    await expect(provider.complete(prompt)).rejects.toMatchObject({ name: 'ProviderError', status: 529 });
+  });
+
+  test('should pick the provider from GENERATION_PROVIDER', () => {
+    expect(createProvider(undefined, {})).toBeInstanceOf(FixtureProvider);
+    expect(createProvider(undefined, { GENERATION_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://llm.local/v1' }).baseUrl)
+      .toBe('http://llm.local/v1');
+    expect(createProvider('anthropic', { ANTHROPIC_API_KEY: 'sk', GENERATION_MODEL: 'claude-x' }).model).toBe('claude-x');
+    expect(() => createProvider('anthropic', {})).toThrow(ProviderError);
+    expect(() => createProvider('bard', {})).toThrow(/Unknown generation provider/);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * @jest-environment node
+ */
+// hubspotConnector.test.js - HubSpot property/record push against the bundled mock server
+
+const http = require('http');
+const {
+  toHubSpotProperty,
+  propertyChanges,
+  prepareRecord,
+  createHubSpotConnector
+} = require('../../lib/hubspotConnector');
+const { createHubSpotMockServer } = require('../../lib/hubspotMockServer');
+const { CRMIntegrationService } = require('../services/CRMIntegrationService');
+
+// Jest's node environment has no global fetch; this covers what the connector uses
+function httpFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+        json: async () => JSON.parse(data)
+      }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const writes = (requests) => requests.filter(({ method, path }) =>
+  method === 'PATCH' || (method === 'POST' && !path.endsWith('/search'))
+);
+
+describe('hubspotConnector', () => {
+
+  const definitions = CRMIntegrationService.generateHubSpotProperties();
+  const contacts = [
+    { email: 'Tina@Acme.io', firstname: 'Tina', icp_fit_score: 8.5, buyer_persona_type: 'technical_dm' },
+    { email: 'bob@globex.com', firstname: 'Bob', icp_fit_score: '6', buyer_persona_type: 'economic_buyer', primary_pain_points: '' }
+  ];
+  const companies = [
+    { domain: 'acme.io', name: 'Acme', icp_company_fit_score: 8.2, revenue_intelligence_tier: 'growth' }
+  ];
+
+  describe('definitions and records', () => {
+
+    test('should keep options only on enumerations, in display order', () => {
+      const [score, persona] = definitions.contactProperties.map(toHubSpotProperty);
+
+      expect(score).toEqual({
+        name: 'icp_fit_score',
+        label: 'ICP Fit Score',
+        description: 'Systematic buyer fit score (1-10) based on H&S ICP analysis',
+        groupName: 'h_s_revenue_intelligence',
+        type: 'number',
+        fieldType: 'number'
+      });
+      expect(persona.options[1]).toEqual({
+        label: 'Business Decision Maker',
+        value: 'business_dm',
+        description: 'Business Decision Maker persona from H&S buyer intelligence',
+        displayOrder: 1,
+        hidden: false
+      });
+    });
+
+    test('should diff only the fields the connector owns', () => {
+      const desired = toHubSpotProperty(definitions.contactProperties[1]);
+      const current = { ...desired, label: 'Persona', options: desired.options.slice(0, 2), createdAt: '2026-01-01' };
+
+      expect(propertyChanges(desired, current)).toEqual({
+        label: { from: 'Persona', to: 'Buyer Persona Type' },
+        options: {
+          from: ['technical_dm', 'business_dm'],
+          to: ['technical_dm', 'business_dm', 'economic_buyer', 'technical_evaluator']
+        }
+      });
+      expect(propertyChanges(desired, { ...desired, hidden: true })).toEqual({});
+    });
+
+    test('should validate scores and persona types and drop blank values', () => {
+      const properties = definitions.contactProperties.map(definition => ({
+        ...toHubSpotProperty(definition),
+        range: definition.type === 'number' ? definition.options : undefined
+      }));
+
+      expect(prepareRecord(contacts[1], 'contacts', properties)).toEqual({
+        key: 'bob@globex.com',
+        properties: { email: 'bob@globex.com', firstname: 'Bob', icp_fit_score: 6, buyer_persona_type: 'economic_buyer' },
+        errors: []
+      });
+      expect(prepareRecord({ icp_fit_score: 11, buyer_persona_type: 'champion' }, 'contacts', properties).errors).toEqual([
+        'Missing email',
+        'icp_fit_score must be between 1 and 10',
+        'buyer_persona_type must be one of: technical_dm, business_dm, economic_buyer, technical_evaluator'
+      ]);
+    });
+  });
+
+  describe('against the mock server', () => {
+
+    let mock;
+    let baseUrl;
+    const sleep = jest.fn(async () => {});
+    const connect = (options = {}) => createHubSpotConnector({
+      accessToken: mock.accessToken,
+      baseUrl,
+      fetch: httpFetch,
+      sleep,
+      env: {},
+      ...options
+    });
+
+    beforeAll(async () => {
+      mock = createHubSpotMockServer();
+      baseUrl = await mock.start();
+    });
+
+    afterAll(() => mock.close());
+
+    beforeEach(() => {
+      mock.reset();
+      sleep.mockClear();
+    });
+
+    test('should create the group, properties and records on an empty portal', async () => {
+      const report = await connect().push({ definitions, contacts, companies });
+
+      expect(report.schema.summary).toEqual({ created: 15, updated: 0, unchanged: 0, skipped: 0, failed: 0 });
+      expect(mock.getGroup('companies', 'h_s_revenue_intelligence').label).toBe('H&S Revenue Intelligence');
+      expect(mock.getProperty('contacts', 'buyer_persona_type').options).toHaveLength(4);
+
+      expect(report.records.results).toEqual([
+        expect.objectContaining({ objectType: 'contacts', key: 'tina@acme.io', action: 'created', id: '1' }),
+        expect.objectContaining({ objectType: 'contacts', key: 'bob@globex.com', action: 'created', id: '2' }),
+        expect.objectContaining({ objectType: 'companies', key: 'acme.io', action: 'created', id: '3' })
+      ]);
+      expect(mock.listRecords('contacts')[0].properties).toMatchObject({ email: 'tina@acme.io', icp_fit_score: '8.5' });
+    });
+
+    test('should be a no-op the second time', async () => {
+      await connect().push({ definitions, contacts, companies });
+      mock.requests.length = 0;
+
+      const report = await connect().push({ definitions, contacts, companies });
+
+      expect(report.schema.summary.unchanged).toBe(15);
+      expect(report.records.summary).toEqual({ created: 0, updated: 0, unchanged: 3, skipped: 0, failed: 0 });
+      expect(writes(mock.requests)).toEqual([]);
+    });
+
+    test('should report a diff without writing in dry-run mode', async () => {
+      await connect().push({ definitions, contacts, companies });
+      mock.requests.length = 0;
+
+      const personas = { personaTypes: [{ name: 'Champion', id: 'champion' }] };
+      const changed = CRMIntegrationService.generateHubSpotProperties(personas);
+      const report = await connect().push({
+        definitions: changed,
+        contacts: [{ ...contacts[0], icp_fit_score: 9, buyer_persona_type: 'champion' }],
+        companies: [{ domain: 'initech.com', name: 'Initech' }],
+        dryRun: true
+      });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.schema.results.find(({ name }) => name === 'buyer_persona_type')).toMatchObject({
+        action: 'updated',
+        changes: { options: { to: ['champion'] } }
+      });
+      expect(report.records.results[0]).toEqual({
+        objectType: 'contacts',
+        key: 'tina@acme.io',
+        action: 'updated',
+        id: '1',
+        changes: {
+          icp_fit_score: { from: '8.5', to: 9 },
+          buyer_persona_type: { from: 'technical_dm', to: 'champion' }
+        }
+      });
+      expect(report.records.results[1]).toMatchObject({ action: 'created', id: null, changes: { name: { from: null, to: 'Initech' } } });
+      expect(writes(mock.requests)).toEqual([]);
+      expect(mock.listRecords('contacts')[0].properties.icp_fit_score).toBe('8.5');
+    });
+
+    test('should patch only the changed values', async () => {
+      await connect().push({ definitions, contacts, companies });
+      mock.requests.length = 0;
+
+      const report = await connect().upsertRecords({ contacts: [{ ...contacts[0], icp_fit_score: 9 }] }, definitions);
+
+      expect(report.results[0]).toMatchObject({ action: 'updated', changes: { icp_fit_score: { from: '8.5', to: 9 } } });
+      expect(writes(mock.requests)).toEqual([{ method: 'PATCH', path: '/crm/v3/objects/contacts/1' }]);
+      expect(mock.listRecords('contacts')[0].properties).toMatchObject({ icp_fit_score: '9', firstname: 'Tina' });
+    });
+
+    test('should report each failing record and carry on', async () => {
+      await connect().syncSchema(definitions);
+
+      const report = await connect().upsertRecords({
+        contacts: [
+          { email: 'eve@hooli.com', buyer_persona_type: 'champion' },
+          { email: 'dan@hooli.com', favourite_colour: 'blue' },
+          contacts[0]
+        ]
+      }, definitions);
+
+      expect(report.results.map(({ action }) => action)).toEqual(['skipped', 'failed', 'created']);
+      expect(report.results[0].error).toMatch(/buyer_persona_type must be one of/);
+      expect(report.results[1].error).toMatch(/\(400\): Property "favourite_colour" does not exist/);
+      expect(report.summary).toMatchObject({ created: 1, skipped: 1, failed: 1 });
+    });
+
+    test('should back off on 429 using Retry-After', async () => {
+      mock.rateLimitNext(2);
+
+      const report = await connect().syncSchema({ companyProperties: definitions.companyProperties });
+
+      expect(report.summary).toEqual({ created: 3, updated: 0, unchanged: 0, skipped: 0, failed: 0 });
+      expect(sleep.mock.calls).toEqual([[1000], [1000]]);
+    });
+
+    test('should fail every item when the token is rejected', async () => {
+      const report = await connect({ accessToken: 'wrong' }).syncSchema({ companyProperties: definitions.companyProperties });
+
+      expect(report.summary.failed).toBe(3);
+      expect(report.results[0].error).toBe(
+        'HubSpot GET /crm/v3/properties/companies/groups/h_s_revenue_intelligence failed (401): Authentication credentials not found'
+      );
+      expect(createHubSpotConnector({ env: {}, fetch: httpFetch }).isConfigured).toBe(false);
+    });
+  });
+});
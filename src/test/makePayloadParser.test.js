@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+// makePayloadParser.test.js - Sandboxed parsing of Make.com JavaScript execution payloads
+
+const {
+  PayloadValidationError,
+  isMakeScriptPayload,
+  extractEmbeddedResources,
+  validateCoreResources,
+  runValidationSandbox,
+  parseMakeScriptPayload
+} = require('../../lib/makePayloadParser');
+
+describe('makePayloadParser', () => {
+
+  const icpData = {
+    company_size_range: 'Mid-market (200-2,000 employees)',
+    industry_verticals: 'Manufacturing, Logistics',
+    employee_count: 1500,
+    confidence_score: 8
+  };
+  const personaData = {
+    persona_name: 'Sarah Chen - Chief Sustainability Officer',
+    job_title: 'Chief Sustainability Officer',
+    preferred_communication_channels: ['Email', 'Video Calls'],
+    confidence_score: 9
+  };
+  const empathyData = {
+    what_they_think: 'Scope 3 data is a mess',
+    what_they_feel: 'Pressure from the board',
+    confidence_score: 9
+  };
+  const assessmentData = {
+    what_problems_can_my_product_solve_today: 'Automated emissions data collection',
+    current_product_potential_score: 8,
+    confidence_score: 9
+  };
+
+  // Mirrors the IIFE the Make.com scenario posts after its validation module
+  const buildPayload = ({
+    icp = JSON.stringify(icpData),
+    persona = JSON.stringify(personaData),
+    empathy = JSON.stringify(empathyData),
+    assessment = JSON.stringify(assessmentData),
+    body = `
+    const scores = [icpData.confidence_score, personaData.confidence_score, empathyData.confidence_score, assessmentData.confidence_score];
+    const average = scores.reduce((a, b) => a + b, 0) / 4;
+    return {
+      status: average >= 6 ? "ready_for_upload" : "quality_issues",
+      average_confidence: Math.round(average * 10) / 10,
+      individual_scores: scores,
+      validations: { all_json_valid: true },
+      timestamp: new Date().toISOString(),
+      recommendations: "Proceed with data upload",
+      total_modules_valid: 4
+    };`
+  } = {}) => `(() => {
+  try {
+    const icpData = JSON.parse(\`${icp}\`);
+    const personaData = JSON.parse(\`${persona}\`);
+    const empathyData = JSON.parse(\`${empathy}\`);
+    const assessmentData = JSON.parse(\`${assessment}\`);
+    ${body}
+  } catch (error) {
+    return { status: "validation_error", error: error.message };
+  }
+})()`;
+
+  const expectRejection = async (payload, code, options) => {
+    await expect(parseMakeScriptPayload(payload, options)).rejects.toMatchObject({
+      name: 'PayloadValidationError',
+      code,
+      statusCode: 422
+    });
+  };
+
+  describe('isMakeScriptPayload', () => {
+
+    test('should detect IIFE payloads', () => {
+      expect(isMakeScriptPayload(buildPayload())).toBe(true);
+    });
+
+    test('should ignore plain JSON bodies', () => {
+      expect(isMakeScriptPayload('{"session_id":"abc"}')).toBe(false);
+      expect(isMakeScriptPayload(undefined)).toBe(false);
+    });
+  });
+
+  describe('parseMakeScriptPayload', () => {
+
+    test('should return validation results and resources for a well-formed payload', async () => {
+      const result = await parseMakeScriptPayload(buildPayload());
+
+      expect(result.status).toBe('ready_for_upload');
+      expect(result.average_confidence).toBe(8.8);
+      expect(result.individual_scores).toEqual([8, 9, 9, 9]);
+      expect(result.total_modules_valid).toBe(4);
+      expect(result.icpData).toEqual(icpData);
+      expect(result.personaData.persona_name).toBe(personaData.persona_name);
+    });
+
+    test('should reject payloads missing an embedded resource', async () => {
+      const payload = buildPayload().replace(/const empathyData = JSON\.parse\(`[^`]+`\);/, '');
+      await expectRejection(payload, 'EXTRACTION_FAILED');
+    });
+
+    test('should reject embedded resources that are not valid JSON', async () => {
+      await expectRejection(buildPayload({ icp: '{"company_size_range": ' }), 'EXTRACTION_FAILED');
+    });
+
+    test('should reject resources that violate the schema', async () => {
+      const payload = buildPayload({
+        persona: JSON.stringify({ ...personaData, confidence_score: 'ten' })
+      });
+
+      await expect(parseMakeScriptPayload(payload)).rejects.toMatchObject({
+        code: 'SCHEMA_VIOLATION',
+        details: expect.arrayContaining([
+          { path: '$.personaData.confidence_score', message: 'expected number, got string' }
+        ])
+      });
+    });
+
+    test('should reject confidence scores out of range and nested objects', async () => {
+      const payload = buildPayload({
+        icp: JSON.stringify({ ...icpData, confidence_score: 42, extra: { nested: true } })
+      });
+      await expectRejection(payload, 'SCHEMA_VIOLATION');
+    });
+
+    test('should reject oversized payloads before parsing', async () => {
+      await expectRejection(buildPayload(), 'PAYLOAD_TOO_LARGE', { maxPayloadBytes: 100 });
+    });
+
+    test('should reject code appended after the IIFE', async () => {
+      await expectRejection(`${buildPayload()}; require('child_process').execSync('id')`, 'NOT_AN_IIFE');
+    });
+
+    test('should produce a structured 422 body', async () => {
+      const error = await parseMakeScriptPayload(buildPayload({ icp: 'not json' })).catch(e => e);
+      const body = error.toJSON();
+
+      expect(body.success).toBe(false);
+      expect(body.code).toBe('EXTRACTION_FAILED');
+      expect(body.details[0].path).toBe('$.icpData');
+    });
+  });
+
+  describe('hostile payloads', () => {
+
+    test('should not expose require inside the sandbox', async () => {
+      const body = `return { status: "ready_for_upload", error: typeof require };`;
+      const result = await parseMakeScriptPayload(buildPayload({ body }));
+      expect(result.error).toBe('undefined');
+    });
+
+    test('should fail when the script reaches for process', async () => {
+      const body = `process.exit(1); return { status: "ready_for_upload" };`;
+      // The IIFE's own catch turns the ReferenceError into a validation_error result
+      const result = await parseMakeScriptPayload(buildPayload({ body }));
+      expect(result.status).toBe('validation_error');
+      expect(result.error).toMatch(/process is not defined/);
+    });
+
+    test('should block constructor-chain escapes to the host', async () => {
+      const payload = `(() => {
+        const icpData = JSON.parse(\`${JSON.stringify(icpData)}\`);
+        const personaData = JSON.parse(\`${JSON.stringify(personaData)}\`);
+        const empathyData = JSON.parse(\`${JSON.stringify(empathyData)}\`);
+        const assessmentData = JSON.parse(\`${JSON.stringify(assessmentData)}\`);
+        const leaked = this.constructor.constructor('return process')();
+        return { status: "ready_for_upload", error: String(leaked.pid) };
+      })()`;
+      await expectRejection(payload, 'SANDBOX_ERROR');
+    });
+
+    test('should block eval inside the sandbox', async () => {
+      const body = `return { status: eval('"ready_for_upload"') };`;
+      const result = await parseMakeScriptPayload(buildPayload({ body }));
+      expect(result.status).toBe('validation_error');
+      expect(result.error).toMatch(/Code generation from strings disallowed/);
+    });
+
+    test('should terminate infinite loops', async () => {
+      const payload = `(() => {
+        const icpData = JSON.parse(\`${JSON.stringify(icpData)}\`);
+        const personaData = JSON.parse(\`${JSON.stringify(personaData)}\`);
+        const empathyData = JSON.parse(\`${JSON.stringify(empathyData)}\`);
+        const assessmentData = JSON.parse(\`${JSON.stringify(assessmentData)}\`);
+        while (true) {}
+      })()`;
+      await expectRejection(payload, 'SANDBOX_TIMEOUT', { timeoutMs: 200 });
+    });
+
+    test('should terminate scripts that exhaust memory', async () => {
+      const payload = `(() => {
+        const icpData = JSON.parse(\`${JSON.stringify(icpData)}\`);
+        const personaData = JSON.parse(\`${JSON.stringify(personaData)}\`);
+        const empathyData = JSON.parse(\`${JSON.stringify(empathyData)}\`);
+        const assessmentData = JSON.parse(\`${JSON.stringify(assessmentData)}\`);
+        const hoard = [];
+        for (;;) { hoard.push(new Array(100000).fill(hoard.length)); }
+      })()`;
+      await expectRejection(payload, 'SANDBOX_MEMORY_LIMIT', { timeoutMs: 5000, maxMemoryMb: 16 });
+    }, 15000);
+
+    test('should reject results that do not match the validation schema', async () => {
+      const body = `return { status: "ready_for_upload", average_confidence: 8, injected: "<script>" };`;
+      await expectRejection(buildPayload({ body }), 'INVALID_VALIDATION_RESULT');
+    });
+  });
+
+  describe('extractEmbeddedResources', () => {
+
+    test('should not extract values that escape the template literal', () => {
+      const payload = 'const icpData = JSON.parse(`{"a":1}` + `{}`);';
+      expect(() => extractEmbeddedResources(payload)).toThrow(PayloadValidationError);
+    });
+  });
+
+  describe('validateCoreResources', () => {
+
+    test('should accept partial resource sets', () => {
+      expect(validateCoreResources({ icpData })).toEqual({ icpData });
+    });
+  });
+
+  describe('runValidationSandbox', () => {
+
+    test('should return plain data from the sandbox', async () => {
+      await expect(runValidationSandbox('(() => ({ status: "quality_issues" }))()')).resolves.toEqual({
+        status: 'quality_issues'
+      });
+    });
+  });
+});
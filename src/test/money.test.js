@@ -0,0 +1,36 @@
+/**
+ * @jest-environment node
+ */
+// money.test.js - Server-side currency resolution, FX table loading and formatting
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFxRates, resolveMoney, formatBaseAmount } = require('../../lib/money');
+
+describe('money', () => {
+
+  test('should resolve request currency and locale with fallbacks', () => {
+    expect(resolveMoney()).toEqual({ currency: 'USD', locale: 'en-US' });
+    expect(resolveMoney({ currency: 'gbp', locale: 'en-gb' })).toEqual({ currency: 'GBP', locale: 'en-GB' });
+    expect(resolveMoney({ currency: 'XYZ', locale: 'not a locale!' })).toEqual({ currency: 'USD', locale: 'en-US' });
+  });
+
+  test('should convert base amounts into the requested currency', () => {
+    expect(formatBaseAmount(150000)).toBe('$150,000');
+    expect(formatBaseAmount(150000, { currency: 'GBP', locale: 'en-GB' })).toBe('£112,500');
+    expect(formatBaseAmount(1000, { currency: 'EUR' }, { base: 'USD', rates: { USD: 1, EUR: 0.5 } })).toBe('€500');
+  });
+
+  test('should load a replacement FX table from FX_RATES_FILE', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fx-')), 'rates.json');
+    fs.writeFileSync(file, JSON.stringify({ base: 'USD', asOf: '2026-01-01', rates: { USD: 1, EUR: 0.5 } }));
+
+    expect(loadFxRates({})).toMatchObject({ base: 'USD' });
+    expect(loadFxRates({ FX_RATES_FILE: file }).rates).toEqual({ USD: 1, EUR: 0.5 });
+  });
+
+  test('should reject an unreadable FX_RATES_FILE', () => {
+    expect(() => loadFxRates({ FX_RATES_FILE: '/nonexistent/rates.json' })).toThrow(/Invalid FX_RATES_FILE/);
+  });
+});
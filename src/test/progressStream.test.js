@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+// progressStream.test.js - Generation progress hub and SSE stream tests
+
+const { EventEmitter } = require('events');
+const {
+  ProgressHub,
+  ProgressEventError,
+  normalizeProgressEvent,
+  streamSessionProgress
+} = require('../../lib/progressStream');
+
+function createResponse() {
+  return {
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn(),
+    written() {
+      return this.write.mock.calls.map(([chunk]) => chunk).join('');
+    }
+  };
+}
+
+function createRequest(headers = {}) {
+  const req = new EventEmitter();
+  req.headers = headers;
+  return req;
+}
+
+describe('normalizeProgressEvent', () => {
+
+  test('should keep only known fields', () => {
+    expect(normalizeProgressEvent({
+      type: 'progress',
+      step: 'pdr',
+      progress: 12.5,
+      message: 'Refining product description',
+      secret: 'nope'
+    })).toEqual({
+      type: 'progress',
+      data: { step: 'pdr', progress: 12.5, message: 'Refining product description' }
+    });
+  });
+
+  test('should force completed events to 100%', () => {
+    expect(normalizeProgressEvent({ type: 'completed', progress: 40 }).data.progress).toBe(100);
+  });
+
+  test('should reject malformed events', () => {
+    expect(() => normalizeProgressEvent(null)).toThrow(ProgressEventError);
+    expect(() => normalizeProgressEvent({ type: 'started' })).toThrow('type must be one of');
+    expect(() => normalizeProgressEvent({ type: 'step_completed' })).toThrow('require a step');
+    expect(() => normalizeProgressEvent({ type: 'progress', step: '../icp' })).toThrow('snake_case');
+    expect(() => normalizeProgressEvent({ type: 'progress', progress: 140 })).toThrow('between 0 and 100');
+  });
+
+  test('should truncate long messages', () => {
+    const { data } = normalizeProgressEvent({ type: 'failed', error: 'x'.repeat(2000) });
+    expect(data.error).toHaveLength(500);
+  });
+});
+
+describe('ProgressHub', () => {
+
+  let hub;
+
+  beforeEach(() => {
+    hub = new ProgressHub();
+  });
+
+  test('should number events per session and keep history', () => {
+    hub.publish('sess_1', 'progress', { step: 'pdr' });
+    hub.publish('sess_2', 'progress', { step: 'pdr' });
+    hub.publish('sess_1', 'step_completed', { step: 'pdr' });
+
+    expect(hub.history('sess_1').map(event => event.id)).toEqual([1, 2]);
+    expect(hub.history('sess_1', 1).map(event => event.type)).toEqual(['step_completed']);
+    expect(hub.history('sess_2')).toHaveLength(1);
+  });
+
+  test('should push events to subscribers until they unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = hub.subscribe('sess_1', listener);
+
+    hub.publish('sess_1', 'progress', { progress: 10 });
+    unsubscribe();
+    hub.publish('sess_1', 'progress', { progress: 20 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({ id: 1, type: 'progress', sessionId: 'sess_1', progress: 10 });
+  });
+
+  test('should keep publishing when a listener throws', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const healthy = jest.fn();
+    hub.subscribe('sess_1', () => { throw new Error('boom'); });
+    hub.subscribe('sess_1', healthy);
+
+    hub.publish('sess_1', 'progress', {});
+    expect(healthy).toHaveBeenCalled();
+  });
+
+  test('should report when a session has finished', () => {
+    hub.publish('sess_1', 'progress', {});
+    expect(hub.isFinished('sess_1')).toBe(false);
+
+    hub.publish('sess_1', 'failed', { error: 'Claude timed out' });
+    expect(hub.isFinished('sess_1')).toBe(true);
+  });
+
+  test('should cap history but keep the first event', () => {
+    hub = new ProgressHub({ historyLimit: 3 });
+    for (let i = 0; i < 10; i++) {
+      hub.publish('sess_1', 'progress', { progress: i });
+    }
+
+    expect(hub.history('sess_1').map(event => event.id)).toEqual([1, 9, 10]);
+  });
+
+  test('should forget quiet sessions nobody is watching', () => {
+    hub = new ProgressHub({ retentionMs: 1000 });
+    hub.publish('idle', 'progress', {}, 0);
+    hub.publish('watched', 'progress', {}, 0);
+    hub.subscribe('watched', () => {});
+
+    hub.prune(5000);
+    expect(hub.history('idle')).toEqual([]);
+    expect(hub.history('watched')).toHaveLength(1);
+  });
+
+  test('should reject bad session IDs and event types', () => {
+    expect(() => hub.publish('../etc', 'progress')).toThrow('Invalid sessionId');
+    expect(() => hub.publish('sess_1', 'started')).toThrow(ProgressEventError);
+  });
+});
+
+describe('streamSessionProgress', () => {
+
+  let hub;
+
+  beforeEach(() => {
+    hub = new ProgressHub();
+  });
+
+  test('should open an event stream and forward live events', () => {
+    const req = createRequest();
+    const res = createResponse();
+
+    const close = streamSessionProgress(req, res, hub, 'sess_1');
+    hub.publish('sess_1', 'step_completed', { step: 'icp', progress: 40 });
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.written()).toContain('id: 1\nevent: step_completed\ndata: {"type":"step_completed","step":"icp","progress":40');
+    close();
+  });
+
+  test('should replay only events after Last-Event-ID', () => {
+    hub.publish('sess_1', 'progress', { step: 'pdr' });
+    hub.publish('sess_1', 'step_completed', { step: 'pdr' });
+    const res = createResponse();
+
+    const close = streamSessionProgress(createRequest({ 'last-event-id': '1' }), res, hub, 'sess_1');
+
+    expect(res.written()).not.toContain('id: 1\n');
+    expect(res.written()).toContain('id: 2\nevent: step_completed');
+    close();
+  });
+
+  test('should end the response after a terminal event', () => {
+    const res = createResponse();
+    streamSessionProgress(createRequest(), res, hub, 'sess_1');
+
+    hub.publish('sess_1', 'completed', { generationStatus: 'completed' });
+    hub.publish('sess_1', 'progress', {});
+
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(res.written()).not.toContain('event: progress');
+  });
+
+  test('should end immediately when the session already finished', () => {
+    hub.publish('sess_1', 'completed', {});
+    const res = createResponse();
+
+    streamSessionProgress(createRequest(), res, hub, 'sess_1');
+
+    expect(res.end).toHaveBeenCalled();
+    expect(res.written()).toContain('event: completed');
+  });
+
+  test('should stop listening when the client disconnects', () => {
+    const req = createRequest();
+    const res = createResponse();
+    streamSessionProgress(req, res, hub, 'sess_1');
+
+    req.emit('close');
+    hub.publish('sess_1', 'progress', {});
+
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(res.written()).not.toContain('event: progress');
+  });
+});
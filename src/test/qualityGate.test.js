@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ */
+// qualityGate.test.js - Per-resource quality gate and targeted regeneration of failing steps
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_QUALITY_GATE,
+  loadQualityGateConfig,
+  evaluateResource,
+  applyQualityGate,
+  regenerateFailingResources
+} = require('../../lib/qualityGate');
+const { GenerationRunner } = require('../../mcp-servers/make-mcp-server/generation-runner');
+const { FixtureProvider } = require('../../mcp-servers/make-mcp-server/llm-providers');
+const { toStructuredResource, resourceText } = require('../../lib/structuredResources');
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+const icpSource = (overrides = {}) => ({
+  company_size_range: '50-200 employees',
+  industry_verticals: 'Logistics SaaS',
+  decision_makers: 'VP Operations',
+  buying_process: 'Pilot, then annual contract',
+  confidence_score: 8.4,
+  ...overrides
+});
+
+const personaSource = (overrides = {}) => ({
+  persona_name: 'Ops Olivia',
+  job_title: 'VP Operations',
+  pain_points: 'Manual dispatch',
+  goals_and_objectives: 'On-time delivery above 98%',
+  confidence_score: 8,
+  ...overrides
+});
+
+const sessionData = (overrides = {}) => ({
+  sessionId: 'session_gate_1',
+  customerId: 'CUST_5',
+  productName: 'RouteIQ',
+  businessType: 'B2B',
+  generationStatus: 'completed',
+  resources: {
+    icp_analysis: { title: 'ICP', confidence_score: 8.4, content: { text: '# ICP: 50-200 employees' }, generated: true },
+    persona: { title: 'Personas', confidence_score: 8, content: { text: '# Persona: Ops Olivia' }, generated: true },
+    empathyMap: { title: 'Empathy', confidence_score: 8.8, content: { text: 'AI-generated empathy map' }, generated: false },
+    productPotential: { title: 'Assessment', confidence_score: 6.1, content: { text: '# Assessment' }, generated: true }
+  },
+  ...overrides
+});
+
+describe('evaluateResource', () => {
+
+  test('should pass a confident resource with every required field', () => {
+    const result = evaluateResource('icp', {
+      resource: { content: { text: '# ICP: 50-200 employees' } },
+      source: icpSource()
+    });
+    expect(result).toEqual({ status: 'passed', reasons: [] });
+  });
+
+  test('should flag low confidence, missing fields and placeholder text', () => {
+    const result = evaluateResource('icp', {
+      resource: { content: { text: '# Ideal Customer Profile: Enterprise Companies' } },
+      source: icpSource({ confidence_score: 5.5, decision_makers: '  ' })
+    });
+
+    expect(result.status).toBe('needs_review');
+    expect(result.reasons.map(reason => reason.code)).toEqual(['low_confidence', 'missing_field', 'placeholder_text']);
+    expect(result.reasons[0].message).toBe('Confidence 5.5/10 is below the 7/10 minimum');
+    expect(result.reasons[1].field).toBe('decision_makers');
+    expect(result.reasons[2].phrase).toBe('Enterprise Companies');
+  });
+
+  test('should read percentages and Make.com individual scores on the 10-point scale', () => {
+    expect(evaluateResource('persona', { resource: { confidence_score: 85 } }).status).toBe('passed');
+    expect(evaluateResource('persona', { resource: { confidence_score: 9 }, score: 6 }).reasons[0].code).toBe('low_confidence');
+  });
+
+  test('should catch placeholder defaults rendered from a structured resource', () => {
+    const resource = { structured: toStructuredResource('icp', icpSource()) };
+    expect(resourceText(resource)).toContain('$100M - $1B+ _(assumed)_');
+    expect(evaluateResource('icp', { resource, source: icpSource() }).reasons).toEqual([
+      { code: 'placeholder_text', phrase: '$100M - $1B+', message: 'Contains placeholder text "$100M - $1B+"' },
+      { code: 'placeholder_text', phrase: 'Cloud-based infrastructure, enterprise systems', message: 'Contains placeholder text "Cloud-based infrastructure, enterprise systems"' }
+    ]);
+  });
+
+  test('should skip required fields for content-only resources', () => {
+    const result = evaluateResource('empathy', { resource: { confidence_score: 8, content: { text: '# Empathy' } } });
+    expect(result.status).toBe('passed');
+  });
+
+  test('should report failed Make.com validations for the matching resource', () => {
+    const validations = { icp_valid: true, persona_valid: false };
+    expect(evaluateResource('icp', { resource: { confidence_score: 8 }, validations }).status).toBe('passed');
+    expect(evaluateResource('persona', { resource: { confidence_score: 8 }, validations }).reasons).toEqual([
+      { code: 'validation_failed', field: 'persona_valid', message: 'Make.com validation "persona_valid" failed' }
+    ]);
+  });
+});
+
+describe('loadQualityGateConfig', () => {
+
+  test('should merge a QUALITY_GATE_CONFIG file over the defaults per resource', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-gate-'));
+    const file = path.join(dir, 'gate.json');
+    fs.writeFileSync(file, JSON.stringify({ icp: { minConfidence: 9, bannedPhrases: ['Lorem ipsum'] } }));
+
+    try {
+      const config = loadQualityGateConfig({ QUALITY_GATE_CONFIG: file });
+      expect(config.icp).toEqual({
+        minConfidence: 9,
+        requiredFields: DEFAULT_QUALITY_GATE.icp.requiredFields,
+        bannedPhrases: ['Lorem ipsum']
+      });
+      expect(config.persona).toEqual(DEFAULT_QUALITY_GATE.persona);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should fail loudly on an unreadable config', () => {
+    expect(() => loadQualityGateConfig({ QUALITY_GATE_CONFIG: '/nonexistent/gate.json' })).toThrow(/Invalid QUALITY_GATE_CONFIG/);
+  });
+});
+
+describe('applyQualityGate', () => {
+
+  test('should annotate each generated resource and summarise the failures', () => {
+    const data = sessionData();
+
+    const summary = applyQualityGate(data, { sources: { icp: icpSource(), persona: personaSource() }, now: NOW });
+
+    expect(summary).toEqual({ status: 'needs_review', failing: ['assessment'], checkedAt: NOW.toISOString() });
+    expect(data.qualityGate).toBe(summary);
+    expect(data.resources.icp_analysis.quality_gate).toEqual({ status: 'passed', reasons: [], checkedAt: NOW.toISOString() });
+    expect(data.resources.productPotential.quality_gate.reasons[0].code).toBe('low_confidence');
+    expect(data.resources.empathyMap.quality_gate).toBeUndefined();
+    expect(data.generationStatus).toBe('completed');
+  });
+
+  test('should use the configured thresholds', () => {
+    const data = sessionData();
+    const config = loadQualityGateConfig({}, { assessment: { minConfidence: 6 } });
+
+    expect(applyQualityGate(data, { config, now: NOW }).status).toBe('passed');
+  });
+});
+
+describe('regenerateFailingResources', () => {
+
+  const buildBody = (name, source) => ({ structured: toStructuredResource(name, source) });
+
+  test('should regenerate only the failing step, re-gate it and leave composites for review', async () => {
+    const data = sessionData();
+    const sources = { icp: icpSource({ confidence_score: 4 }), persona: personaSource() };
+    applyQualityGate(data, { sources, now: NOW });
+    expect(data.qualityGate.failing).toEqual(['icp', 'assessment']);
+
+    const provider = new FixtureProvider({ fixtures: { icp: { company_size_range: '200-1,000 employees', quality_score: 9 } } });
+    const runner = new GenerationRunner({ provider, secret: '' });
+
+    const results = await regenerateFailingResources({
+      data,
+      sources,
+      regenerateStep: (step, input, outputs, feedback) => runner.regenerate(step, input, outputs, feedback),
+      buildBody,
+      now: () => NOW
+    });
+
+    expect(results).toEqual([
+      { resource: 'icp', status: 'regenerated' },
+      { resource: 'assessment', status: 'unsupported' }
+    ]);
+    expect(provider.calls.map(call => call.step)).toEqual(['icp']);
+    expect(provider.calls[0].userPrompt).toContain('Confidence 4/10 is below the 7/10 minimum');
+    expect(provider.calls[0].userPrompt).toContain('Ops Olivia');
+
+    expect(data.resources.icp_analysis).toMatchObject({
+      confidence_score: 9,
+      regenerated_at: NOW.toISOString(),
+      quality_gate: { status: 'passed' }
+    });
+    expect(data.resources.icp_analysis.content).toBeUndefined();
+    expect(data.resources.icp_analysis.structured.fields.company_size_range).toMatchObject({
+      value: '200-1,000 employees',
+      assumed: false
+    });
+    expect(sources.icp.company_size_range).toBe('200-1,000 employees');
+    expect(data.qualityGate).toMatchObject({
+      status: 'needs_review',
+      failing: ['assessment'],
+      regeneration: { attemptedAt: NOW.toISOString(), results }
+    });
+  });
+
+  test('should record a regeneration failure and keep the resource flagged', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const data = sessionData();
+    const sources = { persona: personaSource({ pain_points: '' }) };
+    applyQualityGate(data, { sources, now: NOW });
+
+    const results = await regenerateFailingResources({
+      data,
+      sources,
+      regenerateStep: async () => {
+        throw new Error('provider unavailable');
+      },
+      buildBody,
+      now: () => NOW
+    });
+
+    expect(results).toContainEqual({ resource: 'persona', status: 'failed', error: 'provider unavailable' });
+    expect(data.resources.persona.quality_gate.status).toBe('needs_review');
+    expect(data.qualityGate.failing).toContain('persona');
+    console.warn.mockRestore();
+  });
+});
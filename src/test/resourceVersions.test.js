@@ -0,0 +1,652 @@
+/**
+ * @jest-environment node
+ */
+// resourceVersions.test.js - Immutable resource versions, section diffs and the version API
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { extractSections, diffLines, diffVersions } = require('../../lib/resourceDiff');
+const {
+  ResourceVersionStore,
+  buildVersionSnapshot,
+  createResourceVersionStore,
+  createFunctionVersionStore
+} = require('../../lib/resourceVersionStore');
+const SupabaseResourceVersionStore = require('../../lib/supabaseResourceVersionStore');
+const { signPayload } = require('../../lib/webhookSignature');
+const { createResourceVersionRouter } = require('../../lib/resourceVersionApi');
+const { createCustomerAuthenticator } = require('../../lib/customerAuth');
+
+const ADMIN_TOKEN = 'admin-secret';
+const customerHeaders = (customerId = 'CUST_5') => ({ 'x-customer-token': `token-${customerId}` });
+
+function request(server, method, urlPath, body, headers = customerHeaders()) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path: urlPath,
+      headers: {
+        ...headers,
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) })
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+const icpSource = (overrides = {}) => ({
+  company_size_range: '100-500 employees',
+  industry_verticals: 'SaaS, Fintech',
+  annual_revenue_range: '$10M-$50M',
+  decision_makers: 'VP Engineering',
+  confidence_score: 8,
+  ...overrides
+});
+
+const personaSource = (overrides = {}) => ({
+  persona_name: 'Technical Tina',
+  job_title: 'VP Engineering',
+  pain_points: 'Legacy systems\nIntegration debt',
+  ...overrides
+});
+
+const empathySource = (overrides = {}) => ({
+  what_they_think: 'Is this worth the migration?',
+  what_they_feel: 'Pressure to modernize',
+  ...overrides
+});
+
+const sessionData = (sessionId, overrides = {}) => ({
+  sessionId,
+  customerId: 'CUST_5',
+  productName: 'Acme Analytics',
+  generationStatus: 'completed',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  qualityMetrics: { overall_confidence: 8.2, icp_confidence: 8, validation_status: 'ready_for_upload' },
+  resources: {
+    icp_analysis: { title: 'ICP', content: { text: `# ICP for ${sessionId}`, format: 'markdown' }, generation_method: 'claude_with_web_research' },
+    persona: { title: 'Personas', content: { text: '# Personas' } },
+    empathyMap: { title: 'Empathy Map', content: { text: '# Empathy' } },
+    productPotential: { title: 'Assessment', content: { text: '# Assessment' } }
+  },
+  ...overrides
+});
+
+// Just enough of the supabase-js query builder for the version store, with the tables' primary keys
+function fakeSupabase() {
+  const tables = { resource_versions: [], resource_version_state: [] };
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  const from = (table) => {
+    const rows = tables[table];
+    const filters = [];
+    let columns = [];
+    let order = null;
+
+    const run = () => {
+      const matched = rows.filter(row => filters.every(([column, value]) => row[column] === value));
+      if (order) matched.sort((a, b) => (order.ascending ? 1 : -1) * (a[order.column] - b[order.column]));
+      return matched.map(row => Object.fromEntries(columns.map(column => [column, clone(row[column])])));
+    };
+
+    const builder = {
+      select(selected) {
+        columns = selected.split(',').map(column => column.trim());
+        return builder;
+      },
+      eq(column, value) {
+        filters.push([column, value]);
+        return builder;
+      },
+      order(column, { ascending }) {
+        order = { column, ascending };
+        return builder;
+      },
+      maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+      insert: async (row) => {
+        if (rows.some(existing => existing.customer_id === row.customer_id && existing.version === row.version)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        }
+        rows.push(clone(row));
+        return { data: null, error: null };
+      },
+      upsert: async (row) => {
+        const index = rows.findIndex(existing => existing.customer_id === row.customer_id);
+        rows.splice(index === -1 ? rows.length : index, 1, clone(row));
+        return { data: null, error: null };
+      }
+    };
+    return builder;
+  };
+
+  return { from, tables };
+}
+
+const snapshot = (sessionId, sources = {}, overrides) => buildVersionSnapshot(sessionData(sessionId, overrides), {
+  sources: { icp: icpSource(), persona: personaSource(), empathy: empathySource(), ...sources },
+  model: { name: 'claude-sonnet' }
+});
+
+describe('resource diff', () => {
+
+  test('should group structured fields into sections and skip empty ones', () => {
+    const sections = extractSections({ icp: icpSource(), persona: personaSource({ pain_points: ['Cost', 'Risk'] }) });
+
+    expect(sections.icp_firmographics).toEqual({
+      company_size_range: '100-500 employees',
+      industry_verticals: 'SaaS, Fintech',
+      annual_revenue_range: '$10M-$50M'
+    });
+    expect(sections.icp_buying_profile).toEqual({ decision_makers: 'VP Engineering' });
+    expect(sections.persona_pains).toEqual({ pain_points: 'Cost, Risk' });
+    expect(sections.empathy_quadrants).toBeUndefined();
+  });
+
+  test('should produce a line diff', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+  });
+
+  test('should diff versions section by section', () => {
+    const from = { versionId: 'v1', ...snapshot('s1') };
+    const to = {
+      versionId: 'v2',
+      ...snapshot('s2', {
+        icp: icpSource({ company_size_range: '500-1000 employees', geographic_markets: 'EMEA' }),
+        persona: personaSource({ pain_points: 'Legacy systems\nHiring' })
+      })
+    };
+
+    const diff = diffVersions(from, to);
+    const firmographics = diff.sections.find(section => section.id === 'icp_firmographics');
+    const pains = diff.sections.find(section => section.id === 'persona_pains');
+    const quadrants = diff.sections.find(section => section.id === 'empathy_quadrants');
+
+    expect(firmographics.changed).toBe(true);
+    expect(firmographics.fields.find(field => field.field === 'company_size_range')).toMatchObject({
+      status: 'changed',
+      before: '100-500 employees',
+      after: '500-1000 employees'
+    });
+    expect(firmographics.fields.find(field => field.field === 'geographic_markets').status).toBe('added');
+    expect(pains.fields[0].lines).toEqual([
+      { type: 'same', text: 'Legacy systems' },
+      { type: 'removed', text: 'Integration debt' },
+      { type: 'added', text: 'Hiring' }
+    ]);
+    expect(quadrants.changed).toBe(false);
+    expect(diff.summary).toMatchObject({ sectionsChanged: 2, fieldsChanged: 3 });
+  });
+
+  test('should fall back to text when a version has no structured fields', () => {
+    const from = { versionId: 'v1', ...buildVersionSnapshot(sessionData('s1')) };
+    const to = { versionId: 'v2', ...snapshot('s2') };
+
+    const diff = diffVersions(from, to);
+    const icpText = diff.sections.find(section => section.id === 'icp_content');
+
+    expect(diff.sections.find(section => section.id === 'icp_firmographics')).toBeUndefined();
+    expect(icpText.fields[0]).toMatchObject({ before: '# ICP for s1', after: '# ICP for s2', status: 'changed' });
+  });
+});
+
+describe('version snapshot', () => {
+
+  test('should capture session, model and quality metadata', () => {
+    const version = snapshot('s1');
+
+    expect(version).toMatchObject({
+      sessionId: 's1',
+      generationStatus: 'completed',
+      model: { name: 'claude-sonnet', generationMethod: 'claude_with_web_research' },
+      quality: { overallConfidence: 8.2, icpConfidence: 8, validationStatus: 'ready_for_upload' },
+      texts: { icp: '# ICP for s1', persona: '# Personas' }
+    });
+    expect(version.contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should read structured fields from legacy resource content', () => {
+    const data = sessionData('s1');
+    data.resources.icp_analysis = { title: 'ICP', content: icpSource() };
+
+    expect(buildVersionSnapshot(data).sections.icp_firmographics.company_size_range).toBe('100-500 employees');
+  });
+});
+
+describe('ResourceVersionStore', () => {
+
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resource-versions-'));
+    store = new ResourceVersionStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should number versions per customer and make the newest current', async () => {
+    const first = await store.createVersion('CUST_5', snapshot('s1'));
+    const second = await store.createVersion('CUST_5', snapshot('s2'));
+    const other = await store.createVersion('CUST_6', snapshot('s3'));
+
+    expect([first.versionId, second.versionId, other.versionId]).toEqual(['v1', 'v2', 'v1']);
+
+    const { currentVersionId, versions } = await store.listVersions('CUST_5');
+    expect(currentVersionId).toBe('v2');
+    expect(versions.map(version => version.versionId)).toEqual(['v2', 'v1']);
+    expect(versions[0]).toMatchObject({ sessionId: 's2', current: true, pinned: false });
+    expect(versions[0].resources).toEqual(['icp', 'persona', 'empathy', 'assessment']);
+  });
+
+  test('should not duplicate a retried delivery of the same session', async () => {
+    await store.createVersion('CUST_5', snapshot('s1'));
+    const retried = await store.createVersion('CUST_5', snapshot('s1'));
+
+    expect(retried.versionId).toBe('v1');
+    expect((await store.listVersions('CUST_5')).versions).toHaveLength(1);
+  });
+
+  test('should not hand out the same number to concurrent generations', async () => {
+    const created = await Promise.all(['s1', 's2', 's3'].map(sessionId => store.createVersion('CUST_5', snapshot(sessionId))));
+
+    expect(created.map(version => version.versionId).sort()).toEqual(['v1', 'v2', 'v3']);
+    expect(fs.readdirSync(path.join(directory, 'CUST_5')).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should pin and restore without rewriting the version file', async () => {
+    await store.createVersion('CUST_5', snapshot('s1'));
+    await store.createVersion('CUST_5', snapshot('s2'));
+    const before = fs.readFileSync(path.join(directory, 'CUST_5', 'v1.json'), 'utf8');
+
+    expect(await store.setPinned('CUST_5', 'v1', true)).toMatchObject({ versionId: 'v1', pinned: true });
+    const restored = await store.restore('CUST_5', 'v1');
+
+    expect(restored.summary).toMatchObject({ current: true, pinned: true });
+    expect(fs.readFileSync(path.join(directory, 'CUST_5', 'v1.json'), 'utf8')).toBe(before);
+
+    const state = await store.getState('CUST_5');
+    expect(state.currentVersionId).toBe('v1');
+    expect(state.events.map(event => event.action)).toEqual(['created', 'created', 'pinned', 'restored']);
+    expect(state.events[3].previousVersionId).toBe('v2');
+  });
+
+  test('should return null for unknown versions and reject malformed IDs', async () => {
+    expect(await store.restore('CUST_5', 'v9')).toBeNull();
+    expect(await store.setPinned('CUST_5', 'v9')).toBeNull();
+    await expect(store.getVersion('CUST_5', '../v1')).rejects.toMatchObject({ code: 'INVALID_ID' });
+    await expect(store.getVersion('../CUST_5', 'v1')).rejects.toMatchObject({ code: 'INVALID_ID' });
+  });
+});
+
+describe('SupabaseResourceVersionStore', () => {
+
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = fakeSupabase();
+    store = new SupabaseResourceVersionStore({ client });
+  });
+
+  test('should number versions per customer and skip retried deliveries', async () => {
+    await store.createVersion('CUST_5', snapshot('s1'));
+    await store.createVersion('CUST_5', snapshot('s1'));
+    await store.createVersion('CUST_5', snapshot('s2'));
+    await store.createVersion('CUST_6', snapshot('s3'));
+
+    const { currentVersionId, versions } = await store.listVersions('CUST_5');
+    expect(currentVersionId).toBe('v2');
+    expect(versions.map(version => [version.versionId, version.sessionId])).toEqual([['v2', 's2'], ['v1', 's1']]);
+    expect(client.tables.resource_versions).toHaveLength(3);
+  });
+
+  test('should not hand out the same number to concurrent generations', async () => {
+    const created = await Promise.all(['s1', 's2', 's3'].map(sessionId => store.createVersion('CUST_5', snapshot(sessionId))));
+
+    expect(created.map(version => version.versionId).sort()).toEqual(['v1', 'v2', 'v3']);
+  });
+
+  test('should pin and restore through the state table', async () => {
+    await store.createVersion('CUST_5', snapshot('s1'));
+    await store.createVersion('CUST_5', snapshot('s2'));
+
+    await store.setPinned('CUST_5', 'v1', true);
+    const restored = await store.restore('CUST_5', 'v1');
+
+    expect(restored.version.sessionId).toBe('s1');
+    expect(restored.summary).toMatchObject({ current: true, pinned: true });
+    expect(client.tables.resource_version_state).toHaveLength(1);
+    expect((await store.getState('CUST_5')).events.map(event => event.action)).toEqual(['created', 'created', 'pinned', 'restored']);
+    expect(await store.getVersion('CUST_5', 'v9')).toBeNull();
+  });
+
+  test('should surface Supabase errors', async () => {
+    const failing = new SupabaseResourceVersionStore({
+      client: { from: () => ({ insert: async () => ({ error: { code: '42P01', message: 'relation does not exist' } }) }) }
+    });
+
+    await expect(failing.claimVersion('CUST_5', { version: 1 })).rejects.toMatchObject({ code: 'BACKEND_ERROR' });
+  });
+});
+
+describe('version store factories', () => {
+
+  const deployed = { AWS_LAMBDA_FUNCTION_NAME: 'resource-versions' };
+  const client = { from: () => ({}) };
+
+  test('should follow the session store backend unless told otherwise', () => {
+    expect(createResourceVersionStore({}, {})).toBeInstanceOf(ResourceVersionStore);
+    expect(createResourceVersionStore({ client }, { SESSION_STORE_BACKEND: 'supabase' })).toBeInstanceOf(SupabaseResourceVersionStore);
+    expect(createResourceVersionStore({}, { SESSION_STORE_BACKEND: 'supabase', RESOURCE_VERSIONS_BACKEND: 'filesystem' }).constructor)
+      .toBe(ResourceVersionStore);
+    expect(() => createResourceVersionStore({ backend: 'redis' }, {})).toThrow('Unknown resource version backend: redis');
+  });
+
+  test('should require Supabase in deployed functions', () => {
+    expect(createFunctionVersionStore({ client }, deployed)).toBeInstanceOf(SupabaseResourceVersionStore);
+    expect(() => createFunctionVersionStore({}, { ...deployed, RESOURCE_VERSIONS_BACKEND: 'filesystem' }))
+      .toThrow(expect.objectContaining({ code: 'UNSHARED_BACKEND' }));
+    expect(createFunctionVersionStore({}, { AWS_LAMBDA_FUNCTION_NAME: 'x', NETLIFY_DEV: 'true' }).directory).toBe('/tmp/resources/_versions');
+  });
+});
+
+describe('resource version API', () => {
+
+  let directory;
+  let versionStore;
+  let outbox;
+  let verifyCustomer;
+  let server;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resource-versions-'));
+    versionStore = new ResourceVersionStore({ directory });
+    outbox = {
+      enqueue: jest.fn().mockResolvedValue({ id: 's1' }),
+      processDue: jest.fn().mockResolvedValue([])
+    };
+    verifyCustomer = jest.fn(async (customerId, token) => token === `token-${customerId}`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await versionStore.createVersion('CUST_5', snapshot('s1'));
+    await versionStore.createVersion('CUST_5', snapshot('s2', { icp: icpSource({ company_size_range: '1000+ employees' }) }));
+
+    const authenticate = createCustomerAuthenticator({ verifyCustomer, adminToken: ADMIN_TOKEN });
+    const app = express();
+    app.use('/api/resources', createResourceVersionRouter({ versionStore, outbox, authenticate }));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should list versions newest first', async () => {
+    const res = await request(server, 'GET', '/api/resources/CUST_5/versions');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ currentVersionId: 'v2', count: 2 });
+    expect(res.body.versions[0].sections).toBeUndefined();
+  });
+
+  test('should diff the latest two versions by default', async () => {
+    const res = await request(server, 'GET', '/api/resources/CUST_5/versions/diff');
+
+    expect(res.status).toBe(200);
+    expect(res.body.diff).toMatchObject({ from: 'v1', to: 'v2', summary: { sectionsChanged: 1 } });
+  });
+
+  test('should diff explicit versions and reject bad ones', async () => {
+    const res = await request(server, 'GET', '/api/resources/CUST_5/versions/diff?from=v2&to=v1');
+    expect(res.body.diff).toMatchObject({ from: 'v2', to: 'v1' });
+
+    expect((await request(server, 'GET', '/api/resources/CUST_5/versions/diff?from=x&to=v1')).status).toBe(400);
+    expect((await request(server, 'GET', '/api/resources/CUST_5/versions/diff?from=v7&to=v1')).status).toBe(404);
+  });
+
+  test('should return 400 when there is nothing to compare', async () => {
+    await versionStore.createVersion('CUST_6', snapshot('s3'));
+
+    const res = await request(server, 'GET', '/api/resources/CUST_6/versions/diff', undefined, customerHeaders('CUST_6'));
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should return a full version', async () => {
+    const res = await request(server, 'GET', '/api/resources/CUST_5/versions/v1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toMatchObject({ versionId: 'v1', sessionId: 's1', model: { name: 'claude-sonnet' } });
+    expect((await request(server, 'GET', '/api/resources/CUST_5/versions/v9')).status).toBe(404);
+    expect((await request(server, 'GET', '/api/resources/CUST_5/versions/latest')).status).toBe(404);
+  });
+
+  test('should pin and unpin a version', async () => {
+    const pinned = await request(server, 'POST', '/api/resources/CUST_5/versions/v1/pin', { pinned: true });
+    expect(pinned.body.version.pinned).toBe(true);
+
+    const unpinned = await request(server, 'POST', '/api/resources/CUST_5/versions/v1/pin', { pinned: false });
+    expect(unpinned.body.version.pinned).toBe(false);
+
+    expect((await request(server, 'POST', '/api/resources/CUST_5/versions/v1/pin', { pinned: 'yes' })).status).toBe(400);
+  });
+
+  test('should restore a version and queue it for Airtable', async () => {
+    const res = await request(server, 'POST', '/api/resources/CUST_5/versions/v1/restore');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ airtableSync: 'queued', version: { versionId: 'v1', current: true } });
+    expect(res.body.resources.icp_analysis.content.text).toBe('# ICP for s1');
+    expect(outbox.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 's1',
+      customerId: 'CUST_5',
+      resources: expect.objectContaining({ icp_analysis: expect.objectContaining({ content: '# ICP for s1' }) })
+    }));
+    expect(outbox.processDue).toHaveBeenCalled();
+  });
+
+  test('should restore without Airtable when no outbox is configured', async () => {
+    const app = express();
+    app.use('/api/resources', createResourceVersionRouter({ versionStore, authenticate: createCustomerAuthenticator({ verifyCustomer }) }));
+    const plain = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const res = await request(plain, 'POST', '/api/resources/CUST_5/versions/v1/restore');
+    await new Promise(resolve => plain.close(resolve));
+
+    expect(res.body.airtableSync).toBe('not_configured');
+  });
+
+  test('should 404 malformed customer IDs', async () => {
+    expect((await request(server, 'GET', '/api/resources/bad%20id/versions')).status).toBe(404);
+  });
+
+  describe('authentication', () => {
+
+    const routes = [
+      ['GET', '/api/resources/CUST_5/versions', undefined],
+      ['GET', '/api/resources/CUST_5/versions/diff', undefined],
+      ['GET', '/api/resources/CUST_5/versions/v1', undefined],
+      ['POST', '/api/resources/CUST_5/versions/v1/pin', { pinned: true }],
+      ['POST', '/api/resources/CUST_5/versions/v1/restore', undefined]
+    ];
+
+    test.each(routes)('should return 401 for an unauthenticated %s %s', async (method, urlPath, body) => {
+      const res = await request(server, method, urlPath, body, {});
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ success: false, error: 'Customer token required' });
+    });
+
+    test('should reject another customer\'s token without touching the versions', async () => {
+      const res = await request(server, 'POST', '/api/resources/CUST_5/versions/v1/restore', undefined, customerHeaders('CUST_6'));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid customer token');
+      expect(verifyCustomer).toHaveBeenCalledWith('CUST_5', 'token-CUST_6');
+      expect(outbox.enqueue).not.toHaveBeenCalled();
+      expect((await versionStore.getState('CUST_5')).currentVersionId).toBe('v2');
+    });
+
+    test('should accept the admin token for any customer', async () => {
+      const res = await request(server, 'GET', '/api/resources/CUST_5/versions', undefined, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+
+      expect(res.status).toBe(200);
+      expect(verifyCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should only accept the admin token when no verifier is configured', async () => {
+      const authenticate = createCustomerAuthenticator({ adminToken: ADMIN_TOKEN });
+
+      expect(await authenticate(customerHeaders(), 'CUST_5')).toEqual({ statusCode: 503, error: 'Customer verification is not configured' });
+      expect(await authenticate({ 'x-admin-token': ADMIN_TOKEN }, 'CUST_5')).toBeNull();
+      expect(await createCustomerAuthenticator({ env: {} })({ 'x-admin-token': 'guess' }, 'CUST_5'))
+        .toEqual({ statusCode: 401, error: 'Customer token required' });
+    });
+
+    test('should cache successful checks and answer 503 when the check fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const authenticate = createCustomerAuthenticator({ verifyCustomer, adminToken: ADMIN_TOKEN });
+      const headers = { 'x-customer-token': 'token-CUST_5' };
+
+      expect(await authenticate(headers, 'CUST_5')).toBeNull();
+      expect(await authenticate(headers, 'CUST_5')).toBeNull();
+      expect(verifyCustomer).toHaveBeenCalledTimes(1);
+
+      verifyCustomer.mockRejectedValueOnce(new Error('Airtable GET failed (503): Service Unavailable'));
+      expect(await authenticate(headers, 'CUST_6')).toEqual({ statusCode: 503, error: 'Could not verify customer token' });
+    });
+  });
+});
+
+describe('Netlify resource versions', () => {
+
+  const MAKE_SECRET = 'make-secret';
+  const ENV_KEYS = [
+    'SESSION_STORE_DIR', 'SESSION_STORE_BACKEND', 'RESOURCE_VERSIONS_DIR', 'RESOURCE_VERSIONS_BACKEND',
+    'WEBHOOK_SECRET_MAKE', 'ADMIN_API_TOKEN', 'AWS_LAMBDA_FUNCTION_NAME',
+    'AIRTABLE_API_KEY', 'AIRTABLE_BASE_ID', 'REACT_APP_AIRTABLE_API_KEY', 'REACT_APP_AIRTABLE_BASE_ID'
+  ];
+
+  let directory;
+  let savedEnv;
+  let webhook;
+  let versions;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'netlify-versions-'));
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    Object.assign(process.env, {
+      SESSION_STORE_DIR: path.join(directory, 'sessions'),
+      RESOURCE_VERSIONS_DIR: path.join(directory, 'versions'),
+      WEBHOOK_SECRET_MAKE: MAKE_SECRET,
+      ADMIN_API_TOKEN: ADMIN_TOKEN
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.isolateModules(() => {
+      webhook = require('../../netlify/functions/core-resources-webhook');
+      versions = require('../../netlify/functions/resource-versions');
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const deliver = (sessionId) => {
+    const body = JSON.stringify({ session_id: sessionId, customer_id: 'CUST_9', icpData: JSON.stringify(icpSource()) });
+    return webhook.handler({ httpMethod: 'POST', path: '/.netlify/functions/core-resources-webhook', body, headers: signPayload(MAKE_SECRET, body) });
+  };
+
+  const call = async (method, suffix, headers = {}, body, query) => {
+    const response = await versions.handler({
+      httpMethod: method,
+      path: `/.netlify/functions/resource-versions${suffix}`,
+      queryStringParameters: query,
+      headers,
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: response.body && JSON.parse(response.body) };
+  };
+
+  test('should store each webhook delivery as a version the function serves', async () => {
+    expect((await deliver('sess_1')).statusCode).toBe(200);
+    expect((await deliver('sess_2')).statusCode).toBe(200);
+
+    const listed = await call('GET', '/CUST_9/versions', { 'x-admin-token': ADMIN_TOKEN });
+    expect(listed.status).toBe(200);
+    expect(listed.body).toMatchObject({ currentVersionId: 'v2', count: 2 });
+    expect(listed.body.versions.map(version => version.sessionId)).toEqual(['sess_2', 'sess_1']);
+
+    const restored = await call('POST', '/CUST_9/versions/v1/restore', { authorization: `Bearer ${ADMIN_TOKEN}` });
+    expect(restored.body).toMatchObject({ airtableSync: 'not_configured', version: { versionId: 'v1', current: true } });
+
+    const diff = await call('GET', '/CUST_9/versions/diff', { 'x-admin-token': ADMIN_TOKEN }, undefined, { from: 'v2', to: 'v1' });
+    expect(diff.body.diff).toMatchObject({ from: 'v2', to: 'v1' });
+  });
+
+  test('should store the ICP and persona as structured resources', async () => {
+    const response = JSON.parse((await deliver('sess_1')).body);
+
+    expect(response.resources.icp_analysis.structured.fields.company_size_range).toMatchObject({ value: '100-500 employees', assumed: false });
+    expect(response.resources.icp_analysis.content.text).toContain('**Size Range**: 100-500 employees');
+    expect(response.resources.buyer_personas.structured.assumedFields).toContain('persona_name');
+    expect(JSON.stringify([response.resources.icp_analysis, response.resources.buyer_personas])).not.toContain('Not specified');
+
+    const { body } = await call('GET', '/CUST_9/versions/v1', { 'x-admin-token': ADMIN_TOKEN });
+    expect(body.version.sections.icp_firmographics).toMatchObject({ company_size_range: '100-500 employees' });
+    expect(body.version.resources.icp_analysis.content.text).toContain('# Ideal Customer Profile: 100-500 employees');
+  });
+
+  test('should return 401 without a customer or admin token', async () => {
+    await deliver('sess_1');
+
+    expect((await call('GET', '/CUST_9/versions')).status).toBe(401);
+    expect((await call('POST', '/CUST_9/versions/v1/pin', { 'x-customer-token': 'guess' }, { pinned: true })).status).toBe(503);
+    expect((await call('POST', '/CUST_9/versions/v1/restore', { 'x-admin-token': 'guess' })).status).toBe(401);
+  });
+
+  test('should answer preflight requests and reject malformed bodies', async () => {
+    expect((await call('OPTIONS', '/CUST_9/versions')).status).toBe(200);
+
+    const response = await versions.handler({
+      httpMethod: 'POST',
+      path: '/.netlify/functions/resource-versions/CUST_9/versions/v1/pin',
+      headers: { 'x-admin-token': ADMIN_TOKEN },
+      body: '{not json'
+    });
+    expect(response.statusCode).toBe(400);
+  });
+});
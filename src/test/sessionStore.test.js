@@ -0,0 +1,288 @@
+/**
+ * @jest-environment node
+ */
+// sessionStore.test.js - Contract tests shared by every session store backend
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, createFunctionSessionStore, SessionStoreError } = require('../../lib/sessionStore');
+const FileSystemSessionStore = require('../../lib/sessionStore/FileSystemSessionStore');
+const SqliteSessionStore = require('../../lib/sessionStore/SqliteSessionStore');
+
+const hasSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const backends = [
+  ['filesystem', () => createSessionStore({
+    backend: 'filesystem',
+    directory: fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'))
+  })]
+];
+if (hasSqlite) {
+  backends.push(['sqlite', () => createSessionStore({ backend: 'sqlite', filename: ':memory:' })]);
+}
+
+describe.each(backends)('%s session store', (backend, makeStore) => {
+
+  let store;
+
+  beforeEach(() => {
+    store = makeStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    if (store.directory) {
+      fs.rmSync(store.directory, { recursive: true, force: true });
+    }
+  });
+
+  const resources = { sessionId: 'sess_1', resources: { icp_analysis: { confidence_score: 8 } } };
+
+  test('should round-trip data through put and get', async () => {
+    const metadata = await store.put('sess_1', resources, { customerId: 'CUST_5' });
+
+    expect(metadata.sessionId).toBe('sess_1');
+    expect(metadata.customerId).toBe('CUST_5');
+    expect(metadata.data).toBeUndefined();
+    expect(await store.get('sess_1')).toEqual(resources);
+  });
+
+  test('should return null for unknown sessions', async () => {
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('should keep createdAt when a session is overwritten', async () => {
+    const first = await store.put('sess_1', resources, { customerId: 'CUST_5' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await store.put('sess_1', { ...resources, version: 2 }, { customerId: 'CUST_5' });
+
+    expect(second.createdAt).toBe(first.createdAt);
+    expect(second.updatedAt > first.updatedAt).toBe(true);
+    expect((await store.get('sess_1')).version).toBe(2);
+  });
+
+  test('should list sessions by customerId, newest first', async () => {
+    await store.put('sess_a', resources, { customerId: 'CUST_5' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.put('sess_b', resources, { customerId: 'CUST_6' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.put('sess_c', resources, { customerId: 'CUST_5' });
+
+    const forCustomer = await store.list({ customerId: 'CUST_5' });
+    expect(forCustomer.map(record => record.sessionId)).toEqual(['sess_c', 'sess_a']);
+
+    const all = await store.list({ limit: 2 });
+    expect(all.map(record => record.sessionId)).toEqual(['sess_c', 'sess_b']);
+  });
+
+  test('should move the customer index when a session changes customer', async () => {
+    await store.put('sess_1', resources, { customerId: 'CUST_5' });
+    await store.put('sess_1', resources, { customerId: 'CUST_6' });
+
+    expect(await store.list({ customerId: 'CUST_5' })).toEqual([]);
+    expect((await store.list({ customerId: 'CUST_6' })).length).toBe(1);
+  });
+
+  test('should expire a session on demand', async () => {
+    await store.put('sess_1', resources, { customerId: 'CUST_5' });
+
+    expect(await store.expire('sess_1')).toBe(true);
+    expect(await store.get('sess_1')).toBeNull();
+    expect(await store.list({ customerId: 'CUST_5' })).toEqual([]);
+    expect(await store.expire('sess_1')).toBe(false);
+  });
+
+  test('should hide and clean up sessions past their TTL', async () => {
+    await store.put('short', resources, { customerId: 'CUST_5', ttlSeconds: 0.01 });
+    await store.put('long', resources, { customerId: 'CUST_5' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await store.get('short')).toBeNull();
+    expect((await store.list()).map(record => record.sessionId)).toEqual(['long']);
+    expect(await store.cleanup()).toBe(1);
+    expect(await store.get('long')).toEqual(resources);
+  });
+
+  test('should record status and payload size', async () => {
+    const metadata = await store.put('sess_1', { ...resources, generationStatus: 'completed_with_warnings' });
+
+    expect(metadata.status).toBe('completed_with_warnings');
+    expect(metadata.sizeBytes).toBeGreaterThan(0);
+    expect((await store.list())[0]).toMatchObject({ status: 'completed_with_warnings', sizeBytes: metadata.sizeBytes });
+  });
+
+  test('should filter list by status and creation date', async () => {
+    await store.put('sess_a', { generationStatus: 'completed' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const middle = await store.put('sess_b', { generationStatus: 'failed' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.put('sess_c', { generationStatus: 'completed' });
+
+    expect((await store.list({ status: 'completed' })).map(record => record.sessionId)).toEqual(['sess_c', 'sess_a']);
+    expect((await store.list({ createdFrom: middle.createdAt })).map(record => record.sessionId)).toEqual(['sess_c', 'sess_b']);
+    expect((await store.list({ createdTo: middle.createdAt })).map(record => record.sessionId)).toEqual(['sess_b', 'sess_a']);
+  });
+
+  test('should page through sessions with a cursor', async () => {
+    for (const id of ['sess_1', 'sess_2', 'sess_3', 'sess_4', 'sess_5']) {
+      await store.put(id, resources, { customerId: 'CUST_5' });
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const first = await store.query({ customerId: 'CUST_5', limit: 2 });
+    const second = await store.query({ customerId: 'CUST_5', limit: 2, cursor: first.nextCursor });
+    const last = await store.query({ customerId: 'CUST_5', limit: 2, cursor: second.nextCursor });
+
+    expect(first.records.map(record => record.sessionId)).toEqual(['sess_5', 'sess_4']);
+    expect(second.records.map(record => record.sessionId)).toEqual(['sess_3', 'sess_2']);
+    expect(last.records.map(record => record.sessionId)).toEqual(['sess_1']);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  test('should reject a malformed cursor', async () => {
+    await expect(store.query({ cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+  });
+
+  test('should change expiry without touching data', async () => {
+    const original = await store.put('sess_1', resources);
+    const later = new Date(Date.now() + 60000);
+
+    const updated = await store.setExpiry('sess_1', later);
+    expect(updated.expiresAt).toBe(later.toISOString());
+    expect(updated.updatedAt).toBe(original.updatedAt);
+    expect(await store.get('sess_1')).toEqual(resources);
+
+    await store.setExpiry('sess_1', new Date());
+    expect(await store.get('sess_1')).toBeNull();
+    expect(await store.setExpiry('sess_1', later)).toBeNull();
+  });
+
+  test('should reject IDs that could escape the store', async () => {
+    await expect(store.put('../../etc/passwd', resources)).rejects.toThrow(SessionStoreError);
+    await expect(store.get('..')).rejects.toMatchObject({ code: 'INVALID_ID' });
+    await expect(store.put('sess_1', resources, { customerId: 'CUST/../x' })).rejects.toMatchObject({ code: 'INVALID_ID' });
+  });
+});
+
+describe('FileSystemSessionStore', () => {
+
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should read legacy webhook-data files without an envelope', async () => {
+    const legacy = { sessionId: 'legacy-123', customerId: 'CUST_5', resources: {} };
+    fs.writeFileSync(path.join(directory, 'legacy-123.json'), JSON.stringify(legacy));
+
+    const store = new FileSystemSessionStore({ directory });
+    expect(await store.get('legacy-123')).toEqual(legacy);
+    expect((await store.getRecord('legacy-123')).expiresAt).toBeNull();
+  });
+
+  test('should not leave temp files behind after writes', async () => {
+    const store = new FileSystemSessionStore({ directory });
+    await store.put('sess_1', { ok: true });
+    await store.put('sess_1', { ok: false });
+
+    expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should be readable from a second instance on the same directory', async () => {
+    await new FileSystemSessionStore({ directory }).put('sess_1', { ok: true }, { customerId: 'CUST_5' });
+
+    const otherInstance = new FileSystemSessionStore({ directory });
+    expect(await otherInstance.get('sess_1')).toEqual({ ok: true });
+  });
+});
+
+(hasSqlite ? describe : describe.skip)('SqliteSessionStore', () => {
+
+  test('should add status columns to databases from before they existed', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    const filename = path.join(directory, 'sessions.sqlite');
+    const Database = require('better-sqlite3');
+    const legacy = new Database(filename);
+    legacy.exec(`
+      CREATE TABLE webhook_sessions (
+        session_id TEXT PRIMARY KEY, customer_id TEXT, data TEXT NOT NULL,
+        created_at TEXT NOT NULL, updated_at TEXT NOT NULL, expires_at TEXT
+      );
+      INSERT INTO webhook_sessions VALUES ('old', 'CUST_5', '{"ok":true}', '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z', NULL);
+    `);
+    legacy.close();
+
+    const store = new SqliteSessionStore({ filename });
+    await store.put('new', { generationStatus: 'completed' });
+
+    expect(await store.get('old')).toEqual({ ok: true });
+    expect((await store.list({ status: 'completed' })).map(record => record.sessionId)).toEqual(['new']);
+    await store.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
+
+describe('createSessionStore', () => {
+
+  test('should default to the filesystem backend', () => {
+    expect(createSessionStore({}, {})).toBeInstanceOf(FileSystemSessionStore);
+  });
+
+  test('should honour SESSION_TTL_SECONDS', () => {
+    expect(createSessionStore({}, { SESSION_TTL_SECONDS: '60' }).ttlSeconds).toBe(60);
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createSessionStore({ backend: 'redis' })).toThrow('Unknown session store backend: redis');
+  });
+
+  test('should require Supabase credentials', () => {
+    const env = { SESSION_STORE_BACKEND: 'supabase' };
+    const saved = { url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_ROLE_KEY };
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    try {
+      expect(() => createSessionStore({}, env)).toThrow(/SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY/);
+    } finally {
+      if (saved.url) process.env.SUPABASE_URL = saved.url;
+      if (saved.key) process.env.SUPABASE_SERVICE_ROLE_KEY = saved.key;
+    }
+  });
+});
+
+describe('createFunctionSessionStore', () => {
+
+  const deployed = { AWS_LAMBDA_FUNCTION_NAME: 'core-resources-webhook' };
+
+  test('should use the filesystem under /tmp/resources outside Lambda', () => {
+    const store = createFunctionSessionStore({}, { NETLIFY_DEV: 'true', ...deployed });
+    expect(store).toBeInstanceOf(FileSystemSessionStore);
+    expect(store.directory).toBe('/tmp/resources');
+  });
+
+  test('should default to Supabase once deployed', () => {
+    const client = { from: () => ({}) };
+    expect(createFunctionSessionStore({ client }, deployed).constructor.name).toBe('SupabaseSessionStore');
+  });
+
+  test('should refuse backends that are not shared between instances', () => {
+    expect(() => createFunctionSessionStore({}, { ...deployed, SESSION_STORE_BACKEND: 'filesystem' }))
+      .toThrow(SessionStoreError);
+    expect(() => createFunctionSessionStore({}, { ...deployed, SESSION_STORE_BACKEND: 'sqlite' }))
+      .toThrow(/"sqlite" is not shared between Netlify function instances/);
+  });
+});
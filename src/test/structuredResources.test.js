@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+// structuredResources.test.js - Typed ICP/persona storage, assumed-field flags and render-on-read
+
+const {
+  parseRange,
+  toStructuredResource,
+  structuredValues,
+  renderStructuredMarkdown,
+  resourceText,
+  withRenderedContent
+} = require('../../lib/structuredResources');
+const { toUiResources, buildResourceSyncFields } = require('../../lib/airtableResourceSync');
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+const icpSource = {
+  company_size_range: '50-200 employees',
+  industry_verticals: 'Logistics SaaS',
+  annual_revenue_range: '$10M - $50M',
+  decision_makers: 'VP Operations',
+  buying_process: 'Pilot, then annual contract',
+  confidence_score: 8.4
+};
+
+const personaSource = {
+  persona_name: 'Ops Olivia',
+  job_title: 'VP Operations',
+  annual_income: '185,000',
+  preferred_communication_channels: ['LinkedIn', 'Peer referrals'],
+  confidence_score: 8
+};
+
+describe('parseRange', () => {
+
+  test('should parse bounds with currency suffixes and open-ended ranges', () => {
+    expect(parseRange('$100M - $1B+')).toEqual({ min: 1e8, max: null });
+    expect(parseRange('$50K - $500K annually')).toEqual({ min: 5e4, max: 5e5 });
+    expect(parseRange('500-5,000')).toEqual({ min: 500, max: 5000 });
+    expect(parseRange('12-18 months')).toEqual({ min: 12, max: 18 });
+  });
+
+  test('should return null when there are no numbers', () => {
+    expect(parseRange('Mid-market to Enterprise')).toBeNull();
+    expect(parseRange(undefined)).toBeNull();
+  });
+});
+
+describe('toStructuredResource', () => {
+
+  test('should keep provided ICP values and flag defaulted ones as assumed', () => {
+    const structured = toStructuredResource('icp', icpSource);
+
+    expect(structured.kind).toBe('icp');
+    expect(structured.schemaVersion).toBe(1);
+    expect(structured.fields.company_size_range).toEqual({
+      value: '50-200 employees',
+      range: { min: 50, max: 200 },
+      assumed: false
+    });
+    expect(structured.fields.annual_revenue_range.range).toEqual({ min: 1e7, max: 5e7 });
+    expect(structured.fields.budget_range).toEqual({
+      value: '$50K - $500K annually',
+      range: { min: 5e4, max: 5e5 },
+      assumed: true
+    });
+    expect(structured.assumedFields).toContain('technology_stack');
+    expect(structured.assumedFields).not.toContain('decision_makers');
+    // Optional fields without a default are left out rather than invented
+    expect(structured.fields.growth_stage).toBeUndefined();
+  });
+
+  test('should type persona numbers and lists', () => {
+    const structured = toStructuredResource('persona', personaSource);
+
+    expect(structured.fields.annual_income).toEqual({ value: 185000, assumed: false });
+    expect(structured.fields.preferred_communication_channels).toEqual({
+      value: ['LinkedIn', 'Peer referrals'],
+      assumed: false
+    });
+    expect(structured.fields.age_range).toMatchObject({ value: '35-50', assumed: true });
+    expect(structuredValues(structured)).toMatchObject({ persona_name: 'Ops Olivia', annual_income: 185000 });
+  });
+
+  test('should reject kinds without a schema', () => {
+    expect(() => toStructuredResource('empathy', {})).toThrow(/No structured schema/);
+  });
+});
+
+describe('rendering', () => {
+
+  test('should render markdown that marks assumed values', () => {
+    const lines = renderStructuredMarkdown(toStructuredResource('persona', personaSource), 8).split('\n');
+
+    expect(lines).toContain('# Primary Buyer Persona: Ops Olivia');
+    expect(lines).toContain('**Annual Income**: $185,000');
+    expect(lines).toContain('**Age Range**: 35-50 _(assumed)_');
+    expect(lines).toContain('**Preferred Channels**: LinkedIn, Peer referrals');
+    expect(lines).toContain('**Confidence Score**: 8/10');
+  });
+
+  test('should render persona income in the reader currency', () => {
+    const persona = toStructuredResource('persona', personaSource);
+
+    expect(renderStructuredMarkdown(persona, 8, { currency: 'GBP', locale: 'en-GB' })).toContain('**Annual Income**: £138,750\n');
+    expect(resourceText({ structured: persona }, { currency: 'EUR', locale: 'de-DE' })).toContain('**Annual Income**: 159.100\u00a0€\n');
+  });
+
+  test('should render structured resources on read and leave content-only ones alone', () => {
+    const resources = {
+      icp_analysis: { confidence_score: 8.4, structured: toStructuredResource('icp', icpSource) },
+      empathyMap: { content: { text: '# Empathy' } }
+    };
+
+    const { icp_analysis: icp, empathyMap } = withRenderedContent(resources);
+
+    expect(icp.content.format).toBe('markdown');
+    expect(icp.content.text).toBe(resourceText(resources.icp_analysis));
+    expect(icp.content.text).toContain('**Budget Range**: $50K - $500K annually _(assumed)_');
+    expect(empathyMap).toBe(resources.empathyMap);
+    expect(resources.icp_analysis.content).toBeUndefined();
+  });
+
+  test('should export the assumed fields to Airtable alongside the rendered text', () => {
+    const data = {
+      resources: {
+        icp_analysis: { confidence_score: 8.4, structured: toStructuredResource('icp', icpSource) },
+        persona: { confidence_score: 8, content: { text: '# Persona' } }
+      }
+    };
+
+    const fields = buildResourceSyncFields(toUiResources(data), NOW);
+    const icp = JSON.parse(fields['Detailed ICP Analysis']);
+    const persona = JSON.parse(fields['Target Buyer Personas']);
+
+    expect(icp.content).toContain('# Ideal Customer Profile: 50-200 employees');
+    expect(icp.assumed_fields).toEqual(data.resources.icp_analysis.structured.assumedFields);
+    expect(persona.content).toBe('# Persona');
+    expect(persona.assumed_fields).toBeUndefined();
+  });
+});
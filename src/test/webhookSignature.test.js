@@ -0,0 +1,181 @@
+/**
+ * @jest-environment node
+ */
+// webhookSignature.test.js - HMAC verification and replay protection for inbound webhooks
+
+const {
+  NonceCache,
+  getSourceSecret,
+  signPayload,
+  verifySignature,
+  createVerifier,
+  createSignatureMiddleware,
+  verifyNetlifyEvent
+} = require('../../lib/webhookSignature');
+
+describe('webhookSignature', () => {
+
+  const secret = 'test-secret';
+  const body = JSON.stringify({ session_id: 'sess_1', customer_id: 'CUST_5' });
+  const now = 1760000000000;
+  const timestamp = Math.floor(now / 1000);
+
+  const signedHeaders = (overrides = {}) => signPayload(secret, body, { timestamp, nonce: 'nonce-1', ...overrides });
+
+  describe('signPayload / verifySignature', () => {
+
+    test('should accept a correctly signed request', () => {
+      const result = verifySignature({ secret, rawBody: body, headers: signedHeaders(), now });
+      expect(result).toEqual({ valid: true });
+    });
+
+    test('should read headers case-insensitively', () => {
+      const lowerCased = Object.fromEntries(
+        Object.entries(signedHeaders()).map(([key, value]) => [key.toLowerCase(), value])
+      );
+      expect(verifySignature({ secret, rawBody: Buffer.from(body), headers: lowerCased, now }).valid).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const result = verifySignature({ secret, rawBody: body.replace('CUST_5', 'CUST_6'), headers: signedHeaders(), now });
+      expect(result).toEqual({ valid: false, reason: 'signature_mismatch' });
+    });
+
+    test('should reject a signature made with another secret', () => {
+      const headers = signPayload('other-secret', body, { timestamp, nonce: 'nonce-1' });
+      expect(verifySignature({ secret, rawBody: body, headers, now }).reason).toBe('signature_mismatch');
+    });
+
+    test('should report which header is missing', () => {
+      const { 'X-Nonce': omitted, ...headers } = signedHeaders();
+      expect(omitted).toBeDefined();
+      expect(verifySignature({ secret, rawBody: body, headers, now }).reason).toBe('missing_nonce');
+      expect(verifySignature({ secret, rawBody: body, headers: {}, now }).reason).toBe('missing_signature');
+    });
+
+    test('should reject timestamps outside the tolerance window', () => {
+      const stale = signedHeaders({ timestamp: timestamp - 301 });
+      expect(verifySignature({ secret, rawBody: body, headers: stale, now }).reason).toBe('timestamp_outside_tolerance');
+
+      const future = signedHeaders({ timestamp: timestamp + 301 });
+      expect(verifySignature({ secret, rawBody: body, headers: future, now }).reason).toBe('timestamp_outside_tolerance');
+    });
+
+    test('should reject when no secret is configured', () => {
+      expect(verifySignature({ secret: null, rawBody: body, headers: signedHeaders(), now }).reason).toBe('secret_not_configured');
+    });
+  });
+
+  describe('replay protection', () => {
+
+    test('should reject a replayed nonce', () => {
+      const nonceCache = new NonceCache();
+      const headers = signedHeaders();
+
+      expect(verifySignature({ secret, rawBody: body, headers, nonceCache, now }).valid).toBe(true);
+      expect(verifySignature({ secret, rawBody: body, headers, nonceCache, now }).reason).toBe('replayed_nonce');
+    });
+
+    test('should not burn nonces for forged requests', () => {
+      const nonceCache = new NonceCache();
+      const forged = signPayload('attacker', body, { timestamp, nonce: 'nonce-1' });
+
+      verifySignature({ secret, rawBody: body, headers: forged, nonceCache, now });
+      expect(verifySignature({ secret, rawBody: body, headers: signedHeaders(), nonceCache, now }).valid).toBe(true);
+    });
+
+    test('should expire nonces after the TTL', () => {
+      const nonceCache = new NonceCache({ ttlSeconds: 10 });
+
+      expect(nonceCache.checkAndStore('abc', now)).toBe(true);
+      expect(nonceCache.checkAndStore('abc', now + 5000)).toBe(false);
+      expect(nonceCache.checkAndStore('abc', now + 11000)).toBe(true);
+    });
+
+    test('should cap the number of remembered nonces', () => {
+      const nonceCache = new NonceCache({ maxEntries: 2 });
+
+      nonceCache.checkAndStore('a', now);
+      nonceCache.checkAndStore('b', now);
+      nonceCache.checkAndStore('c', now);
+      expect(nonceCache.size).toBe(2);
+    });
+  });
+
+  describe('createVerifier', () => {
+
+    test('should resolve per-source secrets from the environment', () => {
+      const env = { WEBHOOK_SECRET_AIRTABLE_AGENT: secret };
+      expect(getSourceSecret('airtable_agent', env)).toBe(secret);
+      expect(getSourceSecret('make', env)).toBeNull();
+    });
+
+    test('should allow unsigned requests only when explicitly enabled', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const strict = createVerifier({ source: 'make', env: {} });
+      expect(strict({ rawBody: body, headers: {} }).reason).toBe('secret_not_configured');
+
+      const relaxed = createVerifier({ source: 'make', env: { WEBHOOK_ALLOW_UNSIGNED: 'true' } });
+      expect(relaxed({ rawBody: body, headers: {} })).toEqual({ valid: true, unsigned: true });
+    });
+
+    test('should log rejections with a reason', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const verify = createVerifier({ source: 'make', secret });
+
+      verify({ rawBody: body, headers: {}, context: { path: '/api/webhook/core-resources' } });
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining('[make]: missing_signature'),
+        { path: '/api/webhook/core-resources' }
+      );
+    });
+  });
+
+  describe('createSignatureMiddleware', () => {
+
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    test('should call next for a signed raw body', () => {
+      const middleware = createSignatureMiddleware({ source: 'make', secret });
+      const req = { method: 'POST', path: '/', body: Buffer.from(body), headers: signPayload(secret, body) };
+      const next = jest.fn();
+
+      middleware(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should respond 401 with the reason for an unsigned request', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const middleware = createSignatureMiddleware({ source: 'airtable_agent', secret });
+      const req = { method: 'POST', path: '/operations/backup', rawBody: Buffer.from(body), body: {}, headers: {} };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      middleware(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ reason: 'missing_signature' }));
+    });
+  });
+
+  describe('verifyNetlifyEvent', () => {
+
+    test('should verify base64-encoded function bodies', () => {
+      const verify = createVerifier({ source: 'make', secret });
+      const event = {
+        path: '/.netlify/functions/core-resources-webhook',
+        isBase64Encoded: true,
+        body: Buffer.from(body).toString('base64'),
+        headers: signPayload(secret, body)
+      };
+
+      expect(verifyNetlifyEvent(verify, event).valid).toBe(true);
+    });
+  });
+});
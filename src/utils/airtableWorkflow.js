@@ -19,6 +19,8 @@ const DEFAULT_WORKFLOW_PROGRESS = {
 const DEFAULT_USER_PREFERENCES = {
   icp_framework_customized: false,
   preferred_export_format: "pdf",
+  currency: "USD",
+  locale: "en-US",
   methodology_transparency: false,
   custom_criteria: [],
   export_history: []
@@ -0,0 +1,28 @@
+import { scoreProspects } from '../services/ProspectBatchScoringService';
+
+/**
+ * Prospect Scoring Worker
+ * Scores uploaded account lists off the main thread so the ICP tool stays
+ * responsive on 2,000-row files.
+ *
+ *   in:  { rows, mapping, framework, target }
+ *   out: { type: 'progress', processed, total } | { type: 'done', results } | { type: 'error', message }
+ *
+ * onmessage and postMessage are the worker's own globals.
+ */
+onmessage = async (event) => {
+  const { rows, mapping, framework, target } = event.data;
+
+  try {
+    const results = await scoreProspects(rows, {
+      mapping,
+      framework,
+      target,
+      chunkSize: 100,
+      onProgress: (processed, total) => postMessage({ type: 'progress', processed, total })
+    });
+    postMessage({ type: 'done', results });
+  } catch (error) {
+    postMessage({ type: 'error', message: error.message });
+  }
+};
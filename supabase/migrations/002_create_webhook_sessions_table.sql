@@ -0,0 +1,37 @@
+-- Create webhook_sessions table for generated Core Resources
+-- Backs lib/sessionStore/SupabaseSessionStore.js (SESSION_STORE_BACKEND=supabase)
+CREATE TABLE IF NOT EXISTS public.webhook_sessions (
+  session_id TEXT PRIMARY KEY,
+  customer_id TEXT, -- Maps to Airtable customer ID (e.g., CUST_001)
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for customer lookups and TTL cleanup
+CREATE INDEX IF NOT EXISTS idx_webhook_sessions_customer_id ON public.webhook_sessions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_sessions_expires_at ON public.webhook_sessions(expires_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.webhook_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only the service role (webhook server, Netlify functions) can read or write sessions
+CREATE POLICY "Service role can manage webhook sessions" ON public.webhook_sessions
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Function to purge expired sessions (can be scheduled with pg_cron)
+CREATE OR REPLACE FUNCTION public.purge_expired_webhook_sessions()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  removed INTEGER;
+BEGIN
+  DELETE FROM public.webhook_sessions
+  WHERE expires_at IS NOT NULL AND expires_at <= NOW();
+  GET DIAGNOSTICS removed = ROW_COUNT;
+  RETURN removed;
+END;
+$$;
@@ -0,0 +1,15 @@
+-- Add status and payload size to webhook_sessions for the admin session API
+-- Backs the status filter and cursor pagination in lib/sessionStore/SupabaseSessionStore.js
+ALTER TABLE public.webhook_sessions ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE public.webhook_sessions ADD COLUMN IF NOT EXISTS size_bytes INTEGER;
+
+-- Backfill from the stored payload
+UPDATE public.webhook_sessions
+SET
+  status = COALESCE(data->>'generationStatus', data->>'status'),
+  size_bytes = octet_length(data::text)
+WHERE status IS NULL OR size_bytes IS NULL;
+
+-- Create indexes for status filters and newest-first paging
+CREATE INDEX IF NOT EXISTS idx_webhook_sessions_status ON public.webhook_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_sessions_updated_at ON public.webhook_sessions(updated_at DESC, session_id DESC);
@@ -0,0 +1,29 @@
+-- Create resource version history tables for generated Core Resources
+-- Backs lib/supabaseResourceVersionStore.js (used by the Netlify functions, and by
+-- the webhook server when SESSION_STORE_BACKEND=supabase)
+CREATE TABLE IF NOT EXISTS public.resource_versions (
+  customer_id TEXT NOT NULL, -- Maps to Airtable customer ID (e.g., CUST_001)
+  version INTEGER NOT NULL,
+  data JSONB NOT NULL, -- Immutable snapshot; never updated after insert
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Concurrent generations claim numbers by insert, so the key must be unique
+  PRIMARY KEY (customer_id, version)
+);
+
+-- Current version, pins and the restore log per customer
+CREATE TABLE IF NOT EXISTS public.resource_version_state (
+  customer_id TEXT PRIMARY KEY,
+  state JSONB NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.resource_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.resource_version_state ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only the service role (webhook server, Netlify functions) can read or write versions
+CREATE POLICY "Service role can manage resource versions" ON public.resource_versions
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage resource version state" ON public.resource_version_state
+  FOR ALL USING (auth.role() = 'service_role');
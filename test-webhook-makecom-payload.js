@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { signPayload } = require('./lib/webhookSignature');
 
 // Test the webhook with the actual Make.com JavaScript execution result
 const testMakecomPayload = async () => {
@@ -154,7 +155,8 @@ const testMakecomPayload = async () => {
         'x-customer-id': 'CUST_5',
         'x-record-id': 'recKU4vMCwMzVvFxD',
         'x-product-name': 'Emit Earth Emissions Tracker',
-        'x-business-type': 'B2B'
+        'x-business-type': 'B2B',
+        ...(process.env.WEBHOOK_SECRET_MAKE ? signPayload(process.env.WEBHOOK_SECRET_MAKE, actualPayload) : {})
       }
     });
 
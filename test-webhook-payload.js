@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { signPayload } = require('./lib/webhookSignature');
 
 // Test the simplified 7-module Make.com payload structure
 const testPayload = {
@@ -510,8 +511,12 @@ async function testWebhookPayload() {
   try {
     console.log('🧪 Testing simplified webhook payload structure...\n');
     
-    const response = await axios.post('http://localhost:3001/api/webhook/core-resources', testPayload, {
-      headers: { 'Content-Type': 'application/json' }
+    const body = JSON.stringify(testPayload);
+    const response = await axios.post('http://localhost:3001/api/webhook/core-resources', body, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.WEBHOOK_SECRET_MAKE ? signPayload(process.env.WEBHOOK_SECRET_MAKE, body) : {})
+      }
     });
     
     console.log('✅ Webhook Response:', response.data);
@@ -1,7 +1,31 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
+const {
+  PayloadValidationError,
+  isMakeScriptPayload,
+  parseMakeScriptPayload
+} = require('./lib/makePayloadParser');
+const { createSignatureMiddleware } = require('./lib/webhookSignature');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createAdminRouter } = require('./lib/adminApi');
+const { createAdminAuthMiddleware } = require('./lib/adminAuth');
+const { createCustomerAuthenticator } = require('./lib/customerAuth');
+const { createAirtableResourceSync, toUiResources } = require('./lib/airtableResourceSync');
+const { createAirtableSyncOutbox } = require('./lib/airtableSyncOutbox');
+const { createResourceVersionStore, buildVersionSnapshot } = require('./lib/resourceVersionStore');
+const { createResourceVersionRouter } = require('./lib/resourceVersionApi');
+const { loadQualityGateConfig, applyQualityGate, regenerateFailingResources } = require('./lib/qualityGate');
+const { toStructuredResource, withRenderedContent } = require('./lib/structuredResources');
+const { resolveMoney } = require('./lib/money');
+const { GenerationRunner } = require('./mcp-servers/make-mcp-server/generation-runner');
+const { createProvider } = require('./mcp-servers/make-mcp-server/llm-providers');
+const {
+  ProgressHub,
+  ProgressEventError,
+  normalizeProgressEvent,
+  streamSessionProgress
+} = require('./lib/progressStream');
 
 const app = express();
 const PORT = 3001; // Different port from React app
@@ -18,84 +42,45 @@ app.use('/api/webhook/core-resources', express.raw({ type: '*/*', limit: '10mb'
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Storage for webhook data (in production, use a database)
-const webhookStorage = new Map();
+// Make.com must sign its requests with WEBHOOK_SECRET_MAKE
+const verifyMakeSignature = createSignatureMiddleware({ source: 'make' });
 
-// Formatting functions for Claude outputs
-function formatICPContent(icpData) {
-  return `# Ideal Customer Profile: ${icpData.company_size_range || 'Enterprise Companies'}
-
-## Company Profile
-**Size Range**: ${icpData.company_size_range || 'Mid-market to Enterprise'}
-**Industries**: ${icpData.industry_verticals || 'Technology, Manufacturing, Financial Services'}
-**Revenue Range**: ${icpData.annual_revenue_range || '$100M - $1B+'}
-**Employee Count**: ${icpData.employee_count || '500-5,000'}
-**Geographic Markets**: ${icpData.geographic_markets || 'North America, Europe'}
-
-## Organizational Structure
-${icpData.organizational_structure || 'Mature organizations with dedicated teams and C-suite leadership'}
-
-## Technology & Integration
-**Technology Stack**: ${icpData.technology_stack || 'Cloud-based infrastructure, enterprise systems'}
-**Budget Range**: ${icpData.budget_range || '$50K - $500K annually'}
-**Integration Needs**: ${icpData.integration_needs || 'Enterprise system integration required'}
-
-## Decision Making
-**Key Decision Makers**: ${icpData.decision_makers || 'C-suite executives, department heads'}
-**Buying Process**: ${icpData.buying_process || '6-18 month evaluation cycle'}
-**Contract Preferences**: ${icpData.contract_preferences || 'Multi-year SaaS agreements'}
-
-## Requirements & Success
-**Compliance**: ${icpData.compliance_requirements || 'Industry-specific regulatory requirements'}
-**Implementation Readiness**: ${icpData.implementation_readiness || 'Established frameworks and resources'}
-**Success Indicators**: ${icpData.success_indicators || 'Measurable efficiency and compliance improvements'}
-
-## Market Research Insights
-${icpData.market_research || 'Comprehensive market analysis based on industry trends and competitive landscape'}
-
-**Confidence Score**: ${icpData.confidence_score}/10
-**Data Sources**: ${icpData.data_sources_appendix || 'Industry reports and market analysis'}`;
+// Durable storage for generated resources (backend chosen by SESSION_STORE_BACKEND)
+const sessionStore = createSessionStore({
+  directory: process.env.SESSION_STORE_DIR || path.join(__dirname, 'webhook-data')
+});
+sessionStore.startCleanup();
+
+// Airtable writes go through a persistent outbox so failed syncs are retried,
+// then dead-lettered for `airtable-agent sync dlq` instead of being lost
+const resourceSync = createAirtableResourceSync();
+const airtableOutbox = createAirtableSyncOutbox({ resourceSync });
+if (resourceSync.isConfigured) {
+  airtableOutbox.start();
 }
 
-function formatPersonaContent(personaData) {
-  return `# Primary Buyer Persona: ${personaData.persona_name || 'Decision Maker'}
-
-## Demographics & Professional Profile
-**Age Range**: ${personaData.age_range || '35-50'}
-**Annual Income**: $${personaData.annual_income?.toLocaleString() || '150,000'}
-**Education**: ${personaData.education_level || 'Advanced degree'}
-**Location**: ${personaData.geographic_location || 'Major metropolitan areas'}
-**Job Title**: ${personaData.job_title || 'Senior Executive'}
-**Industry**: ${personaData.industry || 'Technology, Manufacturing, Financial Services'}
-**Company Size**: ${personaData.company_size || 'Enterprise'}
-
-## Goals & Motivations
-${personaData.goals_and_objectives || 'Professional advancement through successful technology implementation and measurable business impact'}
-
-## Pain Points & Challenges
-${personaData.pain_points || 'Managing complex processes manually, regulatory compliance pressure, integration challenges, and demonstrating ROI on technology investments'}
-
-## Day in the Life
-${personaData.day_in_life_summary || 'Strategic planning, cross-functional collaboration, stakeholder management, and staying current with industry trends and regulatory requirements'}
-
-## Buying Behavior & Decision Process
-**Decision Timeline**: ${personaData.decision_timeline || '12-18 months'}
-**Buying Behavior**: ${personaData.buying_behavior || 'Thorough evaluation process with multiple stakeholders'}
-**Key Influences**: ${personaData.influences_and_decision_factors || 'Regulatory requirements, integration capabilities, vendor track record, total cost of ownership'}
+// Every generation is also kept as an immutable version per customer
+const versionStore = createResourceVersionStore();
 
-## Communication Preferences
-**Preferred Channels**: ${personaData.preferred_communication_channels?.join(', ') || 'Email, Video Calls, In-Person meetings'}
-
-## Objections & Concerns
-${personaData.objections_and_concerns || 'Integration complexity, implementation timeline, total cost of ownership, vendor reliability'}
-
-## Success Metrics
-${personaData.success_metrics || 'Operational efficiency improvements, regulatory compliance achievement, cost reduction, and measurable ROI'}
-
-**Confidence Score**: ${personaData.confidence_score}/10
-**Market Research**: ${personaData.market_research || 'Based on industry surveys and buyer behavior analysis'}`;
+// Sub-par resources are marked needs_review; with QUALITY_GATE_REGENERATE=true
+// the failing steps are regenerated through GENERATION_PROVIDER
+const qualityGateConfig = loadQualityGateConfig();
+let regenerationRunner = null;
+if (process.env.QUALITY_GATE_REGENERATE === 'true') {
+  try {
+    regenerationRunner = new GenerationRunner({ provider: createProvider() });
+  } catch (error) {
+    console.warn('⚠️ Quality gate regeneration disabled:', error.message);
+  }
 }
 
+// Live generation progress, pushed to the loading screen over SSE.
+// Local generators can publish through app.locals.progressHub.
+const progressHub = new ProgressHub();
+app.locals.progressHub = progressHub;
+
+// Formatting functions for Claude outputs. ICP and persona are stored as
+// typed JSON instead (lib/structuredResources.js) and rendered on read.
 function formatEmpathyContent(empathyData) {
   return `# Customer Empathy Map
 
@@ -191,6 +176,97 @@ ${assessmentData.conclusion || 'Strong product-market fit with clear opportuniti
 **Assessment Date**: ${assessmentData.generation_date || new Date().toISOString().split('T')[0]}`;
 }
 
+const RESOURCE_FORMATTERS = {
+  empathy: formatEmpathyContent,
+  assessment: formatAssessmentContent
+};
+
+// Stored body of a resource built from a structured Claude output
+function buildResourceBody(name, source) {
+  if (RESOURCE_FORMATTERS[name]) {
+    return { content: { ...source, text: RESOURCE_FORMATTERS[name](source), format: 'markdown' } };
+  }
+  return { structured: toStructuredResource(name, source) };
+}
+
+// Structured resources without rendered content get the body the Make.com path produces
+function withResourceBody(resource, name) {
+  if (!resource || typeof resource !== 'object' || resource.content) return resource;
+  return { ...resource, ...buildResourceBody(name, resource) };
+}
+
+// Typed ICP/persona objects are kept as-is; everything else stores content
+function resourceBody(resource, fallbackText) {
+  if (resource?.structured) return { structured: resource.structured };
+  return { content: resource?.content || resource || { text: fallbackText } };
+}
+
+// The structured Claude output, when a legacy payload sent one instead of rendered content
+function structuredSource(resource) {
+  return resource && typeof resource === 'object' && !resource.content ? resource : undefined;
+}
+
+// Save a generation to the session store, version history and Airtable outbox.
+// Failures propagate so Make.com retries the delivery.
+async function persistGeneration(data, sources, modelName) {
+  const { sessionId, customerId } = data;
+  await sessionStore.put(sessionId, data, { customerId });
+
+  console.log(`✅ Core Resources saved for session: ${sessionId}`);
+
+  const version = await versionStore.createVersion(customerId, buildVersionSnapshot(data, {
+    sources,
+    model: { name: modelName }
+  }));
+  console.log(`🗂️ Stored as ${customerId} resource version ${version.versionId}`);
+
+  // Queue the Airtable write before acknowledging so Make.com retries if it can't be persisted
+  if (customerId && resourceSync.isConfigured) {
+    const job = await airtableOutbox.enqueue({
+      sessionId,
+      customerId,
+      resources: toUiResources(data)
+    });
+    if (job) {
+      console.log(`📮 Queued Airtable sync for session ${sessionId}`);
+      airtableOutbox.processDue().catch(error => console.error('❌ Airtable outbox processing failed:', error.message));
+    }
+  }
+}
+
+// Regenerate the resources that failed the quality gate, then store the result as a new version
+async function regenerateLowQualityResources(data, sources) {
+  try {
+    console.log(`🔁 Regenerating ${data.qualityGate.failing.join(', ')} for session ${data.sessionId}`);
+    const results = await regenerateFailingResources({
+      data,
+      sources,
+      config: qualityGateConfig,
+      regenerateStep: (step, input, outputs, feedback) => regenerationRunner.regenerate(step, input, outputs, feedback),
+      buildBody: buildResourceBody
+    });
+
+    if (results.some(result => result.status === 'regenerated')) {
+      await persistGeneration(data, sources, regenerationRunner.modelLabel);
+    } else {
+      await sessionStore.put(data.sessionId, data, { customerId: data.customerId });
+    }
+    console.log(`🔁 Quality gate after regeneration: ${data.qualityGate.status}`);
+  } catch (error) {
+    console.error(`❌ Regeneration failed for session ${data.sessionId}:`, error.message);
+  }
+}
+
+// Tell anyone watching a session's progress stream that generation won't complete
+function publishFailure(sessionId, error) {
+  if (!sessionId) return;
+  try {
+    progressHub.publish(sessionId, 'failed', { error: error.message, code: error.code });
+  } catch (publishError) {
+    console.warn('⚠️ Could not publish failure event:', publishError.message);
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -201,7 +277,7 @@ app.get('/health', (req, res) => {
 });
 
 // Main webhook endpoint for Make.com to send Core Resources
-app.post('/api/webhook/core-resources', (req, res) => {
+app.post('/api/webhook/core-resources', verifyMakeSignature, async (req, res) => {
   try {
     // Convert buffer to string if it's raw data
     let bodyString;
@@ -218,59 +294,28 @@ app.post('/api/webhook/core-resources', (req, res) => {
     let icpData, personaData, empathyData, assessmentData;
     let quality_metrics = {}, validation_results = {};
     let raw_content_data = {};
+    let structured_sources = {};
+    let individual_scores = [];
+    let validations = null;
     let generation_status = 'completed';
     let timestamp;
     
     // Check if this is the new Make.com structure (JavaScript execution result)
-    if (bodyString.includes('(() => {') || (req.body && (req.body.status || req.body.average_confidence))) {
+    if (isMakeScriptPayload(bodyString) || (req.body && (req.body.status || req.body.average_confidence))) {
       // This is the Make.com JavaScript execution result
       let parsedData;
       
-      if (bodyString.includes('(() => {')) {
-        // If it's a string, try to evaluate the JavaScript function
+      if (isMakeScriptPayload(bodyString)) {
+        // Extract the embedded Claude outputs and run the validation IIFE in the sandbox
         try {
-          // This is a JavaScript IIFE that returns validation results
-          // We need to extract the JSON data from within the function
-          const jsCode = bodyString;
-          
-          // Extract the JSON strings from the JavaScript code
-          const icpMatch = jsCode.match(/const icpData = JSON\.parse\(`([^`]+)`\);/);
-          const personaMatch = jsCode.match(/const personaData = JSON\.parse\(`([^`]+)`\);/);
-          const empathyMatch = jsCode.match(/const empathyData = JSON\.parse\(`([^`]+)`\);/);
-          const assessmentMatch = jsCode.match(/const assessmentData = JSON\.parse\(`([^`]+)`\);/);
-          
-          if (icpMatch && personaMatch && empathyMatch && assessmentMatch) {
-            // Parse each JSON string
-            const icpRaw = JSON.parse(icpMatch[1]);
-            const personaRaw = JSON.parse(personaMatch[1]);
-            const empathyRaw = JSON.parse(empathyMatch[1]);
-            const assessmentRaw = JSON.parse(assessmentMatch[1]);
-            
-            // Execute the function to get validation results
-            const validationFunction = eval(`(${jsCode})`);
-            const validationResults = validationFunction;
-            
-            parsedData = {
-              status: validationResults.status,
-              average_confidence: validationResults.average_confidence,
-              individual_scores: validationResults.individual_scores,
-              validations: validationResults.validations,
-              recommendations: validationResults.recommendations,
-              icpData: icpRaw,
-              personaData: personaRaw,
-              empathyData: empathyRaw,
-              assessmentData: assessmentRaw
-            };
-          } else {
-            throw new Error('Could not extract JSON data from JavaScript function');
-          }
+          parsedData = await parseMakeScriptPayload(bodyString);
         } catch (e) {
-          console.error('Error parsing JavaScript execution result:', e);
-          parsedData = { 
-            status: 'parsing_error', 
-            error: e.message,
-            average_confidence: 7.0 
-          };
+          if (e instanceof PayloadValidationError) {
+            console.warn(`⚠️ Rejected Make.com payload (${e.code}):`, e.message, e.details);
+            publishFailure(req.headers['x-session-id'], e);
+            return res.status(e.statusCode).json(e.toJSON());
+          }
+          throw e;
         }
       } else {
         parsedData = req.body;
@@ -283,15 +328,22 @@ app.post('/api/webhook/core-resources', (req, res) => {
       product_name = req.headers['x-product-name'] || 'Test Product';
       business_type = req.headers['x-business-type'] || 'B2B';
       
+      // Keep the structured Claude outputs for version diffs; the resources below only carry markdown
+      structured_sources = {
+        icp: parsedData.icpData,
+        persona: parsedData.personaData,
+        empathy: parsedData.empathyData,
+        assessment: parsedData.assessmentData
+      };
+      individual_scores = parsedData.individual_scores || [];
+      validations = parsedData.validations || null;
+
       // Create resources from the parsed Claude outputs
       if (parsedData.icpData) {
         icpData = {
           title: "Ideal Customer Profile Analysis",
           confidence_score: parsedData.icpData.confidence_score || parsedData.average_confidence || 8.5,
-          content: { 
-            text: formatICPContent(parsedData.icpData),
-            format: "markdown"
-          },
+          ...buildResourceBody('icp', parsedData.icpData),
           generated: true,
           generation_method: 'claude_with_web_research',
           web_research_sources: [parsedData.icpData.data_sources_appendix || "AI-generated analysis"],
@@ -309,10 +361,7 @@ app.post('/api/webhook/core-resources', (req, res) => {
         personaData = {
           title: "Target Buyer Personas", 
           confidence_score: parsedData.personaData.confidence_score || parsedData.average_confidence || 8.5,
-          content: { 
-            text: formatPersonaContent(parsedData.personaData),
-            format: "markdown"
-          },
+          ...buildResourceBody('persona', parsedData.personaData),
           generated: true,
           generation_method: 'claude_with_web_research',
           personas_count: 1,
@@ -439,10 +488,19 @@ app.post('/api/webhook/core-resources', (req, res) => {
         product_potential_assessment
       } = raw_content_data;
       
-      icpData = ideal_customer_profile;
-      personaData = target_buyer_personas;
-      empathyData = empathy_map;
-      assessmentData = product_potential_assessment;
+      // Local generation (mcp-servers/make-mcp-server/generation-runner.js) sends the
+      // structured Claude outputs without rendered content
+      icpData = withResourceBody(ideal_customer_profile, 'icp');
+      personaData = withResourceBody(target_buyer_personas, 'persona');
+      empathyData = withResourceBody(empathy_map, 'empathy');
+      assessmentData = withResourceBody(product_potential_assessment, 'assessment');
+
+      structured_sources = {
+        icp: structuredSource(ideal_customer_profile),
+        persona: structuredSource(target_buyer_personas),
+        empathy: structuredSource(empathy_map),
+        assessment: structuredSource(product_potential_assessment)
+      };
     }
 
     // Validate required fields
@@ -474,9 +532,7 @@ app.post('/api/webhook/core-resources', (req, res) => {
         icp_analysis: {
           title: ideal_customer_profile?.title || "Ideal Customer Profile Analysis",
           confidence_score: ideal_customer_profile?.confidence_score || quality_metrics.icp_confidence || 8.5,
-          content: ideal_customer_profile?.content || ideal_customer_profile || {
-            text: `AI-generated ICP analysis for ${product_name} (${business_type})`
-          },
+          ...resourceBody(ideal_customer_profile, `AI-generated ICP analysis for ${product_name} (${business_type})`),
           generated: !!ideal_customer_profile,
           generation_method: 'claude_with_web_research',
           web_research_sources: ideal_customer_profile?.web_research_sources || [],
@@ -487,9 +543,7 @@ app.post('/api/webhook/core-resources', (req, res) => {
         persona: {
           title: target_buyer_personas?.title || "Target Buyer Personas",
           confidence_score: target_buyer_personas?.confidence_score || quality_metrics.persona_confidence || 9.0,
-          content: target_buyer_personas?.content || target_buyer_personas || {
-            text: `AI-generated buyer personas for ${product_name} (${business_type})`
-          },
+          ...resourceBody(target_buyer_personas, `AI-generated buyer personas for ${product_name} (${business_type})`),
           generated: !!target_buyer_personas,
           generation_method: 'claude_with_web_research',
           personas_count: target_buyer_personas?.personas_count || 1,
@@ -500,9 +554,7 @@ app.post('/api/webhook/core-resources', (req, res) => {
         empathyMap: {
           title: empathy_map?.title || "Customer Empathy Map",
           confidence_score: empathy_map?.confidence_score || quality_metrics.empathy_confidence || 8.8,
-          content: empathy_map?.content || empathy_map || {
-            text: `AI-generated empathy map for ${product_name} (${business_type})`
-          },
+          ...resourceBody(empathy_map, `AI-generated empathy map for ${product_name} (${business_type})`),
           generated: !!empathy_map,
           generation_method: 'claude_with_web_research',
           map_completion_date: empathy_map?.map_completion_date,
@@ -513,9 +565,7 @@ app.post('/api/webhook/core-resources', (req, res) => {
         productPotential: {
           title: product_potential_assessment?.title || "Product Market Fit Assessment",
           confidence_score: product_potential_assessment?.confidence_score || quality_metrics.assessment_confidence || 9.2,
-          content: product_potential_assessment?.content || product_potential_assessment || {
-            text: `AI-generated market assessment for ${product_name} (${business_type})`
-          },
+          ...resourceBody(product_potential_assessment, `AI-generated market assessment for ${product_name} (${business_type})`),
           generated: !!product_potential_assessment,
           generation_method: 'claude_with_web_research',
           assessment_date: product_potential_assessment?.assessment_date,
@@ -524,20 +574,24 @@ app.post('/api/webhook/core-resources', (req, res) => {
       }
     };
 
-    // Store the data (in production, save to database)
-    webhookStorage.set(session_id, coreResourcesData);
-    
-    // Also save to a file for persistence across server restarts
-    const dataDir = path.join(__dirname, 'webhook-data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+    const qualityGate = applyQualityGate(coreResourcesData, {
+      sources: structured_sources,
+      scores: individual_scores,
+      validations,
+      config: qualityGateConfig
+    });
+    if (qualityGate.status === 'needs_review') {
+      console.warn(`⚠️ Quality gate flagged ${qualityGate.failing.join(', ')} for review (session ${session_id})`);
     }
-    
-    const filePath = path.join(dataDir, `${session_id}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(coreResourcesData, null, 2));
 
-    console.log(`✅ Core Resources saved for session: ${session_id}`);
-    console.log(`📁 Data saved to: ${filePath}`);
+    // Store the data so any server instance can serve it to the polling frontend
+    await persistGeneration(coreResourcesData, structured_sources, req.headers['x-generation-model']);
+
+    progressHub.publish(session_id, 'completed', { generationStatus: generation_status });
+
+    if (qualityGate.status === 'needs_review' && regenerationRunner) {
+      regenerateLowQualityResources(coreResourcesData, structured_sources);
+    }
 
     // Respond to Make.com
     res.status(200).json({
@@ -548,7 +602,11 @@ app.post('/api/webhook/core-resources', (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_ID') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Webhook processing error:', error);
+    publishFailure(req.headers['x-session-id'], error);
     res.status(500).json({
       error: 'Internal server error processing webhook',
       message: error.message
@@ -556,30 +614,62 @@ app.post('/api/webhook/core-resources', (req, res) => {
   }
 });
 
-// Endpoint for frontend to poll for completed resources
-app.get('/api/webhook/core-resources/:sessionId', (req, res) => {
+// Make.com (or a local generator) reports per-step progress while it works
+app.post('/api/webhook/core-resources/:sessionId/progress', verifyMakeSignature, (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Check memory first
-    let resourceData = webhookStorage.get(sessionId);
-    
-    // If not in memory, try to load from file
-    if (!resourceData) {
-      const filePath = path.join(__dirname, 'webhook-data', `${sessionId}.json`);
-      if (fs.existsSync(filePath)) {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        resourceData = JSON.parse(fileContent);
-        // Store back in memory
-        webhookStorage.set(sessionId, resourceData);
+    const body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString('utf8') || '{}') : req.body;
+    const { type, data } = normalizeProgressEvent(body);
+    const event = progressHub.publish(req.params.sessionId, type, data);
+
+    console.log(`📶 Progress for session ${req.params.sessionId}: ${type}${data.step ? ` (${data.step})` : ''}`);
+    res.json({ success: true, eventId: event.id });
+  } catch (error) {
+    if (error instanceof SyntaxError || error instanceof ProgressEventError || error.code === 'INVALID_ID') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Progress event error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Server-Sent Events stream of generation progress for the loading screen
+app.get('/api/webhook/core-resources/:sessionId/stream', async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    // Resources stored before this process started (or by another instance) count as completed
+    if (progressHub.history(sessionId).length === 0) {
+      const record = await sessionStore.getRecord(sessionId);
+      if (record) {
+        progressHub.publish(sessionId, 'completed', { generationStatus: record.data?.generationStatus });
       }
     }
+  } catch (error) {
+    if (error.code === 'INVALID_ID') {
+      return res.status(404).json({ success: false, message: 'Core Resources not found for this session' });
+    }
+    console.warn('⚠️ Session store unavailable, streaming live events only:', error.message);
+  }
+
+  console.log(`📡 Progress stream opened for session: ${sessionId}`);
+  streamSessionProgress(req, res, progressHub, sessionId);
+});
+
+// Endpoint for frontend to poll for completed resources
+app.get('/api/webhook/core-resources/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const resourceData = await sessionStore.get(sessionId);
 
     if (resourceData) {
       console.log(`📤 Serving Core Resources for session: ${sessionId}`);
       res.json({
         success: true,
-        data: resourceData
+        // ?currency=EUR&locale=de-DE renders money fields in the customer's currency
+        data: { ...resourceData, resources: withRenderedContent(resourceData.resources, resolveMoney(req.query)) }
       });
     } else {
       res.status(404).json({
@@ -589,6 +679,9 @@ app.get('/api/webhook/core-resources/:sessionId', (req, res) => {
     }
 
   } catch (error) {
+    if (error.code === 'INVALID_ID') {
+      return res.status(404).json({ success: false, message: 'Core Resources not found for this session' });
+    }
     console.error('❌ Error retrieving Core Resources:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -597,20 +690,26 @@ app.get('/api/webhook/core-resources/:sessionId', (req, res) => {
   }
 });
 
-// List all sessions (for debugging)
-app.get('/api/webhook/sessions', (req, res) => {
-  try {
-    const sessions = Array.from(webhookStorage.keys());
-    const dataDir = path.join(__dirname, 'webhook-data');
-    
-    let fileSessions = [];
-    if (fs.existsSync(dataDir)) {
-      fileSessions = fs.readdirSync(dataDir)
-        .filter(file => file.endsWith('.json'))
-        .map(file => file.replace('.json', ''));
-    }
+// Ops endpoints: filtered session listing, metadata, delete/expire and Airtable redelivery
+app.use('/api/admin', createAdminRouter({
+  sessionStore,
+  resourceSync: resourceSync.isConfigured ? resourceSync : null
+}));
 
-    const allSessions = [...new Set([...sessions, ...fileSessions])];
+// Version history of each customer's generated resources - the customer's access token or the admin token
+app.use('/api/resources', createResourceVersionRouter({
+  versionStore,
+  outbox: resourceSync.isConfigured ? airtableOutbox : null,
+  authenticate: createCustomerAuthenticator({
+    verifyCustomer: resourceSync.isConfigured ? resourceSync.verifyAccessToken : null
+  })
+}));
+
+// List all sessions (for debugging) - admin token required, see /api/admin/sessions for filters
+app.get('/api/webhook/sessions', createAdminAuthMiddleware(), async (req, res) => {
+  try {
+    const records = await sessionStore.list({ customerId: req.query.customerId });
+    const allSessions = records.map(record => record.sessionId);
 
     res.json({
       success: true,
@@ -627,12 +726,21 @@ app.listen(PORT, () => {
   console.log('🚀 Core Resources Webhook Server started!');
   console.log(`📡 Listening on port ${PORT}`);
   console.log(`🔗 Webhook URL: http://localhost:${PORT}/api/webhook/core-resources`);
-  console.log(`💾 Data will be stored in: ${path.join(__dirname, 'webhook-data')}`);
+  console.log(`💾 Session store: ${sessionStore.constructor.name}${sessionStore.directory ? ` (${sessionStore.directory})` : ''}`);
+  console.log(`📮 Airtable outbox: ${resourceSync.isConfigured ? airtableOutbox.directory : 'disabled (set AIRTABLE_API_KEY and AIRTABLE_BASE_ID)'}`);
+  console.log(`🚦 Quality gate regeneration: ${regenerationRunner ? regenerationRunner.modelLabel : 'off (set QUALITY_GATE_REGENERATE=true)'}`);
   console.log('');
   console.log('Available endpoints:');
   console.log(`  POST /api/webhook/core-resources - Receive Core Resources from Make.com`);
+  console.log(`  POST /api/webhook/core-resources/:sessionId/progress - Report generation progress`);
   console.log(`  GET  /api/webhook/core-resources/:sessionId - Get Core Resources by session`);
-  console.log(`  GET  /api/webhook/sessions - List all sessions`);
+  console.log(`  GET  /api/webhook/core-resources/:sessionId/stream - Live progress (Server-Sent Events)`);
+  console.log(`  GET  /api/resources/:customerId/versions[/diff|/:versionId] - Resource version history`);
+  console.log(`  POST /api/resources/:customerId/versions/:versionId/pin|restore - Pin or restore a version`);
+  console.log(`  GET  /api/webhook/sessions - List all sessions (admin)`);
+  console.log(`  GET  /api/admin/sessions[/:sessionId] - Admin session listing and metadata`);
+  console.log(`  DELETE /api/admin/sessions/:sessionId - Admin delete session`);
+  console.log(`  POST /api/admin/sessions/:sessionId/expire|redeliver - Admin expire or re-sync to Airtable`);
   console.log(`  GET  /health - Health check`);
 });
 